@@ -0,0 +1,91 @@
+/**
+ * Migrate Session Trigger Defaults Script
+ * Rooms and owners used to store the schema defaults (50 messages / 24 hours)
+ * in settings.session_trigger, which now overrides the organization settings.
+ * This resets those stored defaults to null so they inherit
+ * room → organization → owner → global.
+ *
+ * Usage:
+ *   node migrate-session-triggers.js --dry-run    # See what would be reset
+ *   node migrate-session-triggers.js --execute    # Actually reset values
+ */
+
+require('dotenv').config({ path: '../../.env' });
+const mongoose = require('mongoose');
+const { Room, Owner } = require('../../src/models');
+
+const args = process.argv.slice(2);
+const dryRun = !args.includes('--execute');
+
+// Old schema defaults
+const LEGACY_DEFAULTS = {
+  message_count: 50,
+  time_limit_hours: 24
+};
+
+console.log('🔧 Migrate Session Trigger Defaults Script\n');
+console.log('═══════════════════════════════════════════════════');
+console.log(`Mode: ${dryRun ? '🔍 DRY RUN (no changes)' : '⚠️  EXECUTE (will reset values)'}`);
+console.log('═══════════════════════════════════════════════════\n');
+
+async function resetLegacyDefaults(Model, label) {
+  let total = 0;
+
+  for (const [field, value] of Object.entries(LEGACY_DEFAULTS)) {
+    const path = `settings.session_trigger.${field}`;
+    const filter = { [path]: value };
+    const count = await Model.countDocuments(filter);
+
+    console.log(`   ${label}: ${count} with ${path} = ${value}`);
+
+    if (count > 0 && !dryRun) {
+      const result = await Model.updateMany(filter, { $set: { [path]: null } });
+      console.log(`   ✅ Reset ${result.modifiedCount} ${label.toLowerCase()} to inherit ${field}`);
+    }
+
+    total += count;
+  }
+
+  console.log('');
+  return total;
+}
+
+async function main() {
+  try {
+    // Connect to MongoDB
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI, {
+      dbName: process.env.MONGODB_DB_NAME || 'ai_summary'
+    });
+    console.log('✅ Connected to MongoDB\n');
+
+    const roomValues = await resetLegacyDefaults(Room, 'Rooms');
+    const ownerValues = await resetLegacyDefaults(Owner, 'Owners');
+
+    // Summary
+    console.log('═══════════════════════════════════════════════════');
+    console.log('📋 Summary\n');
+
+    if (dryRun) {
+      console.log('🔍 DRY RUN - No changes made');
+      console.log(`   Would reset ${roomValues} room values and ${ownerValues} owner values`);
+      console.log('\n💡 To actually reset values, run:');
+      console.log('   node migrate-session-triggers.js --execute');
+    } else {
+      console.log('✅ Migration complete!');
+      console.log(`   Reset ${roomValues} room values and ${ownerValues} owner values`);
+    }
+
+    console.log('═══════════════════════════════════════════════════');
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n🔌 Disconnected from MongoDB');
+  }
+}
+
+// Run the script
+main();
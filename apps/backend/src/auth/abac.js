@@ -55,7 +55,7 @@ function get_plan_limit(plan, limit_name) {
 
 /**
  * ABAC Policies
- * Each policy returns { allowed: boolean, reason?: string }
+ * Each policy returns { allowed: boolean, reason?: string, warning?: string }
  */
 const policies = {
   /**
@@ -153,6 +153,15 @@ const policies = {
       };
     }
 
+    // Check monthly AI budget (LLM spend across all AI features)
+    const budget = org.get_ai_budget_status();
+    if (budget.state === 'exceeded') {
+      return {
+        allowed: false,
+        reason: `Monthly AI budget reached ($${budget.spent_usd.toFixed(2)} of $${budget.budget_usd}). Resets next month.`
+      };
+    }
+
     // Session must be closed
     if (session.status !== 'closed') {
       return {
@@ -161,6 +170,13 @@ const policies = {
       };
     }
 
+    if (budget.state === 'warning') {
+      return {
+        allowed: true,
+        warning: `AI spending is at ${budget.percent}% of the $${budget.budget_usd} monthly budget`
+      };
+    }
+
     return { allowed: true };
   },
 
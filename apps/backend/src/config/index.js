@@ -21,7 +21,10 @@ const config = {
   // LINE OA
   line: {
     channelSecret: process.env.LINE_CHANNEL_SECRET,
-    channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN
+    channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
+    // Cached sender profiles (LineContact) and group names
+    profileCacheHours: parseInt(process.env.LINE_PROFILE_CACHE_HOURS) || 24,
+    chatNameCacheMinutes: parseInt(process.env.LINE_CHAT_NAME_CACHE_MINUTES) || 60
   },
 
   // Authentication (BetterAuth)
@@ -84,6 +87,108 @@ const config = {
     model: 'gemini-1.5-flash' // Free tier model
   },
 
+  // LLM Providers (organizations can override provider/model in settings)
+  llm: {
+    // Default provider: gemini | openai | local
+    defaultProvider: process.env.LLM_PROVIDER || 'gemini',
+
+    // Prompt token budget; larger sessions are summarized in chunks (map-reduce)
+    contextTokenBudget: parseInt(process.env.LLM_CONTEXT_TOKEN_BUDGET) || 30000,
+    // Hard cap on messages loaded for one session summary
+    maxSessionMessages: parseInt(process.env.LLM_MAX_SESSION_MESSAGES) || 10000,
+    // Re-asks when the model's JSON fails schema validation (0 disables repair)
+    repairAttempts: process.env.LLM_REPAIR_ATTEMPTS !== undefined ? parseInt(process.env.LLM_REPAIR_ATTEMPTS) || 0 : 1,
+    // Price overrides in USD per 1K tokens, merged over the provider price tables
+    // e.g. {"gemini-2.5-flash":{"input":0.0003,"output":0.0025}}
+    pricing: (() => {
+      if (!process.env.LLM_PRICING) {
+        return {};
+      }
+      try {
+        return JSON.parse(process.env.LLM_PRICING);
+      } catch (error) {
+        console.warn('⚠️ LLM_PRICING is not valid JSON; using the built-in price tables');
+        return {};
+      }
+    })(),
+
+    // Image captioning/OCR of chat images (organizations can turn it off in settings)
+    images: {
+      enabled: process.env.IMAGE_ANALYSIS_ENABLED !== 'false',
+      // Images still unanalyzed when a session is summarized are analyzed inline, up to this many
+      maxPerSession: parseInt(process.env.IMAGE_ANALYSIS_MAX_PER_SESSION) || 20,
+      // Larger images are skipped
+      maxBytes: parseInt(process.env.IMAGE_ANALYSIS_MAX_BYTES) || 8 * 1024 * 1024
+    },
+
+    // OpenAI-compatible Chat Completions server
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY,
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS) || 60000
+    }
+  },
+
+  // Speech-to-text for voice messages and videos
+  stt: {
+    // Provider: openai (Whisper-compatible /audio/transcriptions) | local (offline stub)
+    provider: process.env.STT_PROVIDER || 'local',
+    openai: {
+      apiKey: process.env.STT_API_KEY || process.env.OPENAI_API_KEY,
+      baseUrl: process.env.STT_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      model: process.env.STT_MODEL || 'whisper-1',
+      timeoutMs: parseInt(process.env.STT_TIMEOUT_MS) || 120000
+    }
+  },
+
+  // Audio, video and file messages (downloaded from LINE, transcribed or text-extracted)
+  media: {
+    // Contents above these sizes (bytes) are recorded without downloading
+    maxAudioBytes: parseInt(process.env.MEDIA_MAX_AUDIO_BYTES) || 25 * 1024 * 1024,
+    maxVideoBytes: parseInt(process.env.MEDIA_MAX_VIDEO_BYTES) || 50 * 1024 * 1024,
+    maxFileBytes: parseInt(process.env.MEDIA_MAX_FILE_BYTES) || 20 * 1024 * 1024,
+    // Transcripts and extracted text stored in Message.message are cut to this many characters
+    maxTextLength: parseInt(process.env.MEDIA_MAX_TEXT_LENGTH) || 20000,
+    // Unprocessed media handled inline when a session is summarized
+    maxPerSession: parseInt(process.env.MEDIA_MAX_PER_SESSION) || 10
+  },
+
+  // Embeddings for semantic search over messages and summaries
+  embeddings: {
+    enabled: process.env.EMBEDDINGS_ENABLED !== 'false',
+    // Provider: local (offline hashing, no key) | openai (OpenAI-compatible /embeddings) | gemini
+    provider: process.env.EMBEDDING_PROVIDER || 'local',
+    // Model override (empty = provider default)
+    model: process.env.EMBEDDING_MODEL || null,
+    // Texts sent per embedding request
+    batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 64,
+    // Longer texts are cut before embedding
+    maxTextLength: parseInt(process.env.EMBEDDING_MAX_TEXT_LENGTH) || 2000,
+    // Most recent vectors scored per search (brute-force cosine similarity)
+    searchMaxCandidates: parseInt(process.env.EMBEDDING_SEARCH_MAX_CANDIDATES) || 20000,
+    openai: {
+      apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+      baseUrl: process.env.EMBEDDING_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      timeoutMs: parseInt(process.env.EMBEDDING_TIMEOUT_MS) || 60000
+    }
+  },
+
+  // Outgoing email (organization digests) through an HTTP email API
+  email: {
+    // Resend-compatible endpoint: POST { from, to, subject, html, text } with a bearer key (empty = email disabled)
+    apiUrl: process.env.EMAIL_API_URL || null,
+    apiKey: process.env.EMAIL_API_KEY || null,
+    from: process.env.EMAIL_FROM || 'LINE Chat Summarizer <no-reply@orglai.com>',
+    timeoutMs: parseInt(process.env.EMAIL_TIMEOUT_MS) || 15000
+  },
+
+  // Alert rules (services/alerts)
+  alerts: {
+    // Outbound webhook request timeout
+    webhookTimeoutMs: parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 10000
+  },
+
   // Google Apps Script Integration
   googleAppsScript: {
     webhookUrl: 'https://script.google.com/macros/s/AKfycbw2KuDcXK8UkUjuxRrmLcoxLrJwNxcYn8onXoK0oBNddPljjmQ-rGp6M9gwWxuPpu8A/exec'
@@ -98,7 +203,55 @@ const config = {
     sessionTimeoutHours: parseInt(process.env.SESSION_TIMEOUT_HOURS) || 24,
 
     // Minimum messages required to generate AI summary
-    minMessagesForSummary: parseInt(process.env.SESSION_MIN_MESSAGES_FOR_SUMMARY) || 1
+    minMessagesForSummary: parseInt(process.env.SESSION_MIN_MESSAGES_FOR_SUMMARY) || 1,
+
+    // Close active sessions with no new messages for this many minutes (0 = disabled)
+    idleTimeoutMinutes: parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 0
+  },
+
+  // Background Scheduler (periodic maintenance tasks)
+  scheduler: {
+    // Run the scheduler in the API process
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+
+    // How often each instance checks for due tasks
+    tickIntervalMs: parseInt(process.env.SCHEDULER_TICK_INTERVAL_MS) || 60 * 1000,
+
+    // Task lock lifetime (released early when a task finishes)
+    lockTtlMs: parseInt(process.env.SCHEDULER_LOCK_TTL_MS) || 10 * 60 * 1000,
+
+    // Interval for the session auto-close tasks
+    sessionCheckIntervalMinutes: parseInt(process.env.SCHEDULER_SESSION_CHECK_MINUTES) || 5,
+
+    // Interval for checking whether monthly usage needs resetting
+    usageResetCheckIntervalMinutes: parseInt(process.env.SCHEDULER_USAGE_RESET_CHECK_MINUTES) || 60,
+
+    // Interval for checking which organization digests are due
+    digestCheckIntervalMinutes: parseInt(process.env.SCHEDULER_DIGEST_CHECK_MINUTES) || 15,
+
+    // Interval for checking conversations waiting for a staff reply (alert rules)
+    alertCheckIntervalMinutes: parseInt(process.env.SCHEDULER_ALERT_CHECK_MINUTES) || 5
+  },
+
+  // Background Job Queue (summary generation workers)
+  jobs: {
+    // Run workers inside the API process (disable when using a dedicated worker process)
+    workerEnabled: process.env.JOB_WORKER_ENABLED !== 'false',
+
+    // Jobs processed concurrently per worker process
+    concurrency: parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2,
+
+    // Poll interval for idle workers
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+
+    // Attempts before a job is dead-lettered
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+
+    // Base retry delay (doubles on each failed attempt)
+    retryBaseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 30000,
+
+    // Running jobs with older locks are treated as abandoned
+    lockTimeoutMs: parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000
   }
 };
 
@@ -107,10 +260,14 @@ const validateConfig = () => {
   let required = [
     'LINE_CHANNEL_SECRET',
     'LINE_CHANNEL_ACCESS_TOKEN',
-    'BETTER_AUTH_SECRET',
-    'GEMINI_API_KEY'
+    'BETTER_AUTH_SECRET'
   ];
 
+  // Only require the Gemini key when Gemini is the default provider
+  if ((process.env.LLM_PROVIDER || 'gemini') === 'gemini') {
+    required.push('GEMINI_API_KEY');
+  }
+
   // Only require MongoDB if not disabled
   if (process.env.MONGODB_URI !== 'disabled') {
     required.push('MONGODB_URI');
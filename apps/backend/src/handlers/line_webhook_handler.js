@@ -5,18 +5,50 @@
  */
 
 const lineService = require('../services/line_service');
-const geminiService = require('../services/gemini_service');
-const { Owner, Room, ChatSession, Summary, LineEventsRaw, Message, Organization } = require('../models');
+const jobQueue = require('../services/job_queue');
+const { resolve_session_trigger_for } = require('../services/session_trigger_resolver');
+const { MEDIA_MESSAGE_TYPES, describe_media, max_bytes_for } = require('../services/media_processor');
+const {
+  parse_bot_command,
+  get_enabled_commands,
+  get_command_usage,
+  truncate_summary,
+  format_local_time,
+  get_session_url,
+  build_command_reply
+} = require('../services/bot_commands');
+const { get_local_time, get_local_midnight } = require('../services/digest');
+const { evaluate_message_alerts } = require('../services/alerts');
+const { record_message_sender, record_member_change, is_staff_line_user } = require('../services/line_contacts');
+const { queue_summary_generation } = require('../services/summary_generation');
+const {
+  Owner,
+  Room,
+  ChatSession,
+  Summary,
+  LineEventsRaw,
+  Message,
+  Organization,
+  Embedding,
+  AlertFiring
+} = require('../models');
+const { UNSENT_PLACEHOLDER } = require('../models/message');
 const config = require('../config');
 
+const { JOB_TYPES } = jobQueue;
+
 // Activation code pattern: ORG-XXXX-XXXX
 const ACTIVATION_CODE_PATTERN = /^ORG-[A-Z0-9]{4}-[A-Z0-9]{4}$/i;
 
+// Summaries listed by "/summary today"
+const TODAY_SUMMARY_LIMIT = 5;
+
 class LineWebhookHandler {
   constructor() {
     this.activeSessionTimeouts = new Map(); // sessionId -> timeout
+    this.chatNameCache = new Map(); // lineRoomId -> { name, expires_at }
 
-    // Use centralized configuration (Single Source of Truth)
+    // Global defaults; per-room/org/owner overrides are resolved per session
     this.maxMessagesPerSession = config.session.maxMessagesPerSession;
     this.sessionTimeoutHours = config.session.sessionTimeoutHours;
     this.minMessagesForSummary = config.session.minMessagesForSummary;
@@ -32,13 +64,14 @@ class LineWebhookHandler {
   /**
    * Processes LINE webhook events
    * @param {Array} events - Array of LINE webhook events
+   * @param {Object} owner - Owner (LINE OA channel) that sent the events, null for the default owner
    * @returns {Promise<void>}
    */
-  async handle_webhook_events(events) {
+  async handle_webhook_events(events, owner = null) {
     console.log(`📨 Processing ${events.length} LINE webhook event(s) for chat summarization`);
 
     try {
-      const promises = events.map(event => this.handle_single_event(event));
+      const promises = events.map(event => this.handle_single_event(event, owner));
       await Promise.all(promises);
       console.log('✅ All LINE webhook events processed successfully');
     } catch (error) {
@@ -50,9 +83,10 @@ class LineWebhookHandler {
   /**
    * Handles a single LINE webhook event
    * @param {Object} event - LINE webhook event
+   * @param {Object} owner - Owner (LINE OA channel) that sent the event
    * @returns {Promise<void>}
    */
-  async handle_single_event(event) {
+  async handle_single_event(event, owner = null) {
     console.log(`🔄 Processing event type: ${event.type}`);
 
     try {
@@ -65,7 +99,7 @@ class LineWebhookHandler {
     try {
       switch (event.type) {
         case 'message':
-          await this.handle_message_event(event);
+          await this.handle_message_event(event, owner);
           break;
 
         case 'follow':
@@ -76,6 +110,30 @@ class LineWebhookHandler {
           await this.handle_unfollow_event(event);
           break;
 
+        case 'join':
+          await this.handle_join_event(event, owner);
+          break;
+
+        case 'leave':
+          await this.handle_leave_event(event, owner);
+          break;
+
+        case 'memberJoined':
+          await this.handle_member_event(event, owner, true);
+          break;
+
+        case 'memberLeft':
+          await this.handle_member_event(event, owner, false);
+          break;
+
+        case 'unsend':
+          await this.handle_unsend_event(event);
+          break;
+
+        case 'postback':
+          await this.handle_postback_event(event, owner);
+          break;
+
         default:
           console.log(`⚠️ Unhandled event type: ${event.type}`);
       }
@@ -88,9 +146,10 @@ class LineWebhookHandler {
   /**
    * Handles incoming message events for chat capture
    * @param {Object} event - LINE message event
+   * @param {Object} channelOwner - Owner (LINE OA channel) that sent the event
    * @returns {Promise<void>}
    */
-  async handle_message_event(event) {
+  async handle_message_event(event, channelOwner = null) {
     const { source, message, timestamp, replyToken } = event;
     const lineRoomId = source.groupId || source.roomId || source.userId;
     const userId = source.userId;
@@ -100,57 +159,54 @@ class LineWebhookHandler {
 
     // Check for activation code in group chats
     if (isGroupChat && message.type === 'text' && ACTIVATION_CODE_PATTERN.test(message.text.trim())) {
-      await this.handle_activation_code(event, lineRoomId, message.text.trim(), replyToken);
+      await this.handle_activation_code(event, lineRoomId, message.text.trim(), replyToken, channelOwner);
       return; // Don't process activation codes as regular messages
     }
 
+    // Bot commands (/summary, /status, ...) are answered instead of stored
+    if (isGroupChat && message.type === 'text') {
+      const command = parse_bot_command(message.text);
+      if (command && await this.handle_bot_command(event, lineRoomId, command, channelOwner)) {
+        return;
+      }
+    }
+
     try {
-      // Get or create default owner (bypass owner requirement)
-      const owner = await this.get_or_create_default_owner();
+      // Use the channel that sent the event, falling back to the default owner
+      const owner = channelOwner || await this.get_or_create_default_owner();
       console.log(`✅ Using owner: ${owner.name} (${owner.email})`);
 
-      // Determine room name and type with actual group chat name
-      let roomName, roomType;
-      if (source.groupId) {
-        roomName = await this.get_group_chat_name(source.groupId) || `Group Chat (${source.groupId.substring(0, 8)})`;
-        roomType = 'group';
-      } else if (source.roomId) {
-        roomName = await this.get_room_chat_name(source.roomId) || `Multi-User Chat (${source.roomId.substring(0, 8)})`;
-        roomType = 'group';
-      } else {
-        roomName = await this.get_user_display_name(userId) || `Direct Message (${userId.substring(0, 8)})`;
-        roomType = 'individual';
-      }
+      const { room, roomName, roomType } = await this.find_or_create_chat_room(source, owner);
 
-      // Get or create room with organization context (Phase 3 auto-mapping)
-      let room;
-      if (owner.organization_id) {
-        // Use organization-aware method for proper multi-tenant isolation
-        room = await Room.find_or_create_room_with_org(
-          owner.organization_id,
-          owner._id,
-          lineRoomId,
-          roomName,
-          roomType
-        );
-        console.log(`🏢 Room auto-mapped to org: ${owner.organization_id}`);
-      } else {
-        // Fallback for legacy owners without organization
-        room = await Room.find_or_create_room(
-          owner._id,
-          lineRoomId,
-          roomName,
-          roomType
-        );
+      // Recording paused from the group with /pause
+      if (room.capture?.paused) {
+        console.log(`⏸️ Room ${room._id} is paused, message not stored`);
+        return;
       }
 
+      // Rooms linked by activation code keep their own organization
+      const organizationId = room.organization_id || owner.organization_id;
+      const organization = organizationId ? await Organization.findById(organizationId) : null;
+
+      // Sender's cached profile (contact directory), refreshed when stale
+      const sender = await record_message_sender({
+        organization_id: organizationId,
+        owner,
+        room,
+        line_user_id: userId,
+        timestamp: new Date(timestamp)
+      });
+
+      // Session close triggers resolve room → organization → owner → global
+      const triggerSources = { room, organization, owner };
+
       // Get or create active session
       let session = await ChatSession.find_active_session(room._id);
 
       // CRITICAL FIX: Check if existing session should be closed BEFORE processing new message
       if (session) {
         console.log(`🔍 Found active session ${session._id}, checking if it should be closed before processing new message`);
-        const shouldClose = await this.should_close_session(session);
+        const shouldClose = await this.should_close_session(session, triggerSources);
         if (shouldClose) {
           console.log(`🔒 Closing old session ${session._id} before creating new one`);
           await this.close_and_summarize_session(session, owner);
@@ -160,17 +216,17 @@ class LineWebhookHandler {
 
       // Create new session if needed (no active session or old one was just closed)
       if (!session) {
-        if (owner.organization_id) {
+        if (organizationId) {
           // Use organization-aware method for proper multi-tenant isolation
           session = await ChatSession.create_session_with_org(
-            owner.organization_id,
+            organizationId,
             room._id,
             owner._id,
             lineRoomId,
             roomName,
             roomType
           );
-          console.log(`🏢 Session auto-mapped to org: ${owner.organization_id}`);
+          console.log(`🏢 Session auto-mapped to org: ${organizationId}`);
         } else {
           // Fallback for legacy owners without organization
           session = await ChatSession.create_new_session(
@@ -185,15 +241,15 @@ class LineWebhookHandler {
 
       // Process different message types
       if (message.type === 'text') {
-        await this.process_text_message(session, userId, message.text, message.id, timestamp);
+        await this.process_text_message(session, userId, message.text, message.id, timestamp, sender);
       } else if (message.type === 'image') {
-        await this.process_image_message(session, userId, message, timestamp);
+        await this.process_image_message(session, userId, message, timestamp, owner, sender);
       } else {
-        await this.process_other_message(session, userId, message, timestamp);
+        await this.process_other_message(session, userId, message, timestamp, sender);
       }
 
       // Check if THIS session should be closed after adding message (in case it just hit the limit)
-      const shouldCloseNow = await this.should_close_session(session);
+      const shouldCloseNow = await this.should_close_session(session, triggerSources);
       if (shouldCloseNow) {
         console.log(`🔒 Session ${session._id} reached limit after adding message, closing now`);
         await this.close_and_summarize_session(session, owner);
@@ -207,10 +263,60 @@ class LineWebhookHandler {
     }
   }
 
+  /**
+   * Find or create the room of an event's chat, named after the group or user
+   * @param {Object} source - LINE event source
+   * @param {Object} owner - Owner (LINE OA channel) that received the event
+   * @returns {Promise<Object>} { room, roomName, roomType }
+   */
+  async find_or_create_chat_room(source, owner) {
+    const lineRoomId = source.groupId || source.roomId || source.userId;
+
+    // Determine room name and type with actual group chat name
+    let roomName, roomType;
+    if (source.groupId) {
+      roomName = await this.get_cached_chat_name(source.groupId, () => this.get_group_chat_name(source.groupId, owner)) ||
+        `Group Chat (${source.groupId.substring(0, 8)})`;
+      roomType = 'group';
+    } else if (source.roomId) {
+      roomName = await this.get_room_chat_name(source.roomId) || `Multi-User Chat (${source.roomId.substring(0, 8)})`;
+      roomType = 'group';
+    } else {
+      roomName = await this.get_cached_chat_name(source.userId, () => this.get_user_display_name(source.userId, owner)) ||
+        `Direct Message (${source.userId.substring(0, 8)})`;
+      roomType = 'individual';
+    }
+
+    // Get or create room with organization context (Phase 3 auto-mapping)
+    let room;
+    if (owner.organization_id) {
+      // Use organization-aware method for proper multi-tenant isolation
+      room = await Room.find_or_create_room_with_org(
+        owner.organization_id,
+        owner._id,
+        lineRoomId,
+        roomName,
+        roomType
+      );
+      console.log(`🏢 Room auto-mapped to org: ${owner.organization_id}`);
+    } else {
+      // Fallback for legacy owners without organization
+      room = await Room.find_or_create_room(
+        owner._id,
+        lineRoomId,
+        roomName,
+        roomType
+      );
+    }
+
+    return { room, roomName, roomType };
+  }
+
   /**
    * Process text message and add to session
+   * @param {LineContact|null} sender - Sender's contact (display name and picture)
    */
-  async process_text_message(session, userId, text, lineMessageId, timestamp) {
+  async process_text_message(session, userId, text, lineMessageId, timestamp, sender = null) {
     console.log(`📝 Processing text message: "${text.substring(0, 50)}..."`);
 
     // Add to embedded message_logs for backward compatibility
@@ -222,7 +328,8 @@ class LineWebhookHandler {
     );
 
     // Also create separate Message document for AI processing
-    await Message.create_message({
+    const textMessage = await Message.create_message({
+      organization_id: session.organization_id,
       session_id: session.session_id, // Use session_id field, not _id
       room_id: session.room_id,
       owner_id: session.owner_id,
@@ -233,25 +340,30 @@ class LineWebhookHandler {
       message: text,
       line_message_id: lineMessageId,
       line_user_id: userId,
+      user_name: sender?.display_name || undefined,
+      user_profile_url: sender?.picture_url || undefined,
       room_type: session.room_type,
       sender_role: session.room_type === 'group' ? 'group_member' : 'user'
     });
 
     console.log(`✅ Text message added to session ${session._id} and Message collection`);
+
+    // Keyword / regex alert rules
+    await evaluate_message_alerts(textMessage);
   }
 
   /**
    * Process image message and add to session
+   * @param {LineContact|null} sender - Sender's contact (display name and picture)
    */
-  async process_image_message(session, userId, message, timestamp) {
+  async process_image_message(session, userId, message, timestamp, owner = null, sender = null) {
     console.log(`🖼️ Processing image message`);
 
-    // Download and save image to GridFS
-    const LineService = require('../services/line_service');
+    // Download and save image to GridFS using the sending channel's token
     let imageGridFSId = null;
 
     try {
-      imageGridFSId = await LineService.download_and_save_image(message.id);
+      imageGridFSId = await lineService.for_owner(owner).download_and_save_image(message.id);
       if (imageGridFSId) {
         console.log(`✅ Image downloaded and saved with GridFS ID: ${imageGridFSId}`);
       }
@@ -273,8 +385,12 @@ class LineWebhookHandler {
       imageGridFSId
     );
 
+    // Captioning/OCR runs in the background (organizations that opted out are skipped by the job)
+    const analyzeImage = !!imageGridFSId && config.llm.images.enabled;
+
     // Also create separate Message document for AI processing
-    await Message.create_message({
+    const imageMessage = await Message.create_message({
+      organization_id: session.organization_id,
       session_id: session.session_id,
       room_id: session.room_id,
       owner_id: session.owner_id,
@@ -285,30 +401,74 @@ class LineWebhookHandler {
       message: messageText,
       line_message_id: message.id,
       line_user_id: userId,
+      user_name: sender?.display_name || undefined,
+      user_profile_url: sender?.picture_url || undefined,
       room_type: session.room_type,
       sender_role: session.room_type === 'group' ? 'group_member' : 'user',
-      image_grid_fs_id: imageGridFSId
+      image_grid_fs_id: imageGridFSId,
+      image_analysis: analyzeImage ? { status: 'pending' } : undefined
     });
 
     console.log(`✅ Image message added to session ${session._id} and Message collection`);
+
+    if (analyzeImage) {
+      try {
+        await jobQueue.enqueue(JOB_TYPES.IMAGE_ANALYZE, {
+          message_id: imageMessage._id
+        }, {
+          organization_id: session.organization_id,
+          unique_key: `image:${imageMessage._id}`
+        });
+      } catch (error) {
+        // The summary job analyzes images that are still pending
+        console.error('❌ Failed to queue image analysis:', error.message);
+      }
+    }
   }
 
   /**
    * Process other message types
+   * Audio, video and file messages get a descriptive placeholder
+   * ("Voice message (0:12)") and are transcribed or text-extracted in the
+   * background (see services/media_processor).
+   * @param {LineContact|null} sender - Sender's contact (display name and picture)
    */
-  async process_other_message(session, userId, message, timestamp) {
+  async process_other_message(session, userId, message, timestamp, sender = null) {
     console.log(`📎 Processing ${message.type} message`);
 
+    const isMedia = MEDIA_MESSAGE_TYPES.includes(message.type);
+    const messageText = isMedia
+      ? describe_media(message.type, {
+        duration_ms: message.duration,
+        file_name: message.fileName,
+        size: message.fileSize
+      })
+      : `${message.type} message`;
+
+    // Content hosted outside LINE cannot be downloaded with the channel token
+    let mediaProcessing;
+    if (isMedia) {
+      if (message.contentProvider && message.contentProvider.type !== 'line') {
+        mediaProcessing = { status: 'skipped', error: 'content is hosted outside LINE', processed_at: new Date() };
+      } else if (message.fileSize && message.fileSize > max_bytes_for(message.type)) {
+        mediaProcessing = { status: 'skipped', error: `${message.fileSize} bytes exceeds the ${message.type} size limit`, processed_at: new Date() };
+      } else {
+        mediaProcessing = { status: 'pending' };
+      }
+      mediaProcessing.kind = message.type === 'file' ? 'document' : 'transcript';
+    }
+
     // Add to embedded message_logs for backward compatibility
     await session.add_message_log(
       'user',
       message.type,
-      `${message.type} message`,
+      messageText,
       message.id
     );
 
     // Also create separate Message document for AI processing
-    await Message.create_message({
+    const mediaMessage = await Message.create_message({
+      organization_id: session.organization_id,
       session_id: session.session_id,
       room_id: session.room_id,
       owner_id: session.owner_id,
@@ -316,35 +476,60 @@ class LineWebhookHandler {
       timestamp: new Date(timestamp),
       direction: 'user',
       message_type: message.type,
-      message: `${message.type} message`,
+      message: messageText,
       line_message_id: message.id,
       line_user_id: userId,
+      user_name: sender?.display_name || undefined,
+      user_profile_url: sender?.picture_url || undefined,
       room_type: session.room_type,
-      sender_role: session.room_type === 'group' ? 'group_member' : 'user'
+      sender_role: session.room_type === 'group' ? 'group_member' : 'user',
+      file_name: message.fileName,
+      media_size: message.fileSize,
+      media_duration_ms: message.duration,
+      media_processing: mediaProcessing
     });
 
     console.log(`✅ ${message.type} message added to session ${session._id} and Message collection`);
+
+    if (mediaProcessing?.status === 'pending') {
+      try {
+        await jobQueue.enqueue(JOB_TYPES.MEDIA_PROCESS, {
+          message_id: mediaMessage._id
+        }, {
+          organization_id: session.organization_id,
+          unique_key: `media:${mediaMessage._id}`
+        });
+      } catch (error) {
+        // The summary job processes media that is still pending
+        console.error('❌ Failed to queue media processing:', error.message);
+      }
+    }
   }
 
   /**
    * Check if session should be closed
-   * Uses centralized configuration (Single Source of Truth)
+   * Limits resolve room → organization → owner → global config (see session_trigger_resolver)
    * FIXED: Use Message collection count instead of embedded message_logs array
+   * @param {ChatSession} session - Active session
+   * @param {Object} sources - Preloaded { room, organization, owner } for trigger resolution
+   * @returns {Promise<boolean>}
    */
-  async should_close_session(session) {
+  async should_close_session(session, sources = {}) {
+    const trigger = await resolve_session_trigger_for(session, sources);
+
     // CRITICAL FIX: Count messages from Message collection, not embedded array
     // Embedded message_logs has 100 message hard limit and may drift out of sync
     const messageCount = await Message.countDocuments({ session_id: session.session_id });
     const sessionAge = Date.now() - session.start_time.getTime();
-    const hourLimit = this.sessionTimeoutHours * 60 * 60 * 1000; // Convert hours to milliseconds
+    const hourLimit = trigger.time_limit_hours * 60 * 60 * 1000; // Convert hours to milliseconds
 
-    if (messageCount >= this.maxMessagesPerSession) {
-      console.log(`📊 Session ${session._id} reached message limit (${messageCount}/${this.maxMessagesPerSession})`);
+    if (messageCount >= trigger.message_count) {
+      console.log(`📊 Session ${session._id} reached message limit (${messageCount}/${trigger.message_count}, from ${trigger.sources.message_count})`);
       return true;
     }
 
     if (sessionAge >= hourLimit) {
-      console.log(`⏰ Session ${session._id} reached time limit (${Math.round(sessionAge / (60 * 60 * 1000))}/${this.sessionTimeoutHours} hours)`);
+      console.log(`⏰ Session ${session._id} reached time limit (${Math.round(sessionAge / (60 * 60 * 1000))}/${trigger.time_limit_hours} hours, from ${trigger.sources.time_limit_hours})`);
       return true;
     }
 
@@ -352,35 +537,28 @@ class LineWebhookHandler {
   }
 
   /**
-   * Close session and generate AI summary
+   * Close session and queue AI summary generation
+   * The Gemini call runs in a background job worker, not in the webhook path.
    */
   async close_and_summarize_session(session, owner) {
-    console.log(`🔒 Closing session ${session._id} and generating summary`);
+    console.log(`🔒 Closing session ${session._id} and queueing summary`);
 
     try {
       // Mark session as summarizing
       await session.set_summarizing();
 
-      // Create summary record
-      const summary = await Summary.create_summary(
-        session._id,
-        session.room_id,
-        owner._id
-      );
-
-      // Generate AI summary
-      await geminiService.generate_chat_summary(session, summary);
-
-      // Update owner usage statistics
-      await owner.increment_usage('total_sessions');
-      await owner.increment_usage('total_summaries');
+      // Hand off AI summary generation to the background workers
+      const { job } = await queue_summary_generation(session, {
+        owner_id: owner._id,
+        count_session: true
+      });
 
-      console.log(`✅ Session ${session._id} closed and summarized`);
+      console.log(`✅ Session ${session._id} closed, summary job ${job._id} queued`);
 
     } catch (error) {
       console.error(`❌ Error closing/summarizing session ${session._id}:`, error);
 
-      // Still close the session even if summarization fails
+      // Still close the session even if queueing fails
       await session.close_session();
     }
   }
@@ -406,16 +584,245 @@ class LineWebhookHandler {
     // Could clean up user data or mark as inactive
   }
 
+  /**
+   * Handle join events (the OA was added to a group or multi-person chat)
+   * Creates the room right away, or reactivates it when the bot had left before.
+   * @param {Object} event - LINE join event
+   * @param {Object} channelOwner - Owner (LINE OA channel) that received the event
+   */
+  async handle_join_event(event, channelOwner = null) {
+    const { source, timestamp, replyToken } = event;
+    const lineRoomId = source.groupId || source.roomId;
+    if (!lineRoomId) return;
+
+    console.log(`📥 Bot joined ${source.type} ${lineRoomId}`);
+
+    try {
+      const owner = channelOwner || await this.get_or_create_default_owner();
+      const { room } = await this.find_or_create_chat_room(source, owner);
+
+      // Rejoining after a leave event: the room counts against the group quota again
+      const rejoined = await Room.findOneAndUpdate(
+        { _id: room._id, 'membership.bot_left_at': { $ne: null } },
+        { $set: { is_active: true, 'membership.bot_left_at': null } }
+      );
+      if (rejoined && room.organization_id && room.type === 'group') {
+        await Organization.updateOne({ _id: room.organization_id }, { $inc: { 'usage.current_groups': 1 } });
+        console.log(`♻️ Room ${room._id} reactivated after the bot rejoined`);
+      }
+
+      const memberCount = await this.get_chat_member_count(lineRoomId, owner);
+      await Room.updateOne({ _id: room._id }, {
+        $set: {
+          'membership.bot_joined_at': new Date(timestamp || Date.now()),
+          ...(memberCount !== null && { 'membership.member_count': memberCount })
+        }
+      });
+
+      // Groups of owners without an organization need an activation code first
+      if (!room.organization_id && replyToken) {
+        await lineService.for_owner(owner).reply_message(replyToken, [{
+          type: 'text',
+          text: '👋 Thanks for adding me!\n\nSend your organization\'s activation code (ORG-XXXX-XXXX) in this chat to start summarizing conversations.'
+        }]);
+      }
+    } catch (error) {
+      console.error(`❌ Error handling join event for ${lineRoomId}:`, error);
+    }
+  }
+
+  /**
+   * Handle leave events (the OA was removed from a group or multi-person chat)
+   * Deactivates the room, frees its group quota and summarizes the open session.
+   * @param {Object} event - LINE leave event
+   * @param {Object} channelOwner - Owner (LINE OA channel) that received the event
+   */
+  async handle_leave_event(event, channelOwner = null) {
+    const { source, timestamp } = event;
+    const lineRoomId = source.groupId || source.roomId;
+    if (!lineRoomId) return;
+
+    console.log(`📤 Bot left ${source.type} ${lineRoomId}`);
+
+    try {
+      const owner = channelOwner || await this.get_or_create_default_owner();
+
+      // Only the first leave event frees the quota (LINE may redeliver events)
+      const room = await Room.findOneAndUpdate(
+        { owner_id: owner._id, line_room_id: lineRoomId, 'membership.bot_left_at': null },
+        { $set: { is_active: false, 'membership.bot_left_at': new Date(timestamp || Date.now()) } },
+        { new: true }
+      );
+      if (!room) {
+        console.log(`ℹ️ No room to deactivate for ${lineRoomId}`);
+        return;
+      }
+
+      if (room.organization_id && room.type === 'group') {
+        await Organization.updateOne(
+          { _id: room.organization_id, 'usage.current_groups': { $gt: 0 } },
+          { $inc: { 'usage.current_groups': -1 } }
+        );
+      }
+      this.chatNameCache.delete(lineRoomId);
+
+      const session = await ChatSession.find_active_session(room._id);
+      if (session) {
+        await this.close_and_summarize_session(session, owner);
+      }
+
+      console.log(`✅ Room ${room._id} deactivated after the bot left`);
+    } catch (error) {
+      console.error(`❌ Error handling leave event for ${lineRoomId}:`, error);
+    }
+  }
+
+  /**
+   * Handle memberJoined / memberLeft events
+   * Updates the room's member count and the members' contact entries.
+   * @param {Object} event - LINE memberJoined or memberLeft event
+   * @param {Object} channelOwner - Owner (LINE OA channel) that received the event
+   * @param {boolean} joined - true = memberJoined, false = memberLeft
+   */
+  async handle_member_event(event, channelOwner = null, joined = true) {
+    const { source, timestamp } = event;
+    const lineRoomId = source.groupId || source.roomId;
+    const members = (joined ? event.joined?.members : event.left?.members) || [];
+    if (!lineRoomId || members.length === 0) return;
+
+    try {
+      const owner = channelOwner || await this.get_or_create_default_owner();
+      const room = await Room.findOne({ owner_id: owner._id, line_room_id: lineRoomId });
+      if (!room) {
+        console.log(`ℹ️ Member ${joined ? 'join' : 'leave'} in unknown chat ${lineRoomId}, ignored`);
+        return;
+      }
+
+      const changedAt = new Date(timestamp || Date.now());
+      const memberCount = await this.get_chat_member_count(lineRoomId, owner);
+      await Room.updateOne({ _id: room._id }, {
+        $set: {
+          'membership.last_member_change_at': changedAt,
+          'statistics.last_activity_at': changedAt,
+          ...(memberCount !== null && { 'membership.member_count': memberCount })
+        }
+      });
+
+      const updated = await record_member_change({
+        organization_id: room.organization_id || owner.organization_id,
+        owner,
+        room,
+        line_user_ids: members.filter(member => member.userId).map(member => member.userId),
+        joined,
+        timestamp: changedAt
+      });
+
+      console.log(`👥 ${members.length} member(s) ${joined ? 'joined' : 'left'} room ${room._id} (${updated} contact(s) updated)`);
+    } catch (error) {
+      console.error(`❌ Error handling member ${joined ? 'join' : 'leave'} event for ${lineRoomId}:`, error);
+    }
+  }
+
+  /**
+   * Handle unsend events (a user unsent a message)
+   * The stored message is replaced with a tombstone: its text and downloaded
+   * content are deleted and it is left out of search, Q&A and new summaries.
+   * Summaries generated before the unsend are kept as they are.
+   * @param {Object} event - LINE unsend event
+   */
+  async handle_unsend_event(event) {
+    const { source } = event;
+    const lineMessageId = event.unsend?.messageId;
+    const lineRoomId = source.groupId || source.roomId || source.userId;
+    if (!lineMessageId) return;
+
+    console.log(`↩️ Message ${lineMessageId} unsent in ${lineRoomId}`);
+
+    try {
+      const messages = await Message.find({ line_message_id: lineMessageId, line_room_id: lineRoomId });
+      if (messages.length === 0) {
+        console.log(`ℹ️ Unsent message ${lineMessageId} was not stored`);
+        return;
+      }
+
+      for (const msg of messages) {
+        if (msg.image_grid_fs_id) {
+          await lineService.delete_saved_content('images', msg.image_grid_fs_id);
+        }
+        if (msg.media_grid_fs_id) {
+          await lineService.delete_saved_content('media', msg.media_grid_fs_id);
+        }
+        msg.tombstone();
+        await msg.save();
+
+        // Legacy sessions also keep a copy of the message
+        await ChatSession.updateOne(
+          { session_id: msg.session_id, 'message_logs.line_message_id': lineMessageId },
+          { $set: { 'message_logs.$.message': UNSENT_PLACEHOLDER, 'message_logs.$.image_grid_fs_id': null } }
+        );
+      }
+
+      const messageIds = messages.map(msg => msg._id);
+      await Embedding.deleteMany({ source_type: 'message', source_id: { $in: messageIds } });
+      await AlertFiring.updateMany({ message_id: { $in: messageIds } }, { $set: { excerpt: null } });
+
+      console.log(`✅ Replaced ${messages.length} unsent message(s) with a tombstone`);
+    } catch (error) {
+      console.error(`❌ Error handling unsend event for ${lineMessageId}:`, error);
+    }
+  }
+
+  /**
+   * Handle postback events (buttons of bot replies)
+   * Buttons send "command=<name>&args=<args>" and run like the typed command.
+   * @param {Object} event - LINE postback event
+   * @param {Object} channelOwner - Owner (LINE OA channel) that received the event
+   */
+  async handle_postback_event(event, channelOwner = null) {
+    const { source } = event;
+    const lineRoomId = source.groupId || source.roomId;
+    const params = new URLSearchParams(event.postback?.data || '');
+    const commandName = params.get('command');
+
+    if (commandName && lineRoomId) {
+      const args = params.get('args');
+      const command = parse_bot_command(`/${commandName}${args ? ` ${args}` : ''}`);
+      if (command && await this.handle_bot_command(event, lineRoomId, command, channelOwner)) {
+        return;
+      }
+    }
+
+    console.log(`⚠️ Unhandled postback: ${event.postback?.data}`);
+  }
+
+  /**
+   * Current member count of a group or multi-person chat
+   * @param {string} lineRoomId - Group (C...) or room (R...) ID
+   * @param {Object} owner - Owner whose channel token is used for the lookup
+   * @returns {Promise<number|null>} null when LINE did not return it
+   */
+  async get_chat_member_count(lineRoomId, owner = null) {
+    try {
+      return await lineService.for_owner(owner).get_member_count(lineRoomId);
+    } catch (error) {
+      console.log(`⚠️ Could not fetch member count for ${lineRoomId}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Handle activation code to link LINE group to organization
    * @param {Object} event - LINE message event
    * @param {string} lineRoomId - LINE room ID
    * @param {string} activationCode - The activation code
    * @param {string} replyToken - Reply token for sending response
+   * @param {Object} channelOwner - Owner (LINE OA channel) that received the code
    */
-  async handle_activation_code(event, lineRoomId, activationCode, replyToken) {
+  async handle_activation_code(event, lineRoomId, activationCode, replyToken, channelOwner = null) {
     console.log(`🔑 Processing activation code: ${activationCode} for room: ${lineRoomId}`);
 
+    const lineClient = lineService.for_owner(channelOwner);
+
     try {
       // Find organization by activation code
       const organization = await Organization.find_by_activation_code(activationCode);
@@ -423,7 +830,7 @@ class LineWebhookHandler {
       if (!organization) {
         console.log(`❌ Invalid activation code: ${activationCode}`);
         if (replyToken) {
-          await lineService.reply_message(replyToken, {
+          await lineClient.reply_message(replyToken, {
             type: 'text',
             text: `❌ Invalid activation code: ${activationCode}\n\nPlease check the code and try again.`
           });
@@ -439,7 +846,7 @@ class LineWebhookHandler {
       if (room && room.organization_id && room.organization_id.toString() === organization._id.toString()) {
         console.log(`ℹ️ Room ${lineRoomId} is already linked to ${organization.name}`);
         if (replyToken) {
-          await lineService.reply_message(replyToken, {
+          await lineClient.reply_message(replyToken, {
             type: 'text',
             text: `ℹ️ This group is already connected to "${organization.name}".`
           });
@@ -452,7 +859,7 @@ class LineWebhookHandler {
         const existingOrg = await Organization.findById(room.organization_id);
         console.log(`⚠️ Room ${lineRoomId} is currently linked to ${existingOrg?.name || 'unknown org'}`);
         if (replyToken) {
-          await lineService.reply_message(replyToken, {
+          await lineClient.reply_message(replyToken, {
             type: 'text',
             text: `⚠️ This group is already connected to another organization "${existingOrg?.name || 'Unknown'}". Please contact support if you need to transfer it.`
           });
@@ -461,7 +868,7 @@ class LineWebhookHandler {
       }
 
       // Get group name
-      const groupName = await this.get_group_chat_name(event.source.groupId || event.source.roomId) ||
+      const groupName = await this.get_group_chat_name(event.source.groupId || event.source.roomId, channelOwner) ||
         `Group Chat (${lineRoomId.substring(0, 8)})`;
 
       // Create or update room with organization
@@ -472,8 +879,8 @@ class LineWebhookHandler {
         await room.save();
         console.log(`✅ Updated existing room ${room._id} with organization ${organization._id}`);
       } else {
-        // Get or create default owner for the organization (we need an owner reference)
-        const owner = await this.get_or_create_default_owner();
+        // Use the receiving channel, or the default owner (we need an owner reference)
+        const owner = channelOwner || await this.get_or_create_default_owner();
 
         // Create new room linked to organization
         room = await Room.create({
@@ -500,7 +907,7 @@ class LineWebhookHandler {
 
       // Send success message
       if (replyToken) {
-        await lineService.reply_message(replyToken, {
+        await lineClient.reply_message(replyToken, {
           type: 'text',
           text: `✅ Success! This group is now connected to "${organization.name}".\n\n🤖 I will automatically summarize your conversations.\n\n📊 View summaries at: ${process.env.FRONTEND_URL || 'https://your-app.com'}/dashboard/groups`
         });
@@ -512,7 +919,7 @@ class LineWebhookHandler {
       console.error('❌ Error handling activation code:', error);
       if (replyToken) {
         try {
-          await lineService.reply_message(replyToken, {
+          await lineClient.reply_message(replyToken, {
             type: 'text',
             text: `❌ An error occurred while processing the activation code. Please try again later.`
           });
@@ -523,6 +930,280 @@ class LineWebhookHandler {
     }
   }
 
+  /**
+   * Handle a bot command sent in a group
+   * Commands run against the room's current session. Groups not linked to an
+   * organization, or whose organization turned commands off, store the text
+   * as a normal message instead.
+   * @param {Object} event - LINE message event
+   * @param {string} lineRoomId - LINE room ID
+   * @param {Object} command - Parsed command { name, args }
+   * @param {Object} channelOwner - Owner (LINE OA channel) that received the command; the room is looked up under it
+   * @returns {Promise<boolean>} Whether the command was handled
+   */
+  async handle_bot_command(event, lineRoomId, command, channelOwner = null) {
+    // The same group can be linked under several channels; use the receiving one
+    const owner = channelOwner || await this.get_or_create_default_owner();
+    const room = await Room.findOne({ owner_id: owner._id, line_room_id: lineRoomId });
+    const organization = room?.organization_id ? await Organization.findById(room.organization_id) : null;
+
+    if (!organization) {
+      return false;
+    }
+
+    const enabledCommands = get_enabled_commands(organization);
+    if (enabledCommands.length === 0) {
+      return false;
+    }
+
+    console.log(`🤖 Bot command /${command.name}${command.args ? ` ${command.args}` : ''} in room ${room._id} from ${event.source.userId}`);
+
+    let reply;
+    try {
+      if (!enabledCommands.includes(command.name)) {
+        reply = build_command_reply({
+          title: 'Command unavailable',
+          color: '#6b7280',
+          lines: [`/${command.name} is turned off for this group.`, ...get_command_usage(enabledCommands)]
+        });
+      } else {
+        switch (command.name) {
+          case 'summary':
+            if (command.args === 'today') {
+              reply = await this.run_summary_today_command(room, organization);
+            } else if (!command.args) {
+              reply = await this.run_summary_command(room, organization, channelOwner);
+            } else {
+              reply = build_command_reply({
+                title: 'Unknown option',
+                color: '#6b7280',
+                lines: get_command_usage(['summary'])
+              });
+            }
+            break;
+
+          case 'status':
+            reply = await this.run_status_command(room, organization);
+            break;
+
+          case 'pause':
+            reply = await this.run_pause_command(room, organization, event.source.userId, true);
+            break;
+
+          case 'resume':
+            reply = await this.run_pause_command(room, organization, event.source.userId, false);
+            break;
+
+          default:
+            reply = build_command_reply({
+              title: 'Commands',
+              lines: get_command_usage(enabledCommands),
+              buttons: [
+                { label: 'Summarize now', command: 'summary' },
+                { label: 'Today\'s summaries', command: 'summary', args: 'today' },
+                { label: 'Status', command: 'status' }
+              ].filter(button => enabledCommands.includes(button.command))
+            });
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Error handling bot command /${command.name}:`, error);
+      reply = { type: 'text', text: '❌ An error occurred while running the command. Please try again later.' };
+    }
+
+    if (event.replyToken) {
+      try {
+        await lineService.for_owner(channelOwner).reply_message(event.replyToken, [reply]);
+      } catch (replyError) {
+        console.error('❌ Failed to send command reply:', replyError.message);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * /summary: close the current session and queue its summary now
+   * Respects the plan (AI summaries enabled) and the monthly AI budget.
+   * @param {Room} room - Room
+   * @param {Organization} organization - Room organization
+   * @param {Object} channelOwner - Owner (LINE OA channel) that received the command
+   * @returns {Promise<Object>} Flex reply
+   */
+  async run_summary_command(room, organization, channelOwner) {
+    const check = organization.can_perform_action('generate_summary');
+    if (!check.allowed) {
+      return build_command_reply({
+        title: 'Summary unavailable',
+        color: '#b91c1c',
+        lines: [check.reason]
+      });
+    }
+
+    const timezone = organization.settings?.timezone;
+    const session = await ChatSession.find_active_session(room._id);
+    const messageCount = session ? await Message.countDocuments({ session_id: session.session_id, unsent_at: null }) : 0;
+
+    if (!session || messageCount < this.minMessagesForSummary) {
+      const latest = await Summary.findOne({ room_id: room._id, status: 'completed' })
+        .sort({ created_at: -1 })
+        .select('session_id content created_at');
+
+      return build_command_reply({
+        title: 'Nothing new to summarize',
+        color: '#6b7280',
+        lines: latest
+          ? [{ text: `Latest summary (${format_local_time(latest.created_at, timezone)})`, bold: true }, truncate_summary(latest.content)]
+          : ['No messages have been recorded since the last summary.'],
+        link: latest ? { label: 'Open in dashboard', uri: get_session_url(latest.session_id) } : null
+      });
+    }
+
+    const owner = await Owner.findById(session.owner_id) || channelOwner || await this.get_or_create_default_owner();
+    await this.close_and_summarize_session(session, owner);
+
+    return build_command_reply({
+      title: 'Summarizing',
+      lines: [
+        `Summarizing ${messageCount} message${messageCount === 1 ? '' : 's'} since ${format_local_time(session.start_time, timezone)}.`,
+        'The summary will be in the dashboard in a minute.'
+      ],
+      link: { label: 'Open in dashboard', uri: get_session_url(session.session_id) }
+    });
+  }
+
+  /**
+   * /summary today: the room's summaries completed since local midnight
+   * @param {Room} room - Room
+   * @param {Organization} organization - Room organization (timezone)
+   * @returns {Promise<Object>} Flex reply
+   */
+  async run_summary_today_command(room, organization) {
+    const timezone = organization.settings?.timezone;
+    const since = get_local_midnight(get_local_time(new Date(), timezone).day, timezone);
+
+    const [summaries, total] = await Promise.all([
+      Summary.find({ room_id: room._id, status: 'completed', created_at: { $gte: since } })
+        .sort({ created_at: -1 })
+        .limit(TODAY_SUMMARY_LIMIT)
+        .select('session_id content key_topics created_at'),
+      Summary.countDocuments({ room_id: room._id, status: 'completed', created_at: { $gte: since } })
+    ]);
+
+    if (summaries.length === 0) {
+      return build_command_reply({
+        title: 'Today\'s summaries',
+        color: '#6b7280',
+        lines: ['No summaries yet today. Send /summary to summarize the conversation so far.']
+      });
+    }
+
+    const lines = summaries.flatMap(summary => [
+      { text: format_local_time(summary.created_at, timezone), bold: true, margin: 'md' },
+      truncate_summary(summary.content),
+      ...(summary.key_topics?.length ? [{ text: `Topics: ${summary.key_topics.slice(0, 5).join(', ')}`, color: '#6b7280' }] : [])
+    ]);
+    if (total > summaries.length) {
+      lines.push({ text: `+${total - summaries.length} earlier summaries in the dashboard`, color: '#6b7280', margin: 'md' });
+    }
+
+    return build_command_reply({
+      title: `Today's summaries (${total})`,
+      lines,
+      link: { label: 'Open latest in dashboard', uri: get_session_url(summaries[0].session_id) }
+    });
+  }
+
+  /**
+   * /status: recording state, current session and summary availability
+   * @param {Room} room - Room
+   * @param {Organization} organization - Room organization
+   * @returns {Promise<Object>} Flex reply
+   */
+  async run_status_command(room, organization) {
+    const timezone = organization.settings?.timezone;
+    const [session, latest] = await Promise.all([
+      ChatSession.find_active_session(room._id),
+      Summary.findOne({ room_id: room._id, status: 'completed' }).sort({ created_at: -1 }).select('created_at')
+    ]);
+    const messageCount = session ? await Message.countDocuments({ session_id: session.session_id, unsent_at: null }) : 0;
+    const check = organization.can_perform_action('generate_summary');
+
+    const lines = [
+      room.capture?.paused
+        ? { text: `⏸️ Recording paused since ${format_local_time(room.capture.paused_at, timezone)}`, color: '#b45309' }
+        : '🟢 Recording messages',
+      session
+        ? `Current session: ${messageCount} message${messageCount === 1 ? '' : 's'} since ${format_local_time(session.start_time, timezone)}`
+        : 'Current session: none',
+      `Last summary: ${latest ? format_local_time(latest.created_at, timezone) : 'none yet'}`,
+      check.allowed ? 'AI summaries: available' : { text: `AI summaries: ${check.reason}`, color: '#b91c1c' }
+    ];
+
+    const enabledCommands = get_enabled_commands(organization);
+    const buttons = [];
+    if (session && check.allowed && enabledCommands.includes('summary')) {
+      buttons.push({ label: 'Summarize now', command: 'summary' });
+    }
+    const captureCommand = room.capture?.paused ? 'resume' : 'pause';
+    if (enabledCommands.includes(captureCommand)) {
+      buttons.push({ label: room.capture?.paused ? 'Resume recording' : 'Pause recording', command: captureCommand });
+    }
+
+    return build_command_reply({
+      title: `${room.assignment?.custom_name || room.name} – ${organization.name}`,
+      lines,
+      buttons
+    });
+  }
+
+  /**
+   * /pause and /resume: stop or restart storing the group's messages
+   * The current session stays open; paused messages are never stored. Only
+   * staff (contacts linked to an organization member) may use them.
+   * @param {Room} room - Room
+   * @param {Organization} organization - Room organization
+   * @param {string} lineUserId - LINE user that sent the command
+   * @param {boolean} paused - Pause (true) or resume (false)
+   * @returns {Promise<Object>} Flex reply
+   */
+  async run_pause_command(room, organization, lineUserId, paused) {
+    if (!await is_staff_line_user(organization._id, lineUserId)) {
+      console.log(`🚫 /${paused ? 'pause' : 'resume'} in room ${room._id} refused: ${lineUserId} is not linked to a member`);
+      return build_command_reply({
+        title: 'Staff only',
+        color: '#6b7280',
+        lines: [
+          `Only staff can use /${paused ? 'pause' : 'resume'} in this group.`,
+          'An admin can link your LINE account to your member account under Group Chats → Contacts.'
+        ]
+      });
+    }
+
+    if (!!room.capture?.paused === paused) {
+      return build_command_reply({
+        title: paused ? 'Already paused' : 'Already recording',
+        color: '#6b7280',
+        lines: [paused ? 'Send /resume to start recording again.' : 'Send /pause to stop recording.']
+      });
+    }
+
+    room.capture = paused
+      ? { paused: true, paused_at: new Date(), paused_by: lineUserId || null }
+      : { paused: false, paused_at: null, paused_by: null };
+    await room.save();
+
+    console.log(`${paused ? '⏸️' : '▶️'} Room ${room._id} recording ${paused ? 'paused' : 'resumed'} by ${lineUserId}`);
+
+    return build_command_reply({
+      title: paused ? 'Recording paused' : 'Recording resumed',
+      color: paused ? '#b45309' : '#06c755',
+      lines: [paused
+        ? 'Messages in this group are not stored or summarized until staff send /resume.'
+        : 'Messages in this group are stored and summarized again.']
+    });
+  }
+
   /**
    * Get or create default owner to bypass owner requirement
    */
@@ -551,14 +1232,40 @@ class LineWebhookHandler {
     }
   }
 
+  /**
+   * Chat name from the cache, fetched again after LINE_CHAT_NAME_CACHE_MINUTES
+   * Names are only needed to create rooms and sessions, so most messages skip the LINE API.
+   * @param {string} lineRoomId - Group or user ID
+   * @param {Function} fetch_name - Fetches the name (resolves null when unknown)
+   * @returns {Promise<string|null>}
+   */
+  async get_cached_chat_name(lineRoomId, fetch_name) {
+    const cached = this.chatNameCache.get(lineRoomId);
+    if (cached && cached.expires_at > Date.now()) {
+      return cached.name;
+    }
+
+    const name = await fetch_name();
+    // Failed lookups are not cached so the next message tries again
+    if (name) {
+      this.chatNameCache.set(lineRoomId, {
+        name,
+        expires_at: Date.now() + config.line.chatNameCacheMinutes * 60 * 1000
+      });
+    }
+    return name;
+  }
+
   /**
    * Get real group chat name from LINE API
+   * @param {string} groupId - LINE group ID
+   * @param {Object} owner - Owner whose channel token is used for the lookup
    */
-  async get_group_chat_name(groupId) {
+  async get_group_chat_name(groupId, owner = null) {
     try {
       console.log(`🏷️ Fetching group name for ${groupId}`);
 
-      const response = await lineService.get_group_summary(groupId);
+      const response = await lineService.for_owner(owner).get_group_summary(groupId);
       const groupName = response?.groupName || null;
 
       if (groupName) {
@@ -589,12 +1296,14 @@ class LineWebhookHandler {
 
   /**
    * Get user display name from LINE API
+   * @param {string} userId - LINE user ID
+   * @param {Object} owner - Owner whose channel token is used for the lookup
    */
-  async get_user_display_name(userId) {
+  async get_user_display_name(userId, owner = null) {
     try {
       console.log(`👤 Fetching user profile for ${userId}`);
 
-      const profile = await lineService.get_user_profile(userId);
+      const profile = await lineService.for_owner(owner).get_user_profile(userId);
       const displayName = profile?.displayName || null;
 
       if (displayName) {
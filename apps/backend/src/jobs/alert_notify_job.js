@@ -0,0 +1,32 @@
+/**
+ * Alert Notification Job
+ * Worker handler for `alert:notify` jobs. Sends the email, LINE push and
+ * webhook notifications of an alert raised by an AlertRule.
+ *
+ * Payload: { alert_id }
+ *
+ * @module jobs/alert_notify_job
+ */
+
+const { send_alert_notifications } = require('../services/alerts');
+
+/**
+ * Send a queued alert's notifications
+ * Throwing (failed notifications) makes the queue retry the job with
+ * backoff; notifications already sent are skipped.
+ * @param {Job} job - Claimed job document
+ * @returns {Promise<Object>} Job result stored on the job document
+ */
+async function handle_alert_notify(job) {
+  const { alert_id } = job.payload || {};
+  console.log(`📣 Alert notification job ${job._id} for alert ${alert_id}`);
+
+  const counts = await send_alert_notifications(alert_id);
+
+  return {
+    alert_id,
+    ...counts
+  };
+}
+
+module.exports = handle_alert_notify;
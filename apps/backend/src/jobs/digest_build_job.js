@@ -0,0 +1,44 @@
+/**
+ * Digest Build Job
+ * Worker handler for `digest:build` jobs. Builds an organization's daily or
+ * weekly digest and sends it to subscribed members; queued by the
+ * `digests:queue_due` scheduled task and by digests.generate.
+ *
+ * Payload: { organization_id, frequency, period_key, deliver, rebuild }
+ *
+ * @module jobs/digest_build_job
+ */
+
+const { Organization } = require('../models');
+const { get_period, build_digest, deliver_digest } = require('../services/digest');
+
+/**
+ * Build and deliver a queued digest
+ * Throwing (database errors) makes the queue retry the job; a completed
+ * digest is only rebuilt on request and members already sent to are skipped.
+ * @param {Job} job - Claimed job document
+ * @returns {Promise<Object>} Job result stored on the job document
+ */
+async function handle_digest_build(job) {
+  const { organization_id, frequency, period_key, deliver = true, rebuild = false } = job.payload || {};
+  console.log(`📰 Digest job ${job._id} for organization ${organization_id} (${frequency} ${period_key})`);
+
+  const organization = await Organization.findById(organization_id).select('name settings');
+  if (!organization) {
+    // Organization deleted since the job was queued
+    return { organization_id, skipped: true };
+  }
+
+  const period = get_period(frequency, period_key, organization.settings?.timezone || 'UTC');
+  const digest = await build_digest(organization, frequency, period, { rebuild });
+  const deliveries = deliver ? await deliver_digest(digest, organization) : null;
+
+  return {
+    organization_id,
+    digest_id: digest._id,
+    totals: digest.totals,
+    deliveries
+  };
+}
+
+module.exports = handle_digest_build;
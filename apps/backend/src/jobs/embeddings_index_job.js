@@ -0,0 +1,39 @@
+/**
+ * Embeddings Index Job
+ * Worker handler for `embeddings:index` jobs. Embeds a session's messages
+ * and summaries for semantic search; queued after each summary and by
+ * search.reindex.
+ *
+ * Payload: { session_id }
+ *
+ * @module jobs/embeddings_index_job
+ */
+
+const { ChatSession } = require('../models');
+const { index_session } = require('../services/semantic_index');
+
+/**
+ * Index the messages and summaries of a queued session
+ * Throwing (embedding API errors) makes the queue retry the job with backoff.
+ * @param {Job} job - Claimed job document
+ * @returns {Promise<Object>} Job result stored on the job document
+ */
+async function handle_embeddings_index(job) {
+  const { session_id } = job.payload || {};
+  console.log(`🧮 Embeddings job ${job._id} for session ${session_id}`);
+
+  const session = await ChatSession.findById(session_id);
+  if (!session) {
+    // Deleted with its room or organization; nothing to do
+    return { session_id, skipped: true };
+  }
+
+  const result = await index_session(session);
+
+  return {
+    session_id,
+    ...result
+  };
+}
+
+module.exports = handle_embeddings_index;
@@ -0,0 +1,51 @@
+/**
+ * Image Analysis Job
+ * Worker handler for `image:analyze` jobs. Captions and OCRs a chat image
+ * right after it is received so it is searchable before the session closes.
+ * Organizations over their monthly AI budget are skipped; the image stays
+ * unanalyzed and is picked up when its session is summarized.
+ *
+ * Payload: { message_id }
+ *
+ * @module jobs/image_analyze_job
+ */
+
+const { Message, Organization } = require('../models');
+const { analyze_message_image } = require('../services/image_analyzer');
+const { check_ai_budget } = require('../services/ai_usage');
+
+/**
+ * Analyze the image of a queued message
+ * Throwing (model errors) makes the queue retry the job with backoff.
+ * @param {Job} job - Claimed job document
+ * @returns {Promise<Object>} Job result stored on the job document
+ */
+async function handle_image_analyze(job) {
+  const { message_id } = job.payload || {};
+  console.log(`🖼️ Image analysis job ${job._id} for message ${message_id}`);
+
+  const message = await Message.findById(message_id);
+  if (!message || message.unsent_at) {
+    // Deleted with its room or organization, or unsent by the sender; nothing to do
+    return { message_id, skipped: true };
+  }
+
+  const organization = message.organization_id
+    ? await Organization.findById(message.organization_id).select('settings limits usage')
+    : null;
+  const reason = check_ai_budget(organization);
+  if (reason) {
+    console.warn(`💸 Skipping image analysis for message ${message_id}: ${reason}`);
+    return { message_id, skipped: true, reason };
+  }
+
+  const analysis = await analyze_message_image(message, { organization });
+
+  return {
+    message_id,
+    status: analysis?.status || null,
+    tokens_used: analysis?.tokens_used || 0
+  };
+}
+
+module.exports = handle_image_analyze;
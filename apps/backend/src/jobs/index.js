@@ -0,0 +1,35 @@
+/**
+ * Job Handlers Index
+ * Registers all background job handlers with the job queue
+ */
+
+const jobQueue = require('../services/job_queue');
+const handle_summary_generate = require('./summary_generate_job');
+const handle_image_analyze = require('./image_analyze_job');
+const handle_media_process = require('./media_process_job');
+const handle_embeddings_index = require('./embeddings_index_job');
+const handle_digest_build = require('./digest_build_job');
+const handle_summary_deliver = require('./summary_deliver_job');
+const handle_alert_notify = require('./alert_notify_job');
+
+const { JOB_TYPES } = jobQueue;
+
+/**
+ * Register built-in job handlers
+ * @returns {JobQueue} The job queue singleton
+ */
+function register_job_handlers() {
+  jobQueue.register(JOB_TYPES.SUMMARY_GENERATE, handle_summary_generate);
+  jobQueue.register(JOB_TYPES.IMAGE_ANALYZE, handle_image_analyze);
+  jobQueue.register(JOB_TYPES.MEDIA_PROCESS, handle_media_process);
+  jobQueue.register(JOB_TYPES.EMBEDDINGS_INDEX, handle_embeddings_index);
+  jobQueue.register(JOB_TYPES.DIGEST_BUILD, handle_digest_build);
+  jobQueue.register(JOB_TYPES.SUMMARY_DELIVER, handle_summary_deliver);
+  jobQueue.register(JOB_TYPES.ALERT_NOTIFY, handle_alert_notify);
+  return jobQueue;
+}
+
+module.exports = {
+  register_job_handlers,
+  JOB_TYPES
+};
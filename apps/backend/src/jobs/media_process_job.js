@@ -0,0 +1,53 @@
+/**
+ * Media Processing Job
+ * Worker handler for `media:process` jobs. Downloads a voice message, video
+ * or file right after it is received (LINE keeps content only for a limited
+ * time) and stores its transcript or document text in the message.
+ * Organizations over their monthly AI budget still get the content saved,
+ * but voice and video transcription waits until the session is summarized.
+ *
+ * Payload: { message_id }
+ *
+ * @module jobs/media_process_job
+ */
+
+const { Message, Organization } = require('../models');
+const { process_media_message } = require('../services/media_processor');
+const { check_ai_budget } = require('../services/ai_usage');
+
+/**
+ * Process the media of a queued message
+ * Throwing (download or STT errors) makes the queue retry the job with backoff.
+ * @param {Job} job - Claimed job document
+ * @returns {Promise<Object>} Job result stored on the job document
+ */
+async function handle_media_process(job) {
+  const { message_id } = job.payload || {};
+  console.log(`🎧 Media processing job ${job._id} for message ${message_id}`);
+
+  const message = await Message.findById(message_id);
+  if (!message || message.unsent_at) {
+    // Deleted with its room or organization, or unsent by the sender; nothing to do
+    return { message_id, skipped: true };
+  }
+
+  const organization = message.organization_id
+    ? await Organization.findById(message.organization_id).select('limits usage')
+    : null;
+  const reason = check_ai_budget(organization);
+  if (reason) {
+    console.warn(`💸 Not transcribing media message ${message_id}: ${reason}`);
+  }
+
+  const processing = await process_media_message(message, { transcribe: !reason });
+
+  return {
+    message_id,
+    status: processing?.status || null,
+    kind: processing?.kind || null,
+    text_length: processing?.text_length || 0,
+    ...(reason && { reason })
+  };
+}
+
+module.exports = handle_media_process;
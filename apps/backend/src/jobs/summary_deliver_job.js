@@ -0,0 +1,33 @@
+/**
+ * Summary Delivery Job
+ * Worker handler for `summary:deliver` jobs. Pushes a completed summary into
+ * its LINE chat as a Flex card; queued when a summary completes in a room
+ * with settings.deliver_to_chat (run_at = end of quiet hours when deferred).
+ *
+ * Payload: { summary_id }
+ *
+ * @module jobs/summary_deliver_job
+ */
+
+const { deliver_summary } = require('../services/summary_delivery');
+
+/**
+ * Deliver a queued summary to its chat
+ * Throwing (LINE push errors) makes the queue retry the job with backoff;
+ * summaries already sent are skipped.
+ * @param {Job} job - Claimed job document
+ * @returns {Promise<Object>} Job result stored on the job document
+ */
+async function handle_summary_deliver(job) {
+  const { summary_id } = job.payload || {};
+  console.log(`📮 Summary delivery job ${job._id} for summary ${summary_id}`);
+
+  const result = await deliver_summary(summary_id);
+
+  return {
+    summary_id,
+    ...result
+  };
+}
+
+module.exports = handle_summary_deliver;
@@ -0,0 +1,75 @@
+/**
+ * Summary Generation Job
+ * Worker handler for `summary:generate` jobs. Runs the LLM summary for a
+ * closed (or manually summarized) chat session outside the webhook/request path.
+ *
+ * Payload: { session_id, summary_id, owner_id, count_session }
+ *
+ * @module jobs/summary_generate_job
+ */
+
+const { ChatSession, Summary, Organization } = require('../models');
+const { generate_summary } = require('../services/summary_generation');
+const { check_ai_budget } = require('../services/ai_usage');
+
+/**
+ * Generate the AI summary for a queued session
+ * Throwing makes the queue retry the job with backoff; the summary record
+ * is reset to 'processing' at the start of each retry. Organizations over
+ * their monthly AI budget get a failed summary and no retry.
+ * @param {Job} job - Claimed job document
+ * @returns {Promise<Object>} Job result stored on the job document
+ */
+async function handle_summary_generate(job) {
+  const { session_id, summary_id, owner_id, count_session } = job.payload || {};
+  console.log(`🤖 Summary job ${job._id} for session ${session_id}`);
+
+  const session = await ChatSession.findById(session_id);
+  if (!session) {
+    throw new Error(`Session not found: ${session_id}`);
+  }
+
+  let summary = summary_id ? await Summary.findById(summary_id) : null;
+  if (!summary) {
+    summary = await Summary.create_summary(session._id, session.room_id, owner_id || session.owner_id);
+    summary.organization_id = session.organization_id;
+    await summary.save();
+  }
+
+  // Already done (e.g. job re-claimed after a crash right after completion)
+  if (summary.status === 'completed') {
+    if (!session.summary_id) {
+      await session.attach_summary(summary._id);
+    }
+    return { summary_id: summary._id, session_id: session._id, skipped: true };
+  }
+
+  if (summary.status === 'failed') {
+    summary.status = 'processing';
+    summary.error_message = null;
+    await summary.save();
+  }
+
+  // Over the monthly AI budget: fail without retrying (retries would not succeed before next month)
+  const organization = session.organization_id
+    ? await Organization.findById(session.organization_id).select('limits usage')
+    : null;
+  const reason = check_ai_budget(organization);
+  if (reason) {
+    console.warn(`💸 Skipping summary for session ${session._id}: ${reason}`);
+    await summary.mark_failed(reason);
+    await session.close_session();
+    return { summary_id: summary._id, session_id: session._id, skipped: true, reason };
+  }
+
+  // Generation and follow-up steps (usage, indexing, delivery, alerts)
+  await generate_summary(session, summary, { owner_id, count_session });
+
+  return {
+    summary_id: summary._id,
+    session_id: session._id,
+    tokens_used: summary.gemini_metadata?.tokens_used || 0
+  };
+}
+
+module.exports = handle_summary_generate;
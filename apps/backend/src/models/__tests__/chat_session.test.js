@@ -0,0 +1,44 @@
+const ChatSession = require('../chat_session');
+
+function make_session(logCount) {
+  const session = new ChatSession({
+    session_id: 'session-1',
+    room_id: '507f1f77bcf86cd799439011',
+    line_room_id: 'line-room-1',
+    room_name: 'Room',
+    room_type: 'group',
+    status: 'active',
+    start_time: new Date()
+  });
+  for (let i = 0; i < logCount; i++) {
+    session.message_logs.push({ timestamp: new Date(), direction: 'user', message_type: 'text', message: `m${i}` });
+  }
+  jest.spyOn(session, 'save').mockResolvedValue(session);
+  return session;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('add_message_log', () => {
+  test('appends while the embedded log has room', async () => {
+    const session = make_session(3);
+
+    await session.add_message_log('user', 'text', 'hello');
+
+    expect(session.message_logs).toHaveLength(4);
+    expect(session.status).toBe('active');
+  });
+
+  test('keeps a full session open so a trigger above 100 messages can fire', async () => {
+    const session = make_session(100);
+
+    await session.add_message_log('user', 'text', 'message 101');
+
+    expect(session.message_logs).toHaveLength(100);
+    expect(session.status).toBe('active');
+    expect(session.end_time).toBeFalsy();
+    expect(session.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+const Job = require('../job');
+
+function make_job(overrides = {}) {
+  return new Job({ type: 'summary:generate', status: 'running', locked_by: 'worker-a', attempts: 1, max_attempts: 3, ...overrides });
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('mark_completed', () => {
+  test('only updates a running job locked by the worker', async () => {
+    const job = make_job();
+    const update = jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(job);
+
+    await expect(job.mark_completed('worker-a', { ok: true })).resolves.toBe(job);
+
+    const [filter, changes] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: job._id, status: 'running', locked_by: 'worker-a' });
+    expect(changes.$set).toMatchObject({ status: 'completed', result: { ok: true }, locked_by: null });
+  });
+
+  test('returns null when the lock was reclaimed by another worker', async () => {
+    jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(make_job().mark_completed('worker-b')).resolves.toBeNull();
+  });
+});
+
+describe('mark_failed', () => {
+  test('schedules a retry under the lock filter', async () => {
+    const job = make_job();
+    const update = jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(job);
+
+    await job.mark_failed('worker-a', new Error('boom'), 1000);
+
+    const [filter, changes] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: job._id, status: 'running', locked_by: 'worker-a' });
+    expect(changes.$set).toMatchObject({ status: 'failed', last_error: 'boom' });
+    expect(changes.$push.error_history).toMatchObject({ attempt: 1, message: 'boom' });
+  });
+
+  test('dead-letters the job once attempts are exhausted', async () => {
+    const job = make_job({ attempts: 3 });
+    const update = jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(job);
+
+    await job.mark_failed('worker-a', 'boom');
+
+    expect(update.mock.calls[0][1].$set.status).toBe('dead');
+  });
+
+  test('returns null when the lock was lost', async () => {
+    jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(make_job().mark_failed('worker-b', 'boom')).resolves.toBeNull();
+  });
+});
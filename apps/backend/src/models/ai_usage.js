@@ -0,0 +1,146 @@
+/**
+ * AiUsage Model
+ * Daily rollup of an organization's LLM calls (see services/ai_usage). One
+ * document per organization, day (organization timezone), feature, provider
+ * and model; counters are only ever incremented.
+ */
+
+const { Schema, model } = require('mongoose');
+
+const AI_USAGE_FEATURES = ['summary', 'template_preview', 'image', 'translation', 'question'];
+
+const AiUsageSchema = new Schema({
+  organization_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/,
+    description: 'Day in the organization timezone (YYYY-MM-DD)'
+  },
+  month: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}$/,
+    description: 'Month of date (YYYY-MM), for monthly breakdowns'
+  },
+  feature: {
+    type: String,
+    enum: AI_USAGE_FEATURES,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  requests: {
+    type: Number,
+    default: 0,
+    description: 'Model calls (repair retries and map-reduce chunks count separately)'
+  },
+  prompt_tokens: {
+    type: Number,
+    default: 0
+  },
+  completion_tokens: {
+    type: Number,
+    default: 0,
+    description: 'Output tokens, including reasoning tokens billed as output'
+  },
+  total_tokens: {
+    type: Number,
+    default: 0
+  },
+  cost: {
+    type: Number,
+    default: 0,
+    description: 'Cost in USD from the provider price table at call time'
+  }
+}, {
+  collection: 'ai_usage_daily',
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Indexes
+AiUsageSchema.index({ organization_id: 1, date: 1, feature: 1, provider: 1, model: 1 }, { unique: true });
+AiUsageSchema.index({ organization_id: 1, month: 1 });
+
+// ════════════════════════════════════════════════════════════════
+// Static Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Add calls to a daily rollup (created on first use)
+ * @param {Object} key - { organization_id, date, feature, provider, model }
+ * @param {Object} counters - { requests, prompt_tokens, completion_tokens, total_tokens, cost }
+ * @returns {Promise<Object>} Update result
+ */
+AiUsageSchema.statics.add_usage = async function(key, counters) {
+  return this.updateOne(
+    key,
+    {
+      $setOnInsert: { month: key.date.slice(0, 7) },
+      $inc: {
+        requests: counters.requests || 0,
+        prompt_tokens: counters.prompt_tokens || 0,
+        completion_tokens: counters.completion_tokens || 0,
+        total_tokens: counters.total_tokens || 0,
+        cost: counters.cost || 0
+      }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Usage of an organization for one month, broken down by day, feature and model
+ * @param {ObjectId} orgId - Organization ID
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {Promise<Object>} { month, totals, by_day, by_feature, by_model }
+ */
+AiUsageSchema.statics.get_monthly_breakdown = async function(orgId, month) {
+  const sums = {
+    requests: { $sum: '$requests' },
+    prompt_tokens: { $sum: '$prompt_tokens' },
+    completion_tokens: { $sum: '$completion_tokens' },
+    total_tokens: { $sum: '$total_tokens' },
+    cost: { $sum: '$cost' }
+  };
+
+  const [result] = await this.aggregate([
+    { $match: { organization_id: orgId, month } },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...sums } }],
+        by_day: [{ $group: { _id: '$date', ...sums } }, { $sort: { _id: 1 } }],
+        by_feature: [{ $group: { _id: '$feature', ...sums } }, { $sort: { cost: -1 } }],
+        by_model: [{ $group: { _id: { provider: '$provider', model: '$model' }, ...sums } }, { $sort: { cost: -1 } }]
+      }
+    }
+  ]);
+
+  // Floating point sums drift; costs are reported in micro-dollars like the provider
+  const clean = ({ _id, ...row }) => ({ ...row, cost: Math.round(row.cost * 1000000) / 1000000 });
+  const empty = { requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0 };
+
+  return {
+    month,
+    totals: result.totals[0] ? clean(result.totals[0]) : empty,
+    by_day: result.by_day.map(row => ({ date: row._id, ...clean(row) })),
+    by_feature: result.by_feature.map(row => ({ feature: row._id, ...clean(row) })),
+    by_model: result.by_model.map(row => ({ provider: row._id.provider, model: row._id.model, ...clean(row) }))
+  };
+};
+
+const AiUsage = model('AiUsage', AiUsageSchema);
+
+module.exports = AiUsage;
+module.exports.AI_USAGE_FEATURES = AI_USAGE_FEATURES;
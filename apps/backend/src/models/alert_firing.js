@@ -0,0 +1,179 @@
+/**
+ * Alert Firing Model
+ * One alert raised by an AlertRule (see services/alerts): what triggered it
+ * (summary, message or unanswered conversation), the result of each
+ * notification action and its open → acknowledged → resolved state.
+ */
+
+const { Schema, model } = require('mongoose');
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+const AlertFiringSchema = new Schema({
+  organization_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  rule_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    required: true
+  },
+  rule_name: {
+    type: String,
+    required: true,
+    description: 'Rule name at the time of firing'
+  },
+  condition_type: {
+    type: String,
+    required: true
+  },
+  room_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Room',
+    default: null
+  },
+  room_name: {
+    type: String,
+    default: null
+  },
+  session_id: {
+    type: String,
+    ref: 'ChatSession',
+    default: null
+  },
+  summary_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Summary',
+    default: null
+  },
+  message_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  title: {
+    type: String,
+    required: true,
+    description: 'One-line description of what happened'
+  },
+  excerpt: {
+    type: String,
+    default: null,
+    description: 'Summary or message text that triggered the alert (shortened)'
+  },
+  details: {
+    type: Schema.Types.Mixed,
+    default: {},
+    description: 'Condition specifics (matched keyword, urgency, waiting minutes, ...)'
+  },
+  dedupe_key: {
+    type: String,
+    required: true,
+    description: 'Same trigger never fires the same rule twice'
+  },
+
+  status: {
+    type: String,
+    enum: ALERT_STATUSES,
+    default: 'open'
+  },
+  in_app: {
+    type: Boolean,
+    default: false,
+    description: 'Shown as a dashboard notification (rule has an in_app action)'
+  },
+  acknowledged_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  acknowledged_at: { type: Date, default: null },
+  resolved_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  resolved_at: { type: Date, default: null },
+  resolution_note: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: null
+  },
+
+  // Result of each notification (email and LINE: one entry per recipient)
+  notifications: [{
+    _id: false,
+    type: { type: String },
+    target: { type: String, default: null },
+    status: { type: String, enum: ['pending', 'sent', 'failed', 'skipped'] },
+    error: { type: String, default: null },
+    sent_at: { type: Date, default: null }
+  }]
+}, {
+  collection: 'alert_firings',
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Indexes
+AlertFiringSchema.index({ organization_id: 1, dedupe_key: 1 }, { unique: true });
+AlertFiringSchema.index({ organization_id: 1, status: 1, created_at: -1 });
+AlertFiringSchema.index({ rule_id: 1, room_id: 1, created_at: -1 });
+
+// ════════════════════════════════════════════════════════════════
+// Instance Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Move the alert to a new state, keeping who/when fields consistent
+ * @param {string} status - acknowledged | resolved | open
+ * @param {ObjectId} userId - User making the change
+ * @param {string} note - Resolution note
+ */
+AlertFiringSchema.methods.set_status = function(status, userId, note = null) {
+  this.status = status;
+
+  if (status === 'open') {
+    this.acknowledged_by = null;
+    this.acknowledged_at = null;
+  } else {
+    this.acknowledged_by = this.acknowledged_by || userId;
+    this.acknowledged_at = this.acknowledged_at || new Date();
+  }
+
+  if (status === 'resolved') {
+    this.resolved_by = userId;
+    this.resolved_at = new Date();
+    this.resolution_note = note;
+  } else {
+    this.resolved_by = null;
+    this.resolved_at = null;
+    this.resolution_note = null;
+  }
+};
+
+AlertFiringSchema.methods.get_alert_data = function() {
+  return {
+    id: this._id,
+    rule_id: this.rule_id,
+    rule_name: this.rule_name,
+    condition_type: this.condition_type,
+    room_id: this.room_id,
+    room_name: this.room_name,
+    session_id: this.session_id,
+    summary_id: this.summary_id,
+    message_id: this.message_id,
+    title: this.title,
+    excerpt: this.excerpt,
+    details: this.details,
+    status: this.status,
+    in_app: this.in_app,
+    acknowledged_by: this.acknowledged_by,
+    acknowledged_at: this.acknowledged_at,
+    resolved_by: this.resolved_by,
+    resolved_at: this.resolved_at,
+    resolution_note: this.resolution_note,
+    notifications: this.notifications,
+    created_at: this.created_at
+  };
+};
+
+const AlertFiring = model('AlertFiring', AlertFiringSchema);
+
+module.exports = AlertFiring;
+module.exports.ALERT_STATUSES = ALERT_STATUSES;
@@ -0,0 +1,180 @@
+/**
+ * Alert Rule Model
+ * Organization rule that fires an alert (see services/alerts) when a summary
+ * completes with a given urgency or sentiment, when an incoming message
+ * matches keywords or a regex, or when a customer message gets no staff
+ * reply within N minutes. Each firing is stored as an AlertFiring and
+ * notifies through the rule's actions.
+ */
+
+const { Schema, model } = require('mongoose');
+
+const ALERT_CONDITIONS = ['summary_urgency', 'summary_sentiment', 'message_keyword', 'no_staff_reply'];
+const ALERT_ACTIONS = ['in_app', 'email', 'line', 'webhook'];
+
+const AlertRuleSchema = new Schema({
+  organization_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+
+  condition: {
+    type: {
+      type: String,
+      enum: ALERT_CONDITIONS,
+      required: true
+    },
+    // summary_urgency: urgency levels that fire
+    urgency: {
+      type: [String],
+      enum: ['low', 'medium', 'high'],
+      default: ['high']
+    },
+    // summary_sentiment: sentiments that fire
+    sentiment: {
+      type: [String],
+      enum: ['positive', 'neutral', 'negative'],
+      default: ['negative']
+    },
+    // message_keyword: any keyword (case-insensitive substring) or the regex
+    keywords: {
+      type: [String],
+      default: []
+    },
+    pattern: {
+      type: String,
+      default: null
+    },
+    // no_staff_reply: minutes a customer message may wait for a staff reply
+    minutes: {
+      type: Number,
+      min: 1,
+      max: 10080,
+      default: 30
+    },
+    // no_staff_reply: LINE users that count as staff besides members with a linked LINE ID
+    staff_line_user_ids: {
+      type: [String],
+      default: []
+    }
+  },
+
+  // Rooms the rule watches (both empty = all rooms of the organization)
+  scope: {
+    room_ids: [{ type: Schema.Types.ObjectId, ref: 'Room' }],
+    categories: {
+      type: [String],
+      enum: ['sales', 'support', 'operations', 'marketing', 'other', 'unassigned'],
+      default: [],
+      description: 'Room assignment categories'
+    }
+  },
+
+  actions: [{
+    _id: false,
+    type: { type: String, enum: ALERT_ACTIONS, required: true },
+    // email / line: organization members to notify (line uses their linked LINE ID)
+    user_ids: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+    // line: additional LINE user ID (staff who are not members)
+    line_user_id: { type: String, default: null },
+    // webhook: URL and optional HMAC secret (X-Alert-Signature)
+    url: { type: String, default: null },
+    secret: { type: String, default: null, select: false }
+  }],
+
+  cooldown_minutes: {
+    type: Number,
+    min: 0,
+    max: 10080,
+    default: 60,
+    description: 'Minimum time between firings of the rule in the same room'
+  },
+
+  statistics: {
+    fire_count: { type: Number, default: 0 },
+    last_fired_at: { type: Date, default: null }
+  },
+
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updated_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  collection: 'alert_rules',
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Indexes
+AlertRuleSchema.index({ organization_id: 1, is_active: 1, 'condition.type': 1 });
+
+// ════════════════════════════════════════════════════════════════
+// Instance Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Whether the rule watches a room
+ * @param {Room} room - Room
+ * @returns {boolean}
+ */
+AlertRuleSchema.methods.applies_to_room = function(room) {
+  const roomIds = this.scope?.room_ids || [];
+  const categories = this.scope?.categories || [];
+
+  if (roomIds.length === 0 && categories.length === 0) return true;
+  if (roomIds.some(id => id.toString() === room._id.toString())) return true;
+  return categories.includes(room.assignment?.category || 'unassigned');
+};
+
+AlertRuleSchema.methods.get_rule_data = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    description: this.description,
+    is_active: this.is_active,
+    condition: this.condition,
+    scope: this.scope,
+    // Webhook secrets are never returned
+    actions: (this.actions || []).map(action => ({
+      type: action.type,
+      user_ids: action.user_ids,
+      line_user_id: action.line_user_id,
+      url: action.url
+    })),
+    cooldown_minutes: this.cooldown_minutes,
+    statistics: this.statistics,
+    created_by: this.created_by,
+    created_at: this.created_at,
+    updated_at: this.updated_at
+  };
+};
+
+const AlertRule = model('AlertRule', AlertRuleSchema);
+
+module.exports = AlertRule;
+module.exports.ALERT_CONDITIONS = ALERT_CONDITIONS;
+module.exports.ALERT_ACTIONS = ALERT_ACTIONS;
@@ -34,7 +34,7 @@ const AuditLogSchema = new Schema({
   },
   category: {
     type: String,
-    enum: ['auth', 'user', 'organization', 'member', 'session', 'summary', 'room', 'settings', 'billing', 'system'],
+    enum: ['auth', 'user', 'organization', 'member', 'session', 'summary', 'task', 'room', 'settings', 'billing', 'system'],
     default: 'system',
     index: true
   },
@@ -42,7 +42,7 @@ const AuditLogSchema = new Schema({
   // Resource being acted upon
   resource_type: {
     type: String,
-    enum: ['user', 'organization', 'session', 'summary', 'room', 'member', 'invite_code', 'join_request', 'settings', 'owner'],
+    enum: ['user', 'organization', 'session', 'summary', 'room', 'member', 'invite_code', 'join_request', 'settings', 'owner', 'job', 'summary_template', 'task', 'alert_rule', 'alert', 'line_contact'],
   },
   resource_id: {
     type: Schema.Types.ObjectId,
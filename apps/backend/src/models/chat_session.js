@@ -6,6 +6,9 @@
 const { Schema, model } = require('mongoose');
 const { nanoid } = require('nanoid');
 
+// Maximum entries embedded in message_logs (full history lives in Message)
+const MESSAGE_LOG_LIMIT = 100;
+
 // Message Log sub-schema (embedded)
 const MessageLogSchema = new Schema({
   timestamp: {
@@ -152,21 +155,21 @@ ChatSessionSchema.index({ line_room_id: 1, status: 1 });
 ChatSessionSchema.methods.add_message_log = function(direction, messageType, message, lineMessageId = null, imageGridFSId = null) {
   console.log(`💬 Adding message log to session ${this._id}: ${direction} - ${messageType}`);
 
-  // Guard against document size growth
-  if (this.message_logs.length >= 100) {
-    console.log(`📊 Session ${this._id} reached message limit, closing session`);
-    return this.close_session();
+  // Guard against document size growth. Only the embedded log is capped:
+  // auto-close triggers count the Message collection and may exceed this.
+  if (this.message_logs.length >= MESSAGE_LOG_LIMIT) {
+    console.log(`📊 Session ${this._id} message log is full (${MESSAGE_LOG_LIMIT}), not embedding message`);
+  } else {
+    this.message_logs.push({
+      timestamp: new Date(),
+      direction,
+      message_type: messageType,
+      message,
+      line_message_id: lineMessageId,
+      image_grid_fs_id: imageGridFSId
+    });
   }
 
-  this.message_logs.push({
-    timestamp: new Date(),
-    direction,
-    message_type: messageType,
-    message,
-    line_message_id: lineMessageId,
-    image_grid_fs_id: imageGridFSId
-  });
-
   this.updated_at = new Date();
   return this.save();
 };
@@ -0,0 +1,159 @@
+/**
+ * Digest Model
+ * Organization-level roll-up of all group summaries completed in one day or
+ * week (see services/digest): per-group activity, groups that need
+ * attention (high urgency or negative sentiment) and open action items.
+ * One digest per organization, frequency and period; delivery results to
+ * subscribed members are kept on the document.
+ */
+
+const { Schema, model } = require('mongoose');
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+const DIGEST_CHANNELS = ['email', 'line'];
+
+const DigestSchema = new Schema({
+  organization_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  frequency: {
+    type: String,
+    enum: DIGEST_FREQUENCIES,
+    required: true
+  },
+  period: {
+    key: {
+      type: String,
+      required: true,
+      description: 'First local day of the period (YYYY-MM-DD)'
+    },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true, description: 'Exclusive' },
+    timezone: { type: String, required: true }
+  },
+  status: {
+    type: String,
+    enum: ['building', 'completed', 'failed'],
+    default: 'building'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+
+  totals: {
+    groups: { type: Number, default: 0 },
+    summaries: { type: Number, default: 0 },
+    messages: { type: Number, default: 0 },
+    attention_groups: { type: Number, default: 0 },
+    open_action_items: { type: Number, default: 0 }
+  },
+  sentiment: {
+    positive: { type: Number, default: 0 },
+    neutral: { type: Number, default: 0 },
+    negative: { type: Number, default: 0 }
+  },
+
+  // One entry per group with summaries in the period (attention groups first)
+  groups: [{
+    _id: false,
+    room_id: { type: Schema.Types.ObjectId, ref: 'Room' },
+    name: { type: String },
+    summaries: { type: Number, default: 0 },
+    messages: { type: Number, default: 0 },
+    sentiment: {
+      positive: { type: Number, default: 0 },
+      neutral: { type: Number, default: 0 },
+      negative: { type: Number, default: 0 }
+    },
+    high_urgency: { type: Number, default: 0, description: 'Summaries with high urgency' },
+    attention: {
+      type: [String],
+      default: [],
+      description: 'Why the group is highlighted: high_urgency, negative_sentiment'
+    },
+    key_topics: [{ type: String }],
+    latest_summary: {
+      summary_id: { type: Schema.Types.ObjectId, ref: 'Summary' },
+      session_id: { type: String },
+      content: { type: String },
+      urgency: { type: String },
+      sentiment: { type: String }
+    }
+  }],
+
+  // Open tasks of the organization (newest first, capped)
+  action_items: [{
+    _id: false,
+    task_id: { type: Schema.Types.ObjectId, ref: 'Task' },
+    room_id: { type: Schema.Types.ObjectId, ref: 'Room' },
+    room_name: { type: String },
+    title: { type: String },
+    priority: { type: String },
+    assignee: { type: String, default: null },
+    due_date: { type: Date, default: null },
+    overdue: { type: Boolean, default: false }
+  }],
+
+  deliveries: [{
+    _id: false,
+    user_id: { type: Schema.Types.ObjectId, ref: 'User' },
+    channel: { type: String, enum: DIGEST_CHANNELS },
+    status: { type: String, enum: ['sent', 'failed', 'skipped'] },
+    error: { type: String, default: null },
+    sent_at: { type: Date, default: null }
+  }],
+
+  completed_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  collection: 'digests',
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Indexes
+DigestSchema.index({ organization_id: 1, frequency: 1, 'period.key': 1 }, { unique: true });
+DigestSchema.index({ organization_id: 1, 'period.start': -1 });
+
+// ════════════════════════════════════════════════════════════════
+// Instance Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Digest data for API responses
+ * @param {Object} options - { full } (false = list view without groups and action items)
+ * @returns {Object} Digest data
+ */
+DigestSchema.methods.get_digest_data = function({ full = true } = {}) {
+  const data = {
+    id: this._id,
+    frequency: this.frequency,
+    period: this.period,
+    status: this.status,
+    error: this.error,
+    totals: this.totals,
+    sentiment: this.sentiment,
+    delivered: this.deliveries.filter(delivery => delivery.status === 'sent').length,
+    created_at: this.created_at,
+    completed_at: this.completed_at
+  };
+
+  if (full) {
+    data.groups = this.groups;
+    data.action_items = this.action_items;
+    data.deliveries = this.deliveries;
+  }
+
+  return data;
+};
+
+const Digest = model('Digest', DigestSchema);
+
+module.exports = Digest;
+module.exports.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+module.exports.DIGEST_CHANNELS = DIGEST_CHANNELS;
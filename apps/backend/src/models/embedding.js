@@ -0,0 +1,115 @@
+/**
+ * Embedding Model
+ * Vector of a message or summary for semantic search (see
+ * services/semantic_index). One document per source and embedding model;
+ * vectors of different models are never compared.
+ */
+
+const { Schema, model } = require('mongoose');
+
+const EMBEDDING_SOURCE_TYPES = ['message', 'summary'];
+
+const EmbeddingSchema = new Schema({
+  organization_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    description: 'Organization the source belongs to (searches never cross organizations)'
+  },
+  room_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true,
+    description: 'Room (LINE group or chat) of the source'
+  },
+  session_id: {
+    type: String,
+    ref: 'ChatSession',
+    description: 'Chat session (ChatSession.session_id) of the source'
+  },
+  source_type: {
+    type: String,
+    enum: EMBEDDING_SOURCE_TYPES,
+    required: true
+  },
+  source_id: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    description: 'Message or Summary ID'
+  },
+  provider: {
+    type: String,
+    required: true,
+    description: 'Embedding provider that produced the vector'
+  },
+  model: {
+    type: String,
+    required: true,
+    description: 'Embedding model that produced the vector'
+  },
+  dimensions: {
+    type: Number,
+    required: true
+  },
+  vector: {
+    type: [Number],
+    required: true
+  },
+  text_hash: {
+    type: String,
+    required: true,
+    description: 'SHA-1 of the embedded text; unchanged sources are not re-embedded'
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    description: 'Message time or summary creation time (date filters and candidate order)'
+  }
+}, {
+  collection: 'embeddings',
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Indexes
+EmbeddingSchema.index({ source_type: 1, source_id: 1, model: 1 }, { unique: true });
+EmbeddingSchema.index({ organization_id: 1, model: 1, timestamp: -1 });
+EmbeddingSchema.index({ organization_id: 1, room_id: 1, model: 1, timestamp: -1 });
+EmbeddingSchema.index({ session_id: 1 });
+
+// ════════════════════════════════════════════════════════════════
+// Static Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Indexed source counts of an organization for one embedding model
+ * @param {ObjectId} orgId - Organization ID
+ * @param {string} modelName - Embedding model
+ * @returns {Promise<Object>} { message, summary, total, last_indexed_at }
+ */
+EmbeddingSchema.statics.get_index_stats = async function(orgId, modelName) {
+  const rows = await this.aggregate([
+    { $match: { organization_id: orgId, model: modelName } },
+    { $group: { _id: '$source_type', count: { $sum: 1 }, last_indexed_at: { $max: '$updated_at' } } }
+  ]);
+
+  const stats = Object.fromEntries(EMBEDDING_SOURCE_TYPES.map(type => [type, 0]));
+  let lastIndexedAt = null;
+  rows.forEach(row => {
+    stats[row._id] = row.count;
+    if (!lastIndexedAt || row.last_indexed_at > lastIndexedAt) {
+      lastIndexedAt = row.last_indexed_at;
+    }
+  });
+
+  return {
+    ...stats,
+    total: rows.reduce((sum, row) => sum + row.count, 0),
+    last_indexed_at: lastIndexedAt
+  };
+};
+
+const Embedding = model('Embedding', EmbeddingSchema);
+
+module.exports = Embedding;
+module.exports.EMBEDDING_SOURCE_TYPES = EMBEDDING_SOURCE_TYPES;
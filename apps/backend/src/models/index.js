@@ -16,6 +16,18 @@ const OrganizationMember = require('./organization_member');
 const InviteCode = require('./invite_code');
 const JoinRequest = require('./join_request');
 const AuditLog = require('./audit_log');
+const Job = require('./job');
+const SchedulerLock = require('./scheduler_lock');
+const SummaryTemplate = require('./summary_template');
+const Task = require('./task');
+const Embedding = require('./embedding');
+const AiUsage = require('./ai_usage');
+const SummaryVersion = require('./summary_version');
+const SummaryFeedback = require('./summary_feedback');
+const Digest = require('./digest');
+const AlertRule = require('./alert_rule');
+const AlertFiring = require('./alert_firing');
+const LineContact = require('./line_contact');
 
 module.exports = {
   Owner,
@@ -29,5 +41,17 @@ module.exports = {
   OrganizationMember,
   InviteCode,
   JoinRequest,
-  AuditLog
+  AuditLog,
+  Job,
+  SchedulerLock,
+  SummaryTemplate,
+  Task,
+  Embedding,
+  AiUsage,
+  SummaryVersion,
+  SummaryFeedback,
+  Digest,
+  AlertRule,
+  AlertFiring,
+  LineContact
 };
\ No newline at end of file
@@ -0,0 +1,365 @@
+/**
+ * Job Model
+ * Durable background job queue backed by MongoDB.
+ * Jobs are claimed atomically by workers, retried with exponential backoff,
+ * and moved to the 'dead' state (dead-letter) once max_attempts is exhausted.
+ */
+
+const { Schema, model } = require('mongoose');
+
+// Jobs that still hold their unique_key (may run again)
+const PENDING_STATUSES = ['queued', 'running', 'failed'];
+
+const JobSchema = new Schema({
+  // Organization link (for multi-tenant data isolation)
+  organization_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: false,
+    index: true,
+    description: 'Organization this job belongs to'
+  },
+
+  // Job type (maps to a registered handler, e.g. "summary:generate")
+  type: {
+    type: String,
+    required: true,
+    index: true,
+    description: 'Job type used to select the worker handler'
+  },
+
+  // Handler input
+  payload: {
+    type: Schema.Types.Mixed,
+    default: {},
+    description: 'Job input data passed to the handler'
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'dead'],
+    default: 'queued',
+    index: true,
+    description: 'queued → running → completed | failed (will retry) | dead (dead-letter)'
+  },
+
+  // Retry tracking
+  attempts: {
+    type: Number,
+    default: 0,
+    description: 'Number of times this job has been started'
+  },
+  max_attempts: {
+    type: Number,
+    default: 5,
+    description: 'Attempts allowed before the job is dead-lettered'
+  },
+  run_at: {
+    type: Date,
+    default: Date.now,
+    description: 'Earliest time the job may be picked up (used for backoff)'
+  },
+
+  // Worker lock
+  locked_by: {
+    type: String,
+    default: null,
+    description: 'Worker ID currently holding this job'
+  },
+  locked_at: {
+    type: Date,
+    default: null,
+    description: 'When the current worker claimed the job'
+  },
+
+  // Outcome
+  result: {
+    type: Schema.Types.Mixed,
+    default: null,
+    description: 'Handler return value for completed jobs'
+  },
+  last_error: {
+    type: String,
+    default: null,
+    description: 'Error message from the most recent failed attempt'
+  },
+  error_history: [{
+    attempt: Number,
+    message: String,
+    failed_at: { type: Date, default: Date.now }
+  }],
+  completed_at: {
+    type: Date,
+    default: null,
+    description: 'When the job finished successfully'
+  },
+
+  // Deduplication (e.g. one pending summary job per session)
+  unique_key: {
+    type: String,
+    default: null,
+    description: 'Optional key preventing duplicate pending jobs'
+  },
+  pending_key: {
+    type: String,
+    default: null,
+    description: 'unique_key while the job is pending (null once completed or dead); unique index'
+  },
+
+  // Who queued it (null for system/webhook jobs)
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    description: 'User who enqueued the job'
+  },
+
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'jobs',
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Indexes
+JobSchema.index({ status: 1, run_at: 1 });
+JobSchema.index({ status: 1, locked_at: 1 });
+JobSchema.index({ organization_id: 1, status: 1, created_at: -1 });
+JobSchema.index({ unique_key: 1, status: 1 });
+// At most one pending job per unique_key, even when two producers enqueue at once
+JobSchema.index(
+  { pending_key: 1 },
+  { unique: true, partialFilterExpression: { pending_key: { $type: 'string' } } }
+);
+
+// ════════════════════════════════════════════════════════════════
+// Static Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Enqueue a new job
+ * If unique_key is given and a queued/running job with the same key exists,
+ * that job is returned instead of creating a duplicate.
+ * @param {string} type - Job type
+ * @param {Object} payload - Handler input
+ * @param {Object} options - { organization_id, created_by, max_attempts, run_at, unique_key }
+ * @returns {Promise<Job>} Queued job
+ */
+JobSchema.statics.enqueue = async function(type, payload = {}, options = {}) {
+  const {
+    organization_id = null,
+    created_by = null,
+    max_attempts = 5,
+    run_at = new Date(),
+    unique_key = null
+  } = options;
+
+  const find_pending = () => this.findOne({ unique_key, status: { $in: PENDING_STATUSES } });
+
+  if (unique_key) {
+    const existing = await find_pending();
+    if (existing) {
+      console.log(`♻️ Job already pending for ${unique_key}: ${existing._id}`);
+      return existing;
+    }
+  }
+
+  let job;
+  try {
+    job = await this.create({
+      organization_id,
+      type,
+      payload,
+      max_attempts,
+      run_at,
+      unique_key,
+      created_by
+    });
+  } catch (error) {
+    // Lost the race against another producer: theirs is the pending job
+    if (unique_key && error.code === 11000) {
+      const existing = await find_pending();
+      if (existing) {
+        console.log(`♻️ Job already pending for ${unique_key}: ${existing._id}`);
+        return existing;
+      }
+    }
+    throw error;
+  }
+
+  console.log(`📥 Enqueued job ${job._id} (${type})`);
+  return job;
+};
+
+/**
+ * Atomically claim the next runnable job
+ * Picks queued/failed jobs whose run_at has passed, or running jobs whose
+ * lock is older than lockTimeoutMs (worker crashed mid-job).
+ * @param {string} workerId - Claiming worker ID
+ * @param {Array<string>} types - Job types this worker can handle
+ * @param {number} lockTimeoutMs - Stale lock threshold
+ * @returns {Promise<Job|null>} Claimed job or null
+ */
+JobSchema.statics.claim_next = function(workerId, types, lockTimeoutMs) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - lockTimeoutMs);
+
+  return this.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: { $in: ['queued', 'failed'] }, run_at: { $lte: now } },
+        { status: 'running', locked_at: { $lt: staleBefore } }
+      ]
+    },
+    {
+      $set: { status: 'running', locked_by: workerId, locked_at: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { run_at: 1 }, new: true }
+  );
+};
+
+/**
+ * Count jobs by status for an organization
+ * @param {ObjectId} organizationId - Organization ID (null for all)
+ * @returns {Promise<Object>} { queued, running, completed, failed, dead }
+ */
+JobSchema.statics.get_status_counts = async function(organizationId = null) {
+  const match = organizationId ? { organization_id: organizationId } : {};
+  const rows = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const counts = { queued: 0, running: 0, completed: 0, failed: 0, dead: 0 };
+  rows.forEach(row => { counts[row._id] = row.count; });
+  return counts;
+};
+
+// ════════════════════════════════════════════════════════════════
+// Instance Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Mark job as completed
+ * Only applies while the job is still running under this worker's lock;
+ * a job whose lock went stale and was reclaimed is left to its new owner.
+ * @param {string} workerId - Worker holding the lock
+ * @param {*} result - Handler return value
+ * @returns {Promise<Job|null>} Updated job, or null when the lock was lost
+ */
+JobSchema.methods.mark_completed = async function(workerId, result = null) {
+  const job = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'running', locked_by: workerId },
+    {
+      $set: {
+        status: 'completed',
+        result,
+        last_error: null,
+        locked_by: null,
+        locked_at: null,
+        completed_at: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (job) console.log(`✅ Job completed: ${this._id} (${this.type})`);
+  return job;
+};
+
+/**
+ * Record a failed attempt
+ * Schedules a retry with exponential backoff, or dead-letters the job
+ * when attempts are exhausted. Like mark_completed, only applies while
+ * this worker still holds the lock.
+ * @param {string} workerId - Worker holding the lock
+ * @param {Error|string} error - Failure reason
+ * @param {number} baseDelayMs - Base backoff delay (doubles per attempt)
+ * @returns {Promise<Job|null>} Updated job, or null when the lock was lost
+ */
+JobSchema.methods.mark_failed = async function(workerId, error, baseDelayMs = 30000) {
+  const message = error?.message || String(error);
+  const update = { last_error: message, locked_by: null, locked_at: null };
+  const isDead = this.attempts >= this.max_attempts;
+  const delay = baseDelayMs * Math.pow(2, this.attempts - 1);
+
+  if (isDead) {
+    update.status = 'dead';
+  } else {
+    update.status = 'failed';
+    update.run_at = new Date(Date.now() + delay);
+  }
+
+  const job = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'running', locked_by: workerId },
+    {
+      $set: update,
+      $push: { error_history: { attempt: this.attempts, message, failed_at: new Date() } }
+    },
+    { new: true }
+  );
+  if (!job) return null;
+
+  if (isDead) {
+    console.error(`💀 Job ${this._id} (${this.type}) dead-lettered after ${this.attempts} attempts: ${message}`);
+  } else {
+    console.warn(`🔁 Job ${this._id} (${this.type}) failed attempt ${this.attempts}/${this.max_attempts}, retrying in ${Math.round(delay / 1000)}s`);
+  }
+  return job;
+};
+
+/**
+ * Requeue a failed or dead job for immediate processing
+ * Resets the attempt counter so the job gets a fresh retry budget.
+ * @returns {Promise<Job>}
+ */
+JobSchema.methods.requeue = function() {
+  console.log(`🔄 Requeueing job ${this._id} (${this.type})`);
+
+  this.status = 'queued';
+  this.attempts = 0;
+  this.run_at = new Date();
+  this.locked_by = null;
+  this.locked_at = null;
+
+  return this.save();
+};
+
+JobSchema.methods.get_job_data = function() {
+  return {
+    job_id: this._id,
+    type: this.type,
+    status: this.status,
+    payload: this.payload,
+    attempts: this.attempts,
+    max_attempts: this.max_attempts,
+    run_at: this.run_at,
+    last_error: this.last_error,
+    error_history: this.error_history,
+    result: this.result,
+    created_at: this.created_at,
+    completed_at: this.completed_at
+  };
+};
+
+// Pre-save middleware
+JobSchema.pre('save', function(next) {
+  if (this.isNew) {
+    console.log(`➕ Creating new job: ${this._id} (${this.type})`);
+  }
+  // claim_next only moves between pending states, so saves keep pending_key in sync
+  this.pending_key = this.unique_key && PENDING_STATUSES.includes(this.status) ? this.unique_key : null;
+  next();
+});
+
+module.exports = model('Job', JobSchema);
+module.exports.PENDING_STATUSES = PENDING_STATUSES;
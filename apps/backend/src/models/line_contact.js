@@ -0,0 +1,153 @@
+/**
+ * LINE Contact Model
+ * Directory of the LINE users seen in an organization's chats, keyed by LINE
+ * userId: cached profile (display name, picture, status message) and the
+ * groups the contact has written in, joined or left. Profiles are refreshed from the LINE API
+ * once they are older than LINE_PROFILE_CACHE_HOURS (see services/line_contacts).
+ */
+
+const { Schema, model } = require('mongoose');
+const config = require('../config');
+
+const PROFILE_STATUSES = ['ok', 'unavailable'];
+
+// Lookups that failed (user left, API error) are retried sooner than the cache TTL
+const UNAVAILABLE_RETRY_MINUTES = 60;
+
+const LineContactSchema = new Schema({
+  organization_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    description: 'null for legacy owners without an organization'
+  },
+  line_user_id: {
+    type: String,
+    required: true
+  },
+  owner_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Owner',
+    default: null,
+    description: 'LINE channel the profile is fetched with'
+  },
+  member_user_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    description: 'Organization member this LINE user is (staff may /pause and /resume recording)'
+  },
+
+  // Cached LINE profile
+  display_name: {
+    type: String,
+    default: null
+  },
+  picture_url: {
+    type: String,
+    default: null
+  },
+  status_message: {
+    type: String,
+    default: null,
+    description: 'Only available for users who added the OA as a friend'
+  },
+  profile_status: {
+    type: String,
+    enum: [...PROFILE_STATUSES, null],
+    default: null
+  },
+  profile_error: {
+    type: String,
+    default: null
+  },
+  profile_fetched_at: {
+    type: Date,
+    default: null
+  },
+
+  // Chats the contact has written in
+  groups: [{
+    _id: false,
+    room_id: { type: Schema.Types.ObjectId, ref: 'Room' },
+    line_room_id: { type: String },
+    room_name: { type: String, default: null },
+    message_count: { type: Number, default: 0 },
+    first_seen_at: { type: Date, default: Date.now },
+    last_seen_at: { type: Date, default: Date.now },
+    // memberJoined / memberLeft events (null = never seen joining or leaving)
+    joined_at: { type: Date, default: null },
+    left_at: { type: Date, default: null }
+  }],
+  message_count: {
+    type: Number,
+    default: 0
+  },
+  first_seen_at: {
+    type: Date,
+    default: Date.now
+  },
+  last_seen_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'line_contacts',
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Indexes
+LineContactSchema.index({ organization_id: 1, line_user_id: 1 }, { unique: true });
+LineContactSchema.index({ organization_id: 1, last_seen_at: -1 });
+LineContactSchema.index({ organization_id: 1, 'groups.room_id': 1 });
+LineContactSchema.index({ organization_id: 1, display_name: 1 });
+
+// ════════════════════════════════════════════════════════════════
+// Instance Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Whether the cached profile should be fetched again
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+LineContactSchema.methods.is_profile_stale = function(now = new Date()) {
+  if (!this.profile_fetched_at) return true;
+
+  const ttlMinutes = this.profile_status === 'ok'
+    ? config.line.profileCacheHours * 60
+    : Math.min(UNAVAILABLE_RETRY_MINUTES, config.line.profileCacheHours * 60);
+
+  return now.getTime() - this.profile_fetched_at.getTime() >= ttlMinutes * 60 * 1000;
+};
+
+LineContactSchema.methods.get_contact_data = function() {
+  return {
+    id: this._id,
+    line_user_id: this.line_user_id,
+    member_user_id: this.member_user_id,
+    display_name: this.display_name,
+    picture_url: this.picture_url,
+    status_message: this.status_message,
+    profile_status: this.profile_status,
+    profile_fetched_at: this.profile_fetched_at,
+    groups: (this.groups || []).map(group => ({
+      room_id: group.room_id,
+      room_name: group.room_name,
+      message_count: group.message_count,
+      first_seen_at: group.first_seen_at,
+      last_seen_at: group.last_seen_at,
+      joined_at: group.joined_at,
+      left_at: group.left_at
+    })),
+    message_count: this.message_count,
+    first_seen_at: this.first_seen_at,
+    last_seen_at: this.last_seen_at
+  };
+};
+
+const LineContact = model('LineContact', LineContactSchema);
+
+module.exports = LineContact;
+module.exports.PROFILE_STATUSES = PROFILE_STATUSES;
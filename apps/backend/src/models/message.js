@@ -118,6 +118,92 @@ const MessageSchema = new Schema({
     type: Schema.Types.ObjectId,
     description: 'GridFS ID for image content'
   },
+  image_analysis: {
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed', 'skipped', null],
+      default: null,
+      description: 'Captioning/OCR state (see services/image_analyzer); null for non-image messages'
+    },
+    image_type: {
+      type: String,
+      description: 'receipt, delivery_proof, whiteboard, document, screenshot, photo or other'
+    },
+    caption: {
+      type: String,
+      description: 'Short description of the image'
+    },
+    text: {
+      type: String,
+      description: 'Text read from the image (OCR)'
+    },
+    language: String,
+    provider: String,
+    model: String,
+    tokens_used: {
+      type: Number,
+      default: 0
+    },
+    cost: {
+      type: Number,
+      default: 0
+    },
+    error: {
+      type: String,
+      description: 'Last failure or the reason the image was skipped'
+    },
+    analyzed_at: Date
+  },
+  media_grid_fs_id: {
+    type: Schema.Types.ObjectId,
+    description: 'GridFS ID for audio, video or file content ("media" bucket)'
+  },
+  media_content_type: {
+    type: String,
+    description: 'MIME type of the saved media content'
+  },
+  media_size: {
+    type: Number,
+    description: 'Size of the media content in bytes (as reported by LINE, then as downloaded)'
+  },
+  media_duration_ms: {
+    type: Number,
+    description: 'Duration of audio and video messages in milliseconds'
+  },
+  media_processing: {
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed', 'skipped', null],
+      default: null,
+      description: 'Transcription/text extraction state (see services/media_processor); null for other messages'
+    },
+    kind: {
+      type: String,
+      enum: ['transcript', 'document', null],
+      default: null
+    },
+    provider: {
+      type: String,
+      description: 'STT provider, or the document format the text was read from'
+    },
+    model: String,
+    language: String,
+    text_length: {
+      type: Number,
+      default: 0,
+      description: 'Characters of transcript or document text (before truncation)'
+    },
+    truncated: {
+      type: Boolean,
+      default: false,
+      description: 'Whether the text was cut to MEDIA_MAX_TEXT_LENGTH in the message'
+    },
+    error: {
+      type: String,
+      description: 'Last failure or the reason the message was skipped'
+    },
+    processed_at: Date
+  },
   file_url: {
     type: String,
     description: 'URL for file attachments'
@@ -145,6 +231,11 @@ const MessageSchema = new Schema({
     default: true,
     description: 'Whether message has been processed for session'
   },
+  unsent_at: {
+    type: Date,
+    default: null,
+    description: 'Set when the sender unsent the message in LINE (tombstone: content removed, left out of summaries and search)'
+  },
   created_at: {
     type: Date,
     default: Date.now,
@@ -165,6 +256,8 @@ MessageSchema.index({ organization_id: 1, timestamp: -1 }); // Organization mess
 MessageSchema.index({ organization_id: 1, room_id: 1 }); // Organization + room
 MessageSchema.index({ direction: 1, message_type: 1 }); // Filter by type
 MessageSchema.index({ line_message_id: 1 }); // Lookup by LINE message ID
+MessageSchema.index({ session_id: 1, 'image_analysis.status': 1 }); // Unanalyzed images of a session
+MessageSchema.index({ session_id: 1, 'media_processing.status': 1 }); // Unprocessed media of a session
 
 // New indexes for user/group/owner mapping
 MessageSchema.index({ line_user_id: 1, timestamp: -1 }); // User's messages by time
@@ -174,7 +267,41 @@ MessageSchema.index({ room_type: 1, sender_role: 1 }); // Filter by room type an
 MessageSchema.index({ line_user_id: 1, line_group_id: 1 }); // User in specific group
 MessageSchema.index({ line_group_id: 1, sender_role: 1 }); // Group members by role
 
+// Placeholder text of unsent messages
+const UNSENT_PLACEHOLDER = 'Message unsent';
+
 // Instance methods
+
+/**
+ * Turn the message into a tombstone after the sender unsent it
+ * Clears the text, OCR/transcript and attachment references; the caller
+ * removes the stored content and embeddings. Pending image and media
+ * processing is skipped.
+ */
+MessageSchema.methods.tombstone = function() {
+  this.unsent_at = this.unsent_at || new Date();
+  this.message = UNSENT_PLACEHOLDER;
+  this.message_size = 0;
+  this.file_url = undefined;
+  this.file_name = undefined;
+  this.image_grid_fs_id = undefined;
+  this.media_grid_fs_id = undefined;
+  this.latitude = undefined;
+  this.longitude = undefined;
+
+  if (this.image_analysis?.status) {
+    this.image_analysis = { status: 'skipped', error: 'message unsent', analyzed_at: new Date() };
+  }
+  if (this.media_processing?.status) {
+    this.media_processing = {
+      status: 'skipped',
+      kind: this.media_processing.kind,
+      error: 'message unsent',
+      processed_at: new Date()
+    };
+  }
+};
+
 MessageSchema.methods.get_message_data = function() {
   return {
     message_id: this._id,
@@ -185,8 +312,23 @@ MessageSchema.methods.get_message_data = function() {
     message_type: this.message_type,
     message: this.message,
     user_name: this.user_name,
+    user_profile_url: this.user_profile_url,
+    line_user_id: this.line_user_id,
     line_message_id: this.line_message_id,
-    has_media: !!(this.image_grid_fs_id || this.file_url),
+    unsent_at: this.unsent_at,
+    has_media: !!(this.image_grid_fs_id || this.media_grid_fs_id || this.file_url),
+    image_analysis: this.image_analysis?.status ? {
+      status: this.image_analysis.status,
+      image_type: this.image_analysis.image_type,
+      caption: this.image_analysis.caption,
+      text: this.image_analysis.text
+    } : null,
+    media_processing: this.media_processing?.status ? {
+      status: this.media_processing.status,
+      kind: this.media_processing.kind,
+      text_length: this.media_processing.text_length,
+      truncated: this.media_processing.truncated
+    } : null,
     location: this.latitude && this.longitude ? {
       lat: this.latitude,
       lng: this.longitude
@@ -294,6 +436,10 @@ MessageSchema.statics.create_message = function(messageData) {
 
     // Media and attachments
     image_grid_fs_id: messageData.image_grid_fs_id,
+    image_analysis: messageData.image_analysis,
+    media_size: messageData.media_size,
+    media_duration_ms: messageData.media_duration_ms,
+    media_processing: messageData.media_processing,
     file_url: messageData.file_url,
     file_name: messageData.file_name,
     latitude: messageData.latitude,
@@ -412,4 +558,5 @@ MessageSchema.pre('save', function(next) {
   next();
 });
 
-module.exports = model('Message', MessageSchema);
\ No newline at end of file
+module.exports = model('Message', MessageSchema);
+module.exports.UNSENT_PLACEHOLDER = UNSENT_PLACEHOLDER;
@@ -89,6 +89,19 @@ const OrganizationSchema = new Schema({
     ai_summaries_enabled: {
       type: Boolean,
       default: true
+    },
+    ai_budget_usd_per_month: {
+      type: Number,
+      default: null,
+      min: [0, 'AI budget cannot be negative'],
+      description: 'Monthly LLM spend cap in USD (null = unlimited); summaries stop once reached'
+    },
+    ai_budget_soft_limit_percent: {
+      type: Number,
+      default: 80,
+      min: [1, 'Soft limit must be at least 1%'],
+      max: [100, 'Soft limit cannot exceed 100%'],
+      description: 'Share of the AI budget that triggers a warning'
     }
   },
 
@@ -119,6 +132,17 @@ const OrganizationSchema = new Schema({
       default: 0,
       min: 0
     },
+    ai_cost_this_month: {
+      type: Number,
+      default: 0,
+      min: 0,
+      description: 'LLM cost in USD this month (see AiUsage for the breakdown)'
+    },
+    ai_tokens_this_month: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     last_usage_reset: {
       type: Date,
       default: Date.now
@@ -129,7 +153,7 @@ const OrganizationSchema = new Schema({
   settings: {
     default_language: {
       type: String,
-      enum: ['th', 'en'],
+      enum: ['th', 'en', 'ja'],
       default: 'th'
     },
     timezone: {
@@ -145,6 +169,118 @@ const OrganizationSchema = new Schema({
       type: Number,
       default: 24,
       min: [1, 'Session auto close hours must be at least 1']
+    },
+    // LLM provider for summaries (null = server default LLM_PROVIDER)
+    ai_provider: {
+      type: String,
+      enum: ['gemini', 'openai', 'local', null],
+      default: null
+    },
+    // Model override for the selected provider (null = provider default)
+    ai_model: {
+      type: String,
+      default: null
+    },
+    // Default summary mode for rooms (rooms can override)
+    summary_mode: {
+      type: String,
+      enum: ['standalone', 'rolling'],
+      default: 'standalone'
+    },
+    // Caption/OCR chat images with the AI provider (IMAGE_ANALYSIS_ENABLED must also be on)
+    image_analysis: {
+      type: Boolean,
+      default: true
+    },
+    // Replace personal data with placeholders before chat text is sent to the AI provider
+    pii_redaction: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Built-in detectors to apply (see services/pii_redactor PII_DETECTORS)
+      detectors: {
+        type: [String],
+        enum: ['thai_id', 'card_number', 'email', 'phone', 'bank_account'],
+        default: ['thai_id', 'card_number', 'email', 'phone', 'bank_account']
+      },
+      // Organization regexes; matches become [NAME_n]
+      custom_patterns: [{
+        _id: false,
+        name: { type: String, required: true },
+        pattern: { type: String, required: true }
+      }]
+    },
+    // Reviewer corrections shown to the model as examples when summarizing
+    feedback_examples: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      max_examples: {
+        type: Number,
+        default: 3,
+        min: 1,
+        max: 5
+      }
+    },
+    // Daily/weekly digest of all group summaries (services/digest)
+    digest: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      frequency: {
+        type: String,
+        enum: ['daily', 'weekly'],
+        default: 'daily'
+      },
+      // Local hour (settings.timezone) the digest is built and sent
+      hour: {
+        type: Number,
+        default: 8,
+        min: 0,
+        max: 23
+      },
+      // Weekly digests: day of week (0 = Sunday)
+      weekday: {
+        type: Number,
+        default: 1,
+        min: 0,
+        max: 6
+      }
+    },
+    // Summaries are not pushed into chats during these local hours (settings.timezone);
+    // deliveries wait until quiet hours end (see services/summary_delivery)
+    quiet_hours: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      start_hour: {
+        type: Number,
+        default: 22,
+        min: 0,
+        max: 23
+      },
+      end_hour: {
+        type: Number,
+        default: 7,
+        min: 0,
+        max: 23
+      }
+    },
+    // Slash commands group members can send to the bot (line_webhook_handler)
+    bot_commands: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      commands: {
+        type: [String],
+        enum: ['summary', 'status', 'pause', 'resume', 'help'],
+        default: ['summary', 'status', 'pause', 'resume', 'help']
+      }
     }
   },
 
@@ -458,6 +594,8 @@ OrganizationSchema.methods.reset_monthly_usage = async function() {
       $set: {
         'usage.messages_this_month': 0,
         'usage.summaries_this_month': 0,
+        'usage.ai_cost_this_month': 0,
+        'usage.ai_tokens_this_month': 0,
         'usage.last_usage_reset': new Date()
       }
     },
@@ -465,6 +603,30 @@ OrganizationSchema.methods.reset_monthly_usage = async function() {
   );
 };
 
+/**
+ * AI budget state for this month
+ * @returns {Object} { budget_usd, spent_usd, percent, soft_limit_percent, state: unlimited|ok|warning|exceeded }
+ */
+OrganizationSchema.methods.get_ai_budget_status = function() {
+  const budget = this.limits?.ai_budget_usd_per_month ?? null;
+  const softLimit = this.limits?.ai_budget_soft_limit_percent ?? 80;
+  const spent = Math.round((this.usage?.ai_cost_this_month || 0) * 1000000) / 1000000;
+
+  if (budget === null) {
+    return { budget_usd: null, spent_usd: spent, percent: null, soft_limit_percent: softLimit, state: 'unlimited' };
+  }
+
+  const percent = budget > 0 ? Math.round((spent / budget) * 1000) / 10 : 100;
+  let state = 'ok';
+  if (spent >= budget) {
+    state = 'exceeded';
+  } else if (percent >= softLimit) {
+    state = 'warning';
+  }
+
+  return { budget_usd: budget, spent_usd: spent, percent, soft_limit_percent: softLimit, state };
+};
+
 /**
  * Update plan with new limits
  * @param {string} newPlan - New plan name
@@ -541,6 +703,12 @@ OrganizationSchema.methods.can_perform_action = function(action) {
           reason: 'AI summaries not enabled for your plan'
         };
       }
+      if (this.get_ai_budget_status().state === 'exceeded') {
+        return {
+          allowed: false,
+          reason: `Monthly AI budget reached ($${this.limits.ai_budget_usd_per_month})`
+        };
+      }
       break;
 
     default:
@@ -113,6 +113,23 @@ const OrganizationMemberSchema = new Schema({
   },
   removal_reason: {
     type: String
+  },
+
+  // Organization digest delivery (see services/digest)
+  digest_subscription: {
+    email: {
+      type: Boolean,
+      default: false
+    },
+    line: {
+      type: Boolean,
+      default: false
+    },
+    line_user_id: {
+      type: String,
+      default: null,
+      description: 'LINE user ID pushed to by the organization LINE account (must have added it as a friend)'
+    }
   }
 }, {
   timestamps: {
@@ -108,9 +108,10 @@ const OwnerSchema = new Schema({
     timezone: { type: String, default: 'UTC' },
     notifications: { type: Boolean, default: true },
     auto_summarize: { type: Boolean, default: true },
+    // null = inherit (room → organization → owner → global, see session_trigger_resolver)
     session_trigger: {
-      message_count: { type: Number, default: 50 },
-      time_limit_hours: { type: Number, default: 24 }
+      message_count: { type: Number, default: null },
+      time_limit_hours: { type: Number, default: null }
     }
   },
   created_at: {
@@ -157,6 +158,16 @@ OwnerSchema.statics.find_by_channel_id = function(channelId) {
   return this.findOne({ line_channel_id: channelId });
 };
 
+/**
+ * Find all LINE accounts that can receive webhook events
+ * Legacy owners created before the status field are treated as active
+ * @returns {Promise<Array>} Array of owners
+ */
+OwnerSchema.statics.find_active_channels = function() {
+  console.log(`🔍 Finding active LINE channels`);
+  return this.find({ status: { $in: ['active', null] } }).sort({ created_at: 1 });
+};
+
 /**
  * Find all LINE accounts for an organization
  * @param {ObjectId} organizationId - Organization ID
@@ -50,9 +50,112 @@ const RoomSchema = new Schema({
   },
   settings: {
     auto_summarize: { type: Boolean, default: true },
+    // Push each completed summary into the chat as a Flex card (see services/summary_delivery)
+    deliver_to_chat: { type: Boolean, default: false },
+    // null = inherit (room → organization → owner → global, see session_trigger_resolver)
     session_trigger: {
-      message_count: { type: Number, default: 50 },
-      time_limit_hours: { type: Number, default: 24 }
+      message_count: { type: Number, default: null },
+      time_limit_hours: { type: Number, default: null }
+    },
+    // null = inherit organization.settings.summary_mode (see rolling_summary service)
+    summary_mode: {
+      type: String,
+      enum: ['standalone', 'rolling', null],
+      default: null
+    },
+    // null = category template → organization default → built-in (see summary_template_resolver)
+    summary_template_id: {
+      type: Schema.Types.ObjectId,
+      ref: 'SummaryTemplate',
+      default: null
+    },
+    // null = template language → organization default_language (see summary_language service)
+    language: {
+      type: String,
+      enum: ['th', 'en', 'ja', null],
+      default: null
+    }
+  },
+
+  // Running digest maintained by rolling summaries
+  running_digest: {
+    content: {
+      type: String,
+      default: null,
+      description: 'Continuously updated digest of the whole room conversation'
+    },
+    key_topics: {
+      type: [String],
+      default: [],
+      description: 'Key topics of the latest rolling summary'
+    },
+    summary_count: {
+      type: Number,
+      default: 0,
+      description: 'Number of rolling summaries folded into the digest'
+    },
+    last_summary_id: {
+      type: Schema.Types.ObjectId,
+      ref: 'Summary',
+      default: null,
+      description: 'Summary that last updated the digest'
+    },
+    last_summary_at: {
+      type: Date,
+      default: null,
+      description: 'Creation time of the summary that last updated the digest'
+    },
+    updated_at: {
+      type: Date,
+      default: null,
+      description: 'When the digest was last updated'
+    },
+    reset_at: {
+      type: Date,
+      default: null,
+      description: 'When the digest was last reset; older summaries are not used as context'
+    }
+  },
+
+  // Message capture paused from the group with /pause (see line_webhook_handler)
+  capture: {
+    paused: {
+      type: Boolean,
+      default: false,
+      description: 'Whether incoming messages are currently not stored'
+    },
+    paused_at: {
+      type: Date,
+      default: null
+    },
+    paused_by: {
+      type: String,
+      default: null,
+      description: 'LINE user ID that sent /pause'
+    }
+  },
+
+  // Bot and member presence (join/leave/memberJoined/memberLeft events, see line_webhook_handler)
+  membership: {
+    bot_joined_at: {
+      type: Date,
+      default: null,
+      description: 'When the bot was last added to the chat'
+    },
+    bot_left_at: {
+      type: Date,
+      default: null,
+      description: 'When the bot was removed (the room is deactivated and frees its group quota)'
+    },
+    member_count: {
+      type: Number,
+      default: null,
+      description: 'Member count reported by LINE'
+    },
+    last_member_change_at: {
+      type: Date,
+      default: null,
+      description: 'Last member join or leave'
     }
   },
 
@@ -139,6 +242,22 @@ RoomSchema.methods.increment_statistics = function(field, amount = 1) {
   return this.save();
 };
 
+RoomSchema.methods.reset_running_digest = function() {
+  console.log(`🔁 Resetting running digest for room: ${this._id}`);
+
+  this.running_digest = {
+    content: null,
+    key_topics: [],
+    summary_count: 0,
+    last_summary_id: null,
+    last_summary_at: null,
+    updated_at: new Date(),
+    reset_at: new Date()
+  };
+
+  return this.save();
+};
+
 RoomSchema.methods.get_room_summary = function() {
   return {
     room_id: this._id,
@@ -155,7 +274,9 @@ RoomSchema.methods.get_room_summary = function() {
       tags: [],
       priority: 'normal'
     },
-    settings: this.settings
+    settings: this.settings,
+    capture: this.capture,
+    membership: this.membership
   };
 };
 
@@ -0,0 +1,163 @@
+/**
+ * Scheduler Lock Model
+ * One document per scheduled task. Acts as a distributed lock and as the
+ * shared schedule, so each task runs on only one backend instance per interval.
+ */
+
+const { Schema, model } = require('mongoose');
+
+const SchedulerLockSchema = new Schema({
+  task: {
+    type: String,
+    required: true,
+    unique: true,
+    description: 'Scheduled task name (e.g. "sessions:close_expired")'
+  },
+
+  // Lock
+  locked_by: {
+    type: String,
+    default: null,
+    description: 'Instance ID currently running the task'
+  },
+  locked_until: {
+    type: Date,
+    default: null,
+    description: 'Lock expiry; a crashed instance releases the task after this time'
+  },
+
+  // Schedule
+  next_run_at: {
+    type: Date,
+    default: null,
+    description: 'Earliest time any instance may run the task again'
+  },
+
+  // Last run
+  last_started_at: {
+    type: Date,
+    default: null,
+    description: 'When the most recent run started'
+  },
+  last_finished_at: {
+    type: Date,
+    default: null,
+    description: 'When the most recent run finished'
+  },
+  last_status: {
+    type: String,
+    enum: ['success', 'failure', null],
+    default: null,
+    description: 'Outcome of the most recent run'
+  },
+  last_error: {
+    type: String,
+    default: null,
+    description: 'Error message from the most recent failed run'
+  },
+  last_result: {
+    type: Schema.Types.Mixed,
+    default: null,
+    description: 'Value returned by the most recent successful run'
+  },
+  last_duration_ms: {
+    type: Number,
+    default: 0,
+    description: 'Duration of the most recent run'
+  },
+  run_count: {
+    type: Number,
+    default: 0,
+    description: 'Total completed runs'
+  },
+
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'scheduler_locks',
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// ════════════════════════════════════════════════════════════════
+// Static Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Try to acquire the lock for a task that is due
+ * Creates the lock document on first use. Returns null when another
+ * instance holds the lock or the task is not due yet.
+ * @param {string} task - Task name
+ * @param {string} instanceId - Acquiring instance ID
+ * @param {number} lockTtlMs - Lock lifetime
+ * @returns {Promise<SchedulerLock|null>} Lock document or null
+ */
+SchedulerLockSchema.statics.acquire = async function(task, instanceId, lockTtlMs) {
+  // Make sure the unique index on task exists before relying on it
+  await this.init();
+
+  const now = new Date();
+
+  try {
+    return await this.findOneAndUpdate(
+      {
+        task,
+        $and: [
+          { $or: [{ locked_until: null }, { locked_until: { $lte: now } }] },
+          { $or: [{ next_run_at: null }, { next_run_at: { $lte: now } }] }
+        ]
+      },
+      {
+        $set: {
+          locked_by: instanceId,
+          locked_until: new Date(now.getTime() + lockTtlMs),
+          last_started_at: now
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Upsert lost the race: the task exists and is locked or not due
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Release a task lock and record the run outcome
+ * @param {string} task - Task name
+ * @param {string} instanceId - Instance that holds the lock
+ * @param {Object} outcome - { status, error, result, duration_ms, next_run_at }
+ * @returns {Promise<SchedulerLock|null>} Updated lock or null if the lock was lost
+ */
+SchedulerLockSchema.statics.release = function(task, instanceId, outcome = {}) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { task, locked_by: instanceId },
+    {
+      $set: {
+        locked_by: null,
+        locked_until: null,
+        next_run_at: outcome.next_run_at || now,
+        last_finished_at: now,
+        last_status: outcome.status || 'success',
+        last_error: outcome.error || null,
+        last_result: outcome.result ?? null,
+        last_duration_ms: outcome.duration_ms || 0
+      },
+      $inc: { run_count: 1 }
+    },
+    { new: true }
+  );
+};
+
+module.exports = model('SchedulerLock', SchedulerLockSchema);
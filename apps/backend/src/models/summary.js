@@ -63,19 +63,63 @@ const SummarySchema = new Schema({
     image_insights: [{
       type: String,
       description: 'Insights from image analysis'
+    }],
+    participants_analysis: {
+      total_participants: {
+        type: Number,
+        description: 'Number of people who took part'
+      },
+      message_distribution: {
+        type: String,
+        description: 'Who contributed most to the conversation'
+      },
+      engagement_level: {
+        type: String,
+        enum: ['high', 'medium', 'low'],
+        description: 'Overall engagement level'
+      }
+    },
+    conversation_highlights: [{
+      type: String,
+      description: 'Most important points or decisions'
+    }],
+    follow_up_needed: {
+      type: String,
+      enum: ['yes', 'no'],
+      default: 'no',
+      description: 'Whether the conversation needs a follow-up'
+    },
+    tags: [{
+      type: String,
+      description: 'Tags suggested by the model'
     }]
   },
   gemini_metadata: {
+    provider: {
+      type: String,
+      default: 'gemini',
+      description: 'LLM provider used for generation (gemini, openai, local)'
+    },
     model: {
       type: String,
       default: 'gemini-1.5-pro',
-      description: 'Gemini model used for generation'
+      description: 'LLM model used for generation'
     },
     tokens_used: {
       type: Number,
       default: 0,
       description: 'Number of tokens used for generation'
     },
+    prompt_tokens: {
+      type: Number,
+      default: 0,
+      description: 'Input (prompt) tokens'
+    },
+    completion_tokens: {
+      type: Number,
+      default: 0,
+      description: 'Output (completion) tokens'
+    },
     processing_time_ms: {
       type: Number,
       default: 0,
@@ -85,13 +129,200 @@ const SummarySchema = new Schema({
       type: Number,
       default: 0,
       description: 'Cost of the API call'
+    },
+    strategy: {
+      type: String,
+      enum: ['single', 'map_reduce'],
+      default: 'single',
+      description: 'single = one prompt; map_reduce = chunked session merged from chunk summaries'
+    },
+    chunk_count: {
+      type: Number,
+      default: 0,
+      description: 'Number of chunks in a map-reduce summary'
+    },
+    reduce_rounds: {
+      type: Number,
+      default: 0,
+      description: 'Intermediate merge rounds before the final merge'
+    },
+    output_valid: {
+      type: Boolean,
+      default: true,
+      description: 'Whether the model output passed schema validation (false = plain-text fallback)'
+    },
+    repair_attempts: {
+      type: Number,
+      default: 0,
+      description: 'Re-asks made because the output failed schema validation'
+    },
+    chunks: [{
+      _id: false,
+      index: { type: Number, description: 'Chunk position (0-based)' },
+      message_count: { type: Number, description: 'Messages in the chunk' },
+      start_time: { type: Date, description: 'First message timestamp' },
+      end_time: { type: Date, description: 'Last message timestamp' },
+      estimated_tokens: { type: Number, description: 'Estimated prompt tokens of the chunk text' },
+      tokens_used: { type: Number, description: 'Tokens used by the chunk call' },
+      model: { type: String, description: 'Model that summarized the chunk' },
+      summary: { type: String, description: 'Chunk summary (truncated)' },
+      key_topics: [{ type: String }],
+      action_items: [{ type: String }],
+      sentiment: { type: String },
+      urgency: { type: String }
+    }],
+    redaction: {
+      enabled: {
+        type: Boolean,
+        default: false,
+        description: 'Whether personal data was replaced with placeholders before the model call'
+      },
+      replacements: {
+        type: Number,
+        default: 0,
+        description: 'Personal data occurrences replaced'
+      },
+      unique_values: {
+        type: Number,
+        default: 0,
+        description: 'Distinct values given a new placeholder'
+      },
+      by_type: {
+        type: Map,
+        of: Number,
+        default: {},
+        description: 'Replacements per placeholder type (PHONE, EMAIL, custom names...)'
+      }
+    }
+  },
+  redaction: {
+    placeholders: {
+      type: [{
+        _id: false,
+        placeholder: { type: String, required: true, description: 'Placeholder in the stored text, e.g. [PHONE_1]' },
+        type: { type: String, required: true, description: 'Detector label or custom pattern name' },
+        value: { type: String, required: true, description: 'Original value' }
+      }],
+      default: [],
+      select: false,
+      description: 'Placeholder → original value; restored only for viewers with org:messages:view'
     }
   },
+  rolling: {
+    enabled: {
+      type: Boolean,
+      default: false,
+      description: 'Whether this summary was generated in rolling mode'
+    },
+    previous_summary_id: {
+      type: Schema.Types.ObjectId,
+      ref: 'Summary',
+      default: null,
+      description: 'Previous room summary used as context'
+    },
+    changes_since_last: {
+      type: String,
+      default: null,
+      description: 'What changed since the previous summary'
+    },
+    running_digest: {
+      type: String,
+      default: null,
+      description: 'Updated room digest produced with this summary'
+    }
+  },
+  template_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'SummaryTemplate',
+    default: null,
+    description: 'Organization template used for generation (null = built-in prompt)'
+  },
+  template_name: {
+    type: String,
+    default: null,
+    description: 'Template name at generation time (denormalized)'
+  },
+  custom_fields: {
+    type: Schema.Types.Mixed,
+    default: {},
+    description: 'Values of the template output fields, keyed by field key'
+  },
   language: {
     type: String,
     default: 'en',
     description: 'Language of the summary'
   },
+  version: {
+    type: Number,
+    default: 0,
+    description: 'Current SummaryVersion number of the session (0 = no version history yet)'
+  },
+  feedback: {
+    up: {
+      type: Number,
+      default: 0,
+      description: 'Reviewers who rated the summary thumbs up'
+    },
+    down: {
+      type: Number,
+      default: 0,
+      description: 'Reviewers who rated the summary thumbs down'
+    },
+    corrections: {
+      type: Number,
+      default: 0,
+      description: 'Reviewers who corrected topics, sentiment or action items'
+    },
+    comments: {
+      type: Number,
+      default: 0
+    },
+    last_feedback_at: {
+      type: Date,
+      default: null
+    }
+  },
+  translations: [{
+    _id: false,
+    language: { type: String, required: true, description: 'Target language code' },
+    content: { type: String, description: 'Translated summary text' },
+    key_topics: [{ type: String }],
+    action_items: [{ type: String }],
+    conversation_highlights: [{ type: String }],
+    changes_since_last: { type: String, default: null },
+    provider: { type: String, description: 'LLM provider that translated' },
+    model: { type: String, description: 'Model that translated' },
+    tokens_used: { type: Number, default: 0 },
+    cost: { type: Number, default: 0 },
+    created_at: { type: Date, default: Date.now }
+  }],
+  // Flex card pushed into the LINE chat (Room.settings.deliver_to_chat, see services/summary_delivery)
+  chat_delivery: {
+    status: {
+      type: String,
+      enum: ['pending', 'deferred', 'sent', 'failed', 'skipped', null],
+      default: null,
+      description: 'null = not delivered to the chat'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    error: {
+      type: String,
+      default: null,
+      description: 'Last delivery error or why delivery was skipped'
+    },
+    deferred_until: {
+      type: Date,
+      default: null,
+      description: 'End of the organization quiet hours the delivery waits for'
+    },
+    sent_at: {
+      type: Date,
+      default: null
+    }
+  },
   status: {
     type: String,
     enum: ['processing', 'completed', 'failed'],
@@ -125,6 +356,7 @@ SummarySchema.index({ owner_id: 1 });
 SummarySchema.index({ organization_id: 1 });
 SummarySchema.index({ organization_id: 1, status: 1 });
 SummarySchema.index({ organization_id: 1, room_id: 1 });
+SummarySchema.index({ room_id: 1, status: 1, created_at: -1 });
 SummarySchema.index({ status: 1 });
 SummarySchema.index({ created_at: -1 });
 
@@ -136,6 +368,8 @@ SummarySchema.methods.mark_completed = function(content, keyTopics, analysis, ge
   this.key_topics = keyTopics || [];
   this.analysis = analysis || {};
   this.gemini_metadata = { ...this.gemini_metadata, ...geminiMetadata };
+  // Cached translations describe the previous content
+  this.translations = [];
   this.status = 'completed';
   this.updated_at = new Date();
 
@@ -152,6 +386,15 @@ SummarySchema.methods.mark_failed = function(errorMessage) {
   return this.save();
 };
 
+/**
+ * Cached translation of this summary
+ * @param {string} language - Target language code
+ * @returns {Object|null}
+ */
+SummarySchema.methods.get_translation = function(language) {
+  return (this.translations || []).find(translation => translation.language === language) || null;
+};
+
 SummarySchema.methods.get_summary_data = function() {
   return {
     summary_id: this._id,
@@ -161,7 +404,15 @@ SummarySchema.methods.get_summary_data = function() {
     key_topics: this.key_topics,
     analysis: this.analysis,
     gemini_metadata: this.gemini_metadata,
+    rolling: this.rolling,
+    template_id: this.template_id,
+    template_name: this.template_name,
+    custom_fields: this.custom_fields,
     language: this.language,
+    version: this.version,
+    feedback: this.feedback,
+    chat_delivery: this.chat_delivery,
+    translated_languages: (this.translations || []).map(translation => translation.language),
     status: this.status,
     created_at: this.created_at
   };
@@ -190,6 +441,42 @@ SummarySchema.statics.get_summaries_by_room = function(roomId, limit = 20, skip
     .skip(skip);
 };
 
+/**
+ * Latest completed summary of a room created before the given summary
+ * @param {ObjectId} roomId - Room ID
+ * @param {Summary} summary - Current summary (excluded)
+ * @returns {Promise<Summary|null>}
+ */
+SummarySchema.statics.get_previous_for_room = function(roomId, summary) {
+  return this.findOne({
+    room_id: roomId,
+    status: 'completed',
+    _id: { $ne: summary._id },
+    created_at: { $lt: summary.created_at || new Date() }
+  }).sort({ created_at: -1 });
+};
+
+/**
+ * Store a translation unless one exists for the language or the summary
+ * changed since it was read (concurrent viewers translate only once)
+ * @param {Summary} summary - Summary the translation was made from
+ * @param {Object} translation - Translation entry
+ * @returns {Promise<boolean>} Whether the translation was stored
+ */
+SummarySchema.statics.cache_translation = async function(summary, translation) {
+  const result = await this.updateOne(
+    {
+      _id: summary._id,
+      updated_at: summary.updated_at,
+      'translations.language': { $ne: translation.language }
+    },
+    { $push: { translations: translation } },
+    { timestamps: false }
+  );
+
+  return result.modifiedCount > 0;
+};
+
 SummarySchema.statics.get_summaries_by_owner = function(ownerId, limit = 50, skip = 0) {
   return this.find({ owner_id: ownerId, status: 'completed' })
     .populate('session_id', 'session_id start_time end_time')
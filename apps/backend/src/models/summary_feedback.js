@@ -0,0 +1,162 @@
+/**
+ * SummaryFeedback Model
+ * A reviewer's rating, corrections and comment on a summary (see
+ * services/summary_feedback). One document per summary and reviewer;
+ * resubmitting replaces it. Template and model are denormalized so feedback
+ * can be aggregated per template, model and organization.
+ */
+
+const { Schema, model } = require('mongoose');
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+
+const SummaryFeedbackSchema = new Schema({
+  organization_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  summary_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Summary',
+    required: true
+  },
+  session_id: {
+    type: String,
+    ref: 'ChatSession',
+    description: 'Chat session of the summary (Summary.session_id)'
+  },
+  room_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  user_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    description: 'Reviewer'
+  },
+  rating: {
+    type: String,
+    enum: [...FEEDBACK_RATINGS, null],
+    default: null,
+    description: 'Thumbs up/down (null = corrections or comment only)'
+  },
+  corrections: {
+    key_topics: {
+      type: [String],
+      default: undefined,
+      description: 'Correct topic list (unset = topics not corrected)'
+    },
+    sentiment: {
+      type: String,
+      enum: ['positive', 'neutral', 'negative', null],
+      default: null,
+      description: 'Correct sentiment (null = not corrected)'
+    },
+    wrong_action_items: {
+      type: [String],
+      default: [],
+      description: 'Action items of the summary flagged as wrong'
+    },
+    missing_action_items: {
+      type: [String],
+      default: [],
+      description: 'Action items the summary should have listed'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  original: {
+    key_topics: [{ type: String }],
+    sentiment: { type: String, default: null },
+    action_items: [{ type: String }],
+    content: {
+      type: String,
+      default: '',
+      description: 'Summary text when the feedback was given (few-shot examples)'
+    }
+  },
+
+  // Denormalized from the summary for aggregation
+  summary_version: {
+    type: Number,
+    default: 0,
+    description: 'Summary version reviewed (see SummaryVersion)'
+  },
+  template_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'SummaryTemplate',
+    default: null
+  },
+  template_name: {
+    type: String,
+    default: null
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    default: null
+  }
+}, {
+  collection: 'summary_feedback',
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Indexes
+SummaryFeedbackSchema.index({ summary_id: 1, user_id: 1 }, { unique: true });
+SummaryFeedbackSchema.index({ organization_id: 1, updated_at: -1 });
+SummaryFeedbackSchema.index({ organization_id: 1, template_id: 1, updated_at: -1 });
+
+// ════════════════════════════════════════════════════════════════
+// Virtuals
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Whether the reviewer corrected any field
+ */
+SummaryFeedbackSchema.virtual('has_corrections').get(function() {
+  const corrections = this.corrections || {};
+  return !!(
+    corrections.key_topics ||
+    corrections.sentiment ||
+    corrections.wrong_action_items?.length ||
+    corrections.missing_action_items?.length
+  );
+});
+
+// ════════════════════════════════════════════════════════════════
+// Instance Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Feedback data for API responses
+ * @returns {Object} Feedback data
+ */
+SummaryFeedbackSchema.methods.get_feedback_data = function() {
+  return {
+    id: this._id,
+    summary_id: this.summary_id,
+    user_id: this.user_id,
+    rating: this.rating,
+    corrections: this.corrections,
+    has_corrections: this.has_corrections,
+    comment: this.comment,
+    summary_version: this.summary_version,
+    created_at: this.created_at,
+    updated_at: this.updated_at
+  };
+};
+
+const SummaryFeedback = model('SummaryFeedback', SummaryFeedbackSchema);
+
+module.exports = SummaryFeedback;
+module.exports.FEEDBACK_RATINGS = FEEDBACK_RATINGS;
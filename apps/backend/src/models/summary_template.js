@@ -0,0 +1,212 @@
+/**
+ * SummaryTemplate Model
+ * Organization-defined summary prompt: extra instructions, custom output
+ * fields and answer language. A room uses its own template, else the
+ * template for its assignment category, else the organization default,
+ * else the built-in prompt (see services/summary_template_resolver).
+ */
+
+const { Schema, model } = require('mongoose');
+
+// Room.assignment.category values a template can be bound to
+const TEMPLATE_CATEGORIES = ['sales', 'support', 'operations', 'marketing', 'other', 'unassigned'];
+
+// Output field types understood by services/llm/summary_schema
+const OUTPUT_FIELD_TYPES = ['text', 'list', 'enum', 'number', 'boolean'];
+
+const OutputFieldSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{0,39}$/, 'Field key must be snake_case (a-z, 0-9, _)'],
+    description: 'JSON key the model must return (e.g. "deal_stage")'
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+    description: 'Display label in the dashboard'
+  },
+  type: {
+    type: String,
+    enum: OUTPUT_FIELD_TYPES,
+    default: 'text',
+    description: 'Value type: text, list of strings, enum, number or boolean'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: '',
+    description: 'What the model should put in this field (shown in the prompt)'
+  },
+  options: {
+    type: [String],
+    default: [],
+    description: 'Allowed values for enum fields'
+  },
+  required: {
+    type: Boolean,
+    default: false,
+    description: 'Whether the model must always return this field'
+  }
+}, { _id: false });
+
+const SummaryTemplateSchema = new Schema({
+  organization_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true,
+    description: 'Organization that owns this template'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+    description: 'Template name (unique per organization)'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: '',
+    description: 'What the template is for'
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: 4000,
+    default: '',
+    description: 'Extra prompt instructions appended to the built-in analysis instructions'
+  },
+  output_fields: {
+    type: [OutputFieldSchema],
+    default: [],
+    validate: [fields => fields.length <= 20, 'A template can define at most 20 output fields'],
+    description: 'Custom fields returned under "custom_fields" in the summary JSON'
+  },
+  language: {
+    type: String,
+    enum: ['th', 'en', 'ja', null],
+    default: null,
+    description: 'Summary language (null = organization default; a room language overrides it)'
+  },
+  categories: {
+    type: [{ type: String, enum: TEMPLATE_CATEGORIES }],
+    default: [],
+    description: 'Room assignment categories that use this template'
+  },
+  is_default: {
+    type: Boolean,
+    default: false,
+    description: 'Organization default for rooms without a room or category template'
+  },
+  is_active: {
+    type: Boolean,
+    default: true,
+    description: 'Inactive templates are ignored when resolving'
+  },
+  created_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    description: 'User who created the template'
+  },
+  updated_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    description: 'User who last updated the template'
+  }
+}, {
+  collection: 'summary_templates',
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Indexes
+SummaryTemplateSchema.index({ organization_id: 1, name: 1 }, { unique: true });
+SummaryTemplateSchema.index({ organization_id: 1, is_active: 1, categories: 1 });
+SummaryTemplateSchema.index({ organization_id: 1, is_default: 1 });
+
+// Output field keys must be unique within a template
+SummaryTemplateSchema.path('output_fields').validate(function(fields) {
+  const keys = fields.map(field => field.key);
+  return new Set(keys).size === keys.length;
+}, 'Output field keys must be unique');
+
+// Enum fields need at least two options
+SummaryTemplateSchema.path('output_fields').validate(function(fields) {
+  return fields.every(field => field.type !== 'enum' || field.options.length >= 2);
+}, 'Enum output fields need at least two options');
+
+// ════════════════════════════════════════════════════════════════
+// Static Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * List templates of an organization
+ * @param {ObjectId} orgId - Organization ID
+ * @param {Object} options - { include_inactive }
+ * @returns {Promise<Array<SummaryTemplate>>}
+ */
+SummaryTemplateSchema.statics.list_for_organization = function(orgId, { include_inactive = false } = {}) {
+  const filter = { organization_id: orgId };
+  if (!include_inactive) {
+    filter.is_active = true;
+  }
+  return this.find(filter).sort({ is_default: -1, name: 1 });
+};
+
+/**
+ * Make a template the organization default (clears the flag on the others)
+ * @param {SummaryTemplate} template - Template to promote
+ * @returns {Promise<void>}
+ */
+SummaryTemplateSchema.statics.set_default = async function(template) {
+  await this.updateMany(
+    { organization_id: template.organization_id, _id: { $ne: template._id }, is_default: true },
+    { $set: { is_default: false } }
+  );
+};
+
+// ════════════════════════════════════════════════════════════════
+// Instance Methods
+// ════════════════════════════════════════════════════════════════
+
+SummaryTemplateSchema.methods.get_template_data = function() {
+  return {
+    id: this._id,
+    organization_id: this.organization_id,
+    name: this.name,
+    description: this.description,
+    instructions: this.instructions,
+    output_fields: this.output_fields,
+    language: this.language,
+    categories: this.categories,
+    is_default: this.is_default,
+    is_active: this.is_active,
+    created_by: this.created_by,
+    updated_by: this.updated_by,
+    created_at: this.created_at,
+    updated_at: this.updated_at
+  };
+};
+
+// Pre-save middleware
+SummaryTemplateSchema.pre('save', function(next) {
+  if (this.isNew) {
+    console.log(`➕ Creating summary template: ${this.name} (org ${this.organization_id})`);
+  } else {
+    console.log(`📝 Updating summary template: ${this.name}`);
+  }
+  next();
+});
+
+const SummaryTemplate = model('SummaryTemplate', SummaryTemplateSchema);
+
+module.exports = SummaryTemplate;
+module.exports.TEMPLATE_CATEGORIES = TEMPLATE_CATEGORIES;
+module.exports.OUTPUT_FIELD_TYPES = OUTPUT_FIELD_TYPES;
@@ -0,0 +1,198 @@
+/**
+ * SummaryVersion Model
+ * Immutable snapshot of a chat session's summary (see services/summary_versions).
+ * A version is written for every AI generation, human edit and restore;
+ * regenerating a session keeps numbering, so the history of a session spans
+ * all of its Summary documents.
+ */
+
+const { Schema, model } = require('mongoose');
+
+const SUMMARY_VERSION_SOURCES = ['generated', 'edited', 'restored'];
+
+const SummaryVersionSchema = new Schema({
+  organization_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  session_id: {
+    type: String,
+    ref: 'ChatSession',
+    required: true,
+    description: 'Chat session (ChatSession _id, as on Summary.session_id)'
+  },
+  summary_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Summary',
+    required: true,
+    description: 'Summary document the version was taken from'
+  },
+  room_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+    description: 'Version number within the session (1 = first snapshot)'
+  },
+  source: {
+    type: String,
+    enum: SUMMARY_VERSION_SOURCES,
+    required: true,
+    description: 'generated = AI output, edited = human edit, restored = copy of an earlier version'
+  },
+  author: {
+    user_id: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      description: 'Editor (null for AI generations)'
+    },
+    name: {
+      type: String,
+      default: null,
+      description: 'Editor name at the time of the edit'
+    }
+  },
+  restored_from: {
+    type: Number,
+    default: null,
+    description: 'Version copied by a restore'
+  },
+  backfilled: {
+    type: Boolean,
+    default: false,
+    description: 'Snapshot of a summary from before version history, taken on its first change'
+  },
+
+  // Summary content at this version
+  content: {
+    type: String,
+    default: ''
+  },
+  key_topics: [{
+    type: String
+  }],
+  analysis: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  custom_fields: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  language: {
+    type: String,
+    default: null
+  },
+  redaction_placeholders: {
+    type: [{
+      _id: false,
+      placeholder: { type: String, required: true },
+      type: { type: String, required: true },
+      value: { type: String, required: true }
+    }],
+    default: [],
+    select: false,
+    description: 'Placeholder values of the content (see Summary.redaction.placeholders)'
+  },
+
+  // How the summary was produced (copied from the source summary for edits and restores)
+  generation: {
+    provider: { type: String, default: null },
+    model: { type: String, default: null },
+    strategy: { type: String, default: null },
+    tokens_used: { type: Number, default: 0 },
+    cost: { type: Number, default: 0 },
+    rolling: { type: Boolean, default: false, description: 'Generated with the previous room summary as context' },
+    template_id: {
+      type: Schema.Types.ObjectId,
+      ref: 'SummaryTemplate',
+      default: null
+    },
+    template_name: { type: String, default: null },
+    template_instructions: {
+      type: String,
+      default: null,
+      description: 'Template instructions at generation time (templates can change later)'
+    },
+    template_output_fields: {
+      type: [String],
+      default: [],
+      description: 'Template output field keys at generation time'
+    }
+  }
+}, {
+  collection: 'summary_versions',
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+  versionKey: false
+});
+
+// Indexes
+SummaryVersionSchema.index({ session_id: 1, version: -1 }, { unique: true });
+SummaryVersionSchema.index({ summary_id: 1 });
+SummaryVersionSchema.index({ organization_id: 1, created_at: -1 });
+
+// Versions are append-only
+function reject_change(next) {
+  next(new Error('Summary versions are immutable'));
+}
+SummaryVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], reject_change);
+SummaryVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return reject_change(next);
+  }
+  next();
+});
+
+// ════════════════════════════════════════════════════════════════
+// Static Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Highest version number of a session (0 when it has no versions)
+ * @param {string} sessionId - Summary.session_id
+ * @returns {Promise<number>}
+ */
+SummaryVersionSchema.statics.get_latest_version = async function(sessionId) {
+  const latest = await this.findOne({ session_id: String(sessionId) })
+    .sort({ version: -1 })
+    .select('version')
+    .lean();
+  return latest?.version || 0;
+};
+
+// ════════════════════════════════════════════════════════════════
+// Instance Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Version data for API responses
+ * @returns {Object} Version data
+ */
+SummaryVersionSchema.methods.get_version_data = function() {
+  return {
+    version: this.version,
+    summary_id: this.summary_id,
+    session_id: this.session_id,
+    source: this.source,
+    author: this.author,
+    restored_from: this.restored_from,
+    backfilled: this.backfilled,
+    content: this.content,
+    key_topics: this.key_topics,
+    analysis: this.analysis,
+    custom_fields: this.custom_fields,
+    language: this.language,
+    generation: this.generation,
+    created_at: this.created_at
+  };
+};
+
+const SummaryVersion = model('SummaryVersion', SummaryVersionSchema);
+
+module.exports = SummaryVersion;
+module.exports.SUMMARY_VERSION_SOURCES = SUMMARY_VERSION_SOURCES;
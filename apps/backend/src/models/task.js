@@ -0,0 +1,213 @@
+/**
+ * Task Model
+ * Follow-up item extracted from a completed summary's action_items (see
+ * services/task_extractor). Keeps a link back to the summary, session and
+ * source messages so the team can check what was actually said.
+ */
+
+const { Schema, model } = require('mongoose');
+
+const TASK_STATUSES = ['open', 'in_progress', 'done', 'dismissed'];
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+// Statuses that still need work
+const OPEN_STATUSES = ['open', 'in_progress'];
+
+const TaskSchema = new Schema({
+  organization_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true,
+    description: 'Organization this task belongs to'
+  },
+  room_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true,
+    description: 'Room (LINE group or chat) the task came from'
+  },
+  session_id: {
+    type: String,
+    ref: 'ChatSession',
+    description: 'Chat session the task came from'
+  },
+  summary_id: {
+    type: Schema.Types.ObjectId,
+    ref: 'Summary',
+    description: 'Summary whose action item produced the task'
+  },
+  item_index: {
+    type: Number,
+    default: 0,
+    description: 'Position of the action item in the summary'
+  },
+  source_message_ids: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Message',
+    description: 'Messages the action item was most likely taken from'
+  }],
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500,
+    description: 'Action item text'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: '',
+    description: 'Notes added by the team'
+  },
+  status: {
+    type: String,
+    enum: TASK_STATUSES,
+    default: 'open',
+    description: 'open → in_progress → done | dismissed'
+  },
+  priority: {
+    type: String,
+    enum: TASK_PRIORITIES,
+    default: 'medium',
+    description: 'Priority (initially the summary urgency)'
+  },
+  assignee: {
+    type: {
+      type: String,
+      enum: ['line_user', 'member', null],
+      default: null,
+      description: 'line_user = LINE chat participant, member = organization member'
+    },
+    line_user_id: { type: String, default: null },
+    user_id: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    display_name: { type: String, default: null }
+  },
+  due_date: {
+    type: Date,
+    default: null,
+    description: 'Due date (end of day in the organization timezone)'
+  },
+  due_date_text: {
+    type: String,
+    default: null,
+    description: 'Phrase the due date was read from (e.g. "พรุ่งนี้", "by Friday")'
+  },
+  completed_at: {
+    type: Date,
+    default: null
+  },
+  completed_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updated_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    description: 'User who last changed the task (null = extracted automatically)'
+  }
+}, {
+  collection: 'tasks',
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Indexes
+TaskSchema.index({ summary_id: 1, item_index: 1 }, { unique: true, partialFilterExpression: { summary_id: { $exists: true } } });
+TaskSchema.index({ session_id: 1 });
+TaskSchema.index({ organization_id: 1, status: 1, due_date: 1 });
+TaskSchema.index({ organization_id: 1, 'assignee.user_id': 1, status: 1 });
+TaskSchema.index({ organization_id: 1, room_id: 1, status: 1 });
+
+// ════════════════════════════════════════════════════════════════
+// Static Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Task counts of an organization by status, plus open tasks past their due date
+ * @param {ObjectId} orgId - Organization ID
+ * @returns {Promise<Object>} { open, in_progress, done, dismissed, overdue, total }
+ */
+TaskSchema.statics.get_organization_stats = async function(orgId) {
+  const [byStatus, overdue] = await Promise.all([
+    this.aggregate([
+      { $match: { organization_id: orgId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    this.countDocuments({
+      organization_id: orgId,
+      status: { $in: OPEN_STATUSES },
+      due_date: { $ne: null, $lt: new Date() }
+    })
+  ]);
+
+  const stats = Object.fromEntries(TASK_STATUSES.map(status => [status, 0]));
+  byStatus.forEach(row => {
+    stats[row._id] = row.count;
+  });
+
+  return {
+    ...stats,
+    overdue,
+    total: byStatus.reduce((sum, row) => sum + row.count, 0)
+  };
+};
+
+// ════════════════════════════════════════════════════════════════
+// Instance Methods
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Move the task to a new status, keeping completion fields consistent
+ * @param {string} status - New status
+ * @param {ObjectId|null} userId - User making the change
+ */
+TaskSchema.methods.set_status = function(status, userId = null) {
+  this.status = status;
+  this.updated_by = userId;
+
+  if (status === 'done') {
+    this.completed_at = this.completed_at || new Date();
+    this.completed_by = this.completed_by || userId;
+  } else {
+    this.completed_at = null;
+    this.completed_by = null;
+  }
+};
+
+TaskSchema.methods.is_overdue = function() {
+  return OPEN_STATUSES.includes(this.status) && !!this.due_date && this.due_date < new Date();
+};
+
+TaskSchema.methods.get_task_data = function() {
+  return {
+    id: this._id,
+    organization_id: this.organization_id,
+    room_id: this.room_id,
+    session_id: this.session_id,
+    summary_id: this.summary_id,
+    source_message_ids: this.source_message_ids,
+    title: this.title,
+    notes: this.notes,
+    status: this.status,
+    priority: this.priority,
+    assignee: this.assignee?.type ? this.assignee : null,
+    due_date: this.due_date,
+    due_date_text: this.due_date_text,
+    is_overdue: this.is_overdue(),
+    completed_at: this.completed_at,
+    completed_by: this.completed_by,
+    created_at: this.created_at,
+    updated_at: this.updated_at
+  };
+};
+
+const Task = model('Task', TaskSchema);
+
+module.exports = Task;
+module.exports.TASK_STATUSES = TASK_STATUSES;
+module.exports.TASK_PRIORITIES = TASK_PRIORITIES;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
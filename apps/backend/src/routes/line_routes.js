@@ -7,6 +7,7 @@ const express = require('express');
 const lineService = require('../services/line_service');
 const LineWebhookHandler = require('../handlers/line_webhook_handler');
 const googleAppsScriptService = require('../services/google_apps_script_service');
+const { Owner } = require('../models');
 
 // Create webhook handler instance
 const lineWebhookHandler = new LineWebhookHandler();
@@ -14,35 +15,137 @@ const lineWebhookHandler = new LineWebhookHandler();
 const router = express.Router();
 
 /**
- * Middleware to validate LINE webhook signature
+ * Find the LINE OA owner whose channel secret produced the signature
+ * @param {string} bodyString - Raw request body
+ * @param {string} signature - X-Line-Signature header value
+ * @returns {Promise<Owner|null>} Matching owner or null
  */
-const validate_line_signature = (req, res, next) => {
+const find_owner_by_signature = async (bodyString, signature) => {
+  const owners = await Owner.find_active_channels();
+
+  for (const owner of owners) {
+    let channelSecret;
+    try {
+      channelSecret = owner.line_channel_secret;
+    } catch (error) {
+      console.warn(`⚠️ Could not decrypt channel secret for owner ${owner._id}:`, error.message);
+      continue;
+    }
+
+    if (lineService.validate_signature(bodyString, signature, channelSecret)) {
+      return owner;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Whether a webhook body carries events to process
+ * LINE's "Verify" button sends an empty events array; anything else must be signed.
+ * @param {string} bodyString - Raw request body
+ * @returns {boolean}
+ */
+const carries_events = (bodyString) => {
+  if (!bodyString.trim()) return false;
+
+  try {
+    const events = JSON.parse(bodyString).events;
+    return !Array.isArray(events) || events.length > 0;
+  } catch (error) {
+    // Unparseable bodies are rejected as unsigned rather than as invalid JSON
+    return true;
+  }
+};
+
+/**
+ * Respond 401 to an unsigned webhook request
+ * @param {Object} res - Express response
+ */
+const reject_unsigned = (res) => {
+  console.error('❌ Missing X-Line-Signature header on a webhook with events');
+  return res.status(401).json({
+    error: 'Missing signature',
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Middleware to validate LINE webhook signature and resolve the sending channel
+ * - /webhook/:channelId validates against that owner's channel secret
+ * - /webhook tries every connected owner, then falls back to the env channel secret
+ * Requests without a signature are only accepted when they carry no events.
+ * The resolved owner is attached as req.line_owner (null means default owner)
+ */
+const validate_line_signature = async (req, res, next) => {
   const signature = req.get('X-Line-Signature');
-  
+  const { channelId } = req.params;
+
   console.log('🔐 Validating LINE webhook signature');
   console.log('Raw body type:', typeof req.body);
   console.log('Raw body length:', req.body ? req.body.length : 'undefined');
   console.log('Signature header:', signature);
-  
+  console.log('Channel ID:', channelId || 'default');
+
   // Convert buffer to string for signature validation
   const bodyString = req.body.toString('utf8');
-  console.log('Body string:', bodyString);
-  
-  // Skip signature validation for LINE verification requests (empty body)
-  if (!signature) {
-    console.warn('⚠️ No X-Line-Signature header found, proceeding without validation');
-  } else if (!lineService.validate_signature(bodyString, signature)) {
-    console.error('❌ Invalid LINE webhook signature');
-    // For debugging - let's see what's happening
-    console.log('Expected signature would be calculated from body:', bodyString);
-    return res.status(401).json({ 
-      error: 'Invalid signature',
+
+  req.line_owner = null;
+
+  try {
+    if (channelId) {
+      const owner = await Owner.find_by_channel_id(channelId);
+
+      if (!owner || (owner.status && owner.status !== 'active')) {
+        console.error(`❌ Unknown or inactive LINE channel: ${channelId}`);
+        return res.status(404).json({
+          error: 'Unknown LINE channel',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!signature) {
+        if (carries_events(bodyString)) return reject_unsigned(res);
+        console.warn('⚠️ No X-Line-Signature header found on a request without events');
+      } else if (!lineService.validate_signature(bodyString, signature, owner.line_channel_secret)) {
+        console.error(`❌ Invalid LINE webhook signature for channel ${channelId}`);
+        return res.status(401).json({
+          error: 'Invalid signature',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      req.line_owner = owner;
+    } else if (!signature) {
+      // Skip signature validation for LINE verification requests (no events)
+      if (carries_events(bodyString)) return reject_unsigned(res);
+      console.warn('⚠️ No X-Line-Signature header found on a request without events');
+    } else {
+      req.line_owner = await find_owner_by_signature(bodyString, signature);
+
+      if (!req.line_owner && !lineService.validate_signature(bodyString, signature)) {
+        console.error('❌ Invalid LINE webhook signature');
+        return res.status(401).json({
+          error: 'Invalid signature',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error resolving LINE channel:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
       timestamp: new Date().toISOString()
     });
+  }
+
+  if (req.line_owner) {
+    console.log(`✅ LINE webhook signature validated for channel ${req.line_owner.line_channel_id}`);
   } else {
-    console.log('✅ LINE webhook signature validated');
+    console.log('✅ LINE webhook accepted for default channel');
   }
-  
+
   // Parse the JSON for the handler
   try {
     req.body = JSON.parse(bodyString);
@@ -61,8 +164,9 @@ const validate_line_signature = (req, res, next) => {
  * LINE Webhook Endpoint
  * Receives and processes webhook events from LINE Platform
  * POST /api/line/webhook
+ * POST /api/line/webhook/:channelId (per-channel path for multi-OA setups)
  */
-router.post('/webhook', validate_line_signature, async (req, res) => {
+router.post(['/webhook', '/webhook/:channelId'], validate_line_signature, async (req, res) => {
   console.log('📨 LINE webhook received');
   console.log('Request headers:', req.headers);
   console.log('Request body:', JSON.stringify(req.body, null, 2));
@@ -87,8 +191,8 @@ router.post('/webhook', validate_line_signature, async (req, res) => {
       });
     }
     
-    // Process webhook events
-    await lineWebhookHandler.handle_webhook_events(events);
+    // Process webhook events under the channel that sent them
+    await lineWebhookHandler.handle_webhook_events(events, req.line_owner);
 
     // Trigger Google Apps Script webhook (non-blocking - don't await)
     // This runs in the background and won't delay the response to LINE
@@ -275,8 +379,9 @@ router.post('/test', async (req, res) => {
  * Webhook Verification Endpoint
  * Used by LINE to verify webhook URL during setup
  * GET /api/line/webhook
+ * GET /api/line/webhook/:channelId
  */
-router.get('/webhook', (req, res) => {
+router.get(['/webhook', '/webhook/:channelId'], (req, res) => {
   console.log('✅ LINE webhook verification (GET request)');
   res.status(200).json({ 
     message: 'LINE webhook endpoint is ready',
@@ -312,8 +417,11 @@ router.post('/webhook-test', async (req, res) => {
       });
     }
     
+    // Optional ?channelId= routes test events to a specific LINE OA
+    const owner = req.query.channelId ? await Owner.find_by_channel_id(req.query.channelId) : null;
+
     // Process webhook events (same as main webhook)
-    await lineWebhookHandler.handle_webhook_events(events);
+    await lineWebhookHandler.handle_webhook_events(events, owner);
     
     console.log('✅ LINE test webhook processed successfully');
     res.status(200).json({ 
@@ -0,0 +1,28 @@
+/**
+ * Alert Scheduled Tasks
+ * Fires "no staff reply" alert rules for conversations whose customer
+ * messages waited longer than the rule allows (see services/alerts).
+ *
+ * @module scheduler/alert_tasks
+ */
+
+const { check_unanswered_conversations } = require('../services/alerts');
+
+/**
+ * Check conversations waiting for a staff reply
+ * Safe to run repeatedly: each waiting message fires a rule at most once.
+ * @returns {Promise<Object>} { rules, fired }
+ */
+async function check_no_reply_alerts() {
+  const result = await check_unanswered_conversations(new Date());
+
+  if (result.fired > 0) {
+    console.log(`🚨 No-reply check fired ${result.fired} alert(s) from ${result.rules} rule(s)`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  check_no_reply_alerts
+};
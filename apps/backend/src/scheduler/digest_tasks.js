@@ -0,0 +1,64 @@
+/**
+ * Digest Scheduled Tasks
+ * Queues a `digest:build` job for every organization whose daily or weekly
+ * digest is due in its own timezone (see services/digest get_due_period).
+ *
+ * @module scheduler/digest_tasks
+ */
+
+const { Organization, Digest } = require('../models');
+const jobQueue = require('../services/job_queue');
+const { get_due_period } = require('../services/digest');
+
+/**
+ * Queue digests that are due and not built yet
+ * Safe to run repeatedly: periods with a digest or a pending job are skipped.
+ * @returns {Promise<Object>} { checked, queued }
+ */
+async function queue_due_digests() {
+  const now = new Date();
+  const organizations = await Organization.find(
+    { 'settings.digest.enabled': true, status: { $in: ['active', 'trial'] } },
+    'settings.digest settings.timezone'
+  );
+
+  let queued = 0;
+
+  for (const org of organizations) {
+    const period = get_due_period(org, now);
+    if (!period) {
+      continue;
+    }
+
+    const frequency = org.settings.digest.frequency;
+    try {
+      // Started digests are finished by their own job's retries
+      if (await Digest.exists({ organization_id: org._id, frequency, 'period.key': period.key })) {
+        continue;
+      }
+
+      await jobQueue.enqueue(jobQueue.JOB_TYPES.DIGEST_BUILD, {
+        organization_id: org._id,
+        frequency,
+        period_key: period.key,
+        deliver: true
+      }, {
+        organization_id: org._id,
+        unique_key: `digest:${org._id}:${frequency}:${period.key}`
+      });
+      queued++;
+    } catch (error) {
+      console.error(`❌ Failed to queue digest for org ${org._id}:`, error.message);
+    }
+  }
+
+  if (queued > 0) {
+    console.log(`📰 Queued ${queued} organization digest(s)`);
+  }
+
+  return { checked: organizations.length, queued };
+}
+
+module.exports = {
+  queue_due_digests
+};
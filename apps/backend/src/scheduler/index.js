@@ -0,0 +1,52 @@
+/**
+ * Scheduled Tasks Index
+ * Registers all periodic tasks with the scheduler
+ */
+
+const scheduler = require('../services/scheduler');
+const config = require('../config');
+const { close_expired_sessions, close_idle_sessions } = require('./session_tasks');
+const { reset_monthly_usage } = require('./usage_tasks');
+const { queue_due_digests } = require('./digest_tasks');
+const { check_no_reply_alerts } = require('./alert_tasks');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Register built-in scheduled tasks
+ * @returns {Scheduler} The scheduler singleton
+ */
+function register_scheduled_tasks() {
+  const sessionInterval = config.scheduler.sessionCheckIntervalMinutes * MINUTE_MS;
+
+  scheduler.register('sessions:close_expired', {
+    interval_ms: sessionInterval,
+    handler: close_expired_sessions
+  });
+
+  scheduler.register('sessions:close_idle', {
+    interval_ms: sessionInterval,
+    handler: close_idle_sessions
+  });
+
+  scheduler.register('organizations:reset_monthly_usage', {
+    interval_ms: config.scheduler.usageResetCheckIntervalMinutes * MINUTE_MS,
+    handler: reset_monthly_usage
+  });
+
+  scheduler.register('digests:queue_due', {
+    interval_ms: config.scheduler.digestCheckIntervalMinutes * MINUTE_MS,
+    handler: queue_due_digests
+  });
+
+  scheduler.register('alerts:check_no_reply', {
+    interval_ms: config.scheduler.alertCheckIntervalMinutes * MINUTE_MS,
+    handler: check_no_reply_alerts
+  });
+
+  return scheduler;
+}
+
+module.exports = {
+  register_scheduled_tasks
+};
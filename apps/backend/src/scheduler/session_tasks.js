@@ -0,0 +1,91 @@
+/**
+ * Session Scheduled Tasks
+ * Close sessions that will not receive another triggering message:
+ * sessions past their resolved time limit, and sessions that have been
+ * idle longer than the configured inactivity window.
+ *
+ * @module scheduler/session_tasks
+ */
+
+const { ChatSession } = require('../models');
+const SessionManager = require('../services/session_manager');
+const config = require('../config');
+
+// Upper bound of sessions closed per run, to keep each run short
+const MAX_SESSIONS_PER_RUN = 200;
+
+const sessionManager = new SessionManager();
+
+/**
+ * Close a batch of sessions through SessionManager (queues their summaries)
+ * @param {Array<ChatSession>} sessions - Sessions to close
+ * @param {string} reason - Close reason for logging
+ * @returns {Promise<Object>} { closed, failed }
+ */
+async function close_sessions(sessions, reason) {
+  let closed = 0;
+  let failed = 0;
+
+  for (const session of sessions) {
+    try {
+      await sessionManager.closeSession(session._id, reason);
+      closed++;
+    } catch (error) {
+      failed++;
+      console.error(`❌ Failed to auto-close session ${session._id}:`, error.message);
+    }
+  }
+
+  return { closed, failed };
+}
+
+/**
+ * Close active sessions past their time limit
+ * Limits resolve room → organization → owner → global (see session_trigger_resolver).
+ * @returns {Promise<Object>} { closed, failed }
+ */
+async function close_expired_sessions() {
+  console.log('🔍 Checking for expired sessions...');
+
+  const sessions = await sessionManager.getExpiredSessions(MAX_SESSIONS_PER_RUN);
+  if (sessions.length === 0) {
+    return { closed: 0, failed: 0 };
+  }
+
+  console.log(`⏰ ${sessions.length} expired session(s) to close`);
+  return close_sessions(sessions, 'auto_timeout');
+}
+
+/**
+ * Close active sessions with no activity for SESSION_IDLE_TIMEOUT_MINUTES
+ * Activity is tracked by the session's updated_at, which is bumped on every message.
+ * @returns {Promise<Object>} { closed, failed } or { skipped: true } when disabled
+ */
+async function close_idle_sessions() {
+  const idleMinutes = config.session.idleTimeoutMinutes;
+  if (!idleMinutes) {
+    return { skipped: true };
+  }
+
+  console.log(`🔍 Checking for sessions idle longer than ${idleMinutes} minutes...`);
+
+  const cutoff = new Date(Date.now() - idleMinutes * 60 * 1000);
+  const sessions = await ChatSession.find({
+    status: 'active',
+    updated_at: { $lt: cutoff }
+  })
+    .select('_id')
+    .limit(MAX_SESSIONS_PER_RUN);
+
+  if (sessions.length === 0) {
+    return { closed: 0, failed: 0 };
+  }
+
+  console.log(`💤 ${sessions.length} idle session(s) to close`);
+  return close_sessions(sessions, 'idle_timeout');
+}
+
+module.exports = {
+  close_expired_sessions,
+  close_idle_sessions
+};
@@ -0,0 +1,74 @@
+/**
+ * Usage Scheduled Tasks
+ * Resets Organization.usage monthly counters when an organization enters a
+ * new calendar month in its own timezone.
+ *
+ * @module scheduler/usage_tasks
+ */
+
+const { Organization } = require('../models');
+
+/**
+ * Get the calendar month of a date in a timezone
+ * @param {Date} date - Date to convert
+ * @param {string} timezone - IANA timezone (e.g. "Asia/Bangkok")
+ * @returns {string} Month key in YYYY-MM format
+ */
+function get_month_key(date, timezone) {
+  const format = (timeZone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit'
+  }).format(date);
+
+  try {
+    return format(timezone || 'UTC');
+  } catch (error) {
+    // Invalid timezone stored on the organization
+    return format('UTC');
+  }
+}
+
+/**
+ * Reset monthly usage for organizations whose last reset was in a previous month
+ * Safe to run repeatedly: organizations already reset this month are skipped.
+ * @returns {Promise<Object>} { checked, reset }
+ */
+async function reset_monthly_usage() {
+  console.log('🔍 Checking organizations for monthly usage reset...');
+
+  const now = new Date();
+  const organizations = await Organization.find(
+    {},
+    'name settings.timezone usage.last_usage_reset created_at'
+  );
+
+  let reset = 0;
+
+  for (const org of organizations) {
+    const timezone = org.settings?.timezone;
+    const lastReset = org.usage?.last_usage_reset || org.created_at;
+
+    if (lastReset && get_month_key(lastReset, timezone) === get_month_key(now, timezone)) {
+      continue;
+    }
+
+    try {
+      await org.reset_monthly_usage();
+      reset++;
+    } catch (error) {
+      console.error(`❌ Failed to reset monthly usage for org ${org._id}:`, error.message);
+    }
+  }
+
+  if (reset > 0) {
+    console.log(`✅ Reset monthly usage for ${reset} organization(s)`);
+  }
+
+  return { checked: organizations.length, reset };
+}
+
+module.exports = {
+  reset_monthly_usage,
+  get_month_key
+};
@@ -5,6 +5,10 @@
 
 const app = require('./app');
 const config = require('./config');
+const { register_job_handlers } = require('./jobs');
+const jobQueue = require('./services/job_queue');
+const { register_scheduled_tasks } = require('./scheduler');
+const scheduler = require('./services/scheduler');
 
 const PORT = config.app.port;
 const NODE_ENV = config.app.nodeEnv;
@@ -43,12 +47,30 @@ const startServer = () => {
     }
     
     console.log('🚀 Ready to receive LINE webhooks and generate AI summaries!');
+
+    // Start in-process summary workers (disable with JOB_WORKER_ENABLED=false)
+    if (config.jobs.workerEnabled) {
+      register_job_handlers().start();
+    } else {
+      console.log('⏸️  In-process job worker disabled (JOB_WORKER_ENABLED=false)');
+    }
+
+    // Start periodic tasks (session auto-close, monthly usage reset)
+    if (config.scheduler.enabled) {
+      register_scheduled_tasks().start();
+    } else {
+      console.log('⏸️  Scheduler disabled (SCHEDULER_ENABLED=false)');
+    }
   });
 
   // Handle server shutdown gracefully
   const gracefulShutdown = (signal) => {
     console.log(`📴 ${signal} received. Starting graceful shutdown...`);
-    
+
+    // Stop claiming new jobs/tasks; unfinished ones are picked up again after their locks expire
+    jobQueue.stop();
+    scheduler.stop();
+
     server.close((error) => {
       if (error) {
         console.error('❌ Error during server shutdown:', error);
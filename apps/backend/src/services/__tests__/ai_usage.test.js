@@ -0,0 +1,56 @@
+jest.mock('../../models', () => ({
+  AiUsage: { add_usage: jest.fn() },
+  Organization: { findByIdAndUpdate: jest.fn() },
+  Owner: { updateOne: jest.fn() },
+  AuditLog: { log: jest.fn() }
+}));
+
+const { Organization, AuditLog } = require('../../models');
+const { check_ai_budget, record_ai_usage } = require('../ai_usage');
+
+function make_organization(state, overrides = {}) {
+  return {
+    _id: 'org-1',
+    created_by: 'user-1',
+    limits: { ai_budget_usd_per_month: 10 },
+    settings: { timezone: 'Asia/Bangkok' },
+    get_ai_budget_status: () => ({ state, budget_usd: 10, spent_usd: 10.5, percent: 105, soft_limit_percent: 80 }),
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('check_ai_budget', () => {
+  test('allows organizations under budget or without one', () => {
+    expect(check_ai_budget(null)).toBeNull();
+    expect(check_ai_budget(make_organization('unlimited'))).toBeNull();
+    expect(check_ai_budget(make_organization('warning'))).toBeNull();
+  });
+
+  test('blocks organizations over budget with a reason', () => {
+    expect(check_ai_budget(make_organization('exceeded'))).toBe('Monthly AI budget reached ($10)');
+  });
+});
+
+describe('record_ai_usage', () => {
+  test('audits the budget crossing as pausing every AI feature', async () => {
+    const organization = make_organization('exceeded');
+    Organization.findByIdAndUpdate.mockReturnValue({ select: () => Promise.resolve(organization) });
+
+    await record_ai_usage({
+      organization_id: 'org-1',
+      feature: 'chat_qa',
+      provider: 'gemini',
+      entries: [{ model: 'gemini-2.0-flash', requests: 1, usage: { total_tokens: 100 }, cost: 1 }]
+    });
+
+    expect(AuditLog.log).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'billing:ai_budget:exceeded',
+      description: expect.stringContaining('translations, Q&A, template previews, image and media analysis')
+    }));
+  });
+});
@@ -0,0 +1,202 @@
+jest.mock('../../config', () => ({ app: { frontendUrl: 'https://app.example.com' }, alerts: { webhookTimeoutMs: 5000 } }));
+jest.mock('../../models', () => ({
+  AlertRule: { find: jest.fn(), findById: jest.fn(), updateOne: jest.fn() },
+  AlertFiring: { exists: jest.fn(), create: jest.fn(), findById: jest.fn() },
+  Room: { findById: jest.fn() },
+  Message: {},
+  Organization: { findById: jest.fn() },
+  OrganizationMember: { find: jest.fn() },
+  Owner: { findOne: jest.fn() }
+}));
+jest.mock('../job_queue', () => ({ enqueue: jest.fn(), JOB_TYPES: { ALERT_NOTIFY: 'alert:notify' } }));
+jest.mock('../line_service', () => ({}));
+jest.mock('../email_service', () => ({ is_email_configured: jest.fn(), send_email: jest.fn() }));
+jest.mock('../bot_commands', () => ({ build_command_reply: jest.fn(), get_session_url: jest.fn() }));
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const dns = require('dns');
+const axios = require('axios');
+const { AlertRule, AlertFiring, Room, Organization, Owner } = require('../../models');
+const jobQueue = require('../job_queue');
+const {
+  check_webhook_url,
+  match_message_rule,
+  clear_rule_cache,
+  evaluate_summary_alerts,
+  send_alert_notifications
+} = require('../alerts');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('check_webhook_url', () => {
+  test('accepts https URLs of public hosts', async () => {
+    await expect(check_webhook_url('https://hooks.example.com/alerts')).resolves.toBeNull();
+    await expect(check_webhook_url('https://93.184.216.34/alerts')).resolves.toBeNull();
+    expect(dns.promises.lookup).toHaveBeenCalledWith('hooks.example.com', { all: true });
+  });
+
+  test('requires https', async () => {
+    await expect(check_webhook_url('http://hooks.example.com/alerts')).resolves.toMatch(/must use https/);
+    await expect(check_webhook_url('not a url')).resolves.toMatch(/not valid/);
+  });
+
+  test.each([
+    'https://169.254.169.254/latest/meta-data',
+    'https://127.0.0.1:8080/',
+    'https://0x7f.1/',
+    'https://10.0.0.5/',
+    'https://172.20.1.1/',
+    'https://192.168.1.10/',
+    'https://[::1]/',
+    'https://[::ffff:10.0.0.1]/',
+    'https://[fd00::1]/'
+  ])('rejects the private address %s', async (url) => {
+    await expect(check_webhook_url(url)).resolves.toMatch(/private, loopback or link-local/);
+    expect(dns.promises.lookup).not.toHaveBeenCalled();
+  });
+
+  test('rejects hosts that resolve to a private address', async () => {
+    dns.promises.lookup.mockResolvedValue([
+      { address: '93.184.216.34', family: 4 },
+      { address: '127.0.0.1', family: 4 }
+    ]);
+
+    await expect(check_webhook_url('https://localhost/')).resolves.toMatch(/private, loopback or link-local/);
+  });
+
+  test('rejects hosts that do not resolve', async () => {
+    dns.promises.lookup.mockRejectedValue(new Error('ENOTFOUND'));
+
+    await expect(check_webhook_url('https://missing.example.com/')).resolves.toMatch(/could not be resolved/);
+  });
+});
+
+describe('send_alert_notifications', () => {
+  function mock_alert(url) {
+    const alert = {
+      _id: 'alert-1',
+      organization_id: 'org-1',
+      rule_id: 'rule-1',
+      notifications: [],
+      get_alert_data: () => ({ id: 'alert-1' }),
+      save: jest.fn()
+    };
+    AlertFiring.findById.mockResolvedValue(alert);
+    AlertRule.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ actions: [{ type: 'webhook', url, secret: 'shh' }] })
+    });
+    Organization.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: 'org-1', name: 'Acme' }) });
+    Owner.findOne.mockResolvedValue(null);
+    return alert;
+  }
+
+  test('posts to public webhooks without following redirects', async () => {
+    mock_alert('https://hooks.example.com/alerts');
+
+    await expect(send_alert_notifications('alert-1')).resolves.toMatchObject({ sent: 1, failed: 0 });
+    expect(axios.post).toHaveBeenCalledWith('https://hooks.example.com/alerts', expect.any(String), expect.objectContaining({
+      maxRedirects: 0,
+      httpsAgent: expect.anything(),
+      headers: expect.objectContaining({ 'X-Alert-Signature': expect.stringMatching(/^sha256=/) })
+    }));
+  });
+
+  test('refuses webhooks stored before the URL checks', async () => {
+    const alert = mock_alert('https://169.254.169.254/latest/meta-data');
+
+    await expect(send_alert_notifications('alert-1')).rejects.toThrow(/1 alert notification/);
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(alert.notifications[0]).toMatchObject({ type: 'webhook', status: 'failed' });
+  });
+});
+
+describe('match_message_rule', () => {
+  test('matches keywords case-insensitively', () => {
+    const rule = { condition: { keywords: [' Refund ', 'ยกเลิก'], pattern: null } };
+
+    expect(match_message_rule(rule, 'I want a REFUND now')).toBe('Refund');
+    expect(match_message_rule(rule, 'ขอยกเลิกออเดอร์')).toBe('ยกเลิก');
+    expect(match_message_rule(rule, 'Thanks!')).toBeNull();
+  });
+
+  test('falls back to the pattern and returns the matched text', () => {
+    const rule = { condition: { keywords: [], pattern: 'order\\s*#?\\d{4,}' } };
+
+    expect(match_message_rule(rule, 'Where is Order #12345?')).toBe('Order #12345');
+    expect(match_message_rule(rule, 'Where is my order?')).toBeNull();
+  });
+
+  test('ignores blank keywords', () => {
+    expect(match_message_rule({ condition: { keywords: ['  '], pattern: null } }, 'anything')).toBeNull();
+  });
+});
+
+describe('evaluate_summary_alerts', () => {
+  const room = { _id: 'room-1', name: 'Support', assignment: { custom_name: null } };
+
+  function make_rule(id, condition, appliesToRoom = true) {
+    return {
+      _id: id,
+      organization_id: 'org-1',
+      name: id,
+      cooldown_minutes: 0,
+      condition,
+      actions: [{ type: 'in_app' }],
+      applies_to_room: jest.fn(() => appliesToRoom)
+    };
+  }
+
+  function summary_with(analysis) {
+    return { _id: 'summary-1', organization_id: 'org-1', room_id: 'room-1', status: 'completed', content: 'Customer is upset', analysis };
+  }
+
+  beforeEach(() => {
+    clear_rule_cache('org-1');
+    Room.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(room) });
+    AlertFiring.create.mockImplementation(data => Promise.resolve({ _id: `firing-${data.rule_id}`, ...data }));
+  });
+
+  test('fires rules whose urgency or sentiment matches', async () => {
+    AlertRule.find.mockResolvedValue([
+      make_rule('urgent', { type: 'summary_urgency', urgency: ['high', 'critical'] }),
+      make_rule('negative', { type: 'summary_sentiment', sentiment: ['negative'] }),
+      make_rule('critical-only', { type: 'summary_urgency', urgency: ['critical'] })
+    ]);
+
+    const fired = await evaluate_summary_alerts(summary_with({ urgency: 'high', sentiment: 'negative' }));
+
+    expect(fired.map(firing => firing.rule_id)).toEqual(['urgent', 'negative']);
+    expect(fired[0]).toMatchObject({ title: 'High urgency conversation in Support', dedupe_key: 'urgent:summary:summary-1' });
+    expect(jobQueue.enqueue).not.toHaveBeenCalled();
+  });
+
+  test('skips rules that do not apply to the room', async () => {
+    AlertRule.find.mockResolvedValue([make_rule('urgent', { type: 'summary_urgency', urgency: ['high'] }, false)]);
+
+    await expect(evaluate_summary_alerts(summary_with({ urgency: 'high' }))).resolves.toEqual([]);
+    expect(AlertFiring.create).not.toHaveBeenCalled();
+  });
+
+  test('does not fire again while the rule cools down in the room', async () => {
+    const rule = { ...make_rule('urgent', { type: 'summary_urgency', urgency: ['high'] }), cooldown_minutes: 30 };
+    AlertRule.find.mockResolvedValue([rule]);
+    AlertFiring.exists.mockResolvedValue(true);
+
+    await expect(evaluate_summary_alerts(summary_with({ urgency: 'high' }))).resolves.toEqual([]);
+    expect(AlertFiring.create).not.toHaveBeenCalled();
+  });
+
+  test('ignores summaries that are not completed', async () => {
+    await expect(evaluate_summary_alerts({ ...summary_with({ urgency: 'high' }), status: 'failed' })).resolves.toEqual([]);
+    expect(AlertRule.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('../line_service', () => ({
+  create_flex_message: (altText, contents) => ({ type: 'flex', altText, contents })
+}));
+jest.mock('../digest', () => ({ get_local_time: jest.fn() }));
+jest.mock('../../config', () => ({ app: { frontendUrl: 'https://app.example.com' } }));
+
+const {
+  BOT_COMMANDS,
+  parse_bot_command,
+  get_enabled_commands,
+  get_command_usage,
+  build_command_reply
+} = require('../bot_commands');
+
+describe('parse_bot_command', () => {
+  test('reads the command name and argument case-insensitively', () => {
+    expect(parse_bot_command('/summary')).toEqual({ name: 'summary', args: '' });
+    expect(parse_bot_command('  /Summary   TODAY ')).toEqual({ name: 'summary', args: 'today' });
+    expect(parse_bot_command('/PAUSE')).toEqual({ name: 'pause', args: '' });
+  });
+
+  test('ignores unknown commands and ordinary text', () => {
+    expect(parse_bot_command('/deploy now')).toBeNull();
+    expect(parse_bot_command('please /summary')).toBeNull();
+    expect(parse_bot_command('/')).toBeNull();
+    expect(parse_bot_command('')).toBeNull();
+    expect(parse_bot_command(null)).toBeNull();
+  });
+});
+
+describe('get_enabled_commands', () => {
+  test('enables every command by default', () => {
+    expect(get_enabled_commands({ settings: {} })).toEqual(BOT_COMMANDS);
+  });
+
+  test('returns nothing when commands are turned off', () => {
+    expect(get_enabled_commands({ settings: { bot_commands: { enabled: false, commands: ['summary'] } } })).toEqual([]);
+  });
+
+  test('keeps only known commands of the organization list', () => {
+    expect(get_enabled_commands({ settings: { bot_commands: { enabled: true, commands: ['status', 'deploy', 'pause'] } } }))
+      .toEqual(['status', 'pause']);
+  });
+});
+
+describe('get_command_usage', () => {
+  test('lists usage lines of the given commands in order', () => {
+    expect(get_command_usage(['status', 'pause'])).toEqual([
+      '/status – recording and summary status',
+      '/pause – stop recording messages (staff)'
+    ]);
+  });
+});
+
+describe('build_command_reply', () => {
+  test('builds a bubble whose buttons send the commands back as postbacks', () => {
+    const reply = build_command_reply({
+      title: 'Commands',
+      lines: ['First line', { text: 'Warning', color: '#b45309', bold: true }],
+      buttons: [{ label: 'Today\'s summaries', command: 'summary', args: 'today' }],
+      link: { label: 'Open', uri: 'https://app.example.com/dashboard' }
+    });
+
+    expect(reply.altText).toBe('Commands: First line');
+    expect(reply.contents.body.contents[0]).toMatchObject({ text: 'Commands', color: '#06c755' });
+    expect(reply.contents.body.contents[3]).toMatchObject({ text: 'Warning', color: '#b45309', weight: 'bold' });
+    expect(reply.contents.footer.contents).toEqual([
+      {
+        type: 'button',
+        style: 'secondary',
+        height: 'sm',
+        action: { type: 'postback', label: 'Today\'s summaries', data: 'command=summary&args=today', displayText: '/summary today' }
+      },
+      {
+        type: 'button',
+        style: 'link',
+        height: 'sm',
+        action: { type: 'uri', label: 'Open', uri: 'https://app.example.com/dashboard' }
+      }
+    ]);
+  });
+
+  test('postback data parses back into the same command', () => {
+    const reply = build_command_reply({ title: 'Status', buttons: [{ label: 'Pause recording', command: 'pause' }] });
+    const { data, displayText } = reply.contents.footer.contents[0].action;
+    const params = new URLSearchParams(data);
+
+    expect(parse_bot_command(`/${params.get('command')}${params.get('args') ? ` ${params.get('args')}` : ''}`))
+      .toEqual(parse_bot_command(displayText));
+  });
+
+  test('leaves out the footer without buttons or link', () => {
+    expect(build_command_reply({ title: 'Done' }).contents.footer).toBeUndefined();
+  });
+});
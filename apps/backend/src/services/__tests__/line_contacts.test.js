@@ -0,0 +1,47 @@
+jest.mock('../../models', () => ({
+  LineContact: { findOne: jest.fn() },
+  Owner: {},
+  OrganizationMember: { exists: jest.fn() }
+}));
+jest.mock('../line_service', () => ({}));
+
+const { LineContact, OrganizationMember } = require('../../models');
+const { is_staff_line_user } = require('../line_contacts');
+
+function mock_contact(contact) {
+  LineContact.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(contact) });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('is_staff_line_user', () => {
+  test('accepts a contact linked to an active member', async () => {
+    mock_contact({ member_user_id: 'user-1' });
+    OrganizationMember.exists.mockResolvedValue({ _id: 'member-1' });
+
+    await expect(is_staff_line_user('org-1', 'U1')).resolves.toBe(true);
+    expect(LineContact.findOne).toHaveBeenCalledWith({ organization_id: 'org-1', line_user_id: 'U1', member_user_id: { $ne: null } });
+    expect(OrganizationMember.exists).toHaveBeenCalledWith({ organization_id: 'org-1', user_id: 'user-1', status: 'active' });
+  });
+
+  test('refuses contacts without a member link', async () => {
+    mock_contact(null);
+
+    await expect(is_staff_line_user('org-1', 'U2')).resolves.toBe(false);
+    expect(OrganizationMember.exists).not.toHaveBeenCalled();
+  });
+
+  test('refuses contacts whose member left the organization', async () => {
+    mock_contact({ member_user_id: 'user-1' });
+    OrganizationMember.exists.mockResolvedValue(null);
+
+    await expect(is_staff_line_user('org-1', 'U1')).resolves.toBe(false);
+  });
+
+  test('refuses senders without a LINE user ID', async () => {
+    await expect(is_staff_line_user('org-1', undefined)).resolves.toBe(false);
+    expect(LineContact.findOne).not.toHaveBeenCalled();
+  });
+});
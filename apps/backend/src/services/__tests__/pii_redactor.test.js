@@ -0,0 +1,134 @@
+jest.mock('../../models', () => ({
+  Organization: { findById: jest.fn() },
+  Summary: { findById: jest.fn() }
+}));
+
+const { Organization } = require('../../models');
+const {
+  validate_custom_patterns,
+  create_redactor,
+  restore_pii,
+  redact_summary_edit
+} = require('../pii_redactor');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('create_redactor', () => {
+  test('replaces built-in personal data and reuses placeholders for the same value', () => {
+    const redactor = create_redactor();
+
+    expect(redactor.redact('โทร 081-234-5678 หรือ 0812345678, mail Somchai@Example.com / somchai@example.com'))
+      .toBe('โทร [PHONE_1] หรือ [PHONE_1], mail [EMAIL_1] / [EMAIL_1]');
+    expect(redactor.get_stats()).toMatchObject({ replacements: 4, unique_values: 2 });
+  });
+
+  test('only accepts Thai IDs and card numbers with a valid check digit', () => {
+    const redactor = create_redactor();
+
+    expect(redactor.redact('ID 1-1017-00207-53-6')).toBe('ID [THAI_ID_1]');
+    expect(redactor.redact('ID 1-1017-00207-53-5')).toBe('ID 1-1017-00207-53-5');
+    expect(redactor.redact('card 4111 1111 1111 1111')).toBe('card [CARD_1]');
+    expect(redactor.redact('card 4111 1111 1111 1112')).toBe('card 4111 1111 1111 1112');
+  });
+
+  test('needs a banking word around a bank account number', () => {
+    const redactor = create_redactor();
+
+    expect(redactor.redact('โอนเข้าบัญชี 123-4-56789-0 ได้เลย')).toBe('โอนเข้าบัญชี [BANK_ACCOUNT_1] ได้เลย');
+    expect(redactor.redact('KBank account 123-4-56789-0')).toBe('KBank account [BANK_ACCOUNT_1]');
+    expect(redactor.redact('Order 1234567890 shipped')).toBe('Order 1234567890 shipped');
+    expect(redactor.redact('Tracking 123-4-56789-0')).toBe('Tracking 123-4-56789-0');
+  });
+
+  test('runs custom patterns (with capture groups) before the built-in detectors', () => {
+    const redactor = create_redactor({ custom_patterns: [{ name: 'ORDER_ID', pattern: '(ORD)-(\\d{6})' }] });
+
+    expect(redactor.redact('ORD-123456 paid to account 1234567890'))
+      .toBe('[ORDER_ID_1] paid to account [BANK_ACCOUNT_1]');
+  });
+
+  test('skips stored custom patterns with nested quantifiers', () => {
+    const redactor = create_redactor({ custom_patterns: [{ name: 'SLOW', pattern: '(a+)+b' }] });
+
+    expect(redactor.redact('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!')).toBe('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!');
+  });
+
+  test('continues the numbering of seeded placeholders', () => {
+    const redactor = create_redactor({}, [{ placeholder: '[PHONE_3]', type: 'PHONE', value: '0812345678' }]);
+
+    expect(redactor.redact('081-234-5678 / 02-123-4567')).toBe('[PHONE_3] / [PHONE_4]');
+  });
+});
+
+describe('validate_custom_patterns', () => {
+  test('accepts simple patterns', () => {
+    expect(validate_custom_patterns([
+      { name: 'ORDER_ID', pattern: 'ORD-\\d{6}' },
+      { name: 'MEMBER', pattern: '(?:VIP|MBR)-[A-Z]{2}\\d+' }
+    ])).toEqual([]);
+  });
+
+  test.each([
+    '(a+)+',
+    '(\\d*)*x',
+    '(?:[a-z]+\\s?)+@',
+    '(a|ab)*c',
+    '((\\d+)-)+',
+    '(\\w+){2,}'
+  ])('rejects the nested quantifier %s', (pattern) => {
+    const errors = validate_custom_patterns([{ name: 'BAD', pattern }]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/repeats a repeated or alternating group/);
+  });
+
+  test('ignores quantifier characters inside classes and escapes', () => {
+    expect(validate_custom_patterns([{ name: 'LITERAL', pattern: '([+*]\\d)\\+' }])).toEqual([]);
+  });
+
+  test('rejects bad names, empty matches and invalid regexes', () => {
+    expect(validate_custom_patterns([
+      { name: 'lower', pattern: 'x' },
+      { name: 'EMPTY', pattern: 'a*' },
+      { name: 'BROKEN', pattern: '(' }
+    ])).toHaveLength(3);
+  });
+});
+
+describe('restore_pii', () => {
+  test('puts values back into nested data', () => {
+    const placeholders = [{ placeholder: '[PHONE_1]', value: '081-234-5678' }];
+
+    expect(restore_pii({ content: 'Call [PHONE_1]', items: ['[PHONE_1] [EMAIL_9]'], count: 2 }, placeholders))
+      .toEqual({ content: 'Call 081-234-5678', items: ['081-234-5678 [EMAIL_9]'], count: 2 });
+  });
+});
+
+describe('redact_summary_edit', () => {
+  const phone = { placeholder: '[PHONE_1]', type: 'PHONE', value: '081-234-5678' };
+
+  test('turns known values back into placeholders even with redaction off', async () => {
+    const summary = { organization_id: null, redaction: { placeholders: [phone] } };
+
+    await expect(redact_summary_edit(summary, { content: 'Call 081-234-5678 or somchai@example.com' }))
+      .resolves.toEqual({ content: 'Call [PHONE_1] or somchai@example.com' });
+    expect(summary.redaction.placeholders).toEqual([phone]);
+  });
+
+  test('gives new personal data a placeholder when the organization redacts', async () => {
+    Organization.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ settings: { pii_redaction: { enabled: true } } })
+    });
+    const summary = { organization_id: 'org-1', redaction: { placeholders: [phone] } };
+
+    const edits = await redact_summary_edit(summary, { content: 'Call 089-999-0000', key_topics: ['081-234-5678'] });
+
+    expect(edits).toEqual({ content: 'Call [PHONE_2]', key_topics: ['[PHONE_1]'] });
+    expect(summary.redaction.placeholders).toEqual([
+      phone,
+      { placeholder: '[PHONE_2]', type: 'PHONE', value: '089-999-0000' }
+    ]);
+  });
+});
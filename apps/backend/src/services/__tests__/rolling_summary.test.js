@@ -0,0 +1,67 @@
+jest.mock('../../models', () => ({
+  Room: { findById: jest.fn(), updateOne: jest.fn() },
+  Organization: { findById: jest.fn() },
+  Summary: { get_previous_for_room: jest.fn() }
+}));
+
+const { Room, Summary } = require('../../models');
+const { resolve_summary_mode, load_rolling_context } = require('../rolling_summary');
+
+const previous = { _id: 'summary-1', content: 'Earlier story', created_at: new Date('2026-10-01T00:00:00Z') };
+
+function rolling_room(running_digest) {
+  return {
+    _id: 'room-1',
+    organization_id: null,
+    settings: { summary_mode: 'rolling' },
+    running_digest
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  Summary.get_previous_for_room.mockResolvedValue(previous);
+});
+
+describe('resolve_summary_mode', () => {
+  test('room setting wins over the organization', () => {
+    expect(resolve_summary_mode({
+      room: { settings: { summary_mode: 'standalone' } },
+      organization: { settings: { summary_mode: 'rolling' } }
+    })).toEqual({ mode: 'standalone', source: 'room' });
+  });
+
+  test('defaults to standalone', () => {
+    expect(resolve_summary_mode()).toEqual({ mode: 'standalone', source: 'default' });
+  });
+});
+
+describe('load_rolling_context', () => {
+  test('seeds the digest from the previous summary', async () => {
+    Room.findById.mockResolvedValue(rolling_room({ content: null, reset_at: null }));
+
+    const context = await load_rolling_context({ room_id: 'room-1' }, { _id: 'summary-2' });
+
+    expect(context.previous_summary).toBe(previous);
+    expect(context.digest).toBe('Earlier story');
+  });
+
+  test('starts fresh after the digest was reset', async () => {
+    Room.findById.mockResolvedValue(rolling_room({ content: null, reset_at: new Date('2026-10-05T00:00:00Z') }));
+
+    const context = await load_rolling_context({ room_id: 'room-1' }, { _id: 'summary-2' });
+
+    expect(context.previous_summary).toBeNull();
+    expect(context.digest).toBeNull();
+  });
+
+  test('uses summaries created after the reset', async () => {
+    Room.findById.mockResolvedValue(rolling_room({ content: 'New digest', reset_at: new Date('2026-09-01T00:00:00Z') }));
+
+    const context = await load_rolling_context({ room_id: 'room-1' }, { _id: 'summary-2' });
+
+    expect(context.previous_summary).toBe(previous);
+    expect(context.digest).toBe('New digest');
+  });
+});
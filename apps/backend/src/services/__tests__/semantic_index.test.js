@@ -0,0 +1,98 @@
+jest.mock('../../config', () => ({
+  llm: { maxSessionMessages: 500 },
+  embeddings: { enabled: true, batchSize: 64, maxTextLength: 2000, searchMaxCandidates: 3 }
+}));
+jest.mock('../../models', () => ({
+  Message: { find: jest.fn() },
+  Summary: { find: jest.fn() },
+  Embedding: { find: jest.fn(), bulkWrite: jest.fn() },
+  Organization: { findById: jest.fn() }
+}));
+jest.mock('../embeddings', () => ({ get_active_embedding_model: jest.fn() }));
+
+const { Message, Summary, Embedding, Organization } = require('../../models');
+const { get_active_embedding_model } = require('../embeddings');
+const { index_session, semantic_search } = require('../semantic_index');
+
+const provider = { name: 'local', embed: jest.fn() };
+
+/**
+ * Embedding.find(...) chain whose cursor streams docs, honouring .limit()
+ */
+function mock_vectors(docs) {
+  const query = {};
+  let limit = Infinity;
+  query.sort = () => query;
+  query.select = () => query;
+  query.lean = () => query;
+  query.limit = (n) => { limit = n; return query; };
+  query.cursor = () => (async function* () { yield* docs.slice(0, limit); })();
+  Embedding.find.mockReturnValue(query);
+}
+
+/**
+ * Organization.findById(...).select(...) resolving to the redaction settings
+ */
+function mock_redaction(enabled) {
+  const organization = { settings: { pii_redaction: { enabled } } };
+  Organization.findById.mockReturnValue({ select: () => Promise.resolve(organization) });
+}
+
+function make_vector(id, vector) {
+  return { source_type: 'message', source_id: id, room_id: 'room-1', session_id: 's-1', timestamp: new Date(), vector };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  get_active_embedding_model.mockReturnValue({ provider, model: 'local-hash' });
+  provider.embed.mockResolvedValue({ vectors: [[1, 0]] });
+  mock_redaction(false);
+});
+
+describe('semantic_search', () => {
+  test('scores every vector when they fit under the candidate cap', async () => {
+    mock_vectors([make_vector('a', [1, 0]), make_vector('b', [0, 1])]);
+
+    const result = await semantic_search('org-1', 'refund');
+
+    expect(result.candidates).toBe(2);
+    expect(result.truncated).toBe(false);
+    expect(result.hits.map(hit => hit.source_id)).toEqual(['a']);
+  });
+
+  test('reports truncation when older vectors were left unscored', async () => {
+    mock_vectors(['a', 'b', 'c', 'd', 'e'].map(id => make_vector(id, [1, 0])));
+
+    const result = await semantic_search('org-1', 'refund');
+
+    expect(result.candidates).toBe(3);
+    expect(result.truncated).toBe(true);
+  });
+
+  test('redacts the query before embedding it', async () => {
+    mock_redaction(true);
+    mock_vectors([]);
+
+    await semantic_search('org-1', 'who emailed somchai@example.com');
+
+    expect(provider.embed.mock.calls[0][0]).toEqual(['who emailed [EMAIL_1]']);
+  });
+});
+
+describe('index_session', () => {
+  test('sends redacted message text to the embedding provider', async () => {
+    mock_redaction(true);
+    const messages = [{ _id: 'm-1', room_id: 'room-1', timestamp: new Date(), message_type: 'text', message: 'call me at 081-234-5678' }];
+    const messageQuery = { sort: () => messageQuery, limit: () => messageQuery, select: () => Promise.resolve(messages) };
+    Message.find.mockReturnValue(messageQuery);
+    Summary.find.mockReturnValue({ select: () => Promise.resolve([]) });
+    Embedding.find.mockReturnValue({ select: () => ({ lean: () => Promise.resolve([]) }) });
+    provider.embed.mockResolvedValue({ vectors: [[1, 0]], tokens_used: 3 });
+
+    const result = await index_session({ session_id: 's-1', organization_id: 'org-1' });
+
+    expect(result.indexed).toBe(1);
+    expect(provider.embed.mock.calls[0][0]).toEqual(['call me at [PHONE_1]']);
+  });
+});
@@ -0,0 +1,82 @@
+jest.mock('../../config', () => ({
+  session: { maxMessagesPerSession: 100, sessionTimeoutHours: 24 }
+}));
+jest.mock('../../models', () => {
+  const lowest = () => ({ findOne: jest.fn() });
+  return { Room: lowest(), Organization: lowest(), Owner: lowest() };
+});
+
+const { Room, Organization, Owner } = require('../../models');
+const {
+  resolve_session_trigger,
+  get_shortest_time_limit_hours
+} = require('../session_trigger_resolver');
+
+/**
+ * findOne(...).sort(...).select(...).lean() resolving to doc
+ */
+function mock_lowest(Model, doc) {
+  const query = { sort: () => query, select: () => query, lean: () => Promise.resolve(doc) };
+  Model.findOne.mockReturnValue(query);
+}
+
+describe('resolve_session_trigger', () => {
+  test('falls back to the global config when nothing is set', () => {
+    expect(resolve_session_trigger()).toEqual({
+      message_count: 100,
+      time_limit_hours: 24,
+      sources: { message_count: 'global', time_limit_hours: 'global' }
+    });
+  });
+
+  test('uses the first value set along room → organization → owner', () => {
+    const trigger = resolve_session_trigger({
+      room: { settings: { session_trigger: { message_count: 5, time_limit_hours: null } } },
+      organization: { settings: { session_auto_close_messages: 50, session_auto_close_hours: 12 } },
+      owner: { settings: { session_trigger: { message_count: 30, time_limit_hours: 6 } } }
+    });
+
+    expect(trigger.message_count).toBe(5);
+    expect(trigger.time_limit_hours).toBe(12);
+    expect(trigger.sources).toEqual({ message_count: 'room', time_limit_hours: 'organization' });
+  });
+
+  test('accepts message counts above the embedded message log size', () => {
+    const trigger = resolve_session_trigger({
+      room: { settings: { session_trigger: { message_count: 150 } } }
+    });
+
+    expect(trigger.message_count).toBe(150);
+    expect(trigger.sources.message_count).toBe('room');
+  });
+
+  test('treats null, zero and non-numbers as inherit', () => {
+    const trigger = resolve_session_trigger({
+      room: { settings: { session_trigger: { message_count: 0, time_limit_hours: '3' } } },
+      owner: { settings: { session_trigger: { message_count: null, time_limit_hours: 2 } } }
+    });
+
+    expect(trigger.message_count).toBe(100);
+    expect(trigger.sources.message_count).toBe('global');
+    expect(trigger.time_limit_hours).toBe(2);
+    expect(trigger.sources.time_limit_hours).toBe('owner');
+  });
+});
+
+describe('get_shortest_time_limit_hours', () => {
+  test('returns the lowest limit configured anywhere', async () => {
+    mock_lowest(Room, { settings: { session_trigger: { time_limit_hours: 3 } } });
+    mock_lowest(Organization, { settings: { session_auto_close_hours: 12 } });
+    mock_lowest(Owner, null);
+
+    await expect(get_shortest_time_limit_hours()).resolves.toBe(3);
+  });
+
+  test('uses the global timeout when no override is lower', async () => {
+    mock_lowest(Room, null);
+    mock_lowest(Organization, { settings: { session_auto_close_hours: 48 } });
+    mock_lowest(Owner, { settings: { session_trigger: { time_limit_hours: 72 } } });
+
+    await expect(get_shortest_time_limit_hours()).resolves.toBe(24);
+  });
+});
@@ -0,0 +1,147 @@
+jest.mock('../../models', () => ({
+  Summary: { create_summary: jest.fn(), deleteOne: jest.fn() },
+  Job: { findOne: jest.fn(), PENDING_STATUSES: ['queued', 'running', 'failed'] },
+  Owner: { findById: jest.fn() },
+  Organization: { findById: jest.fn() }
+}));
+jest.mock('../job_queue', () => ({
+  enqueue: jest.fn(),
+  JOB_TYPES: { SUMMARY_GENERATE: 'summary:generate', EMBEDDINGS_INDEX: 'embeddings:index' }
+}));
+jest.mock('../llm', () => ({ get_provider_for_organization: jest.fn() }));
+jest.mock('../semantic_index', () => ({ is_semantic_search_enabled: jest.fn(() => true) }));
+jest.mock('../summary_delivery', () => ({ queue_summary_delivery: jest.fn() }));
+jest.mock('../alerts', () => ({ evaluate_summary_alerts: jest.fn() }));
+jest.mock('../summary_language', () => ({ resolve_summary_language_for_session: jest.fn() }));
+jest.mock('../summary_stages', () => ({
+  load_summary_messages: jest.fn(),
+  load_session_messages: jest.fn(),
+  load_summary_context: jest.fn(),
+  load_prompt_examples: jest.fn(),
+  redact_summary_input: jest.fn(),
+  store_summary_result: jest.fn(),
+  attach_summary_result: jest.fn(),
+  record_usage: jest.fn()
+}));
+
+const { Summary, Job, Owner, Organization } = require('../../models');
+const jobQueue = require('../job_queue');
+const llm = require('../llm');
+const { queue_summary_delivery } = require('../summary_delivery');
+const { evaluate_summary_alerts } = require('../alerts');
+const stages = require('../summary_stages');
+const { queue_summary_generation, generate_summary } = require('../summary_generation');
+
+const session = { _id: 'session-1', room_id: 'room-1', organization_id: 'org-1', owner_id: 'owner-1', close_session: jest.fn() };
+
+function make_summary(id) {
+  return { _id: id, organization_id: null, owner_id: 'owner-1', save: jest.fn(), mark_failed: jest.fn() };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('queue_summary_generation', () => {
+  test('creates a summary and queues its job', async () => {
+    Job.findOne.mockResolvedValue(null);
+    Summary.create_summary.mockResolvedValue(make_summary('summary-1'));
+    jobQueue.enqueue.mockResolvedValue({ _id: 'job-1', payload: { summary_id: 'summary-1' } });
+
+    const result = await queue_summary_generation(session, { owner_id: 'owner-1' });
+
+    expect(result).toEqual({ summary_id: 'summary-1', job: expect.objectContaining({ _id: 'job-1' }), reused: false });
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('summary:generate', expect.objectContaining({ summary_id: 'summary-1' }), expect.objectContaining({
+      organization_id: 'org-1',
+      unique_key: 'summary:session-1'
+    }));
+    expect(Summary.deleteOne).not.toHaveBeenCalled();
+  });
+
+  test('reuses the summary of a pending job without creating one', async () => {
+    Job.findOne.mockResolvedValue({ _id: 'job-0', payload: { summary_id: 'summary-0' } });
+
+    const result = await queue_summary_generation(session, { owner_id: 'owner-1' });
+
+    expect(result.summary_id).toBe('summary-0');
+    expect(result.reused).toBe(true);
+    expect(Summary.create_summary).not.toHaveBeenCalled();
+    expect(jobQueue.enqueue).not.toHaveBeenCalled();
+  });
+
+  test('deletes its own summary when another request queued the session first', async () => {
+    Job.findOne.mockResolvedValue(null);
+    Summary.create_summary.mockResolvedValue(make_summary('summary-2'));
+    jobQueue.enqueue.mockResolvedValue({ _id: 'job-0', payload: { summary_id: 'summary-0' } });
+
+    const result = await queue_summary_generation(session, { owner_id: 'owner-1' });
+
+    expect(result).toMatchObject({ summary_id: 'summary-0', reused: true });
+    expect(Summary.deleteOne).toHaveBeenCalledWith({ _id: 'summary-2' });
+  });
+});
+
+describe('generate_summary', () => {
+  const messages = [{ message: 'Call 081-234-5678' }];
+  const context = { rolling: null, template: { name: 'Support' }, language: 'en', examples: [] };
+  const redaction = { redactor: {}, messages: [{ message: 'Call [PHONE_1]' }], rolling: null, examples: [] };
+  const outcome = { strategy: 'single', usage: { total_tokens: 10 }, calls: [{ model: 'm' }] };
+
+  let provider;
+  beforeEach(() => {
+    provider = { name: 'local', run_summary: jest.fn().mockResolvedValue(outcome) };
+    llm.get_provider_for_organization.mockReturnValue({ provider, model: 'm' });
+    Organization.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ settings: {} }) });
+    stages.load_summary_messages.mockResolvedValue(messages);
+    stages.load_summary_context.mockResolvedValue(context);
+    stages.redact_summary_input.mockResolvedValue(redaction);
+  });
+
+  test('runs the summary stages around the model call', async () => {
+    const summary = make_summary('summary-3');
+    Owner.findById.mockResolvedValue(null);
+
+    await generate_summary(session, summary, { owner_id: 'owner-1' });
+
+    expect(stages.redact_summary_input).toHaveBeenCalledWith(session, messages, context);
+    expect(provider.run_summary).toHaveBeenCalledWith(session, redaction.messages, null, {
+      model: 'm',
+      template: context.template,
+      language: 'en',
+      examples: []
+    });
+    expect(stages.record_usage).toHaveBeenCalledWith(provider, 'summary', { organization_id: 'org-1', owner_id: 'owner-1' }, outcome.calls);
+    expect(stages.store_summary_result).toHaveBeenCalledWith(summary, outcome, expect.objectContaining({ provider, context, redaction }));
+    expect(stages.attach_summary_result).toHaveBeenCalledWith(session, summary, context, messages);
+  });
+
+  test('runs the same follow-up steps as the summary job', async () => {
+    const owner = { increment_usage: jest.fn() };
+    Owner.findById.mockResolvedValue(owner);
+    const summary = make_summary('summary-3');
+
+    await generate_summary(session, summary, { owner_id: 'owner-1' });
+
+    expect(owner.increment_usage).toHaveBeenCalledWith('total_summaries');
+    expect(owner.increment_usage).not.toHaveBeenCalledWith('total_sessions');
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('embeddings:index', { session_id: 'session-1' }, expect.objectContaining({
+      organization_id: 'org-1'
+    }));
+    expect(queue_summary_delivery).toHaveBeenCalledWith(summary);
+    expect(evaluate_summary_alerts).toHaveBeenCalledWith(summary);
+  });
+
+  test('marks the summary failed and still closes the session', async () => {
+    provider.run_summary.mockRejectedValue(new Error('model down'));
+    const summary = make_summary('summary-4');
+
+    await expect(generate_summary(session, summary, { owner_id: 'owner-1' })).rejects.toThrow('model down');
+
+    expect(summary.mark_failed).toHaveBeenCalledWith('model down');
+    expect(session.close_session).toHaveBeenCalled();
+    expect(stages.store_summary_result).not.toHaveBeenCalled();
+    expect(queue_summary_delivery).not.toHaveBeenCalled();
+  });
+});
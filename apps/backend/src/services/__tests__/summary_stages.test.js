@@ -0,0 +1,162 @@
+jest.mock('../../config', () => ({ llm: { repairAttempts: 1, maxSessionMessages: 100 } }));
+jest.mock('../../models', () => ({
+  Organization: { findById: jest.fn() },
+  Summary: { findById: jest.fn() },
+  Message: { get_session_messages: jest.fn() }
+}));
+jest.mock('../ai_usage', () => ({ record_ai_usage: jest.fn() }));
+jest.mock('../line_contacts', () => ({ apply_contact_names: jest.fn() }));
+jest.mock('../image_analyzer', () => ({ analyze_session_images: jest.fn() }));
+jest.mock('../media_processor', () => ({ process_session_media: jest.fn() }));
+
+const { Organization, Message } = require('../../models');
+const { record_ai_usage } = require('../ai_usage');
+const { get_output_spec } = require('../llm/summary_schema');
+const { request_structured, extract_topics_from_text } = require('../summary_stages/structured_output');
+const { record_usage } = require('../summary_stages/usage');
+const { redact_summary_input, get_summary_redaction } = require('../summary_stages/redaction');
+const { load_session_messages } = require('../summary_stages/messages');
+const { UNSENT_PLACEHOLDER } = require('../../models/message');
+
+const chunkAnswer = JSON.stringify({
+  summary: 'Customer asked for a refund',
+  key_topics: ['refund'],
+  sentiment: 'negative',
+  urgency: 'high',
+  action_items: ['Refund order 1234']
+});
+
+/**
+ * Provider whose generate_content returns the given answers in turn
+ */
+function make_provider(answers) {
+  return {
+    name: 'local',
+    defaultModel: 'default-model',
+    generate_content: jest.fn(() => Promise.resolve({ text: answers.shift(), model: 'm', usage: { total_tokens: 5 } })),
+    sum_usage: usages => ({ total_tokens: usages.reduce((sum, usage) => sum + usage.total_tokens, 0) }),
+    sum_cost: calls => calls.length / 100
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('request_structured', () => {
+  const spec = get_output_spec('chunk');
+
+  test('accepts a valid answer without repairing it', async () => {
+    const provider = make_provider([chunkAnswer]);
+
+    const { parsed, results, repair_attempts } = await request_structured(provider, 'prompt', spec, { model: 'm' });
+
+    expect(parsed).toMatchObject({ valid: true, content: 'Customer asked for a refund', key_topics: ['refund'] });
+    expect(results).toHaveLength(1);
+    expect(repair_attempts).toBe(0);
+    expect(provider.generate_content).toHaveBeenCalledWith('prompt', { model: 'm' });
+  });
+
+  test('re-asks with the validation errors when the answer is invalid', async () => {
+    const provider = make_provider(['{"summary": ""}', chunkAnswer]);
+
+    const { parsed, results, repair_attempts } = await request_structured(provider, 'prompt', spec);
+
+    expect(parsed.valid).toBe(true);
+    expect(results).toHaveLength(2);
+    expect(repair_attempts).toBe(1);
+    expect(provider.generate_content.mock.calls[1][0]).toContain('{"summary": ""}');
+  });
+
+  test('falls back to the first answer when repairs fail', async () => {
+    const provider = make_provider(['The customer wants a refund for the broken blender', 'still not JSON']);
+
+    const { parsed, repair_attempts } = await request_structured(provider, 'prompt', spec);
+
+    expect(repair_attempts).toBe(1);
+    expect(parsed).toMatchObject({ valid: false, content: 'The customer wants a refund for the broken blender' });
+    expect(parsed.analysis.action_items).toEqual([]);
+  });
+});
+
+describe('extract_topics_from_text', () => {
+  test('ranks words by frequency and skips stop words', () => {
+    expect(extract_topics_from_text('The refund for the refund request and the invoice')[0]).toBe('refund');
+    expect(extract_topics_from_text('the and of')).toEqual([]);
+  });
+});
+
+describe('record_usage', () => {
+  test('meters calls per model', async () => {
+    const provider = make_provider([]);
+
+    await record_usage(provider, 'summary', { organization_id: 'org-1' }, [
+      { model: 'a', usage: { total_tokens: 10 } },
+      { model: 'b', usage: { total_tokens: 20 } },
+      { model: 'a', usage: { total_tokens: 5 } },
+      { usage: { total_tokens: 1 } }
+    ]);
+
+    expect(record_ai_usage).toHaveBeenCalledWith({
+      organization_id: 'org-1',
+      owner_id: null,
+      feature: 'summary',
+      provider: 'local',
+      entries: [
+        { model: 'a', requests: 2, usage: { total_tokens: 15 }, cost: 0.02 },
+        { model: 'b', requests: 1, usage: { total_tokens: 20 }, cost: 0.01 },
+        { model: 'default-model', requests: 1, usage: { total_tokens: 1 }, cost: 0.01 }
+      ]
+    });
+  });
+});
+
+describe('redact_summary_input', () => {
+  const messages = [{ message: 'Call 081-234-5678' }];
+  const examples = [{ content: 'Mail somchai@example.com' }];
+
+  test('passes the input through when the organization does not redact', async () => {
+    const input = await redact_summary_input({ organization_id: null }, messages, { rolling: null, examples });
+
+    expect(input).toEqual({ redactor: null, messages, rolling: null, examples });
+    expect(get_summary_redaction(input.redactor, ['x'])).toEqual({
+      placeholders: [],
+      stats: { enabled: false, replacements: 0, unique_values: 0, by_type: {} }
+    });
+  });
+
+  test('replaces personal data in messages and examples', async () => {
+    Organization.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ settings: { pii_redaction: { enabled: true } } })
+    });
+
+    const input = await redact_summary_input({ organization_id: 'org-1' }, messages, { rolling: null, examples });
+
+    expect(input.messages[0].message).toBe('Call [PHONE_1]');
+    expect(input.examples[0].content).toBe('Mail [EMAIL_1]');
+    expect(messages[0].message).toBe('Call 081-234-5678');
+    expect(get_summary_redaction(input.redactor, ['Call [PHONE_1]']).placeholders).toEqual([
+      { placeholder: '[PHONE_1]', type: 'PHONE', value: '081-234-5678' }
+    ]);
+  });
+});
+
+describe('load_session_messages', () => {
+  test('leaves unsent entries out of the message_logs fallback', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Message.get_session_messages.mockResolvedValue([]);
+    const session = {
+      session_id: 's-1',
+      message_logs: [
+        { timestamp: new Date(), direction: 'user', message_type: 'text', message: 'Where is my order?' },
+        { timestamp: new Date(), direction: 'user', message_type: 'text', message: UNSENT_PLACEHOLDER }
+      ]
+    };
+
+    const messages = await load_session_messages(session);
+
+    expect(messages.map(msg => msg.message)).toEqual(['Where is my order?']);
+  });
+});
@@ -0,0 +1,72 @@
+jest.mock('../../models', () => ({ Summary: {}, SummaryVersion: {}, ChatSession: {} }));
+
+const { diff_versions } = require('../summary_versions');
+
+const base = {
+  content: 'Customer asked for a refund of the order.',
+  key_topics: ['refund', 'order'],
+  analysis: { sentiment: 'neutral', urgency: 'low', action_items: ['Check the order'] },
+  custom_fields: { order_id: 'A-1' }
+};
+
+describe('diff_versions', () => {
+  test('reports no changes for identical versions', () => {
+    const diff = diff_versions(base, { ...base });
+
+    expect(diff.content).toEqual([{ op: 'equal', text: base.content }]);
+    expect(diff.changed_fields).toEqual([]);
+    expect(diff.stats).toEqual({ inserted_chars: 0, deleted_chars: 0 });
+  });
+
+  test('diffs content word by word and rebuilds both texts', () => {
+    const to = { ...base, content: 'Customer asked for a full refund of the invoice.' };
+
+    const diff = diff_versions(base, to);
+    const text_of = ops => ops.map(op => op.text).join('');
+
+    expect(diff.content).toEqual([
+      { op: 'equal', text: 'Customer asked for a ' },
+      { op: 'insert', text: 'full ' },
+      { op: 'equal', text: 'refund of the ' },
+      { op: 'delete', text: 'order' },
+      { op: 'insert', text: 'invoice' },
+      { op: 'equal', text: '.' }
+    ]);
+    expect(text_of(diff.content.filter(op => op.op !== 'insert'))).toBe(base.content);
+    expect(text_of(diff.content.filter(op => op.op !== 'delete'))).toBe(to.content);
+    expect(diff.stats).toEqual({ inserted_chars: 12, deleted_chars: 5 });
+  });
+
+  test('diffs Thai text without spaces by word', () => {
+    const diff = diff_versions({ content: 'ลูกค้าขอคืนเงิน' }, { content: 'ลูกค้าขอเปลี่ยนสินค้า' });
+
+    expect(diff.content[0]).toEqual({ op: 'equal', text: 'ลูกค้าขอ' });
+    expect(diff.content.filter(op => op.op === 'delete').map(op => op.text).join('')).toBe('คืนเงิน');
+  });
+
+  test('lists changed topics, analysis fields and custom fields', () => {
+    const diff = diff_versions(base, {
+      ...base,
+      key_topics: ['refund', 'invoice'],
+      analysis: { sentiment: 'negative', urgency: 'low', action_items: ['Check the order', 'Call the customer'] },
+      custom_fields: { order_id: 'A-2', channel: 'LINE' }
+    });
+
+    expect(diff.key_topics).toEqual({ added: ['invoice'], removed: ['order'] });
+    expect(diff.analysis).toEqual({
+      action_items: { added: ['Call the customer'], removed: [] },
+      sentiment: { before: 'neutral', after: 'negative' }
+    });
+    expect(diff.custom_fields).toEqual({
+      order_id: { before: 'A-1', after: 'A-2' },
+      channel: { before: null, after: 'LINE' }
+    });
+    expect(diff.changed_fields).toEqual([
+      'key_topics',
+      'analysis.action_items',
+      'analysis.sentiment',
+      'custom_fields.order_id',
+      'custom_fields.channel'
+    ]);
+  });
+});
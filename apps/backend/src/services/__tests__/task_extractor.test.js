@@ -0,0 +1,109 @@
+jest.mock('../../models', () => ({
+  Task: { exists: jest.fn(), find: jest.fn(), insertMany: jest.fn() },
+  Room: { findById: jest.fn() },
+  Organization: { findById: jest.fn() }
+}));
+
+const { Task, Room, Organization } = require('../../models');
+const { parse_due_date, normalize_title, extract_tasks_from_summary } = require('../task_extractor');
+
+// Tuesday 10 March 2026, 10:00 in Bangkok
+const reference = new Date('2026-03-10T03:00:00Z');
+const timezone = 'Asia/Bangkok';
+
+/**
+ * Due date of an item as YYYY-MM-DD in Bangkok (null when none was found)
+ */
+function due_day(text) {
+  const due = parse_due_date(text, reference, timezone);
+  return due && new Date(due.due_date.getTime() + 7 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+describe('parse_due_date', () => {
+  test('reads ISO, day-first and month-name dates', () => {
+    expect(due_day('ส่งรายงาน 2026-03-15')).toBe('2026-03-15');
+    expect(due_day('Send the invoice 15/3')).toBe('2026-03-15');
+    expect(due_day('ส่งเอกสาร 15/3/2569')).toBe('2026-03-15');
+    expect(due_day('Call the supplier on 20 March')).toBe('2026-03-20');
+  });
+
+  test('ends the due date at the end of the day in the organization timezone', () => {
+    const due = parse_due_date('by 15/3', reference, timezone);
+    expect(due.due_date.toISOString()).toBe('2026-03-15T16:59:59.000Z');
+    expect(due.due_date_text).toBe('15/3');
+  });
+
+  test('moves a date without a year that already passed to next year', () => {
+    expect(due_day('Renew the contract 1/2')).toBe('2027-02-01');
+  });
+
+  test('rejects days past the end of the month', () => {
+    expect(due_day('Pay rent 31/2')).toBeNull();
+    expect(due_day('Pay rent 31/4/2026')).toBeNull();
+    expect(due_day('Pay rent 2026-02-30')).toBeNull();
+    expect(due_day('Pay rent 29/2/2028')).toBe('2028-02-29');
+  });
+
+  test('treats a number pair followed by a unit as a fraction', () => {
+    expect(due_day('Meeting takes 1/2 hour')).toBeNull();
+    expect(due_day('Migration 3/4 done')).toBeNull();
+    expect(due_day('ใช้เวลา 1/2 ชั่วโมง')).toBeNull();
+  });
+
+  test('accepts a number pair after a date cue', () => {
+    expect(due_day('Finish 3/4 done items by 20/3')).toBe('2026-03-20');
+    expect(due_day('ส่งงานภายใน 1/4 วัน')).toBe('2026-04-01');
+    expect(due_day('ประชุมวันที่ 12/3')).toBe('2026-03-12');
+  });
+
+  test('falls through to relative phrases when the number pair is not a date', () => {
+    expect(due_day('Spend 1/2 hour on review tomorrow')).toBe('2026-03-11');
+  });
+
+  test('reads relative phrases and weekdays', () => {
+    expect(due_day('ส่งภายใน 3 วัน')).toBe('2026-03-13');
+    expect(due_day('Reply by Friday')).toBe('2026-03-13');
+    expect(due_day('ตอบกลับวันอังคาร')).toBe('2026-03-17');
+    expect(due_day('Nothing scheduled')).toBeNull();
+  });
+});
+
+describe('extract_tasks_from_summary', () => {
+  const session = { _id: 'session-1', room_id: 'room-1', organization_id: 'org-1', end_time: reference };
+
+  function summary_with(items) {
+    return { _id: 'summary-2', room_id: 'room-1', organization_id: 'org-1', analysis: { action_items: items, urgency: 'high' } };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Task.exists.mockResolvedValue(false);
+    Room.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ organization_id: 'org-1' }) });
+    Organization.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ settings: { timezone } }) });
+    Task.insertMany.mockImplementation(docs => Promise.resolve(docs));
+  });
+
+  test('skips items the session already has a task for', async () => {
+    Task.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ title: 'Send the quote to Acme.' }]) });
+
+    const tasks = await extract_tasks_from_summary(summary_with(['send the quote to ACME', 'Book the venue']), session);
+
+    expect(Task.find).toHaveBeenCalledWith({ session_id: 'session-1', summary_id: { $ne: 'summary-2' } });
+    expect(tasks).toHaveLength(1);
+    expect(tasks[0]).toMatchObject({ title: 'Book the venue', item_index: 1, priority: 'high' });
+  });
+
+  test('creates nothing when every item is already tracked', async () => {
+    Task.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ title: 'Book the venue' }]) });
+
+    await expect(extract_tasks_from_summary(summary_with(['Book the venue']), session)).resolves.toEqual([]);
+    expect(Task.insertMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('normalize_title', () => {
+  test('ignores case, punctuation and spacing', () => {
+    expect(normalize_title('  Call  Somchai, re: invoice! ')).toBe(normalize_title('call somchai re invoice'));
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * AI Usage Metering
+ *
+ * Records the token usage and cost of every LLM call made for an
+ * organization (summaries, template previews, image captions, translations,
+ * chat Q&A):
+ *
+ *   - AiUsage daily rollups per feature and model (billing breakdown)
+ *   - Organization.usage.ai_cost_this_month / ai_tokens_this_month (budget checks)
+ *   - Owner.usage.gemini_tokens_used (session summaries of the LINE account)
+ *
+ * Costs come from the provider price table (LLM_PRICING overrides it).
+ * Crossing the organization's soft limit or monthly AI budget is written to
+ * the audit log once per crossing. Metering never fails the call it measures;
+ * callers check check_ai_budget before making a call.
+ *
+ * @module services/ai_usage
+ */
+
+const { AiUsage, Organization, Owner, AuditLog } = require('../models');
+
+/**
+ * Calendar day of a date in a timezone
+ * @param {Date} date - Date to convert
+ * @param {string} timezone - IANA timezone (e.g. "Asia/Bangkok")
+ * @returns {string} Day key in YYYY-MM-DD format
+ */
+function get_day_key(date, timezone) {
+  const format = (timeZone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+
+  try {
+    return format(timezone || 'UTC');
+  } catch (error) {
+    // Invalid timezone stored on the organization
+    return format('UTC');
+  }
+}
+
+/**
+ * Audit log entry when this call pushed spending over the soft limit or budget
+ * @param {Organization} organization - Organization after the increment
+ * @param {number} cost - Cost of this call in USD
+ * @returns {Promise<void>}
+ */
+async function log_budget_crossing(organization, cost) {
+  const after = organization.get_ai_budget_status();
+  if (after.state === 'unlimited' || after.state === 'ok' || !organization.created_by) {
+    return;
+  }
+
+  const spentBefore = after.spent_usd - cost;
+  const percentBefore = after.budget_usd > 0 ? (spentBefore / after.budget_usd) * 100 : 100;
+  const crossedBudget = after.state === 'exceeded' && spentBefore < after.budget_usd;
+  const crossedSoftLimit = after.state === 'warning' && percentBefore < after.soft_limit_percent;
+  if (!crossedBudget && !crossedSoftLimit) {
+    return;
+  }
+
+  console.warn(`⚠️ Organization ${organization._id} AI spending at ${after.percent}% of $${after.budget_usd} budget`);
+
+  await AuditLog.log({
+    organization_id: organization._id,
+    user_id: organization.created_by,
+    action: crossedBudget ? 'billing:ai_budget:exceeded' : 'billing:ai_budget:warning',
+    category: 'billing',
+    resource_type: 'organization',
+    resource_id: organization._id,
+    description: crossedBudget
+      ? `Monthly AI budget of $${after.budget_usd} reached; AI features (summaries, translations, Q&A, template previews, image and media analysis) are paused until next month`
+      : `AI spending reached ${after.percent}% of the $${after.budget_usd} monthly budget`,
+    metadata: after
+  });
+}
+
+/**
+ * Whether an organization may make another billed AI call this month
+ * @param {Organization|null} organization - Organization with limits and usage loaded (null = not billed)
+ * @returns {string|null} Reason when the monthly AI budget is used up, null otherwise
+ */
+function check_ai_budget(organization) {
+  if (!organization || organization.get_ai_budget_status().state !== 'exceeded') {
+    return null;
+  }
+  return `Monthly AI budget reached ($${organization.limits.ai_budget_usd_per_month})`;
+}
+
+/**
+ * Record the LLM calls of one feature run
+ * @param {Object} params - What was called and for whom
+ * @param {ObjectId|null} params.organization_id - Billed organization (nothing is recorded without one)
+ * @param {ObjectId|null} params.owner_id - LINE account owner (Owner.usage)
+ * @param {string} params.feature - AI_USAGE_FEATURES value
+ * @param {string} params.provider - Provider name
+ * @param {Array<Object>} params.entries - [{ model, requests, usage: { prompt_tokens, completion_tokens, total_tokens }, cost }]
+ * @returns {Promise<void>}
+ */
+async function record_ai_usage({ organization_id, owner_id = null, feature, provider, entries }) {
+  const calls = entries.filter(entry => entry.requests > 0);
+  if (calls.length === 0) {
+    return;
+  }
+
+  const cost = calls.reduce((sum, entry) => sum + (entry.cost || 0), 0);
+  const tokens = calls.reduce((sum, entry) => sum + (entry.usage?.total_tokens || 0), 0);
+
+  try {
+    if (owner_id && tokens > 0) {
+      await Owner.updateOne({ _id: owner_id }, { $inc: { 'usage.gemini_tokens_used': tokens } });
+    }
+
+    if (!organization_id) {
+      return;
+    }
+
+    const organization = await Organization.findByIdAndUpdate(
+      organization_id,
+      { $inc: { 'usage.ai_cost_this_month': cost, 'usage.ai_tokens_this_month': tokens } },
+      { new: true }
+    ).select('limits usage settings.timezone created_by');
+    if (!organization) {
+      return;
+    }
+
+    const date = get_day_key(new Date(), organization.settings?.timezone);
+    for (const entry of calls) {
+      await AiUsage.add_usage(
+        { organization_id, date, feature, provider, model: entry.model },
+        { requests: entry.requests, ...entry.usage, cost: entry.cost }
+      );
+    }
+
+    await log_budget_crossing(organization, cost);
+  } catch (error) {
+    console.error(`❌ Failed to record AI usage (${feature}) for org ${organization_id}:`, error.message);
+  }
+}
+
+/**
+ * AI budget status and usage breakdown of an organization for one month
+ * @param {Organization} organization - Organization document
+ * @param {string|null} month - Month key (YYYY-MM); current month in the organization timezone when omitted
+ * @returns {Promise<Object>} { budget, usage: { month, totals, by_day, by_feature, by_model } }
+ */
+async function get_ai_usage_report(organization, month = null) {
+  const currentMonth = get_day_key(new Date(), organization.settings?.timezone).slice(0, 7);
+
+  return {
+    budget: organization.get_ai_budget_status(),
+    usage: await AiUsage.get_monthly_breakdown(organization._id, month || currentMonth)
+  };
+}
+
+module.exports = {
+  get_day_key,
+  check_ai_budget,
+  record_ai_usage,
+  get_ai_usage_report
+};
@@ -0,0 +1,645 @@
+/**
+ * Alerts Service
+ * Evaluates organization AlertRules and raises AlertFirings:
+ *   - summary_urgency / summary_sentiment when a summary completes
+ *   - message_keyword on each incoming text message (keywords or regex)
+ *   - no_staff_reply from the scheduler, for customer messages that waited
+ *     longer than N minutes without a message from staff
+ * Staff are organization members with a linked LINE user ID plus the LINE
+ * users listed on the rule. Firings are deduplicated per trigger and rate
+ * limited per rule and room (cooldown_minutes); notifications (email, LINE
+ * push, webhook) are sent by the `alert:notify` job. Webhooks must be https
+ * URLs of public hosts: private, loopback and link-local addresses are refused
+ * when the rule is saved and again when the request connects.
+ *
+ * @module services/alerts
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const config = require('../config');
+const { AlertRule, AlertFiring, Room, Message, Organization, OrganizationMember, Owner } = require('../models');
+const jobQueue = require('./job_queue');
+const lineService = require('./line_service');
+const { is_email_configured, send_email } = require('./email_service');
+const { build_command_reply, get_session_url } = require('./bot_commands');
+
+// Active rules are cached per organization and condition (message rules run on every message)
+const RULE_CACHE_TTL_MS = 30 * 1000;
+const ruleCache = new Map(); // `${organizationId}:${type}` -> { rules, loaded_at }
+
+// no_staff_reply only looks at messages this far before the reply deadline
+const NO_REPLY_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_EXCERPT_LENGTH = 300;
+
+// Addresses webhooks may not reach: this host, private networks, link-local
+// (169.254.169.254 cloud metadata), carrier-grade NAT, multicast and reserved.
+// Separate lists: a BlockList also matches IPv4 addresses against ::ffff:0:0/96
+const PRIVATE_NETWORKS = { 4: new net.BlockList(), 6: new net.BlockList() };
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_NETWORKS[4].addSubnet(address, prefix, 'ipv4'));
+[
+  // IPv4-mapped and NAT64 addresses are refused whole rather than unpacked
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_NETWORKS[6].addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check a rule condition before it is saved
+ * @param {Object} condition - AlertRule condition
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validate_rule_condition(condition) {
+  const errors = [];
+
+  if (condition.type === 'message_keyword') {
+    const keywords = (condition.keywords || []).filter(keyword => keyword.trim());
+    if (keywords.length === 0 && !condition.pattern) {
+      errors.push('Keyword rules need at least one keyword or a regular expression');
+    }
+
+    if (condition.pattern) {
+      if (condition.pattern.length > MAX_PATTERN_LENGTH) {
+        errors.push(`The regular expression must be at most ${MAX_PATTERN_LENGTH} characters`);
+      } else {
+        try {
+          if (new RegExp(condition.pattern, 'iu').test('')) {
+            errors.push('The regular expression matches empty text');
+          }
+        } catch (error) {
+          errors.push(`The regular expression is not valid: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  if (condition.type === 'summary_urgency' && !(condition.urgency || []).length) {
+    errors.push('Choose at least one urgency level');
+  }
+
+  if (condition.type === 'summary_sentiment' && !(condition.sentiment || []).length) {
+    errors.push('Choose at least one sentiment');
+  }
+
+  return errors;
+}
+
+/**
+ * Whether an IP address is outside the public internet (see PRIVATE_NETWORKS)
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} true for private addresses and anything that is not an IP
+ */
+function is_private_address(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE_NETWORKS[family].check(address, `ipv${family}`);
+}
+
+/**
+ * Check a webhook URL: https, and a host that resolves to public addresses only
+ * @param {string} url - Webhook URL
+ * @returns {Promise<string|null>} Error message, or null when the URL may be called
+ */
+async function check_webhook_url(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'Webhook URL is not valid';
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return 'Webhook URLs must use https';
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      return `Webhook host ${host} could not be resolved`;
+    }
+  }
+
+  if (addresses.some(is_private_address)) {
+    return `Webhook host ${host} is a private, loopback or link-local address`;
+  }
+
+  return null;
+}
+
+/**
+ * DNS lookup of webhook connections that refuses private addresses
+ * Checked again when connecting, so a host cannot resolve to a public
+ * address when the URL is checked and to a private one for the request.
+ */
+function public_lookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => is_private_address(entry.address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgent = new https.Agent({ lookup: public_lookup });
+
+/**
+ * Active rules of an organization for some condition types
+ * @param {ObjectId} organizationId - Organization ID
+ * @param {Array<string>} types - Condition types
+ * @returns {Promise<Array<AlertRule>>}
+ */
+async function get_active_rules(organizationId, types) {
+  const key = `${organizationId}:${types.join(',')}`;
+  const cached = ruleCache.get(key);
+  if (cached && Date.now() - cached.loaded_at < RULE_CACHE_TTL_MS) {
+    return cached.rules;
+  }
+
+  const rules = await AlertRule.find({
+    organization_id: organizationId,
+    is_active: true,
+    'condition.type': { $in: types }
+  });
+  ruleCache.set(key, { rules, loaded_at: Date.now() });
+
+  return rules;
+}
+
+/**
+ * Forget cached rules of an organization (after rules change)
+ * @param {ObjectId} organizationId - Organization ID
+ */
+function clear_rule_cache(organizationId) {
+  const prefix = `${organizationId}:`;
+  for (const key of ruleCache.keys()) {
+    if (key.startsWith(prefix)) ruleCache.delete(key);
+  }
+}
+
+/**
+ * Shorten trigger text for the alert
+ * @param {string} text - Summary or message text
+ * @returns {string|null}
+ */
+function make_excerpt(text) {
+  if (!text) return null;
+  const value = text.trim();
+  return value.length > MAX_EXCERPT_LENGTH ? `${value.slice(0, MAX_EXCERPT_LENGTH - 1)}…` : value;
+}
+
+/**
+ * Store a firing of a rule and queue its notifications
+ * Returns null when the same trigger already fired the rule or the rule is
+ * cooling down in the room.
+ * @param {AlertRule} rule - Rule that matched
+ * @param {Object} trigger - { room, session_id, summary_id, message_id, title, excerpt, details, dedupe_key }
+ * @returns {Promise<AlertFiring|null>}
+ */
+async function fire_alert(rule, trigger) {
+  const { room } = trigger;
+
+  if (rule.cooldown_minutes > 0 && room) {
+    const recent = await AlertFiring.exists({
+      rule_id: rule._id,
+      room_id: room._id,
+      created_at: { $gte: new Date(Date.now() - rule.cooldown_minutes * 60 * 1000) }
+    });
+    if (recent) {
+      console.log(`🔕 Alert rule ${rule._id} cooling down in room ${room._id}`);
+      return null;
+    }
+  }
+
+  const inApp = rule.actions.some(action => action.type === 'in_app');
+
+  let firing;
+  try {
+    firing = await AlertFiring.create({
+      organization_id: rule.organization_id,
+      rule_id: rule._id,
+      rule_name: rule.name,
+      condition_type: rule.condition.type,
+      room_id: room?._id || null,
+      room_name: room ? (room.assignment?.custom_name || room.name) : null,
+      session_id: trigger.session_id || null,
+      summary_id: trigger.summary_id || null,
+      message_id: trigger.message_id || null,
+      title: trigger.title,
+      excerpt: make_excerpt(trigger.excerpt),
+      details: trigger.details || {},
+      dedupe_key: trigger.dedupe_key,
+      in_app: inApp,
+      notifications: inApp ? [{ type: 'in_app', target: null, status: 'sent', sent_at: new Date() }] : []
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null; // Already fired for this trigger
+    }
+    throw error;
+  }
+
+  await AlertRule.updateOne({ _id: rule._id }, {
+    $inc: { 'statistics.fire_count': 1 },
+    $set: { 'statistics.last_fired_at': firing.created_at }
+  });
+
+  console.log(`🚨 Alert "${rule.name}" fired: ${firing.title}`);
+
+  if (rule.actions.some(action => action.type !== 'in_app')) {
+    await jobQueue.enqueue(jobQueue.JOB_TYPES.ALERT_NOTIFY, {
+      alert_id: firing._id
+    }, {
+      organization_id: rule.organization_id,
+      unique_key: `alert:${firing._id}`
+    });
+  }
+
+  return firing;
+}
+
+/**
+ * Evaluate summary rules (urgency, sentiment) for a completed summary
+ * Errors are logged; alerting never fails summary generation.
+ * @param {Summary} summary - Completed summary
+ * @returns {Promise<Array<AlertFiring>>} Firings raised
+ */
+async function evaluate_summary_alerts(summary) {
+  const fired = [];
+  if (!summary.organization_id || summary.status !== 'completed') return fired;
+
+  try {
+    const rules = await get_active_rules(summary.organization_id, ['summary_urgency', 'summary_sentiment']);
+    if (rules.length === 0) return fired;
+
+    const room = await Room.findById(summary.room_id).select('name assignment');
+    if (!room) return fired;
+    const roomName = room.assignment?.custom_name || room.name;
+    const { urgency, sentiment } = summary.analysis || {};
+
+    for (const rule of rules) {
+      if (!rule.applies_to_room(room)) continue;
+
+      let title = null;
+      if (rule.condition.type === 'summary_urgency' && urgency && rule.condition.urgency.includes(urgency)) {
+        title = `${urgency[0].toUpperCase()}${urgency.slice(1)} urgency conversation in ${roomName}`;
+      } else if (rule.condition.type === 'summary_sentiment' && sentiment && rule.condition.sentiment.includes(sentiment)) {
+        title = `${sentiment[0].toUpperCase()}${sentiment.slice(1)} conversation in ${roomName}`;
+      }
+      if (!title) continue;
+
+      const firing = await fire_alert(rule, {
+        room,
+        session_id: summary.session_id,
+        summary_id: summary._id,
+        title,
+        excerpt: summary.content,
+        details: { urgency, sentiment, key_topics: summary.key_topics || [] },
+        dedupe_key: `${rule._id}:summary:${summary._id}`
+      });
+      if (firing) fired.push(firing);
+    }
+  } catch (error) {
+    console.error(`❌ Alert evaluation failed for summary ${summary._id}:`, error.message);
+  }
+
+  return fired;
+}
+
+/**
+ * Keyword or regex that a message text matches
+ * @param {AlertRule} rule - message_keyword rule
+ * @param {string} text - Message text
+ * @returns {string|null} Matched keyword / text, or null
+ */
+function match_message_rule(rule, text) {
+  const lower = text.toLowerCase();
+  const keyword = (rule.condition.keywords || []).find(value => value.trim() && lower.includes(value.trim().toLowerCase()));
+  if (keyword) return keyword.trim();
+
+  if (rule.condition.pattern) {
+    try {
+      const match = new RegExp(rule.condition.pattern, 'iu').exec(text);
+      if (match) return match[0];
+    } catch (error) {
+      console.warn(`⚠️ Alert rule ${rule._id} has an invalid pattern:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate keyword rules for an incoming text message
+ * Errors are logged; alerting never fails message capture.
+ * @param {Message} message - Stored text message
+ * @returns {Promise<Array<AlertFiring>>} Firings raised
+ */
+async function evaluate_message_alerts(message) {
+  const fired = [];
+  if (!message.organization_id || message.message_type !== 'text' || !message.message) return fired;
+
+  try {
+    const rules = await get_active_rules(message.organization_id, ['message_keyword']);
+    if (rules.length === 0) return fired;
+
+    const room = await Room.findById(message.room_id).select('name assignment');
+    if (!room) return fired;
+
+    for (const rule of rules) {
+      if (!rule.applies_to_room(room)) continue;
+
+      const matched = match_message_rule(rule, message.message);
+      if (!matched) continue;
+
+      const firing = await fire_alert(rule, {
+        room,
+        session_id: message.session_id,
+        message_id: message._id,
+        title: `"${matched.slice(0, 50)}" mentioned in ${room.assignment?.custom_name || room.name}`,
+        excerpt: message.message,
+        details: { matched, line_user_id: message.line_user_id || null },
+        dedupe_key: `${rule._id}:message:${message._id}`
+      });
+      if (firing) fired.push(firing);
+    }
+  } catch (error) {
+    console.error(`❌ Alert evaluation failed for message ${message._id}:`, error.message);
+  }
+
+  return fired;
+}
+
+/**
+ * Find conversations waiting longer than their rule allows for a staff reply
+ * Runs from the scheduler. Each waiting customer message fires a rule once.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { rules, fired }
+ */
+async function check_unanswered_conversations(now = new Date()) {
+  const rules = await AlertRule.find({ is_active: true, 'condition.type': 'no_staff_reply' });
+  let fired = 0;
+
+  // Members' linked LINE IDs per organization
+  const memberStaff = new Map();
+  const get_member_staff = async (organizationId) => {
+    const key = organizationId.toString();
+    if (!memberStaff.has(key)) {
+      const members = await OrganizationMember.find({
+        organization_id: organizationId,
+        status: 'active',
+        'digest_subscription.line_user_id': { $ne: null }
+      }).select('digest_subscription.line_user_id');
+      memberStaff.set(key, members.map(member => member.digest_subscription.line_user_id));
+    }
+    return memberStaff.get(key);
+  };
+
+  for (const rule of rules) {
+    try {
+      const staff = [...new Set([...(await get_member_staff(rule.organization_id)), ...(rule.condition.staff_line_user_ids || [])])];
+      if (staff.length === 0) {
+        console.log(`⚠️ Alert rule ${rule._id} has no staff LINE users; skipping no-reply check`);
+        continue;
+      }
+
+      const deadline = new Date(now.getTime() - rule.condition.minutes * 60 * 1000);
+      const since = new Date(deadline.getTime() - NO_REPLY_LOOKBACK_MS);
+      const rooms = await Room.find({
+        organization_id: rule.organization_id,
+        is_active: true,
+        'statistics.last_activity_at': { $gte: since }
+      }).select('name assignment');
+
+      for (const room of rooms) {
+        if (!rule.applies_to_room(room)) continue;
+
+        const lastStaffReply = await Message.findOne({
+          room_id: room._id,
+          direction: 'user',
+          line_user_id: { $in: staff }
+        }).sort({ timestamp: -1 }).select('timestamp');
+
+        const after = lastStaffReply && lastStaffReply.timestamp > since ? lastStaffReply.timestamp : since;
+        const waiting = await Message.findOne({
+          room_id: room._id,
+          direction: 'user',
+          line_user_id: { $nin: [...staff, null] },
+          unsent_at: null,
+          timestamp: { $gt: after, $lte: deadline }
+        }).sort({ timestamp: 1 }).select('session_id message message_type line_user_id timestamp');
+
+        if (!waiting) continue;
+
+        const waitedMinutes = Math.floor((now - waiting.timestamp) / 60000);
+        const firing = await fire_alert(rule, {
+          room,
+          session_id: waiting.session_id,
+          message_id: waiting._id,
+          title: `No staff reply in ${room.assignment?.custom_name || room.name} for ${waitedMinutes} minutes`,
+          excerpt: waiting.message_type === 'text' ? waiting.message : null,
+          details: { waited_minutes: waitedMinutes, limit_minutes: rule.condition.minutes, line_user_id: waiting.line_user_id },
+          dedupe_key: `${rule._id}:no_reply:${waiting._id}`
+        });
+        if (firing) fired++;
+      }
+    } catch (error) {
+      console.error(`❌ No-reply check failed for alert rule ${rule._id}:`, error.message);
+    }
+  }
+
+  return { rules: rules.length, fired };
+}
+
+/**
+ * Alert text for email
+ * @param {AlertFiring} alert - Alert
+ * @param {Organization} organization - Organization
+ * @returns {string}
+ */
+function render_alert_text(alert, organization) {
+  return [
+    `${organization.name} alert: ${alert.title}`,
+    `Rule: ${alert.rule_name}`,
+    alert.excerpt ? `\n${alert.excerpt}` : null,
+    `\n${get_alert_url(alert)}`
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Dashboard link of an alert
+ * @param {AlertFiring} alert - Alert
+ * @returns {string}
+ */
+function get_alert_url(alert) {
+  return alert.session_id
+    ? get_session_url(alert.session_id)
+    : `${config.app.frontendUrl}/dashboard/alerts?id=${alert._id}`;
+}
+
+/**
+ * POST an alert to a webhook, signed with the action secret
+ * @param {Object} action - Webhook action { url, secret }
+ * @param {AlertFiring} alert - Alert
+ * @param {Organization} organization - Organization
+ */
+async function post_alert_webhook(action, alert, organization) {
+  const body = JSON.stringify({
+    event: 'alert.fired',
+    organization: { id: organization._id, name: organization.name },
+    alert: alert.get_alert_data(),
+    url: get_alert_url(alert)
+  });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (action.secret) {
+    headers['X-Alert-Signature'] = `sha256=${crypto.createHmac('sha256', action.secret).update(body).digest('hex')}`;
+  }
+
+  const urlError = await check_webhook_url(action.url);
+  if (urlError) {
+    throw new Error(urlError);
+  }
+
+  // Redirects could lead anywhere, including private addresses
+  await axios.post(action.url, body, {
+    headers,
+    timeout: config.alerts.webhookTimeoutMs,
+    httpsAgent: webhookAgent,
+    maxRedirects: 0
+  });
+}
+
+/**
+ * Send an alert's email, LINE and webhook notifications
+ * Notifications already sent are skipped on retries; throws when any failed
+ * so the job queue retries them.
+ * @param {string} alertId - AlertFiring ID
+ * @returns {Promise<Object>} { sent, failed, skipped }
+ */
+async function send_alert_notifications(alertId) {
+  const alert = await AlertFiring.findById(alertId);
+  const rule = alert ? await AlertRule.findById(alert.rule_id).select('+actions.secret') : null;
+  const counts = { sent: 0, failed: 0, skipped: 0 };
+  if (!alert || !rule) return counts;
+
+  const organization = await Organization.findById(alert.organization_id).select('name');
+  const owner = await Owner.findOne({ organization_id: alert.organization_id, status: 'active' });
+  const notifications = new Map(alert.notifications.map(entry => [`${entry.type}:${entry.target}`, entry.toObject()]));
+
+  const notify = async (type, target, send) => {
+    const key = `${type}:${target}`;
+    if (notifications.get(key)?.status === 'sent') return;
+
+    const entry = { type, target, status: 'sent', error: null, sent_at: null };
+    try {
+      const skipReason = await send();
+      if (skipReason) {
+        entry.status = 'skipped';
+        entry.error = skipReason;
+      } else {
+        entry.sent_at = new Date();
+      }
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.response?.data?.message || error.message;
+      console.error(`❌ Alert ${alert._id} ${type} notification to ${target} failed:`, entry.error);
+    }
+
+    counts[entry.status]++;
+    notifications.set(key, entry);
+  };
+
+  for (const action of rule.actions) {
+    if (action.type === 'webhook') {
+      await notify('webhook', action.url, async () => {
+        if (!action.url) return 'No webhook URL';
+        await post_alert_webhook(action, alert, organization);
+        return null;
+      });
+      continue;
+    }
+
+    if (action.type !== 'email' && action.type !== 'line') continue;
+
+    const members = action.user_ids?.length
+      ? await OrganizationMember.find({
+        organization_id: alert.organization_id,
+        user_id: { $in: action.user_ids },
+        status: 'active'
+      }).populate('user_id', 'name email')
+      : [];
+
+    if (action.type === 'email') {
+      for (const member of members) {
+        if (!member.user_id) continue;
+        await notify('email', member.user_id.email, async () => {
+          if (!is_email_configured()) return 'Email is not configured';
+          const text = render_alert_text(alert, organization);
+          await send_email({
+            to: member.user_id.email,
+            subject: `[Alert] ${alert.title}`,
+            text,
+            html: `<pre style="font-family:sans-serif;white-space:pre-wrap">${text.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</pre>`
+          });
+          return null;
+        });
+      }
+      continue;
+    }
+
+    const lineUserIds = [
+      ...members.map(member => member.digest_subscription?.line_user_id).filter(Boolean),
+      ...(action.line_user_id ? [action.line_user_id] : [])
+    ];
+    for (const lineUserId of new Set(lineUserIds)) {
+      await notify('line', lineUserId, async () => {
+        if (!owner) return 'Organization has no connected LINE account';
+        await lineService.for_owner(owner).push_message(lineUserId, [build_command_reply({
+          title: `🚨 ${alert.rule_name}`,
+          color: '#b91c1c',
+          lines: [alert.title, ...(alert.excerpt ? [{ text: alert.excerpt, color: '#6b7280' }] : [])],
+          link: { label: 'Open in dashboard', uri: get_alert_url(alert) }
+        })]);
+        return null;
+      });
+    }
+  }
+
+  alert.notifications = [...notifications.values()];
+  await alert.save();
+
+  console.log(`📣 Alert ${alert._id} notifications: ${counts.sent} sent, ${counts.failed} failed, ${counts.skipped} skipped`);
+
+  if (counts.failed > 0) {
+    throw new Error(`${counts.failed} alert notification(s) failed`);
+  }
+
+  return counts;
+}
+
+module.exports = {
+  validate_rule_condition,
+  check_webhook_url,
+  match_message_rule,
+  clear_rule_cache,
+  evaluate_summary_alerts,
+  evaluate_message_alerts,
+  check_unanswered_conversations,
+  send_alert_notifications
+};
@@ -0,0 +1,196 @@
+/**
+ * Bot Commands
+ * Slash commands group members send to the bot in a LINE group
+ * (/summary, /summary today, /status, /pause, /resume, /help) and the Flex
+ * replies for them, whose buttons send the same commands back as postbacks.
+ * Commands are dispatched by the LINE webhook handler
+ * against the room's current session; organizations choose which commands
+ * are enabled in settings.bot_commands; /pause and /resume are for staff
+ * (contacts linked to a member, see services/line_contacts).
+ *
+ * @module services/bot_commands
+ */
+
+const lineService = require('./line_service');
+const { get_local_time } = require('./digest');
+const config = require('../config');
+
+const BOT_COMMANDS = ['summary', 'status', 'pause', 'resume', 'help'];
+
+// "/command" or "/command argument", case-insensitive
+const COMMAND_PATTERN = /^\/([a-z]+)(?:\s+(.+))?$/i;
+
+// Usage lines shown by /help
+const COMMAND_USAGE = {
+  summary: ['/summary – summarize the conversation so far', '/summary today – today\'s summaries of this group'],
+  status: ['/status – recording and summary status'],
+  pause: ['/pause – stop recording messages (staff)'],
+  resume: ['/resume – start recording again (staff)'],
+  help: ['/help – list commands']
+};
+
+// LINE rejects text components over 2000 characters; summaries are cut well below that
+const MAX_SUMMARY_LENGTH = 500;
+
+/**
+ * Parse a text message as a bot command
+ * Unknown commands return null so the message is stored like any other.
+ * @param {string} text - Message text
+ * @returns {Object|null} { name, args } or null when the text is not a command
+ */
+function parse_bot_command(text) {
+  const match = COMMAND_PATTERN.exec((text || '').trim());
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  if (!BOT_COMMANDS.includes(name)) return null;
+
+  return {
+    name,
+    args: (match[2] || '').trim().toLowerCase()
+  };
+}
+
+/**
+ * Commands an organization allows in its groups
+ * @param {Organization} organization - Organization
+ * @returns {Array<string>} Enabled command names (empty when commands are off)
+ */
+function get_enabled_commands(organization) {
+  const settings = organization.settings?.bot_commands;
+  if (settings?.enabled === false) return [];
+  return settings?.commands?.length ? settings.commands.filter(name => BOT_COMMANDS.includes(name)) : BOT_COMMANDS;
+}
+
+/**
+ * Usage lines for the enabled commands
+ * @param {Array<string>} commands - Enabled command names
+ * @returns {Array<string>}
+ */
+function get_command_usage(commands) {
+  return commands.flatMap(name => COMMAND_USAGE[name] || []);
+}
+
+/**
+ * Cut summary text for a chat reply
+ * @param {string} content - Summary content
+ * @returns {string}
+ */
+function truncate_summary(content) {
+  const text = (content || '').trim();
+  return text.length > MAX_SUMMARY_LENGTH ? `${text.slice(0, MAX_SUMMARY_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Local time of a date for chat replies ("14:05", or "2026-10-18 14:05" on other days)
+ * @param {Date} date - Date to format
+ * @param {string} timezone - Organization timezone
+ * @returns {string}
+ */
+function format_local_time(date, timezone) {
+  const local = get_local_time(date, timezone);
+  const time = `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
+  return local.day === get_local_time(new Date(), timezone).day ? time : `${local.day} ${time}`;
+}
+
+/**
+ * Dashboard link of a session
+ * @param {string} sessionId - ChatSession session_id
+ * @returns {string}
+ */
+function get_session_url(sessionId) {
+  return `${config.app.frontendUrl}/dashboard/sessions/${sessionId}`;
+}
+
+/**
+ * Postback action that runs a bot command when tapped
+ * The webhook handler parses the data back into the command (see handle_postback_event).
+ * @param {Object} button - { label, command, args? }
+ * @returns {Object} LINE postback action
+ */
+function get_command_postback({ label, command, args = '' }) {
+  const params = new URLSearchParams({ command, ...(args && { args }) });
+  const text = `/${command}${args ? ` ${args}` : ''}`;
+
+  return {
+    type: 'postback',
+    label,
+    data: params.toString(),
+    displayText: text
+  };
+}
+
+/**
+ * Flex reply to a bot command
+ * @param {Object} reply - Reply content
+ * @param {string} reply.title - Bubble title
+ * @param {Array<string|Object>} reply.lines - Body lines (string or { text, color, bold })
+ * @param {string} reply.color - Title color (defaults to LINE green)
+ * @param {Object} reply.link - Optional footer button { label, uri }
+ * @param {Array<Object>} reply.buttons - Optional command buttons { label, command, args? }
+ * @returns {Object} LINE flex message
+ */
+function build_command_reply({ title, lines = [], color = '#06c755', link = null, buttons = [] }) {
+  const contents = lines.map(line => {
+    const value = typeof line === 'string' ? { text: line } : line;
+    return {
+      type: 'text',
+      text: String(value.text || ' '),
+      wrap: true,
+      size: 'sm',
+      ...(value.color && { color: value.color }),
+      ...(value.bold && { weight: 'bold' }),
+      ...(value.margin && { margin: value.margin })
+    };
+  });
+
+  const footerButtons = [
+    ...buttons.map(button => ({
+      type: 'button',
+      style: 'secondary',
+      height: 'sm',
+      action: get_command_postback(button)
+    })),
+    ...(link ? [{
+      type: 'button',
+      style: 'link',
+      height: 'sm',
+      action: { type: 'uri', label: link.label, uri: link.uri }
+    }] : [])
+  ];
+
+  const firstLine = lines.length ? (typeof lines[0] === 'string' ? lines[0] : lines[0].text) : '';
+
+  return lineService.create_flex_message(`${title}${firstLine ? `: ${firstLine}` : ''}`.slice(0, 400), {
+    type: 'bubble',
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: [
+        { type: 'text', text: title, weight: 'bold', size: 'md', color },
+        { type: 'separator', margin: 'sm' },
+        ...contents
+      ]
+    },
+    ...(footerButtons.length && {
+      footer: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: footerButtons
+      }
+    })
+  });
+}
+
+module.exports = {
+  BOT_COMMANDS,
+  parse_bot_command,
+  get_enabled_commands,
+  get_command_usage,
+  truncate_summary,
+  format_local_time,
+  get_session_url,
+  build_command_reply
+};
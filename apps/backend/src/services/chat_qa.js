@@ -0,0 +1,332 @@
+/**
+ * Chat Q&A
+ *
+ * Answers questions about an organization's chat history ("when did we agree
+ * on the new price?") with the organization's LLM provider. Sources are
+ * retrieved three ways and merged in this order:
+ *
+ *   1. semantic search over indexed messages and summaries (when enabled)
+ *   2. keyword matches on message text, image text and summary content
+ *   3. the latest completed summaries of the asked rooms
+ *
+ * The model only sees the numbered sources and cites them as [n]; each
+ * citation links back to its message or summary and chat session.
+ *
+ * Callers decide which source types may be used (message and summary view
+ * permissions); retrieval never crosses organizations. With PII redaction on,
+ * the model sees placeholders and real values are put back into the answer
+ * only for callers who can view messages.
+ *
+ * @module services/chat_qa
+ */
+
+const { Message, Summary, Room } = require('../models');
+const { is_semantic_search_enabled, semantic_search, message_text } = require('./semantic_index');
+const { resolve_viewer_language } = require('./summary_language');
+const { create_redactor, restore_pii } = require('./pii_redactor');
+
+// Permission needed to use each source type
+const SOURCE_PERMISSIONS = { message: 'org:messages:view', summary: 'org:summaries:view' };
+
+// Sources sent to the model per question
+const MAX_SOURCES = 15;
+
+// Semantic hits requested per question (before merging)
+const SEMANTIC_LIMIT = 12;
+
+// Semantic hits scoring at or below this cosine similarity are dropped
+const SEMANTIC_MIN_SCORE = 0.15;
+
+// Keyword matches per source type
+const KEYWORD_LIMIT = 10;
+
+// Question words used for keyword matching
+const MAX_KEYWORDS = 6;
+
+// Latest summaries of the asked rooms added as background
+const RECENT_SUMMARY_LIMIT = 3;
+
+// Source text sent to the model, per type
+const SOURCE_TEXT_LENGTH = { message: 500, summary: 1500 };
+
+// Citation excerpts returned to the client
+const EXCERPT_LENGTH = 200;
+
+/**
+ * Words of a question worth matching literally (longest first)
+ * Intl.Segmenter splits Thai and Japanese, which have no spaces.
+ * @param {string} question - Question text
+ * @returns {Array<string>}
+ */
+function get_keywords(question) {
+  const segmenter = new Intl.Segmenter('th', { granularity: 'word' });
+  const words = new Set();
+  for (const { segment, isWordLike } of segmenter.segment(question.toLowerCase())) {
+    // Latin words need 4+ letters to skip "what", "the", "did"...
+    const minLength = /[\u0E00-\u0E7F\u3040-\u30FF\u4E00-\u9FFF]/.test(segment) ? 2 : 4;
+    if (isWordLike && segment.length >= minLength) {
+      words.add(segment);
+    }
+  }
+  return [...words].sort((a, b) => b.length - a.length).slice(0, MAX_KEYWORDS);
+}
+
+/**
+ * Regex condition matching any of the keywords (case-insensitive, literal)
+ * @param {Array<string>} keywords - Words to match
+ * @returns {Object} MongoDB $regex condition
+ */
+function keyword_pattern(keywords) {
+  const escaped = keywords.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return { $regex: escaped.join('|'), $options: 'i' };
+}
+
+/**
+ * Shared scope filter (organization, rooms, date range) for a timestamp field
+ * @param {Object} scope - { organization_id, room_ids, start_date, end_date }
+ * @param {string} dateField - timestamp | created_at
+ * @returns {Object} MongoDB filter
+ */
+function scope_filter({ organization_id, room_ids, start_date, end_date }, dateField) {
+  const filter = { organization_id };
+  if (room_ids?.length) filter.room_id = { $in: room_ids };
+  if (start_date || end_date) {
+    filter[dateField] = {};
+    if (start_date) filter[dateField].$gte = start_date;
+    if (end_date) filter[dateField].$lte = end_date;
+  }
+  return filter;
+}
+
+/**
+ * Retrieve candidate sources for a question, best first
+ * @param {string} question - Question text
+ * @param {Object} scope - { organization_id, room_ids, start_date, end_date }
+ * @param {Array<string>} sourceTypes - Allowed source types (message, summary)
+ * @returns {Promise<Object>} { refs: [{ type, id }], retrieval: { semantic, keyword, recent } }
+ */
+async function retrieve_sources(question, scope, sourceTypes) {
+  const refs = [];
+  const seen = new Set();
+  const add = (type, id) => {
+    const key = `${type}:${id}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      refs.push({ type, id });
+      return true;
+    }
+    return false;
+  };
+  const retrieval = { semantic: 0, keyword: 0, recent: 0 };
+
+  if (is_semantic_search_enabled()) {
+    try {
+      const { hits } = await semantic_search(scope.organization_id, question, {
+        limit: SEMANTIC_LIMIT,
+        source_types: sourceTypes,
+        room_ids: scope.room_ids,
+        start_date: scope.start_date,
+        end_date: scope.end_date,
+        min_score: SEMANTIC_MIN_SCORE
+      });
+      hits.forEach(hit => add(hit.source_type, hit.source_id) && retrieval.semantic++);
+    } catch (error) {
+      // Keyword retrieval still answers when the embedding provider is down
+      console.warn(`⚠️ Semantic retrieval failed, using keywords only: ${error.message}`);
+    }
+  }
+
+  const keywords = get_keywords(question);
+  if (keywords.length > 0) {
+    const pattern = keyword_pattern(keywords);
+    const [messages, summaries] = await Promise.all([
+      sourceTypes.includes('message')
+        ? Message.find({
+          ...scope_filter(scope, 'timestamp'),
+          unsent_at: null,
+          $or: [
+            { message: pattern },
+            { 'image_analysis.caption': pattern },
+            { 'image_analysis.text': pattern }
+          ]
+        }).sort({ timestamp: -1 }).limit(KEYWORD_LIMIT).select('_id')
+        : [],
+      sourceTypes.includes('summary')
+        ? Summary.find({ ...scope_filter(scope, 'created_at'), status: 'completed', content: pattern })
+          .sort({ created_at: -1 }).limit(KEYWORD_LIMIT).select('_id')
+        : []
+    ]);
+    messages.forEach(msg => add('message', msg._id) && retrieval.keyword++);
+    summaries.forEach(summary => add('summary', summary._id) && retrieval.keyword++);
+  }
+
+  // Room questions ("what is pending here?") often need the latest state
+  if (scope.room_ids?.length && sourceTypes.includes('summary')) {
+    const recent = await Summary.find({ ...scope_filter(scope, 'created_at'), status: 'completed' })
+      .sort({ created_at: -1 })
+      .limit(RECENT_SUMMARY_LIMIT)
+      .select('_id');
+    recent.forEach(summary => add('summary', summary._id) && retrieval.recent++);
+  }
+
+  return { refs: refs.slice(0, MAX_SOURCES), retrieval };
+}
+
+/**
+ * Load retrieved sources with their text, room and session
+ * Sources deleted since they were indexed, and empty ones, are dropped.
+ * @param {ObjectId} organizationId - Organization (documents are re-checked against it)
+ * @param {Array<Object>} refs - [{ type, id }] in rank order
+ * @param {boolean} reveal - Restore redacted values in summaries (caller can view messages)
+ * @returns {Promise<Array<Object>>} [{ type, id, session_id, room, timestamp, user_name, text }]
+ */
+async function load_sources(organizationId, refs, reveal) {
+  const idsOf = (type) => refs.filter(ref => ref.type === type).map(ref => ref.id);
+  const [messages, summaries] = await Promise.all([
+    Message.find({ _id: { $in: idsOf('message') }, organization_id: organizationId })
+      .select('session_id room_id timestamp message_type message user_name image_analysis media_processing'),
+    Summary.find({ _id: { $in: idsOf('summary') }, organization_id: organizationId })
+      .select(`session_id room_id content key_topics created_at${reveal ? ' +redaction.placeholders' : ''}`)
+  ]);
+
+  const rooms = await Room.find({
+    _id: { $in: [...new Set([...messages, ...summaries].map(doc => String(doc.room_id)))] }
+  }).select('name type assignment.custom_name');
+  const roomsById = new Map(rooms.map(room => [String(room._id), {
+    id: room._id,
+    name: room.assignment?.custom_name || room.name,
+    type: room.type
+  }]));
+
+  const messagesById = new Map(messages.map(msg => [String(msg._id), msg]));
+  const summariesById = new Map(summaries.map(summary => [String(summary._id), summary]));
+
+  return refs
+    .map(ref => {
+      if (ref.type === 'message') {
+        const msg = messagesById.get(String(ref.id));
+        const text = msg && (message_text(msg) || msg.message);
+        return text ? {
+          type: 'message',
+          id: msg._id,
+          session_id: msg.session_id,
+          room: roomsById.get(String(msg.room_id)) || null,
+          timestamp: msg.timestamp,
+          user_name: msg.user_name || null,
+          text: text.trim().slice(0, SOURCE_TEXT_LENGTH.message)
+        } : null;
+      }
+
+      const summary = summariesById.get(String(ref.id));
+      return summary?.content ? {
+        type: 'summary',
+        id: summary._id,
+        session_id: summary.session_id,
+        room: roomsById.get(String(summary.room_id)) || null,
+        timestamp: summary.created_at,
+        user_name: null,
+        text: (reveal ? restore_pii(summary.content, summary.redaction?.placeholders) : summary.content)
+          .trim()
+          .slice(0, SOURCE_TEXT_LENGTH.summary)
+      } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Header line the model sees above a source (room, time, sender)
+ * @param {Object} source - Loaded source
+ * @returns {string}
+ */
+function source_label(source) {
+  return [
+    source.room?.name,
+    new Date(source.timestamp).toISOString().slice(0, 16).replace('T', ' '),
+    source.user_name
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Answer a question from the organization's chat history
+ * @param {Object} params - Question and caller context
+ * @param {Organization} params.organization - Organization asked about (provider and scope)
+ * @param {User} params.user - Asking user (answer language)
+ * @param {string} params.question - Question text
+ * @param {Array<ObjectId>|null} params.room_ids - Limit to these rooms (null = all rooms)
+ * @param {Date|null} params.start_date - Oldest source time
+ * @param {Date|null} params.end_date - Newest source time
+ * @param {Array<string>} params.source_types - Source types the caller may read (message, summary)
+ * @returns {Promise<Object>} { answer, citations, confidence, language, sources, retrieval, provider, model, tokens_used, cost }
+ */
+async function answer_question({ organization, user, question, room_ids = null, start_date = null, end_date = null, source_types }) {
+  const scope = { organization_id: organization._id, room_ids, start_date, end_date };
+  const language = resolve_viewer_language({ user, organization });
+
+  const reveal = source_types.includes('message');
+
+  const { refs, retrieval } = await retrieve_sources(question, scope, source_types);
+  const sources = await load_sources(organization._id, refs, reveal);
+
+  console.log(`💬 Q&A for org ${organization.name}: ${sources.length} sources (semantic ${retrieval.semantic}, keyword ${retrieval.keyword}, recent ${retrieval.recent})`);
+
+  // Nothing to ground an answer on: skip the model call
+  if (sources.length === 0) {
+    return {
+      answer: 'No conversations related to this question were found.',
+      citations: [],
+      confidence: 'low',
+      language,
+      sources: 0,
+      retrieval,
+      provider: null,
+      model: null,
+      tokens_used: 0,
+      cost: 0
+    };
+  }
+
+  const redaction = organization.settings?.pii_redaction;
+  const redactor = redaction?.enabled ? create_redactor(redaction) : null;
+  const redact = text => (redactor ? redactor.redact(text) : text);
+
+  const llm = require('./llm');
+  const { provider, model } = llm.get_provider_for_organization(organization);
+  const result = await provider.answer_question(
+    redact(question),
+    sources.map(source => ({ type: source.type, label: source_label(source), text: redact(source.text) })),
+    { model, language, organization_id: organization._id }
+  );
+
+  const citations = result.citations.map(number => {
+    const source = sources[number - 1];
+    return {
+      number,
+      type: source.type,
+      ...(source.type === 'message' ? { message_id: source.id } : { summary_id: source.id }),
+      session_id: source.session_id,
+      room: source.room,
+      timestamp: source.timestamp,
+      user_name: source.user_name,
+      excerpt: source.text.slice(0, EXCERPT_LENGTH)
+    };
+  });
+
+  return {
+    answer: redactor && reveal ? restore_pii(result.answer, redactor.get_placeholders(result.answer)) : result.answer,
+    citations,
+    confidence: result.confidence,
+    language: result.language,
+    sources: sources.length,
+    retrieval,
+    provider: result.provider,
+    model: result.model,
+    tokens_used: result.tokens_used,
+    cost: result.cost
+  };
+}
+
+module.exports = {
+  SOURCE_PERMISSIONS,
+  get_keywords,
+  answer_question
+};
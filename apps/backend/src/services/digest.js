@@ -0,0 +1,572 @@
+/**
+ * Organization Digests
+ *
+ * Rolls up every group summary an organization completed in one local day
+ * (daily) or week (weekly) into a Digest document:
+ *
+ *   - per-group summary and message counts, sentiment and top topics
+ *   - groups that need attention (high-urgency or negative-sentiment summaries)
+ *   - open action items (Tasks) of the organization
+ *
+ * Periods follow Organization.settings.timezone; the scheduler queues a
+ * `digest:build` job once the configured local hour has passed
+ * (settings.digest). Finished digests are sent to subscribed members by
+ * email and/or LINE push (OrganizationMember.digest_subscription).
+ * Summary text is quoted as stored, so redacted values stay placeholders.
+ *
+ * @module services/digest
+ */
+
+const config = require('../config');
+const { Digest, Summary, Room, Message, Task, Owner, OrganizationMember } = require('../models');
+const { OPEN_STATUSES } = require('../models/task');
+const { is_email_configured, send_email } = require('./email_service');
+const lineService = require('./line_service');
+
+// Latest summary text quoted per group
+const SUMMARY_EXCERPT_LENGTH = 500;
+
+// Topics listed per group
+const TOPICS_PER_GROUP = 5;
+
+// Open action items listed in a digest (the total is always counted)
+const MAX_ACTION_ITEMS = 50;
+
+// Groups and action items shown in a LINE message (the dashboard has the rest)
+const LINE_MAX_ITEMS = 5;
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Local calendar day, time and weekday of a date
+ * @param {Date} date - Date to convert
+ * @param {string} timezone - IANA timezone (invalid = UTC)
+ * @returns {Object} { day: 'YYYY-MM-DD', hour, minute, weekday (0 = Sunday) }
+ */
+function get_local_time(date, timezone) {
+  const format = (timeZone) => Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  let parts;
+  try {
+    parts = format(timezone || 'UTC');
+  } catch (error) {
+    // Invalid timezone stored on the organization
+    parts = format('UTC');
+  }
+
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Shift a day key by whole days
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} days - Days to add (negative = earlier)
+ * @returns {string} YYYY-MM-DD
+ */
+function add_days(day, days) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Instant of local midnight at the start of a day
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+function get_local_midnight(day, timezone) {
+  const [year, month, date] = day.split('-').map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, date);
+
+  // Offset of the timezone at an instant (local wall clock minus UTC)
+  const offset_at = (instant) => {
+    const local = get_local_time(new Date(instant), timezone);
+    const [y, m, d] = local.day.split('-').map(Number);
+    return Date.UTC(y, m - 1, d, local.hour, local.minute) - Math.floor(instant / 60000) * 60000;
+  };
+
+  const guess = utcMidnight - offset_at(utcMidnight);
+  // A DST change between the guess and midnight moves the offset once more
+  return new Date(utcMidnight - offset_at(guess));
+}
+
+/**
+ * Period of a digest from its first local day
+ * @param {string} frequency - daily | weekly
+ * @param {string} key - First local day (YYYY-MM-DD)
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { key, start, end, timezone }
+ */
+function get_period(frequency, key, timezone) {
+  const endDay = add_days(key, frequency === 'weekly' ? 7 : 1);
+  return {
+    key,
+    start: get_local_midnight(key, timezone),
+    end: get_local_midnight(endDay, timezone),
+    timezone
+  };
+}
+
+/**
+ * Most recent finished period of an organization's digest
+ * Daily digests cover yesterday; weekly digests cover the 7 days before the
+ * configured weekday (or before today when forced on another day).
+ * @param {Organization} organization - Organization (settings.digest, settings.timezone)
+ * @param {Date} now - Current time
+ * @param {Object} options - { force, frequency } (force ignores the configured hour and weekday)
+ * @returns {Object|null} Period, or null when the digest is not due yet
+ */
+function get_due_period(organization, now = new Date(), { force = false, frequency: frequencyOverride = null } = {}) {
+  const settings = organization.settings?.digest || {};
+  const timezone = organization.settings?.timezone || 'UTC';
+  const frequency = frequencyOverride || settings.frequency || 'daily';
+  const local = get_local_time(now, timezone);
+
+  if (!force) {
+    if (local.hour < (settings.hour ?? 8)) {
+      return null;
+    }
+    if (frequency === 'weekly' && local.weekday !== (settings.weekday ?? 1)) {
+      return null;
+    }
+  }
+
+  return get_period(frequency, add_days(local.day, frequency === 'weekly' ? -7 : -1), timezone);
+}
+
+/**
+ * Most frequent values of a list
+ * @param {Array<string>} values - Values (repeats count)
+ * @param {number} limit - Values to keep
+ * @returns {Array<string>}
+ */
+function top_values(values, limit) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([value]) => value);
+}
+
+/**
+ * Per-group roll-up of the summaries in a period
+ * @param {ObjectId} organizationId - Organization ID
+ * @param {Object} period - { start, end }
+ * @returns {Promise<Array<Object>>} Digest.groups entries, attention groups first
+ */
+async function build_group_entries(organizationId, period) {
+  const summaries = await Summary.find({
+    organization_id: organizationId,
+    status: 'completed',
+    created_at: { $gte: period.start, $lt: period.end }
+  })
+    .select('room_id session_id content key_topics analysis.sentiment analysis.urgency created_at')
+    .sort({ created_at: 1 })
+    .lean();
+
+  const roomIds = [...new Set(summaries.map(summary => String(summary.room_id)))];
+  const [rooms, messageCounts] = await Promise.all([
+    Room.find({ _id: { $in: roomIds } }).select('name assignment.custom_name').lean(),
+    Message.aggregate([
+      { $match: { organization_id: organizationId, timestamp: { $gte: period.start, $lt: period.end } } },
+      { $group: { _id: '$room_id', count: { $sum: 1 } } }
+    ])
+  ]);
+  const roomsById = new Map(rooms.map(room => [String(room._id), room]));
+  const messagesByRoom = new Map(messageCounts.map(row => [String(row._id), row.count]));
+
+  const groups = roomIds.map(roomId => {
+    const roomSummaries = summaries.filter(summary => String(summary.room_id) === roomId);
+    const latest = roomSummaries[roomSummaries.length - 1];
+    const room = roomsById.get(roomId);
+    const sentiment = { positive: 0, neutral: 0, negative: 0 };
+    roomSummaries.forEach(summary => {
+      const value = summary.analysis?.sentiment;
+      if (value in sentiment) sentiment[value]++;
+    });
+    const highUrgency = roomSummaries.filter(summary => summary.analysis?.urgency === 'high').length;
+
+    return {
+      room_id: latest.room_id,
+      name: room?.assignment?.custom_name || room?.name || 'Unknown group',
+      summaries: roomSummaries.length,
+      messages: messagesByRoom.get(roomId) || 0,
+      sentiment,
+      high_urgency: highUrgency,
+      attention: [
+        ...(highUrgency > 0 ? ['high_urgency'] : []),
+        ...(sentiment.negative > 0 ? ['negative_sentiment'] : [])
+      ],
+      key_topics: top_values(roomSummaries.flatMap(summary => summary.key_topics || []), TOPICS_PER_GROUP),
+      latest_summary: {
+        summary_id: latest._id,
+        session_id: latest.session_id,
+        content: (latest.content || '').slice(0, SUMMARY_EXCERPT_LENGTH),
+        urgency: latest.analysis?.urgency || null,
+        sentiment: latest.analysis?.sentiment || null
+      }
+    };
+  });
+
+  return groups.sort((a, b) =>
+    b.attention.length - a.attention.length ||
+    b.high_urgency - a.high_urgency ||
+    b.sentiment.negative - a.sentiment.negative ||
+    b.summaries - a.summaries
+  );
+}
+
+/**
+ * Open action items of an organization at the end of a period
+ * @param {ObjectId} organizationId - Organization ID
+ * @param {Object} period - { end }
+ * @returns {Promise<Object>} { total, items } (items: Digest.action_items entries)
+ */
+async function build_action_items(organizationId, period) {
+  const filter = {
+    organization_id: organizationId,
+    status: { $in: OPEN_STATUSES },
+    created_at: { $lt: period.end }
+  };
+
+  const [total, tasks] = await Promise.all([
+    Task.countDocuments(filter),
+    Task.find(filter)
+      .populate('room_id', 'name assignment.custom_name')
+      .sort({ created_at: -1 })
+      .limit(MAX_ACTION_ITEMS)
+  ]);
+
+  const items = tasks.map(task => ({
+    task_id: task._id,
+    room_id: task.room_id?._id || task.room_id,
+    room_name: task.room_id?.assignment?.custom_name || task.room_id?.name || null,
+    title: task.title,
+    priority: task.priority,
+    assignee: task.assignee?.display_name || null,
+    due_date: task.due_date,
+    overdue: !!task.due_date && task.due_date < period.end
+  }));
+
+  // Overdue first, then by priority (sort is stable, so newest first within each)
+  items.sort((a, b) => (b.overdue - a.overdue) || (PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority]));
+
+  return { total, items };
+}
+
+/**
+ * Build (or finish building) the digest of one period
+ * Completed digests are returned unchanged unless rebuilt, so retried jobs
+ * do not rebuild them.
+ * @param {Organization} organization - Organization document
+ * @param {string} frequency - daily | weekly
+ * @param {Object} period - { key, start, end, timezone } (see get_period)
+ * @param {Object} options - { rebuild } (recount a completed digest)
+ * @returns {Promise<Digest>}
+ */
+async function build_digest(organization, frequency, period, { rebuild = false } = {}) {
+  const digest = await Digest.findOneAndUpdate(
+    { organization_id: organization._id, frequency, 'period.key': period.key },
+    { $setOnInsert: { period, status: 'building' } },
+    { upsert: true, new: true }
+  );
+  if (digest.status === 'completed' && !rebuild) {
+    return digest;
+  }
+
+  console.log(`📰 Building ${frequency} digest ${period.key} for organization ${organization._id}`);
+
+  try {
+    const groups = await build_group_entries(organization._id, period);
+    const actionItems = await build_action_items(organization._id, period);
+
+    digest.groups = groups;
+    digest.action_items = actionItems.items;
+    digest.sentiment = groups.reduce((total, group) => ({
+      positive: total.positive + group.sentiment.positive,
+      neutral: total.neutral + group.sentiment.neutral,
+      negative: total.negative + group.sentiment.negative
+    }), { positive: 0, neutral: 0, negative: 0 });
+    digest.totals = {
+      groups: groups.length,
+      summaries: groups.reduce((sum, group) => sum + group.summaries, 0),
+      messages: groups.reduce((sum, group) => sum + group.messages, 0),
+      attention_groups: groups.filter(group => group.attention.length > 0).length,
+      open_action_items: actionItems.total
+    };
+    digest.status = 'completed';
+    digest.error = null;
+    digest.completed_at = new Date();
+    await digest.save();
+  } catch (error) {
+    digest.status = 'failed';
+    digest.error = error.message;
+    await digest.save();
+    throw error;
+  }
+
+  console.log(`✅ Digest ${digest._id}: ${digest.totals.summaries} summaries in ${digest.totals.groups} groups`);
+  return digest;
+}
+
+/**
+ * Human-readable period label
+ * @param {Digest} digest - Digest
+ * @returns {string} e.g. "2026-10-18" or "2026-10-12 – 2026-10-18"
+ */
+function get_period_label(digest) {
+  return digest.frequency === 'weekly'
+    ? `${digest.period.key} – ${add_days(digest.period.key, 6)}`
+    : digest.period.key;
+}
+
+/**
+ * Dashboard link of a digest
+ * @param {Digest} digest - Digest
+ * @returns {string}
+ */
+function get_digest_url(digest) {
+  return `${config.app.frontendUrl}/dashboard/digests?id=${digest._id}`;
+}
+
+/**
+ * Why a group is highlighted, for people
+ * @param {Object} group - Digest.groups entry
+ * @returns {string}
+ */
+function describe_attention(group) {
+  return group.attention
+    .map(reason => (reason === 'high_urgency' ? `${group.high_urgency} high urgency` : `${group.sentiment.negative} negative`))
+    .join(', ');
+}
+
+/**
+ * Plain-text digest (email text part)
+ * @param {Digest} digest - Completed digest
+ * @param {Organization} organization - Organization
+ * @returns {string}
+ */
+function render_digest_text(digest, organization) {
+  const lines = [
+    `${organization.name} – ${digest.frequency} digest (${get_period_label(digest)})`,
+    '',
+    `${digest.totals.summaries} summaries in ${digest.totals.groups} groups, ${digest.totals.messages} messages, ${digest.totals.open_action_items} open action items`
+  ];
+
+  const attention = digest.groups.filter(group => group.attention.length > 0);
+  if (attention.length > 0) {
+    lines.push('', 'Needs attention:');
+    attention.forEach(group => lines.push(`- ${group.name} (${describe_attention(group)}): ${group.latest_summary.content}`));
+  }
+
+  const quiet = digest.groups.filter(group => group.attention.length === 0);
+  if (quiet.length > 0) {
+    lines.push('', 'Other groups:');
+    quiet.forEach(group => lines.push(`- ${group.name}: ${group.summaries} summaries${group.key_topics.length ? ` (${group.key_topics.join(', ')})` : ''}`));
+  }
+
+  if (digest.action_items.length > 0) {
+    lines.push('', 'Open action items:');
+    digest.action_items.forEach(item => lines.push(
+      `- ${item.overdue ? '[overdue] ' : ''}${item.title}${item.room_name ? ` (${item.room_name})` : ''}${item.assignee ? ` – ${item.assignee}` : ''}`
+    ));
+  }
+
+  lines.push('', get_digest_url(digest));
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for HTML email bodies
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escape_html(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * HTML digest (email body)
+ * @param {Digest} digest - Completed digest
+ * @param {Organization} organization - Organization
+ * @returns {string}
+ */
+function render_digest_html(digest, organization) {
+  const group_row = (group) => `<li><strong>${escape_html(group.name)}</strong>` +
+    (group.attention.length ? ` <span style="color:#b91c1c">(${escape_html(describe_attention(group))})</span>` : '') +
+    `<br><span style="color:#4b5563">${escape_html(group.latest_summary.content)}</span></li>`;
+  const item_row = (item) => `<li>${item.overdue ? '<span style="color:#b91c1c">[overdue]</span> ' : ''}${escape_html(item.title)}` +
+    `${item.room_name ? ` <span style="color:#6b7280">(${escape_html(item.room_name)})</span>` : ''}` +
+    `${item.assignee ? ` – ${escape_html(item.assignee)}` : ''}</li>`;
+
+  const attention = digest.groups.filter(group => group.attention.length > 0);
+  const quiet = digest.groups.filter(group => group.attention.length === 0);
+
+  return `<div style="font-family:sans-serif;max-width:640px">
+<h2>${escape_html(organization.name)} – ${digest.frequency} digest</h2>
+<p style="color:#6b7280">${escape_html(get_period_label(digest))}</p>
+<p>${digest.totals.summaries} summaries in ${digest.totals.groups} groups, ${digest.totals.messages} messages, ${digest.totals.open_action_items} open action items</p>
+${attention.length ? `<h3>Needs attention</h3><ul>${attention.map(group_row).join('')}</ul>` : ''}
+${quiet.length ? `<h3>Other groups</h3><ul>${quiet.map(group_row).join('')}</ul>` : ''}
+${digest.action_items.length ? `<h3>Open action items</h3><ul>${digest.action_items.map(item_row).join('')}</ul>` : ''}
+<p><a href="${escape_html(get_digest_url(digest))}">Open in dashboard</a></p>
+</div>`;
+}
+
+/**
+ * LINE Flex message of a digest (top groups and action items)
+ * @param {Digest} digest - Completed digest
+ * @param {Organization} organization - Organization
+ * @returns {Object} LINE flex message
+ */
+function build_digest_flex(digest, organization) {
+  const text = (value, options = {}) => ({ type: 'text', text: String(value), wrap: true, size: 'sm', ...options });
+  const section = (title, rows) => (rows.length ? [
+    { type: 'separator', margin: 'md' },
+    text(title, { weight: 'bold', margin: 'md' }),
+    ...rows
+  ] : []);
+
+  const groups = digest.groups.slice(0, LINE_MAX_ITEMS).map(group => text(
+    `• ${group.name}: ${group.summaries} summaries${group.attention.length ? ` ⚠️ ${describe_attention(group)}` : ''}`,
+    group.attention.length ? { color: '#b91c1c' } : {}
+  ));
+  const items = digest.action_items.slice(0, LINE_MAX_ITEMS).map(item => text(
+    `• ${item.overdue ? '⏰ ' : ''}${item.title}${item.room_name ? ` (${item.room_name})` : ''}`
+  ));
+
+  return lineService.create_flex_message(`${organization.name} ${digest.frequency} digest ${get_period_label(digest)}`, {
+    type: 'bubble',
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: [
+        text(`${organization.name} – ${digest.frequency} digest`, { weight: 'bold', size: 'md' }),
+        text(get_period_label(digest), { color: '#6b7280', size: 'xs' }),
+        text(`${digest.totals.summaries} summaries · ${digest.totals.groups} groups · ${digest.totals.attention_groups} need attention · ${digest.totals.open_action_items} open items`),
+        ...section('Groups', groups),
+        ...section('Open action items', items)
+      ]
+    },
+    footer: {
+      type: 'box',
+      layout: 'vertical',
+      contents: [{
+        type: 'button',
+        style: 'link',
+        action: { type: 'uri', label: 'Open in dashboard', uri: get_digest_url(digest) }
+      }]
+    }
+  });
+}
+
+/**
+ * Send a completed digest to subscribed members
+ * Each member/channel is recorded on digest.deliveries; recipients already
+ * sent to (retried jobs) are skipped and failures never throw.
+ * @param {Digest} digest - Completed digest
+ * @param {Organization} organization - Organization
+ * @returns {Promise<Object>} { sent, failed, skipped }
+ */
+async function deliver_digest(digest, organization) {
+  const members = await OrganizationMember.find({
+    organization_id: organization._id,
+    status: 'active',
+    $or: [{ 'digest_subscription.email': true }, { 'digest_subscription.line': true }]
+  }).populate('user_id', 'name email');
+
+  const owner = await Owner.findOne({ organization_id: organization._id, status: 'active' });
+  const deliveries = new Map(digest.deliveries.map(delivery => [`${delivery.user_id}:${delivery.channel}`, delivery.toObject()]));
+  const counts = { sent: 0, failed: 0, skipped: 0 };
+
+  const deliver = async (member, channel, send) => {
+    const key = `${member.user_id._id}:${channel}`;
+    if (deliveries.get(key)?.status === 'sent') {
+      return;
+    }
+
+    const delivery = { user_id: member.user_id._id, channel, status: 'sent', error: null, sent_at: null };
+    try {
+      const skipReason = await send();
+      if (skipReason) {
+        delivery.status = 'skipped';
+        delivery.error = skipReason;
+      } else {
+        delivery.sent_at = new Date();
+      }
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.error = error.response?.data?.message || error.message;
+      console.error(`❌ Failed to send digest ${digest._id} to ${member.user_id._id} by ${channel}:`, delivery.error);
+    }
+
+    counts[delivery.status]++;
+    deliveries.set(key, delivery);
+  };
+
+  for (const member of members) {
+    if (!member.user_id) continue;
+    const subscription = member.digest_subscription;
+
+    if (subscription.email) {
+      await deliver(member, 'email', async () => {
+        if (!is_email_configured()) return 'Email is not configured';
+        await send_email({
+          to: member.user_id.email,
+          subject: `${organization.name} ${digest.frequency} digest – ${get_period_label(digest)}`,
+          html: render_digest_html(digest, organization),
+          text: render_digest_text(digest, organization)
+        });
+        return null;
+      });
+    }
+
+    if (subscription.line) {
+      await deliver(member, 'line', async () => {
+        if (!subscription.line_user_id) return 'No LINE user ID';
+        if (!owner) return 'Organization has no connected LINE account';
+        await lineService.for_owner(owner).push_message(subscription.line_user_id, [build_digest_flex(digest, organization)]);
+        return null;
+      });
+    }
+  }
+
+  digest.deliveries = [...deliveries.values()];
+  await digest.save();
+
+  console.log(`📬 Digest ${digest._id} delivered: ${counts.sent} sent, ${counts.failed} failed, ${counts.skipped} skipped`);
+  return counts;
+}
+
+module.exports = {
+  get_local_time,
+  add_days,
+  get_local_midnight,
+  get_period,
+  get_due_period,
+  build_digest,
+  deliver_digest,
+  render_digest_text,
+  build_digest_flex
+};
@@ -0,0 +1,326 @@
+/**
+ * Document Text Extractor
+ *
+ * Reads the text of files shared in chats so summaries and search can use
+ * them. Supported formats:
+ * - PDF (pdf-parse)
+ * - Office Open XML: .docx, .pptx, .xlsx
+ * - OpenDocument: .odt, .odp, .ods
+ * - Plain text: .txt, .csv, .tsv, .md, .json, .log
+ *
+ * Office and OpenDocument files are zip archives of XML parts; they are read
+ * with Node's zlib, so only PDF needs a dependency. Legacy binary formats
+ * (.doc, .xls, .ppt) are not supported.
+ *
+ * @module services/document_text_extractor
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+
+// Zip record signatures
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+// Largest XML part inflated from an archive (guards against zip bombs)
+const MAX_ZIP_ENTRY_BYTES = 50 * 1024 * 1024;
+
+const TEXT_EXTENSIONS = ['.txt', '.csv', '.tsv', '.md', '.json', '.log'];
+
+const FORMATS_BY_EXTENSION = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.pptx': 'pptx',
+  '.xlsx': 'xlsx',
+  '.odt': 'opendocument',
+  '.odp': 'opendocument',
+  '.ods': 'opendocument',
+  ...Object.fromEntries(TEXT_EXTENSIONS.map(extension => [extension, 'text']))
+};
+
+const FORMATS_BY_CONTENT_TYPE = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.oasis.opendocument.text': 'opendocument',
+  'application/vnd.oasis.opendocument.presentation': 'opendocument',
+  'application/vnd.oasis.opendocument.spreadsheet': 'opendocument'
+};
+
+// ════════════════════════════════════════════════════════════════
+// Zip and XML helpers
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * List the entries of a zip archive (central directory)
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Map<string, Object>} name → { method, compressed_size, size, offset }
+ */
+function read_zip_entries(buffer) {
+  // The end-of-central-directory record sits in the last 64KB + 22 bytes
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('not a zip archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('corrupt zip central directory');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      compressed_size: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      offset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read one entry of a zip archive as UTF-8 text
+ * @param {Buffer} buffer - Zip archive
+ * @param {Object} entry - Entry from read_zip_entries
+ * @returns {string}
+ */
+function read_zip_entry(buffer, entry) {
+  if (buffer.readUInt32LE(entry.offset) !== ZIP_LOCAL_FILE_HEADER) {
+    throw new Error('corrupt zip entry');
+  }
+  if (entry.size > MAX_ZIP_ENTRY_BYTES) {
+    throw new Error('document part is too large');
+  }
+
+  const nameLength = buffer.readUInt16LE(entry.offset + 26);
+  const extraLength = buffer.readUInt16LE(entry.offset + 28);
+  const start = entry.offset + 30 + nameLength + extraLength;
+  const data = buffer.subarray(start, start + entry.compressed_size);
+
+  if (entry.method === 0) {
+    return data.toString('utf8');
+  }
+  if (entry.method === 8) {
+    return zlib.inflateRawSync(data, { maxOutputLength: MAX_ZIP_ENTRY_BYTES }).toString('utf8');
+  }
+  throw new Error(`unsupported zip compression method ${entry.method}`);
+}
+
+/**
+ * Decode XML character entities
+ * @param {string} text - XML text content
+ * @returns {string}
+ */
+function decode_xml_entities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity.toLowerCase()];
+    if (named) return named;
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  });
+}
+
+/**
+ * Text of XML runs, one line per paragraph
+ * @param {string} xml - XML part
+ * @param {string} runTag - Tag holding text (e.g. "w:t")
+ * @param {string} paragraphTag - Tag ending a paragraph (e.g. "w:p")
+ * @returns {string}
+ */
+function xml_paragraphs(xml, runTag, paragraphTag) {
+  const runPattern = new RegExp(`<${runTag}(?:\\s[^>]*)?>([\\s\\S]*?)</${runTag}>`, 'g');
+  const paragraphs = xml.split(`</${paragraphTag}>`).map(paragraph => {
+    const runs = [];
+    for (const [, text] of paragraph.matchAll(runPattern)) {
+      runs.push(decode_xml_entities(text));
+    }
+    return runs.join('');
+  });
+
+  return paragraphs.map(line => line.trim()).filter(Boolean).join('\n');
+}
+
+/**
+ * Archive entries matching a pattern, in natural order (slide2 before slide10)
+ * @param {Map<string, Object>} entries - Zip entries
+ * @param {RegExp} pattern - Entry name pattern
+ * @returns {Array<string>} Entry names
+ */
+function sorted_entry_names(entries, pattern) {
+  return [...entries.keys()]
+    .filter(name => pattern.test(name))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// ════════════════════════════════════════════════════════════════
+// Format readers
+// ════════════════════════════════════════════════════════════════
+
+async function extract_pdf(buffer) {
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText();
+    return result.text || '';
+  } finally {
+    await parser.destroy();
+  }
+}
+
+function extract_docx(buffer) {
+  const entries = read_zip_entries(buffer);
+  const document = entries.get('word/document.xml');
+  if (!document) {
+    throw new Error('word/document.xml not found');
+  }
+
+  const xml = read_zip_entry(buffer, document)
+    .replace(/<w:tab\/>/g, '<w:t>\t</w:t>')
+    .replace(/<w:br\/>/g, '</w:p>');
+  return xml_paragraphs(xml, 'w:t', 'w:p');
+}
+
+function extract_pptx(buffer) {
+  const entries = read_zip_entries(buffer);
+  const slides = sorted_entry_names(entries, /^ppt\/slides\/slide\d+\.xml$/);
+
+  return slides
+    .map((name, index) => {
+      const text = xml_paragraphs(read_zip_entry(buffer, entries.get(name)), 'a:t', 'a:p');
+      return text ? `[Slide ${index + 1}]\n${text}` : '';
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function extract_xlsx(buffer) {
+  const entries = read_zip_entries(buffer);
+
+  // Text cells point into the shared string table
+  const sharedStrings = [];
+  const stringsEntry = entries.get('xl/sharedStrings.xml');
+  if (stringsEntry) {
+    const xml = read_zip_entry(buffer, stringsEntry);
+    for (const [, item] of xml.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      sharedStrings.push([...item.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(([, text]) => decode_xml_entities(text)).join(''));
+    }
+  }
+
+  const sheets = sorted_entry_names(entries, /^xl\/worksheets\/sheet\d+\.xml$/);
+  return sheets
+    .map((name, index) => {
+      const xml = read_zip_entry(buffer, entries.get(name));
+      const rows = [...xml.matchAll(/<row[^>]*>([\s\S]*?)<\/row>/g)].map(([, row]) => {
+        const cells = [...row.matchAll(/<c([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)].map(([, attributes, content = '']) => {
+          const type = attributes.match(/\st="([^"]+)"/)?.[1];
+          if (type === 'inlineStr') {
+            return [...content.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(([, text]) => decode_xml_entities(text)).join('');
+          }
+          const value = content.match(/<v>([\s\S]*?)<\/v>/)?.[1] ?? '';
+          return type === 's' ? sharedStrings[parseInt(value, 10)] ?? '' : decode_xml_entities(value);
+        });
+        return cells.join('\t').trimEnd();
+      }).filter(Boolean);
+
+      return rows.length ? `[Sheet ${index + 1}]\n${rows.join('\n')}` : '';
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function extract_opendocument(buffer) {
+  const entries = read_zip_entries(buffer);
+  const content = entries.get('content.xml');
+  if (!content) {
+    throw new Error('content.xml not found');
+  }
+
+  const xml = read_zip_entry(buffer, content)
+    .replace(/<text:tab\/>/g, '\t')
+    .replace(/<text:line-break\/>/g, '\n')
+    .replace(/<\/(?:text:p|text:h|table:table-row)>/g, '\n')
+    .replace(/<\/table:table-cell>/g, '\t')
+    .replace(/<[^>]+>/g, '');
+
+  return decode_xml_entities(xml)
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+const READERS = {
+  pdf: extract_pdf,
+  docx: extract_docx,
+  pptx: extract_pptx,
+  xlsx: extract_xlsx,
+  opendocument: extract_opendocument,
+  text: buffer => buffer.toString('utf8')
+};
+
+// ════════════════════════════════════════════════════════════════
+// Public API
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Document format of a file, from its extension or content type
+ * @param {Object} file - { file_name, content_type }
+ * @returns {string|null} pdf | docx | pptx | xlsx | opendocument | text, or null when unsupported
+ */
+function detect_document_format({ file_name = null, content_type = null } = {}) {
+  const extension = file_name ? path.extname(file_name).toLowerCase() : '';
+  if (FORMATS_BY_EXTENSION[extension]) {
+    return FORMATS_BY_EXTENSION[extension];
+  }
+
+  const type = (content_type || '').split(';')[0].trim().toLowerCase();
+  if (FORMATS_BY_CONTENT_TYPE[type]) {
+    return FORMATS_BY_CONTENT_TYPE[type];
+  }
+  return type.startsWith('text/') ? 'text' : null;
+}
+
+/**
+ * Extract the text of a document
+ * @param {Buffer} buffer - File content
+ * @param {Object} file - { file_name, content_type }
+ * @returns {Promise<Object|null>} { format, text } or null when the format is unsupported
+ * @throws {Error} When a supported document cannot be read
+ */
+async function extract_document_text(buffer, file = {}) {
+  const format = detect_document_format(file);
+  if (!format) {
+    return null;
+  }
+
+  const text = await READERS[format](buffer);
+  return {
+    format,
+    text: text.replace(/\r\n?/g, '\n').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim()
+  };
+}
+
+module.exports = {
+  detect_document_format,
+  extract_document_text
+};
@@ -0,0 +1,57 @@
+/**
+ * Email Service
+ * Sends transactional email (organization digests) through an HTTP email API
+ * (Resend-compatible: POST { from, to, subject, html, text } with a bearer
+ * key). Email is disabled when EMAIL_API_URL is not set.
+ *
+ * @module services/email_service
+ */
+
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * Whether outgoing email is configured
+ * @returns {boolean}
+ */
+function is_email_configured() {
+  return !!config.email.apiUrl;
+}
+
+/**
+ * Send one email
+ * @param {Object} message - { to, subject, html, text }
+ * @returns {Promise<Object>} Provider response (message ID etc.)
+ */
+async function send_email({ to, subject, html, text }) {
+  if (!is_email_configured()) {
+    throw new Error('Email is not configured (EMAIL_API_URL)');
+  }
+
+  console.log(`📧 Sending email "${subject}" to ${to}`);
+
+  const response = await axios.post(
+    config.email.apiUrl,
+    {
+      from: config.email.from,
+      to: Array.isArray(to) ? to : [to],
+      subject,
+      html,
+      text
+    },
+    {
+      headers: {
+        ...(config.email.apiKey && { 'Authorization': `Bearer ${config.email.apiKey}` }),
+        'Content-Type': 'application/json'
+      },
+      timeout: config.email.timeoutMs
+    }
+  );
+
+  return response.data;
+}
+
+module.exports = {
+  is_email_configured,
+  send_email
+};
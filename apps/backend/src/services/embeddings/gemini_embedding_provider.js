@@ -0,0 +1,72 @@
+/**
+ * Gemini Embedding Provider
+ * Google embedding models via @google/generative-ai. Documents and queries
+ * are embedded with their retrieval task types. The API key is only
+ * required when a request is made.
+ *
+ * @module services/embeddings/gemini_embedding_provider
+ */
+
+const { GoogleGenerativeAI, TaskType } = require('@google/generative-ai');
+const config = require('../../config');
+
+class GeminiEmbeddingProvider {
+  /**
+   * @param {Object} options - { apiKey }
+   */
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.apiKey = options.apiKey || config.gemini.apiKey;
+    this.defaultModel = 'text-embedding-004';
+    this.genAI = null;
+
+    console.log(`🧮 GeminiEmbeddingProvider initialized${this.apiKey ? '' : ' (no API key)'}`);
+  }
+
+  is_configured() {
+    return !!this.apiKey;
+  }
+
+  get_client() {
+    if (!this.apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is required');
+    }
+    if (!this.genAI) {
+      this.genAI = new GoogleGenerativeAI(this.apiKey);
+    }
+    return this.genAI;
+  }
+
+  /**
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - { model, task: 'document' | 'query' }
+   * @returns {Promise<Object>} { vectors, model, tokens_used }
+   */
+  async embed(texts, options = {}) {
+    const model = options.model || this.defaultModel;
+    const taskType = options.task === 'query' ? TaskType.RETRIEVAL_QUERY : TaskType.RETRIEVAL_DOCUMENT;
+
+    try {
+      const result = await this.get_client()
+        .getGenerativeModel({ model })
+        .batchEmbedContents({
+          requests: texts.map(text => ({
+            content: { role: 'user', parts: [{ text }] },
+            taskType
+          }))
+        });
+
+      return {
+        vectors: result.embeddings.map(embedding => embedding.values),
+        model,
+        // The embedding API does not report token usage
+        tokens_used: 0
+      };
+    } catch (error) {
+      console.error('❌ Gemini embedding error:', error.message);
+      throw new Error(`Gemini embedding error: ${error.message}`);
+    }
+  }
+}
+
+module.exports = GeminiEmbeddingProvider;
@@ -0,0 +1,72 @@
+/**
+ * Embedding Provider Registry
+ *
+ * Selects the provider that turns messages, summaries and search queries
+ * into vectors for semantic search (EMBEDDING_PROVIDER). Vectors from
+ * different models cannot be compared, so each stored vector records its
+ * provider and model and searches only score vectors of the active model.
+ *
+ * Providers:
+ * - local:  Offline hashed word/character n-gram vectors (no key, no network).
+ *           Finds rewordings that share words or word fragments; it does not
+ *           understand meaning or match across languages.
+ * - openai: Any OpenAI-compatible /embeddings server (EMBEDDING_BASE_URL, EMBEDDING_API_KEY)
+ * - gemini: Google Gemini embedding models (GEMINI_API_KEY)
+ *
+ * Every provider implements:
+ *   embed(texts, { model, task }) → { vectors, model, tokens_used }
+ *   where task = 'document' (indexed content) | 'query' (search text)
+ *
+ * @module services/embeddings
+ */
+
+const config = require('../../config');
+const LocalEmbeddingProvider = require('./local_embedding_provider');
+const OpenAIEmbeddingProvider = require('./openai_embedding_provider');
+const GeminiEmbeddingProvider = require('./gemini_embedding_provider');
+
+const PROVIDER_CLASSES = {
+  local: LocalEmbeddingProvider,
+  openai: OpenAIEmbeddingProvider,
+  gemini: GeminiEmbeddingProvider
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDER_CLASSES);
+
+// Provider singletons, created on first use
+const instances = new Map();
+
+/**
+ * Get an embedding provider by name
+ * @param {string} name - Provider name (defaults to EMBEDDING_PROVIDER)
+ * @returns {Object} Provider with embed()
+ */
+function get_embedding_provider(name = config.embeddings.provider) {
+  const ProviderClass = PROVIDER_CLASSES[name];
+  if (!ProviderClass) {
+    throw new Error(`Unknown embedding provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, new ProviderClass());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Active provider and model (EMBEDDING_PROVIDER / EMBEDDING_MODEL)
+ * @returns {Object} { provider, model }
+ */
+function get_active_embedding_model() {
+  const provider = get_embedding_provider();
+  return {
+    provider,
+    model: config.embeddings.model || provider.defaultModel
+  };
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  get_embedding_provider,
+  get_active_embedding_model
+};
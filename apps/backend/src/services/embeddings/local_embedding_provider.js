@@ -0,0 +1,86 @@
+/**
+ * Local Embedding Provider
+ * Offline feature hashing: each text becomes a fixed-size vector of hashed
+ * words and character trigrams (trigrams cover Thai, which has no spaces
+ * between words). Similar wording scores high; synonyms and translations do
+ * not. Deterministic, no network, no key.
+ *
+ * @module services/embeddings/local_embedding_provider
+ */
+
+// Vector size
+const DIMENSIONS = 512;
+
+// Whole words weigh more than the trigrams they contain
+const WORD_WEIGHT = 2;
+const TRIGRAM_WEIGHT = 1;
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Feature
+ * @returns {number} Unsigned hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+class LocalEmbeddingProvider {
+  constructor() {
+    this.name = 'local';
+    this.defaultModel = 'local-hash-512';
+    this.dimensions = DIMENSIONS;
+
+    console.log('🧮 LocalEmbeddingProvider initialized (offline hashing)');
+  }
+
+  is_configured() {
+    return true;
+  }
+
+  /**
+   * Hashed feature vector of one text (L2-normalized; all zeros for empty text)
+   * @param {string} text - Text to embed
+   * @returns {Array<number>}
+   */
+  embed_text(text) {
+    const vector = new Array(DIMENSIONS).fill(0);
+    const words = text.normalize('NFKC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+
+    const add = (feature, weight) => {
+      const hash = fnv1a(feature);
+      // The top bit picks the sign so collisions cancel out instead of piling up
+      vector[hash % DIMENSIONS] += hash & 0x80000000 ? -weight : weight;
+    };
+
+    for (const word of words) {
+      add(`w:${word}`, WORD_WEIGHT);
+      const padded = ` ${word} `;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  /**
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - { model, task } (same vectors for documents and queries)
+   * @returns {Promise<Object>} { vectors, model, tokens_used }
+   */
+  async embed(texts, options = {}) {
+    return {
+      vectors: texts.map(text => this.embed_text(text)),
+      model: options.model || this.defaultModel,
+      tokens_used: 0
+    };
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
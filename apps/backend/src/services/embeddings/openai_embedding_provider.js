@@ -0,0 +1,77 @@
+/**
+ * OpenAI-Compatible Embedding Provider
+ * Talks to any server implementing the OpenAI /embeddings API (OpenAI,
+ * Ollama, LocalAI, vLLM, ...).
+ *
+ * @module services/embeddings/openai_embedding_provider
+ */
+
+const axios = require('axios');
+const config = require('../../config');
+
+class OpenAIEmbeddingProvider {
+  /**
+   * @param {Object} options - { apiKey, baseUrl, timeoutMs }
+   */
+  constructor(options = {}) {
+    const settings = { ...config.embeddings.openai, ...options };
+
+    this.name = 'openai';
+    this.apiKey = settings.apiKey;
+    this.baseUrl = (settings.baseUrl || '').replace(/\/+$/, '');
+    this.defaultModel = 'text-embedding-3-small';
+    this.timeoutMs = settings.timeoutMs;
+
+    console.log(`🧮 OpenAIEmbeddingProvider initialized at ${this.baseUrl}`);
+  }
+
+  /**
+   * Self-hosted servers usually need no key, so only the URL is required
+   */
+  is_configured() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - { model, task } (the API has no task types)
+   * @returns {Promise<Object>} { vectors, model, tokens_used }
+   */
+  async embed(texts, options = {}) {
+    const model = options.model || this.defaultModel;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/embeddings`, {
+        model,
+        input: texts
+      }, {
+        headers,
+        timeout: this.timeoutMs
+      });
+
+      // Results carry their input index; do not rely on response order
+      const data = [...(response.data?.data || [])].sort((a, b) => a.index - b.index);
+      if (data.length !== texts.length) {
+        throw new Error(`expected ${texts.length} embeddings, got ${data.length}`);
+      }
+
+      return {
+        vectors: data.map(item => item.embedding),
+        model,
+        tokens_used: response.data?.usage?.total_tokens || 0
+      };
+    } catch (error) {
+      const status = error.response?.status;
+      const detail = error.response?.data?.error?.message || error.message;
+      console.error('❌ Embedding API error:', detail);
+      throw new Error(`Embedding API error${status ? ` (${status})` : ''}: ${detail}`);
+    }
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
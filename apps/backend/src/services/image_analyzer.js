@@ -0,0 +1,230 @@
+/**
+ * Image Analyzer
+ *
+ * Captions chat images and reads their text (OCR) with the organization's
+ * LLM provider (see BaseLLMProvider.describe_image). The result is stored on
+ * the Message (image_analysis) so it can be searched and so summary prompts
+ * show the caption instead of an "Image uploaded" placeholder.
+ *
+ * Images are analyzed at ingestion by the `image:analyze` job; when a session
+ * is summarized before that job ran (or after it failed) the remaining images
+ * are analyzed inline, up to IMAGE_ANALYSIS_MAX_PER_SESSION.
+ *
+ * @module services/image_analyzer
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config');
+const { Message, Room, Organization } = require('../models');
+const { resolve_summary_language } = require('./summary_language');
+
+// Captions used as image_insights when the summary model returns none
+const MAX_FALLBACK_INSIGHTS = 10;
+
+// Text read from an image is quoted in fallback insights up to this length
+const INSIGHT_TEXT_MAX_LENGTH = 200;
+
+// Analysis states that still need a model call
+const UNANALYZED_STATUSES = ['pending', 'failed', null, undefined];
+
+/**
+ * Whether images of an organization should be analyzed
+ * @param {Organization|null} organization - Organization (settings used)
+ * @returns {boolean}
+ */
+function is_image_analysis_enabled(organization) {
+  return config.llm.images.enabled && organization?.settings?.image_analysis !== false;
+}
+
+/**
+ * Read an image from the GridFS "images" bucket
+ * @param {ObjectId|string} gridFsId - GridFS file ID
+ * @returns {Promise<Object|null>} { data, mime_type, size, dimensions } or null when missing
+ * @throws {Error} When the image exceeds IMAGE_ANALYSIS_MAX_BYTES
+ */
+async function load_image(gridFsId) {
+  const bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: 'images'
+  });
+  const id = new mongoose.Types.ObjectId(String(gridFsId));
+
+  const [file] = await bucket.find({ _id: id }).toArray();
+  if (!file) {
+    return null;
+  }
+  if (file.length > config.llm.images.maxBytes) {
+    throw new Error(`image is ${file.length} bytes (limit ${config.llm.images.maxBytes})`);
+  }
+
+  const chunks = [];
+  for await (const chunk of bucket.openDownloadStream(id)) {
+    chunks.push(chunk);
+  }
+
+  return {
+    data: Buffer.concat(chunks),
+    mime_type: file.metadata?.contentType || 'image/jpeg',
+    size: file.length,
+    dimensions: file.metadata?.optimized_dimensions || file.metadata?.original_dimensions || null
+  };
+}
+
+/**
+ * Store an analysis result on the message (document and database)
+ * @param {Message} message - Message document
+ * @param {Object} analysis - image_analysis fields
+ * @returns {Promise<Object>} The stored analysis
+ */
+async function save_analysis(message, analysis) {
+  message.image_analysis = analysis;
+  await Message.updateOne({ _id: message._id }, { $set: { image_analysis: analysis } });
+  return analysis;
+}
+
+/**
+ * Caption and OCR one image message
+ * Disabled organizations, missing images and providers without vision
+ * support are recorded as 'skipped'. Model errors are recorded as 'failed'
+ * and rethrown so the job queue can retry.
+ * @param {Message} message - Image message document
+ * @param {Object} sources - Already-loaded { organization, room } (loaded when omitted)
+ * @returns {Promise<Object|null>} image_analysis, or null for non-image messages
+ */
+async function analyze_message_image(message, { organization, room } = {}) {
+  if (message.message_type !== 'image') {
+    return null;
+  }
+  if (message.image_analysis?.status === 'completed') {
+    return message.image_analysis;
+  }
+
+  const skip = (reason) => {
+    console.log(`⏭️ Skipping image analysis for message ${message._id}: ${reason}`);
+    return save_analysis(message, { status: 'skipped', error: reason, analyzed_at: new Date() });
+  };
+
+  if (organization === undefined) {
+    organization = message.organization_id
+      ? await Organization.findById(message.organization_id).select('settings')
+      : null;
+  }
+  if (!is_image_analysis_enabled(organization)) {
+    return skip('image analysis is disabled');
+  }
+  if (!message.image_grid_fs_id) {
+    return skip('image was not saved');
+  }
+
+  const llm = require('./llm');
+  const { provider, model } = llm.get_provider_for_organization(organization);
+  if (!provider.supports_images()) {
+    return skip(`${provider.name} provider does not support images`);
+  }
+
+  let image;
+  try {
+    image = await load_image(message.image_grid_fs_id);
+  } catch (error) {
+    return skip(error.message);
+  }
+  if (!image) {
+    return skip('image not found');
+  }
+
+  if (room === undefined) {
+    room = await Room.findById(message.room_id).select('settings');
+  }
+  const { language } = resolve_summary_language({ room, organization });
+
+  try {
+    const result = await provider.describe_image(image, { model, language, organization_id: message.organization_id || organization?._id });
+    console.log(`🖼️ Image message ${message._id} analyzed: ${result.image_type}, ${result.text.length} characters of text`);
+
+    return save_analysis(message, {
+      status: 'completed',
+      ...result,
+      error: null,
+      analyzed_at: new Date()
+    });
+  } catch (error) {
+    await save_analysis(message, {
+      status: 'failed',
+      provider: provider.name,
+      model,
+      error: error.message,
+      analyzed_at: new Date()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Analyze the session's images that are still unanalyzed (summary time)
+ * Updates the given message documents in place; one image failing does not
+ * stop the others.
+ * @param {ChatSession} session - Session being summarized
+ * @param {Array<Message>} messages - Session messages (loaded documents)
+ * @returns {Promise<number>} Number of images analyzed
+ */
+async function analyze_session_images(session, messages) {
+  const pending = messages.filter(msg =>
+    msg._id &&
+    msg.message_type === 'image' &&
+    msg.image_grid_fs_id &&
+    UNANALYZED_STATUSES.includes(msg.image_analysis?.status)
+  );
+  if (pending.length === 0) {
+    return 0;
+  }
+
+  const organization = session.organization_id
+    ? await Organization.findById(session.organization_id).select('settings')
+    : null;
+  if (!is_image_analysis_enabled(organization)) {
+    return 0;
+  }
+
+  const room = await Room.findById(session.room_id).select('settings');
+  const batch = pending.slice(0, config.llm.images.maxPerSession);
+  if (batch.length < pending.length) {
+    console.warn(`⚠️ Session ${session.session_id} has ${pending.length} unanalyzed images; analyzing the first ${batch.length}`);
+  }
+
+  let analyzed = 0;
+  for (const message of batch) {
+    try {
+      const analysis = await analyze_message_image(message, { organization, room });
+      if (analysis?.status === 'completed') analyzed++;
+    } catch (error) {
+      console.error(`❌ Image analysis failed for message ${message._id}:`, error.message);
+    }
+  }
+
+  console.log(`🖼️ Analyzed ${analyzed}/${batch.length} images for session ${session.session_id}`);
+  return analyzed;
+}
+
+/**
+ * Image insights from message captions (fallback when the summary model returns none)
+ * @param {Array<Object>} messages - Session messages
+ * @returns {Array<string>}
+ */
+function build_image_insights(messages) {
+  const insights = messages
+    .filter(msg => msg.message_type === 'image' && msg.image_analysis?.status === 'completed')
+    .map(msg => {
+      const { caption, text } = msg.image_analysis;
+      const quoted = text ? ` — "${text.replace(/\s+/g, ' ').slice(0, INSIGHT_TEXT_MAX_LENGTH)}"` : '';
+      return `${caption}${quoted}`;
+    });
+
+  return [...new Set(insights)].slice(0, MAX_FALLBACK_INSIGHTS);
+}
+
+module.exports = {
+  is_image_analysis_enabled,
+  load_image,
+  analyze_message_image,
+  analyze_session_images,
+  build_image_insights
+};
@@ -0,0 +1,199 @@
+/**
+ * Job Queue Service
+ *
+ * MongoDB-backed durable job queue. Producers enqueue jobs (e.g. summary
+ * generation) and return immediately; workers poll the `jobs` collection,
+ * claim jobs atomically and run the registered handler. Failed jobs are
+ * retried with exponential backoff and dead-lettered after max_attempts.
+ *
+ * Workers run inside the API process by default (see server.js) or as a
+ * dedicated process via `node src/worker.js`.
+ *
+ * @module services/job_queue
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const { nanoid } = require('nanoid');
+const { Job } = require('../models');
+const config = require('../config');
+
+/**
+ * Job types handled by the built-in workers
+ */
+const JOB_TYPES = {
+  SUMMARY_GENERATE: 'summary:generate',
+  IMAGE_ANALYZE: 'image:analyze',
+  MEDIA_PROCESS: 'media:process',
+  EMBEDDINGS_INDEX: 'embeddings:index',
+  DIGEST_BUILD: 'digest:build',
+  SUMMARY_DELIVER: 'summary:deliver',
+  ALERT_NOTIFY: 'alert:notify'
+};
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${nanoid(6)}`;
+    this.concurrency = config.jobs.concurrency;
+    this.pollIntervalMs = config.jobs.pollIntervalMs;
+    this.isRunning = false;
+    this.isPolling = false;
+    this.activeJobs = 0;
+    this.pollTimer = null;
+
+    console.log(`📬 JobQueue initialized (worker: ${this.workerId})`);
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job) => result
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+    console.log(`🧩 Registered job handler: ${type}`);
+  }
+
+  /**
+   * Enqueue a job
+   * @param {string} type - Job type
+   * @param {Object} payload - Handler input
+   * @param {Object} options - { organization_id, created_by, max_attempts, run_at, unique_key }
+   * @returns {Promise<Job>} Queued job
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const job = await Job.enqueue(type, payload, {
+      max_attempts: config.jobs.maxAttempts,
+      ...options
+    });
+
+    // Pick it up right away if this process is running workers
+    if (this.isRunning) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Start polling for jobs
+   * @param {Object} options - { concurrency, pollIntervalMs }
+   */
+  start(options = {}) {
+    if (this.isRunning) return;
+
+    this.concurrency = options.concurrency || this.concurrency;
+    this.pollIntervalMs = options.pollIntervalMs || this.pollIntervalMs;
+    this.isRunning = true;
+
+    console.log(`👷 Job worker started: ${this.workerId} (concurrency: ${this.concurrency}, poll: ${this.pollIntervalMs}ms)`);
+    console.log(`   Handling: ${Array.from(this.handlers.keys()).join(', ') || 'none'}`);
+
+    this.schedule_poll(0);
+  }
+
+  /**
+   * Stop polling and wait for in-flight jobs to finish
+   * Jobs still running after timeoutMs keep their lock and are re-claimed
+   * by another worker once the lock goes stale.
+   * @param {number} timeoutMs - Maximum time to wait for in-flight jobs
+   * @returns {Promise<void>}
+   */
+  async stop(timeoutMs = 8000) {
+    if (!this.isRunning) return;
+
+    console.log(`🛑 Stopping job worker ${this.workerId} (${this.activeJobs} in flight)`);
+    this.isRunning = false;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+
+    const deadline = Date.now() + timeoutMs;
+    while (this.activeJobs > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    if (this.activeJobs > 0) {
+      console.warn(`⚠️ Job worker stopped with ${this.activeJobs} job(s) still running`);
+    } else {
+      console.log('✅ Job worker stopped');
+    }
+  }
+
+  /**
+   * Schedule the next poll
+   * @param {number} delayMs - Delay before polling
+   */
+  schedule_poll(delayMs = this.pollIntervalMs) {
+    if (!this.isRunning) return;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.poll(), delayMs);
+  }
+
+  /**
+   * Claim jobs until concurrency is saturated or the queue is empty
+   */
+  async poll() {
+    if (!this.isRunning || this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      // Wait for the database instead of buffering queries while disconnected
+      if (mongoose.connection.readyState !== 1) return;
+
+      const types = Array.from(this.handlers.keys());
+      while (this.isRunning && this.activeJobs < this.concurrency) {
+        const job = await Job.claim_next(this.workerId, types, config.jobs.lockTimeoutMs);
+        if (!job) break;
+
+        this.activeJobs++;
+        this.run_job(job).finally(() => {
+          this.activeJobs--;
+          this.schedule_poll(0);
+        });
+      }
+    } catch (error) {
+      console.error('❌ Job poll error:', error.message);
+    } finally {
+      this.isPolling = false;
+      this.schedule_poll();
+    }
+  }
+
+  /**
+   * Run a claimed job through its handler and record the outcome
+   * @param {Job} job - Claimed job
+   * @returns {Promise<void>}
+   */
+  async run_job(job) {
+    const handler = this.handlers.get(job.type);
+    console.log(`⚙️ Running job ${job._id} (${job.type}) attempt ${job.attempts}/${job.max_attempts}`);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+
+      const result = await handler(job);
+      const completed = await job.mark_completed(this.workerId, result);
+      if (!completed) {
+        console.warn(`⚠️ Job ${job._id} (${job.type}) lost its lock before completing; result discarded`);
+      }
+    } catch (error) {
+      console.error(`❌ Job ${job._id} (${job.type}) failed:`, error.message);
+      try {
+        const failed = await job.mark_failed(this.workerId, error, config.jobs.retryBaseDelayMs);
+        if (!failed) {
+          console.warn(`⚠️ Job ${job._id} (${job.type}) lost its lock; failure not recorded`);
+        }
+      } catch (saveError) {
+        console.error(`❌ Could not record failure for job ${job._id}:`, saveError.message);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new JobQueue();
+module.exports.JobQueue = JobQueue;
+module.exports.JOB_TYPES = JOB_TYPES;
@@ -0,0 +1,280 @@
+/**
+ * LINE Contacts
+ * Keeps the LineContact directory up to date from incoming messages: every
+ * sender is recorded with the chats they write in (and members joining or
+ * leaving with memberJoined/memberLeft events), and their profile is
+ * fetched from the LINE API (group/room member profile, or the user profile
+ * for direct messages) only when the cached one is older than
+ * LINE_PROFILE_CACHE_HOURS. Messages stored without a name are filled in from
+ * the directory when they are read. Contacts linked to an organization member
+ * count as staff in the group (see is_staff_line_user).
+ *
+ * @module services/line_contacts
+ */
+
+const { LineContact, Owner, OrganizationMember } = require('../models');
+const lineService = require('./line_service');
+
+/**
+ * Fetch a LINE profile through the chat the user was seen in
+ * Group and room member profiles work for users who never added the OA as a friend.
+ * @param {Owner} owner - Channel owner (null = default channel)
+ * @param {string} lineRoomId - Group (C...), room (R...) or user (U...) ID
+ * @param {string} lineUserId - LINE user ID
+ * @returns {Promise<Object>} { displayName, pictureUrl, statusMessage? }
+ */
+async function fetch_line_profile(owner, lineRoomId, lineUserId) {
+  const client = lineService.for_owner(owner);
+
+  if (lineRoomId?.startsWith('C')) {
+    return client.get_group_member_profile(lineRoomId, lineUserId);
+  }
+  if (lineRoomId?.startsWith('R')) {
+    return client.get_room_member_profile(lineRoomId, lineUserId);
+  }
+  return client.get_user_profile(lineUserId);
+}
+
+/**
+ * Fetch a contact's profile and store it
+ * A failed lookup keeps the last known name and is retried sooner than the cache TTL.
+ * @param {LineContact} contact - Contact
+ * @param {Owner} owner - Channel owner
+ * @param {string} lineRoomId - Chat the contact was seen in
+ * @returns {Promise<LineContact>}
+ */
+async function refresh_contact_profile(contact, owner, lineRoomId) {
+  try {
+    const profile = await fetch_line_profile(owner, lineRoomId, contact.line_user_id);
+    contact.display_name = profile.displayName || contact.display_name;
+    contact.picture_url = profile.pictureUrl || null;
+    if (profile.statusMessage !== undefined) {
+      contact.status_message = profile.statusMessage || null;
+    }
+    contact.profile_status = 'ok';
+    contact.profile_error = null;
+  } catch (error) {
+    contact.profile_status = 'unavailable';
+    contact.profile_error = error.response?.data?.message || error.message;
+  }
+
+  contact.profile_fetched_at = new Date();
+  await contact.save();
+  return contact;
+}
+
+/**
+ * Find or create the contact of an organization
+ * @param {ObjectId|null} organizationId - Organization ID
+ * @param {string} lineUserId - LINE user ID
+ * @param {Object} update - Update applied to the contact
+ * @returns {Promise<LineContact>}
+ */
+async function upsert_contact(organizationId, lineUserId, update) {
+  const filter = { organization_id: organizationId, line_user_id: lineUserId };
+
+  try {
+    return await LineContact.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two messages of a new contact arrived together: the other one created it
+    if (error.code === 11000) {
+      return LineContact.findOneAndUpdate(filter, update, { new: true });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a contact's entry for a room, adding the entry when missing
+ * @param {ObjectId} contactId - Contact ID
+ * @param {Room} room - Room
+ * @param {Object} fields - Entry fields to set (last_seen_at, joined_at, left_at)
+ * @param {Object} newEntry - Extra fields of a new entry
+ * @param {number} messages - Messages to add to the entry's count
+ * @returns {Promise<void>}
+ */
+async function upsert_contact_group(contactId, room, fields, newEntry = {}, messages = 0) {
+  const roomName = room.assignment?.custom_name || room.name;
+  const set = { 'groups.$.room_name': roomName };
+  Object.entries(fields).forEach(([key, value]) => {
+    set[`groups.$.${key}`] = value;
+  });
+
+  const updated = await LineContact.updateOne({ _id: contactId, 'groups.room_id': room._id }, {
+    $set: set,
+    ...(messages && { $inc: { 'groups.$.message_count': messages } })
+  });
+  if (updated.matchedCount === 0) {
+    await LineContact.updateOne({ _id: contactId, 'groups.room_id': { $ne: room._id } }, {
+      $push: {
+        groups: {
+          room_id: room._id,
+          line_room_id: room.line_room_id,
+          room_name: roomName,
+          message_count: messages,
+          ...newEntry,
+          ...fields
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Record a message sender in the directory and return their contact
+ * Fetches the profile when it is missing or stale. Never throws: a sender
+ * that cannot be recorded only means the message is stored without a name.
+ * @param {Object} params
+ * @param {ObjectId|null} params.organization_id - Organization of the room
+ * @param {Owner} params.owner - Channel owner that received the message
+ * @param {Room} params.room - Room the message was sent in
+ * @param {string} params.line_user_id - Sender's LINE user ID
+ * @param {Date} params.timestamp - Message time
+ * @returns {Promise<LineContact|null>}
+ */
+async function record_message_sender({ organization_id, owner, room, line_user_id, timestamp = new Date() }) {
+  if (!line_user_id) return null;
+
+  try {
+    const contact = await upsert_contact(organization_id || null, line_user_id, {
+      $setOnInsert: { first_seen_at: timestamp },
+      $set: { last_seen_at: timestamp, owner_id: owner?._id || null },
+      $inc: { message_count: 1 }
+    });
+
+    await upsert_contact_group(contact._id, room, { last_seen_at: timestamp }, { first_seen_at: timestamp }, 1);
+
+    if (contact.is_profile_stale()) {
+      console.log(`👤 Refreshing LINE profile of ${line_user_id}`);
+      await refresh_contact_profile(contact, owner, room.line_room_id);
+    }
+
+    return contact;
+  } catch (error) {
+    console.error(`❌ Failed to record LINE contact ${line_user_id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Record members joining or leaving a chat (memberJoined / memberLeft events)
+ * Joining members are added to the directory and their profile fetched when
+ * stale; members who leave keep their entry with left_at set (unknown users
+ * are skipped, their profile can no longer be fetched). Never throws.
+ * @param {Object} params
+ * @param {ObjectId|null} params.organization_id - Organization of the room
+ * @param {Owner} params.owner - Channel owner that received the event
+ * @param {Room} params.room - Room the members joined or left
+ * @param {Array<string>} params.line_user_ids - LINE user IDs
+ * @param {boolean} params.joined - true = joined, false = left
+ * @param {Date} params.timestamp - Event time
+ * @returns {Promise<number>} Contacts updated
+ */
+async function record_member_change({ organization_id, owner, room, line_user_ids, joined, timestamp = new Date() }) {
+  let updated = 0;
+
+  for (const lineUserId of line_user_ids) {
+    try {
+      if (joined) {
+        const contact = await upsert_contact(organization_id || null, lineUserId, {
+          $setOnInsert: { first_seen_at: timestamp, last_seen_at: timestamp },
+          $set: { owner_id: owner?._id || null }
+        });
+        await upsert_contact_group(contact._id, room, { joined_at: timestamp, left_at: null }, {
+          first_seen_at: timestamp,
+          last_seen_at: timestamp
+        });
+        if (contact.is_profile_stale()) {
+          await refresh_contact_profile(contact, owner, room.line_room_id);
+        }
+      } else {
+        const contact = await LineContact.findOne({ organization_id: organization_id || null, line_user_id: lineUserId }).select('_id');
+        if (!contact) continue;
+        await upsert_contact_group(contact._id, room, { left_at: timestamp }, {
+          first_seen_at: timestamp,
+          last_seen_at: timestamp
+        });
+      }
+      updated++;
+    } catch (error) {
+      console.error(`❌ Failed to record ${joined ? 'join' : 'leave'} of LINE contact ${lineUserId}:`, error.message);
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Refresh a contact's profile now, through the chat they were last seen in
+ * @param {LineContact} contact - Contact
+ * @returns {Promise<LineContact>}
+ */
+async function refresh_contact(contact) {
+  const lastGroup = [...(contact.groups || [])]
+    .sort((a, b) => b.last_seen_at - a.last_seen_at)[0];
+  const owner = contact.owner_id ? await Owner.findById(contact.owner_id) : null;
+
+  return refresh_contact_profile(contact, owner, lastGroup?.line_room_id || contact.line_user_id);
+}
+
+/**
+ * Fill in sender names and pictures of messages stored without them
+ * Works on documents and plain objects; nothing is saved.
+ * @param {Array<Object>} messages - Messages with line_user_id / user_name
+ * @param {ObjectId|null} organizationId - Organization of the messages
+ * @returns {Promise<Array<Object>>} The same messages
+ */
+async function apply_contact_names(messages, organizationId) {
+  const lineUserIds = [...new Set(messages
+    .filter(msg => msg.line_user_id && !msg.user_name)
+    .map(msg => msg.line_user_id))];
+  if (lineUserIds.length === 0) return messages;
+
+  const contacts = await LineContact.find({
+    organization_id: organizationId || null,
+    line_user_id: { $in: lineUserIds },
+    display_name: { $ne: null }
+  }).select('line_user_id display_name picture_url');
+  const byUserId = new Map(contacts.map(contact => [contact.line_user_id, contact]));
+
+  messages.forEach(msg => {
+    const contact = !msg.user_name && byUserId.get(msg.line_user_id);
+    if (contact) {
+      msg.user_name = contact.display_name;
+      msg.user_profile_url = msg.user_profile_url || contact.picture_url;
+    }
+  });
+
+  return messages;
+}
+
+/**
+ * Whether a LINE user is linked to an active member of the organization
+ * @param {ObjectId} organizationId - Organization of the chat
+ * @param {string} lineUserId - LINE user ID of the sender
+ * @returns {Promise<boolean>}
+ */
+async function is_staff_line_user(organizationId, lineUserId) {
+  if (!organizationId || !lineUserId) return false;
+
+  const contact = await LineContact.findOne({
+    organization_id: organizationId,
+    line_user_id: lineUserId,
+    member_user_id: { $ne: null }
+  }).select('member_user_id');
+  if (!contact) return false;
+
+  return !!await OrganizationMember.exists({
+    organization_id: organizationId,
+    user_id: contact.member_user_id,
+    status: 'active'
+  });
+}
+
+module.exports = {
+  is_staff_line_user,
+  record_message_sender,
+  record_member_change,
+  refresh_contact,
+  apply_contact_names
+};
@@ -10,29 +10,64 @@ const mongoose = require('mongoose');
 const ImageOptimizer = require('./image_optimizer');
 
 class LineService {
-  constructor() {
-    this.channelSecret = config.line.channelSecret;
-    this.channelAccessToken = config.line.channelAccessToken;
+  /**
+   * @param {Object} credentials - Optional channel credentials (defaults to env config)
+   * @param {string} credentials.channelSecret - LINE channel secret
+   * @param {string} credentials.channelAccessToken - LINE channel access token
+   */
+  constructor(credentials = {}) {
+    this.channelSecret = credentials.channelSecret || config.line.channelSecret;
+    this.channelAccessToken = credentials.channelAccessToken || config.line.channelAccessToken;
     this.lineApiUrl = 'https://api.line.me/v2/bot';
-    
+    this.ownerClients = new Map(); // ownerId -> LineService
+
     console.log('🤖 LineService initialized');
   }
 
+  /**
+   * Get a LineService bound to an owner's (LINE OA) channel credentials
+   * Falls back to the default env-configured client when no owner is given
+   * @param {Object} owner - Owner document
+   * @returns {LineService} - Channel-scoped LineService
+   */
+  for_owner(owner) {
+    if (!owner || !owner.line_access_token) {
+      return this;
+    }
+
+    const cacheKey = owner._id.toString();
+    const cached = this.ownerClients.get(cacheKey);
+
+    // Rebuild the client if the owner's token was rotated
+    if (cached && cached.channelAccessToken === owner.line_access_token) {
+      return cached;
+    }
+
+    const client = new LineService({
+      channelSecret: owner.line_channel_secret,
+      channelAccessToken: owner.line_access_token
+    });
+    this.ownerClients.set(cacheKey, client);
+
+    return client;
+  }
+
   /**
    * Validates LINE webhook signature
    * @param {string} body - Raw request body
    * @param {string} signature - X-Line-Signature header value
+   * @param {string} channelSecret - Channel secret to validate against (defaults to this client's secret)
    * @returns {boolean} - True if signature is valid
    */
-  validate_signature(body, signature) {
+  validate_signature(body, signature, channelSecret = this.channelSecret) {
     try {
-      if (!signature || !this.channelSecret) {
+      if (!signature || !channelSecret) {
         console.error('❌ Missing signature or channel secret');
         return false;
       }
 
       const hash = crypto
-        .createHmac('sha256', this.channelSecret)
+        .createHmac('sha256', channelSecret)
         .update(body, 'utf8')
         .digest('base64');
 
@@ -168,6 +203,86 @@ class LineService {
     }
   }
 
+  /**
+   * Gets the profile of a group member (works without the user adding the OA as a friend)
+   * @param {string} groupId - LINE group ID
+   * @param {string} userId - LINE user ID
+   * @returns {Promise<Object>} - { displayName, userId, pictureUrl }
+   */
+  async get_group_member_profile(groupId, userId) {
+    try {
+      console.log(`👤 Getting LINE group member profile: ${userId} in ${groupId}`);
+
+      const response = await axios.get(
+        `${this.lineApiUrl}/group/${groupId}/member/${userId}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.channelAccessToken}`
+          }
+        }
+      );
+
+      console.log('✅ LINE group member profile retrieved successfully');
+      return response.data;
+    } catch (error) {
+      console.error('❌ LINE group member profile error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the profile of a multi-person chat member
+   * @param {string} roomId - LINE room ID
+   * @param {string} userId - LINE user ID
+   * @returns {Promise<Object>} - { displayName, userId, pictureUrl }
+   */
+  async get_room_member_profile(roomId, userId) {
+    try {
+      console.log(`👤 Getting LINE room member profile: ${userId} in ${roomId}`);
+
+      const response = await axios.get(
+        `${this.lineApiUrl}/room/${roomId}/member/${userId}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.channelAccessToken}`
+          }
+        }
+      );
+
+      console.log('✅ LINE room member profile retrieved successfully');
+      return response.data;
+    } catch (error) {
+      console.error('❌ LINE room member profile error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the number of members of a group or multi-person chat
+   * @param {string} chatId - LINE group ID (C...) or room ID (R...)
+   * @returns {Promise<number>} - Member count (excluding the bot)
+   */
+  async get_member_count(chatId) {
+    try {
+      const path = chatId.startsWith('R') ? 'room' : 'group';
+      console.log(`👥 Getting LINE ${path} member count: ${chatId}`);
+
+      const response = await axios.get(
+        `${this.lineApiUrl}/${path}/${chatId}/members/count`,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.channelAccessToken}`
+          }
+        }
+      );
+
+      return response.data.count;
+    } catch (error) {
+      console.error('❌ LINE member count error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   /**
    * Gets LINE group summary information including group name
    * @param {string} groupId - LINE group ID
@@ -266,6 +381,82 @@ class LineService {
     };
   }
 
+  /**
+   * Download audio, video or file content from LINE servers and save it to the
+   * GridFS "media" bucket (no optimization; the original bytes are kept).
+   *
+   * @param {string} messageId - LINE message ID
+   * @param {Object} options - Download options
+   * @param {number} options.max_bytes - Reject content larger than this
+   * @param {string} options.file_name - Original file name (file messages)
+   * @param {string} options.message_type - audio | video | file
+   * @returns {Promise<Object>} { file_id, data, content_type, size }
+   * @throws {Error} On download failure; error.code = 'MEDIA_TOO_LARGE' when over max_bytes
+   */
+  async download_and_save_content(messageId, options = {}) {
+    console.log(`📥 Downloading ${options.message_type || 'media'} content for message ID: ${messageId}`);
+
+    const contentUrl = `https://api-data.line.me/v2/bot/message/${messageId}/content`;
+    let response;
+    try {
+      response = await axios.get(contentUrl, {
+        headers: {
+          'Authorization': `Bearer ${this.channelAccessToken}`,
+          'User-Agent': 'LINE-Chat-Summarizer/1.0'
+        },
+        responseType: 'arraybuffer',
+        timeout: 120000,
+        maxRedirects: 5,
+        ...(options.max_bytes && { maxContentLength: options.max_bytes })
+      });
+    } catch (error) {
+      if (options.max_bytes && /maxContentLength/i.test(error.message)) {
+        const tooLarge = new Error(`content is larger than ${ImageOptimizer.format_bytes(options.max_bytes)}`);
+        tooLarge.code = 'MEDIA_TOO_LARGE';
+        throw tooLarge;
+      }
+      console.error('❌ LINE content download error:', error.response?.status || error.message);
+      throw error;
+    }
+
+    const data = Buffer.from(response.data || []);
+    if (data.length === 0) {
+      throw new Error('No content received from LINE API');
+    }
+
+    const contentType = response.headers['content-type'] || 'application/octet-stream';
+    console.log(`📊 Downloaded ${contentType}, ${ImageOptimizer.format_bytes(data.length)}`);
+
+    const bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+      bucketName: 'media'
+    });
+    const uploadStream = bucket.openUploadStream(options.file_name || `line_${options.message_type || 'media'}_${messageId}`, {
+      metadata: {
+        messageId,
+        contentType,
+        messageType: options.message_type || null,
+        fileName: options.file_name || null,
+        source: 'line_webhook',
+        uploadedAt: new Date()
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      uploadStream.on('finish', resolve);
+      uploadStream.on('error', reject);
+      uploadStream.end(data);
+    });
+
+    console.log(`✅ Media saved to GridFS with ID: ${uploadStream.id}`);
+
+    return {
+      file_id: uploadStream.id,
+      data,
+      content_type: contentType,
+      size: data.length
+    };
+  }
+
   /**
    * Download image content from LINE servers, optimize it, and save to MongoDB GridFS.
    *
@@ -431,6 +622,24 @@ class LineService {
       return null;
     }
   }
+
+  /**
+   * Deletes downloaded content from GridFS (e.g. after the message was unsent)
+   * @param {string} bucketName - GridFS bucket ('images' or 'media')
+   * @param {ObjectId|string} gridFsId - GridFS file ID
+   * @returns {Promise<boolean>} - Whether a file was deleted
+   */
+  async delete_saved_content(bucketName, gridFsId) {
+    try {
+      const bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+      await bucket.delete(new mongoose.Types.ObjectId(String(gridFsId)));
+      console.log(`🗑️ Deleted ${bucketName} file ${gridFsId}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to delete ${bucketName} file ${gridFsId}:`, error.message);
+      return false;
+    }
+  }
 }
 
 module.exports = new LineService();
\ No newline at end of file
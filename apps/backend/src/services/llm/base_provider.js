@@ -0,0 +1,909 @@
+/**
+ * Base LLM Provider
+ *
+ * Shared summarization pipeline for all LLM providers: builds the prompt,
+ * parses the JSON answer and prices token usage. Providers only implement
+ * the model call (generate_content), their price table and model listing.
+ *
+ * @module services/llm/base_provider
+ */
+
+const config = require('../../config');
+const { is_supported_language, DEFAULT_SUMMARY_LANGUAGE } = require('../summary_language');
+const { PLACEHOLDER_PATTERN } = require('../pii_redactor');
+const { request_structured } = require('../summary_stages/structured_output');
+const { record_usage } = require('../summary_stages/usage');
+const { get_output_spec } = require('./summary_schema');
+
+// Tokens kept free in each prompt for instructions and the JSON answer
+const PROMPT_RESERVED_TOKENS = 2000;
+
+// Lower bound for the per-chunk budget (keeps chunking sane with tiny budgets)
+const MIN_CHUNK_TOKENS = 500;
+
+// Chunk summaries are stored in gemini_metadata, truncated to this length
+const CHUNK_SUMMARY_MAX_LENGTH = 1000;
+
+// Text read from an image is quoted in conversation lines up to this length
+const IMAGE_TEXT_MAX_LENGTH = 500;
+
+// Costs are kept in micro-dollars so small calls still add up in usage totals
+const COST_PRECISION = 1000000;
+
+// Answer language names used in prompts
+const LANGUAGE_NAMES = {
+  th: 'ภาษาไทย',
+  en: 'ภาษาอังกฤษ',
+  ja: 'ภาษาญี่ปุ่น'
+};
+
+class BaseLLMProvider {
+  /**
+   * @param {string} name - Provider name (e.g. "gemini")
+   * @param {Object} options - { defaultModel, models, pricing }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.defaultModel = options.defaultModel || null;
+    this.models = options.models || [];
+
+    // Price per 1K tokens by model: { [model]: { input, output } } (LLM_PRICING overrides)
+    this.pricing = { ...(options.pricing || {}), ...config.llm.pricing };
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  // Provider interface (override in subclasses)
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  is_configured() {
+    return true;
+  }
+
+  /**
+   * Call the model
+   * Providers implement generate_content(prompt, options) with prompt text and
+   * options { model, context, image } (image = { data: Buffer, mime_type }, see supports_images).
+   * @returns {Promise<Object>} { text, model, usage: { prompt_tokens, completion_tokens, total_tokens } }
+   */
+  async generate_content() {
+    throw new Error(`${this.name} provider does not implement generate_content`);
+  }
+
+  /**
+   * Whether generate_content accepts an image (options.image)
+   * @returns {boolean}
+   */
+  supports_images() {
+    return false;
+  }
+
+  /**
+   * List models this provider can use
+   * @returns {Promise<Array<Object>>} [{ id, default, pricing }]
+   */
+  async list_models() {
+    return this.models.map(id => ({
+      id,
+      default: id === this.defaultModel,
+      pricing: this.pricing[id] || null
+    }));
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  // Summarization pipeline
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Summarize messages without persisting anything
+   * Chooses single-prompt or map-reduce depending on the token budget.
+   * @param {Object} session - ChatSession document
+   * @param {Array<Object>} messages - Session messages
+   * @param {Object|null} rolling - Rolling context or null
+   * @param {Object} options - { model, template, language, examples }
+   * @returns {Promise<Object>} Outcome { strategy, parsed, model, usage, cost, calls, chunks, reduce_rounds, repair_attempts, language }
+   */
+  async run_summary(session, messages, rolling, options = {}) {
+    const language = this.get_summary_language(options.template, options.language);
+    const summaryOptions = { ...options, language };
+
+    // Split the conversation so every prompt fits the token budget
+    const budget = this.get_chunk_token_budget(rolling, options.template);
+    const chunks = this.chunk_messages(messages, budget);
+
+    const outcome = chunks.length > 1
+      ? await this.summarize_map_reduce(chunks, session, messages, rolling, budget, summaryOptions)
+      : await this.summarize_single(chunks[0]?.text || '', session, messages, rolling, summaryOptions);
+
+    return { ...outcome, language };
+  }
+
+  /**
+   * Translate a completed summary (content, topics, action items, highlights)
+   * @param {Object} summary - Summary document
+   * @param {string} language - Target language code
+   * @param {Object} options - { model }
+   * @returns {Promise<Object>} Translation entry (see Summary.translations) and
+   *   validated (false when the answer failed the schema and holds fallback text)
+   */
+  async translate_summary(summary, language, options = {}) {
+    console.log(`🌐 Translating summary ${summary._id} from ${summary.language} to ${language} with ${this.name}`);
+
+    const source = {
+      summary: summary.content,
+      key_topics: summary.key_topics || [],
+      action_items: summary.analysis?.action_items || [],
+      conversation_highlights: summary.analysis?.conversation_highlights || [],
+      changes_since_last: summary.rolling?.changes_since_last || null
+    };
+
+    const { parsed, result, results } = await request_structured(
+      this,
+      this.build_translation_prompt(source, language),
+      get_output_spec('translation'),
+      { model: options.model, context: { translation: { source, language } } }
+    );
+    await record_usage(this, 'translation', { organization_id: summary.organization_id }, results);
+
+    return {
+      language,
+      content: parsed.content,
+      key_topics: parsed.key_topics,
+      action_items: parsed.analysis.action_items || [],
+      conversation_highlights: parsed.analysis.conversation_highlights,
+      changes_since_last: parsed.rolling.changes_since_last,
+      provider: this.name,
+      model: result.model,
+      tokens_used: this.sum_usage(results.map(call => call.usage)).total_tokens,
+      cost: this.sum_cost(results),
+      created_at: new Date(),
+      validated: parsed.valid
+    };
+  }
+
+  /**
+   * Build the translation prompt for a finished summary
+   * @param {Object} source - Summary fields to translate (translation JSON shape)
+   * @param {string} language - Target language code
+   * @returns {string}
+   */
+  build_translation_prompt(source, language) {
+    return `กรุณาแปลสรุปการสนทนาต่อไปนี้เป็น${LANGUAGE_NAMES[language] || LANGUAGE_NAMES.th} โดยคงความหมาย ชื่อบุคคล ตัวเลข และวันที่ไว้ตามเดิม ไม่ต้องเพิ่มหรือตัดเนื้อหา
+
+ต้นฉบับ (JSON):
+${JSON.stringify(source, null, 2)}
+
+กรุณาตอบในรูปแบบ JSON ดังนี้ (ตอบเป็น JSON เท่านั้น ใช้ null สำหรับ changes_since_last หากต้นฉบับเป็น null):
+
+${get_output_spec('translation').template}
+
+${this.build_language_instruction(language)}${this.build_redaction_instruction(JSON.stringify(source))}`;
+  }
+
+  /**
+   * Caption a chat image and read its text (OCR)
+   * @param {Object} image - { data: Buffer, mime_type, size, dimensions }
+   * @param {Object} options - { model, language, organization_id } (organization_id is billed for the call)
+   * @returns {Promise<Object>} { image_type, caption, text, language, provider, model, tokens_used, cost }
+   */
+  async describe_image(image, options = {}) {
+    if (!this.supports_images()) {
+      throw new Error(`${this.name} provider does not support images`);
+    }
+
+    const language = this.get_summary_language(null, options.language);
+    console.log(`🖼️ Describing ${image.mime_type} image (${image.size || image.data.length} bytes) with ${this.name}`);
+
+    const { parsed, result, results } = await request_structured(
+      this,
+      this.build_image_prompt(language),
+      get_output_spec('image'),
+      { model: options.model, image, context: { image } }
+    );
+    await record_usage(this, 'image', { organization_id: options.organization_id }, results);
+
+    // Invalid JSON: the model's plain answer is still a usable caption
+    const data = parsed.data || { image_type: 'other', caption: parsed.content.slice(0, 500), text: '' };
+
+    return {
+      image_type: data.image_type,
+      caption: data.caption,
+      text: data.text,
+      language,
+      provider: this.name,
+      model: result.model,
+      tokens_used: this.sum_usage(results.map(call => call.usage)).total_tokens,
+      cost: this.sum_cost(results)
+    };
+  }
+
+  /**
+   * Build the captioning/OCR prompt sent with an image
+   * @param {string} language - Caption language code
+   * @returns {string}
+   */
+  build_image_prompt(language) {
+    return `คุณเป็น AI ผู้ช่วยที่อ่านรูปภาพที่ส่งในแชทกลุ่มของทีมงาน (เช่น ใบเสร็จ หลักฐานการจัดส่ง ไวท์บอร์ด เอกสาร ภาพหน้าจอ) กรุณาอธิบายรูปภาพนี้สั้นๆ โดยเน้นข้อมูลที่ทีมต้องใช้ต่อ (ยอดเงิน วันที่ ชื่อร้าน เลขพัสดุ สถานะ) และคัดลอกข้อความทั้งหมดที่อ่านได้ในรูป ไม่ต้องเดาข้อความที่อ่านไม่ออก
+
+กรุณาตอบในรูปแบบ JSON ดังนี้ (ตอบเป็น JSON เท่านั้น):
+
+${get_output_spec('image').template}
+
+${this.build_language_instruction(language)} ยกเว้น "text" ที่ต้องคงภาษาและตัวสะกดตามที่ปรากฏในรูป`;
+  }
+
+  /**
+   * Answer a question from numbered chat history sources (see services/chat_qa)
+   * Citations refer to source numbers (1-based); numbers outside the source
+   * list are dropped.
+   * @param {string} question - User question
+   * @param {Array<Object>} sources - [{ type, label, text }] in citation order
+   * @param {Object} options - { model, language, organization_id } (organization_id is billed for the call)
+   * @returns {Promise<Object>} { answer, citations, confidence, language, provider, model, tokens_used, cost }
+   */
+  async answer_question(question, sources, options = {}) {
+    const language = this.get_summary_language(null, options.language);
+    console.log(`💬 Answering question from ${sources.length} sources with ${this.name}`);
+
+    const { parsed, result, results } = await request_structured(
+      this,
+      this.build_question_prompt(question, sources, language),
+      get_output_spec('answer'),
+      { model: options.model, context: { question: { text: question, sources } } }
+    );
+    await record_usage(this, 'question', { organization_id: options.organization_id }, results);
+
+    // Invalid JSON: keep the plain answer; its [n] markers are the citations
+    const data = parsed.data || {
+      answer: parsed.content,
+      citations: [...parsed.content.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])),
+      confidence: 'low'
+    };
+
+    return {
+      answer: data.answer,
+      citations: [...new Set(data.citations)].filter(number => number >= 1 && number <= sources.length),
+      confidence: data.confidence,
+      language,
+      provider: this.name,
+      model: result.model,
+      tokens_used: this.sum_usage(results.map(call => call.usage)).total_tokens,
+      cost: this.sum_cost(results)
+    };
+  }
+
+  /**
+   * Build the question answering prompt
+   * @param {string} question - User question
+   * @param {Array<Object>} sources - [{ type, label, text }] in citation order
+   * @param {string} language - Answer language code
+   * @returns {string}
+   */
+  build_question_prompt(question, sources, language) {
+    const sourcesText = sources
+      .map((source, index) => `[${index + 1}] (${source.type === 'summary' ? 'สรุป' : 'ข้อความ'}) ${source.label}\n${source.text}`)
+      .join('\n\n');
+
+    return `คุณเป็น AI ผู้ช่วยที่ตอบคำถามเกี่ยวกับประวัติการสนทนาในแชทกลุ่มของทีมงาน กรุณาตอบคำถามโดยใช้เฉพาะข้อมูลจากแหล่งข้อมูลด้านล่าง ใส่เลขอ้างอิงในวงเล็บ เช่น [1] หลังข้อความที่อ้างอิง และระบุทุกเลขที่ใช้ใน "citations" หากแหล่งข้อมูลไม่มีคำตอบ ให้ตอบตรงๆ ว่าไม่พบข้อมูล ใช้ citations เป็น [] และ confidence เป็น "low"
+
+คำถาม: ${question}
+
+แหล่งข้อมูล:
+${sourcesText || '(ไม่มี)'}
+
+กรุณาตอบในรูปแบบ JSON ดังนี้ (ตอบเป็น JSON เท่านั้น):
+
+${get_output_spec('answer').template}
+
+${this.build_language_instruction(language)}${this.build_redaction_instruction(sourcesText)}`;
+  }
+
+  /**
+   * Summarize a conversation that fits in one prompt
+   * @returns {Promise<Object>} Outcome { strategy, parsed, model, usage, cost, calls, chunks, reduce_rounds, repair_attempts }
+   */
+  async summarize_single(conversationText, session, messages, rolling, options = {}) {
+    console.log(`📝 Prepared conversation text length: ${conversationText.length} characters`);
+    if (conversationText.length === 0) {
+      console.warn(`⚠️ Empty conversation text for session ${session.session_id}`);
+    }
+
+    const prompt = this.build_summary_prompt(conversationText, session, messages.length, rolling, options.template, options.language, options.examples);
+    const { parsed, result, results, repair_attempts } = await request_structured(
+      this,
+      prompt,
+      get_output_spec('summary', { rolling: !!rolling, template: options.template }),
+      { model: options.model, context: { session, messages, rolling, template: options.template } }
+    );
+
+    return {
+      strategy: 'single',
+      parsed,
+      model: result.model,
+      usage: this.sum_usage(results.map(call => call.usage)),
+      cost: this.sum_cost(results),
+      calls: results,
+      chunks: [],
+      reduce_rounds: 0,
+      repair_attempts
+    };
+  }
+
+  /**
+   * Summarize a conversation larger than the token budget
+   * Map: summarize each chunk. Reduce: merge the partial summaries into the
+   * final summary JSON, in several rounds if they do not fit one prompt.
+   * @returns {Promise<Object>} Outcome { strategy, parsed, model, usage, cost, calls, chunks, reduce_rounds, repair_attempts }
+   */
+  async summarize_map_reduce(chunks, session, messages, rolling, budget, options = {}) {
+    console.log(`🧩 Session ${session.session_id} exceeds the token budget (${budget}); summarizing ${chunks.length} chunks`);
+
+    const results = [];
+    let repairAttempts = 0;
+    const call = async (prompt, spec, context) => {
+      const structured = await request_structured(this, prompt, spec, {
+        model: options.model,
+        context: { session, ...context }
+      });
+      results.push(...structured.results);
+      repairAttempts += structured.repair_attempts;
+      return structured;
+    };
+    const chunkSpec = get_output_spec('chunk');
+    const language = this.get_summary_language(options.template, options.language);
+
+    // Map
+    const partials = [];
+    for (const [index, chunk] of chunks.entries()) {
+      const label = `ช่วงที่ ${index + 1}/${chunks.length} ของการสนทนา`;
+      const { parsed, result } = await call(this.build_chunk_prompt(chunk.text, session, label, language), chunkSpec, { messages: chunk.messages });
+
+      partials.push({
+        index,
+        message_count: chunk.messages.length,
+        start_time: chunk.messages[0]?.timestamp || null,
+        end_time: chunk.messages[chunk.messages.length - 1]?.timestamp || null,
+        estimated_tokens: chunk.estimated_tokens,
+        tokens_used: result.usage?.total_tokens || 0,
+        model: result.model,
+        summary: parsed.content,
+        key_topics: parsed.key_topics,
+        action_items: parsed.analysis.action_items,
+        image_insights: parsed.analysis.image_insights,
+        sentiment: parsed.analysis.sentiment,
+        urgency: parsed.analysis.urgency
+      });
+
+      console.log(`🧩 Chunk ${index + 1}/${chunks.length} summarized (${chunk.messages.length} messages)`);
+    }
+
+    // Reduce
+    let level = partials;
+    let reduceRounds = 0;
+    while (level.length > 1 && this.estimate_tokens(this.format_partial_summaries(level)) > budget) {
+      level = await this.merge_partial_batches(level, budget, session, language, (prompt, batch) => call(prompt, chunkSpec, { messages: [], partials: batch }));
+      reduceRounds++;
+      console.log(`🧩 Reduce round ${reduceRounds}: ${level.length} partial summaries left`);
+    }
+
+    const mergePrompt = this.build_merge_prompt(this.format_partial_summaries(level), session, messages.length, rolling, options.template, language, options.examples);
+    const final = await call(mergePrompt, get_output_spec('summary', { rolling: !!rolling, template: options.template }), { messages, rolling, template: options.template });
+
+    return {
+      strategy: 'map_reduce',
+      parsed: final.parsed,
+      model: final.result.model,
+      usage: this.sum_usage(results.map(result => result.usage)),
+      cost: this.sum_cost(results),
+      calls: results,
+      chunks: partials.map(partial => ({
+        ...partial,
+        summary: (partial.summary || '').slice(0, CHUNK_SUMMARY_MAX_LENGTH)
+      })),
+      reduce_rounds: reduceRounds,
+      repair_attempts: repairAttempts
+    };
+  }
+
+  /**
+   * Merge partial summaries in batches that fit the budget (at least two per batch)
+   * @param {Function} summarize - async (prompt, batch) => { parsed } (validated chunk output)
+   * @returns {Promise<Array<Object>>} Fewer, larger partial summaries
+   */
+  async merge_partial_batches(partials, budget, session, language, summarize) {
+    const batches = [];
+    let current = [];
+
+    for (const partial of partials) {
+      const candidate = [...current, partial];
+      if (current.length >= 2 && this.estimate_tokens(this.format_partial_summaries(candidate)) > budget) {
+        batches.push(current);
+        current = [partial];
+      } else {
+        current = candidate;
+      }
+    }
+    if (current.length === 1 && batches.length > 0) {
+      batches[batches.length - 1].push(current[0]);
+    } else if (current.length > 0) {
+      batches.push(current);
+    }
+
+    const merged = [];
+    for (const batch of batches) {
+      const first = batch[0];
+      const last = batch[batch.length - 1];
+      const label = `สรุปย่อยช่วงที่ ${first.index + 1}-${last.index + 1} ที่ต้องรวมเป็นสรุปเดียว`;
+      const { parsed } = await summarize(this.build_chunk_prompt(this.format_partial_summaries(batch), session, label, language), batch);
+
+      merged.push({
+        index: first.index,
+        last_index: last.last_index ?? last.index,
+        message_count: batch.reduce((sum, partial) => sum + partial.message_count, 0),
+        start_time: first.start_time,
+        end_time: last.end_time,
+        summary: parsed.content,
+        key_topics: parsed.key_topics,
+        action_items: parsed.analysis.action_items,
+        image_insights: parsed.analysis.image_insights,
+        sentiment: parsed.analysis.sentiment,
+        urgency: parsed.analysis.urgency
+      });
+    }
+
+    return merged;
+  }
+
+  /**
+   * Split messages into chunks whose formatted text fits the token budget
+   * @param {Array<Object>} messages - Session messages
+   * @param {number} budget - Max estimated tokens per chunk
+   * @returns {Array<Object>} [{ messages, text, estimated_tokens }]
+   */
+  chunk_messages(messages, budget) {
+    const ordered = [...messages].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const chunks = [];
+    let current = null;
+
+    for (const msg of ordered) {
+      let line = this.format_message_line(msg);
+      let tokens = this.estimate_tokens(line) + 1; // +1 for the newline
+
+      // A single message larger than the budget is truncated to fit
+      if (tokens > budget) {
+        line = line.slice(0, (budget - 1) * 4);
+        tokens = budget;
+      }
+
+      if (!current || current.estimated_tokens + tokens > budget) {
+        current = { messages: [], lines: [], estimated_tokens: 0 };
+        chunks.push(current);
+      }
+
+      current.messages.push(msg);
+      current.lines.push(line);
+      current.estimated_tokens += tokens;
+    }
+
+    return chunks.map(chunk => ({
+      messages: chunk.messages,
+      text: chunk.lines.join('\n'),
+      estimated_tokens: chunk.estimated_tokens
+    }));
+  }
+
+  /**
+   * Token budget for conversation text in one prompt
+   * Leaves room for the instructions and the rolling context.
+   * @param {Object|null} rolling - Rolling context
+   * @param {Object|null} template - Summary template (its instructions take prompt space)
+   * @returns {number}
+   */
+  get_chunk_token_budget(rolling = null, template = null) {
+    const rollingTokens = rolling ? this.estimate_tokens(this.build_rolling_prompt_section(rolling)) : 0;
+    const templateTokens = template ? this.estimate_tokens(this.build_template_prompt_section(template)) : 0;
+    return Math.max(MIN_CHUNK_TOKENS, config.llm.contextTokenBudget - PROMPT_RESERVED_TOKENS - rollingTokens - templateTokens);
+  }
+
+  /**
+   * Prepare conversation text from Message collection
+   */
+  prepare_conversation_text_from_messages(messages) {
+    return [...messages]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .map(msg => this.format_message_line(msg))
+      .join('\n');
+  }
+
+  /**
+   * Format one message as a conversation line
+   */
+  format_message_line(msg) {
+    const time = new Date(msg.timestamp).toLocaleTimeString();
+    const speaker = this.getSpeakerName(msg);
+
+    if (msg.message_type === 'text') {
+      return `[${time}] ${speaker}: ${msg.message}`;
+    }
+    if (msg.message_type === 'image' && msg.image_analysis?.caption) {
+      const text = msg.image_analysis.text
+        ? ` | ข้อความในภาพ: "${msg.image_analysis.text.replace(/\s+/g, ' ').slice(0, IMAGE_TEXT_MAX_LENGTH)}"`
+        : '';
+      return `[${time}] ${speaker}: [IMAGE] ${msg.image_analysis.caption}${text}`;
+    }
+    return `[${time}] ${speaker}: [${msg.message_type.toUpperCase()}] ${msg.message}`;
+  }
+
+  /**
+   * Get speaker name from message data
+   */
+  getSpeakerName(msg) {
+    if (msg.direction === 'bot') return 'Bot';
+    if (msg.direction === 'system') return 'System';
+    if (msg.user_name) return msg.user_name;
+    if (msg.sender_role === 'group_member') return 'Group Member';
+    return 'User';
+  }
+
+  /**
+   * Build comprehensive summary prompt (shared by all providers)
+   * @param {string} conversationText - Formatted conversation
+   * @param {Object} session - ChatSession document
+   * @param {number} messageCount - Number of messages
+   * @param {Object|null} rolling - Rolling context { previous_summary, digest } or null
+   * @param {Object|null} template - Organization summary template or null (built-in)
+   * @param {string|null} language - Answer language code (null = template language or Thai)
+   * @param {Array<Object>} examples - Reviewer feedback examples (see services/summary_feedback)
+   */
+  build_summary_prompt(conversationText, session, messageCount, rolling = null, template = null, language = null, examples = []) {
+    const rollingSection = rolling ? this.build_rolling_prompt_section(rolling) : '';
+    const examplesSection = this.build_feedback_examples_section(examples);
+
+    return `คุณเป็น AI ผู้ช่วยที่เชี่ยวชาญในการวิเคราะห์และสรุปการสนทนาแชท กรุณาวิเคราะห์การสนทนาต่อไปนี้และให้สรุปที่ครอบคลุม
+
+${this.build_session_details(session, messageCount)}
+
+${rollingSection}การสนทนา:
+${conversationText}
+
+${examplesSection}${this.build_output_instructions(rolling, template, language)}${this.build_redaction_instruction(rollingSection + conversationText + examplesSection)}`;
+  }
+
+  /**
+   * Build the final merge prompt for map-reduce summaries
+   * @param {string} partialsText - Formatted partial summaries (see format_partial_summaries)
+   * @param {Object} session - ChatSession document
+   * @param {number} messageCount - Number of messages in the whole session
+   * @param {Object|null} rolling - Rolling context or null
+   * @param {Object|null} template - Organization summary template or null (built-in)
+   * @param {string|null} language - Answer language code (null = template language or Thai)
+   * @param {Array<Object>} examples - Reviewer feedback examples (see services/summary_feedback)
+   */
+  build_merge_prompt(partialsText, session, messageCount, rolling = null, template = null, language = null, examples = []) {
+    const rollingSection = rolling ? this.build_rolling_prompt_section(rolling) : '';
+    const examplesSection = this.build_feedback_examples_section(examples);
+
+    return `คุณเป็น AI ผู้ช่วยที่เชี่ยวชาญในการวิเคราะห์และสรุปการสนทนาแชท การสนทนานี้ยาวเกินกว่าจะวิเคราะห์ในครั้งเดียว จึงถูกแบ่งเป็นช่วงและสรุปแต่ละช่วงไว้แล้ว กรุณารวมสรุปย่อยทั้งหมดเป็นสรุปเดียวของทั้งการสนทนา
+
+${this.build_session_details(session, messageCount)}
+
+${rollingSection}สรุปย่อยของแต่ละช่วง (เรียงตามเวลา):
+${partialsText}
+
+รวมหัวข้อที่ซ้ำกัน เก็บสิ่งที่ต้องทำทั้งหมดที่ยังไม่เสร็จ และประเมินอารมณ์กับความเร่งด่วนจากภาพรวมของทุกช่วง
+
+${examplesSection}${this.build_output_instructions(rolling, template, language)}${this.build_redaction_instruction(rollingSection + partialsText + examplesSection)}`;
+  }
+
+  /**
+   * Build the prompt that summarizes one chunk (map step) or a batch of partial summaries
+   * @param {string} contentText - Conversation lines or formatted partial summaries
+   * @param {Object} session - ChatSession document
+   * @param {string} label - What the content is (e.g. "ช่วงที่ 2/5 ของการสนทนา")
+   * @param {string} language - Answer language code
+   */
+  build_chunk_prompt(contentText, session, label, language = 'th') {
+    return `คุณเป็น AI ผู้ช่วยที่เชี่ยวชาญในการสรุปการสนทนาแชท เนื้อหาต่อไปนี้คือ${label} ในห้อง ${session.room_name} (${session.room_type}) กรุณาสรุปเฉพาะเนื้อหานี้
+
+เนื้อหา:
+${contentText}
+
+กรุณาตอบในรูปแบบ JSON ดังนี้ (ตอบเป็น JSON เท่านั้น):
+
+${get_output_spec('chunk').template}
+
+${this.build_language_instruction(language)}${this.build_redaction_instruction(contentText)}`;
+  }
+
+  /**
+   * Format partial summaries for a merge prompt
+   * @param {Array<Object>} partials - Chunk or merged partial summaries
+   * @returns {string}
+   */
+  format_partial_summaries(partials) {
+    return partials.map(partial => {
+      const range = partial.last_index !== undefined
+        ? `${partial.index + 1}-${partial.last_index + 1}`
+        : `${partial.index + 1}`;
+      const from = partial.start_time ? new Date(partial.start_time).toLocaleString() : '?';
+      const to = partial.end_time ? new Date(partial.end_time).toLocaleString() : '?';
+      const lines = [
+        `ช่วงที่ ${range} (${from} - ${to}, ${partial.message_count} ข้อความ):`,
+        `สรุป: ${partial.summary}`
+      ];
+
+      if (partial.key_topics?.length) {
+        lines.push(`หัวข้อ: ${partial.key_topics.join(', ')}`);
+      }
+      if (partial.action_items?.length) {
+        lines.push(`สิ่งที่ต้องทำ:\n${partial.action_items.map(item => `- ${item}`).join('\n')}`);
+      }
+      if (partial.image_insights?.length) {
+        lines.push(`ข้อมูลจากรูปภาพ:\n${partial.image_insights.map(item => `- ${item}`).join('\n')}`);
+      }
+      lines.push(`อารมณ์/ความเร่งด่วน: ${partial.sentiment} / ${partial.urgency}`);
+
+      return lines.join('\n');
+    }).join('\n\n');
+  }
+
+  /**
+   * Session details block shared by the summary and merge prompts
+   */
+  build_session_details(session, messageCount) {
+    return `รายละเอียดการสนทนา:
+- Session ID: ${session.session_id}
+- ห้อง: ${session.room_name} (${session.room_type})
+- ระยะเวลา: ${this.get_session_duration(session)}
+- จำนวนข้อความทั้งหมด: ${messageCount}`;
+  }
+
+  /**
+   * Output format and analysis instructions shared by the summary and merge prompts
+   * @param {Object|null} rolling - Rolling context (adds changes_since_last / running_digest)
+   * @param {Object|null} template - Summary template (adds its instructions and custom_fields)
+   */
+  build_output_instructions(rolling = null, template = null, language = null) {
+    const spec = get_output_spec('summary', { rolling: !!rolling, template });
+    const templateSection = template ? this.build_template_prompt_section(template) : '';
+
+    return `${templateSection}คำแนะนำในการวิเคราะห์:
+กรุณาให้การวิเคราะห์อย่างละเอียดในรูปแบบ JSON ดังนี้ (ตอบเป็น JSON เท่านั้น):
+
+${spec.template}
+
+มุ่งเน้นไปที่:
+1. หัวข้อการสนทนาหลักและธีม
+2. การตัดสินใจหรือข้อสรุปที่ได้
+3. สิ่งที่ต้องทำหรือการติดตามที่กล่าวถึง
+4. อารมณ์และโทนโดยรวม
+5. ข้อมูลสำคัญหรือความเข้าใจที่แบ่งปัน
+6. คำถามที่ถามและตอบ
+
+ให้การวิเคราะห์ที่เป็นกลาง เป็นข้อเท็จจริง และครอบคลุมแต่กระชับ ${this.build_language_instruction(this.get_summary_language(template, language))}`;
+  }
+
+  /**
+   * Build the organization template section (instructions and custom fields)
+   * @param {Object} template - SummaryTemplate
+   * @returns {string}
+   */
+  build_template_prompt_section(template) {
+    const lines = [`คำแนะนำเพิ่มเติมจากองค์กร (เทมเพลต "${template.name}"):`];
+
+    if (template.instructions) {
+      lines.push(template.instructions);
+    }
+    if (template.output_fields?.length) {
+      const fields = template.output_fields.map(field =>
+        `- ${field.key} (${field.label})${field.required ? ' [จำเป็น]' : ''}: ${field.description || field.label}`
+      );
+      lines.push(`ใส่ข้อมูลต่อไปนี้ใน "custom_fields" (ใช้ null หากไม่มีข้อมูลในการสนทนา):\n${fields.join('\n')}`);
+    }
+
+    return `${lines.join('\n\n')}\n\n`;
+  }
+
+  /**
+   * Language the summary is written in
+   * @param {Object|null} template - Summary template
+   * @param {string|null} language - Language resolved by services/summary_language (wins when set)
+   * @returns {string} Language code
+   */
+  get_summary_language(template = null, language = null) {
+    if (is_supported_language(language)) return language;
+    return is_supported_language(template?.language) ? template.language : DEFAULT_SUMMARY_LANGUAGE;
+  }
+
+  /**
+   * "Answer in <language>" sentence for prompts
+   * The JSON examples are in Thai, so other languages also pin keys and enum values.
+   * @param {string} language - Language code
+   * @returns {string}
+   */
+  build_language_instruction(language = 'th') {
+    const name = LANGUAGE_NAMES[language] || LANGUAGE_NAMES.th;
+    if (language === 'th' || !LANGUAGE_NAMES[language]) {
+      return `กรุณาตอบเป็น${name}ทั้งหมด`;
+    }
+    return `กรุณาเขียนเนื้อหาทั้งหมดเป็น${name} (แม้ตัวอย่างและการสนทนาจะเป็นภาษาอื่น) โดยคงคีย์ JSON และค่าที่กำหนดให้เลือก (เช่น positive/neutral/negative, low/medium/high, yes/no) ไว้ตามรูปแบบ`;
+  }
+
+  /**
+   * Instruction to copy redaction placeholders verbatim (empty when the text has none)
+   * @param {string} text - Text sent in the prompt
+   * @returns {string}
+   */
+  build_redaction_instruction(text) {
+    if (!PLACEHOLDER_PATTERN.test(text || '')) {
+      return '';
+    }
+    return '\n\nข้อความในวงเล็บเหลี่ยม เช่น [PHONE_1] หรือ [EMAIL_2] คือข้อมูลส่วนบุคคลที่ถูกปิดไว้ ให้คัดลอกไว้ตามเดิมทุกตัวอักษร ห้ามเดา แปล หรือแก้ไขค่าเหล่านี้';
+  }
+
+  /**
+   * Build the reviewer corrections section (few-shot examples from earlier summaries)
+   * @param {Array<Object>} examples - [{ content, key_topics, sentiment, wrong_action_items, missing_action_items, comment }]
+   * @returns {string} Empty when there are no examples
+   */
+  build_feedback_examples_section(examples = []) {
+    if (!examples?.length) {
+      return '';
+    }
+
+    const blocks = examples.map((example, index) => {
+      const lines = [`ตัวอย่างที่ ${index + 1}:`];
+      if (example.content) {
+        lines.push(`สรุปเดิม: ${example.content}`);
+      }
+      if (example.key_topics) {
+        lines.push(`หัวข้อเดิม: ${example.key_topics.original.join(', ') || '-'} → หัวข้อที่ถูกต้อง: ${example.key_topics.corrected.join(', ') || '-'}`);
+      }
+      if (example.sentiment) {
+        lines.push(`อารมณ์เดิม: ${example.sentiment.original || '-'} → อารมณ์ที่ถูกต้อง: ${example.sentiment.corrected}`);
+      }
+      if (example.wrong_action_items?.length) {
+        lines.push(`สิ่งที่ต้องทำที่ไม่ควรมี:\n${example.wrong_action_items.map(item => `- ${item}`).join('\n')}`);
+      }
+      if (example.missing_action_items?.length) {
+        lines.push(`สิ่งที่ต้องทำที่ตกหล่น:\n${example.missing_action_items.map(item => `- ${item}`).join('\n')}`);
+      }
+      if (example.comment) {
+        lines.push(`ความเห็นผู้ตรวจ: ${example.comment}`);
+      }
+      return lines.join('\n');
+    });
+
+    return `การแก้ไขจากผู้ตรวจสรุปครั้งก่อนขององค์กรนี้ (ใช้เป็นแนวทาง ไม่ใช่เนื้อหาของการสนทนานี้):
+
+${blocks.join('\n\n')}
+
+`;
+  }
+
+  /**
+   * Build the "previous context" section of a rolling summary prompt
+   * @param {Object} rolling - { previous_summary, digest }
+   * @returns {string}
+   */
+  build_rolling_prompt_section(rolling) {
+    const previous = rolling.previous_summary;
+    const lines = ['บริบทจากการสรุปครั้งก่อนในห้องนี้ (ใช้เป็นพื้นหลัง ไม่ต้องสรุปซ้ำ):'];
+
+    if (rolling.digest) {
+      lines.push(`สรุปภาพรวมต่อเนื่องของห้อง:\n${rolling.digest}`);
+    }
+    if (previous?.content && previous.content !== rolling.digest) {
+      const when = previous.created_at ? new Date(previous.created_at).toISOString() : 'ไม่ทราบเวลา';
+      lines.push(`สรุปครั้งล่าสุด (${when}):\n${previous.content}`);
+    }
+    if (lines.length === 1) {
+      lines.push('(ยังไม่มีการสรุปก่อนหน้า นี่คือการสรุปครั้งแรกของห้อง)');
+    }
+
+    return `${lines.join('\n\n')}\n\n`;
+  }
+
+  /**
+   * Get session duration in human readable format
+   */
+  get_session_duration(session) {
+    if (!session.end_time) {
+      const duration = Date.now() - session.start_time.getTime();
+      const minutes = Math.round(duration / (1000 * 60));
+      return `${minutes} minutes (ongoing)`;
+    }
+
+    const duration = session.end_time.getTime() - session.start_time.getTime();
+    const hours = Math.floor(duration / (1000 * 60 * 60));
+    const minutes = Math.floor((duration % (1000 * 60 * 60)) / (1000 * 60));
+
+    if (hours > 0) {
+      return `${hours}h ${minutes}m`;
+    }
+    return `${minutes} minutes`;
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  // Token & cost accounting
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Estimate token count for providers that do not report usage
+   * Roughly 4 characters per token.
+   * @param {string} text - Text to measure
+   * @returns {number}
+   */
+  estimate_tokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Add up token usage of several model calls
+   * @param {Array<Object>} usages - Usage objects (missing fields count as 0)
+   * @returns {Object} { prompt_tokens, completion_tokens, total_tokens }
+   */
+  sum_usage(usages) {
+    return usages.reduce((total, usage = {}) => ({
+      prompt_tokens: total.prompt_tokens + (usage?.prompt_tokens || 0),
+      completion_tokens: total.completion_tokens + (usage?.completion_tokens || 0),
+      total_tokens: total.total_tokens + (usage?.total_tokens || 0)
+    }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+  }
+
+  /**
+   * Add up the cost of several model calls
+   * @param {Array<Object>} results - generate_content results ({ usage, model })
+   * @returns {number} Cost in USD, rounded to 6 decimal places
+   */
+  sum_cost(results) {
+    const total = results.reduce((sum, result) => sum + this.calculate_cost(result.usage, result.model), 0);
+    return Math.round(total * COST_PRECISION) / COST_PRECISION;
+  }
+
+  /**
+   * Calculate cost from token usage using the provider price table
+   * @param {Object} usage - { prompt_tokens, completion_tokens, total_tokens }
+   * @param {string} model - Model that produced the usage
+   * @returns {number} Cost in USD, rounded to 6 decimal places
+   */
+  calculate_cost(usage = {}, model = this.defaultModel) {
+    const price = this.pricing[model] || this.pricing[this.defaultModel];
+    if (!price) return 0;
+
+    const inputTokens = usage.prompt_tokens || 0;
+    let outputTokens = usage.completion_tokens || 0;
+    // A bare total is priced at the output rate so budgets are never under-counted
+    if (!inputTokens && !outputTokens && usage.total_tokens) {
+      outputTokens = usage.total_tokens;
+    }
+
+    const inputCost = (inputTokens / 1000) * price.input;
+    const outputCost = (outputTokens / 1000) * price.output;
+
+    return Math.round((inputCost + outputCost) * COST_PRECISION) / COST_PRECISION;
+  }
+
+  /**
+   * Test provider connection
+   * @returns {Promise<Object>} { success, response?, error? }
+   */
+  async test_connection() {
+    try {
+      const result = await this.generate_content("Hello, this is a test. Please respond with 'Connection successful'.");
+
+      console.log(`✅ ${this.name} connection test successful`);
+      console.log(`📝 Response: ${result.text}`);
+
+      return { success: true, response: result.text, model: result.model };
+    } catch (error) {
+      console.error(`❌ ${this.name} connection test failed:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = BaseLLMProvider;
@@ -0,0 +1,179 @@
+/**
+ * Gemini LLM Provider
+ * Google Gemini via @google/generative-ai, with retry and model fallback.
+ * The API key is only required when a request is made, so the app (and
+ * tests using another provider) can load without GEMINI_API_KEY.
+ *
+ * @module services/llm/gemini_provider
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const BaseLLMProvider = require('./base_provider');
+const config = require('../../config');
+
+// Use current stable Gemini models (as of 2025), in fallback order
+const GEMINI_MODELS = [
+  'gemini-2.5-flash-lite', // Lightweight, cost-efficient model
+  'gemini-2.5-flash',      // Balanced performance model
+  'gemini-2.0-flash-lite'  // Fallback lightweight model
+];
+
+// USD per 1K tokens
+const GEMINI_PRICING = {
+  'gemini-2.5-flash-lite': { input: 0.0001, output: 0.0004 },
+  'gemini-2.5-flash': { input: 0.0003, output: 0.0025 },
+  'gemini-2.0-flash-lite': { input: 0.000075, output: 0.0003 }
+};
+
+class GeminiProvider extends BaseLLMProvider {
+  /**
+   * @param {Object} options - { apiKey }
+   */
+  constructor(options = {}) {
+    super('gemini', {
+      defaultModel: GEMINI_MODELS[0], // Default to lighter model
+      models: GEMINI_MODELS,
+      pricing: GEMINI_PRICING
+    });
+
+    this.apiKey = options.apiKey || config.gemini.apiKey;
+    this.genAI = null;
+
+    console.log(`🤖 GeminiProvider initialized with ${this.defaultModel}${this.apiKey ? '' : ' (no API key)'}`);
+  }
+
+  is_configured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Lazily create the Gemini client
+   * @returns {GoogleGenerativeAI}
+   */
+  get_client() {
+    if (!this.apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is required');
+    }
+    if (!this.genAI) {
+      this.genAI = new GoogleGenerativeAI(this.apiKey);
+    }
+    return this.genAI;
+  }
+
+  /**
+   * All configured Gemini models are multimodal
+   */
+  supports_images() {
+    return true;
+  }
+
+  async generate_content(prompt, options = {}) {
+    // Images are sent inline next to the prompt text
+    const request = options.image
+      ? [prompt, { inlineData: { data: options.image.data.toString('base64'), mimeType: options.image.mime_type } }]
+      : prompt;
+
+    const { result, modelName } = await this.generateContentWithRetry(request, options.model);
+    const response = await result.response;
+    const usage = response.usageMetadata || {};
+    // Gemini 2.5 "thinking" tokens are billed as output but not included in candidatesTokenCount
+    const completionTokens = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
+
+    return {
+      text: response.text(),
+      model: modelName,
+      usage: {
+        prompt_tokens: usage.promptTokenCount || 0,
+        completion_tokens: completionTokens,
+        total_tokens: usage.totalTokenCount || (usage.promptTokenCount || 0) + completionTokens
+      }
+    };
+  }
+
+  /**
+   * Generate content with exponential backoff retry logic and model fallback
+   * Handles Gemini API rate limiting, overload errors, and model access issues
+   * @param {string|Array} prompt - Prompt text, or parts (text and inline image)
+   * @param {string} preferredModel - Model to try first (defaults to the provider default)
+   * @param {number} maxRetries - Attempts per model
+   * @returns {Promise<Object>} { result, modelName }
+   */
+  async generateContentWithRetry(prompt, preferredModel = null, maxRetries = 3) {
+    const genAI = this.get_client();
+    const modelOptions = [
+      preferredModel || this.defaultModel,
+      ...GEMINI_MODELS.filter(model => model !== (preferredModel || this.defaultModel))
+    ];
+
+    let lastError;
+
+    // Try different models if the current one fails
+    for (let modelIndex = 0; modelIndex < modelOptions.length; modelIndex++) {
+      const modelName = modelOptions[modelIndex];
+
+      if (modelIndex > 0) {
+        console.log(`🔄 Trying fallback model: ${modelName}`);
+      }
+      const model = genAI.getGenerativeModel({ model: modelName });
+
+      // Try with current model
+      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+          console.log(`🤖 Gemini API attempt ${attempt}/${maxRetries} with model ${modelName}`);
+          const result = await model.generateContent(prompt);
+
+          if (attempt > 1 || modelIndex > 0) {
+            console.log(`✅ Gemini API succeeded on attempt ${attempt} with model ${modelName}`);
+          }
+
+          return { result, modelName };
+
+        } catch (error) {
+          lastError = error;
+
+          // Check if it's a model access error (404, model not found)
+          const isModelAccessError = error.status === 404 ||
+                                     error.message?.includes('not found') ||
+                                     error.message?.includes('does not have access');
+
+          // If model access error, try next model
+          if (isModelAccessError) {
+            console.warn(`⚠️ Model ${modelName} not accessible: ${error.message}`);
+            break; // Break retry loop, try next model
+          }
+
+          // Check if it's a rate limiting or overload error
+          const isRetryableError = error.status === 503 || // Service Unavailable
+                                  error.status === 429 || // Too Many Requests
+                                  error.message?.includes('overloaded') ||
+                                  error.message?.includes('rate limit');
+
+          if (!isRetryableError || attempt === maxRetries) {
+            console.error(`❌ Gemini API failed on attempt ${attempt}/${maxRetries} with model ${modelName}:`, error.message);
+
+            // If last model and last attempt, throw error
+            if (modelIndex === modelOptions.length - 1) {
+              throw error;
+            }
+            break; // Try next model
+          }
+
+          // Calculate exponential backoff delay: 2^attempt + random jitter
+          const baseDelay = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s
+          const jitter = Math.random() * 1000; // 0-1s random jitter
+          const delay = baseDelay + jitter;
+
+          console.warn(`⚠️ Gemini API overloaded (attempt ${attempt}/${maxRetries}). Retrying in ${Math.round(delay/1000)}s...`);
+          console.warn(`📝 Error details: ${error.message}`);
+
+          // Wait before retrying
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,101 @@
+/**
+ * LLM Provider Registry
+ *
+ * Selects the LLM provider used for summaries. Organizations can pick a
+ * provider and model in settings (ai_provider / ai_model); otherwise the
+ * global LLM_PROVIDER is used.
+ *
+ * Providers:
+ * - gemini: Google Gemini (GEMINI_API_KEY)
+ * - openai: Any OpenAI-compatible Chat Completions server (OPENAI_BASE_URL, OPENAI_API_KEY)
+ * - local:  Deterministic offline stub for tests and development
+ *
+ * @module services/llm
+ */
+
+const config = require('../../config');
+const GeminiProvider = require('./gemini_provider');
+const OpenAICompatibleProvider = require('./openai_provider');
+const LocalProvider = require('./local_provider');
+
+const PROVIDER_CLASSES = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  local: LocalProvider
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDER_CLASSES);
+
+// Provider singletons, created on first use
+const instances = new Map();
+
+/**
+ * Get a provider instance by name
+ * @param {string} name - Provider name (defaults to LLM_PROVIDER)
+ * @returns {BaseLLMProvider}
+ */
+function get_provider(name = config.llm.defaultProvider) {
+  const ProviderClass = PROVIDER_CLASSES[name];
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, new ProviderClass());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Resolve provider and model for an organization
+ * @param {Organization|null} organization - Organization document (settings used)
+ * @returns {Object} { provider, model }
+ */
+function get_provider_for_organization(organization) {
+  const name = organization?.settings?.ai_provider || config.llm.defaultProvider;
+  const provider = get_provider(name);
+
+  return {
+    provider,
+    model: organization?.settings?.ai_model || provider.defaultModel
+  };
+}
+
+/**
+ * Resolve provider and model for a chat session's organization
+ * @param {ChatSession} session - Session with organization_id
+ * @returns {Promise<Object>} { provider, model }
+ */
+async function get_provider_for_session(session) {
+  let organization = null;
+  if (session.organization_id) {
+    const { Organization } = require('../../models');
+    organization = await Organization.findById(session.organization_id).select('settings');
+  }
+  return get_provider_for_organization(organization);
+}
+
+/**
+ * Describe all providers and their models
+ * @returns {Promise<Array<Object>>} [{ name, configured, default, models }]
+ */
+async function list_providers() {
+  return Promise.all(PROVIDER_NAMES.map(async name => {
+    const provider = get_provider(name);
+    return {
+      name,
+      configured: provider.is_configured(),
+      default: name === config.llm.defaultProvider,
+      default_model: provider.defaultModel,
+      models: provider.is_configured() ? await provider.list_models() : []
+    };
+  }));
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  get_provider,
+  get_provider_for_organization,
+  get_provider_for_session,
+  list_providers
+};
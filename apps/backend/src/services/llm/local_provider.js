@@ -0,0 +1,230 @@
+/**
+ * Local LLM Provider
+ * Deterministic, offline stand-in for a real model. Builds the summary JSON
+ * directly from the session messages (no network, no API key, zero cost),
+ * so end-to-end tests and local development produce stable summaries.
+ * Images get a caption built from their file metadata and no OCR text.
+ * Questions are answered by quoting the first retrieved sources.
+ *
+ * @module services/llm/local_provider
+ */
+
+const BaseLLMProvider = require('./base_provider');
+const { extract_topics_from_text } = require('../summary_stages/structured_output');
+
+// Phrases that mark a message as an action item (English and Thai)
+const ACTION_PATTERN = /\b(todo|please|need to|must|deadline|follow up)\b|ช่วย|ต้อง|กรุณา|ภายใน/i;
+
+// Phrases that mark a conversation as urgent
+const URGENT_PATTERN = /\b(urgent|asap|immediately|emergency)\b|ด่วน|เร่งด่วน/i;
+
+class LocalProvider extends BaseLLMProvider {
+  constructor() {
+    super('local', {
+      defaultModel: 'local-stub-v1',
+      models: ['local-stub-v1'],
+      pricing: { 'local-stub-v1': { input: 0, output: 0 } }
+    });
+
+    console.log('🤖 LocalProvider initialized (offline, deterministic)');
+  }
+
+  supports_images() {
+    return true;
+  }
+
+  async generate_content(prompt, options = {}) {
+    const messages = options.context?.messages || [];
+    const partials = options.context?.partials || [];
+    const translation = options.context?.translation;
+    const image = options.context?.image;
+    const question = options.context?.question;
+
+    let text;
+    if (question) {
+      text = JSON.stringify(this.answer_local(question.sources));
+    } else if (image) {
+      text = JSON.stringify(this.describe_local_image(image));
+    } else if (translation) {
+      text = JSON.stringify(this.translate_local(translation.source, translation.language));
+    } else if (messages.length > 0) {
+      text = JSON.stringify(this.build_local_summary(messages, options.context.rolling, options.context.template));
+    } else if (partials.length > 0) {
+      text = JSON.stringify(this.merge_local_partials(partials));
+    } else {
+      text = `Local provider response (${prompt.length} character prompt)`;
+    }
+
+    return {
+      text,
+      model: options.model || this.defaultModel,
+      usage: {
+        prompt_tokens: this.estimate_tokens(prompt),
+        completion_tokens: this.estimate_tokens(text),
+        total_tokens: this.estimate_tokens(prompt) + this.estimate_tokens(text)
+      }
+    };
+  }
+
+  /**
+   * Build the summary JSON (same shape the prompt asks real models for)
+   * @param {Array<Object>} messages - Session messages
+   * @param {Object|null} rolling - Rolling context { previous_summary, digest }
+   * @param {Object|null} template - Summary template (custom_fields get placeholder values)
+   * @returns {Object} Summary JSON
+   */
+  build_local_summary(messages, rolling = null, template = null) {
+    const ordered = [...messages].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const textMessages = ordered.filter(msg => msg.message_type === 'text' && msg.message);
+    const allText = textMessages.map(msg => msg.message).join(' ');
+
+    // Participants by message count
+    const counts = {};
+    ordered.forEach(msg => {
+      const speaker = this.getSpeakerName(msg);
+      counts[speaker] = (counts[speaker] || 0) + 1;
+    });
+    const ranked = Object.entries(counts).sort(([a, x], [b, y]) => y - x || a.localeCompare(b));
+
+    const topics = extract_topics_from_text(allText);
+    const actionItems = textMessages
+      .filter(msg => ACTION_PATTERN.test(msg.message))
+      .slice(0, 5)
+      .map(msg => msg.message.slice(0, 200));
+    const isUrgent = URGENT_PATTERN.test(allText);
+    const imageInsights = ordered
+      .filter(msg => msg.message_type === 'image' && msg.image_analysis?.caption)
+      .slice(0, 10)
+      .map(msg => msg.image_analysis.caption);
+
+    const first = textMessages[0]?.message?.slice(0, 120);
+    const last = textMessages[textMessages.length - 1]?.message?.slice(0, 120);
+
+    const summaryText = [
+      `${ordered.length} messages from ${ranked.length} participant(s).`,
+      first ? `Started with: "${first}".` : null,
+      last && last !== first ? `Ended with: "${last}".` : null
+    ].filter(Boolean).join(' ');
+
+    const rollingFields = rolling ? {
+      changes_since_last: `New since last summary: ${summaryText}`,
+      // Keep the newest part so the digest stays bounded
+      running_digest: [rolling.digest, summaryText].filter(Boolean).join('\n').slice(-2000)
+    } : {};
+
+    return {
+      summary: summaryText,
+      key_topics: topics,
+      sentiment: 'neutral',
+      urgency: isUrgent ? 'high' : (actionItems.length > 0 ? 'medium' : 'low'),
+      category: 'general',
+      action_items: actionItems,
+      participants_analysis: {
+        total_participants: ranked.length,
+        message_distribution: ranked.map(([name, count]) => `${name}: ${count}`).join(', '),
+        engagement_level: ordered.length >= 20 ? 'high' : (ordered.length >= 5 ? 'medium' : 'low')
+      },
+      conversation_highlights: [first, last].filter(Boolean).filter((item, i, arr) => arr.indexOf(item) === i),
+      follow_up_needed: actionItems.length > 0 ? 'yes' : 'no',
+      tags: topics.slice(0, 3),
+      image_insights: imageInsights,
+      ...rollingFields,
+      ...(template?.output_fields?.length ? { custom_fields: this.build_local_custom_fields(template.output_fields) } : {})
+    };
+  }
+  /**
+   * Placeholder values for template output fields (valid for the field type)
+   * @param {Array<Object>} fields - SummaryTemplate output_fields
+   * @returns {Object} { [key]: value }
+   */
+  build_local_custom_fields(fields) {
+    const placeholder = {
+      text: field => (field.required ? `${field.label} (local)` : null),
+      list: () => [],
+      enum: field => field.options[0],
+      number: () => 0,
+      boolean: () => false
+    };
+
+    return Object.fromEntries(fields.map(field => [field.key, (placeholder[field.type] || placeholder.text)(field)]));
+  }
+
+  /**
+   * Merge partial summaries (map-reduce merge batches) into chunk JSON
+   * @param {Array<Object>} partials - Partial summaries
+   * @returns {Object} Chunk summary JSON
+   */
+  merge_local_partials(partials) {
+    const urgencyRank = { low: 0, medium: 1, high: 2 };
+    const urgency = partials
+      .map(partial => partial.urgency || 'low')
+      .reduce((max, level) => (urgencyRank[level] > urgencyRank[max] ? level : max), 'low');
+
+    return {
+      summary: partials.map(partial => partial.summary).filter(Boolean).join(' ').slice(0, 2000),
+      key_topics: [...new Set(partials.flatMap(partial => partial.key_topics || []))].slice(0, 10),
+      sentiment: 'neutral',
+      urgency,
+      action_items: partials.flatMap(partial => partial.action_items || []).slice(0, 20),
+      image_insights: partials.flatMap(partial => partial.image_insights || []).slice(0, 20)
+    };
+  }
+
+  /**
+   * Caption an image from its metadata (type, dimensions, size); no OCR
+   * @param {Object} image - { data, mime_type, size, dimensions }
+   * @returns {Object} Image JSON
+   */
+  describe_local_image(image) {
+    const size = image.size || image.data?.length || 0;
+    const details = [
+      image.mime_type,
+      image.dimensions ? `${image.dimensions.width}x${image.dimensions.height}` : null,
+      `${Math.max(1, Math.round(size / 1024))} KB`
+    ].filter(Boolean);
+
+    return {
+      image_type: 'other',
+      caption: `Image (${details.join(', ')})`,
+      text: ''
+    };
+  }
+
+  /**
+   * Answer by quoting the first (best ranked) sources
+   * @param {Array<Object>} sources - [{ type, label, text }] in citation order
+   * @returns {Object} Answer JSON
+   */
+  answer_local(sources) {
+    const quoted = sources.slice(0, 3);
+    if (quoted.length === 0) {
+      return { answer: 'No matching conversations found.', citations: [], confidence: 'low' };
+    }
+
+    return {
+      answer: quoted.map((source, index) => `${source.text.slice(0, 200)} [${index + 1}]`).join('\n'),
+      citations: quoted.map((source, index) => index + 1),
+      confidence: 'medium'
+    };
+  }
+
+  /**
+   * "Translate" by tagging each text with the target language
+   * @param {Object} source - Translation source JSON
+   * @param {string} language - Target language code
+   * @returns {Object} Translation JSON
+   */
+  translate_local(source, language) {
+    const tag = text => `[${language}] ${text}`;
+
+    return {
+      summary: tag(source.summary || ''),
+      key_topics: (source.key_topics || []).map(tag),
+      action_items: (source.action_items || []).map(tag),
+      conversation_highlights: (source.conversation_highlights || []).map(tag),
+      changes_since_last: source.changes_since_last ? tag(source.changes_since_last) : null
+    };
+  }
+}
+
+module.exports = LocalProvider;
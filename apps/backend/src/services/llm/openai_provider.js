@@ -0,0 +1,155 @@
+/**
+ * OpenAI-Compatible LLM Provider
+ * Talks to any server implementing the OpenAI Chat Completions API
+ * (OpenAI, Azure-style gateways, vLLM, Ollama, LM Studio, ...).
+ *
+ * @module services/llm/openai_provider
+ */
+
+const axios = require('axios');
+const BaseLLMProvider = require('./base_provider');
+const config = require('../../config');
+
+// USD per 1K tokens for well-known OpenAI models; self-hosted models cost 0
+const OPENAI_PRICING = {
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+  'gpt-4o': { input: 0.0025, output: 0.01 },
+  'gpt-4.1-mini': { input: 0.0004, output: 0.0016 },
+  'gpt-4.1-nano': { input: 0.0001, output: 0.0004 }
+};
+
+class OpenAICompatibleProvider extends BaseLLMProvider {
+  /**
+   * @param {Object} options - { apiKey, baseUrl, model, timeoutMs }
+   */
+  constructor(options = {}) {
+    const settings = { ...config.llm.openai, ...options };
+
+    super('openai', {
+      defaultModel: settings.model,
+      models: [settings.model],
+      pricing: OPENAI_PRICING
+    });
+
+    this.apiKey = settings.apiKey;
+    this.baseUrl = (settings.baseUrl || '').replace(/\/+$/, '');
+    this.timeoutMs = settings.timeoutMs;
+
+    console.log(`🤖 OpenAICompatibleProvider initialized with ${this.defaultModel} at ${this.baseUrl}`);
+  }
+
+  /**
+   * Local OpenAI-compatible servers usually need no key, so only the URL is required
+   */
+  is_configured() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Images are sent as data URLs; servers without a vision model reject them
+   * and the image is recorded as failed
+   */
+  supports_images() {
+    return true;
+  }
+
+  get_headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async generate_content(prompt, options = {}, maxRetries = 3) {
+    const model = options.model || this.defaultModel;
+    let lastError;
+
+    // Images are sent as a data URL part next to the prompt text
+    const content = options.image
+      ? [
+        { type: 'text', text: prompt },
+        { type: 'image_url', image_url: { url: `data:${options.image.mime_type};base64,${options.image.data.toString('base64')}` } }
+      ]
+      : prompt;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        console.log(`🤖 OpenAI-compatible API attempt ${attempt}/${maxRetries} with model ${model}`);
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+          model,
+          messages: [{ role: 'user', content }],
+          temperature: 0.2
+        }, {
+          headers: this.get_headers(),
+          timeout: this.timeoutMs
+        });
+
+        const data = response.data || {};
+        const text = data.choices?.[0]?.message?.content || '';
+        const usage = data.usage || {};
+
+        // Some compatible servers omit usage; estimate it so accounting stays populated
+        const promptTokens = usage.prompt_tokens ?? this.estimate_tokens(prompt);
+        const completionTokens = usage.completion_tokens ?? this.estimate_tokens(text);
+
+        return {
+          text,
+          model: data.model || model,
+          usage: {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: usage.total_tokens ?? promptTokens + completionTokens
+          }
+        };
+
+      } catch (error) {
+        lastError = error;
+        const status = error.response?.status;
+
+        // Retry rate limiting, server errors and network failures
+        const isRetryableError = status === 429 || status >= 500 || !error.response;
+
+        if (!isRetryableError || attempt === maxRetries) {
+          const detail = error.response?.data?.error?.message || error.message;
+          console.error(`❌ OpenAI-compatible API failed on attempt ${attempt}/${maxRetries}:`, detail);
+          throw new Error(`OpenAI-compatible API error${status ? ` (${status})` : ''}: ${detail}`);
+        }
+
+        const delay = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
+        console.warn(`⚠️ OpenAI-compatible API unavailable (attempt ${attempt}/${maxRetries}). Retrying in ${Math.round(delay / 1000)}s...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * List models from the server's /models endpoint, falling back to the configured model
+   */
+  async list_models() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/models`, {
+        headers: this.get_headers(),
+        timeout: 10000
+      });
+
+      const ids = (response.data?.data || []).map(model => model.id).filter(Boolean);
+      if (ids.length > 0) {
+        return ids.map(id => ({
+          id,
+          default: id === this.defaultModel,
+          pricing: this.pricing[id] || null
+        }));
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not list OpenAI-compatible models: ${error.message}`);
+    }
+
+    return super.list_models();
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,411 @@
+/**
+ * Summary Output Schema
+ *
+ * Single definition of the JSON a model must return. The prompt's JSON
+ * template is rendered from the field lists below and the parser validates
+ * against a zod schema built from the same lists, so the two cannot drift.
+ *
+ * Validation is tolerant of harmless variations (enum casing, booleans for
+ * yes/no, a string where a list is expected) and strict about everything else.
+ *
+ * @module services/llm/summary_schema
+ */
+
+const { z } = require('zod');
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const URGENCY_LEVELS = ['low', 'medium', 'high'];
+const ENGAGEMENT_LEVELS = ['high', 'medium', 'low'];
+const FOLLOW_UP_VALUES = ['yes', 'no'];
+const IMAGE_TYPES = ['receipt', 'delivery_proof', 'whiteboard', 'document', 'screenshot', 'photo', 'other'];
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// Upper bound on list fields (topics, action items, highlights, tags)
+const MAX_LIST_ITEMS = 20;
+
+// ════════════════════════════════════════════════════════════════
+// Field types
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Enum that accepts any casing/whitespace
+ */
+const loose_enum = (values) => z.preprocess(
+  value => (typeof value === 'string' ? value.trim().toLowerCase() : value),
+  z.enum(values)
+);
+
+/**
+ * List of non-empty strings; a single string becomes a one-item list
+ */
+const string_list = () => z.preprocess(
+  value => {
+    if (typeof value === 'string') return value.trim() ? [value] : [];
+    if (Array.isArray(value)) {
+      return value
+        .map(item => (typeof item === 'string' || typeof item === 'number' ? String(item).trim() : item))
+        .filter(item => item !== '');
+    }
+    return value;
+  },
+  z.array(z.string()).max(MAX_LIST_ITEMS)
+);
+
+const non_empty_text = () => z.string().trim().min(1);
+
+const follow_up = () => z.preprocess(
+  value => {
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    if (typeof value === 'string') {
+      const normalized = value.trim().toLowerCase();
+      if (['true', 'ใช่', 'ต้องการ'].includes(normalized)) return 'yes';
+      if (['false', 'ไม่', 'ไม่ต้องการ'].includes(normalized)) return 'no';
+      return normalized;
+    }
+    return value;
+  },
+  z.enum(FOLLOW_UP_VALUES)
+);
+
+// ════════════════════════════════════════════════════════════════
+// Field lists (prompt example + validator per field)
+// ════════════════════════════════════════════════════════════════
+
+const SUMMARY_FIELDS = [
+  {
+    key: 'summary',
+    schema: non_empty_text(),
+    example: '"สรุปครอบคลุม 2-3 ย่อหน้าของการสนทนา รวมถึงหัวข้อหลัก การตัดสินใจสำคัญ และผลลัพธ์"'
+  },
+  { key: 'key_topics', schema: string_list(), example: '["หัวข้อ1", "หัวข้อ2", "หัวข้อ3"]' },
+  { key: 'sentiment', schema: loose_enum(SENTIMENTS), example: `"${SENTIMENTS.join('/')}"` },
+  { key: 'urgency', schema: loose_enum(URGENCY_LEVELS), example: `"${URGENCY_LEVELS.join('/')}"` },
+  { key: 'category', schema: non_empty_text(), example: '"หมวดหมู่ทั่วไปของการสนทนา"' },
+  { key: 'action_items', schema: string_list(), example: '["สิ่งที่ต้องทำ 1", "สิ่งที่ต้องทำ 2"]' },
+  {
+    key: 'participants_analysis',
+    schema: z.object({
+      total_participants: z.coerce.number().int().min(0),
+      message_distribution: z.string().trim(),
+      engagement_level: loose_enum(ENGAGEMENT_LEVELS)
+    }),
+    example: `{
+    "total_participants": number,
+    "message_distribution": "คำอธิบายว่าใครมีส่วนร่วมมากที่สุด",
+    "engagement_level": "${ENGAGEMENT_LEVELS.join('/')}"
+  }`
+  },
+  {
+    key: 'conversation_highlights',
+    schema: string_list(),
+    example: `[
+    "ประเด็นสำคัญที่สุดหรือการตัดสินใจที่ทำ"
+  ]`
+  },
+  { key: 'follow_up_needed', schema: follow_up(), example: `"${FOLLOW_UP_VALUES.join('/')}"` },
+  { key: 'tags', schema: string_list(), example: '["แท็ก1", "แท็ก2", "แท็ก3"]' },
+  {
+    key: 'image_insights',
+    schema: string_list().optional(),
+    example: '["ข้อมูลสำคัญจากรูปภาพ [IMAGE] เช่น ยอดเงินในใบเสร็จ หลักฐานการจัดส่ง สิ่งที่เขียนบนไวท์บอร์ด (ใช้ [] หากไม่มีรูปภาพ)"]'
+  }
+];
+
+// Extra fields required in rolling mode (see services/rolling_summary)
+const ROLLING_FIELDS = [
+  {
+    key: 'changes_since_last',
+    schema: non_empty_text(),
+    example: '"สิ่งที่เปลี่ยนแปลงหรือเกิดขึ้นใหม่ตั้งแต่การสรุปครั้งก่อน (ความคืบหน้า การตัดสินใจใหม่ ประเด็นที่ปิดแล้วหรือเปิดใหม่)"'
+  },
+  {
+    key: 'running_digest',
+    schema: non_empty_text(),
+    example: '"สรุปภาพรวมต่อเนื่องของห้องนี้ที่อัปเดตแล้ว รวมเนื้อหาเดิมกับการสนทนาครั้งนี้ ไม่เกิน 3 ย่อหน้า"'
+  }
+];
+
+// Map step of map-reduce summaries (one chunk or a batch of partial summaries)
+const CHUNK_FIELDS = [
+  { key: 'summary', schema: non_empty_text(), example: '"สรุป 1-2 ย่อหน้า รวมถึงหัวข้อหลัก การตัดสินใจ และผลลัพธ์"' },
+  { key: 'key_topics', schema: string_list(), example: '["หัวข้อ1", "หัวข้อ2"]' },
+  { key: 'sentiment', schema: loose_enum(SENTIMENTS), example: `"${SENTIMENTS.join('/')}"` },
+  { key: 'urgency', schema: loose_enum(URGENCY_LEVELS), example: `"${URGENCY_LEVELS.join('/')}"` },
+  { key: 'action_items', schema: string_list(), example: '["สิ่งที่ต้องทำ 1"]' },
+  { key: 'image_insights', schema: string_list().optional(), example: '["ข้อมูลสำคัญจากรูปภาพ (ใช้ [] หากไม่มี)"]' }
+];
+
+// Caption and text of one chat image (see services/image_analyzer)
+const IMAGE_FIELDS = [
+  { key: 'image_type', schema: loose_enum(IMAGE_TYPES), example: `"${IMAGE_TYPES.join('/')}"` },
+  {
+    key: 'caption',
+    schema: non_empty_text(),
+    example: '"คำอธิบายรูปภาพ 1-2 ประโยค เช่น ใบเสร็จจากร้านอะไร ยอดรวมเท่าไร พัสดุส่งถึงที่ไหน"'
+  },
+  {
+    key: 'text',
+    schema: z.preprocess(value => (value === null || value === undefined ? '' : value), z.string().trim()),
+    example: '"ข้อความทั้งหมดที่อ่านได้ในรูปตามต้นฉบับ (สตริงว่างหากไม่มีข้อความ)"'
+  }
+];
+
+// Translation of a finished summary (summaries.get on-demand translation)
+const TRANSLATION_FIELDS = [
+  { key: 'summary', schema: non_empty_text(), example: '"สรุปที่แปลแล้ว"' },
+  { key: 'key_topics', schema: string_list(), example: '["หัวข้อที่แปลแล้ว"]' },
+  { key: 'action_items', schema: string_list(), example: '["สิ่งที่ต้องทำที่แปลแล้ว"]' },
+  { key: 'conversation_highlights', schema: string_list(), example: '["ประเด็นสำคัญที่แปลแล้ว"]' },
+  { key: 'changes_since_last', schema: z.string().trim().nullable().optional(), example: '"สิ่งที่เปลี่ยนแปลงที่แปลแล้ว หรือ null"' }
+];
+
+// Answer to a question about chat history (see services/chat_qa)
+const ANSWER_FIELDS = [
+  {
+    key: 'answer',
+    schema: non_empty_text(),
+    example: '"คำตอบที่อ้างอิงเฉพาะจากแหล่งข้อมูล พร้อมเลขอ้างอิงในวงเล็บ เช่น [1] [3]"'
+  },
+  {
+    key: 'citations',
+    // Accepts [1, 3], ["1", "[3]"] or "1, 3"
+    schema: z.preprocess(
+      value => {
+        const items = typeof value === 'string' ? value.split(/[,\s]+/) : value;
+        return Array.isArray(items)
+          ? items.map(item => (typeof item === 'string' ? item.replace(/[[\]#]/g, '').trim() : item)).filter(item => item !== '')
+          : items;
+      },
+      z.array(z.coerce.number().int().min(1)).max(MAX_LIST_ITEMS)
+    ),
+    example: '[1, 3]'
+  },
+  { key: 'confidence', schema: loose_enum(CONFIDENCE_LEVELS), example: `"${CONFIDENCE_LEVELS.join('/')}"` }
+];
+
+// ════════════════════════════════════════════════════════════════
+// Output specs
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Validator for one organization-defined template field
+ * @param {Object} field - SummaryTemplate output field { type, options, required }
+ * @returns {ZodType}
+ */
+function template_field_schema(field) {
+  let schema;
+  switch (field.type) {
+    case 'list':
+      schema = string_list();
+      break;
+    case 'enum':
+      schema = loose_enum(field.options.map(option => option.toLowerCase()));
+      break;
+    case 'number':
+      schema = z.coerce.number();
+      break;
+    case 'boolean':
+      schema = z.preprocess(
+        value => (typeof value === 'string' ? ['true', 'yes', 'ใช่'].includes(value.trim().toLowerCase()) : value),
+        z.boolean()
+      );
+      break;
+    default:
+      schema = z.string().trim();
+  }
+
+  return field.required ? schema : schema.nullable().optional();
+}
+
+/**
+ * Prompt example for one template field
+ * @param {Object} field - SummaryTemplate output field
+ * @returns {string}
+ */
+function template_field_example(field) {
+  const hint = field.description || field.label;
+  switch (field.type) {
+    case 'list':
+      return `[${JSON.stringify(hint)}]`;
+    case 'enum':
+      return JSON.stringify(field.options.join('/'));
+    case 'number':
+      return `number (${hint})`;
+    case 'boolean':
+      return `true/false (${hint})`;
+    default:
+      return JSON.stringify(hint);
+  }
+}
+
+/**
+ * "custom_fields" entry for templates with output fields
+ * @param {Array<Object>} templateFields - SummaryTemplate output_fields
+ * @returns {Object} Field definition
+ */
+function build_custom_fields_field(templateFields) {
+  const example = templateFields
+    .map(field => `    "${field.key}": ${template_field_example(field)}`)
+    .join(',\n');
+
+  return {
+    key: 'custom_fields',
+    schema: z.object(Object.fromEntries(templateFields.map(field => [field.key, template_field_schema(field)]))),
+    example: `{\n${example}\n  }`
+  };
+}
+
+/**
+ * Get the output spec for a prompt kind
+ * @param {string} kind - 'summary' | 'chunk' | 'translation' | 'image' | 'answer'
+ * @param {Object} options - { rolling, template } add the rolling fields and
+ *   the template's custom fields to 'summary'
+ * @returns {Object} { kind, fields, schema, template }
+ */
+function get_output_spec(kind = 'summary', { rolling = false, template = null } = {}) {
+  let fields;
+  if (kind === 'chunk') {
+    fields = CHUNK_FIELDS;
+  } else if (kind === 'translation') {
+    fields = TRANSLATION_FIELDS;
+  } else if (kind === 'image') {
+    fields = IMAGE_FIELDS;
+  } else if (kind === 'answer') {
+    fields = ANSWER_FIELDS;
+  } else {
+    fields = rolling ? [...SUMMARY_FIELDS, ...ROLLING_FIELDS] : SUMMARY_FIELDS;
+    if (template?.output_fields?.length) {
+      fields = [...fields, build_custom_fields_field(template.output_fields)];
+    }
+  }
+
+  return {
+    kind,
+    fields,
+    schema: z.object(Object.fromEntries(fields.map(field => [field.key, field.schema]))),
+    template: render_json_template(fields)
+  };
+}
+
+/**
+ * Render the JSON template shown to the model
+ * @param {Array<Object>} fields - Field list
+ * @returns {string}
+ */
+function render_json_template(fields) {
+  const lines = fields.map(field => `  "${field.key}": ${field.example}`);
+  return `{\n${lines.join(',\n')}\n}`;
+}
+
+// ════════════════════════════════════════════════════════════════
+// Parsing
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Extract the first JSON object from a model response
+ * Handles ```json fences, leading/trailing prose and braces inside strings.
+ * @param {string} text - Raw model output
+ * @returns {Object|null}
+ */
+function extract_json(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced?.[1], text].filter(Boolean);
+
+  for (const candidate of candidates) {
+    const trimmed = candidate.trim();
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // Not pure JSON; scan for a balanced object below
+    }
+
+    for (let start = trimmed.indexOf('{'); start !== -1; start = trimmed.indexOf('{', start + 1)) {
+      const end = find_object_end(trimmed, start);
+      if (end === -1) break;
+      try {
+        return JSON.parse(trimmed.slice(start, end + 1));
+      } catch (error) {
+        // Try the next opening brace
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the closing brace matching the one at `start`, skipping string contents
+ * @returns {number} Index of the closing brace, or -1
+ */
+function find_object_end(text, start) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Parse and validate a model response against an output spec
+ * @param {string} text - Raw model output
+ * @param {Object} spec - Output spec from get_output_spec
+ * @returns {Object} { valid, data, raw, errors }
+ */
+function validate_output(text, spec) {
+  const raw = extract_json(text);
+  if (!raw) {
+    return { valid: false, data: null, raw: null, errors: ['response is not a JSON object'] };
+  }
+
+  const result = spec.schema.safeParse(raw);
+  if (!result.success) {
+    return {
+      valid: false,
+      data: null,
+      raw,
+      errors: result.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+    };
+  }
+
+  return { valid: true, data: result.data, raw, errors: [] };
+}
+
+module.exports = {
+  SENTIMENTS,
+  URGENCY_LEVELS,
+  ENGAGEMENT_LEVELS,
+  FOLLOW_UP_VALUES,
+  IMAGE_TYPES,
+  CONFIDENCE_LEVELS,
+  SUMMARY_FIELDS,
+  ROLLING_FIELDS,
+  CHUNK_FIELDS,
+  TRANSLATION_FIELDS,
+  IMAGE_FIELDS,
+  ANSWER_FIELDS,
+  get_output_spec,
+  render_json_template,
+  extract_json,
+  validate_output
+};
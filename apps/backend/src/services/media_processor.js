@@ -0,0 +1,340 @@
+/**
+ * Media Processor
+ *
+ * Turns audio, video and file messages into text that summaries and search
+ * can use. Voice messages and videos are transcribed by the speech-to-text
+ * provider (STT_PROVIDER, see services/stt), and documents are read by
+ * document_text_extractor. The result replaces the "audio message" style
+ * placeholder in Message.message:
+ *
+ *   Voice message (0:12): <transcript>
+ *   File "quote.pdf" (240 KB): <extracted text>
+ *
+ * The processing state is stored in Message.media_processing. Content is
+ * downloaded from LINE by the `media:process` job right after the message
+ * arrives and is kept in the GridFS "media" bucket so that retries do not
+ * download it again. When a session is summarized before that job ran (or
+ * after it failed), its remaining media is processed inline, up to
+ * MEDIA_MAX_PER_SESSION.
+ *
+ * @module services/media_processor
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config');
+const { Message, Owner } = require('../models');
+const lineService = require('./line_service');
+const { get_stt_provider } = require('./stt');
+const { extract_document_text, detect_document_format } = require('./document_text_extractor');
+
+// Message types handled here
+const MEDIA_MESSAGE_TYPES = ['audio', 'video', 'file'];
+
+// Processing states that still need work
+const UNPROCESSED_STATUSES = ['pending', 'failed'];
+
+/**
+ * Format a duration as m:ss (or h:mm:ss)
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {string}
+ */
+function format_duration(durationMs) {
+  const totalSeconds = Math.round(durationMs / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Format a byte count for display (e.g. 1.2 MB)
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function format_size(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Placeholder text for a media message (used until, or instead of, its transcript)
+ * @param {string} type - audio | video | file
+ * @param {Object} details - { duration_ms, file_name, size }
+ * @returns {string} e.g. 'Voice message (0:12)', 'File "quote.pdf" (240 KB)'
+ */
+function describe_media(type, { duration_ms = null, file_name = null, size = null } = {}) {
+  if (type === 'audio') {
+    return duration_ms ? `Voice message (${format_duration(duration_ms)})` : 'Voice message';
+  }
+  if (type === 'video') {
+    return duration_ms ? `Video (${format_duration(duration_ms)})` : 'Video';
+  }
+
+  const name = file_name ? `File "${file_name}"` : 'File';
+  return size ? `${name} (${format_size(size)})` : name;
+}
+
+/**
+ * Size limit for a media message type
+ * @param {string} type - audio | video | file
+ * @returns {number} Bytes
+ */
+function max_bytes_for(type) {
+  if (type === 'audio') return config.media.maxAudioBytes;
+  if (type === 'video') return config.media.maxVideoBytes;
+  return config.media.maxFileBytes;
+}
+
+/**
+ * Read saved media content from the GridFS "media" bucket
+ * @param {ObjectId|string} gridFsId - GridFS file ID
+ * @returns {Promise<Object|null>} { data, content_type, size } or null when missing
+ */
+async function load_media(gridFsId) {
+  const bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: 'media'
+  });
+  const id = new mongoose.Types.ObjectId(String(gridFsId));
+
+  const [file] = await bucket.find({ _id: id }).toArray();
+  if (!file) {
+    return null;
+  }
+
+  const chunks = [];
+  for await (const chunk of bucket.openDownloadStream(id)) {
+    chunks.push(chunk);
+  }
+
+  return {
+    data: Buffer.concat(chunks),
+    content_type: file.metadata?.contentType || 'application/octet-stream',
+    size: file.length
+  };
+}
+
+/**
+ * Media content of a message: from GridFS when already saved, otherwise
+ * downloaded from LINE with the owner's channel token and saved
+ * @param {Message} message - Media message document
+ * @param {Owner|null} owner - LINE OA owner (loaded when omitted)
+ * @returns {Promise<Object|null>} { data, content_type, size } or null when not available
+ * @throws {Error} On download failure; error.code = 'MEDIA_TOO_LARGE' when over the size limit
+ */
+async function get_media_content(message, owner) {
+  if (message.media_grid_fs_id) {
+    const saved = await load_media(message.media_grid_fs_id);
+    if (saved) {
+      return saved;
+    }
+  }
+
+  if (!message.line_message_id) {
+    return null;
+  }
+
+  if (owner === undefined) {
+    owner = await Owner.findById(message.owner_id);
+  }
+
+  const content = await lineService.for_owner(owner).download_and_save_content(message.line_message_id, {
+    max_bytes: max_bytes_for(message.message_type),
+    file_name: message.file_name,
+    message_type: message.message_type
+  });
+
+  message.media_grid_fs_id = content.file_id;
+  message.media_content_type = content.content_type;
+  message.media_size = content.size;
+  await Message.updateOne({ _id: message._id }, {
+    $set: {
+      media_grid_fs_id: content.file_id,
+      media_content_type: content.content_type,
+      media_size: content.size
+    }
+  });
+
+  return content;
+}
+
+/**
+ * Store a processing result on the message (document and database)
+ * Completed results with text also replace the message text.
+ * @param {Message} message - Message document
+ * @param {Object} processing - media_processing fields
+ * @param {string|null} text - Transcript or document text
+ * @returns {Promise<Object>} The stored processing state
+ */
+async function save_processing(message, processing, text = null) {
+  const update = { media_processing: processing };
+
+  if (text) {
+    const placeholder = describe_media(message.message_type, {
+      duration_ms: message.media_duration_ms,
+      file_name: message.file_name,
+      size: message.media_size
+    });
+    const truncated = text.length > config.media.maxTextLength;
+    const body = truncated ? `${text.slice(0, config.media.maxTextLength)}…` : text;
+
+    processing.truncated = truncated;
+    update.message = `${placeholder}: ${body}`;
+    update.message_size = update.message.length;
+  }
+
+  Object.assign(message, update);
+  await Message.updateOne({ _id: message._id }, { $set: update });
+  return processing;
+}
+
+/**
+ * Transcribe or extract the text of one media message
+ * External content (contentProvider other than LINE), content over the size
+ * limit and unsupported file formats are recorded as 'skipped'. STT and
+ * download errors are recorded as 'failed' and rethrown so the job queue can
+ * retry. With transcribe off, voice and video content is only downloaded and
+ * stored, and the message is left unprocessed for a later run.
+ * @param {Message} message - Audio, video or file message document
+ * @param {Object} options - { owner, transcribe } (owner is loaded when omitted; transcribe defaults to true)
+ * @returns {Promise<Object|null>} media_processing, or null for other message types
+ */
+async function process_media_message(message, { owner, transcribe = true } = {}) {
+  if (!MEDIA_MESSAGE_TYPES.includes(message.message_type)) {
+    return null;
+  }
+  if (message.media_processing?.status === 'completed') {
+    return message.media_processing;
+  }
+
+  const kind = message.message_type === 'file' ? 'document' : 'transcript';
+
+  const skip = (reason) => {
+    console.log(`⏭️ Skipping media processing for message ${message._id}: ${reason}`);
+    return save_processing(message, { status: 'skipped', kind, error: reason, processed_at: new Date() });
+  };
+
+  if (message.message_type === 'file' && !detect_document_format({ file_name: message.file_name })) {
+    return skip('unsupported file format');
+  }
+
+  let content;
+  try {
+    content = await get_media_content(message, owner);
+  } catch (error) {
+    if (error.code === 'MEDIA_TOO_LARGE') {
+      return skip(error.message);
+    }
+    await save_processing(message, { status: 'failed', kind, error: error.message, processed_at: new Date() });
+    throw error;
+  }
+  if (!content) {
+    return skip('content not available');
+  }
+  if (kind === 'transcript' && !transcribe) {
+    return message.media_processing || null;
+  }
+
+  try {
+    let result;
+    if (kind === 'transcript') {
+      const stt = get_stt_provider();
+      const transcript = await stt.transcribe({
+        data: content.data,
+        mime_type: content.content_type,
+        file_name: message.file_name || `${message.line_message_id}.${message.message_type === 'audio' ? 'm4a' : 'mp4'}`,
+        duration_ms: message.media_duration_ms
+      });
+      result = {
+        text: transcript.text.trim(),
+        processing: {
+          provider: transcript.provider,
+          model: transcript.model,
+          language: transcript.language
+        }
+      };
+    } else {
+      const document = await extract_document_text(content.data, {
+        file_name: message.file_name,
+        content_type: content.content_type
+      });
+      if (!document) {
+        return skip('unsupported file format');
+      }
+      result = {
+        text: document.text,
+        processing: { provider: document.format, model: null, language: null }
+      };
+    }
+
+    console.log(`🎧 Media message ${message._id} processed: ${result.text.length} characters of ${kind}`);
+
+    return save_processing(message, {
+      status: 'completed',
+      kind,
+      ...result.processing,
+      text_length: result.text.length,
+      truncated: false,
+      error: null,
+      processed_at: new Date()
+    }, result.text);
+  } catch (error) {
+    await save_processing(message, {
+      status: 'failed',
+      kind,
+      error: error.message,
+      processed_at: new Date()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Process the session's media messages that are still unprocessed (summary time)
+ * Updates the given message documents in place; one message failing does not
+ * stop the others.
+ * @param {ChatSession} session - Session being summarized
+ * @param {Array<Message>} messages - Session messages (loaded documents)
+ * @returns {Promise<number>} Number of messages processed
+ */
+async function process_session_media(session, messages) {
+  const pending = messages.filter(msg =>
+    msg._id &&
+    MEDIA_MESSAGE_TYPES.includes(msg.message_type) &&
+    UNPROCESSED_STATUSES.includes(msg.media_processing?.status)
+  );
+  if (pending.length === 0) {
+    return 0;
+  }
+
+  const owner = await Owner.findById(session.owner_id);
+  const batch = pending.slice(0, config.media.maxPerSession);
+  if (batch.length < pending.length) {
+    console.warn(`⚠️ Session ${session.session_id} has ${pending.length} unprocessed media messages; processing the first ${batch.length}`);
+  }
+
+  let processed = 0;
+  for (const message of batch) {
+    try {
+      const processing = await process_media_message(message, { owner });
+      if (processing?.status === 'completed') processed++;
+    } catch (error) {
+      console.error(`❌ Media processing failed for message ${message._id}:`, error.message);
+    }
+  }
+
+  console.log(`🎧 Processed ${processed}/${batch.length} media messages for session ${session.session_id}`);
+  return processed;
+}
+
+module.exports = {
+  MEDIA_MESSAGE_TYPES,
+  describe_media,
+  max_bytes_for,
+  load_media,
+  process_media_message,
+  process_session_media
+};
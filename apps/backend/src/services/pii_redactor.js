@@ -0,0 +1,547 @@
+/**
+ * PII Redactor
+ *
+ * Replaces personal data in conversation text with placeholders before it is
+ * sent to an LLM provider, when the organization turns redaction on
+ * (Organization.settings.pii_redaction):
+ *
+ *   "โทร 081-234-5678 หรือ somchai@example.com" → "โทร [PHONE_1] หรือ [EMAIL_1]"
+ *
+ * Built-in detectors: Thai national ID (checksum-validated), Thai phone
+ * numbers, emails, bank account numbers (next to a word like "บัญชี" or
+ * "account") and card numbers (Luhn-validated). Organizations can add their
+ * own regexes (e.g. customer or order numbers); patterns that repeat a
+ * repeating group, like (a+)+, are rejected since they can backtrack for ages.
+ *
+ * The same value always gets the same placeholder within a summary, and the
+ * placeholder → value list is stored on the Summary (redaction.placeholders,
+ * not selected by default) so viewers allowed to read the raw messages
+ * (org:messages:view) see the real values. Rolling summaries reuse the
+ * previous summary's placeholders so the running digest stays consistent.
+ *
+ * @module services/pii_redactor
+ */
+
+const { Organization, Summary } = require('../models');
+
+// Built-in detectors, in the order they are applied (custom patterns run first)
+const PII_DETECTORS = ['thai_id', 'card_number', 'email', 'phone', 'bank_account'];
+
+// Placeholder prefix of each built-in detector
+const DETECTOR_LABELS = {
+  thai_id: 'THAI_ID',
+  card_number: 'CARD',
+  email: 'EMAIL',
+  phone: 'PHONE',
+  bank_account: 'BANK_ACCOUNT'
+};
+
+// Custom pattern limits (patterns run on every message of every summarized session)
+const CUSTOM_PATTERN_LIMITS = {
+  max_patterns: 20,
+  max_length: 200
+};
+
+// Matches any placeholder produced here, e.g. [PHONE_1], [ORDER_ID_12]
+const PLACEHOLDER_PATTERN = /\[[A-Z][A-Z0-9_]*_\d+\]/;
+
+// A bare 10-12 digit number is only a bank account with one of these words nearby
+const BANK_ACCOUNT_CONTEXT = /บัญชี|บช\.?|ธนาคาร|โอน|พร้อมเพย์|กสิกร|ไทยพาณิชย์|กรุงเทพ|กรุงไทย|กรุงศรี|ออมสิน|\b(?:bank|account|acct|a\/c|transfer|promptpay|kbank|scb|bbl|ktb|bay|ttb|gsb)\b/i;
+
+// Characters around a bank account number searched for BANK_ACCOUNT_CONTEXT
+const BANK_ACCOUNT_CONTEXT_WINDOW = 40;
+
+/**
+ * Whether 13 digits are a valid Thai national ID (mod 11 check digit)
+ * @param {string} digits - 13 digits
+ * @returns {boolean}
+ */
+function is_valid_thai_id(digits) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(digits[i]) * (13 - i);
+  }
+  return (11 - (sum % 11)) % 10 === Number(digits[12]);
+}
+
+/**
+ * Whether a digit string passes the Luhn check (card numbers)
+ * @param {string} digits - Card number digits
+ * @returns {boolean}
+ */
+function is_valid_luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Digits of a matched value (separators removed)
+ * @param {string} value - Matched text
+ * @returns {string}
+ */
+function digits_of(value) {
+  return value.replace(/\D/g, '');
+}
+
+/**
+ * Whether a bank account number has a banking word around it
+ * @param {string} text - Text being redacted
+ * @param {number} offset - Position of the number in the text
+ * @param {number} length - Length of the number
+ * @returns {boolean}
+ */
+function has_bank_context(text, offset, length) {
+  const start = Math.max(0, offset - BANK_ACCOUNT_CONTEXT_WINDOW);
+  return BANK_ACCOUNT_CONTEXT.test(text.slice(start, offset + length + BANK_ACCOUNT_CONTEXT_WINDOW));
+}
+
+/**
+ * Built-in detector definitions
+ * `valid(value, text, offset)` rejects look-alike matches; `key` makes
+ * differently formatted copies of one value ("081-234-5678", "0812345678")
+ * share a placeholder.
+ */
+const DETECTOR_RULES = {
+  thai_id: {
+    pattern: /(?<!\d)\d[ -]?\d{4}[ -]?\d{5}[ -]?\d{2}[ -]?\d(?!\d)/g,
+    valid: value => is_valid_thai_id(digits_of(value)),
+    key: digits_of
+  },
+  card_number: {
+    pattern: /(?<!\d)\d{4}(?:[ -]?\d{4}){2}[ -]?\d{1,7}(?!\d)/g,
+    valid: value => {
+      const digits = digits_of(value);
+      return digits.length >= 13 && digits.length <= 19 && is_valid_luhn(digits);
+    },
+    key: digits_of
+  },
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    valid: () => true,
+    key: value => value.toLowerCase()
+  },
+  phone: {
+    // 0X-XXX-XXXX landlines, 0XX-XXX-XXXX mobiles, +66 forms
+    pattern: /(?<![\d+])(?:\+66[ -]?|0)[1-9](?:[ -]?\d){7,8}(?!\d)/g,
+    valid: value => {
+      const digits = digits_of(value);
+      return value.startsWith('+') ? digits.length >= 10 && digits.length <= 11 : digits.length >= 9 && digits.length <= 10;
+    },
+    key: value => digits_of(value).replace(/^66/, '0')
+  },
+  bank_account: {
+    // XXX-X-XXXXX-X (Thai banks) or 10-12 bare digits
+    pattern: /(?<!\d)(?:\d{3}[ -]\d[ -]\d{5}[ -]\d|\d{3}[ -]\d{6}[ -]\d|\d{10,12})(?!\d)/g,
+    // Order numbers, tracking codes and timestamps look the same without context
+    valid: (value, text, offset) => has_bank_context(text, offset, value.length),
+    key: digits_of
+  }
+};
+
+/**
+ * Whether a regex repeats a group that itself repeats or branches without a
+ * bound, e.g. (a+)+, (\d*){2,}, (a|ab)*: such patterns backtrack exponentially
+ * on text that almost matches
+ * @param {string} source - Regex source
+ * @returns {boolean}
+ */
+function has_nested_quantifier(source) {
+  const groups = [{ repeats: false, branches: false }];
+  let closed = null; // Group a following quantifier applies to
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '\\') {
+      i++;
+      closed = null;
+    } else if (char === '[') {
+      // Skip the character class (a leading or escaped "]" belongs to it)
+      i += source[i + 1] === '^' ? 2 : 1;
+      if (source[i] === ']') i++;
+      while (i < source.length && source[i] !== ']') {
+        if (source[i] === '\\') i++;
+        i++;
+      }
+      closed = null;
+    } else if (char === '(') {
+      groups.push({ repeats: false, branches: false });
+      closed = null;
+    } else if (char === ')' && groups.length > 1) {
+      closed = groups.pop();
+      groups[groups.length - 1].repeats ||= closed.repeats;
+    } else if (char === '|') {
+      groups[groups.length - 1].branches = true;
+      closed = null;
+    } else if (char === '+' || char === '*' || (char === '{' && /^\{\d*,\}/.test(source.slice(i)))) {
+      if (closed && (closed.repeats || closed.branches)) {
+        return true;
+      }
+      groups[groups.length - 1].repeats = true;
+      closed = null;
+    } else {
+      closed = null;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check custom redaction patterns (organization settings input)
+ * @param {Array<Object>} patterns - [{ name, pattern }]
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validate_custom_patterns(patterns = []) {
+  const errors = [];
+  if (patterns.length > CUSTOM_PATTERN_LIMITS.max_patterns) {
+    errors.push(`At most ${CUSTOM_PATTERN_LIMITS.max_patterns} custom patterns are allowed`);
+  }
+
+  patterns.forEach(({ name, pattern }) => {
+    if (!/^[A-Z][A-Z0-9_]*$/.test(name || '')) {
+      errors.push(`Pattern name "${name}" must be upper case letters, digits and underscores (e.g. ORDER_ID)`);
+    }
+    if (!pattern || pattern.length > CUSTOM_PATTERN_LIMITS.max_length) {
+      errors.push(`Pattern "${name}" must be 1-${CUSTOM_PATTERN_LIMITS.max_length} characters`);
+      return;
+    }
+    try {
+      if (new RegExp(pattern, 'u').test('')) {
+        errors.push(`Pattern "${name}" matches empty text`);
+      }
+    } catch (error) {
+      errors.push(`Pattern "${name}" is not a valid regular expression: ${error.message}`);
+      return;
+    }
+    if (has_nested_quantifier(pattern)) {
+      errors.push(`Pattern "${name}" repeats a repeated or alternating group (e.g. (a+)+); use a single quantifier instead`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Create a redactor for one summary
+ * @param {Object} settings - Organization.settings.pii_redaction { detectors, custom_patterns }
+ * @param {Array<Object>} seed - Placeholders to reuse [{ placeholder, type, value }] (previous rolling summary)
+ * @returns {Object} Redactor { redact, redact_messages, redact_rolling, redact_examples, get_placeholders, get_stats }
+ */
+function create_redactor(settings = {}, seed = []) {
+  // Patterns saved before the nested quantifier check are skipped, not run
+  const customPatterns = (settings.custom_patterns || []).filter(custom => {
+    if (!has_nested_quantifier(custom.pattern)) return true;
+    console.warn(`⚠️ Skipping custom PII pattern ${custom.name}: nested quantifier`);
+    return false;
+  });
+
+  const rules = [
+    ...customPatterns.map(custom => ({
+      type: custom.name,
+      pattern: new RegExp(custom.pattern, 'gu'),
+      valid: value => value.length > 0,
+      key: value => value
+    })),
+    ...PII_DETECTORS
+      .filter(name => (settings.detectors || PII_DETECTORS).includes(name))
+      .map(name => ({ type: DETECTOR_LABELS[name], ...DETECTOR_RULES[name] }))
+  ];
+
+  const byKey = new Map();
+  const counters = {};
+  const placeholders = [];
+  const stats = { replacements: 0, by_type: {} };
+
+  seed.forEach(entry => {
+    const number = Number(entry.placeholder.match(/_(\d+)\]$/)?.[1] || 0);
+    counters[entry.type] = Math.max(counters[entry.type] || 0, number);
+    const rule = rules.find(candidate => candidate.type === entry.type);
+    byKey.set(`${entry.type}:${rule ? rule.key(entry.value) : entry.value}`, entry.placeholder);
+    placeholders.push({ placeholder: entry.placeholder, type: entry.type, value: entry.value });
+  });
+
+  const placeholder_for = (rule, value) => {
+    const key = `${rule.type}:${rule.key(value)}`;
+    if (!byKey.has(key)) {
+      counters[rule.type] = (counters[rule.type] || 0) + 1;
+      const placeholder = `[${rule.type}_${counters[rule.type]}]`;
+      byKey.set(key, placeholder);
+      placeholders.push({ placeholder, type: rule.type, value });
+    }
+    return byKey.get(key);
+  };
+
+  /**
+   * Replace personal data in a text
+   * @param {string} text - Text to redact
+   * @returns {string}
+   */
+  const redact = (text) => {
+    if (typeof text !== 'string' || text.length === 0) {
+      return text;
+    }
+    return rules.reduce((current, rule) => current.replace(rule.pattern, (match, ...args) => {
+      // Capture groups of custom patterns come first; the offset is the first number
+      const offset = args.find(arg => typeof arg === 'number');
+      if (!rule.valid(match, current, offset)) {
+        return match;
+      }
+      stats.replacements++;
+      stats.by_type[rule.type] = (stats.by_type[rule.type] || 0) + 1;
+      return placeholder_for(rule, match);
+    }), text);
+  };
+
+  return {
+    redact,
+
+    /**
+     * Redacted copies of session messages (originals are left untouched)
+     * @param {Array<Object>} messages - Message documents or plain objects
+     * @returns {Array<Object>}
+     */
+    redact_messages(messages) {
+      return messages.map(msg => {
+        const copy = typeof msg.toObject === 'function' ? msg.toObject() : { ...msg };
+        copy.message = redact(copy.message);
+        if (copy.image_analysis) {
+          copy.image_analysis = {
+            ...copy.image_analysis,
+            caption: redact(copy.image_analysis.caption),
+            text: redact(copy.image_analysis.text)
+          };
+        }
+        return copy;
+      });
+    },
+
+    /**
+     * Rolling context with a redacted digest and previous summary
+     * (history summarized before redaction was turned on still contains raw values)
+     * @param {Object|null} rolling - { room, previous_summary, digest }
+     * @returns {Object|null}
+     */
+    redact_rolling(rolling) {
+      if (!rolling) {
+        return rolling;
+      }
+      const previous = rolling.previous_summary;
+      return {
+        ...rolling,
+        digest: redact(rolling.digest),
+        previous_summary: previous ? { _id: previous._id, created_at: previous.created_at, content: redact(previous.content) } : previous
+      };
+    },
+
+    /**
+     * Redacted copies of reviewer feedback examples (see services/summary_feedback)
+     * @param {Array<Object>} examples - Feedback examples
+     * @returns {Array<Object>}
+     */
+    redact_examples(examples) {
+      const redact_list = list => (list ? list.map(redact) : list);
+      const redact_pair = pair => (pair ? { original: redact_list(pair.original), corrected: redact_list(pair.corrected) } : pair);
+      return examples.map(example => ({
+        ...example,
+        content: redact(example.content),
+        key_topics: redact_pair(example.key_topics),
+        wrong_action_items: redact_list(example.wrong_action_items),
+        missing_action_items: redact_list(example.missing_action_items),
+        comment: redact(example.comment)
+      }));
+    },
+
+    /**
+     * Placeholders that occur in a value (what a summary needs to be restored)
+     * @param {*} value - Model output (any JSON-like value)
+     * @returns {Array<Object>} [{ placeholder, type, value }]
+     */
+    get_placeholders(value) {
+      const text = JSON.stringify(value ?? '');
+      return placeholders.filter(entry => text.includes(entry.placeholder));
+    },
+
+    /**
+     * Redaction counts for gemini_metadata.redaction
+     * @returns {Object} { enabled, replacements, unique_values, by_type }
+     */
+    get_stats() {
+      return {
+        enabled: true,
+        replacements: stats.replacements,
+        unique_values: placeholders.length - seed.length,
+        by_type: { ...stats.by_type }
+      };
+    }
+  };
+}
+
+/**
+ * Organization's redaction settings, or null when redaction is turned off
+ * @param {ObjectId} organizationId - Organization ID
+ * @returns {Promise<Object|null>} Organization.settings.pii_redaction
+ */
+async function get_redaction_settings(organizationId) {
+  if (!organizationId) {
+    return null;
+  }
+
+  const organization = await Organization.findById(organizationId).select('settings.pii_redaction');
+  const settings = organization?.settings?.pii_redaction;
+  return settings?.enabled ? settings : null;
+}
+
+/**
+ * Redactor for text an organization sends to an external model outside of a
+ * summary (e.g. embeddings), or null when redaction is turned off
+ * @param {ObjectId} organizationId - Organization ID
+ * @returns {Promise<Object|null>}
+ */
+async function create_organization_redactor(organizationId) {
+  const settings = await get_redaction_settings(organizationId);
+  return settings ? create_redactor(settings) : null;
+}
+
+/**
+ * Redactor for a session being summarized, or null when the organization
+ * has redaction turned off
+ * @param {ChatSession} session - Session (organization_id used)
+ * @param {Object|null} rolling - Rolling context (its previous summary's placeholders are reused)
+ * @returns {Promise<Object|null>}
+ */
+async function create_session_redactor(session, rolling = null) {
+  const settings = await get_redaction_settings(session.organization_id);
+  if (!settings) {
+    return null;
+  }
+
+  let seed = [];
+  if (rolling?.previous_summary?._id) {
+    const previous = await Summary.findById(rolling.previous_summary._id).select('+redaction.placeholders');
+    seed = previous?.redaction?.placeholders || [];
+  }
+
+  return create_redactor(settings, seed);
+}
+
+/**
+ * Copy of a value with every string inside plain objects and arrays mapped
+ * @param {*} value - Value to walk
+ * @param {Function} map - string → string
+ * @returns {*}
+ */
+function map_strings(value, map) {
+  const walk = (item) => {
+    if (typeof item === 'string') {
+      return map(item);
+    }
+    if (Array.isArray(item)) {
+      return item.map(walk);
+    }
+    if (item && typeof item.toObject === 'function' && !item._bsontype) {
+      return walk(item.toObject());
+    }
+    if (item && Object.getPrototypeOf(item) === Object.prototype) {
+      return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, walk(entry)]));
+    }
+    return item;
+  };
+
+  return walk(value);
+}
+
+/**
+ * Put the real values back into redacted data
+ * Walks strings inside plain objects and arrays; other values are kept.
+ * @param {*} value - Redacted value (e.g. summary data)
+ * @param {Array<Object>} placeholders - [{ placeholder, value }]
+ * @returns {*} Restored copy
+ */
+function restore_pii(value, placeholders = []) {
+  if (!placeholders?.length) {
+    return value;
+  }
+
+  const values = new Map(placeholders.map(entry => [entry.placeholder, entry.value]));
+  const pattern = new RegExp(PLACEHOLDER_PATTERN.source, 'g');
+
+  return map_strings(value, text => text.replace(pattern, match => values.get(match) ?? match));
+}
+
+/**
+ * Redact text an editor saved into a summary (summaries.update)
+ * Editors allowed to read the messages see the real values, so values of the
+ * summary's placeholders go back to their placeholder; with redaction on, new
+ * personal data gets a placeholder too (added to summary.redaction.placeholders).
+ * @param {Summary} summary - Summary loaded with '+redaction.placeholders'
+ * @param {*} value - Edited fields
+ * @returns {Promise<*>} Redacted copy of the fields
+ */
+async function redact_summary_edit(summary, value) {
+  const known = (summary.redaction?.placeholders || []).map(entry => ({
+    placeholder: entry.placeholder,
+    type: entry.type,
+    value: entry.value
+  }));
+
+  // Longest values first so "0812345678" is not split by a shorter value inside it
+  const byLength = [...known].sort((a, b) => b.value.length - a.value.length);
+  let redacted = map_strings(value, text => byLength.reduce(
+    (current, entry) => current.split(entry.value).join(entry.placeholder),
+    text
+  ));
+
+  const organization = summary.organization_id
+    ? await Organization.findById(summary.organization_id).select('settings.pii_redaction')
+    : null;
+  const settings = organization?.settings?.pii_redaction;
+  if (!settings?.enabled) {
+    return redacted;
+  }
+
+  const redactor = create_redactor(settings, known);
+  redacted = map_strings(redacted, redactor.redact);
+
+  const added = redactor.get_placeholders(redacted)
+    .filter(entry => !known.some(existing => existing.placeholder === entry.placeholder));
+  if (added.length > 0) {
+    summary.redaction = { placeholders: [...known, ...added] };
+  }
+
+  return redacted;
+}
+
+/**
+ * Summary data as a viewer may see it
+ * Real values are only restored for viewers who can read the raw messages;
+ * the summary must have been loaded with '+redaction.placeholders' for that.
+ * @param {Summary} summary - Summary document
+ * @param {boolean} canViewMessages - Whether the viewer has org:messages:view
+ * @returns {Object} get_summary_data() output
+ */
+function summary_data_for_viewer(summary, canViewMessages) {
+  const data = summary.get_summary_data();
+  return canViewMessages ? restore_pii(data, summary.redaction?.placeholders) : data;
+}
+
+module.exports = {
+  PII_DETECTORS,
+  CUSTOM_PATTERN_LIMITS,
+  PLACEHOLDER_PATTERN,
+  validate_custom_patterns,
+  create_redactor,
+  create_organization_redactor,
+  create_session_redactor,
+  restore_pii,
+  redact_summary_edit,
+  summary_data_for_viewer
+};
@@ -0,0 +1,145 @@
+/**
+ * Rolling Summary Service
+ *
+ * In rolling mode each new summary of a room is generated with the room's
+ * previous summary and running digest as context. The model reports what
+ * changed since last time and returns an updated digest, which is stored on
+ * the Room so a long-running group reads as one continuous story.
+ *
+ * Mode resolution (first value set wins):
+ *
+ *   room.settings.summary_mode → organization.settings.summary_mode → 'standalone'
+ *
+ * @module services/rolling_summary
+ */
+
+const { Room, Organization, Summary } = require('../models');
+
+const SUMMARY_MODES = ['standalone', 'rolling'];
+
+// Running digest is capped so the prompt stays bounded as the room grows
+const DIGEST_MAX_LENGTH = 4000;
+
+/**
+ * Resolve the summary mode from already-loaded documents
+ * @param {Object} sources - { room, organization } (either may be null)
+ * @returns {Object} { mode, source }
+ */
+function resolve_summary_mode({ room = null, organization = null } = {}) {
+  if (SUMMARY_MODES.includes(room?.settings?.summary_mode)) {
+    return { mode: room.settings.summary_mode, source: 'room' };
+  }
+  if (SUMMARY_MODES.includes(organization?.settings?.summary_mode)) {
+    return { mode: organization.settings.summary_mode, source: 'organization' };
+  }
+  return { mode: 'standalone', source: 'default' };
+}
+
+/**
+ * Whether a summary was created after the room's digest was last reset
+ * @param {Room} room - Room document
+ * @param {Summary} summary - Summary
+ * @returns {boolean}
+ */
+function is_after_reset(room, summary) {
+  const resetAt = room.running_digest?.reset_at;
+  return !resetAt || new Date(summary.created_at) > new Date(resetAt);
+}
+
+/**
+ * Load the rolling context for a session's summary
+ * @param {ChatSession} session - Session being summarized
+ * @param {Summary} summary - Summary being generated (excluded from "previous")
+ * @returns {Promise<Object|null>} { room, previous_summary, digest } or null when not in rolling mode
+ */
+async function load_rolling_context(session, summary) {
+  const room = session.room_id ? await Room.findById(session.room_id) : null;
+  if (!room) {
+    return null;
+  }
+
+  const organization = room.organization_id
+    ? await Organization.findById(room.organization_id).select('settings')
+    : null;
+
+  const { mode } = resolve_summary_mode({ room, organization });
+  if (mode !== 'rolling') {
+    return null;
+  }
+
+  // Summaries from before a digest reset are not carried forward
+  const latestSummary = await Summary.get_previous_for_room(room._id, summary);
+  const previousSummary = latestSummary && is_after_reset(room, latestSummary) ? latestSummary : null;
+
+  // Seed the digest from the previous summary when rolling mode was just enabled
+  const digest = room.running_digest?.content || previousSummary?.content || null;
+
+  console.log(`🔁 Rolling summary for room ${room._id}: previous=${previousSummary?._id || 'none'}, digest=${digest ? digest.length : 0} chars`);
+
+  return {
+    room,
+    previous_summary: previousSummary,
+    digest
+  };
+}
+
+/**
+ * Store the updated running digest on the room
+ * Skipped when a newer summary already updated the digest (out-of-order jobs)
+ * or the digest was reset after the summary was created.
+ * @param {Room} room - Room document
+ * @param {Summary} summary - Completed rolling summary
+ * @returns {Promise<boolean>} Whether the digest was updated
+ */
+async function update_room_digest(room, summary) {
+  const content = (summary.rolling?.running_digest || summary.content || '').slice(0, DIGEST_MAX_LENGTH);
+  if (!content) {
+    return false;
+  }
+
+  const result = await Room.updateOne(
+    {
+      _id: room._id,
+      $and: [
+        {
+          $or: [
+            { 'running_digest.last_summary_at': null },
+            { 'running_digest.last_summary_at': { $lte: summary.created_at } }
+          ]
+        },
+        {
+          $or: [
+            { 'running_digest.reset_at': null },
+            { 'running_digest.reset_at': { $lt: summary.created_at } }
+          ]
+        }
+      ]
+    },
+    {
+      $set: {
+        'running_digest.content': content,
+        'running_digest.key_topics': summary.key_topics || [],
+        'running_digest.last_summary_id': summary._id,
+        'running_digest.last_summary_at': summary.created_at,
+        'running_digest.updated_at': new Date()
+      },
+      $inc: { 'running_digest.summary_count': 1 }
+    }
+  );
+
+  const updated = result.modifiedCount > 0;
+  console.log(updated
+    ? `🔁 Running digest updated for room ${room._id} (${content.length} chars)`
+    : `⏭️ Running digest for room ${room._id} already newer than summary ${summary._id} (or reset since)`);
+
+  return updated;
+}
+
+module.exports = {
+  SUMMARY_MODES,
+  DIGEST_MAX_LENGTH,
+  resolve_summary_mode,
+  is_after_reset,
+  load_rolling_context,
+  update_room_digest
+};
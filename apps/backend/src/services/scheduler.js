@@ -0,0 +1,149 @@
+/**
+ * Scheduler Service
+ *
+ * Runs periodic background tasks (session auto-close, monthly usage reset).
+ * Every instance ticks on its own timer, but a task only runs after its
+ * SchedulerLock is acquired, so with several backend instances each task
+ * still runs once per interval on a single instance.
+ *
+ * @module services/scheduler
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const { nanoid } = require('nanoid');
+const { SchedulerLock } = require('../models');
+const config = require('../config');
+
+class Scheduler {
+  constructor() {
+    this.tasks = new Map();
+    this.runningTasks = new Set();
+    this.instanceId = `${os.hostname()}:${process.pid}:${nanoid(6)}`;
+    this.tickIntervalMs = config.scheduler.tickIntervalMs;
+    this.isRunning = false;
+    this.tickTimer = null;
+
+    console.log(`⏱️  Scheduler initialized (instance: ${this.instanceId})`);
+  }
+
+  /**
+   * Register a periodic task
+   * @param {string} name - Unique task name
+   * @param {Object} options - { interval_ms, lock_ttl_ms, handler }
+   */
+  register(name, options) {
+    const { interval_ms, lock_ttl_ms = config.scheduler.lockTtlMs, handler } = options;
+
+    this.tasks.set(name, { name, interval_ms, lock_ttl_ms, handler });
+    console.log(`🗓️  Registered scheduled task: ${name} (every ${Math.round(interval_ms / 1000)}s)`);
+  }
+
+  /**
+   * Start ticking
+   */
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    console.log(`⏱️  Scheduler started: ${this.instanceId} (tick: ${this.tickIntervalMs}ms)`);
+    console.log(`   Tasks: ${Array.from(this.tasks.keys()).join(', ') || 'none'}`);
+
+    this.schedule_tick(0);
+  }
+
+  /**
+   * Stop ticking and wait for running tasks to finish
+   * A task still running after timeoutMs keeps its lock until lock_ttl_ms expires.
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {Promise<void>}
+   */
+  async stop(timeoutMs = 8000) {
+    if (!this.isRunning) return;
+
+    console.log(`🛑 Stopping scheduler ${this.instanceId} (${this.runningTasks.size} running)`);
+    this.isRunning = false;
+    clearTimeout(this.tickTimer);
+    this.tickTimer = null;
+
+    const deadline = Date.now() + timeoutMs;
+    while (this.runningTasks.size > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    console.log('✅ Scheduler stopped');
+  }
+
+  /**
+   * Schedule the next tick
+   * @param {number} delayMs - Delay before ticking
+   */
+  schedule_tick(delayMs = this.tickIntervalMs) {
+    if (!this.isRunning) return;
+    clearTimeout(this.tickTimer);
+    this.tickTimer = setTimeout(() => this.tick(), delayMs);
+  }
+
+  /**
+   * Try to run every registered task that is not already running here
+   */
+  async tick() {
+    try {
+      // Skip while the database is unavailable
+      if (mongoose.connection.readyState !== 1) return;
+
+      for (const task of this.tasks.values()) {
+        if (!this.isRunning) break;
+        if (this.runningTasks.has(task.name)) continue;
+        await this.run_task(task);
+      }
+    } catch (error) {
+      console.error('❌ Scheduler tick error:', error.message);
+    } finally {
+      this.schedule_tick();
+    }
+  }
+
+  /**
+   * Run a task if its lock can be acquired
+   * @param {Object} task - Registered task
+   * @returns {Promise<boolean>} True if the task ran on this instance
+   */
+  async run_task(task) {
+    const lock = await SchedulerLock.acquire(task.name, this.instanceId, task.lock_ttl_ms);
+    if (!lock) return false;
+
+    this.runningTasks.add(task.name);
+    const startTime = Date.now();
+    console.log(`▶️  Running scheduled task: ${task.name}`);
+
+    const outcome = {
+      next_run_at: new Date(startTime + task.interval_ms)
+    };
+
+    try {
+      outcome.result = await task.handler();
+      outcome.status = 'success';
+      console.log(`✅ Scheduled task ${task.name} finished in ${Date.now() - startTime}ms`, outcome.result || '');
+    } catch (error) {
+      outcome.status = 'failure';
+      outcome.error = error.message;
+      console.error(`❌ Scheduled task ${task.name} failed:`, error);
+    } finally {
+      outcome.duration_ms = Date.now() - startTime;
+      this.runningTasks.delete(task.name);
+
+      try {
+        await SchedulerLock.release(task.name, this.instanceId, outcome);
+      } catch (error) {
+        console.error(`❌ Could not release lock for ${task.name}:`, error.message);
+      }
+    }
+
+    return true;
+  }
+}
+
+// Export singleton instance
+module.exports = new Scheduler();
+module.exports.Scheduler = Scheduler;
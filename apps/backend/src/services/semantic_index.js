@@ -0,0 +1,282 @@
+/**
+ * Semantic Index
+ *
+ * Embeds the messages and summaries of closed chat sessions (the
+ * `embeddings:index` job, queued after each summary) and answers semantic
+ * searches within one organization.
+ *
+ * Indexed text:
+ * - text messages, and voice/video/file messages with a transcript or document text
+ * - images with a caption (caption + text read from the image)
+ * - completed summaries (content + key topics)
+ *
+ * With PII redaction on, indexed texts and search queries are redacted
+ * before they reach the embedding provider.
+ *
+ * Vectors are stored in the `embeddings` collection. Searches score the most
+ * recent EMBEDDING_SEARCH_MAX_CANDIDATES vectors matching the filters (room,
+ * date, source type) by cosine similarity, streaming them so memory stays
+ * bounded by the result size. Older vectors beyond that cap are not scored
+ * and the search reports itself as truncated.
+ *
+ * @module services/semantic_index
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { Message, Summary, Embedding } = require('../models');
+const { get_active_embedding_model } = require('./embeddings');
+const { create_organization_redactor } = require('./pii_redactor');
+
+// Texts shorter than this carry no meaning worth indexing ("ok", "555")
+const MIN_TEXT_LENGTH = 4;
+
+// Vectors read from MongoDB per cursor batch while searching
+const SEARCH_CURSOR_BATCH_SIZE = 500;
+
+/**
+ * Searchable text of a message
+ * @param {Object} msg - Message document
+ * @returns {string|null} null when the message has nothing to index
+ */
+function message_text(msg) {
+  if (msg.message_type === 'text') {
+    return msg.message;
+  }
+  if (msg.message_type === 'image' && msg.image_analysis?.status === 'completed') {
+    return [msg.image_analysis.caption, msg.image_analysis.text].filter(Boolean).join('\n');
+  }
+  if (['audio', 'video', 'file'].includes(msg.message_type) && msg.media_processing?.status === 'completed') {
+    return msg.message;
+  }
+  return null;
+}
+
+/**
+ * Searchable text of a summary
+ * @param {Object} summary - Summary document
+ * @returns {string|null}
+ */
+function summary_text(summary) {
+  const topics = summary.key_topics?.length ? `\n${summary.key_topics.join(', ')}` : '';
+  return summary.content ? `${summary.content}${topics}` : null;
+}
+
+/**
+ * SHA-1 of a text (change detection)
+ * @param {string} text - Embedded text
+ * @returns {string}
+ */
+function hash_text(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector of the same size
+ * @returns {number} -1..1 (0 when either vector is empty)
+ */
+function cosine_similarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Whether semantic indexing is turned on (EMBEDDINGS_ENABLED)
+ * @returns {boolean}
+ */
+function is_semantic_search_enabled() {
+  return config.embeddings.enabled;
+}
+
+/**
+ * Embed and store the messages and summaries of a session
+ * Sources whose text is unchanged since they were last embedded with the
+ * active model are skipped, so re-running is cheap.
+ * @param {ChatSession} session - Session (must belong to an organization)
+ * @returns {Promise<Object>} { indexed, unchanged, tokens_used, provider, model }
+ */
+async function index_session(session) {
+  const { provider, model } = get_active_embedding_model();
+
+  if (!session.organization_id) {
+    return { indexed: 0, unchanged: 0, tokens_used: 0, provider: provider.name, model, skipped: 'session has no organization' };
+  }
+
+  const [messages, summaries] = await Promise.all([
+    Message.find({ session_id: session.session_id, unsent_at: null })
+      .sort({ timestamp: 1 })
+      .limit(config.llm.maxSessionMessages)
+      .select('room_id timestamp message_type message image_analysis media_processing'),
+    Summary.find({ session_id: String(session._id), status: 'completed' })
+      .select('room_id content key_topics created_at')
+  ]);
+
+  // Personal data is replaced before any text leaves for the provider
+  const redactor = await create_organization_redactor(session.organization_id);
+  const redact = text => (redactor ? redactor.redact(text) : text);
+
+  const sources = [
+    ...messages.map(msg => ({
+      source_type: 'message',
+      source_id: msg._id,
+      room_id: msg.room_id,
+      timestamp: msg.timestamp,
+      text: message_text(msg)
+    })),
+    ...summaries.map(summary => ({
+      source_type: 'summary',
+      source_id: summary._id,
+      room_id: summary.room_id,
+      timestamp: summary.created_at,
+      text: summary_text(summary)
+    }))
+  ]
+    .filter(source => source.text && source.text.trim().length >= MIN_TEXT_LENGTH)
+    .map(source => {
+      const text = redact(source.text.trim()).slice(0, config.embeddings.maxTextLength);
+      return { ...source, text, text_hash: hash_text(text) };
+    });
+
+  // Skip sources already embedded with this model and the same text
+  const existing = await Embedding.find({
+    source_id: { $in: sources.map(source => source.source_id) },
+    model
+  }).select('source_type source_id text_hash').lean();
+  const existingHashes = new Map(existing.map(doc => [`${doc.source_type}:${doc.source_id}`, doc.text_hash]));
+  const pending = sources.filter(source => existingHashes.get(`${source.source_type}:${source.source_id}`) !== source.text_hash);
+
+  let tokensUsed = 0;
+  for (let i = 0; i < pending.length; i += config.embeddings.batchSize) {
+    const batch = pending.slice(i, i + config.embeddings.batchSize);
+    const result = await provider.embed(batch.map(source => source.text), { model, task: 'document' });
+    tokensUsed += result.tokens_used || 0;
+
+    await Embedding.bulkWrite(batch.map((source, index) => ({
+      updateOne: {
+        filter: { source_type: source.source_type, source_id: source.source_id, model },
+        update: {
+          $set: {
+            organization_id: session.organization_id,
+            room_id: source.room_id,
+            session_id: session.session_id,
+            provider: provider.name,
+            dimensions: result.vectors[index].length,
+            vector: result.vectors[index],
+            text_hash: source.text_hash,
+            timestamp: source.timestamp
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  console.log(`🧮 Indexed session ${session.session_id}: ${pending.length} embedded, ${sources.length - pending.length} unchanged (${provider.name}/${model})`);
+
+  return {
+    indexed: pending.length,
+    unchanged: sources.length - pending.length,
+    tokens_used: tokensUsed,
+    provider: provider.name,
+    model
+  };
+}
+
+/**
+ * Rank an organization's indexed messages and summaries by similarity to a query
+ * @param {ObjectId} organizationId - Organization to search (never crosses organizations)
+ * @param {string} query - Search text
+ * @param {Object} options - { limit, source_types, room_ids, start_date, end_date, min_score }
+ * @returns {Promise<Object>} { hits: [{ source_type, source_id, room_id, session_id, timestamp, score }], candidates, truncated, provider, model }
+ */
+async function semantic_search(organizationId, query, options = {}) {
+  const {
+    limit = 20,
+    source_types = null,
+    room_ids = null,
+    start_date = null,
+    end_date = null,
+    min_score = 0
+  } = options;
+  const { provider, model } = get_active_embedding_model();
+
+  const redactor = await create_organization_redactor(organizationId);
+  const queryText = redactor ? redactor.redact(query) : query;
+  const { vectors } = await provider.embed([queryText.slice(0, config.embeddings.maxTextLength)], { model, task: 'query' });
+  const queryVector = vectors[0];
+
+  const filter = { organization_id: organizationId, model };
+  if (source_types?.length) filter.source_type = { $in: source_types };
+  if (room_ids?.length) filter.room_id = { $in: room_ids };
+  if (start_date || end_date) {
+    filter.timestamp = {};
+    if (start_date) filter.timestamp.$gte = start_date;
+    if (end_date) filter.timestamp.$lte = end_date;
+  }
+
+  // One vector past the cap tells whether older vectors were left unscored
+  const maxCandidates = config.embeddings.searchMaxCandidates;
+  const cursor = Embedding.find(filter)
+    .sort({ timestamp: -1 })
+    .limit(maxCandidates + 1)
+    .select('source_type source_id room_id session_id timestamp vector')
+    .lean()
+    .cursor({ batchSize: SEARCH_CURSOR_BATCH_SIZE });
+
+  // Keep only the best `limit` hits while streaming
+  const hits = [];
+  let candidates = 0;
+  let truncated = false;
+  for await (const doc of cursor) {
+    if (candidates === maxCandidates) {
+      truncated = true;
+      break;
+    }
+    candidates++;
+    const score = cosine_similarity(queryVector, doc.vector);
+    if (score <= min_score) continue;
+    if (hits.length === limit && score <= hits[hits.length - 1].score) continue;
+
+    hits.push({
+      source_type: doc.source_type,
+      source_id: doc.source_id,
+      room_id: doc.room_id,
+      session_id: doc.session_id,
+      timestamp: doc.timestamp,
+      score
+    });
+    hits.sort((a, b) => b.score - a.score);
+    if (hits.length > limit) hits.pop();
+  }
+
+  return {
+    hits,
+    candidates,
+    truncated,
+    provider: provider.name,
+    model
+  };
+}
+
+module.exports = {
+  is_semantic_search_enabled,
+  message_text,
+  summary_text,
+  cosine_similarity,
+  index_session,
+  semantic_search
+};
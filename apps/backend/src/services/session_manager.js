@@ -3,13 +3,21 @@
  * Handles automatic session creation, closure, and management
  */
 
-const { ChatSession, Room, Owner, Message } = require('../models');
+const { ChatSession, Room, Owner, Organization, Message } = require('../models');
 const { nanoid } = require('nanoid');
 const config = require('../config');
+const {
+  resolve_session_trigger,
+  resolve_session_trigger_for,
+  get_shortest_time_limit_hours
+} = require('./session_trigger_resolver');
+
+// Active sessions read per query when looking for expired ones
+const EXPIRED_SCAN_BATCH_SIZE = 500;
 
 class SessionManager {
   constructor() {
-    // Use centralized configuration (Single Source of Truth)
+    // Global defaults; per-room/org/owner overrides are resolved per session
     this.maxMessagesPerSession = config.session.maxMessagesPerSession;
     this.sessionTimeoutHours = config.session.sessionTimeoutHours;
     this.minMessagesForSummary = config.session.minMessagesForSummary;
@@ -38,19 +46,22 @@ class SessionManager {
     });
 
     if (activeSession) {
-      // Check if session has expired (24 hours)
+      // Resolve limits room → organization → owner → global
+      const trigger = await resolve_session_trigger_for(activeSession);
+
+      // Check if session has expired
       const sessionAge = Date.now() - new Date(activeSession.start_time).getTime();
-      const maxAge = this.sessionTimeoutHours * 60 * 60 * 1000; // 24 hours in ms
+      const maxAge = trigger.time_limit_hours * 60 * 60 * 1000;
 
       if (sessionAge > maxAge) {
-        console.log(`⏰ Session ${activeSession._id} expired after ${this.sessionTimeoutHours} hours, closing`);
+        console.log(`⏰ Session ${activeSession._id} expired after ${trigger.time_limit_hours} hours, closing`);
         await this.closeSession(activeSession._id, 'timeout');
         activeSession = null;
       } else {
         // Check message count
         const messageCount = await Message.countDocuments({ session_id: activeSession._id });
-        if (messageCount >= this.maxMessagesPerSession) {
-          console.log(`📊 Session ${activeSession._id} reached ${this.maxMessagesPerSession} messages, closing`);
+        if (messageCount >= trigger.message_count) {
+          console.log(`📊 Session ${activeSession._id} reached ${trigger.message_count} messages, closing`);
           await this.closeSession(activeSession._id, 'message_limit');
           activeSession = null;
         }
@@ -164,16 +175,17 @@ class SessionManager {
     await session.save();
 
     // Check if session should be closed due to message count or time
-    if (messageCount >= this.maxMessagesPerSession) {
-      console.log(`📊 Session ${sessionId} reached ${this.maxMessagesPerSession} messages, auto-closing`);
+    const trigger = await resolve_session_trigger_for(session);
+    if (messageCount >= trigger.message_count) {
+      console.log(`📊 Session ${sessionId} reached ${trigger.message_count} messages, auto-closing`);
       await this.closeSession(sessionId, 'message_limit');
     } else {
       // Check session age
       const sessionAge = Date.now() - new Date(session.start_time).getTime();
-      const maxAge = this.sessionTimeoutHours * 60 * 60 * 1000;
+      const maxAge = trigger.time_limit_hours * 60 * 60 * 1000;
 
       if (sessionAge > maxAge) {
-        console.log(`⏰ Session ${sessionId} expired after ${this.sessionTimeoutHours} hours, auto-closing`);
+        console.log(`⏰ Session ${sessionId} expired after ${trigger.time_limit_hours} hours, auto-closing`);
         await this.closeSession(sessionId, 'timeout');
       }
     }
@@ -233,22 +245,15 @@ class SessionManager {
         console.log(`🤖 Triggering summary generation for session: ${sessionId}`);
 
         try {
-          // Create summary record
-          const { Summary } = require('../models');
-          const summary = await Summary.create_summary(
-            sessionId,
-            session.room_id,
-            session.owner_id
-          );
-
-          // Generate AI summary using GeminiService
-          const geminiService = require('./gemini_service');
-          await geminiService.generate_chat_summary(session, summary);
-
-          // Session is closed in the summary generation process
-          console.log(`✅ Summary generated and session closed: ${sessionId}`);
+          // Queue AI summary generation (session is closed by the worker)
+          const { queue_summary_generation } = require('./summary_generation');
+          const { job } = await queue_summary_generation(session, {
+            owner_id: session.owner_id
+          });
+
+          console.log(`✅ Summary job ${job._id} queued for session: ${sessionId}`);
         } catch (error) {
-          console.error(`❌ Failed to generate summary for session ${sessionId}:`, error);
+          console.error(`❌ Failed to queue summary for session ${sessionId}:`, error);
           // Still close the session even if summary fails
           session.status = 'closed';
           await session.save();
@@ -297,15 +302,71 @@ class SessionManager {
 
   /**
    * Get active sessions that should be automatically closed
+   * Each session's time limit is resolved room → organization → owner → global.
+   * Only sessions older than the shortest configured limit are read, oldest
+   * first and in batches, with the fields the trigger needs.
+   * @param {number} limit - Maximum sessions to return (0 = all)
    * @returns {Promise<ChatSession[]>}
    */
-  async getExpiredSessions() {
-    const cutoffTime = new Date(Date.now() - this.sessionTimeoutHours * 60 * 60 * 1000);
+  async getExpiredSessions(limit = 0) {
+    const shortestHours = await get_shortest_time_limit_hours();
+    const cutoffTime = new Date(Date.now() - shortestHours * 60 * 60 * 1000);
+
+    const expired = [];
+    let last = null;
+
+    while (!limit || expired.length < limit) {
+      const filter = { status: 'active', start_time: { $lt: cutoffTime } };
+      if (last) {
+        filter.$or = [
+          { start_time: { $gt: last.start_time } },
+          { start_time: last.start_time, _id: { $gt: last._id } }
+        ];
+      }
 
-    return await ChatSession.find({
-      status: 'active',
-      start_time: { $lt: cutoffTime }
-    });
+      const candidates = await ChatSession.find(filter)
+        .sort({ start_time: 1, _id: 1 })
+        .limit(EXPIRED_SCAN_BATCH_SIZE)
+        .select('_id session_id room_id organization_id owner_id start_time');
+
+      if (candidates.length === 0) {
+        break;
+      }
+      last = candidates[candidates.length - 1];
+
+      // Batch-load trigger sources instead of querying per session
+      const idsOf = (field) => [...new Set(candidates.map(c => c[field]?.toString()).filter(Boolean))];
+      const [rooms, organizations, owners] = await Promise.all([
+        Room.find({ _id: { $in: idsOf('room_id') } }).select('settings organization_id owner_id'),
+        Organization.find({ _id: { $in: idsOf('organization_id') } }).select('settings'),
+        Owner.find({ _id: { $in: idsOf('owner_id') } }).select('settings')
+      ]);
+      const byId = (docs) => new Map(docs.map(doc => [doc._id.toString(), doc]));
+      const roomMap = byId(rooms);
+      const organizationMap = byId(organizations);
+      const ownerMap = byId(owners);
+
+      for (const session of candidates) {
+        const room = roomMap.get(session.room_id?.toString()) || null;
+        const trigger = resolve_session_trigger({
+          room,
+          organization: organizationMap.get((session.organization_id || room?.organization_id)?.toString()) || null,
+          owner: ownerMap.get(session.owner_id?.toString()) || null
+        });
+
+        const sessionAge = Date.now() - new Date(session.start_time).getTime();
+        if (sessionAge > trigger.time_limit_hours * 60 * 60 * 1000) {
+          expired.push(session);
+          if (limit && expired.length >= limit) break;
+        }
+      }
+
+      if (candidates.length < EXPIRED_SCAN_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    return expired;
   }
 
   /**
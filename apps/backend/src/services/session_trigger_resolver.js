@@ -0,0 +1,143 @@
+/**
+ * Session Trigger Resolver
+ *
+ * Resolves when a chat session should auto-close (message count and age),
+ * using the first value set along the chain:
+ *
+ *   room.settings.session_trigger
+ *     → organization.settings.session_auto_close_messages / _hours
+ *       → owner.settings.session_trigger
+ *         → global config.session (SESSION_MAX_MESSAGES / SESSION_TIMEOUT_HOURS)
+ *
+ * A room or owner value of null means "inherit".
+ *
+ * @module services/session_trigger_resolver
+ */
+
+const config = require('../config');
+
+/**
+ * Allowed range for per-room/per-owner trigger values
+ */
+const SESSION_TRIGGER_LIMITS = {
+  message_count: { min: 1, max: 200 },
+  time_limit_hours: { min: 1, max: 168 }
+};
+
+/**
+ * Check that a trigger value is usable
+ * @param {*} value - Candidate value
+ * @returns {boolean}
+ */
+function is_set(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Pick the first set value from an ordered list of [source, value] pairs
+ * @param {Array<Array>} candidates - [[source, value], ...]
+ * @returns {Object} { value, source }
+ */
+function pick_first(candidates) {
+  for (const [source, value] of candidates) {
+    if (is_set(value)) {
+      return { value, source };
+    }
+  }
+  return { value: null, source: null };
+}
+
+/**
+ * Resolve effective session trigger from already-loaded documents
+ * @param {Object} sources - { room, organization, owner } (any may be null)
+ * @returns {Object} { message_count, time_limit_hours, sources: { message_count, time_limit_hours } }
+ */
+function resolve_session_trigger({ room = null, organization = null, owner = null } = {}) {
+  const messageCount = pick_first([
+    ['room', room?.settings?.session_trigger?.message_count],
+    ['organization', organization?.settings?.session_auto_close_messages],
+    ['owner', owner?.settings?.session_trigger?.message_count],
+    ['global', config.session.maxMessagesPerSession]
+  ]);
+
+  const timeLimit = pick_first([
+    ['room', room?.settings?.session_trigger?.time_limit_hours],
+    ['organization', organization?.settings?.session_auto_close_hours],
+    ['owner', owner?.settings?.session_trigger?.time_limit_hours],
+    ['global', config.session.sessionTimeoutHours]
+  ]);
+
+  return {
+    message_count: messageCount.value,
+    time_limit_hours: timeLimit.value,
+    sources: {
+      message_count: messageCount.source,
+      time_limit_hours: timeLimit.source
+    }
+  };
+}
+
+/**
+ * Resolve effective session trigger for a chat session
+ * Loads whichever of room/organization/owner were not passed in.
+ * @param {ChatSession} session - Session with room_id, organization_id and owner_id
+ * @param {Object} sources - Preloaded { room, organization, owner }
+ * @returns {Promise<Object>} Resolved trigger (see resolve_session_trigger)
+ */
+async function resolve_session_trigger_for(session, sources = {}) {
+  const { Room, Organization, Owner } = require('../models');
+  let { room = null, organization = null, owner = null } = sources;
+
+  const roomId = session.room_id?._id || session.room_id;
+  if (!room && roomId) {
+    room = await Room.findById(roomId).select('settings organization_id owner_id');
+  }
+
+  const organizationId = session.organization_id || room?.organization_id;
+  if (!organization && organizationId) {
+    organization = await Organization.findById(organizationId).select('settings');
+  }
+
+  const ownerId = session.owner_id?._id || session.owner_id || room?.owner_id;
+  if (!owner && ownerId) {
+    owner = await Owner.findById(ownerId).select('settings');
+  }
+
+  return resolve_session_trigger({ room, organization, owner });
+}
+
+/**
+ * Shortest time limit any session can currently resolve to
+ * A session younger than this cannot be expired, so it bounds the
+ * scheduler's query for expired sessions.
+ * @returns {Promise<number>} Hours
+ */
+async function get_shortest_time_limit_hours() {
+  const { Room, Organization, Owner } = require('../models');
+  const lowest = (Model, field) => Model.findOne({ [field]: { $gt: 0 } })
+    .sort({ [field]: 1 })
+    .select(field)
+    .lean();
+
+  const [room, organization, owner] = await Promise.all([
+    lowest(Room, 'settings.session_trigger.time_limit_hours'),
+    lowest(Organization, 'settings.session_auto_close_hours'),
+    lowest(Owner, 'settings.session_trigger.time_limit_hours')
+  ]);
+
+  const values = [
+    room?.settings?.session_trigger?.time_limit_hours,
+    organization?.settings?.session_auto_close_hours,
+    owner?.settings?.session_trigger?.time_limit_hours,
+    config.session.sessionTimeoutHours
+  ].filter(is_set);
+
+  return values.length > 0 ? Math.min(...values) : SESSION_TRIGGER_LIMITS.time_limit_hours.min;
+}
+
+module.exports = {
+  SESSION_TRIGGER_LIMITS,
+  resolve_session_trigger,
+  resolve_session_trigger_for,
+  get_shortest_time_limit_hours
+};
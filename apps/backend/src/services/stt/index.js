@@ -0,0 +1,52 @@
+/**
+ * Speech-to-Text Provider Registry
+ *
+ * Selects the provider that transcribes voice messages and videos
+ * (STT_PROVIDER).
+ *
+ * Providers:
+ * - openai: Any Whisper-compatible /audio/transcriptions server (STT_BASE_URL, STT_API_KEY)
+ * - local:  Offline stub for tests and development (no transcript)
+ *
+ * Every provider implements:
+ *   transcribe(audio, options) → { text, language, duration_ms, provider, model }
+ *   where audio = { data: Buffer, mime_type, file_name, duration_ms }
+ *
+ * @module services/stt
+ */
+
+const config = require('../../config');
+const OpenAISttProvider = require('./openai_stt_provider');
+const LocalSttProvider = require('./local_stt_provider');
+
+const PROVIDER_CLASSES = {
+  openai: OpenAISttProvider,
+  local: LocalSttProvider
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDER_CLASSES);
+
+// Provider singletons, created on first use
+const instances = new Map();
+
+/**
+ * Get a speech-to-text provider by name
+ * @param {string} name - Provider name (defaults to STT_PROVIDER)
+ * @returns {Object} Provider with transcribe()
+ */
+function get_stt_provider(name = config.stt.provider) {
+  const ProviderClass = PROVIDER_CLASSES[name];
+  if (!ProviderClass) {
+    throw new Error(`Unknown STT provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, new ProviderClass());
+  }
+  return instances.get(name);
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  get_stt_provider
+};
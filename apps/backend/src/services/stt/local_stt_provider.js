@@ -0,0 +1,36 @@
+/**
+ * Local Speech-to-Text Provider
+ * Offline stand-in that recognizes nothing: returns an empty transcript so
+ * messages keep their "Voice message (0:12)" description. No network, no key.
+ *
+ * @module services/stt/local_stt_provider
+ */
+
+class LocalSttProvider {
+  constructor() {
+    this.name = 'local';
+    this.defaultModel = 'local-stt-stub';
+
+    console.log('🎙️ LocalSttProvider initialized (offline stub)');
+  }
+
+  is_configured() {
+    return true;
+  }
+
+  /**
+   * @param {Object} audio - { data, mime_type, file_name, duration_ms }
+   * @returns {Promise<Object>} { text, language, duration_ms, provider, model }
+   */
+  async transcribe(audio) {
+    return {
+      text: '',
+      language: null,
+      duration_ms: audio.duration_ms || null,
+      provider: this.name,
+      model: this.defaultModel
+    };
+  }
+}
+
+module.exports = LocalSttProvider;
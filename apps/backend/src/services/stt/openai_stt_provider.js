@@ -0,0 +1,81 @@
+/**
+ * OpenAI-Compatible Speech-to-Text Provider
+ * Talks to any server implementing the OpenAI /audio/transcriptions API
+ * (OpenAI Whisper, faster-whisper-server, LocalAI, ...).
+ *
+ * @module services/stt/openai_stt_provider
+ */
+
+const axios = require('axios');
+const config = require('../../config');
+
+class OpenAISttProvider {
+  /**
+   * @param {Object} options - { apiKey, baseUrl, model, timeoutMs }
+   */
+  constructor(options = {}) {
+    const settings = { ...config.stt.openai, ...options };
+
+    this.name = 'openai';
+    this.apiKey = settings.apiKey;
+    this.baseUrl = (settings.baseUrl || '').replace(/\/+$/, '');
+    this.defaultModel = settings.model;
+    this.timeoutMs = settings.timeoutMs;
+
+    console.log(`🎙️ OpenAISttProvider initialized with ${this.defaultModel} at ${this.baseUrl}`);
+  }
+
+  /**
+   * Self-hosted Whisper servers usually need no key, so only the URL is required
+   */
+  is_configured() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Transcribe audio (or the audio track of a video)
+   * @param {Object} audio - { data: Buffer, mime_type, file_name, duration_ms }
+   * @param {Object} options - { model, language } (language = ISO-639-1 hint, omitted = auto-detect)
+   * @returns {Promise<Object>} { text, language, duration_ms, provider, model }
+   */
+  async transcribe(audio, options = {}) {
+    const model = options.model || this.defaultModel;
+
+    const form = new FormData();
+    form.append('file', new Blob([audio.data], { type: audio.mime_type }), audio.file_name || 'audio.m4a');
+    form.append('model', model);
+    form.append('response_format', 'verbose_json');
+    if (options.language) {
+      form.append('language', options.language);
+    }
+
+    const headers = {};
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    try {
+      console.log(`🎙️ Transcribing ${audio.mime_type} (${audio.data.length} bytes) with ${model}`);
+      const response = await axios.post(`${this.baseUrl}/audio/transcriptions`, form, {
+        headers,
+        timeout: this.timeoutMs
+      });
+
+      const data = response.data || {};
+      return {
+        text: (typeof data === 'string' ? data : data.text || '').trim(),
+        language: data.language || null,
+        duration_ms: data.duration ? Math.round(data.duration * 1000) : audio.duration_ms || null,
+        provider: this.name,
+        model
+      };
+    } catch (error) {
+      const status = error.response?.status;
+      const detail = error.response?.data?.error?.message || error.message;
+      console.error('❌ Speech-to-text API error:', detail);
+      throw new Error(`Speech-to-text API error${status ? ` (${status})` : ''}: ${detail}`);
+    }
+  }
+}
+
+module.exports = OpenAISttProvider;
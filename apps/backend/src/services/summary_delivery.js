@@ -0,0 +1,204 @@
+/**
+ * Summary Delivery
+ * Pushes completed summaries back into their LINE chat as a Flex card with
+ * topics, action items and a dashboard link, for rooms with
+ * settings.deliver_to_chat. Deliveries that come up during the
+ * organization's quiet hours wait until they end (job run_at). Results and
+ * failures are kept on Summary.chat_delivery; failed pushes are retried by
+ * the job queue.
+ *
+ * @module services/summary_delivery
+ */
+
+const { Room, Organization, Owner, Summary } = require('../models');
+const jobQueue = require('./job_queue');
+const lineService = require('./line_service');
+const { get_local_time, add_days, get_local_midnight } = require('./digest');
+const { truncate_summary, format_local_time, get_session_url } = require('./bot_commands');
+
+// Topics and action items shown on the card
+const MAX_LIST_ITEMS = 5;
+const URGENCY_COLORS = { high: '#b91c1c', medium: '#b45309', low: '#6b7280' };
+
+/**
+ * End of the organization's quiet hours when they are in effect
+ * Hours are local to settings.timezone; start > end spans midnight (22 → 7).
+ * @param {Organization} organization - Organization (null = no quiet hours)
+ * @param {Date} now - Current time
+ * @returns {Date|null} When quiet hours end, or null outside quiet hours
+ */
+function get_quiet_hours_end(organization, now = new Date()) {
+  const quiet = organization?.settings?.quiet_hours;
+  if (!quiet?.enabled || quiet.start_hour === quiet.end_hour) return null;
+
+  const timezone = organization.settings.timezone;
+  const local = get_local_time(now, timezone);
+  const overnight = quiet.start_hour > quiet.end_hour;
+  const inQuietHours = overnight
+    ? local.hour >= quiet.start_hour || local.hour < quiet.end_hour
+    : local.hour >= quiet.start_hour && local.hour < quiet.end_hour;
+
+  if (!inQuietHours) return null;
+
+  // Overnight quiet hours that started this evening end tomorrow
+  const endDay = overnight && local.hour >= quiet.start_hour ? add_days(local.day, 1) : local.day;
+  return new Date(get_local_midnight(endDay, timezone).getTime() + quiet.end_hour * 60 * 60 * 1000);
+}
+
+/**
+ * Queue the chat delivery of a completed summary
+ * Does nothing unless the room has deliver_to_chat on; a summary is only sent once.
+ * @param {Summary} summary - Completed summary
+ * @returns {Promise<Job|null>} Delivery job, or null when not delivered
+ */
+async function queue_summary_delivery(summary) {
+  if (summary.status !== 'completed' || summary.chat_delivery?.status === 'sent') {
+    return null;
+  }
+
+  const room = await Room.findById(summary.room_id).select('settings organization_id');
+  if (!room?.settings?.deliver_to_chat) {
+    return null;
+  }
+
+  const organizationId = room.organization_id || summary.organization_id;
+  const organization = organizationId ? await Organization.findById(organizationId).select('settings') : null;
+  const deferredUntil = get_quiet_hours_end(organization);
+
+  await Summary.updateOne({ _id: summary._id }, {
+    $set: {
+      'chat_delivery.status': deferredUntil ? 'deferred' : 'pending',
+      'chat_delivery.error': null,
+      'chat_delivery.deferred_until': deferredUntil
+    }
+  });
+
+  const job = await jobQueue.enqueue(jobQueue.JOB_TYPES.SUMMARY_DELIVER, {
+    summary_id: summary._id
+  }, {
+    organization_id: organizationId,
+    unique_key: `summary-deliver:${summary._id}`,
+    ...(deferredUntil && { run_at: deferredUntil })
+  });
+
+  console.log(deferredUntil
+    ? `🌙 Chat delivery of summary ${summary._id} deferred to ${deferredUntil.toISOString()} (quiet hours)`
+    : `📮 Chat delivery of summary ${summary._id} queued (job ${job._id})`);
+
+  return job;
+}
+
+/**
+ * LINE Flex card of a summary
+ * @param {Summary} summary - Completed summary
+ * @param {Room} room - Room the summary belongs to
+ * @param {string} timezone - Organization timezone
+ * @returns {Object} LINE flex message
+ */
+function build_summary_flex(summary, room, timezone) {
+  const text = (value, options = {}) => ({ type: 'text', text: String(value), wrap: true, size: 'sm', ...options });
+  const section = (title, rows) => (rows.length ? [
+    { type: 'separator', margin: 'md' },
+    text(title, { weight: 'bold', margin: 'md' }),
+    ...rows
+  ] : []);
+
+  const roomName = room.assignment?.custom_name || room.name;
+  const urgency = summary.analysis?.urgency;
+  const details = [
+    format_local_time(summary.created_at, timezone),
+    urgency && `${urgency} urgency`,
+    summary.analysis?.sentiment
+  ].filter(Boolean).join(' · ');
+
+  const topics = (summary.key_topics || []).slice(0, MAX_LIST_ITEMS).map(topic => text(`• ${topic}`));
+  const actionItems = (summary.analysis?.action_items || []).slice(0, MAX_LIST_ITEMS).map(item => text(`• ${item}`));
+
+  return lineService.create_flex_message(`Summary: ${roomName}`.slice(0, 400), {
+    type: 'bubble',
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: [
+        text(`📝 ${roomName}`, { weight: 'bold', size: 'md' }),
+        text(details, { size: 'xs', color: URGENCY_COLORS[urgency] || '#6b7280' }),
+        text(truncate_summary(summary.content), { margin: 'md' }),
+        ...section('Topics', topics),
+        ...section('Action items', actionItems)
+      ]
+    },
+    footer: {
+      type: 'box',
+      layout: 'vertical',
+      contents: [{
+        type: 'button',
+        style: 'link',
+        height: 'sm',
+        action: { type: 'uri', label: 'Open in dashboard', uri: get_session_url(summary.session_id) }
+      }]
+    }
+  });
+}
+
+/**
+ * Push a summary into its chat and record the result
+ * Throws when LINE rejects the push so the job queue retries it.
+ * @param {string} summaryId - Summary ID
+ * @returns {Promise<Object>} { sent } or { skipped, reason }
+ */
+async function deliver_summary(summaryId) {
+  const summary = await Summary.findById(summaryId);
+  if (!summary || summary.status !== 'completed') {
+    return { skipped: true, reason: 'summary is not completed' };
+  }
+  if (summary.chat_delivery?.status === 'sent') {
+    return { skipped: true, reason: 'already sent' };
+  }
+
+  const room = await Room.findById(summary.room_id);
+  if (!room?.settings?.deliver_to_chat || !room.is_active) {
+    const reason = !room ? 'room not found' : 'chat delivery is turned off for the room';
+    await Summary.updateOne({ _id: summary._id }, {
+      $set: { 'chat_delivery.status': 'skipped', 'chat_delivery.error': reason }
+    });
+    return { skipped: true, reason };
+  }
+
+  const [organization, owner] = await Promise.all([
+    room.organization_id ? Organization.findById(room.organization_id).select('settings') : null,
+    Owner.findById(room.owner_id)
+  ]);
+  const attempts = (summary.chat_delivery?.attempts || 0) + 1;
+
+  try {
+    await lineService.for_owner(owner).push_message(room.line_room_id, [
+      build_summary_flex(summary, room, organization?.settings?.timezone)
+    ]);
+  } catch (error) {
+    const reason = error.response?.data?.message || error.message;
+    await Summary.updateOne({ _id: summary._id }, {
+      $set: { 'chat_delivery.status': 'failed', 'chat_delivery.attempts': attempts, 'chat_delivery.error': reason }
+    });
+    throw error;
+  }
+
+  await Summary.updateOne({ _id: summary._id }, {
+    $set: {
+      'chat_delivery.status': 'sent',
+      'chat_delivery.attempts': attempts,
+      'chat_delivery.error': null,
+      'chat_delivery.sent_at': new Date()
+    }
+  });
+
+  console.log(`📮 Summary ${summary._id} delivered to chat ${room.line_room_id}`);
+  return { sent: true, attempts };
+}
+
+module.exports = {
+  get_quiet_hours_end,
+  queue_summary_delivery,
+  build_summary_flex,
+  deliver_summary
+};
@@ -0,0 +1,223 @@
+/**
+ * Summary Feedback
+ *
+ * Reviewer ratings (thumbs up/down), corrections (topics, sentiment, wrong
+ * and missing action items) and comments on summaries. Each reviewer has one
+ * feedback entry per summary; the summary keeps counters for lists.
+ *
+ * Organizations can turn on feedback examples (settings.feedback_examples):
+ * their most recent corrections for the same template are then shown to the
+ * model as few-shot examples when new summaries are generated (see
+ * BaseLLMProvider.build_feedback_examples_section).
+ *
+ * @module services/summary_feedback
+ */
+
+const { Summary, SummaryFeedback, Organization } = require('../models');
+const { restore_pii } = require('./pii_redactor');
+
+// Summary text quoted in a few-shot example
+const EXAMPLE_CONTENT_LENGTH = 400;
+
+// Reviewer comment quoted in a few-shot example
+const EXAMPLE_COMMENT_LENGTH = 300;
+
+// Feedback older than this is not used as an example
+const EXAMPLE_MAX_AGE_DAYS = 90;
+
+// Feedback entries with a correction of any field
+const HAS_CORRECTIONS_FILTER = {
+  $or: [
+    { 'corrections.key_topics': { $exists: true } },
+    { 'corrections.sentiment': { $ne: null } },
+    { 'corrections.wrong_action_items.0': { $exists: true } },
+    { 'corrections.missing_action_items.0': { $exists: true } }
+  ]
+};
+
+/**
+ * Recount the feedback counters of a summary
+ * @param {ObjectId} summaryId - Summary ID
+ * @returns {Promise<Object>} Summary.feedback
+ */
+async function refresh_feedback_counters(summaryId) {
+  const entries = await SummaryFeedback.find({ summary_id: summaryId });
+  const feedback = {
+    up: entries.filter(entry => entry.rating === 'up').length,
+    down: entries.filter(entry => entry.rating === 'down').length,
+    corrections: entries.filter(entry => entry.has_corrections).length,
+    comments: entries.filter(entry => entry.comment).length,
+    last_feedback_at: entries.reduce((latest, entry) => (!latest || entry.updated_at > latest ? entry.updated_at : latest), null)
+  };
+
+  await Summary.updateOne({ _id: summaryId }, { $set: { feedback } });
+  return feedback;
+}
+
+/**
+ * Save a reviewer's feedback on a summary (replaces their earlier feedback)
+ * @param {Object} params - Feedback and reviewer
+ * @param {Summary} params.summary - Completed summary
+ * @param {Organization} params.organization - Reviewer's organization
+ * @param {User} params.user - Reviewer
+ * @param {string|null} params.rating - up | down | null
+ * @param {Object} params.corrections - { key_topics, sentiment, wrong_action_items, missing_action_items }
+ * @param {string} params.comment - Free-text comment
+ * @returns {Promise<Object>} { feedback, counters }
+ */
+async function submit_feedback({ summary, organization, user, rating = null, corrections = {}, comment = '' }) {
+  const feedback = await SummaryFeedback.findOneAndUpdate(
+    { summary_id: summary._id, user_id: user._id },
+    {
+      $set: {
+        organization_id: organization._id,
+        session_id: summary.session_id,
+        room_id: summary.room_id,
+        rating,
+        corrections: {
+          key_topics: corrections.key_topics ?? undefined,
+          sentiment: corrections.sentiment ?? null,
+          wrong_action_items: corrections.wrong_action_items || [],
+          missing_action_items: corrections.missing_action_items || []
+        },
+        comment,
+        original: {
+          key_topics: summary.key_topics || [],
+          sentiment: summary.analysis?.sentiment || null,
+          action_items: summary.analysis?.action_items || [],
+          content: summary.content || ''
+        },
+        summary_version: summary.version || 0,
+        template_id: summary.template_id || null,
+        template_name: summary.template_name || null,
+        provider: summary.gemini_metadata?.provider || null,
+        model: summary.gemini_metadata?.model || null
+      }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  const counters = await refresh_feedback_counters(summary._id);
+  console.log(`👍 Feedback on summary ${summary._id} by ${user._id}: rating=${rating || 'none'}, corrections=${feedback.has_corrections}`);
+
+  return { feedback, counters };
+}
+
+/**
+ * Feedback statistics of an organization, overall and per template and model
+ * @param {ObjectId} organizationId - Organization ID
+ * @param {Object} options - { start_date, end_date } (feedback time)
+ * @returns {Promise<Object>} { totals, by_template, by_model }
+ */
+async function get_feedback_stats(organizationId, { start_date = null, end_date = null } = {}) {
+  const match = { organization_id: organizationId };
+  if (start_date || end_date) {
+    match.updated_at = {};
+    if (start_date) match.updated_at.$gte = start_date;
+    if (end_date) match.updated_at.$lte = end_date;
+  }
+
+  const counters = {
+    reviews: { $sum: 1 },
+    up: { $sum: { $cond: [{ $eq: ['$rating', 'up'] }, 1, 0] } },
+    down: { $sum: { $cond: [{ $eq: ['$rating', 'down'] }, 1, 0] } },
+    topics_corrected: { $sum: { $cond: [{ $gt: ['$corrections.key_topics', null] }, 1, 0] } },
+    sentiment_corrected: { $sum: { $cond: [{ $gt: ['$corrections.sentiment', null] }, 1, 0] } },
+    wrong_action_items: { $sum: { $size: { $ifNull: ['$corrections.wrong_action_items', []] } } },
+    missing_action_items: { $sum: { $size: { $ifNull: ['$corrections.missing_action_items', []] } } },
+    comments: { $sum: { $cond: [{ $gt: [{ $strLenCP: { $ifNull: ['$comment', ''] } }, 0] }, 1, 0] } }
+  };
+
+  const [result] = await SummaryFeedback.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...counters } }],
+        by_template: [
+          { $group: { _id: '$template_id', template_name: { $last: '$template_name' }, ...counters } },
+          { $sort: { reviews: -1 } }
+        ],
+        by_model: [
+          { $group: { _id: { provider: '$provider', model: '$model' }, ...counters } },
+          { $sort: { reviews: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  // Share of rated summaries rated thumbs up (null = nothing rated)
+  const with_rate = ({ _id, ...row }) => ({
+    ...row,
+    approval_rate: row.up + row.down > 0 ? Math.round((row.up / (row.up + row.down)) * 1000) / 10 : null
+  });
+  const empty = { reviews: 0, up: 0, down: 0, topics_corrected: 0, sentiment_corrected: 0, wrong_action_items: 0, missing_action_items: 0, comments: 0 };
+
+  return {
+    totals: with_rate(result.totals[0] || empty),
+    by_template: result.by_template.map(row => ({
+      template_id: row._id,
+      template_name: row._id ? row.template_name : null,
+      ...with_rate(row)
+    })),
+    by_model: result.by_model.map(row => ({
+      provider: row._id.provider,
+      model: row._id.model,
+      ...with_rate(row)
+    }))
+  };
+}
+
+/**
+ * Recent reviewer corrections to show the model as few-shot examples
+ * Only used when the organization enabled feedback examples; examples come
+ * from summaries made with the same template (or the built-in prompt).
+ * Values are returned unredacted; the caller redacts the prompt.
+ * @param {ChatSession} session - Session being summarized
+ * @param {SummaryTemplate|null} template - Template of the summary
+ * @returns {Promise<Array<Object>>} [{ content, key_topics, sentiment, wrong_action_items, missing_action_items, comment }]
+ */
+async function load_feedback_examples(session, template = null) {
+  if (!session.organization_id) {
+    return [];
+  }
+
+  const organization = await Organization.findById(session.organization_id).select('settings.feedback_examples');
+  const settings = organization?.settings?.feedback_examples;
+  if (!settings?.enabled) {
+    return [];
+  }
+
+  const entries = await SummaryFeedback.find({
+    organization_id: session.organization_id,
+    template_id: template?._id || null,
+    session_id: { $ne: String(session._id) },
+    updated_at: { $gte: new Date(Date.now() - EXAMPLE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) },
+    ...HAS_CORRECTIONS_FILTER
+  })
+    .sort({ updated_at: -1 })
+    .limit(settings.max_examples || 3);
+
+  // The original AI text may hold redaction placeholders of its own session
+  const summaries = await Summary.find({ _id: { $in: entries.map(entry => entry.summary_id) } })
+    .select('+redaction.placeholders');
+  const placeholdersById = new Map(summaries.map(summary => [String(summary._id), summary.redaction?.placeholders]));
+
+  return entries.map(entry => {
+    const { original: stored, corrections } = entry.toObject();
+    const original = restore_pii(stored, placeholdersById.get(String(entry.summary_id)));
+    return {
+      content: (original.content || '').slice(0, EXAMPLE_CONTENT_LENGTH),
+      key_topics: corrections.key_topics ? { original: original.key_topics, corrected: corrections.key_topics } : null,
+      sentiment: corrections.sentiment ? { original: original.sentiment, corrected: corrections.sentiment } : null,
+      wrong_action_items: corrections.wrong_action_items,
+      missing_action_items: corrections.missing_action_items,
+      comment: (entry.comment || '').slice(0, EXAMPLE_COMMENT_LENGTH)
+    };
+  });
+}
+
+module.exports = {
+  submit_feedback,
+  get_feedback_stats,
+  load_feedback_examples
+};
@@ -0,0 +1,237 @@
+/**
+ * Summary Generation
+ * Shared entry points for generating a session summary, used by the webhook
+ * handler, the session manager, the sessions router and the summary job:
+ * queueing reuses the pending job (and its Summary) of a session instead of
+ * leaving a second Summary behind, and every completed summary goes through
+ * the same follow-up steps.
+ * Generation runs the summary stages (services/summary_stages) around the
+ * provider's model call.
+ *
+ * @module services/summary_generation
+ */
+
+const { Summary, Job, Owner, Organization } = require('../models');
+const llm = require('./llm');
+const jobQueue = require('./job_queue');
+const stages = require('./summary_stages');
+const { is_semantic_search_enabled } = require('./semantic_index');
+const { queue_summary_delivery } = require('./summary_delivery');
+const { evaluate_summary_alerts } = require('./alerts');
+const { resolve_summary_language_for_session } = require('./summary_language');
+
+/**
+ * Dedupe key of a session's summary job
+ * @param {ObjectId} sessionId - ChatSession ID
+ * @returns {string}
+ */
+function get_summary_job_key(sessionId) {
+  return `summary:${sessionId}`;
+}
+
+/**
+ * Queue the AI summary of a session
+ * When a summary job is already pending for the session, that job and its
+ * Summary are returned and nothing new is created.
+ * @param {ChatSession} session - Session to summarize
+ * @param {Object} options
+ * @param {ObjectId} options.owner_id - Owner billed for the summary
+ * @param {ObjectId} options.organization_id - Organization (defaults to the session's)
+ * @param {ObjectId} options.created_by - User who asked for the summary (null = system)
+ * @param {boolean} options.count_session - Count the session in the owner's usage when done
+ * @returns {Promise<Object>} { summary_id, job, reused }
+ */
+async function queue_summary_generation(session, options = {}) {
+  const uniqueKey = get_summary_job_key(session._id);
+  const organizationId = options.organization_id || session.organization_id || null;
+
+  const pending = await Job.findOne({
+    unique_key: uniqueKey,
+    status: { $in: Job.PENDING_STATUSES }
+  });
+  if (pending?.payload?.summary_id) {
+    console.log(`♻️ Summary already queued for session ${session._id}: job ${pending._id}`);
+    return { summary_id: pending.payload.summary_id, job: pending, reused: true };
+  }
+
+  const summary = await Summary.create_summary(session._id, session.room_id?._id || session.room_id, options.owner_id);
+  summary.organization_id = organizationId;
+  await summary.save();
+
+  const job = await jobQueue.enqueue(jobQueue.JOB_TYPES.SUMMARY_GENERATE, {
+    session_id: session._id,
+    summary_id: summary._id,
+    owner_id: options.owner_id,
+    ...(options.count_session && { count_session: true })
+  }, {
+    organization_id: organizationId,
+    created_by: options.created_by || null,
+    unique_key: uniqueKey
+  });
+
+  // Another request queued the session in between: keep its summary, drop ours
+  if (job.payload?.summary_id && job.payload.summary_id.toString() !== summary._id.toString()) {
+    await Summary.deleteOne({ _id: summary._id });
+    return { summary_id: job.payload.summary_id, job, reused: true };
+  }
+
+  return { summary_id: summary._id, job, reused: false };
+}
+
+/**
+ * Generate a summary now and run its follow-up steps
+ * Used by the summary job.
+ * The summary's organization (else the session's) selects the LLM provider.
+ * On failure the summary is marked failed and the session is still closed.
+ * @param {ChatSession} session - Session to summarize
+ * @param {Summary} summary - Summary record
+ * @param {Object} options - { owner_id, count_session }
+ * @returns {Promise<void>}
+ */
+async function generate_summary(session, summary, options = {}) {
+  const organizationId = summary.organization_id || session.organization_id;
+  const organization = organizationId
+    ? await Organization.findById(organizationId).select('settings')
+    : null;
+  const { provider, model } = llm.get_provider_for_organization(organization);
+
+  console.log(`🤖 Generating AI summary for session ${session._id} with ${provider.name}`);
+  const startTime = Date.now();
+
+  try {
+    const messages = await stages.load_summary_messages(session);
+    const context = await stages.load_summary_context(session, summary);
+    const redaction = await stages.redact_summary_input(session, messages, context);
+
+    const outcome = await provider.run_summary(session, redaction.messages, redaction.rolling, {
+      model,
+      template: context.template,
+      language: context.language,
+      examples: redaction.examples
+    });
+
+    await stages.record_usage(provider, 'summary', {
+      organization_id: session.organization_id,
+      owner_id: summary.owner_id || session.owner_id
+    }, outcome.calls);
+
+    const processingTime = Date.now() - startTime;
+    await stages.store_summary_result(summary, outcome, { provider, context, redaction, processing_time_ms: processingTime });
+    await stages.attach_summary_result(session, summary, context, messages);
+
+    console.log(`✅ AI summary generated successfully for session ${session._id} (${outcome.strategy})`);
+    console.log(`📊 Tokens used: ${outcome.usage.total_tokens}, Processing time: ${processingTime}ms`);
+  } catch (error) {
+    console.error(`❌ Error generating AI summary for session ${session._id}:`, error);
+
+    await summary.mark_failed(error.message);
+
+    // Still close the session
+    await session.close_session();
+
+    throw error;
+  }
+
+  await complete_summary_generation(session, summary, options);
+}
+
+/**
+ * Run a summary template against an existing session without saving it
+ * Rolling context is not applied so previews never touch the room digest.
+ * @param {ChatSession} session - Session to summarize
+ * @param {SummaryTemplate|Object|null} template - Template (or unsaved template data)
+ * @param {Object} options - { provider, model } (see llm.get_provider_for_organization)
+ * @returns {Promise<Object>} Preview result
+ */
+async function preview_summary(session, template, { provider, model } = {}) {
+  console.log(`👀 Previewing summary template "${template?.name || 'built-in'}" on session ${session._id} with ${provider.name}`);
+
+  const startTime = Date.now();
+  const messages = await stages.load_session_messages(session);
+  const { language } = await resolve_summary_language_for_session(session, template);
+  const examples = await stages.load_prompt_examples(session, template);
+  const redaction = await stages.redact_summary_input(session, messages, { examples });
+
+  const outcome = await provider.run_summary(session, redaction.messages, null, {
+    model,
+    template,
+    language,
+    examples: redaction.examples
+  });
+  await stages.record_usage(provider, 'template_preview', { organization_id: session.organization_id }, outcome.calls);
+
+  return {
+    content: outcome.parsed.content,
+    key_topics: outcome.parsed.key_topics,
+    analysis: outcome.parsed.analysis,
+    custom_fields: outcome.parsed.custom_fields,
+    language: outcome.language,
+    output_valid: outcome.parsed.valid,
+    validation_errors: outcome.parsed.errors,
+    provider: provider.name,
+    model: outcome.model,
+    strategy: outcome.strategy,
+    chunk_count: outcome.chunks.length,
+    message_count: messages.length,
+    tokens_used: outcome.usage.total_tokens,
+    cost: outcome.cost,
+    processing_time_ms: Date.now() - startTime
+  };
+}
+
+/**
+ * Follow-up steps of a completed summary
+ * Runs after generation in the summary job: owner usage, semantic
+ * indexing, chat delivery and alert rules. Failures are logged; the summary
+ * itself is already saved.
+ * @param {ChatSession} session - Summarized session
+ * @param {Summary} summary - Completed summary
+ * @param {Object} options - { owner_id, count_session }
+ * @returns {Promise<void>}
+ */
+async function complete_summary_generation(session, summary, options = {}) {
+  const owner = await Owner.findById(options.owner_id || summary.owner_id || session.owner_id);
+  if (owner) {
+    if (options.count_session) {
+      await owner.increment_usage('total_sessions');
+    }
+    await owner.increment_usage('total_summaries');
+  }
+
+  // Make the session's messages and the new summary searchable
+  const organizationId = summary.organization_id || session.organization_id;
+  if (organizationId && is_semantic_search_enabled()) {
+    try {
+      await jobQueue.enqueue(jobQueue.JOB_TYPES.EMBEDDINGS_INDEX, {
+        session_id: session._id
+      }, {
+        organization_id: organizationId,
+        unique_key: `embeddings:${session._id}`
+      });
+    } catch (error) {
+      console.error(`❌ Failed to queue embeddings for session ${session._id}:`, error.message);
+    }
+  }
+
+  // Rooms with deliver_to_chat get the summary pushed into the chat
+  try {
+    await queue_summary_delivery(summary);
+  } catch (error) {
+    console.error(`❌ Failed to queue chat delivery of summary ${summary._id}:`, error.message);
+  }
+
+  // Urgency / sentiment alert rules
+  try {
+    await evaluate_summary_alerts(summary);
+  } catch (error) {
+    console.error(`❌ Failed to evaluate alerts for summary ${summary._id}:`, error.message);
+  }
+}
+
+module.exports = {
+  get_summary_job_key,
+  queue_summary_generation,
+  generate_summary,
+  preview_summary,
+  complete_summary_generation
+};
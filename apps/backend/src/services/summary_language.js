@@ -0,0 +1,83 @@
+/**
+ * Summary Language Resolver
+ *
+ * Language a room's summaries are written in (first value set wins):
+ *
+ *   room.settings.language → template.language → organization.settings.default_language → 'th'
+ *
+ * The viewer's language (for on-demand translations in summaries.get) is
+ * user.profile.language → organization.settings.default_language → 'th'.
+ *
+ * @module services/summary_language
+ */
+
+const { Room, Organization } = require('../models');
+
+const SUMMARY_LANGUAGES = ['th', 'en', 'ja'];
+const DEFAULT_SUMMARY_LANGUAGE = 'th';
+
+/**
+ * Whether a value is a supported summary language code
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+function is_supported_language(language) {
+  return SUMMARY_LANGUAGES.includes(language);
+}
+
+/**
+ * Resolve the summary language from already-loaded documents
+ * @param {Object} sources - { room, organization, template } (any may be null)
+ * @returns {Object} { language, source }
+ */
+function resolve_summary_language({ room = null, organization = null, template = null } = {}) {
+  if (is_supported_language(room?.settings?.language)) {
+    return { language: room.settings.language, source: 'room' };
+  }
+  if (is_supported_language(template?.language)) {
+    return { language: template.language, source: 'template' };
+  }
+  if (is_supported_language(organization?.settings?.default_language)) {
+    return { language: organization.settings.default_language, source: 'organization' };
+  }
+  return { language: DEFAULT_SUMMARY_LANGUAGE, source: 'default' };
+}
+
+/**
+ * Resolve the summary language for a chat session's room
+ * @param {ChatSession} session - Session with room_id
+ * @param {SummaryTemplate|null} template - Template resolved for the room
+ * @returns {Promise<Object>} { language, source }
+ */
+async function resolve_summary_language_for_session(session, template = null) {
+  const room = session.room_id ? await Room.findById(session.room_id).select('organization_id settings') : null;
+  const organization = room?.organization_id
+    ? await Organization.findById(room.organization_id).select('settings')
+    : null;
+
+  return resolve_summary_language({ room, organization, template });
+}
+
+/**
+ * Language a user reads summaries in
+ * @param {Object} sources - { user, organization }
+ * @returns {string} Language code
+ */
+function resolve_viewer_language({ user = null, organization = null } = {}) {
+  if (is_supported_language(user?.profile?.language)) {
+    return user.profile.language;
+  }
+  if (is_supported_language(organization?.settings?.default_language)) {
+    return organization.settings.default_language;
+  }
+  return DEFAULT_SUMMARY_LANGUAGE;
+}
+
+module.exports = {
+  SUMMARY_LANGUAGES,
+  DEFAULT_SUMMARY_LANGUAGE,
+  is_supported_language,
+  resolve_summary_language,
+  resolve_summary_language_for_session,
+  resolve_viewer_language
+};
@@ -0,0 +1,62 @@
+/**
+ * Summary Context Stage
+ * Everything a summary prompt needs besides the messages: the rolling
+ * context (previous room summary and running digest), the organization
+ * template, the answer language and reviewer feedback examples.
+ *
+ * @module services/summary_stages/context
+ */
+
+const { load_rolling_context } = require('../rolling_summary');
+const { resolve_summary_template_for_session } = require('../summary_template_resolver');
+const { resolve_summary_language_for_session } = require('../summary_language');
+const { load_feedback_examples } = require('../summary_feedback');
+
+/**
+ * Load the context of a session's summary
+ * @param {ChatSession} session - Session being summarized
+ * @param {Summary} summary - Summary being generated
+ * @returns {Promise<Object>} { rolling, template, language, examples }
+ */
+async function load_summary_context(session, summary) {
+  // Rolling mode: previous room summary and running digest (null = standalone)
+  const rolling = await load_rolling_context(session, summary);
+
+  // Organization template for this room (null = built-in prompt)
+  const { template, source } = await resolve_summary_template_for_session(session);
+  if (template) {
+    console.log(`📐 Using summary template "${template.name}" (${source})`);
+  }
+
+  // Room → template → organization → Thai
+  const { language } = await resolve_summary_language_for_session(session, template);
+
+  const examples = await load_prompt_examples(session, template);
+
+  return { rolling, template, language, examples };
+}
+
+/**
+ * Reviewer feedback examples for a summary prompt
+ * Examples are optional context, so a failure to load them is only logged.
+ * @param {ChatSession} session - Session being summarized
+ * @param {SummaryTemplate|Object|null} template - Template of the summary
+ * @returns {Promise<Array<Object>>}
+ */
+async function load_prompt_examples(session, template) {
+  try {
+    const examples = await load_feedback_examples(session, template);
+    if (examples.length > 0) {
+      console.log(`🧑‍🏫 Using ${examples.length} feedback example(s) for session ${session._id}`);
+    }
+    return examples;
+  } catch (error) {
+    console.error(`❌ Failed to load feedback examples for session ${session._id}:`, error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  load_summary_context,
+  load_prompt_examples
+};
@@ -0,0 +1,36 @@
+/**
+ * Summary Stages
+ *
+ * Steps of summary generation around the model call, run in this order by
+ * services/summary_generation:
+ *
+ *   messages    → load the session's messages, caption images, transcribe media
+ *   context     → rolling context, template, answer language, feedback examples
+ *   redaction   → placeholders instead of personal data in the prompt
+ *   (provider)  → BaseLLMProvider.run_summary
+ *   usage       → meter token usage and cost of the model calls
+ *   result      → store the outcome, versions, session, digest, tasks
+ *
+ * structured_output (schema validation and repair) runs inside every model
+ * call that expects JSON.
+ *
+ * @module services/summary_stages
+ */
+
+const { load_summary_messages, load_session_messages } = require('./messages');
+const { load_summary_context, load_prompt_examples } = require('./context');
+const { redact_summary_input, get_summary_redaction } = require('./redaction');
+const { store_summary_result, attach_summary_result } = require('./result');
+const { record_usage } = require('./usage');
+
+module.exports = {
+  load_summary_messages,
+  load_session_messages,
+  load_summary_context,
+  load_prompt_examples,
+  redact_summary_input,
+  get_summary_redaction,
+  store_summary_result,
+  attach_summary_result,
+  record_usage
+};
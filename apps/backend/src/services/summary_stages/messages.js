@@ -0,0 +1,102 @@
+/**
+ * Messages Stage
+ * Loads the messages of a session to summarize. Images the ingestion job has
+ * not captioned yet are captioned/OCR'd (image_analyzer) and voice messages,
+ * videos and files get their transcript or document text (media_processor),
+ * so the prompt shows what they contain.
+ *
+ * @module services/summary_stages/messages
+ */
+
+const config = require('../../config');
+const { Message } = require('../../models');
+const { UNSENT_PLACEHOLDER } = require('../../models/message');
+const { apply_contact_names } = require('../line_contacts');
+const { analyze_session_images } = require('../image_analyzer');
+const { process_session_media } = require('../media_processor');
+
+// Messages loaded per query when reading a session
+const MESSAGE_PAGE_SIZE = 1000;
+
+/**
+ * Load a session's messages with their images and media processed
+ * Failures of image analysis and media processing leave the placeholder text.
+ * @param {ChatSession} session - Session being summarized
+ * @returns {Promise<Array<Object>>}
+ */
+async function load_summary_messages(session) {
+  const messages = await load_session_messages(session);
+
+  try {
+    await analyze_session_images(session, messages);
+  } catch (error) {
+    console.error(`❌ Image analysis failed for session ${session._id}:`, error.message);
+  }
+
+  try {
+    await process_session_media(session, messages);
+  } catch (error) {
+    console.error(`❌ Media processing failed for session ${session._id}:`, error.message);
+  }
+
+  return messages;
+}
+
+/**
+ * Load all messages of a session (paged, capped at LLM_MAX_SESSION_MESSAGES)
+ * Falls back to embedded message_logs when the Message collection is empty.
+ * @param {ChatSession} session - Session
+ * @returns {Promise<Array<Object>>}
+ */
+async function load_session_messages(session) {
+  const maxMessages = config.llm.maxSessionMessages;
+  let messages = [];
+
+  while (messages.length < maxMessages) {
+    const limit = Math.min(MESSAGE_PAGE_SIZE, maxMessages - messages.length);
+    const page = await Message.get_session_messages(session.session_id, limit, messages.length);
+    messages = messages.concat(page);
+    if (page.length < limit) break;
+  }
+
+  console.log(`🔍 Retrieved ${messages.length} messages from Message collection for session ${session.session_id}`);
+  if (messages.length >= maxMessages) {
+    console.warn(`⚠️ Session ${session.session_id} reached LLM_MAX_SESSION_MESSAGES (${maxMessages}); later messages are not summarized`);
+  }
+
+  // If no messages in Message collection, use embedded message_logs as fallback
+  if (messages.length === 0 && session.message_logs && session.message_logs.length > 0) {
+    console.log(`📋 Falling back to embedded message_logs (${session.message_logs.length} messages)`);
+    return convert_message_logs_to_message_format(session.message_logs);
+  }
+
+  // Messages the sender unsent are kept as tombstones but never summarized
+  messages = messages.filter(msg => !msg.unsent_at);
+
+  // Speakers of messages stored before their profile was known
+  await apply_contact_names(messages, session.organization_id);
+
+  return messages;
+}
+
+/**
+ * Convert embedded message_logs to Message-like format for AI processing
+ * Entries the sender unsent (text replaced by UNSENT_PLACEHOLDER) are left out.
+ * @param {Array<Object>} messageLogs - ChatSession.message_logs
+ * @returns {Array<Object>}
+ */
+function convert_message_logs_to_message_format(messageLogs) {
+  return messageLogs.filter(log => log.message !== UNSENT_PLACEHOLDER).map(log => ({
+    timestamp: log.timestamp,
+    direction: log.direction,
+    message_type: log.message_type,
+    message: log.message,
+    user_name: 'User', // Default name since embedded logs don't have user details
+    sender_role: 'user'
+  }));
+}
+
+module.exports = {
+  load_summary_messages,
+  load_session_messages
+};
@@ -0,0 +1,51 @@
+/**
+ * Redaction Stage
+ * Organizations with PII redaction get placeholders instead of personal data
+ * in every prompt (services/pii_redactor). The summary keeps the placeholders
+ * it uses so viewers allowed to read the messages see the real values.
+ *
+ * @module services/summary_stages/redaction
+ */
+
+const { create_session_redactor } = require('../pii_redactor');
+
+/**
+ * Redact what is sent to the model
+ * @param {ChatSession} session - Session being summarized
+ * @param {Array<Object>} messages - Session messages
+ * @param {Object} context - { rolling, examples } (see summary_stages/context)
+ * @returns {Promise<Object>} { redactor, messages, rolling, examples } (redactor null = redaction off)
+ */
+async function redact_summary_input(session, messages, context = {}) {
+  const { rolling = null, examples = [] } = context;
+
+  const redactor = await create_session_redactor(session, rolling);
+  if (!redactor) {
+    return { redactor: null, messages, rolling, examples };
+  }
+
+  return {
+    redactor,
+    messages: redactor.redact_messages(messages),
+    rolling: redactor.redact_rolling(rolling),
+    examples: redactor.redact_examples(examples)
+  };
+}
+
+/**
+ * Placeholders and counts to store on a completed summary
+ * @param {Object|null} redactor - Session redactor (null = redaction off)
+ * @param {Array<*>} values - Summary output fields that may hold placeholders
+ * @returns {Object} { placeholders, stats }
+ */
+function get_summary_redaction(redactor, values) {
+  if (!redactor) {
+    return { placeholders: [], stats: { enabled: false, replacements: 0, unique_values: 0, by_type: {} } };
+  }
+  return { placeholders: redactor.get_placeholders(values), stats: redactor.get_stats() };
+}
+
+module.exports = {
+  redact_summary_input,
+  get_summary_redaction
+};
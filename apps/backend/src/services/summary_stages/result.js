@@ -0,0 +1,108 @@
+/**
+ * Result Stage
+ * Stores a summary outcome (see BaseLLMProvider.run_summary) on the Summary
+ * and updates what depends on it: version history, the session, the room's
+ * running digest and the Tasks extracted from its action items.
+ *
+ * @module services/summary_stages/result
+ */
+
+const { update_room_digest } = require('../rolling_summary');
+const { build_image_insights } = require('../image_analyzer');
+const { record_generation } = require('../summary_versions');
+const { extract_tasks_from_summary } = require('../task_extractor');
+const { get_summary_redaction } = require('./redaction');
+
+/**
+ * Mark a summary completed with the model outcome
+ * @param {Summary} summary - Summary being generated
+ * @param {Object} outcome - run_summary outcome
+ * @param {Object} input - { provider, context, redaction, processing_time_ms }
+ *   context = load_summary_context result, redaction = redact_summary_input result
+ * @returns {Promise<void>}
+ */
+async function store_summary_result(summary, outcome, { provider, context, redaction, processing_time_ms }) {
+  const parsed = outcome.parsed;
+  const { rolling, template } = context;
+
+  // Models that ignore image_insights still get the captions
+  if (parsed.analysis.image_insights.length === 0) {
+    parsed.analysis.image_insights = build_image_insights(redaction.messages);
+  }
+
+  summary.template_id = template?._id || null;
+  summary.template_name = template?.name || null;
+  summary.custom_fields = parsed.custom_fields;
+  summary.language = outcome.language;
+
+  if (rolling) {
+    summary.rolling = {
+      enabled: true,
+      previous_summary_id: rolling.previous_summary?._id || null,
+      changes_since_last: parsed.rolling.changes_since_last,
+      // Models that skip the digest still move the story forward with this summary
+      running_digest: parsed.rolling.running_digest || parsed.content
+    };
+  }
+
+  // Placeholder values the summary needs to be shown unredacted (none without redaction)
+  const { placeholders, stats } = get_summary_redaction(redaction.redactor, [
+    parsed.content,
+    parsed.key_topics,
+    parsed.analysis,
+    parsed.custom_fields,
+    summary.rolling
+  ]);
+  summary.redaction = { placeholders };
+
+  await summary.mark_completed(parsed.content, parsed.key_topics, parsed.analysis, {
+    provider: provider.name,
+    model: outcome.model,
+    tokens_used: outcome.usage.total_tokens,
+    prompt_tokens: outcome.usage.prompt_tokens,
+    completion_tokens: outcome.usage.completion_tokens,
+    processing_time_ms,
+    cost: outcome.cost,
+    strategy: outcome.strategy,
+    chunk_count: outcome.chunks.length,
+    reduce_rounds: outcome.reduce_rounds,
+    chunks: outcome.chunks,
+    output_valid: parsed.valid,
+    repair_attempts: outcome.repair_attempts,
+    redaction: stats
+  });
+}
+
+/**
+ * Attach a completed summary to its session and update what depends on it
+ * Version history and task extraction failures are logged, not thrown.
+ * @param {ChatSession} session - Summarized session
+ * @param {Summary} summary - Completed summary
+ * @param {Object} context - load_summary_context result
+ * @param {Array<Object>} messages - Session messages (unredacted, for task sources)
+ * @returns {Promise<void>}
+ */
+async function attach_summary_result(session, summary, context, messages) {
+  try {
+    await record_generation(session, summary, context.template);
+  } catch (error) {
+    console.error(`❌ Failed to record summary version for session ${session._id}:`, error.message);
+  }
+
+  await session.attach_summary(summary._id);
+
+  if (context.rolling) {
+    await update_room_digest(context.rolling.room, summary);
+  }
+
+  try {
+    await extract_tasks_from_summary(summary, session, messages);
+  } catch (error) {
+    console.error(`❌ Task extraction failed for summary ${summary._id}:`, error.message);
+  }
+}
+
+module.exports = {
+  store_summary_result,
+  attach_summary_result
+};
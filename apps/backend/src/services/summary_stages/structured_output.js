@@ -0,0 +1,182 @@
+/**
+ * Structured Output Stage
+ * Validates model answers against their output spec (services/llm/summary_schema)
+ * and repairs invalid JSON by re-asking the model with the validation errors,
+ * up to LLM_REPAIR_ATTEMPTS times. Answers that stay invalid fall back to a
+ * plain-text result (valid: false).
+ *
+ * @module services/summary_stages/structured_output
+ */
+
+const config = require('../../config');
+const { get_output_spec, validate_output } = require('../llm/summary_schema');
+
+// Invalid output quoted back to the model in a repair prompt is truncated to this length
+const REPAIR_MAX_PREVIOUS_LENGTH = 8000;
+
+// Words ignored by topic extraction (English and Thai function words)
+const STOP_WORDS = new Set([
+  'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were',
+  'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may',
+  'might', 'can', 'this', 'that', 'these', 'those', 'from', 'what', 'when', 'there', 'their', 'about',
+  'ครับ', 'ค่ะ', 'คะ', 'นะ', 'จ้า', 'จ้ะ', 'ที่', 'และ', 'ของ', 'ใน', 'ให้', 'มี', 'ไม่', 'เป็น', 'การ', 'ว่า',
+  'ก็', 'แล้ว', 'กับ', 'อยู่', 'จาก', 'ความ', 'นี้', 'นั้น', 'ไป', 'มา', 'ได้', 'จะ', 'คือ', 'หรือ', 'แต่',
+  'เรา', 'ผม', 'ฉัน', 'เขา', 'คุณ', 'เลย', 'ด้วย', 'ยัง', 'อีก', 'กัน', 'ทำ', 'คน', 'แบบ', 'เมื่อ', 'ถ้า'
+]);
+
+/**
+ * Call the model and validate the answer, re-asking with the validation
+ * errors when the JSON does not match the spec
+ * @param {BaseLLMProvider} provider - Provider making the calls
+ * @param {string} prompt - Prompt text
+ * @param {Object} spec - Output spec from get_output_spec
+ * @param {Object} callOptions - { model, context } passed to generate_content
+ * @returns {Promise<Object>} { parsed, result, results, repair_attempts }
+ */
+async function request_structured(provider, prompt, spec, callOptions = {}) {
+  const results = [];
+  let result = await provider.generate_content(prompt, callOptions);
+  results.push(result);
+  let parsed = parse_ai_response(result.text, spec);
+
+  let repairAttempts = 0;
+  while (!parsed.valid && repairAttempts < config.llm.repairAttempts) {
+    repairAttempts++;
+    console.log(`🔧 Re-asking ${provider.name} for valid ${spec.kind} JSON (attempt ${repairAttempts}/${config.llm.repairAttempts})`);
+
+    result = await provider.generate_content(build_repair_prompt(result.text, parsed.errors, spec), callOptions);
+    results.push(result);
+    parsed = parse_ai_response(result.text, spec);
+  }
+
+  if (!parsed.valid && results.length > 1) {
+    // Repairs failed too: fall back to the original answer's text
+    parsed = parse_ai_response(results[0].text, spec);
+  }
+
+  return { parsed, result, results, repair_attempts: repairAttempts };
+}
+
+/**
+ * Parse AI response and validate it against the output schema
+ * Invalid responses fall back to a plain-text summary (valid: false).
+ * @param {string} aiResponse - Raw model output
+ * @param {Object} spec - Output spec (defaults to the standalone summary schema)
+ * @returns {Object} { valid, errors, data, content, key_topics, analysis, rolling, custom_fields }
+ */
+function parse_ai_response(aiResponse, spec = get_output_spec('summary')) {
+  const result = validate_output(aiResponse, spec);
+
+  if (result.valid) {
+    const data = result.data;
+
+    return {
+      valid: true,
+      errors: [],
+      data,
+      content: data.summary,
+      key_topics: data.key_topics,
+      analysis: {
+        sentiment: data.sentiment,
+        urgency: data.urgency,
+        category: data.category || 'general',
+        action_items: data.action_items,
+        participants_analysis: data.participants_analysis || {},
+        conversation_highlights: data.conversation_highlights || [],
+        follow_up_needed: data.follow_up_needed || 'no',
+        tags: data.tags || [],
+        image_insights: data.image_insights || []
+      },
+      rolling: {
+        changes_since_last: data.changes_since_last || null,
+        running_digest: data.running_digest || null
+      },
+      custom_fields: data.custom_fields || {}
+    };
+  }
+
+  console.warn(`⚠️ AI response failed schema validation: ${result.errors.slice(0, 3).join('; ')}`);
+
+  // Fallback: keep a usable summary text (the JSON "summary" field if present)
+  const content = typeof result.raw?.summary === 'string' && result.raw.summary.trim()
+    ? result.raw.summary.trim()
+    : (aiResponse || '').replace(/```(?:json)?/gi, '').trim();
+
+  return {
+    valid: false,
+    errors: result.errors,
+    data: null,
+    content,
+    key_topics: extract_topics_from_text(content),
+    analysis: {
+      sentiment: 'neutral',
+      urgency: 'low',
+      category: 'general',
+      action_items: [],
+      participants_analysis: {},
+      conversation_highlights: [],
+      follow_up_needed: 'no',
+      tags: [],
+      image_insights: []
+    },
+    rolling: {
+      changes_since_last: null,
+      running_digest: null
+    },
+    custom_fields: {}
+  };
+}
+
+/**
+ * Build the re-ask prompt for a response that failed validation
+ * @param {string} previousText - Invalid model output
+ * @param {Array<string>} errors - Validation errors
+ * @param {Object} spec - Output spec
+ * @returns {string}
+ */
+function build_repair_prompt(previousText, errors, spec) {
+  return `คำตอบก่อนหน้าไม่ตรงตามรูปแบบ JSON ที่กำหนด
+
+ข้อผิดพลาด:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+คำตอบก่อนหน้า:
+${(previousText || '').slice(0, REPAIR_MAX_PREVIOUS_LENGTH)}
+
+กรุณาแก้ไขและตอบใหม่เป็น JSON ที่ถูกต้องตามรูปแบบนี้เท่านั้น โดยคงเนื้อหาเดิมไว้ ไม่ต้องมีข้อความอื่นนอกจาก JSON:
+
+${spec.template}`;
+}
+
+/**
+ * Extract topics from text using word frequency
+ * Uses Intl.Segmenter so Thai (written without spaces) is split into words.
+ * @param {string} text - Summary or conversation text
+ * @returns {Array<string>} Up to five topics
+ */
+function extract_topics_from_text(text) {
+  const segmenter = new Intl.Segmenter('th', { granularity: 'word' });
+
+  const wordFreq = {};
+  for (const { segment, isWordLike } of segmenter.segment((text || '').toLowerCase())) {
+    if (!isWordLike || STOP_WORDS.has(segment)) continue;
+
+    // Thai and Japanese words are short; Latin words need more than 3 letters to be meaningful
+    const minLength = /[\u0E00-\u0E7F\u3040-\u30FF\u4E00-\u9FFF]/.test(segment) ? 2 : 4;
+    if (segment.length >= minLength && !/^\d+$/.test(segment)) {
+      wordFreq[segment] = (wordFreq[segment] || 0) + 1;
+    }
+  }
+
+  return Object.entries(wordFreq)
+    .sort(([,a], [,b]) => b - a)
+    .slice(0, 5)
+    .map(([word]) => word);
+}
+
+module.exports = {
+  request_structured,
+  parse_ai_response,
+  build_repair_prompt,
+  extract_topics_from_text
+};
@@ -0,0 +1,43 @@
+/**
+ * Usage Metering Stage
+ * Records the token usage and cost of model calls against an organization
+ * (services/ai_usage). Calls are grouped by model so each is priced with
+ * its own rates from the provider's price table.
+ *
+ * @module services/summary_stages/usage
+ */
+
+const { record_ai_usage } = require('../ai_usage');
+
+/**
+ * Meter model calls against an organization
+ * @param {BaseLLMProvider} provider - Provider that made the calls
+ * @param {string} feature - AI_USAGE_FEATURES value
+ * @param {Object} scope - { organization_id, owner_id }
+ * @param {Array<Object>} results - generate_content results ({ usage, model })
+ * @returns {Promise<void>}
+ */
+async function record_usage(provider, feature, scope, results = []) {
+  const byModel = new Map();
+  for (const result of results) {
+    const model = result.model || provider.defaultModel;
+    byModel.set(model, [...(byModel.get(model) || []), result]);
+  }
+
+  await record_ai_usage({
+    organization_id: scope.organization_id || null,
+    owner_id: scope.owner_id || null,
+    feature,
+    provider: provider.name,
+    entries: [...byModel].map(([model, calls]) => ({
+      model,
+      requests: calls.length,
+      usage: provider.sum_usage(calls.map(call => call.usage)),
+      cost: provider.sum_cost(calls)
+    }))
+  });
+}
+
+module.exports = {
+  record_usage
+};
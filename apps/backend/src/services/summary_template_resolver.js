@@ -0,0 +1,67 @@
+/**
+ * Summary Template Resolver
+ *
+ * Picks the SummaryTemplate used for a room's summaries, first match wins:
+ *
+ *   room.settings.summary_template_id
+ *     → active template whose categories include room.assignment.category
+ *       → organization default template (is_default)
+ *         → null (built-in prompt)
+ *
+ * Only active templates of the room's own organization are considered.
+ *
+ * @module services/summary_template_resolver
+ */
+
+const { Room, SummaryTemplate } = require('../models');
+
+/**
+ * Resolve the template for an already-loaded room
+ * @param {Room} room - Room document
+ * @returns {Promise<Object>} { template, source } (template null = built-in prompt)
+ */
+async function resolve_summary_template(room) {
+  if (!room?.organization_id) {
+    return { template: null, source: 'built_in' };
+  }
+
+  const base = { organization_id: room.organization_id, is_active: true };
+
+  if (room.settings?.summary_template_id) {
+    const template = await SummaryTemplate.findOne({ ...base, _id: room.settings.summary_template_id });
+    if (template) {
+      return { template, source: 'room' };
+    }
+    console.warn(`⚠️ Room ${room._id} template ${room.settings.summary_template_id} is missing or inactive; falling back`);
+  }
+
+  const category = room.assignment?.category;
+  if (category) {
+    const template = await SummaryTemplate.findOne({ ...base, categories: category }).sort({ updated_at: -1 });
+    if (template) {
+      return { template, source: 'category' };
+    }
+  }
+
+  const defaultTemplate = await SummaryTemplate.findOne({ ...base, is_default: true });
+  if (defaultTemplate) {
+    return { template: defaultTemplate, source: 'organization' };
+  }
+
+  return { template: null, source: 'built_in' };
+}
+
+/**
+ * Resolve the template for a chat session's room
+ * @param {ChatSession} session - Session with room_id
+ * @returns {Promise<Object>} { template, source }
+ */
+async function resolve_summary_template_for_session(session) {
+  const room = session.room_id ? await Room.findById(session.room_id) : null;
+  return resolve_summary_template(room);
+}
+
+module.exports = {
+  resolve_summary_template,
+  resolve_summary_template_for_session
+};
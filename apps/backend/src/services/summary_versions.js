@@ -0,0 +1,375 @@
+/**
+ * Summary Versions
+ *
+ * Keeps every state of a chat session's summary as an immutable
+ * SummaryVersion: each AI generation (including regenerations, which create
+ * a new Summary document), each human edit and each restore of an earlier
+ * version. Summaries from before version history get a backfilled snapshot
+ * the first time they change, so the original AI text is never lost.
+ *
+ * Diffs compare two versions word by word (Intl.Segmenter, so Thai and
+ * Japanese text without spaces diff by word too) and list the topics and
+ * action items added or removed.
+ *
+ * @module services/summary_versions
+ */
+
+const { Summary, SummaryVersion, ChatSession } = require('../models');
+
+// Word-level diffs are skipped above this many comparison cells (tokens × tokens)
+const MAX_DIFF_CELLS = 4000000;
+
+// Retries when another writer took the same version number
+const MAX_VERSION_RETRIES = 3;
+
+// List fields of the analysis compared as added/removed items
+const DIFF_LIST_FIELDS = ['action_items', 'conversation_highlights', 'image_insights', 'tags'];
+
+// Scalar analysis fields reported when changed
+const DIFF_SCALAR_FIELDS = ['sentiment', 'urgency', 'category', 'follow_up_needed'];
+
+/**
+ * Plain object of a Mongoose subdocument (or the value itself)
+ * @param {*} value - Value to convert
+ * @returns {*}
+ */
+function to_plain(value) {
+  return value?.toObject ? value.toObject() : value;
+}
+
+/**
+ * Generation details of a summary (copied onto every version)
+ * @param {Summary} summary - Summary document
+ * @param {SummaryTemplate|Object|null} template - Template used (null = unknown or built-in)
+ * @returns {Object} SummaryVersion.generation
+ */
+function get_generation_details(summary, template = null) {
+  return {
+    provider: summary.gemini_metadata?.provider || null,
+    model: summary.gemini_metadata?.model || null,
+    strategy: summary.gemini_metadata?.strategy || null,
+    tokens_used: summary.gemini_metadata?.tokens_used || 0,
+    cost: summary.gemini_metadata?.cost || 0,
+    rolling: !!summary.rolling?.enabled,
+    template_id: summary.template_id || null,
+    template_name: summary.template_name || null,
+    template_instructions: template ? template.instructions || '' : null,
+    template_output_fields: template ? (template.output_fields || []).map(field => field.key) : []
+  };
+}
+
+/**
+ * Write the next version of a session's summary
+ * @param {Summary} summary - Summary in the state to snapshot (placeholders loaded)
+ * @param {Object} options - { source, user, restored_from, backfilled, generation }
+ * @returns {Promise<SummaryVersion>} Created version
+ */
+async function create_version(summary, options) {
+  const { source, user = null, restored_from = null, backfilled = false, generation } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    const version = await SummaryVersion.get_latest_version(summary.session_id) + 1;
+    try {
+      const created = await SummaryVersion.create({
+        organization_id: summary.organization_id || null,
+        session_id: String(summary.session_id),
+        summary_id: summary._id,
+        room_id: summary.room_id,
+        version,
+        source,
+        author: { user_id: user?._id || null, name: user?.name || null },
+        restored_from,
+        backfilled,
+        content: summary.content || '',
+        key_topics: summary.key_topics || [],
+        analysis: to_plain(summary.analysis) || {},
+        custom_fields: summary.custom_fields || {},
+        language: summary.language || null,
+        redaction_placeholders: to_plain(summary.redaction?.placeholders) || [],
+        generation
+      });
+
+      await Summary.updateOne({ _id: summary._id }, { $set: { version } });
+      summary.version = version;
+
+      console.log(`🗂️ Summary version ${version} (${source}) recorded for session ${summary.session_id}`);
+      return created;
+    } catch (error) {
+      // Duplicate version number: another edit landed first
+      if (error.code !== 11000 || attempt >= MAX_VERSION_RETRIES) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Snapshot a summary from before version history (no-op once the session has versions)
+ * @param {Summary} summary - Completed summary (placeholders loaded)
+ * @returns {Promise<SummaryVersion|null>} Backfilled version, or null
+ */
+async function ensure_baseline_version(summary) {
+  if (summary.status !== 'completed' || await SummaryVersion.get_latest_version(summary.session_id) > 0) {
+    return null;
+  }
+
+  return create_version(summary, {
+    source: 'generated',
+    backfilled: true,
+    generation: get_generation_details(summary)
+  });
+}
+
+/**
+ * Record an AI generation (first summary or regeneration of a session)
+ * A previous summary of the session without history is backfilled first.
+ * @param {ChatSession} session - Summarized session
+ * @param {Summary} summary - Newly completed summary
+ * @param {SummaryTemplate|null} template - Template used for the prompt
+ * @returns {Promise<SummaryVersion>}
+ */
+async function record_generation(session, summary, template = null) {
+  const previousId = session.summary_id?._id || session.summary_id;
+  if (previousId && String(previousId) !== String(summary._id)) {
+    const previous = await Summary.findById(previousId).select('+redaction.placeholders');
+    if (previous) {
+      await ensure_baseline_version(previous);
+    }
+  }
+
+  return create_version(summary, {
+    source: 'generated',
+    generation: get_generation_details(summary, template)
+  });
+}
+
+/**
+ * Generation details to carry over to an edit or restore of a session
+ * @param {Summary} summary - Edited summary
+ * @returns {Promise<Object>} SummaryVersion.generation of the latest generated version
+ */
+async function get_latest_generation(summary) {
+  const generated = await SummaryVersion.findOne({ session_id: String(summary.session_id), source: 'generated' })
+    .sort({ version: -1 })
+    .select('generation')
+    .lean();
+  return generated?.generation || get_generation_details(summary);
+}
+
+/**
+ * Record a human edit (call after saving the edited summary)
+ * @param {Summary} summary - Edited summary
+ * @param {User} user - Editor
+ * @returns {Promise<SummaryVersion>}
+ */
+async function record_edit(summary, user) {
+  return create_version(summary, {
+    source: 'edited',
+    user,
+    generation: await get_latest_generation(summary)
+  });
+}
+
+/**
+ * Make an earlier version the session's current summary again
+ * The content is copied into the session's current Summary document and
+ * recorded as a new 'restored' version; history is never rewritten.
+ * @param {Summary} summary - Any summary of the session
+ * @param {number} versionNumber - Version to restore
+ * @param {User} user - User restoring
+ * @returns {Promise<Object>} { summary, version } (updated Summary, new SummaryVersion)
+ * @throws {Error} When the version does not exist
+ */
+async function restore_version(summary, versionNumber, user) {
+  const source = await SummaryVersion.findOne({ session_id: String(summary.session_id), version: versionNumber })
+    .select('+redaction_placeholders');
+  if (!source) {
+    throw new Error(`Version ${versionNumber} not found`);
+  }
+
+  // Restores apply to the summary the session currently shows
+  const session = await ChatSession.findById(summary.session_id).select('summary_id').catch(() => null);
+  const current = session?.summary_id && String(session.summary_id) !== String(summary._id)
+    ? await Summary.findById(session.summary_id).select('+redaction.placeholders')
+    : await Summary.findById(summary._id).select('+redaction.placeholders');
+  if (!current) {
+    throw new Error('Summary not found');
+  }
+
+  await ensure_baseline_version(current);
+
+  current.content = source.content;
+  current.key_topics = source.key_topics;
+  current.analysis = source.analysis;
+  current.custom_fields = source.custom_fields;
+  current.language = source.language || current.language;
+  current.redaction = { placeholders: to_plain(source.redaction_placeholders) || [] };
+  // Cached translations no longer match the restored text
+  current.translations = [];
+  await current.save();
+
+  const version = await create_version(current, {
+    source: 'restored',
+    user,
+    restored_from: versionNumber,
+    generation: source.generation
+  });
+
+  return { summary: current, version };
+}
+
+/**
+ * Words (and the spaces/punctuation between them) of a text
+ * @param {string} text - Text to split
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  const segmenter = new Intl.Segmenter('th', { granularity: 'word' });
+  return [...segmenter.segment(text || '')].map(part => part.segment);
+}
+
+/**
+ * Longest-common-subsequence diff of two token lists
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @returns {Array<Object>} [{ op: equal|delete|insert, text }] with adjacent ops merged
+ */
+function diff_tokens(a, b) {
+  const ops = [];
+  const push = (op, text) => {
+    const last = ops[ops.length - 1];
+    if (last?.op === op) {
+      last.text += text;
+    } else if (text) {
+      ops.push({ op, text });
+    }
+  };
+
+  // Common prefix/suffix are cheap and shrink the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  push('equal', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    push('delete', midA.join(''));
+    push('insert', midB.join(''));
+  } else {
+    // lengths[i][j] = LCS length of midA[i..] and midB[j..]
+    const lengths = new Uint32Array(rows * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lengths[i * cols + j] = midA[i] === midB[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        push('equal', midA[i++]);
+        j++;
+      } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+        push('delete', midA[i++]);
+      } else {
+        push('insert', midB[j++]);
+      }
+    }
+    push('delete', midA.slice(i).join(''));
+    push('insert', midB.slice(j).join(''));
+  }
+
+  push('equal', a.slice(endA).join(''));
+  return ops;
+}
+
+/**
+ * Items added to and removed from a list
+ * @param {Array<string>} before - Old items
+ * @param {Array<string>} after - New items
+ * @returns {Object} { added, removed }
+ */
+function diff_list(before = [], after = []) {
+  const oldItems = new Set(before);
+  const newItems = new Set(after);
+  return {
+    added: after.filter(item => !oldItems.has(item)),
+    removed: before.filter(item => !newItems.has(item))
+  };
+}
+
+/**
+ * Compare two versions of a summary
+ * @param {Object} from - Older version data (content, key_topics, analysis, custom_fields)
+ * @param {Object} to - Newer version data
+ * @returns {Object} { content, key_topics, analysis, custom_fields, changed_fields, stats }
+ */
+function diff_versions(from, to) {
+  const content = diff_tokens(tokenize(from.content), tokenize(to.content));
+
+  const analysis = {};
+  for (const field of DIFF_LIST_FIELDS) {
+    const change = diff_list(from.analysis?.[field], to.analysis?.[field]);
+    if (change.added.length || change.removed.length) {
+      analysis[field] = change;
+    }
+  }
+  for (const field of DIFF_SCALAR_FIELDS) {
+    const before = from.analysis?.[field] ?? null;
+    const after = to.analysis?.[field] ?? null;
+    if (before !== after) {
+      analysis[field] = { before, after };
+    }
+  }
+
+  const custom_fields = {};
+  const keys = new Set([...Object.keys(from.custom_fields || {}), ...Object.keys(to.custom_fields || {})]);
+  for (const key of keys) {
+    const before = from.custom_fields?.[key] ?? null;
+    const after = to.custom_fields?.[key] ?? null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      custom_fields[key] = { before, after };
+    }
+  }
+
+  const key_topics = diff_list(from.key_topics, to.key_topics);
+  const changed_fields = [
+    content.some(op => op.op !== 'equal') && 'content',
+    (key_topics.added.length || key_topics.removed.length) && 'key_topics',
+    ...Object.keys(analysis).map(field => `analysis.${field}`),
+    ...Object.keys(custom_fields).map(key => `custom_fields.${key}`)
+  ].filter(Boolean);
+
+  return {
+    content,
+    key_topics,
+    analysis,
+    custom_fields,
+    changed_fields,
+    stats: {
+      inserted_chars: content.filter(op => op.op === 'insert').reduce((sum, op) => sum + op.text.length, 0),
+      deleted_chars: content.filter(op => op.op === 'delete').reduce((sum, op) => sum + op.text.length, 0)
+    }
+  };
+}
+
+module.exports = {
+  ensure_baseline_version,
+  record_generation,
+  record_edit,
+  restore_version,
+  diff_versions
+};
@@ -0,0 +1,396 @@
+/**
+ * Task Extractor
+ *
+ * Turns the action_items of a completed summary into Task documents:
+ *
+ *   - assignee: a chat participant whose LINE display name appears in the item
+ *   - due date: explicit dates (2026-03-15, 15/3, 15/3/2569, 15 March) or
+ *     relative phrases (today, tomorrow, next week, Friday, within 3 days, and
+ *     their Thai/Japanese equivalents), read relative to the session end in
+ *     the organization's timezone
+ *   - source messages: up to three session messages sharing most of the item's words
+ *
+ * Extraction runs once per summary, and an item the session already has a
+ * task for is skipped, so regenerating a summary neither duplicates tasks nor
+ * overwrites ones the team already worked on.
+ *
+ * @module services/task_extractor
+ */
+
+const { Task, Room, Organization } = require('../models');
+
+// Most source messages linked to one task
+const MAX_SOURCE_MESSAGES = 3;
+
+// Share of the item's words a message must contain to count as its source
+const SOURCE_MATCH_THRESHOLD = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Weekday patterns, Sunday first (Thai weekdays need the "วัน" prefix; "อาทิตย์หน้า" means next week)
+const WEEKDAY_PATTERNS = [
+  /\bsun(day)?\b|วันอาทิตย์|日曜/i,
+  /\bmon(day)?\b|วันจันทร์|月曜/i,
+  /\btue(s|sday)?\b|วันอังคาร|火曜/i,
+  /\bwed(nesday)?\b|วันพุธ|水曜/i,
+  /\bthu(rs|rsday)?\b|วันพฤหัส(บดี)?|木曜/i,
+  /\bfri(day)?\b|วันศุกร์|金曜/i,
+  /\bsat(urday)?\b|วันเสาร์|土曜/i
+];
+
+// Relative phrases → days from the reference date (checked in order)
+const RELATIVE_PATTERNS = [
+  { pattern: /day after tomorrow|มะรืน|明後日/i, days: 2 },
+  { pattern: /\btomorrow\b|พรุ่งนี้|明日/i, days: 1 },
+  { pattern: /\btoday\b|\btonight\b|วันนี้|คืนนี้|今日/i, days: 0 },
+  { pattern: /next week|สัปดาห์หน้า|อาทิตย์หน้า|来週/i, days: 7 }
+];
+
+// "within 3 days", "in 3 days", "ภายใน 3 วัน", "อีก 3 วัน", "3日以内"
+const WITHIN_DAYS_PATTERN = /(?:within|in)\s+(\d{1,3})\s+days?|(?:ภายใน|อีก)\s*(\d{1,3})\s*วัน|(\d{1,3})\s*日以内/i;
+
+// Words right before "15/3" that mark it as a date ("by 15/3", "ภายใน 15/3", "วันที่ 15/3")
+const DATE_CUE_PATTERN = /(?:\b(?:by|on|before|until|till|due|deadline)|ภายใน|วันที่|ก่อน|ถึง)\s*:?\s*$/i;
+
+// Words right after "1/2" that make it a fraction ("1/2 hour", "3/4 done", "1/2 ชั่วโมง")
+const FRACTION_UNIT_PATTERN = /^\s*(?:(?:of|hours?|hrs?|minutes?|mins?|days?|weeks?|months?|years?|cups?|pages?|done|complete[d]?|finished|ready)\b|%|ชั่วโมง|ชม|นาที|วัน(?!ที่|จันทร์|อังคาร|พุธ|พฤหัส|ศุกร์|เสาร์|อาทิตย์)|สัปดาห์|เดือน|ปี|ส่วน|เสร็จ)/i;
+
+// ════════════════════════════════════════════════════════════════
+// Dates
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Calendar date and wall-clock time of an instant in a timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function get_zoned_date(date, timezone) {
+  const format = (timeZone) => new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23',
+    weekday: 'short'
+  }).formatToParts(date);
+
+  let parts;
+  try {
+    parts = format(timezone || 'UTC');
+  } catch (error) {
+    // Invalid timezone stored on the organization
+    parts = format('UTC');
+  }
+
+  const value = type => parseInt(parts.find(part => part.type === type)?.value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.find(part => part.type === 'weekday')?.value)
+  };
+}
+
+/**
+ * 23:59:59 of a calendar date in a timezone
+ * @returns {Date}
+ */
+function end_of_day(year, month, day, timezone) {
+  const guess = Date.UTC(year, month - 1, day, 23, 59, 59);
+  const zoned = get_zoned_date(new Date(guess), timezone);
+  const offset = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second) - guess;
+  return new Date(guess - offset);
+}
+
+/**
+ * Normalize a year written in an action item (2-digit and Buddhist Era years)
+ */
+function normalize_year(year, fallback) {
+  if (!year) return fallback;
+  let value = parseInt(year);
+  if (value < 100) value += 2000;
+  if (value > 2400) value -= 543; // Buddhist Era (พ.ศ.)
+  return value;
+}
+
+/**
+ * Read a due date from an action item
+ * @param {string} text - Action item
+ * @param {Date} reference - Date relative phrases are counted from
+ * @param {string} timezone - Organization timezone
+ * @returns {Object|null} { due_date, due_date_text }
+ */
+function parse_due_date(text, reference = new Date(), timezone = 'UTC') {
+  if (!text) return null;
+
+  const today = get_zoned_date(reference, timezone);
+  const from_today = (days, phrase) => {
+    const base = new Date(Date.UTC(today.year, today.month - 1, today.day) + days * DAY_MS);
+    return {
+      due_date: end_of_day(base.getUTCFullYear(), base.getUTCMonth() + 1, base.getUTCDate(), timezone),
+      due_date_text: phrase
+    };
+  };
+  const on_date = (year, month, day, phrase) => {
+    // Day 0 of the next month is the last day of this one (31/2 is not 3 March)
+    const days_in_month = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (month < 1 || month > 12 || day < 1 || day > days_in_month) return null;
+    return { due_date: end_of_day(year, month, day, timezone), due_date_text: phrase };
+  };
+
+  // 2026-03-15
+  let match = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (match) {
+    return on_date(normalize_year(match[1]), parseInt(match[2]), parseInt(match[3]), match[0]);
+  }
+
+  // 15/3, 15/3/26, 15/3/2569 (day first, as written in Thailand); without a
+  // year "1/2" is only a date after a cue like "by" or when no unit follows it
+  for (match of text.matchAll(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/g)) {
+    const is_date = match[3]
+      || DATE_CUE_PATTERN.test(text.slice(0, match.index))
+      || !FRACTION_UNIT_PATTERN.test(text.slice(match.index + match[0].length));
+    if (!is_date) continue;
+
+    const day = parseInt(match[1]);
+    const month = parseInt(match[2]);
+    let year = normalize_year(match[3], today.year);
+    // A date without a year that already passed means next year
+    if (!match[3] && (month < today.month || (month === today.month && day < today.day))) {
+      year += 1;
+    }
+    const due = on_date(year, month, day, match[0]);
+    if (due) return due;
+  }
+
+  // 15 March, March 15
+  match = text.match(/\b(\d{1,2})\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i)
+    || text.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+(\d{1,2})\b/i);
+  if (match) {
+    const [day, monthName] = /^\d/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+    const month = MONTHS.indexOf(monthName.toLowerCase()) + 1;
+    let year = today.year;
+    if (month < today.month || (month === today.month && parseInt(day) < today.day)) {
+      year += 1;
+    }
+    return on_date(year, month, parseInt(day), match[0]);
+  }
+
+  match = text.match(WITHIN_DAYS_PATTERN);
+  if (match) {
+    return from_today(parseInt(match[1] || match[2] || match[3]), match[0]);
+  }
+
+  for (const { pattern, days } of RELATIVE_PATTERNS) {
+    match = text.match(pattern);
+    if (match) {
+      return from_today(days, match[0]);
+    }
+  }
+
+  // Next occurrence of a weekday (a weekday equal to today means next week)
+  for (const [weekday, pattern] of WEEKDAY_PATTERNS.entries()) {
+    match = text.match(pattern);
+    if (match) {
+      const days = ((weekday - today.weekday + 7) % 7) || 7;
+      return from_today(days, match[0]);
+    }
+  }
+
+  return null;
+}
+
+// ════════════════════════════════════════════════════════════════
+// Assignee and source messages
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Chat participants of a session (LINE users with a display name)
+ * @param {Array<Object>} messages - Session messages
+ * @returns {Array<Object>} [{ line_user_id, display_name }]
+ */
+function get_participants(messages) {
+  const participants = new Map();
+  for (const msg of messages) {
+    if (msg.direction === 'user' && msg.line_user_id && msg.user_name && !participants.has(msg.line_user_id)) {
+      participants.set(msg.line_user_id, { line_user_id: msg.line_user_id, display_name: msg.user_name });
+    }
+  }
+  return [...participants.values()];
+}
+
+/**
+ * Participant named in an action item (longest matching name wins)
+ * @param {string} text - Action item
+ * @param {Array<Object>} participants - From get_participants
+ * @returns {Object|null} Assignee
+ */
+function detect_assignee(text, participants) {
+  const lower = (text || '').toLowerCase();
+  const named = participants
+    .filter(participant => participant.display_name.trim().length >= 2)
+    .filter(participant => lower.includes(participant.display_name.trim().toLowerCase()))
+    .sort((a, b) => b.display_name.length - a.display_name.length);
+
+  if (named.length === 0) return null;
+
+  return {
+    type: 'line_user',
+    line_user_id: named[0].line_user_id,
+    user_id: null,
+    display_name: named[0].display_name
+  };
+}
+
+/**
+ * Word set of a text (Intl.Segmenter handles Thai and Japanese)
+ */
+function get_words(text) {
+  const segmenter = new Intl.Segmenter('th', { granularity: 'word' });
+  const words = new Set();
+  for (const { segment, isWordLike } of segmenter.segment((text || '').toLowerCase())) {
+    if (isWordLike && segment.length >= 2) {
+      words.add(segment);
+    }
+  }
+  return words;
+}
+
+/**
+ * Messages an action item was most likely taken from
+ * @param {string} text - Action item
+ * @param {Array<Object>} messages - Session messages (only ones with _id can be linked)
+ * @returns {Array<ObjectId>} Message IDs in chronological order
+ */
+function find_source_messages(text, messages) {
+  const itemWords = get_words(text);
+  if (itemWords.size === 0) return [];
+
+  return messages
+    .filter(msg => msg._id && msg.message_type === 'text' && msg.message)
+    .map(msg => {
+      const msgWords = get_words(msg.message);
+      let shared = 0;
+      itemWords.forEach(word => {
+        if (msgWords.has(word)) shared++;
+      });
+      return { msg, score: shared / itemWords.size };
+    })
+    .filter(({ score }) => score >= SOURCE_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SOURCE_MESSAGES)
+    .sort((a, b) => new Date(a.msg.timestamp) - new Date(b.msg.timestamp))
+    .map(({ msg }) => msg._id);
+}
+
+// ════════════════════════════════════════════════════════════════
+// Extraction
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Comparable form of a task title (case, punctuation and spacing ignored)
+ * @param {string} title - Action item or task title
+ * @returns {string}
+ */
+function normalize_title(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Create tasks from a completed summary's action items
+ * @param {Summary} summary - Completed summary
+ * @param {ChatSession} session - Summarized session
+ * @param {Array<Object>} messages - Session messages (as loaded for the summary)
+ * @returns {Promise<Array<Task>>} Created tasks (empty when already extracted)
+ */
+async function extract_tasks_from_summary(summary, session, messages = []) {
+  const items = (summary.analysis?.action_items || []).map(item => (item || '').trim()).filter(Boolean);
+  if (items.length === 0) {
+    return [];
+  }
+
+  if (await Task.exists({ summary_id: summary._id })) {
+    console.log(`📋 Tasks already extracted for summary ${summary._id}; skipping`);
+    return [];
+  }
+
+  const room = await Room.findById(summary.room_id || session.room_id).select('organization_id');
+  const organizationId = summary.organization_id || session.organization_id || room?.organization_id;
+  if (!organizationId) {
+    console.warn(`⚠️ Summary ${summary._id} has no organization; tasks not extracted`);
+    return [];
+  }
+
+  const organization = await Organization.findById(organizationId).select('settings.timezone');
+  const timezone = organization?.settings?.timezone || 'UTC';
+  const reference = session.end_time || summary.created_at || new Date();
+  const participants = get_participants(messages);
+  const priority = ['low', 'medium', 'high'].includes(summary.analysis?.urgency) ? summary.analysis.urgency : 'medium';
+
+  // A regenerated summary repeats the session's action items: keep the tasks
+  // of earlier summaries (and their status and assignee) instead of adding copies
+  const existing = await Task.find({ session_id: session._id, summary_id: { $ne: summary._id } }).select('title');
+  const seen = new Set(existing.map(task => normalize_title(task.title)));
+
+  const docs = [];
+  items.forEach((item, index) => {
+    const title = item.slice(0, 500);
+    const key = normalize_title(title);
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const due = parse_due_date(item, reference, timezone);
+    const assignee = detect_assignee(item, participants);
+
+    docs.push({
+      organization_id: organizationId,
+      room_id: summary.room_id || session.room_id,
+      session_id: session._id,
+      summary_id: summary._id,
+      item_index: index,
+      source_message_ids: find_source_messages(item, messages),
+      title,
+      priority,
+      ...(assignee ? { assignee } : {}),
+      due_date: due?.due_date || null,
+      due_date_text: due?.due_date_text || null
+    });
+  });
+
+  if (docs.length === 0) {
+    console.log(`📋 Action items of summary ${summary._id} already have tasks in session ${session._id}`);
+    return [];
+  }
+
+  try {
+    const tasks = await Task.insertMany(docs, { ordered: false });
+    console.log(`📋 Extracted ${tasks.length} task(s) from summary ${summary._id}`);
+    return tasks;
+  } catch (error) {
+    // Concurrent extraction of the same summary: the unique index keeps one copy
+    if (error.code === 11000 || error.writeErrors) {
+      console.log(`📋 Tasks for summary ${summary._id} were extracted concurrently`);
+      return error.insertedDocs || [];
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  parse_due_date,
+  normalize_title,
+  detect_assignee,
+  find_source_messages,
+  extract_tasks_from_summary
+};
@@ -11,6 +11,13 @@ const roomsRouter = require('./routers/rooms');
 const messagesRouter = require('./routers/messages');
 const platformRouter = require('./routers/platform');
 const groupsRouter = require('./routers/groups');
+const jobsRouter = require('./routers/jobs');
+const organizationRouter = require('./routers/organization');
+const summaryTemplatesRouter = require('./routers/summary_templates');
+const tasksRouter = require('./routers/tasks');
+const searchRouter = require('./routers/search');
+const digestsRouter = require('./routers/digests');
+const alertsRouter = require('./routers/alerts');
 
 /**
  * App Router
@@ -22,6 +29,13 @@ const appRouter = router({
   rooms: roomsRouter,
   messages: messagesRouter,
   groups: groupsRouter,     // Group assignment and categorization
+  jobs: jobsRouter,         // Background job status (summary queue)
+  organization: organizationRouter, // Current organization settings (AI provider)
+  summaryTemplates: summaryTemplatesRouter, // Organization summary templates
+  tasks: tasksRouter,       // Action items extracted from summaries
+  search: searchRouter,     // Semantic search over messages and summaries
+  digests: digestsRouter,   // Daily/weekly organization digests
+  alerts: alertsRouter,     // Alert rules and fired alerts
   platform: platformRouter  // Super admin only endpoints
 });
 
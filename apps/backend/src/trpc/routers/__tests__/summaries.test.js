@@ -0,0 +1,155 @@
+jest.mock('../../context', () => ({ createContext: jest.fn() }));
+jest.mock('../../../models', () => ({
+  Summary: { find: jest.fn(), findOne: jest.fn(), countDocuments: jest.fn(), get_summaries_by_room: jest.fn() },
+  ChatSession: {},
+  Organization: { findById: jest.fn() },
+  AuditLog: { log: jest.fn() },
+  Embedding: {},
+  SummaryVersion: { find: jest.fn(), exists: jest.fn() },
+  SummaryFeedback: { find: jest.fn() }
+}));
+jest.mock('../../../services/llm', () => ({ get_provider_for_organization: jest.fn() }));
+jest.mock('../../../services/summary_versions', () => ({
+  ensure_baseline_version: jest.fn(),
+  record_edit: jest.fn(() => ({ version: 2 })),
+  restore_version: jest.fn(),
+  diff_versions: jest.fn()
+}));
+jest.mock('../../../services/summary_feedback', () => ({ submit_feedback: jest.fn(), get_feedback_stats: jest.fn() }));
+
+const { Summary, Organization, SummaryVersion, SummaryFeedback } = require('../../../models');
+const { restore_version } = require('../../../services/summary_versions');
+const { submit_feedback } = require('../../../services/summary_feedback');
+const summariesRouter = require('../summaries');
+
+const phone = { placeholder: '[PHONE_1]', type: 'PHONE', value: '081-234-5678' };
+
+/**
+ * Summary document as loaded with '+redaction.placeholders'
+ */
+function make_summary(data) {
+  return {
+    session_id: 'session-1',
+    key_topics: [],
+    redaction: { placeholders: [phone] },
+    save: jest.fn(),
+    get_summary_data() {
+      return { summary_id: this._id, content: this.content, key_topics: this.key_topics };
+    },
+    ...data
+  };
+}
+
+const stored = [
+  make_summary({ _id: 'summary-a', organization_id: 'org-a', content: 'Call [PHONE_1]' }),
+  make_summary({ _id: 'summary-b', organization_id: 'org-b', content: 'Call [PHONE_1]' })
+];
+
+/**
+ * Chainable query resolving to result
+ */
+function mock_query(result) {
+  const query = {};
+  ['select', 'populate', 'where', 'sort', 'limit', 'skip'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.catch = () => Promise.resolve(result);
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+}
+
+function caller(organizationId) {
+  return summariesRouter.createCaller({
+    is_authenticated: true,
+    user: { _id: 'user-1', email: 'viewer@example.com' },
+    organization: { _id: organizationId, name: organizationId },
+    org_role: 'org_owner',
+    is_super_admin: false,
+    utils: { check_permission: () => true }
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  Summary.findOne.mockImplementation(filter => mock_query(stored.find(summary =>
+    summary._id === filter._id && summary.organization_id === filter.organization_id
+  ) || null));
+  SummaryVersion.find.mockReturnValue(mock_query([]));
+});
+
+describe('cross-organization access', () => {
+  test.each(['get', 'export', 'versions', 'diff'])('%s does not reveal a summary of another organization', async (procedure) => {
+    await expect(caller('org-a')[procedure]({ summaryId: 'summary-b' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    expect(Summary.findOne).toHaveBeenCalledWith({ _id: 'summary-b', organization_id: 'org-a' });
+  });
+
+  test('get restores the values of a summary of the caller\'s organization', async () => {
+    const data = await caller('org-a').get({ summaryId: 'summary-a' });
+    expect(data.content).toBe('Call 081-234-5678');
+  });
+
+  test('list only returns summaries of the caller\'s organization', async () => {
+    Summary.find.mockReturnValue(mock_query([]));
+    Summary.countDocuments.mockResolvedValue(0);
+
+    await caller('org-a').list({ roomId: 'room-1' });
+
+    expect(Summary.find).toHaveBeenCalledWith({ organization_id: 'org-a', room_id: 'room-1' });
+  });
+
+  test('byRoom only returns summaries of the caller\'s organization', async () => {
+    const query = mock_query([]);
+    Summary.get_summaries_by_room.mockReturnValue(query);
+
+    await caller('org-a').byRoom({ roomId: 'room-1' });
+
+    expect(query.where).toHaveBeenCalledWith({ organization_id: 'org-a' });
+  });
+
+  test('restore does not change a summary of another organization', async () => {
+    SummaryVersion.exists.mockResolvedValue(true);
+
+    await expect(caller('org-a').restore({ summaryId: 'summary-b', version: 1 })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    expect(restore_version).not.toHaveBeenCalled();
+  });
+
+  test('feedback is not accepted for a summary of another organization', async () => {
+    await expect(caller('org-a').feedback({ summaryId: 'summary-b', rating: 'up' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    expect(submit_feedback).not.toHaveBeenCalled();
+  });
+
+  test('feedbackList does not list feedback on a summary of another organization', async () => {
+    await expect(caller('org-a').feedbackList({ summaryId: 'summary-b' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    expect(SummaryFeedback.find).not.toHaveBeenCalled();
+  });
+
+  test('update does not edit a summary of another organization', async () => {
+    await expect(caller('org-a').update({ summaryId: 'summary-b', content: 'x' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    expect(stored[1].save).not.toHaveBeenCalled();
+  });
+});
+
+describe('update', () => {
+  test('stores known and new personal data as placeholders and returns it restored', async () => {
+    Organization.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ settings: { pii_redaction: { enabled: true } } })
+    });
+    const summary = make_summary({ _id: 'summary-c', organization_id: 'org-a', content: 'Call [PHONE_1]' });
+    stored.push(summary);
+
+    const result = await caller('org-a').update({
+      summaryId: 'summary-c',
+      content: 'Call 081-234-5678 or mail somchai@example.com'
+    });
+
+    expect(summary.content).toBe('Call [PHONE_1] or mail [EMAIL_1]');
+    expect(summary.redaction.placeholders).toEqual([
+      phone,
+      { placeholder: '[EMAIL_1]', type: 'EMAIL', value: 'somchai@example.com' }
+    ]);
+    expect(summary.save).toHaveBeenCalled();
+    expect(result.summary.content).toBe('Call 081-234-5678 or mail somchai@example.com');
+  });
+});
@@ -0,0 +1,434 @@
+/**
+ * Alerts tRPC Router
+ * @description Alert rules (urgency, sentiment, keywords, no staff reply) and the alerts they fire: list, acknowledge and resolve
+ * @module trpc/routers/alerts
+ */
+
+const { z } = require('zod');
+const { TRPCError } = require('@trpc/server');
+const { router, withPermission } = require('../index');
+const { AlertRule, AlertFiring, Room, OrganizationMember, AuditLog } = require('../../models');
+const { ALERT_CONDITIONS, ALERT_ACTIONS } = require('../../models/alert_rule');
+const { ALERT_STATUSES } = require('../../models/alert_firing');
+const { validate_rule_condition, check_webhook_url, clear_rule_cache } = require('../../services/alerts');
+
+const LINE_USER_ID = z.string().trim().regex(/^U[0-9a-f]{32}$/, 'LINE user IDs look like U followed by 32 hex characters');
+
+/**
+ * Rule input shared by createRule and updateRule
+ */
+const rule_input = z.object({
+  name: z.string().trim().min(1).max(100),
+  description: z.string().trim().max(500).default(''),
+  is_active: z.boolean().default(true),
+  condition: z.object({
+    type: z.enum(ALERT_CONDITIONS),
+    urgency: z.array(z.enum(['low', 'medium', 'high'])).default(['high']),
+    sentiment: z.array(z.enum(['positive', 'neutral', 'negative'])).default(['negative']),
+    keywords: z.array(z.string().trim().min(1).max(100)).max(50).default([]),
+    pattern: z.string().max(200).nullable().default(null),
+    minutes: z.number().int().min(1).max(10080).default(30),
+    staff_line_user_ids: z.array(LINE_USER_ID).max(50).default([])
+  }),
+  scope: z.object({
+    room_ids: z.array(z.string()).max(200).default([]),
+    categories: z.array(z.enum(['sales', 'support', 'operations', 'marketing', 'other', 'unassigned'])).default([])
+  }).default({}),
+  actions: z.array(z.object({
+    type: z.enum(ALERT_ACTIONS),
+    user_ids: z.array(z.string()).max(50).default([]),
+    line_user_id: LINE_USER_ID.nullable().default(null),
+    url: z.string().url().max(500).refine(url => /^https:\/\//i.test(url), 'Webhook URLs must use https').nullable().default(null),
+    // Webhooks: omit to keep the stored secret, null to remove it
+    secret: z.string().min(8).max(200).nullable().optional()
+  })).min(1).max(10),
+  cooldown_minutes: z.number().int().min(0).max(10080).default(60)
+});
+
+/**
+ * Load a rule of the caller's organization
+ * @param {Object} ctx - tRPC context
+ * @param {string} ruleId - Rule ID
+ * @param {boolean} withSecrets - Also load webhook secrets
+ * @returns {Promise<AlertRule>}
+ */
+async function find_org_rule(ctx, ruleId, withSecrets = false) {
+  const query = AlertRule.findOne({ _id: ruleId, organization_id: ctx.organization._id });
+  const rule = await (withSecrets ? query.select('+actions.secret') : query).catch(() => null);
+
+  if (!rule) {
+    throw new TRPCError({
+      code: 'NOT_FOUND',
+      message: 'Alert rule not found'
+    });
+  }
+
+  return rule;
+}
+
+/**
+ * Load an alert of the caller's organization
+ * @param {Object} ctx - tRPC context
+ * @param {string} alertId - Alert ID
+ * @returns {Promise<AlertFiring>}
+ */
+async function find_org_alert(ctx, alertId) {
+  const alert = await AlertFiring.findOne({ _id: alertId, organization_id: ctx.organization._id }).catch(() => null);
+
+  if (!alert) {
+    throw new TRPCError({
+      code: 'NOT_FOUND',
+      message: 'Alert not found'
+    });
+  }
+
+  return alert;
+}
+
+/**
+ * Validate rule input against the organization and build the stored rule fields
+ * @param {Object} ctx - tRPC context
+ * @param {Object} input - Rule input
+ * @param {AlertRule|null} existing - Rule being updated (keeps webhook secrets)
+ * @returns {Promise<Object>} Rule fields
+ */
+async function build_rule_fields(ctx, input, existing = null) {
+  const errors = validate_rule_condition(input.condition);
+
+  for (const action of input.actions) {
+    if (action.type === 'webhook' && !action.url) {
+      errors.push('Webhook actions need a URL');
+    }
+    if (action.type === 'webhook' && action.url) {
+      const urlError = await check_webhook_url(action.url);
+      if (urlError) errors.push(urlError);
+    }
+    if (action.type === 'email' && action.user_ids.length === 0) {
+      errors.push('Email actions need at least one member');
+    }
+    if (action.type === 'line' && action.user_ids.length === 0 && !action.line_user_id) {
+      errors.push('LINE actions need a member or a LINE user ID');
+    }
+  }
+
+  const userIds = [...new Set(input.actions.flatMap(action => action.user_ids))];
+  if (userIds.length > 0) {
+    const members = await OrganizationMember.countDocuments({
+      organization_id: ctx.organization._id,
+      user_id: { $in: userIds },
+      status: 'active'
+    }).catch(() => -1);
+    if (members !== userIds.length) {
+      errors.push('Notified users must be active members of the organization');
+    }
+  }
+
+  if (input.scope.room_ids.length > 0) {
+    const rooms = await Room.countDocuments({
+      _id: { $in: input.scope.room_ids },
+      organization_id: ctx.organization._id
+    }).catch(() => -1);
+    if (rooms !== new Set(input.scope.room_ids).size) {
+      errors.push('Rooms must belong to the organization');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new TRPCError({
+      code: 'BAD_REQUEST',
+      message: errors.join('; ')
+    });
+  }
+
+  const previousSecrets = new Map((existing?.actions || [])
+    .filter(action => action.type === 'webhook')
+    .map(action => [action.url, action.secret]));
+
+  return {
+    name: input.name,
+    description: input.description,
+    is_active: input.is_active,
+    condition: input.condition,
+    scope: input.scope,
+    actions: input.actions.map(action => ({
+      type: action.type,
+      user_ids: action.type === 'email' || action.type === 'line' ? action.user_ids : [],
+      line_user_id: action.type === 'line' ? action.line_user_id : null,
+      url: action.type === 'webhook' ? action.url : null,
+      secret: action.type === 'webhook'
+        ? (action.secret !== undefined ? action.secret : previousSecrets.get(action.url) || null)
+        : null
+    })),
+    cooldown_minutes: input.cooldown_minutes
+  };
+}
+
+/**
+ * Alerts Router
+ */
+const alertsRouter = router({
+  /**
+   * List alert rules
+   * @permission org:alerts:view
+   */
+  rules: withPermission('org:alerts:view')
+    .query(async ({ ctx }) => {
+      const rules = await AlertRule.find({ organization_id: ctx.organization._id }).sort({ created_at: -1 });
+      return { rules: rules.map(rule => rule.get_rule_data()) };
+    }),
+
+  /**
+   * Create an alert rule
+   * @permission org:alerts:manage
+   */
+  createRule: withPermission('org:alerts:manage')
+    .input(rule_input)
+    .mutation(async ({ ctx, input }) => {
+      console.log(`🚨 Alerts.createRule "${input.name}" by ${ctx.user?.email}`);
+
+      const fields = await build_rule_fields(ctx, input);
+      const rule = await AlertRule.create({
+        ...fields,
+        organization_id: ctx.organization._id,
+        created_by: ctx.user._id,
+        updated_by: ctx.user._id
+      });
+      clear_rule_cache(ctx.organization._id);
+
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'alert_rule:create',
+        category: 'settings',
+        resource_type: 'alert_rule',
+        resource_id: rule._id,
+        description: `Created alert rule "${rule.name}" (${rule.condition.type})`
+      });
+
+      return {
+        success: true,
+        rule: rule.get_rule_data()
+      };
+    }),
+
+  /**
+   * Replace an alert rule
+   * @permission org:alerts:manage
+   */
+  updateRule: withPermission('org:alerts:manage')
+    .input(rule_input.extend({
+      ruleId: z.string()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`🚨 Alerts.updateRule ${input.ruleId} by ${ctx.user?.email}`);
+
+      const rule = await find_org_rule(ctx, input.ruleId, true);
+      const before = rule.get_rule_data();
+      const fields = await build_rule_fields(ctx, input, rule);
+
+      rule.set({ ...fields, updated_by: ctx.user._id });
+      await rule.save();
+      clear_rule_cache(ctx.organization._id);
+
+      const after = rule.get_rule_data();
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'alert_rule:update',
+        category: 'settings',
+        resource_type: 'alert_rule',
+        resource_id: rule._id,
+        description: `Updated alert rule "${rule.name}"`,
+        changes: {
+          before: { is_active: before.is_active, condition: before.condition, scope: before.scope, actions: before.actions },
+          after: { is_active: after.is_active, condition: after.condition, scope: after.scope, actions: after.actions }
+        }
+      });
+
+      return {
+        success: true,
+        rule: after
+      };
+    }),
+
+  /**
+   * Delete an alert rule (its alerts are kept)
+   * @permission org:alerts:manage
+   */
+  deleteRule: withPermission('org:alerts:manage')
+    .input(z.object({
+      ruleId: z.string()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`🗑️ Alerts.deleteRule ${input.ruleId} by ${ctx.user?.email}`);
+
+      const rule = await find_org_rule(ctx, input.ruleId);
+      await rule.deleteOne();
+      clear_rule_cache(ctx.organization._id);
+
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'alert_rule:delete',
+        category: 'settings',
+        resource_type: 'alert_rule',
+        resource_id: rule._id,
+        description: `Deleted alert rule "${rule.name}"`,
+        metadata: { fire_count: rule.statistics?.fire_count || 0 }
+      });
+
+      return {
+        success: true,
+        message: 'Alert rule deleted'
+      };
+    }),
+
+  /**
+   * List alerts (newest first) with counts by status
+   * @permission org:alerts:view
+   */
+  list: withPermission('org:alerts:view')
+    .input(z.object({
+      status: z.enum(ALERT_STATUSES).optional(),
+      ruleId: z.string().optional(),
+      roomId: z.string().optional(),
+      page: z.number().min(1).default(1),
+      limit: z.number().min(1).max(100).default(20)
+    }).default({}))
+    .query(async ({ ctx, input }) => {
+      const { page, limit } = input;
+      const filter = { organization_id: ctx.organization._id };
+      if (input.status) filter.status = input.status;
+      if (input.ruleId) filter.rule_id = input.ruleId;
+      if (input.roomId) filter.room_id = input.roomId;
+
+      const [alerts, total, byStatus] = await Promise.all([
+        AlertFiring.find(filter)
+          .sort({ created_at: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AlertFiring.countDocuments(filter),
+        AlertFiring.aggregate([
+          { $match: { organization_id: ctx.organization._id } },
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const counts = Object.fromEntries(ALERT_STATUSES.map(status => [status, 0]));
+      byStatus.forEach(row => {
+        counts[row._id] = row.count;
+      });
+
+      return {
+        alerts: alerts.map(alert => alert.get_alert_data()),
+        counts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    }),
+
+  /**
+   * Open in-app alerts (dashboard notification badge)
+   * @permission org:alerts:view
+   */
+  openCount: withPermission('org:alerts:view')
+    .query(async ({ ctx }) => {
+      const count = await AlertFiring.countDocuments({
+        organization_id: ctx.organization._id,
+        in_app: true,
+        status: 'open'
+      });
+      return { count };
+    }),
+
+  /**
+   * Get an alert
+   * @permission org:alerts:view
+   */
+  get: withPermission('org:alerts:view')
+    .input(z.object({
+      alertId: z.string()
+    }))
+    .query(async ({ ctx, input }) => {
+      const alert = await find_org_alert(ctx, input.alertId);
+      return alert.get_alert_data();
+    }),
+
+  /**
+   * Acknowledge an alert (someone is looking at it)
+   * @permission org:alerts:respond
+   */
+  acknowledge: withPermission('org:alerts:respond')
+    .input(z.object({
+      alertId: z.string()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      const alert = await find_org_alert(ctx, input.alertId);
+
+      if (alert.status === 'open') {
+        alert.set_status('acknowledged', ctx.user._id);
+        await alert.save();
+
+        await AuditLog.log({
+          organization_id: ctx.organization._id,
+          user_id: ctx.user._id,
+          action: 'alert:acknowledge',
+          category: 'organization',
+          resource_type: 'alert',
+          resource_id: alert._id,
+          description: `Acknowledged alert "${alert.title.slice(0, 80)}"`
+        });
+      }
+
+      return {
+        success: true,
+        alert: alert.get_alert_data()
+      };
+    }),
+
+  /**
+   * Resolve an alert, or reopen a resolved one
+   * @permission org:alerts:respond
+   */
+  resolve: withPermission('org:alerts:respond')
+    .input(z.object({
+      alertId: z.string(),
+      note: z.string().trim().max(1000).optional(),
+      reopen: z.boolean().default(false)
+    }))
+    .mutation(async ({ ctx, input }) => {
+      const alert = await find_org_alert(ctx, input.alertId);
+      const previousStatus = alert.status;
+      const status = input.reopen ? 'open' : 'resolved';
+
+      if (previousStatus !== status) {
+        alert.set_status(status, ctx.user._id, input.note || null);
+        await alert.save();
+
+        await AuditLog.log({
+          organization_id: ctx.organization._id,
+          user_id: ctx.user._id,
+          action: input.reopen ? 'alert:reopen' : 'alert:resolve',
+          category: 'organization',
+          resource_type: 'alert',
+          resource_id: alert._id,
+          description: `${input.reopen ? 'Reopened' : 'Resolved'} alert "${alert.title.slice(0, 80)}"`,
+          changes: {
+            before: { status: previousStatus },
+            after: { status, note: input.note || null }
+          }
+        });
+      }
+
+      return {
+        success: true,
+        alert: alert.get_alert_data()
+      };
+    })
+});
+
+module.exports = alertsRouter;
@@ -0,0 +1,208 @@
+/**
+ * Digests tRPC Router
+ * @description Organization daily/weekly digests: list, view, generate and member subscriptions
+ * @module trpc/routers/digests
+ */
+
+const { z } = require('zod');
+const { TRPCError } = require('@trpc/server');
+const { router, withPermission } = require('../index');
+const { Digest, OrganizationMember, AuditLog } = require('../../models');
+const { DIGEST_FREQUENCIES } = require('../../models/digest');
+const jobQueue = require('../../services/job_queue');
+const { get_due_period } = require('../../services/digest');
+const { is_email_configured } = require('../../services/email_service');
+
+/**
+ * Load the caller's membership in the current organization
+ * @param {Object} ctx - tRPC context
+ * @returns {Promise<OrganizationMember>}
+ */
+async function find_own_membership(ctx) {
+  const membership = await OrganizationMember.findOne({
+    organization_id: ctx.organization._id,
+    user_id: ctx.user._id,
+    status: 'active'
+  });
+
+  if (!membership) {
+    throw new TRPCError({
+      code: 'NOT_FOUND',
+      message: 'You are not a member of this organization'
+    });
+  }
+
+  return membership;
+}
+
+/**
+ * Subscription data for API responses
+ * @param {OrganizationMember} membership - Membership document
+ * @returns {Object}
+ */
+function subscription_data(membership) {
+  const subscription = membership.digest_subscription || {};
+  return {
+    email: !!subscription.email,
+    line: !!subscription.line,
+    line_user_id: subscription.line_user_id || null,
+    email_available: is_email_configured()
+  };
+}
+
+/**
+ * Digests Router
+ */
+const digestsRouter = router({
+  /**
+   * List digests (newest period first)
+   * @permission org:digests:view
+   */
+  list: withPermission('org:digests:view')
+    .input(z.object({
+      page: z.number().min(1).default(1),
+      limit: z.number().min(1).max(100).default(20),
+      frequency: z.enum(DIGEST_FREQUENCIES).optional()
+    }).default({}))
+    .query(async ({ ctx, input }) => {
+      const { page, limit } = input;
+      console.log(`📰 Digests.list called by ${ctx.user?.email} for org ${ctx.organization?.name}`);
+
+      const filter = { organization_id: ctx.organization._id };
+      if (input.frequency) filter.frequency = input.frequency;
+
+      const [digests, total] = await Promise.all([
+        Digest.find(filter)
+          .sort({ 'period.start': -1, frequency: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Digest.countDocuments(filter)
+      ]);
+
+      return {
+        digests: digests.map(digest => digest.get_digest_data({ full: false })),
+        schedule: ctx.organization.settings?.digest || null,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    }),
+
+  /**
+   * Get a digest with its groups, action items and deliveries
+   * @permission org:digests:view
+   */
+  get: withPermission('org:digests:view')
+    .input(z.object({
+      digestId: z.string()
+    }))
+    .query(async ({ ctx, input }) => {
+      const digest = await Digest.findOne({ _id: input.digestId, organization_id: ctx.organization._id }).catch(() => null);
+
+      if (!digest) {
+        throw new TRPCError({
+          code: 'NOT_FOUND',
+          message: 'Digest not found'
+        });
+      }
+
+      return digest.get_digest_data();
+    }),
+
+  /**
+   * Build the digest of the most recent finished period now
+   * Rebuilds it when it already exists; members are only sent it when deliver is set.
+   * @permission org:digests:manage
+   */
+  generate: withPermission('org:digests:manage')
+    .input(z.object({
+      frequency: z.enum(DIGEST_FREQUENCIES).optional(),
+      deliver: z.boolean().default(false)
+    }).default({}))
+    .mutation(async ({ ctx, input }) => {
+      const organization = ctx.organization;
+      const frequency = input.frequency || organization.settings?.digest?.frequency || 'daily';
+      const period = get_due_period(organization, new Date(), { force: true, frequency });
+
+      const job = await jobQueue.enqueue(jobQueue.JOB_TYPES.DIGEST_BUILD, {
+        organization_id: organization._id,
+        frequency,
+        period_key: period.key,
+        deliver: input.deliver,
+        rebuild: true
+      }, {
+        organization_id: organization._id,
+        created_by: ctx.user._id,
+        unique_key: `digest:${organization._id}:${frequency}:${period.key}`
+      });
+
+      await AuditLog.log({
+        organization_id: organization._id,
+        user_id: ctx.user._id,
+        action: 'digest:generate',
+        category: 'organization',
+        resource_type: 'organization',
+        resource_id: organization._id,
+        description: `Requested ${frequency} digest for ${period.key}${input.deliver ? ' with delivery' : ''}`,
+        metadata: { frequency, period_key: period.key, deliver: input.deliver, job_id: job._id }
+      });
+
+      return {
+        success: true,
+        job_id: job._id,
+        frequency,
+        period_key: period.key
+      };
+    }),
+
+  /**
+   * The caller's digest subscription
+   * @permission org:digests:view
+   */
+  subscription: withPermission('org:digests:view')
+    .query(async ({ ctx }) => {
+      return subscription_data(await find_own_membership(ctx));
+    }),
+
+  /**
+   * Subscribe to (or unsubscribe from) digests by email and/or LINE push
+   * LINE push needs the member's LINE user ID and the organization's LINE account as a friend.
+   * @permission org:digests:view
+   */
+  updateSubscription: withPermission('org:digests:view')
+    .input(z.object({
+      email: z.boolean(),
+      line: z.boolean(),
+      lineUserId: z.string().trim().regex(/^U[0-9a-f]{32}$/, 'LINE user IDs look like U followed by 32 hex characters').nullable().optional()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      const membership = await find_own_membership(ctx);
+      const lineUserId = input.lineUserId !== undefined ? input.lineUserId : membership.digest_subscription?.line_user_id;
+
+      if (input.line && !lineUserId) {
+        throw new TRPCError({
+          code: 'BAD_REQUEST',
+          message: 'A LINE user ID is required for LINE delivery'
+        });
+      }
+
+      membership.digest_subscription = {
+        email: input.email,
+        line: input.line,
+        line_user_id: lineUserId || null
+      };
+      await membership.save();
+
+      console.log(`📰 Digest subscription of ${ctx.user?.email} in org ${ctx.organization._id}: email=${input.email}, line=${input.line}`);
+
+      return {
+        success: true,
+        subscription: subscription_data(membership)
+      };
+    })
+});
+
+module.exports = digestsRouter;
@@ -7,7 +7,37 @@
 const { z } = require('zod');
 const { TRPCError } = require('@trpc/server');
 const { router, withPermission } = require('../index');
-const { Room, ChatSession, AuditLog } = require('../../models');
+const { Room, ChatSession, Message, LineContact, OrganizationMember, AuditLog } = require('../../models');
+const { refresh_contact } = require('../../services/line_contacts');
+const { SESSION_TRIGGER_LIMITS } = require('../../services/session_trigger_resolver');
+
+/**
+ * Escape user input for a MongoDB regex
+ * @param {string} value - Search text
+ * @returns {string}
+ */
+function escape_regex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Load a contact of the caller's organization
+ * @param {Object} ctx - tRPC context
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<LineContact>}
+ */
+async function find_org_contact(ctx, contactId) {
+  const contact = await LineContact.findOne({ _id: contactId, organization_id: ctx.organization._id }).catch(() => null);
+
+  if (!contact) {
+    throw new TRPCError({
+      code: 'NOT_FOUND',
+      message: 'Contact not found'
+    });
+  }
+
+  return contact;
+}
 
 /**
  * Groups Router
@@ -267,9 +297,18 @@ const groupsRouter = router({
       roomId: z.string(),
       settings: z.object({
         auto_summarize: z.boolean().optional(),
+        // Push completed summaries into the group as Flex cards
+        deliver_to_chat: z.boolean().optional(),
+        // null resets a value to inherit from the organization
         session_trigger: z.object({
-          message_count: z.number().min(10).max(200).optional(),
-          time_limit_hours: z.number().min(1).max(168).optional()
+          message_count: z.number().int()
+            .min(SESSION_TRIGGER_LIMITS.message_count.min)
+            .max(SESSION_TRIGGER_LIMITS.message_count.max)
+            .nullable().optional(),
+          time_limit_hours: z.number().int()
+            .min(SESSION_TRIGGER_LIMITS.time_limit_hours.min)
+            .max(SESSION_TRIGGER_LIMITS.time_limit_hours.max)
+            .nullable().optional()
         }).optional()
       })
     }))
@@ -295,6 +334,10 @@ const groupsRouter = router({
         group.settings.auto_summarize = input.settings.auto_summarize;
       }
 
+      if (input.settings.deliver_to_chat !== undefined) {
+        group.settings.deliver_to_chat = input.settings.deliver_to_chat;
+      }
+
       if (input.settings.session_trigger) {
         if (input.settings.session_trigger.message_count !== undefined) {
           group.settings.session_trigger.message_count = input.settings.session_trigger.message_count;
@@ -489,6 +532,158 @@ const groupsRouter = router({
         message: input.archive ? 'Group archived' : 'Group unarchived',
         group: group.get_room_summary()
       };
+    }),
+
+  /**
+   * Contact directory: LINE users seen in the organization's chats
+   * @permission org:groups:list
+   */
+  contacts: withPermission('org:groups:list')
+    .input(z.object({
+      search: z.string().trim().max(100).optional(),
+      roomId: z.string().optional(),
+      page: z.number().min(1).default(1),
+      limit: z.number().min(1).max(100).default(50)
+    }).default({}))
+    .query(async ({ ctx, input }) => {
+      const { search, roomId, page, limit } = input;
+
+      console.log(`👥 Groups.contacts called by ${ctx.user?.email} for org ${ctx.organization?.name}`);
+
+      const filter = { organization_id: ctx.organization._id };
+      if (roomId) filter['groups.room_id'] = roomId;
+      if (search) {
+        const pattern = { $regex: escape_regex(search), $options: 'i' };
+        filter.$or = [
+          { display_name: pattern },
+          { line_user_id: pattern },
+          { 'groups.room_name': pattern }
+        ];
+      }
+
+      const [contacts, total] = await Promise.all([
+        LineContact.find(filter)
+          .sort({ last_seen_at: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        LineContact.countDocuments(filter)
+      ]);
+
+      return {
+        contacts: contacts.map(contact => contact.get_contact_data()),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    }),
+
+  /**
+   * Contact details with their latest messages
+   * @permission org:groups:view
+   */
+  getContact: withPermission('org:groups:view')
+    .input(z.object({
+      contactId: z.string()
+    }))
+    .query(async ({ ctx, input }) => {
+      const contact = await find_org_contact(ctx, input.contactId);
+
+      const recentMessages = await Message.find({
+        organization_id: ctx.organization._id,
+        line_user_id: contact.line_user_id
+      })
+        .sort({ timestamp: -1 })
+        .limit(20)
+        .populate('room_id', 'name assignment.custom_name');
+
+      return {
+        ...contact.get_contact_data(),
+        profile_error: contact.profile_error,
+        recent_messages: recentMessages.map(msg => ({
+          ...msg.get_message_data(),
+          room_name: msg.room_id?.assignment?.custom_name || msg.room_id?.name || null
+        }))
+      };
+    }),
+
+  /**
+   * Fetch a contact's LINE profile now instead of waiting for the cache to expire
+   * @permission org:groups:settings
+   */
+  refreshContact: withPermission('org:groups:settings')
+    .input(z.object({
+      contactId: z.string()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`🔄 Groups.refreshContact called by ${ctx.user?.email} for contact ${input.contactId}`);
+
+      const contact = await refresh_contact(await find_org_contact(ctx, input.contactId));
+
+      return {
+        success: true,
+        message: contact.profile_status === 'ok' ? 'Profile refreshed' : `Profile unavailable: ${contact.profile_error}`,
+        contact: contact.get_contact_data()
+      };
+    }),
+
+  /**
+   * Link a contact to the organization member they are (null = unlink)
+   * Linked contacts are staff in the groups: they may /pause and /resume recording.
+   * @permission org:groups:settings
+   */
+  linkMember: withPermission('org:groups:settings')
+    .input(z.object({
+      contactId: z.string(),
+      userId: z.string().nullable()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`🔗 Groups.linkMember called by ${ctx.user?.email} for contact ${input.contactId}`);
+
+      const contact = await find_org_contact(ctx, input.contactId);
+
+      if (input.userId) {
+        const membership = await OrganizationMember.exists({
+          organization_id: ctx.organization._id,
+          user_id: input.userId,
+          status: 'active'
+        }).catch(() => null);
+
+        if (!membership) {
+          throw new TRPCError({
+            code: 'BAD_REQUEST',
+            message: 'User is not an active member of this organization'
+          });
+        }
+      }
+
+      const previous = contact.member_user_id;
+      contact.member_user_id = input.userId || null;
+      await contact.save();
+
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'contact:link_member',
+        category: 'member',
+        resource_type: 'line_contact',
+        resource_id: contact._id,
+        description: input.userId
+          ? `Linked LINE contact ${contact.display_name || contact.line_user_id} to a member`
+          : `Unlinked LINE contact ${contact.display_name || contact.line_user_id} from its member`,
+        changes: {
+          before: { member_user_id: previous },
+          after: { member_user_id: contact.member_user_id }
+        }
+      });
+
+      return {
+        success: true,
+        message: input.userId ? 'Contact linked to member' : 'Contact unlinked',
+        contact: contact.get_contact_data()
+      };
     })
 });
 
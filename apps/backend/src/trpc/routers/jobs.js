@@ -0,0 +1,172 @@
+/**
+ * Jobs tRPC Router
+ * @description Status of background jobs (summary generation queue) with organization-scoped permissions
+ * @module trpc/routers/jobs
+ */
+
+const { z } = require('zod');
+const { TRPCError } = require('@trpc/server');
+const { router, withPermission } = require('../index');
+const { Job, AuditLog } = require('../../models');
+
+/**
+ * Load a job and verify it belongs to the caller's organization
+ * @param {Object} ctx - tRPC context
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Job>} Job document
+ */
+async function find_org_job(ctx, jobId) {
+  let job = null;
+  try {
+    job = await Job.findById(jobId);
+  } catch (error) {
+    job = null;
+  }
+
+  if (!job) {
+    throw new TRPCError({
+      code: 'NOT_FOUND',
+      message: 'Job not found'
+    });
+  }
+
+  if (!ctx.is_super_admin && job.organization_id?.toString() !== ctx.organization?._id?.toString()) {
+    throw new TRPCError({
+      code: 'FORBIDDEN',
+      message: 'Access denied to this job'
+    });
+  }
+
+  return job;
+}
+
+/**
+ * Jobs Router
+ * Summary jobs are part of the summary workflow, so summary permissions apply
+ */
+const jobsRouter = router({
+  /**
+   * List jobs with pagination
+   * @permission org:summaries:list
+   */
+  list: withPermission('org:summaries:list')
+    .input(z.object({
+      page: z.number().default(1),
+      limit: z.number().max(100).default(20),
+      status: z.enum(['queued', 'running', 'completed', 'failed', 'dead']).optional(),
+      type: z.string().optional()
+    }))
+    .query(async ({ ctx, input }) => {
+      const { page, limit, status, type } = input;
+      const skip = (page - 1) * limit;
+
+      console.log(`🔍 Jobs.list called by ${ctx.user?.email} for org ${ctx.organization?.name}`);
+
+      if (!ctx.organization && !ctx.is_super_admin) {
+        throw new TRPCError({
+          code: 'BAD_REQUEST',
+          message: 'Organization context required. Include X-Organization-Id header.'
+        });
+      }
+
+      // Super admins without an active organization see every organization's jobs
+      const filter = ctx.organization ? { organization_id: ctx.organization._id } : {};
+      if (status) filter.status = status;
+      if (type) filter.type = type;
+
+      const jobs = await Job.find(filter)
+        .sort({ created_at: -1 })
+        .limit(limit)
+        .skip(skip);
+
+      const total = await Job.countDocuments(filter);
+
+      return {
+        jobs: jobs.map(job => job.get_job_data()),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    }),
+
+  /**
+   * Get single job status
+   * @permission org:summaries:view
+   */
+  get: withPermission('org:summaries:view')
+    .input(z.object({
+      jobId: z.string()
+    }))
+    .query(async ({ ctx, input }) => {
+      console.log(`🔍 Jobs.get called by ${ctx.user?.email} for job ${input.jobId}`);
+
+      const job = await find_org_job(ctx, input.jobId);
+      return job.get_job_data();
+    }),
+
+  /**
+   * Job counts by status
+   * @permission org:summaries:list
+   */
+  stats: withPermission('org:summaries:list')
+    .query(async ({ ctx }) => {
+      console.log(`📊 Jobs.stats called by ${ctx.user?.email}`);
+
+      return Job.get_status_counts(ctx.organization?._id || null);
+    }),
+
+  /**
+   * Retry a failed or dead-lettered job immediately
+   * @permission org:summaries:generate
+   */
+  retry: withPermission('org:summaries:generate')
+    .input(z.object({
+      jobId: z.string()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`🔄 Jobs.retry called by ${ctx.user?.email} for job ${input.jobId}`);
+
+      const job = await find_org_job(ctx, input.jobId);
+
+      if (job.status !== 'failed' && job.status !== 'dead') {
+        throw new TRPCError({
+          code: 'BAD_REQUEST',
+          message: `Only failed or dead jobs can be retried (status: ${job.status})`
+        });
+      }
+
+      const previous_status = job.status;
+      try {
+        await job.requeue();
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        throw new TRPCError({
+          code: 'CONFLICT',
+          message: 'Another job for the same item is already queued'
+        });
+      }
+
+      // Audit log
+      await AuditLog.log({
+        organization_id: ctx.organization?._id,
+        user_id: ctx.user._id,
+        action: 'job:retry',
+        category: 'summary',
+        resource_type: 'job',
+        resource_id: job._id,
+        description: `Retried ${job.type} job ${job._id}`,
+        metadata: { job_type: job.type, previous_status }
+      });
+
+      return {
+        success: true,
+        message: 'Job requeued',
+        job: job.get_job_data()
+      };
+    })
+});
+
+module.exports = jobsRouter;
@@ -8,6 +8,7 @@ const { z } = require('zod');
 const { TRPCError } = require('@trpc/server');
 const { router, withPermission } = require('../index');
 const { Message, ChatSession, Room, AuditLog } = require('../../models');
+const { apply_contact_names } = require('../../services/line_contacts');
 
 /**
  * Messages Router
@@ -29,7 +30,7 @@ const messagesRouter = router({
 
       console.log(`🔍 Messages.getSessionMessages called by ${ctx.user?.email} for session ${sessionId}`);
 
-      const messages = await Message.get_session_messages(sessionId, limit, skip);
+      const messages = await apply_contact_names(await Message.get_session_messages(sessionId, limit, skip), ctx.organization._id);
       const total = await Message.countDocuments({ session_id: sessionId });
 
       return {
@@ -58,7 +59,7 @@ const messagesRouter = router({
 
       console.log(`🔍 Messages.getRoomMessages called by ${ctx.user?.email} for room ${roomId}`);
 
-      const messages = await Message.get_room_messages(roomId, limit, skip);
+      const messages = await apply_contact_names(await Message.get_room_messages(roomId, limit, skip), ctx.organization._id);
       const total = await Message.countDocuments({ room_id: roomId });
 
       return {
@@ -270,7 +271,7 @@ const messagesRouter = router({
    */
   searchMessages: withPermission('org:messages:search')
     .input(z.object({
-      query: z.string().min(2),
+      query: z.string().min(2).max(200),
       roomId: z.string().optional(),
       sessionId: z.string().optional(),
       messageType: z.enum(['text', 'image', 'sticker', 'audio', 'video', 'file', 'location']).optional(),
@@ -284,9 +285,17 @@ const messagesRouter = router({
 
       console.log(`🔍 Messages.searchMessages called by ${ctx.user?.email} with query "${query}"`);
 
-      // Build search filter
+      // Build search filter (image captions and text read from images match too)
+      // The query is matched literally; see search.semantic for meaning-based search
+      const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = { $regex: escaped, $options: 'i' };
       const filter = {
-        message: { $regex: query, $options: 'i' }
+        organization_id: ctx.organization._id,
+        $or: [
+          { message: pattern },
+          { 'image_analysis.caption': pattern },
+          { 'image_analysis.text': pattern }
+        ]
       };
 
       if (roomId) filter.room_id = roomId;
@@ -476,6 +485,7 @@ const messagesRouter = router({
         .sort({ timestamp: 1 })
         .populate('session_id', 'session_id')
         .populate('room_id', 'name type');
+      await apply_contact_names(messages, ctx.organization._id);
 
       const exportData = messages.map(msg => {
         const data = {
@@ -486,6 +496,11 @@ const messagesRouter = router({
           user_name: msg.user_name
         };
 
+        if (msg.image_analysis?.caption) {
+          data.image_caption = msg.image_analysis.caption;
+          data.image_text = msg.image_analysis.text || '';
+        }
+
         if (includeMetadata) {
           data.session_id = msg.session_id?.session_id;
           data.room_name = msg.room_id?.name;
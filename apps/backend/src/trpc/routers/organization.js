@@ -0,0 +1,356 @@
+/**
+ * Organization tRPC Router
+ * @description Organization-level settings for the current organization (AI provider, summary mode, language) and questions across its chat history
+ * @module trpc/routers/organization
+ */
+
+const { z } = require('zod');
+const { TRPCError } = require('@trpc/server');
+const { router, withPermission } = require('../index');
+const { Room, AuditLog } = require('../../models');
+const llm = require('../../services/llm');
+const { SUMMARY_MODES } = require('../../services/rolling_summary');
+const { SUMMARY_LANGUAGES } = require('../../services/summary_language');
+const { SOURCE_PERMISSIONS, answer_question } = require('../../services/chat_qa');
+const { PII_DETECTORS, CUSTOM_PATTERN_LIMITS, validate_custom_patterns } = require('../../services/pii_redactor');
+const { check_ai_budget, get_ai_usage_report } = require('../../services/ai_usage');
+const { DIGEST_FREQUENCIES } = require('../../models/digest');
+const { BOT_COMMANDS } = require('../../services/bot_commands');
+
+// Answers stored in the audit log are cut to this length
+const ANSWER_EXCERPT_LENGTH = 500;
+
+/**
+ * Organization Router
+ * Always operates on ctx.organization (X-Organization-Id header)
+ */
+const organizationRouter = router({
+  /**
+   * List available LLM providers and their models
+   * @permission org:settings:view
+   */
+  aiProviders: withPermission('org:settings:view')
+    .query(async ({ ctx }) => {
+      const { provider, model } = llm.get_provider_for_organization(ctx.organization);
+
+      return {
+        providers: await llm.list_providers(),
+        current: {
+          provider: provider.name,
+          model,
+          inherited: !ctx.organization.settings?.ai_provider
+        }
+      };
+    }),
+
+  /**
+   * Get organization settings
+   * @permission org:settings:view
+   */
+  getSettings: withPermission('org:settings:view')
+    .query(async ({ ctx }) => {
+      return {
+        organization_id: ctx.organization._id,
+        settings: ctx.organization.settings
+      };
+    }),
+
+  /**
+   * Update organization settings
+   * ai_provider / ai_model = null reverts to the server default (LLM_PROVIDER)
+   * @permission org:settings:update
+   */
+  updateSettings: withPermission('org:settings:update')
+    .input(z.object({
+      ai_provider: z.enum(llm.PROVIDER_NAMES).nullable().optional(),
+      ai_model: z.string().trim().min(1).max(100).nullable().optional(),
+      summary_mode: z.enum(SUMMARY_MODES).optional(),
+      default_language: z.enum(SUMMARY_LANGUAGES).optional(),
+      image_analysis: z.boolean().optional(),
+      pii_redaction: z.object({
+        enabled: z.boolean(),
+        detectors: z.array(z.enum(PII_DETECTORS)).default(PII_DETECTORS),
+        custom_patterns: z.array(z.object({
+          name: z.string().trim().min(1).max(40),
+          pattern: z.string().min(1).max(CUSTOM_PATTERN_LIMITS.max_length)
+        })).max(CUSTOM_PATTERN_LIMITS.max_patterns).default([])
+      }).optional(),
+      feedback_examples: z.object({
+        enabled: z.boolean(),
+        max_examples: z.number().int().min(1).max(5).default(3)
+      }).optional(),
+      digest: z.object({
+        enabled: z.boolean(),
+        frequency: z.enum(DIGEST_FREQUENCIES).default('daily'),
+        hour: z.number().int().min(0).max(23).default(8),
+        weekday: z.number().int().min(0).max(6).default(1)
+      }).optional(),
+      quiet_hours: z.object({
+        enabled: z.boolean(),
+        start_hour: z.number().int().min(0).max(23).default(22),
+        end_hour: z.number().int().min(0).max(23).default(7)
+      }).optional(),
+      bot_commands: z.object({
+        enabled: z.boolean(),
+        commands: z.array(z.enum(BOT_COMMANDS)).default(BOT_COMMANDS)
+      }).optional()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      const organization = ctx.organization;
+      const before = {};
+      const after = {};
+
+      if (input.ai_provider !== undefined) {
+        if (input.ai_provider && !llm.get_provider(input.ai_provider).is_configured()) {
+          throw new TRPCError({
+            code: 'BAD_REQUEST',
+            message: `LLM provider "${input.ai_provider}" is not configured on this server`
+          });
+        }
+
+        before.ai_provider = organization.settings.ai_provider;
+        after.ai_provider = input.ai_provider;
+        organization.settings.ai_provider = input.ai_provider;
+      }
+
+      if (input.ai_model !== undefined) {
+        before.ai_model = organization.settings.ai_model;
+        after.ai_model = input.ai_model;
+        organization.settings.ai_model = input.ai_model;
+      }
+
+      if (input.summary_mode !== undefined) {
+        before.summary_mode = organization.settings.summary_mode;
+        after.summary_mode = input.summary_mode;
+        organization.settings.summary_mode = input.summary_mode;
+      }
+
+      if (input.default_language !== undefined) {
+        before.default_language = organization.settings.default_language;
+        after.default_language = input.default_language;
+        organization.settings.default_language = input.default_language;
+      }
+
+      if (input.image_analysis !== undefined) {
+        before.image_analysis = organization.settings.image_analysis;
+        after.image_analysis = input.image_analysis;
+        organization.settings.image_analysis = input.image_analysis;
+      }
+
+      if (input.pii_redaction !== undefined) {
+        const errors = validate_custom_patterns(input.pii_redaction.custom_patterns);
+        if (errors.length > 0) {
+          throw new TRPCError({
+            code: 'BAD_REQUEST',
+            message: errors.join('; ')
+          });
+        }
+
+        before.pii_redaction = organization.settings.pii_redaction?.toObject?.() || null;
+        after.pii_redaction = input.pii_redaction;
+        organization.settings.pii_redaction = input.pii_redaction;
+      }
+
+      if (input.feedback_examples !== undefined) {
+        before.feedback_examples = organization.settings.feedback_examples?.toObject?.() || null;
+        after.feedback_examples = input.feedback_examples;
+        organization.settings.feedback_examples = input.feedback_examples;
+      }
+
+      if (input.digest !== undefined) {
+        before.digest = organization.settings.digest?.toObject?.() || null;
+        after.digest = input.digest;
+        organization.settings.digest = input.digest;
+      }
+
+      if (input.quiet_hours !== undefined) {
+        before.quiet_hours = organization.settings.quiet_hours?.toObject?.() || null;
+        after.quiet_hours = input.quiet_hours;
+        organization.settings.quiet_hours = input.quiet_hours;
+      }
+
+      if (input.bot_commands !== undefined) {
+        before.bot_commands = organization.settings.bot_commands?.toObject?.() || null;
+        after.bot_commands = input.bot_commands;
+        organization.settings.bot_commands = input.bot_commands;
+      }
+
+      if (Object.keys(after).length === 0) {
+        return {
+          success: true,
+          message: 'No changes',
+          settings: organization.settings
+        };
+      }
+
+      await organization.save();
+
+      await AuditLog.log({
+        organization_id: organization._id,
+        user_id: ctx.user._id,
+        action: 'settings:update',
+        category: 'settings',
+        resource_type: 'organization',
+        resource_id: organization._id,
+        description: `Updated organization settings: ${Object.keys(after).join(', ')}`,
+        changes: { before, after }
+      });
+
+      console.log(`⚙️ Organization ${organization._id} settings updated: ${Object.keys(after).join(', ')}`);
+
+      return {
+        success: true,
+        message: 'Settings updated',
+        settings: organization.settings
+      };
+    }),
+
+  /**
+   * AI budget status and LLM usage breakdown (by day, feature and model) for a month
+   * @permission org:billing:view
+   */
+  aiUsage: withPermission('org:billing:view')
+    .input(z.object({
+      // Defaults to the current month in the organization timezone
+      month: z.string().regex(/^\d{4}-\d{2}$/).optional()
+    }).default({}))
+    .query(async ({ ctx, input }) => {
+      return get_ai_usage_report(ctx.organization, input.month);
+    }),
+
+  /**
+   * Set the monthly AI budget (null = unlimited) and its warning threshold
+   * Once spending reaches the budget, summaries are refused until the monthly reset.
+   * @permission org:billing:manage
+   */
+  updateAiBudget: withPermission('org:billing:manage')
+    .input(z.object({
+      budgetUsd: z.number().min(0).max(1000000).nullable(),
+      softLimitPercent: z.number().int().min(1).max(100).optional()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      const organization = ctx.organization;
+      const before = {
+        ai_budget_usd_per_month: organization.limits.ai_budget_usd_per_month ?? null,
+        ai_budget_soft_limit_percent: organization.limits.ai_budget_soft_limit_percent
+      };
+
+      organization.limits.ai_budget_usd_per_month = input.budgetUsd;
+      if (input.softLimitPercent !== undefined) {
+        organization.limits.ai_budget_soft_limit_percent = input.softLimitPercent;
+      }
+      await organization.save();
+
+      const after = {
+        ai_budget_usd_per_month: organization.limits.ai_budget_usd_per_month,
+        ai_budget_soft_limit_percent: organization.limits.ai_budget_soft_limit_percent
+      };
+
+      await AuditLog.log({
+        organization_id: organization._id,
+        user_id: ctx.user._id,
+        action: 'billing:ai_budget:update',
+        category: 'billing',
+        resource_type: 'organization',
+        resource_id: organization._id,
+        description: input.budgetUsd === null
+          ? 'Removed the monthly AI budget'
+          : `Set the monthly AI budget to $${input.budgetUsd}`,
+        changes: { before, after }
+      });
+
+      return {
+        success: true,
+        message: 'AI budget updated',
+        budget: organization.get_ai_budget_status()
+      };
+    }),
+
+  /**
+   * Ask a question across all of the organization's groups
+   * Answers cite the messages and summaries they are based on; only source
+   * types the caller can view are used. Every question is audit logged.
+   * @permission org:messages:ask
+   */
+  ask: withPermission('org:messages:ask')
+    .input(z.object({
+      question: z.string().trim().min(3).max(500),
+      roomIds: z.array(z.string()).max(50).optional(),
+      startDate: z.string().optional(),
+      endDate: z.string().optional()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`💬 Organization.ask called by ${ctx.user?.email} for org ${ctx.organization?.name}`);
+
+      const sourceTypes = Object.keys(SOURCE_PERMISSIONS)
+        .filter(type => ctx.utils.check_permission(SOURCE_PERMISSIONS[type]));
+      if (sourceTypes.length === 0) {
+        throw new TRPCError({
+          code: 'FORBIDDEN',
+          message: `Permission denied: ${Object.values(SOURCE_PERMISSIONS).join(' or ')}`
+        });
+      }
+
+      let roomIds = null;
+      if (input.roomIds?.length) {
+        const rooms = await Room.find({
+          _id: { $in: input.roomIds },
+          organization_id: ctx.organization._id
+        }).select('_id').catch(() => []);
+        if (rooms.length !== new Set(input.roomIds).size) {
+          throw new TRPCError({
+            code: 'NOT_FOUND',
+            message: 'Room not found'
+          });
+        }
+        roomIds = rooms.map(room => room._id);
+      }
+
+      const budgetBlock = check_ai_budget(ctx.organization);
+      if (budgetBlock) {
+        throw new TRPCError({
+          code: 'FORBIDDEN',
+          message: budgetBlock
+        });
+      }
+
+      const result = await answer_question({
+        organization: ctx.organization,
+        user: ctx.user,
+        question: input.question,
+        room_ids: roomIds,
+        start_date: input.startDate ? new Date(input.startDate) : null,
+        end_date: input.endDate ? new Date(input.endDate) : null,
+        source_types: sourceTypes
+      });
+
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'organization:ask',
+        category: 'organization',
+        resource_type: 'organization',
+        resource_id: ctx.organization._id,
+        description: `Asked about chat history: ${input.question.slice(0, 100)}`,
+        metadata: {
+          question: input.question,
+          room_ids: roomIds,
+          answer_excerpt: result.answer.slice(0, ANSWER_EXCERPT_LENGTH),
+          citations: result.citations.length,
+          sources: result.sources,
+          confidence: result.confidence,
+          provider: result.provider,
+          model: result.model,
+          tokens_used: result.tokens_used
+        }
+      });
+
+      return {
+        ...result,
+        question: input.question,
+        source_types: sourceTypes
+      };
+    })
+});
+
+module.exports = organizationRouter;
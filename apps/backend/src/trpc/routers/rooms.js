@@ -7,7 +7,45 @@
 const { z } = require('zod');
 const { TRPCError } = require('@trpc/server');
 const { router, withPermission } = require('../index');
-const { Room, ChatSession, Summary, Owner, AuditLog } = require('../../models');
+const { Room, ChatSession, Summary, Owner, Organization, AuditLog, SummaryTemplate } = require('../../models');
+const { SESSION_TRIGGER_LIMITS, resolve_session_trigger } = require('../../services/session_trigger_resolver');
+const { SUMMARY_MODES, resolve_summary_mode } = require('../../services/rolling_summary');
+const { resolve_summary_template } = require('../../services/summary_template_resolver');
+const { SUMMARY_LANGUAGES, resolve_summary_language } = require('../../services/summary_language');
+const { SOURCE_PERMISSIONS, answer_question } = require('../../services/chat_qa');
+const { check_ai_budget } = require('../../services/ai_usage');
+
+// Answers stored in the audit log are cut to this length
+const ANSWER_EXCERPT_LENGTH = 500;
+
+/**
+ * Session trigger override input (null resets the value to inherit)
+ */
+const session_trigger_input = z.object({
+  message_count: z.number().int()
+    .min(SESSION_TRIGGER_LIMITS.message_count.min)
+    .max(SESSION_TRIGGER_LIMITS.message_count.max)
+    .nullable().optional(),
+  time_limit_hours: z.number().int()
+    .min(SESSION_TRIGGER_LIMITS.time_limit_hours.min)
+    .max(SESSION_TRIGGER_LIMITS.time_limit_hours.max)
+    .nullable().optional()
+});
+
+/**
+ * Resolve the session trigger a room actually uses, with the source of each value
+ * @param {Room} room - Room document
+ * @param {Organization} organization - Current organization context
+ * @returns {Promise<Object>} { message_count, time_limit_hours, sources }
+ */
+async function resolve_room_session_trigger(room, organization) {
+  const roomOrganization = room.organization_id?.toString() === organization?._id?.toString()
+    ? organization
+    : room.organization_id && await Organization.findById(room.organization_id).select('settings');
+  const owner = room.owner_id ? await Owner.findById(room.owner_id).select('settings') : null;
+
+  return resolve_session_trigger({ room, organization: roomOrganization || null, owner });
+}
 
 /**
  * Rooms Router
@@ -95,8 +133,19 @@ const roomsRouter = router({
         status: 'active'
       });
 
+      const { template: effectiveTemplate, source: templateSource } = await resolve_summary_template(room);
+
       return {
         ...room.get_room_summary(),
+        effective_session_trigger: await resolve_room_session_trigger(room, ctx.organization),
+        effective_summary_mode: resolve_summary_mode({ room, organization: ctx.organization }),
+        effective_summary_template: {
+          source: templateSource,
+          id: effectiveTemplate?._id || null,
+          name: effectiveTemplate?.name || null
+        },
+        effective_summary_language: resolve_summary_language({ room, organization: ctx.organization, template: effectiveTemplate }),
+        running_digest: room.running_digest,
         recentSessions: recentSessions.map(session => session.get_conversation_summary()),
         activeSession: activeSession ? activeSession.get_conversation_summary() : null
       };
@@ -304,16 +353,24 @@ const roomsRouter = router({
       roomId: z.string(),
       settings: z.object({
         auto_summarize: z.boolean().optional(),
-        session_trigger: z.object({
-          message_count: z.number().min(1).max(200).optional(),
-          time_limit_hours: z.number().min(1).max(168).optional()
-        }).optional()
+        // Push completed summaries into the chat as Flex cards
+        deliver_to_chat: z.boolean().optional(),
+        session_trigger: session_trigger_input.optional(),
+        // null = inherit the organization's summary mode
+        summary_mode: z.enum(SUMMARY_MODES).nullable().optional(),
+        // null = use the category / organization default template
+        summary_template_id: z.string().nullable().optional(),
+        // null = template language → organization default language
+        language: z.enum(SUMMARY_LANGUAGES).nullable().optional()
       })
     }))
     .mutation(async ({ ctx, input }) => {
       console.log(`⚙️ Rooms.updateSettings called by ${ctx.user?.email} for room ${input.roomId}`);
 
-      const room = await Room.findById(input.roomId);
+      const room = await Room.findOne({
+        _id: input.roomId,
+        organization_id: ctx.organization._id
+      });
 
       if (!room) {
         throw new TRPCError({
@@ -329,6 +386,10 @@ const roomsRouter = router({
         room.settings.auto_summarize = input.settings.auto_summarize;
       }
 
+      if (input.settings.deliver_to_chat !== undefined) {
+        room.settings.deliver_to_chat = input.settings.deliver_to_chat;
+      }
+
       if (input.settings.session_trigger) {
         if (input.settings.session_trigger.message_count !== undefined) {
           room.settings.session_trigger.message_count = input.settings.session_trigger.message_count;
@@ -338,6 +399,32 @@ const roomsRouter = router({
         }
       }
 
+      if (input.settings.summary_mode !== undefined) {
+        room.settings.summary_mode = input.settings.summary_mode;
+      }
+
+      if (input.settings.summary_template_id !== undefined) {
+        if (input.settings.summary_template_id) {
+          const template = await SummaryTemplate.findOne({
+            _id: input.settings.summary_template_id,
+            organization_id: ctx.organization._id,
+            is_active: true
+          }).catch(() => null);
+
+          if (!template) {
+            throw new TRPCError({
+              code: 'BAD_REQUEST',
+              message: 'Summary template not found or inactive'
+            });
+          }
+        }
+        room.settings.summary_template_id = input.settings.summary_template_id;
+      }
+
+      if (input.settings.language !== undefined) {
+        room.settings.language = input.settings.language;
+      }
+
       await room.save();
 
       // Audit log
@@ -358,7 +445,141 @@ const roomsRouter = router({
       return {
         success: true,
         message: 'Room settings updated successfully',
-        room: room.get_room_summary()
+        room: room.get_room_summary(),
+        effective_session_trigger: await resolve_room_session_trigger(room, ctx.organization),
+        effective_summary_mode: resolve_summary_mode({ room, organization: ctx.organization })
+      };
+    }),
+
+  /**
+   * Clear the room's running digest so the next rolling summary starts fresh
+   * @permission org:groups:settings
+   */
+  resetDigest: withPermission('org:groups:settings')
+    .input(z.object({
+      roomId: z.string()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`🔁 Rooms.resetDigest called by ${ctx.user?.email} for room ${input.roomId}`);
+
+      const room = await Room.findOne({
+        _id: input.roomId,
+        organization_id: ctx.organization._id
+      });
+
+      if (!room) {
+        throw new TRPCError({
+          code: 'NOT_FOUND',
+          message: 'Room not found'
+        });
+      }
+
+      const previous_summary_count = room.running_digest?.summary_count || 0;
+      await room.reset_running_digest();
+
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'room:digest:reset',
+        category: 'room',
+        resource_type: 'room',
+        resource_id: room._id,
+        description: `Reset running digest for room ${room.name}`,
+        metadata: { previous_summary_count }
+      });
+
+      return {
+        success: true,
+        message: 'Running digest reset'
+      };
+    }),
+
+  /**
+   * Ask a question about the room's chat history
+   * Answers cite the messages and summaries they are based on; only source
+   * types the caller can view are used. Every question is audit logged.
+   * @permission org:messages:ask
+   */
+  ask: withPermission('org:messages:ask')
+    .input(z.object({
+      roomId: z.string(),
+      question: z.string().trim().min(3).max(500),
+      startDate: z.string().optional(),
+      endDate: z.string().optional()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`💬 Rooms.ask called by ${ctx.user?.email} for room ${input.roomId}`);
+
+      if (!ctx.utils.check_permission('org:groups:view')) {
+        throw new TRPCError({
+          code: 'FORBIDDEN',
+          message: 'Permission denied: org:groups:view'
+        });
+      }
+
+      const sourceTypes = Object.keys(SOURCE_PERMISSIONS)
+        .filter(type => ctx.utils.check_permission(SOURCE_PERMISSIONS[type]));
+      if (sourceTypes.length === 0) {
+        throw new TRPCError({
+          code: 'FORBIDDEN',
+          message: `Permission denied: ${Object.values(SOURCE_PERMISSIONS).join(' or ')}`
+        });
+      }
+
+      const room = await Room.findOne({
+        _id: input.roomId,
+        organization_id: ctx.organization._id
+      }).catch(() => null);
+
+      if (!room) {
+        throw new TRPCError({
+          code: 'NOT_FOUND',
+          message: 'Room not found'
+        });
+      }
+
+      const budgetBlock = check_ai_budget(ctx.organization);
+      if (budgetBlock) {
+        throw new TRPCError({
+          code: 'FORBIDDEN',
+          message: budgetBlock
+        });
+      }
+
+      const result = await answer_question({
+        organization: ctx.organization,
+        user: ctx.user,
+        question: input.question,
+        room_ids: [room._id],
+        start_date: input.startDate ? new Date(input.startDate) : null,
+        end_date: input.endDate ? new Date(input.endDate) : null,
+        source_types: sourceTypes
+      });
+
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'room:ask',
+        category: 'room',
+        resource_type: 'room',
+        resource_id: room._id,
+        description: `Asked about room ${room.name}: ${input.question.slice(0, 100)}`,
+        metadata: {
+          question: input.question,
+          answer_excerpt: result.answer.slice(0, ANSWER_EXCERPT_LENGTH),
+          citations: result.citations.length,
+          sources: result.sources,
+          confidence: result.confidence,
+          provider: result.provider,
+          model: result.model,
+          tokens_used: result.tokens_used
+        }
+      });
+
+      return {
+        ...result,
+        question: input.question,
+        source_types: sourceTypes
       };
     }),
 
@@ -0,0 +1,220 @@
+/**
+ * Search tRPC Router
+ * @description Semantic search over the organization's messages and summaries
+ * @module trpc/routers/search
+ */
+
+const { z } = require('zod');
+const { TRPCError } = require('@trpc/server');
+const { router, withPermission } = require('../index');
+const { Message, Summary, Room, ChatSession, Embedding, AuditLog } = require('../../models');
+const { EMBEDDING_SOURCE_TYPES } = require('../../models/embedding');
+const jobQueue = require('../../services/job_queue');
+const { get_active_embedding_model } = require('../../services/embeddings');
+const { is_semantic_search_enabled, semantic_search } = require('../../services/semantic_index');
+
+// Summary content in results is cut to this length
+const SUMMARY_EXCERPT_LENGTH = 500;
+
+// Sessions queued per reindex call (most recent first)
+const MAX_REINDEX_SESSIONS = 1000;
+
+/**
+ * Reject calls while semantic search is turned off
+ */
+function require_semantic_search() {
+  if (!is_semantic_search_enabled()) {
+    throw new TRPCError({
+      code: 'PRECONDITION_FAILED',
+      message: 'Semantic search is disabled on this server'
+    });
+  }
+}
+
+/**
+ * Search Router
+ */
+const searchRouter = router({
+  /**
+   * Rank messages and summaries across all of the organization's groups by meaning
+   * Summaries are only searched for callers who can view them.
+   * @permission org:messages:search
+   */
+  semantic: withPermission('org:messages:search')
+    .input(z.object({
+      query: z.string().trim().min(2).max(500),
+      limit: z.number().min(1).max(50).default(20),
+      sources: z.array(z.enum(EMBEDDING_SOURCE_TYPES)).min(1).default(['message', 'summary']),
+      roomId: z.string().optional(),
+      startDate: z.string().optional(),
+      endDate: z.string().optional(),
+      // Hits scoring at or below this cosine similarity are dropped
+      minScore: z.number().min(-1).max(1).default(0.1)
+    }))
+    .query(async ({ ctx, input }) => {
+      require_semantic_search();
+
+      console.log(`🔎 Search.semantic called by ${ctx.user?.email} for org ${ctx.organization?.name}`);
+
+      const sources = input.sources.filter(type =>
+        type !== 'summary' || ctx.utils.check_permission('org:summaries:view')
+      );
+      if (sources.length === 0) {
+        throw new TRPCError({
+          code: 'FORBIDDEN',
+          message: 'Permission denied: org:summaries:view'
+        });
+      }
+
+      let roomIds = null;
+      if (input.roomId) {
+        const room = await Room.findOne({ _id: input.roomId, organization_id: ctx.organization._id }).select('_id').catch(() => null);
+        if (!room) {
+          throw new TRPCError({
+            code: 'NOT_FOUND',
+            message: 'Room not found'
+          });
+        }
+        roomIds = [room._id];
+      }
+
+      const { hits, candidates, truncated, provider, model } = await semantic_search(ctx.organization._id, input.query, {
+        limit: input.limit,
+        source_types: sources,
+        room_ids: roomIds,
+        start_date: input.startDate ? new Date(input.startDate) : null,
+        end_date: input.endDate ? new Date(input.endDate) : null,
+        min_score: input.minScore
+      });
+
+      const idsOf = (type) => hits.filter(hit => hit.source_type === type).map(hit => hit.source_id);
+      const [messages, summaries, rooms] = await Promise.all([
+        Message.find({ _id: { $in: idsOf('message') }, organization_id: ctx.organization._id }),
+        Summary.find({ _id: { $in: idsOf('summary') }, organization_id: ctx.organization._id })
+          .select('content key_topics language created_at'),
+        Room.find({ _id: { $in: [...new Set(hits.map(hit => String(hit.room_id)))] } })
+          .select('name type assignment.custom_name')
+      ]);
+
+      const messagesById = new Map(messages.map(msg => [String(msg._id), msg]));
+      const summariesById = new Map(summaries.map(summary => [String(summary._id), summary]));
+      const roomsById = new Map(rooms.map(room => [String(room._id), {
+        id: room._id,
+        name: room.assignment?.custom_name || room.name,
+        type: room.type
+      }]));
+
+      // Sources deleted since they were indexed are dropped
+      const results = hits
+        .map(hit => {
+          const base = {
+            type: hit.source_type,
+            id: hit.source_id,
+            score: Math.round(hit.score * 1000) / 1000,
+            room: roomsById.get(String(hit.room_id)) || null,
+            session_id: hit.session_id,
+            timestamp: hit.timestamp
+          };
+
+          if (hit.source_type === 'message') {
+            const msg = messagesById.get(String(hit.source_id));
+            return msg ? { ...base, message: msg.get_message_data() } : null;
+          }
+
+          const summary = summariesById.get(String(hit.source_id));
+          return summary ? {
+            ...base,
+            summary: {
+              content: (summary.content || '').slice(0, SUMMARY_EXCERPT_LENGTH),
+              key_topics: summary.key_topics,
+              language: summary.language,
+              created_at: summary.created_at
+            }
+          } : null;
+        })
+        .filter(Boolean);
+
+      return {
+        results,
+        searchQuery: input.query,
+        searched: candidates,
+        // Only the newest `searched` vectors were scored; narrow by room or date to reach older ones
+        truncated,
+        provider,
+        model
+      };
+    }),
+
+  /**
+   * Semantic index state: active embedding model and indexed source counts
+   * @permission org:messages:search
+   */
+  status: withPermission('org:messages:search')
+    .query(async ({ ctx }) => {
+      const enabled = is_semantic_search_enabled();
+      const { provider, model } = get_active_embedding_model();
+
+      return {
+        enabled,
+        provider: provider.name,
+        model,
+        configured: provider.is_configured(),
+        indexed: await Embedding.get_index_stats(ctx.organization._id, model)
+      };
+    }),
+
+  /**
+   * Queue (re)indexing of the organization's closed sessions
+   * Needed after switching EMBEDDING_PROVIDER/EMBEDDING_MODEL or for history
+   * from before semantic search; unchanged sources are not re-embedded.
+   * @permission org:settings:update
+   */
+  reindex: withPermission('org:settings:update')
+    .input(z.object({
+      days: z.number().min(1).max(3650).optional()
+    }).default({}))
+    .mutation(async ({ ctx, input }) => {
+      require_semantic_search();
+
+      console.log(`🧮 Search.reindex called by ${ctx.user?.email} for org ${ctx.organization?.name}`);
+
+      const filter = { organization_id: ctx.organization._id, status: 'closed' };
+      if (input.days) {
+        filter.start_time = { $gte: new Date(Date.now() - input.days * 24 * 60 * 60 * 1000) };
+      }
+
+      const sessions = await ChatSession.find(filter)
+        .sort({ start_time: -1 })
+        .limit(MAX_REINDEX_SESSIONS)
+        .select('_id');
+
+      for (const session of sessions) {
+        await jobQueue.enqueue(jobQueue.JOB_TYPES.EMBEDDINGS_INDEX, {
+          session_id: session._id
+        }, {
+          organization_id: ctx.organization._id,
+          created_by: ctx.user._id,
+          unique_key: `embeddings:${session._id}`
+        });
+      }
+
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'search:reindex',
+        category: 'settings',
+        resource_type: 'organization',
+        resource_id: ctx.organization._id,
+        description: `Queued semantic indexing of ${sessions.length} sessions`,
+        metadata: { days: input.days || null, sessions: sessions.length }
+      });
+
+      return {
+        success: true,
+        queued: sessions.length,
+        message: `Queued ${sessions.length} sessions for indexing`
+      };
+    })
+});
+
+module.exports = searchRouter;
@@ -7,8 +7,12 @@
 const { z } = require('zod');
 const { TRPCError } = require('@trpc/server');
 const { router, withPermission, orgProcedure } = require('../index');
-const { ChatSession, Room, Summary, Owner, Message, AuditLog } = require('../../models');
+const { ChatSession, Room, Owner, Message, AuditLog } = require('../../models');
 const { evaluate_policy } = require('../../auth/abac');
+const { MEDIA_MESSAGE_TYPES } = require('../../services/media_processor');
+const { restore_pii } = require('../../services/pii_redactor');
+const { queue_summary_generation } = require('../../services/summary_generation');
+const { apply_contact_names } = require('../../services/line_contacts');
 
 /**
  * Sessions Router
@@ -157,16 +161,20 @@ const sessionsRouter = router({
     .query(async ({ ctx, input }) => {
       console.log(`🔍 Sessions.get called by ${ctx.user?.email} for session ${input.sessionId}`);
 
+      // Redacted personal data in the summary is only shown to members who can read the messages
+      const reveal = ctx.utils.check_permission('org:messages:view');
+      const summaryPopulate = { path: 'summary_id', select: reveal ? '+redaction.placeholders' : '' };
+
       let session = null;
       try {
         session = await ChatSession.findById(input.sessionId)
           .populate('room_id', 'name type line_room_id owner_id')
-          .populate('summary_id');
+          .populate(summaryPopulate);
       } catch (error) {
         // If not a valid ObjectId, try finding by session_id field
         session = await ChatSession.findOne({ session_id: input.sessionId })
           .populate('room_id', 'name type line_room_id owner_id')
-          .populate('summary_id');
+          .populate(summaryPopulate);
       }
 
       if (!session) {
@@ -190,9 +198,55 @@ const sessionsRouter = router({
         });
       }
 
+      // Captions and text read from the session's images, by LINE message ID
+      const imageMessages = await Message.find({
+        session_id: session.session_id,
+        message_type: 'image',
+        'image_analysis.status': { $ne: null }
+      }).select('line_message_id image_analysis');
+
+      // Transcripts and document text of voice messages, videos and files
+      const mediaMessages = await Message.find({
+        session_id: session.session_id,
+        message_type: { $in: MEDIA_MESSAGE_TYPES },
+        'media_processing.status': { $ne: null }
+      }).select('line_message_id message media_processing');
+
+      // Sender names and pictures, and unsent messages (message_logs record neither)
+      const senderMessages = await apply_contact_names(await Message.find({
+        session_id: session.session_id,
+        line_user_id: { $ne: null },
+        line_message_id: { $ne: null }
+      }).select('line_message_id line_user_id user_name user_profile_url unsent_at'), session.organization_id);
+
       return {
         ...session.toObject(),
-        summary: session.summary_id
+        summary: session.summary_id && reveal
+          ? restore_pii(session.summary_id.toObject(), session.summary_id.redaction?.placeholders)
+          : session.summary_id,
+        image_analyses: Object.fromEntries(imageMessages
+          .filter(msg => msg.line_message_id)
+          .map(msg => [msg.line_message_id, {
+            status: msg.image_analysis.status,
+            image_type: msg.image_analysis.image_type,
+            caption: msg.image_analysis.caption,
+            text: msg.image_analysis.text
+          }])),
+        media_texts: Object.fromEntries(mediaMessages
+          .filter(msg => msg.line_message_id)
+          .map(msg => [msg.line_message_id, {
+            status: msg.media_processing.status,
+            kind: msg.media_processing.kind,
+            message: msg.media_processing.status === 'completed' ? msg.message : null,
+            truncated: msg.media_processing.truncated
+          }])),
+        senders: Object.fromEntries(senderMessages
+          .map(msg => [msg.line_message_id, {
+            line_user_id: msg.line_user_id,
+            user_name: msg.user_name || null,
+            user_profile_url: msg.user_profile_url || null,
+            unsent_at: msg.unsent_at || null
+          }]))
       };
     }),
 
@@ -305,6 +359,8 @@ const sessionsRouter = router({
 
   /**
    * Generate summary manually
+   * Enqueues a background job and returns its job_id immediately instead of
+   * waiting for the LLM (track it via jobs.get).
    * @permission org:summaries:generate
    */
   generateSummary: withPermission('org:summaries:generate')
@@ -381,19 +437,15 @@ const sessionsRouter = router({
       messageCount = messageCount > 0 ? messageCount : embeddedMessageCount;
       console.log(`🔍 Found ${messageCount} messages for session ${session.session_id}`);
 
-      // Create summary record
-      const summary = await Summary.create_summary(
-        session._id,
-        session.room_id._id,
-        session.owner_id?._id || session.room_id.owner_id
-      );
+      const ownerId = session.owner_id?._id || session.room_id.owner_id;
+      const organizationId = session.organization_id || ctx.organization?._id;
 
-      // Generate AI summary
-      const geminiService = require('../../services/gemini_service');
-      await geminiService.generate_chat_summary(session, summary);
-
-      // Attach summary to session
-      await session.attach_summary(summary._id);
+      // A summary already queued for the session is returned instead of a new one
+      const { summary_id, job, reused } = await queue_summary_generation(session, {
+        owner_id: ownerId,
+        organization_id: organizationId,
+        created_by: ctx.user._id
+      });
 
       // Audit log
       await AuditLog.log({
@@ -402,18 +454,23 @@ const sessionsRouter = router({
         action: 'summary:generate',
         category: 'summary',
         resource_type: 'summary',
-        resource_id: summary._id,
-        description: `Generated summary for session ${session.session_id}`,
+        resource_id: summary_id,
+        description: `Queued summary generation for session ${session.session_id}`,
         metadata: {
           session_id: session.session_id,
-          summary_id: summary._id.toString()
+          summary_id: summary_id.toString(),
+          job_id: job._id.toString(),
+          reused
         }
       });
 
       return {
         success: true,
-        message: 'Summary generated successfully',
-        summary_id: summary._id
+        message: reused ? 'Summary generation already queued' : 'Summary generation queued',
+        summary_id,
+        job_id: job._id,
+        status: job.status,
+        warning: policy_result.warning || null
       };
     }),
 
@@ -7,7 +7,44 @@
 const { z } = require('zod');
 const { TRPCError } = require('@trpc/server');
 const { router, withPermission } = require('../index');
-const { Summary, ChatSession, AuditLog } = require('../../models');
+const { Summary, ChatSession, Organization, AuditLog, Embedding, SummaryVersion, SummaryFeedback } = require('../../models');
+const llm = require('../../services/llm');
+const { SUMMARY_LANGUAGES, resolve_viewer_language } = require('../../services/summary_language');
+const { restore_pii, summary_data_for_viewer, redact_summary_edit } = require('../../services/pii_redactor');
+const { ensure_baseline_version, record_edit, restore_version, diff_versions } = require('../../services/summary_versions');
+const { submit_feedback, get_feedback_stats } = require('../../services/summary_feedback');
+const { check_ai_budget } = require('../../services/ai_usage');
+
+/**
+ * Extra summary fields to load for viewers who see redacted values restored
+ * @param {boolean} reveal - Whether the viewer has org:messages:view
+ * @returns {string} Mongoose select string
+ */
+function pii_select(reveal) {
+  return reveal ? '+redaction.placeholders' : '';
+}
+
+/**
+ * Load a summary of the caller's organization or fail with NOT_FOUND
+ * @param {Object} ctx - tRPC context
+ * @param {string} summaryId - Summary ID
+ * @param {string} select - Extra fields to select
+ * @returns {Promise<Summary>}
+ */
+async function find_org_summary(ctx, summaryId, select = '') {
+  const summary = await Summary.findOne({ _id: summaryId, organization_id: ctx.organization._id })
+    .select(select)
+    .catch(() => null);
+
+  if (!summary) {
+    throw new TRPCError({
+      code: 'NOT_FOUND',
+      message: 'Summary not found'
+    });
+  }
+
+  return summary;
+}
 
 /**
  * Summaries Router
@@ -31,12 +68,15 @@ const summariesRouter = router({
 
       console.log(`🔍 Summaries.list called by ${ctx.user?.email} for org ${ctx.organization?.name}`);
 
-      // TODO: Phase 3 - filter by organization_id
-      const filter = {};
+      // Redacted personal data is only shown to members who can read the messages
+      const reveal = ctx.utils.check_permission('org:messages:view');
+
+      const filter = { organization_id: ctx.organization._id };
       if (roomId) filter.room_id = roomId;
       if (status) filter.status = status;
 
       const summaries = await Summary.find(filter)
+        .select(pii_select(reveal))
         .populate('session_id', 'session_id start_time end_time')
         .populate('room_id', 'name type')
         .sort({ created_at: -1 })
@@ -46,7 +86,7 @@ const summariesRouter = router({
       const total = await Summary.countDocuments(filter);
 
       return {
-        summaries: summaries.map(summary => summary.get_summary_data()),
+        summaries: summaries.map(summary => summary_data_for_viewer(summary, reveal)),
         pagination: {
           page,
           limit,
@@ -67,9 +107,12 @@ const summariesRouter = router({
     .query(async ({ ctx, input }) => {
       console.log(`🔍 Summaries.get called by ${ctx.user?.email} for summary ${input.summaryId}`);
 
-      const summary = await Summary.findById(input.summaryId)
+      const reveal = ctx.utils.check_permission('org:messages:view');
+      const summary = await Summary.findOne({ _id: input.summaryId, organization_id: ctx.organization._id })
+        .select(pii_select(reveal))
         .populate('session_id')
-        .populate('room_id', 'name type line_room_id');
+        .populate('room_id', 'name type line_room_id')
+        .catch(() => null);
 
       if (!summary) {
         throw new TRPCError({
@@ -78,7 +121,77 @@ const summariesRouter = router({
         });
       }
 
-      return summary.get_summary_data();
+      return summary_data_for_viewer(summary, reveal);
+    }),
+
+  /**
+   * Translate a summary into the viewer's language
+   * Served from the summary's translation cache when possible; otherwise an
+   * LLM call billed to the summary's organization.
+   * @permission org:summaries:generate
+   */
+  translate: withPermission('org:summaries:generate')
+    .input(z.object({
+      summaryId: z.string(),
+      // Overrides the viewer's profile language
+      language: z.enum(SUMMARY_LANGUAGES).optional()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`🌐 Summaries.translate called by ${ctx.user?.email} for summary ${input.summaryId}`);
+
+      const reveal = ctx.utils.check_permission('org:messages:view');
+      const summary = await find_org_summary(ctx, input.summaryId, pii_select(reveal));
+
+      // Translations keep the placeholders of the original summary
+      const placeholders = reveal ? summary.redaction?.placeholders : null;
+      const viewer_language = input.language || resolve_viewer_language({ user: ctx.user, organization: ctx.organization });
+      const result = {
+        summary_id: summary._id,
+        language: summary.language,
+        viewer_language,
+        translation: null
+      };
+
+      if (summary.status !== 'completed' || summary.language === viewer_language) {
+        return result;
+      }
+
+      const cached = summary.get_translation(viewer_language);
+      if (cached) {
+        result.translation = { ...restore_pii(cached.toObject(), placeholders), cached: true };
+        return result;
+      }
+
+      // The summary's organization picks the provider and pays for the call
+      const organization = summary.organization_id
+        ? await Organization.findById(summary.organization_id).select('settings limits usage')
+        : null;
+      const budgetBlock = check_ai_budget(organization);
+      if (budgetBlock) {
+        throw new TRPCError({
+          code: 'FORBIDDEN',
+          message: budgetBlock
+        });
+      }
+
+      try {
+        const { provider, model } = llm.get_provider_for_organization(organization);
+        const { validated, ...translation } = await provider.translate_summary(summary, viewer_language, { model });
+
+        // A fallback (unvalidated) translation is shown once but not kept
+        if (validated) {
+          await Summary.cache_translation(summary, translation);
+        } else {
+          console.warn(`⚠️ Translation of summary ${summary._id} to ${viewer_language} failed validation, not cached`);
+        }
+        result.translation = { ...restore_pii(translation, placeholders), cached: false, validated };
+      } catch (error) {
+        // The original summary is still useful without the translation
+        console.error(`❌ Translation of summary ${summary._id} to ${viewer_language} failed:`, error.message);
+        result.translation_error = error.message;
+      }
+
+      return result;
     }),
 
   /**
@@ -93,12 +206,13 @@ const summariesRouter = router({
     .query(async ({ ctx, input }) => {
       console.log(`🔍 Summaries.byRoom called by ${ctx.user?.email} for room ${input.roomId}`);
 
+      const reveal = ctx.utils.check_permission('org:messages:view');
       const summaries = await Summary.get_summaries_by_room(
         input.roomId,
         input.limit
-      );
+      ).where({ organization_id: ctx.organization._id }).select(pii_select(reveal));
 
-      return summaries.map(summary => summary.get_summary_data());
+      return summaries.map(summary => summary_data_for_viewer(summary, reveal));
     }),
 
   /**
@@ -175,9 +289,12 @@ const summariesRouter = router({
     .query(async ({ ctx, input }) => {
       console.log(`📤 Summaries.export called by ${ctx.user?.email} for summary ${input.summaryId}`);
 
-      const summary = await Summary.findById(input.summaryId)
+      const reveal = ctx.utils.check_permission('org:messages:view');
+      const summary = await Summary.findOne({ _id: input.summaryId, organization_id: ctx.organization._id })
+        .select(pii_select(reveal))
         .populate('session_id')
-        .populate('room_id', 'name type');
+        .populate('room_id', 'name type')
+        .catch(() => null);
 
       if (!summary) {
         throw new TRPCError({
@@ -198,9 +315,11 @@ const summariesRouter = router({
         metadata: { format: input.format }
       });
 
+      const data = summary_data_for_viewer(summary, reveal);
+
       if (input.format === 'text') {
         return {
-          content: summary.content,
+          content: data.content,
           metadata: {
             session: summary.session_id?.session_id,
             room: summary.room_id?.name,
@@ -211,7 +330,7 @@ const summariesRouter = router({
         };
       }
 
-      return summary.get_summary_data();
+      return data;
     }),
 
   /**
@@ -225,14 +344,7 @@ const summariesRouter = router({
     .mutation(async ({ ctx, input }) => {
       console.log(`🗑️ Summaries.delete called by ${ctx.user?.email} for summary ${input.summaryId}`);
 
-      const summary = await Summary.findById(input.summaryId);
-
-      if (!summary) {
-        throw new TRPCError({
-          code: 'NOT_FOUND',
-          message: 'Summary not found'
-        });
-      }
+      const summary = await find_org_summary(ctx, input.summaryId);
 
       // Remove summary reference from session
       if (summary.session_id) {
@@ -243,6 +355,9 @@ const summariesRouter = router({
 
       await summary.deleteOne();
 
+      // Deleted summaries must not show up in semantic search
+      await Embedding.deleteMany({ source_type: 'summary', source_id: summary._id });
+
       // Audit log
       await AuditLog.log({
         organization_id: ctx.organization?._id,
@@ -273,14 +388,10 @@ const summariesRouter = router({
     .mutation(async ({ ctx, input }) => {
       console.log(`✏️ Summaries.update called by ${ctx.user?.email} for summary ${input.summaryId}`);
 
-      const summary = await Summary.findById(input.summaryId);
+      const summary = await find_org_summary(ctx, input.summaryId, '+redaction.placeholders');
 
-      if (!summary) {
-        throw new TRPCError({
-          code: 'NOT_FOUND',
-          message: 'Summary not found'
-        });
-      }
+      // Summaries from before version history keep their AI text as a version
+      await ensure_baseline_version(summary);
 
       // Store old values for audit
       const old_values = {
@@ -288,15 +399,24 @@ const summariesRouter = router({
         key_topics: [...summary.key_topics]
       };
 
+      // Personal data is stored as placeholders, also in edited text
+      const edits = await redact_summary_edit(summary, {
+        content: input.content,
+        key_topics: input.key_topics
+      });
+
       // Update fields
-      if (input.content !== undefined) {
-        summary.content = input.content;
+      if (edits.content !== undefined) {
+        summary.content = edits.content;
       }
-      if (input.key_topics !== undefined) {
-        summary.key_topics = input.key_topics;
+      if (edits.key_topics !== undefined) {
+        summary.key_topics = edits.key_topics;
       }
+      // Cached translations no longer match the edited text
+      summary.translations = [];
 
       await summary.save();
+      const version = await record_edit(summary, ctx.user);
 
       // Audit log
       await AuditLog.log({
@@ -313,14 +433,242 @@ const summariesRouter = router({
             content: summary.content,
             key_topics: summary.key_topics
           }
-        }
+        },
+        metadata: { version: version.version }
       });
 
+      const reveal = ctx.utils.check_permission('org:messages:view');
       return {
         success: true,
         message: 'Summary updated successfully',
-        summary: summary.get_summary_data()
+        summary: summary_data_for_viewer(summary, reveal)
+      };
+    }),
+
+  /**
+   * Version history of the summary's chat session (newest first)
+   * Includes versions of earlier Summary documents replaced by regeneration.
+   * @permission org:summaries:view
+   */
+  versions: withPermission('org:summaries:view')
+    .input(z.object({
+      summaryId: z.string()
+    }))
+    .query(async ({ ctx, input }) => {
+      console.log(`🗂️ Summaries.versions called by ${ctx.user?.email} for summary ${input.summaryId}`);
+
+      const reveal = ctx.utils.check_permission('org:messages:view');
+      const summary = await find_org_summary(ctx, input.summaryId);
+      const versions = await SummaryVersion.find({ session_id: summary.session_id })
+        .select(reveal ? '+redaction_placeholders' : '')
+        .sort({ version: -1 });
+
+      return {
+        session_id: summary.session_id,
+        current_version: summary.version,
+        versions: versions.map(version => (reveal
+          ? restore_pii(version.get_version_data(), version.redaction_placeholders)
+          : version.get_version_data()))
+      };
+    }),
+
+  /**
+   * Word-level diff between two versions of the summary's session
+   * Defaults: to = current version, from = the version before it.
+   * @permission org:summaries:view
+   */
+  diff: withPermission('org:summaries:view')
+    .input(z.object({
+      summaryId: z.string(),
+      from: z.number().int().min(1).optional(),
+      to: z.number().int().min(1).optional()
+    }))
+    .query(async ({ ctx, input }) => {
+      console.log(`🗂️ Summaries.diff called by ${ctx.user?.email} for summary ${input.summaryId}`);
+
+      const reveal = ctx.utils.check_permission('org:messages:view');
+      const summary = await find_org_summary(ctx, input.summaryId);
+      const to_number = input.to || summary.version || await SummaryVersion.get_latest_version(summary.session_id);
+      const from_number = input.from || to_number - 1;
+
+      const versions = await SummaryVersion.find({
+        session_id: summary.session_id,
+        version: { $in: [from_number, to_number] }
+      }).select(reveal ? '+redaction_placeholders' : '');
+      const by_number = new Map(versions.map(version => [version.version, version]));
+
+      const [from, to] = [from_number, to_number].map(number => {
+        const version = by_number.get(number);
+        if (!version) {
+          throw new TRPCError({
+            code: 'NOT_FOUND',
+            message: `Version ${number} not found`
+          });
+        }
+        return reveal
+          ? restore_pii(version.get_version_data(), version.redaction_placeholders)
+          : version.get_version_data();
+      });
+
+      // Both texts can be rebuilt from the content ops
+      const without_content = ({ content: _content, ...data }) => data;
+      return {
+        from: without_content(from),
+        to: without_content(to),
+        ...diff_versions(from, to)
+      };
+    }),
+
+  /**
+   * Restore an earlier version as the session's current summary
+   * Recorded as a new version; no version is ever removed.
+   * @permission org:summaries:edit
+   */
+  restore: withPermission('org:summaries:edit')
+    .input(z.object({
+      summaryId: z.string(),
+      version: z.number().int().min(1)
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`♻️ Summaries.restore called by ${ctx.user?.email} for summary ${input.summaryId} (version ${input.version})`);
+
+      const summary = await find_org_summary(ctx, input.summaryId);
+      if (!await SummaryVersion.exists({ session_id: summary.session_id, version: input.version })) {
+        throw new TRPCError({
+          code: 'NOT_FOUND',
+          message: `Version ${input.version} not found`
+        });
+      }
+
+      const restored = await restore_version(summary, input.version, ctx.user);
+
+      await AuditLog.log({
+        organization_id: ctx.organization?._id,
+        user_id: ctx.user._id,
+        action: 'summary:restore',
+        category: 'summary',
+        resource_type: 'summary',
+        resource_id: restored.summary._id,
+        description: `Restored version ${input.version} of summary ${restored.summary._id}`,
+        metadata: {
+          session_id: restored.summary.session_id,
+          restored_from: input.version,
+          version: restored.version.version
+        }
+      });
+
+      const reveal = ctx.utils.check_permission('org:messages:view');
+      return {
+        success: true,
+        message: `Version ${input.version} restored`,
+        version: restored.version.version,
+        summary: summary_data_for_viewer(restored.summary, reveal)
+      };
+    }),
+
+  /**
+   * Rate and correct a summary (replaces the reviewer's earlier feedback)
+   * @permission org:summaries:feedback
+   */
+  feedback: withPermission('org:summaries:feedback')
+    .input(z.object({
+      summaryId: z.string(),
+      rating: z.enum(['up', 'down']).nullable().default(null),
+      corrections: z.object({
+        key_topics: z.array(z.string().trim().min(1).max(200)).max(20).optional(),
+        sentiment: z.enum(['positive', 'neutral', 'negative']).optional(),
+        wrong_action_items: z.array(z.string().trim().min(1).max(500)).max(50).optional(),
+        missing_action_items: z.array(z.string().trim().min(1).max(500)).max(20).optional()
+      }).default({}),
+      comment: z.string().trim().max(2000).default('')
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`👍 Summaries.feedback called by ${ctx.user?.email} for summary ${input.summaryId}`);
+
+      const summary = await find_org_summary(ctx, input.summaryId);
+      if (summary.status !== 'completed') {
+        throw new TRPCError({
+          code: 'BAD_REQUEST',
+          message: 'Only completed summaries can be reviewed'
+        });
+      }
+
+      const { feedback, counters } = await submit_feedback({
+        summary,
+        organization: ctx.organization,
+        user: ctx.user,
+        rating: input.rating,
+        corrections: input.corrections,
+        comment: input.comment
+      });
+
+      await AuditLog.log({
+        organization_id: ctx.organization?._id,
+        user_id: ctx.user._id,
+        action: 'summary:feedback',
+        category: 'summary',
+        resource_type: 'summary',
+        resource_id: summary._id,
+        description: `Reviewed summary ${summary._id}${input.rating ? ` (${input.rating})` : ''}`,
+        metadata: {
+          rating: input.rating,
+          has_corrections: feedback.has_corrections,
+          summary_version: feedback.summary_version
+        }
+      });
+
+      return {
+        success: true,
+        feedback: feedback.get_feedback_data(),
+        counters
       };
+    }),
+
+  /**
+   * Reviewer feedback on a summary (the caller's own entry first)
+   * @permission org:summaries:view
+   */
+  feedbackList: withPermission('org:summaries:view')
+    .input(z.object({
+      summaryId: z.string()
+    }))
+    .query(async ({ ctx, input }) => {
+      console.log(`👍 Summaries.feedbackList called by ${ctx.user?.email} for summary ${input.summaryId}`);
+
+      const summary = await find_org_summary(ctx, input.summaryId);
+      const entries = await SummaryFeedback.find({ summary_id: summary._id, organization_id: ctx.organization._id })
+        .populate('user_id', 'name email')
+        .sort({ updated_at: -1 });
+
+      const feedback = entries.map(entry => ({
+        ...entry.get_feedback_data(),
+        user_id: entry.user_id?._id || entry.user_id,
+        reviewer: entry.user_id?.name || entry.user_id?.email || null
+      }));
+
+      return {
+        counters: summary.feedback,
+        mine: feedback.find(entry => String(entry.user_id) === String(ctx.user._id)) || null,
+        feedback
+      };
+    }),
+
+  /**
+   * Feedback statistics of the organization (approval rate and corrections per template and model)
+   * @permission org:analytics:view
+   */
+  feedbackStats: withPermission('org:analytics:view')
+    .input(z.object({
+      startDate: z.string().optional(),
+      endDate: z.string().optional()
+    }).optional())
+    .query(async ({ ctx, input }) => {
+      console.log(`📊 Summaries.feedbackStats called by ${ctx.user?.email}`);
+
+      return get_feedback_stats(ctx.organization._id, {
+        start_date: input?.startDate ? new Date(input.startDate) : null,
+        end_date: input?.endDate ? new Date(input.endDate) : null
+      });
     })
 });
 
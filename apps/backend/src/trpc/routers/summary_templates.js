@@ -0,0 +1,338 @@
+/**
+ * Summary Templates tRPC Router
+ * @description Organization-defined summary prompts (instructions, custom output fields, language) with preview
+ * @module trpc/routers/summary_templates
+ */
+
+const { z } = require('zod');
+const { TRPCError } = require('@trpc/server');
+const { router, withPermission } = require('../index');
+const { SummaryTemplate, ChatSession, Room, AuditLog } = require('../../models');
+const { TEMPLATE_CATEGORIES, OUTPUT_FIELD_TYPES } = require('../../models/summary_template');
+const { resolve_summary_template } = require('../../services/summary_template_resolver');
+const { SUMMARY_LANGUAGES } = require('../../services/summary_language');
+const llm = require('../../services/llm');
+const { preview_summary } = require('../../services/summary_generation');
+const { check_ai_budget } = require('../../services/ai_usage');
+
+/**
+ * Output field input (mirrors SummaryTemplate.output_fields)
+ */
+const output_field_input = z.object({
+  key: z.string().regex(/^[a-z][a-z0-9_]{0,39}$/, 'Field key must be snake_case (a-z, 0-9, _)'),
+  label: z.string().trim().min(1).max(100),
+  type: z.enum(OUTPUT_FIELD_TYPES).default('text'),
+  description: z.string().trim().max(500).default(''),
+  options: z.array(z.string().trim().min(1).max(100)).max(20).default([]),
+  required: z.boolean().default(false)
+});
+
+/**
+ * Template body input shared by create, update and inline preview
+ */
+const template_input = z.object({
+  name: z.string().trim().min(1).max(100),
+  description: z.string().trim().max(500).default(''),
+  instructions: z.string().trim().max(4000).default(''),
+  output_fields: z.array(output_field_input).max(20).default([]),
+  // null = organization default language (a room language overrides it)
+  language: z.enum(SUMMARY_LANGUAGES).nullable().default(null),
+  categories: z.array(z.enum(TEMPLATE_CATEGORIES)).default([]),
+  is_default: z.boolean().default(false),
+  is_active: z.boolean().default(true)
+});
+
+/**
+ * Load a template of the caller's organization
+ * @param {Object} ctx - tRPC context
+ * @param {string} templateId - Template ID
+ * @returns {Promise<SummaryTemplate>}
+ */
+async function find_org_template(ctx, templateId) {
+  let template = null;
+  try {
+    template = await SummaryTemplate.findOne({ _id: templateId, organization_id: ctx.organization._id });
+  } catch (error) {
+    template = null;
+  }
+
+  if (!template) {
+    throw new TRPCError({
+      code: 'NOT_FOUND',
+      message: 'Summary template not found'
+    });
+  }
+
+  return template;
+}
+
+/**
+ * Save a template, mapping duplicate names and validation errors to tRPC errors
+ * @param {SummaryTemplate} template - Template document
+ * @returns {Promise<SummaryTemplate>}
+ */
+async function save_template(template) {
+  try {
+    await template.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new TRPCError({
+        code: 'CONFLICT',
+        message: `A summary template named "${template.name}" already exists`
+      });
+    }
+    if (error.name === 'ValidationError') {
+      throw new TRPCError({
+        code: 'BAD_REQUEST',
+        message: Object.values(error.errors).map(err => err.message).join('; ')
+      });
+    }
+    throw error;
+  }
+
+  if (template.is_default) {
+    await SummaryTemplate.set_default(template);
+  }
+
+  return template;
+}
+
+/**
+ * Summary Templates Router
+ */
+const summaryTemplatesRouter = router({
+  /**
+   * List templates of the organization
+   * @permission org:templates:list
+   */
+  list: withPermission('org:templates:list')
+    .input(z.object({
+      include_inactive: z.boolean().default(false)
+    }).optional())
+    .query(async ({ ctx, input }) => {
+      const templates = await SummaryTemplate.list_for_organization(ctx.organization._id, {
+        include_inactive: input?.include_inactive
+      });
+
+      return {
+        templates: templates.map(template => template.get_template_data()),
+        categories: TEMPLATE_CATEGORIES,
+        field_types: OUTPUT_FIELD_TYPES
+      };
+    }),
+
+  /**
+   * Get a template
+   * @permission org:templates:view
+   */
+  get: withPermission('org:templates:view')
+    .input(z.object({
+      templateId: z.string()
+    }))
+    .query(async ({ ctx, input }) => {
+      const template = await find_org_template(ctx, input.templateId);
+      const rooms_using = await Room.countDocuments({
+        organization_id: ctx.organization._id,
+        'settings.summary_template_id': template._id
+      });
+
+      return {
+        ...template.get_template_data(),
+        rooms_using
+      };
+    }),
+
+  /**
+   * Template a room resolves to, and why
+   * @permission org:templates:view
+   */
+  resolveForRoom: withPermission('org:templates:view')
+    .input(z.object({
+      roomId: z.string()
+    }))
+    .query(async ({ ctx, input }) => {
+      const room = await Room.findOne({ _id: input.roomId, organization_id: ctx.organization._id });
+
+      if (!room) {
+        throw new TRPCError({
+          code: 'NOT_FOUND',
+          message: 'Room not found'
+        });
+      }
+
+      const { template, source } = await resolve_summary_template(room);
+
+      return {
+        source,
+        template: template ? template.get_template_data() : null
+      };
+    }),
+
+  /**
+   * Create a template
+   * @permission org:templates:manage
+   */
+  create: withPermission('org:templates:manage')
+    .input(template_input)
+    .mutation(async ({ ctx, input }) => {
+      console.log(`📐 SummaryTemplates.create "${input.name}" by ${ctx.user?.email}`);
+
+      const template = new SummaryTemplate({
+        ...input,
+        organization_id: ctx.organization._id,
+        created_by: ctx.user._id,
+        updated_by: ctx.user._id
+      });
+      await save_template(template);
+
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'summary_template:create',
+        category: 'settings',
+        resource_type: 'summary_template',
+        resource_id: template._id,
+        description: `Created summary template "${template.name}"`,
+        metadata: { categories: template.categories, is_default: template.is_default }
+      });
+
+      return {
+        success: true,
+        template: template.get_template_data()
+      };
+    }),
+
+  /**
+   * Update a template
+   * @permission org:templates:manage
+   */
+  update: withPermission('org:templates:manage')
+    .input(z.object({
+      templateId: z.string(),
+      data: template_input.partial()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`📐 SummaryTemplates.update ${input.templateId} by ${ctx.user?.email}`);
+
+      const template = await find_org_template(ctx, input.templateId);
+      const before = template.get_template_data();
+
+      template.set(input.data);
+      template.updated_by = ctx.user._id;
+      await save_template(template);
+
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'summary_template:update',
+        category: 'settings',
+        resource_type: 'summary_template',
+        resource_id: template._id,
+        description: `Updated summary template "${template.name}"`,
+        changes: {
+          before,
+          after: template.get_template_data()
+        }
+      });
+
+      return {
+        success: true,
+        template: template.get_template_data()
+      };
+    }),
+
+  /**
+   * Delete a template (rooms using it fall back to category/default/built-in)
+   * @permission org:templates:delete
+   */
+  delete: withPermission('org:templates:delete')
+    .input(z.object({
+      templateId: z.string()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`🗑️ SummaryTemplates.delete ${input.templateId} by ${ctx.user?.email}`);
+
+      const template = await find_org_template(ctx, input.templateId);
+
+      const { modifiedCount } = await Room.updateMany(
+        { organization_id: ctx.organization._id, 'settings.summary_template_id': template._id },
+        { $set: { 'settings.summary_template_id': null } }
+      );
+      await template.deleteOne();
+
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'summary_template:delete',
+        category: 'settings',
+        resource_type: 'summary_template',
+        resource_id: template._id,
+        description: `Deleted summary template "${template.name}"`,
+        metadata: { rooms_reset: modifiedCount }
+      });
+
+      return {
+        success: true,
+        message: 'Summary template deleted',
+        rooms_reset: modifiedCount
+      };
+    }),
+
+  /**
+   * Run a template against an existing session without saving anything
+   * Pass templateId for a saved template or template for unsaved edits.
+   * @permission org:templates:manage
+   */
+  preview: withPermission('org:templates:manage')
+    .input(z.object({
+      sessionId: z.string(),
+      templateId: z.string().optional(),
+      template: template_input.partial({ name: true }).optional()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`👀 SummaryTemplates.preview on session ${input.sessionId} by ${ctx.user?.email}`);
+
+      let session = null;
+      try {
+        session = await ChatSession.findOne({ _id: input.sessionId, organization_id: ctx.organization._id });
+      } catch (error) {
+        session = await ChatSession.findOne({ session_id: input.sessionId, organization_id: ctx.organization._id });
+      }
+
+      if (!session) {
+        throw new TRPCError({
+          code: 'NOT_FOUND',
+          message: 'Session not found'
+        });
+      }
+
+      let template = null;
+      if (input.template) {
+        template = { name: 'Preview', ...input.template };
+      } else if (input.templateId) {
+        template = await find_org_template(ctx, input.templateId);
+      }
+
+      const budgetBlock = check_ai_budget(ctx.organization);
+      if (budgetBlock) {
+        throw new TRPCError({
+          code: 'FORBIDDEN',
+          message: budgetBlock
+        });
+      }
+
+      const { provider, model } = llm.get_provider_for_organization(ctx.organization);
+
+      try {
+        return await preview_summary(session, template, { provider, model });
+      } catch (error) {
+        console.error(`❌ Template preview failed:`, error);
+        throw new TRPCError({
+          code: 'INTERNAL_SERVER_ERROR',
+          message: `Preview failed: ${error.message}`
+        });
+      }
+    })
+});
+
+module.exports = summaryTemplatesRouter;
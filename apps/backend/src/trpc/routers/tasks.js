@@ -0,0 +1,427 @@
+/**
+ * Tasks tRPC Router
+ * @description Action items extracted from summaries: list, assign, update and complete
+ * @module trpc/routers/tasks
+ */
+
+const { z } = require('zod');
+const { TRPCError } = require('@trpc/server');
+const { router, withPermission } = require('../index');
+const { Task, Message, Summary, OrganizationMember, AuditLog } = require('../../models');
+const { TASK_STATUSES, TASK_PRIORITIES, OPEN_STATUSES } = require('../../models/task');
+
+/**
+ * Assignee input: an organization member or a LINE chat participant (null = unassign)
+ */
+const assignee_input = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('member'),
+    user_id: z.string()
+  }),
+  z.object({
+    type: z.literal('line_user'),
+    line_user_id: z.string().min(1),
+    display_name: z.string().trim().max(100).optional()
+  })
+]).nullable();
+
+/**
+ * Load a task of the caller's organization
+ * @param {Object} ctx - tRPC context
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Task>}
+ */
+async function find_org_task(ctx, taskId) {
+  let task = null;
+  try {
+    task = await Task.findOne({ _id: taskId, organization_id: ctx.organization._id });
+  } catch (error) {
+    task = null;
+  }
+
+  if (!task) {
+    throw new TRPCError({
+      code: 'NOT_FOUND',
+      message: 'Task not found'
+    });
+  }
+
+  return task;
+}
+
+/**
+ * Task data with its room name (room_id populated with name/assignment)
+ */
+function with_room(task) {
+  const data = task.get_task_data();
+  const room = task.room_id;
+
+  if (room && room._id) {
+    data.room_id = room._id;
+    data.room = {
+      id: room._id,
+      name: room.assignment?.custom_name || room.name,
+      type: room.type
+    };
+  }
+
+  return data;
+}
+
+/**
+ * Build the stored assignee from input
+ * @param {Object} ctx - tRPC context
+ * @param {Task} task - Task being assigned
+ * @param {Object|null} input - Assignee input
+ * @returns {Promise<Object>} Assignee subdocument
+ */
+async function resolve_assignee(ctx, task, input) {
+  if (!input) {
+    return { type: null, line_user_id: null, user_id: null, display_name: null };
+  }
+
+  if (input.type === 'member') {
+    let membership = null;
+    try {
+      membership = await OrganizationMember.find_active_membership(ctx.organization._id, input.user_id);
+    } catch (error) {
+      membership = null;
+    }
+
+    if (!membership) {
+      throw new TRPCError({
+        code: 'BAD_REQUEST',
+        message: 'Assignee is not an active member of this organization'
+      });
+    }
+
+    return {
+      type: 'member',
+      line_user_id: null,
+      user_id: membership.user_id._id,
+      display_name: membership.user_id.name || membership.user_id.email
+    };
+  }
+
+  // LINE participant: take the latest display name seen in the room unless one was given
+  let displayName = input.display_name;
+  if (!displayName) {
+    const lastMessage = await Message.findOne({ room_id: task.room_id, line_user_id: input.line_user_id })
+      .sort({ timestamp: -1 })
+      .select('user_name');
+    displayName = lastMessage?.user_name || null;
+  }
+
+  return {
+    type: 'line_user',
+    line_user_id: input.line_user_id,
+    user_id: null,
+    display_name: displayName
+  };
+}
+
+/**
+ * Tasks Router
+ */
+const tasksRouter = router({
+  /**
+   * List tasks with filters and pagination
+   * status "active" = open or in progress
+   * @permission org:tasks:list
+   */
+  list: withPermission('org:tasks:list')
+    .input(z.object({
+      page: z.number().min(1).default(1),
+      limit: z.number().min(1).max(100).default(20),
+      status: z.enum([...TASK_STATUSES, 'active']).optional(),
+      priority: z.enum(TASK_PRIORITIES).optional(),
+      roomId: z.string().optional(),
+      assignee: z.enum(['me', 'unassigned', 'any']).default('any'),
+      overdue: z.boolean().default(false),
+      search: z.string().trim().max(100).optional(),
+      // due_soon = only tasks with a due date, earliest first
+      sort: z.enum(['newest', 'due_soon']).default('newest')
+    }))
+    .query(async ({ ctx, input }) => {
+      const { page, limit } = input;
+      const skip = (page - 1) * limit;
+
+      console.log(`📋 Tasks.list called by ${ctx.user?.email} for org ${ctx.organization?.name}`);
+
+      const filter = { organization_id: ctx.organization._id };
+      if (input.status === 'active') {
+        filter.status = { $in: OPEN_STATUSES };
+      } else if (input.status) {
+        filter.status = input.status;
+      }
+      if (input.priority) filter.priority = input.priority;
+      if (input.roomId) filter.room_id = input.roomId;
+      if (input.assignee === 'me') filter['assignee.user_id'] = ctx.user._id;
+      if (input.assignee === 'unassigned') filter['assignee.type'] = null;
+      if (input.overdue) {
+        filter.status = { $in: OPEN_STATUSES };
+        filter.due_date = { $ne: null, $lt: new Date() };
+      }
+      if (input.search) {
+        const escaped = input.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        filter.title = { $regex: escaped, $options: 'i' };
+      }
+
+      if (input.sort === 'due_soon' && !filter.due_date) {
+        filter.due_date = { $ne: null };
+      }
+
+      const [tasks, total] = await Promise.all([
+        Task.find(filter)
+          .populate('room_id', 'name type assignment.custom_name')
+          .sort(input.sort === 'due_soon' ? { due_date: 1, created_at: -1 } : { created_at: -1 })
+          .skip(skip)
+          .limit(limit),
+        Task.countDocuments(filter)
+      ]);
+
+      return {
+        tasks: tasks.map(with_room),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    }),
+
+  /**
+   * Task counts by status (and overdue)
+   * @permission org:tasks:list
+   */
+  stats: withPermission('org:tasks:list')
+    .query(async ({ ctx }) => {
+      return Task.get_organization_stats(ctx.organization._id);
+    }),
+
+  /**
+   * Get a task with its source messages and summary
+   * @permission org:tasks:view
+   */
+  get: withPermission('org:tasks:view')
+    .input(z.object({
+      taskId: z.string()
+    }))
+    .query(async ({ ctx, input }) => {
+      const task = await find_org_task(ctx, input.taskId);
+      await task.populate('room_id', 'name type assignment.custom_name');
+
+      const [summary, messages] = await Promise.all([
+        task.summary_id ? Summary.findById(task.summary_id).select('content created_at language') : null,
+        ctx.utils.check_permission('org:messages:view') && task.source_message_ids.length > 0
+          ? Message.find({ _id: { $in: task.source_message_ids }, room_id: task.room_id?._id || task.room_id })
+            .sort({ timestamp: 1 })
+            .select('timestamp user_name line_user_id message message_type')
+          : []
+      ]);
+
+      return {
+        ...with_room(task),
+        summary: summary ? {
+          id: summary._id,
+          content: summary.content,
+          language: summary.language,
+          created_at: summary.created_at
+        } : null,
+        source_messages: messages.map(msg => ({
+          id: msg._id,
+          timestamp: msg.timestamp,
+          user_name: msg.user_name,
+          line_user_id: msg.line_user_id,
+          message_type: msg.message_type,
+          message: msg.message
+        }))
+      };
+    }),
+
+  /**
+   * Assign a task to an organization member or a LINE participant (null = unassign)
+   * @permission org:tasks:manage
+   */
+  assign: withPermission('org:tasks:manage')
+    .input(z.object({
+      taskId: z.string(),
+      assignee: assignee_input
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`👤 Tasks.assign ${input.taskId} by ${ctx.user?.email}`);
+
+      const task = await find_org_task(ctx, input.taskId);
+      const before = task.assignee?.type ? task.assignee.toObject() : null;
+
+      task.assignee = await resolve_assignee(ctx, task, input.assignee);
+      task.updated_by = ctx.user._id;
+      await task.save();
+
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'task:assign',
+        category: 'task',
+        resource_type: 'task',
+        resource_id: task._id,
+        description: task.assignee.type
+          ? `Assigned task to ${task.assignee.display_name || task.assignee.line_user_id}`
+          : 'Unassigned task',
+        changes: {
+          before: { assignee: before },
+          after: { assignee: task.assignee.type ? task.assignee.toObject() : null }
+        }
+      });
+
+      return {
+        success: true,
+        task: task.get_task_data()
+      };
+    }),
+
+  /**
+   * Update task fields (title, notes, priority, due date, status)
+   * @permission org:tasks:manage
+   */
+  update: withPermission('org:tasks:manage')
+    .input(z.object({
+      taskId: z.string(),
+      data: z.object({
+        title: z.string().trim().min(1).max(500).optional(),
+        notes: z.string().trim().max(2000).optional(),
+        priority: z.enum(TASK_PRIORITIES).optional(),
+        // ISO date/time; null clears the due date
+        due_date: z.string().datetime({ offset: true }).nullable().optional(),
+        status: z.enum(TASK_STATUSES).optional()
+      })
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`✏️ Tasks.update ${input.taskId} by ${ctx.user?.email}`);
+
+      const task = await find_org_task(ctx, input.taskId);
+      const { status, due_date, ...fields } = input.data;
+
+      const before = {};
+      const after = {};
+      for (const [key, value] of Object.entries(fields)) {
+        before[key] = task[key];
+        after[key] = value;
+        task[key] = value;
+      }
+
+      if (due_date !== undefined) {
+        before.due_date = task.due_date;
+        after.due_date = due_date ? new Date(due_date) : null;
+        task.due_date = after.due_date;
+        // The date was set by hand; the extracted phrase no longer applies
+        task.due_date_text = null;
+      }
+
+      if (status !== undefined && status !== task.status) {
+        before.status = task.status;
+        after.status = status;
+        task.set_status(status, ctx.user._id);
+      }
+
+      if (Object.keys(after).length === 0) {
+        return {
+          success: true,
+          message: 'No changes',
+          task: task.get_task_data()
+        };
+      }
+
+      task.updated_by = ctx.user._id;
+      await task.save();
+
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'task:update',
+        category: 'task',
+        resource_type: 'task',
+        resource_id: task._id,
+        description: `Updated task: ${Object.keys(after).join(', ')}`,
+        changes: { before, after }
+      });
+
+      return {
+        success: true,
+        task: task.get_task_data()
+      };
+    }),
+
+  /**
+   * Mark a task as done
+   * @permission org:tasks:manage
+   */
+  complete: withPermission('org:tasks:manage')
+    .input(z.object({
+      taskId: z.string()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`✅ Tasks.complete ${input.taskId} by ${ctx.user?.email}`);
+
+      const task = await find_org_task(ctx, input.taskId);
+      const previousStatus = task.status;
+
+      if (previousStatus !== 'done') {
+        task.set_status('done', ctx.user._id);
+        await task.save();
+
+        await AuditLog.log({
+          organization_id: ctx.organization._id,
+          user_id: ctx.user._id,
+          action: 'task:complete',
+          category: 'task',
+          resource_type: 'task',
+          resource_id: task._id,
+          description: `Completed task "${task.title.slice(0, 80)}"`,
+          changes: {
+            before: { status: previousStatus },
+            after: { status: 'done' }
+          }
+        });
+      }
+
+      return {
+        success: true,
+        task: task.get_task_data()
+      };
+    }),
+
+  /**
+   * Delete a task
+   * @permission org:tasks:delete
+   */
+  delete: withPermission('org:tasks:delete')
+    .input(z.object({
+      taskId: z.string()
+    }))
+    .mutation(async ({ ctx, input }) => {
+      console.log(`🗑️ Tasks.delete ${input.taskId} by ${ctx.user?.email}`);
+
+      const task = await find_org_task(ctx, input.taskId);
+      await task.deleteOne();
+
+      await AuditLog.log({
+        organization_id: ctx.organization._id,
+        user_id: ctx.user._id,
+        action: 'task:delete',
+        category: 'task',
+        resource_type: 'task',
+        resource_id: task._id,
+        description: `Deleted task "${task.title.slice(0, 80)}"`,
+        metadata: { summary_id: task.summary_id, status: task.status }
+      });
+
+      return {
+        success: true,
+        message: 'Task deleted'
+      };
+    })
+});
+
+module.exports = tasksRouter;
@@ -0,0 +1,45 @@
+/**
+ * Worker Entry Point
+ * Runs background job workers (summary generation) without the HTTP server.
+ * Use together with JOB_WORKER_ENABLED=false on the API process to scale
+ * workers independently.
+ */
+
+const config = require('./config');
+const dbConnection = require('./database/connection');
+const { register_job_handlers } = require('./jobs');
+
+/**
+ * Connect to MongoDB and start polling for jobs
+ */
+const startWorker = async () => {
+  console.log('👷 Starting LINE Chat Summarizer job worker');
+  console.log(`📋 Environment: ${config.app.nodeEnv}`);
+
+  const connected = await dbConnection.connect();
+  if (!connected) {
+    console.warn('⚠️ MongoDB not connected yet - worker will wait for the connection');
+  }
+
+  const jobQueue = register_job_handlers();
+  jobQueue.start();
+
+  const gracefulShutdown = async (signal) => {
+    console.log(`📴 ${signal} received. Stopping job worker...`);
+    await jobQueue.stop();
+    await dbConnection.disconnect();
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+  return jobQueue;
+};
+
+// Start worker if this file is run directly
+if (require.main === module) {
+  startWorker();
+}
+
+module.exports = { startWorker };
@@ -0,0 +1,780 @@
+'use client';
+
+import React, { Suspense, useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useSearchParams } from 'next/navigation';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useAuth } from '@/lib/auth';
+import { formatDate } from '@/lib/utils';
+import {
+  Bell,
+  RefreshCw,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  Plus,
+  Trash2,
+  Eye
+} from 'lucide-react';
+
+type ConditionType = 'summary_urgency' | 'summary_sentiment' | 'message_keyword' | 'no_staff_reply';
+type ActionType = 'in_app' | 'email' | 'line' | 'webhook';
+type AlertStatus = 'open' | 'acknowledged' | 'resolved';
+
+/**
+ * Alert rule (alerts.rules)
+ * @interface AlertRule
+ */
+interface AlertRule {
+  id: string;
+  name: string;
+  description: string;
+  is_active: boolean;
+  condition: {
+    type: ConditionType;
+    urgency: string[];
+    sentiment: string[];
+    keywords: string[];
+    pattern: string | null;
+    minutes: number;
+    staff_line_user_ids: string[];
+  };
+  scope: { room_ids: string[]; categories: string[] };
+  actions: Array<{
+    type: ActionType;
+    user_ids: string[];
+    line_user_id: string | null;
+    url: string | null;
+  }>;
+  cooldown_minutes: number;
+  statistics: { fire_count: number; last_fired_at: string | null };
+}
+
+/**
+ * Fired alert (alerts.list)
+ * @interface FiredAlert
+ */
+interface FiredAlert {
+  id: string;
+  rule_name: string;
+  condition_type: ConditionType;
+  room_name: string | null;
+  session_id: string | null;
+  title: string;
+  excerpt: string | null;
+  status: AlertStatus;
+  resolution_note: string | null;
+  notifications: Array<{ type: ActionType; target: string | null; status: string; error: string | null }>;
+  created_at: string;
+}
+
+/**
+ * Organization member (notification recipients)
+ * @interface Member
+ */
+interface Member {
+  id: string;
+  user: {
+    id: string;
+    name: string;
+    email: string;
+  };
+}
+
+/**
+ * New rule form
+ * @interface RuleForm
+ */
+interface RuleForm {
+  name: string;
+  type: ConditionType;
+  urgency: string[];
+  sentiment: string[];
+  keywords: string;
+  pattern: string;
+  minutes: number;
+  cooldown_minutes: number;
+  in_app: boolean;
+  email: boolean;
+  line: boolean;
+  user_ids: string[];
+  webhook_url: string;
+  webhook_secret: string;
+}
+
+const EMPTY_FORM: RuleForm = {
+  name: '',
+  type: 'summary_urgency',
+  urgency: ['high'],
+  sentiment: ['negative'],
+  keywords: '',
+  pattern: '',
+  minutes: 30,
+  cooldown_minutes: 60,
+  in_app: true,
+  email: false,
+  line: false,
+  user_ids: [],
+  webhook_url: '',
+  webhook_secret: ''
+};
+
+const CONDITION_LABELS: Record<ConditionType, string> = {
+  summary_urgency: 'Summary urgency',
+  summary_sentiment: 'Summary sentiment',
+  message_keyword: 'Message keyword',
+  no_staff_reply: 'No staff reply'
+};
+
+const STATUS_STYLES: Record<AlertStatus, string> = {
+  open: 'bg-red-100 text-red-800',
+  acknowledged: 'bg-yellow-100 text-yellow-800',
+  resolved: 'bg-green-100 text-green-800'
+};
+
+/**
+ * Alerts Content
+ * @description Alerts fired by the organization's rules, and the rules themselves
+ */
+function AlertsContent() {
+  const { organization, is_org_admin } = useAuth();
+  const search_params = useSearchParams();
+  const [alerts, set_alerts] = useState<FiredAlert[]>([]);
+  const [counts, set_counts] = useState<Record<AlertStatus, number>>({ open: 0, acknowledged: 0, resolved: 0 });
+  const [status_filter, set_status_filter] = useState<AlertStatus | ''>('open');
+  const [linked_alert, set_linked_alert] = useState<FiredAlert | null>(null);
+  const [rules, set_rules] = useState<AlertRule[]>([]);
+  const [members, set_members] = useState<Member[]>([]);
+  const [form, set_form] = useState<RuleForm>(EMPTY_FORM);
+  const [show_form, set_show_form] = useState(false);
+  const [notes, set_notes] = useState<Record<string, string>>({});
+  const [loading, set_loading] = useState(true);
+  const [processing, set_processing] = useState<string | null>(null);
+  const [error_message, set_error_message] = useState<string | null>(null);
+  const [success_message, set_success_message] = useState<string | null>(null);
+
+  const can_manage = is_org_admin();
+
+  useEffect(() => {
+    if (organization?.id) {
+      fetch_rules();
+      fetch_linked_alert();
+      if (can_manage) {
+        fetch_members();
+      }
+    }
+  }, [organization?.id]);
+
+  useEffect(() => {
+    if (organization?.id) {
+      fetch_alerts();
+    }
+  }, [organization?.id, status_filter]);
+
+  /**
+   * Call a tRPC query
+   * @param path - Procedure path (e.g. "alerts.list")
+   * @param input - Query input
+   */
+  const trpc_query = async (path: string, input?: Record<string, any>) => {
+    const query_params = input ? `?${new URLSearchParams({ input: JSON.stringify(input) }).toString()}` : '';
+    const response = await fetch(`/api/trpc/${path}${query_params}`, {
+      method: 'GET',
+      headers: {
+        'x-organization-id': organization?.id || ''
+      },
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error?.message || `Request failed: ${response.status}`);
+    }
+    return data.result?.data;
+  };
+
+  /**
+   * Call a tRPC mutation
+   * @param path - Procedure path (e.g. "alerts.acknowledge")
+   * @param body - Mutation input
+   */
+  const trpc_mutation = async (path: string, body: Record<string, any>) => {
+    const response = await fetch(`/api/trpc/${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-organization-id': organization?.id || ''
+      },
+      credentials: 'include',
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok || !data.result?.data?.success) {
+      throw new Error(data.error?.message || 'Request failed');
+    }
+    return data.result.data;
+  };
+
+  /**
+   * Show a success message for a few seconds
+   * @param message - Message
+   */
+  const show_success = (message: string) => {
+    set_success_message(message);
+    setTimeout(() => set_success_message(null), 3000);
+  };
+
+  /**
+   * Fetch alerts for the current status filter
+   */
+  const fetch_alerts = async () => {
+    try {
+      set_loading(true);
+      set_error_message(null);
+      const data = await trpc_query('alerts.list', { limit: 50, ...(status_filter && { status: status_filter }) });
+      set_alerts(data?.alerts || []);
+      if (data?.counts) {
+        set_counts(data.counts);
+      }
+    } catch (error) {
+      console.error('Fetch error:', error);
+      set_error_message('Failed to load alerts');
+    } finally {
+      set_loading(false);
+    }
+  };
+
+  /**
+   * Open the alert linked from an email or LINE notification
+   */
+  const fetch_linked_alert = async () => {
+    const linked_id = search_params.get('id');
+    if (!linked_id) return;
+    try {
+      set_linked_alert(await trpc_query('alerts.get', { alertId: linked_id }));
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to load alert');
+    }
+  };
+
+  /**
+   * Fetch alert rules
+   */
+  const fetch_rules = async () => {
+    try {
+      const data = await trpc_query('alerts.rules');
+      set_rules(data?.rules || []);
+    } catch (error) {
+      console.error('Fetch rules error:', error);
+    }
+  };
+
+  /**
+   * Fetch organization members for the recipient picker
+   */
+  const fetch_members = async () => {
+    try {
+      const response = await fetch(`/api/organizations/${organization?.id}/members`, {
+        credentials: 'include'
+      });
+      if (response.ok) {
+        const data = await response.json();
+        set_members(data.members || []);
+      }
+    } catch (error) {
+      console.error('Fetch members error:', error);
+    }
+  };
+
+  /**
+   * Acknowledge, resolve or reopen an alert
+   * @param alert - Alert
+   * @param action - acknowledge | resolve | reopen
+   */
+  const respond = async (alert: FiredAlert, action: 'acknowledge' | 'resolve' | 'reopen') => {
+    try {
+      set_processing(alert.id);
+      set_error_message(null);
+      const data = action === 'acknowledge'
+        ? await trpc_mutation('alerts.acknowledge', { alertId: alert.id })
+        : await trpc_mutation('alerts.resolve', {
+          alertId: alert.id,
+          reopen: action === 'reopen',
+          ...(notes[alert.id]?.trim() && { note: notes[alert.id].trim() })
+        });
+      if (linked_alert?.id === alert.id) {
+        set_linked_alert(data.alert);
+      }
+      show_success(action === 'acknowledge' ? 'Alert acknowledged' : action === 'resolve' ? 'Alert resolved' : 'Alert reopened');
+      await fetch_alerts();
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to update alert');
+    } finally {
+      set_processing(null);
+    }
+  };
+
+  /**
+   * Rule input from a stored rule (webhook secrets are kept by the server)
+   * @param rule - Rule
+   * @param changes - Fields to change
+   */
+  const to_rule_input = (rule: AlertRule, changes: Partial<AlertRule> = {}) => ({
+    ruleId: rule.id,
+    name: rule.name,
+    description: rule.description,
+    is_active: rule.is_active,
+    condition: rule.condition,
+    scope: rule.scope,
+    actions: rule.actions,
+    cooldown_minutes: rule.cooldown_minutes,
+    ...changes
+  });
+
+  /**
+   * Turn a rule on or off
+   * @param rule - Rule
+   */
+  const toggle_rule = async (rule: AlertRule) => {
+    try {
+      set_processing(rule.id);
+      set_error_message(null);
+      await trpc_mutation('alerts.updateRule', to_rule_input(rule, { is_active: !rule.is_active }));
+      await fetch_rules();
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to update rule');
+    } finally {
+      set_processing(null);
+    }
+  };
+
+  /**
+   * Delete a rule
+   * @param rule - Rule
+   */
+  const delete_rule = async (rule: AlertRule) => {
+    if (!confirm(`Delete the alert rule "${rule.name}"? Alerts it already fired are kept.`)) return;
+    try {
+      set_processing(rule.id);
+      set_error_message(null);
+      await trpc_mutation('alerts.deleteRule', { ruleId: rule.id });
+      show_success('Alert rule deleted');
+      await fetch_rules();
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to delete rule');
+    } finally {
+      set_processing(null);
+    }
+  };
+
+  /**
+   * Create a rule from the form
+   */
+  const create_rule = async () => {
+    const actions = [
+      form.in_app && { type: 'in_app' },
+      form.email && { type: 'email', user_ids: form.user_ids },
+      form.line && { type: 'line', user_ids: form.user_ids },
+      form.webhook_url.trim() && {
+        type: 'webhook',
+        url: form.webhook_url.trim(),
+        ...(form.webhook_secret && { secret: form.webhook_secret })
+      }
+    ].filter(Boolean);
+
+    try {
+      set_processing('create');
+      set_error_message(null);
+      await trpc_mutation('alerts.createRule', {
+        name: form.name.trim(),
+        condition: {
+          type: form.type,
+          urgency: form.urgency,
+          sentiment: form.sentiment,
+          keywords: form.keywords.split(',').map(keyword => keyword.trim()).filter(Boolean),
+          pattern: form.pattern.trim() || null,
+          minutes: form.minutes
+        },
+        actions,
+        cooldown_minutes: form.cooldown_minutes
+      });
+      show_success('Alert rule created');
+      set_form(EMPTY_FORM);
+      set_show_form(false);
+      await fetch_rules();
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to create rule');
+    } finally {
+      set_processing(null);
+    }
+  };
+
+  /**
+   * Toggle a value in a list field of the form
+   * @param field - List field
+   * @param value - Value
+   */
+  const toggle_form_value = (field: 'urgency' | 'sentiment' | 'user_ids', value: string) => {
+    const values = form[field];
+    set_form({ ...form, [field]: values.includes(value) ? values.filter(v => v !== value) : [...values, value] });
+  };
+
+  /**
+   * One-line description of a rule's condition
+   * @param rule - Rule
+   */
+  const describe_condition = (rule: AlertRule) => {
+    const { condition } = rule;
+    switch (condition.type) {
+      case 'summary_urgency':
+        return `Summary urgency is ${condition.urgency.join(' or ')}`;
+      case 'summary_sentiment':
+        return `Summary sentiment is ${condition.sentiment.join(' or ')}`;
+      case 'message_keyword':
+        return [
+          condition.keywords.length > 0 && `Message mentions ${condition.keywords.join(', ')}`,
+          condition.pattern && `matches /${condition.pattern}/`
+        ].filter(Boolean).join(' or ');
+      case 'no_staff_reply':
+        return `No staff reply within ${condition.minutes} minutes`;
+    }
+  };
+
+  /**
+   * Alert row
+   * @param alert - Alert
+   */
+  const render_alert = (alert: FiredAlert) => (
+    <div key={alert.id} className="py-3 space-y-2">
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2 flex-wrap">
+            <Badge className={STATUS_STYLES[alert.status]}>{alert.status}</Badge>
+            <span className="font-medium text-sm">{alert.title}</span>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            {alert.rule_name} · {CONDITION_LABELS[alert.condition_type]}
+            {alert.room_name && ` · ${alert.room_name}`} · {formatDate(alert.created_at)}
+          </p>
+          {alert.excerpt && <p className="text-sm text-gray-700 mt-1">{alert.excerpt}</p>}
+          {alert.resolution_note && <p className="text-xs text-gray-500 mt-1">Note: {alert.resolution_note}</p>}
+          {alert.notifications.some(notification => notification.status === 'failed') && (
+            <p className="text-xs text-red-600 mt-1">Some notifications failed to send</p>
+          )}
+        </div>
+        {alert.session_id && (
+          <Link href={`/dashboard/sessions/${alert.session_id}`} className="text-xs text-blue-600 flex-shrink-0">
+            Open session
+          </Link>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        {alert.status === 'open' && (
+          <Button size="sm" variant="outline" onClick={() => respond(alert, 'acknowledge')} disabled={processing === alert.id}>
+            <Eye className="w-4 h-4 mr-1" />
+            Acknowledge
+          </Button>
+        )}
+        {alert.status !== 'resolved' ? (
+          <>
+            <Input
+              className="h-9 max-w-xs"
+              placeholder="Resolution note (optional)"
+              value={notes[alert.id] || ''}
+              onChange={(e) => set_notes({ ...notes, [alert.id]: e.target.value })}
+            />
+            <Button size="sm" onClick={() => respond(alert, 'resolve')} disabled={processing === alert.id}>
+              <CheckCircle className="w-4 h-4 mr-1" />
+              Resolve
+            </Button>
+          </>
+        ) : (
+          <Button size="sm" variant="outline" onClick={() => respond(alert, 'reopen')} disabled={processing === alert.id}>
+            Reopen
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+
+  if (!organization) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">Alerts</h1>
+          <p className="text-gray-500 mt-1">Urgent summaries, keyword mentions and unanswered customers</p>
+        </div>
+        <Button variant="outline" size="sm" onClick={() => { fetch_alerts(); fetch_rules(); }}>
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      {/* Messages */}
+      {success_message && (
+        <Alert className="bg-green-50 border-green-200">
+          <CheckCircle className="h-4 w-4 text-green-600" />
+          <AlertDescription className="text-green-700">{success_message}</AlertDescription>
+        </Alert>
+      )}
+
+      {error_message && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error_message}</AlertDescription>
+        </Alert>
+      )}
+
+      {/* Alert linked from a notification */}
+      {linked_alert && (
+        <Card className="border-blue-200">
+          <CardHeader>
+            <CardTitle className="text-base">Linked alert</CardTitle>
+          </CardHeader>
+          <CardContent>{render_alert(linked_alert)}</CardContent>
+        </Card>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        {/* Alert feed */}
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <div className="flex flex-wrap gap-2">
+              {(['open', 'acknowledged', 'resolved'] as AlertStatus[]).map(status => (
+                <Button
+                  key={status}
+                  size="sm"
+                  variant={status_filter === status ? 'default' : 'outline'}
+                  onClick={() => set_status_filter(status)}
+                >
+                  {status.charAt(0).toUpperCase() + status.slice(1)} ({counts[status]})
+                </Button>
+              ))}
+              <Button size="sm" variant={status_filter === '' ? 'default' : 'outline'} onClick={() => set_status_filter('')}>
+                All
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent className="divide-y">
+            {loading ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+              </div>
+            ) : alerts.length === 0 ? (
+              <p className="text-sm text-gray-500 py-4">No alerts here.</p>
+            ) : alerts.map(render_alert)}
+          </CardContent>
+        </Card>
+
+        {/* Rules */}
+        <Card>
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <CardTitle className="text-base flex items-center gap-2">
+                <Bell className="w-4 h-4" />
+                Rules
+              </CardTitle>
+              {can_manage && !show_form && (
+                <Button size="sm" variant="outline" onClick={() => set_show_form(true)}>
+                  <Plus className="w-4 h-4 mr-1" />
+                  New rule
+                </Button>
+              )}
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-4 text-sm">
+            {show_form && (
+              <div className="space-y-3 border rounded-md p-3">
+                <div>
+                  <Label htmlFor="rule-name" className="text-xs text-gray-500">Name</Label>
+                  <Input
+                    id="rule-name"
+                    value={form.name}
+                    placeholder="Angry customers"
+                    onChange={(e) => set_form({ ...form, name: e.target.value })}
+                  />
+                </div>
+                <select
+                  className="h-10 px-3 border rounded-md text-sm w-full"
+                  value={form.type}
+                  onChange={(e) => set_form({ ...form, type: e.target.value as ConditionType })}
+                >
+                  {(Object.keys(CONDITION_LABELS) as ConditionType[]).map(type => (
+                    <option key={type} value={type}>{CONDITION_LABELS[type]}</option>
+                  ))}
+                </select>
+
+                {form.type === 'summary_urgency' && (
+                  <div className="flex gap-3">
+                    {['high', 'medium', 'low'].map(level => (
+                      <label key={level} className="flex items-center gap-1">
+                        <input type="checkbox" checked={form.urgency.includes(level)} onChange={() => toggle_form_value('urgency', level)} />
+                        {level}
+                      </label>
+                    ))}
+                  </div>
+                )}
+                {form.type === 'summary_sentiment' && (
+                  <div className="flex gap-3">
+                    {['negative', 'neutral', 'positive'].map(sentiment => (
+                      <label key={sentiment} className="flex items-center gap-1">
+                        <input type="checkbox" checked={form.sentiment.includes(sentiment)} onChange={() => toggle_form_value('sentiment', sentiment)} />
+                        {sentiment}
+                      </label>
+                    ))}
+                  </div>
+                )}
+                {form.type === 'message_keyword' && (
+                  <>
+                    <Input
+                      value={form.keywords}
+                      placeholder="refund, cancel, complaint"
+                      onChange={(e) => set_form({ ...form, keywords: e.target.value })}
+                    />
+                    <Input
+                      value={form.pattern}
+                      placeholder="Regular expression (optional)"
+                      onChange={(e) => set_form({ ...form, pattern: e.target.value })}
+                    />
+                  </>
+                )}
+                {form.type === 'no_staff_reply' && (
+                  <div>
+                    <Label htmlFor="rule-minutes" className="text-xs text-gray-500">Minutes without a staff reply</Label>
+                    <Input
+                      id="rule-minutes"
+                      type="number"
+                      min={1}
+                      value={form.minutes}
+                      onChange={(e) => set_form({ ...form, minutes: Number(e.target.value) })}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Staff are members who linked their LINE user ID on the Digests page.</p>
+                  </div>
+                )}
+
+                <div>
+                  <Label htmlFor="rule-cooldown" className="text-xs text-gray-500">Cooldown per group (minutes)</Label>
+                  <Input
+                    id="rule-cooldown"
+                    type="number"
+                    min={0}
+                    value={form.cooldown_minutes}
+                    onChange={(e) => set_form({ ...form, cooldown_minutes: Number(e.target.value) })}
+                  />
+                </div>
+
+                <div className="space-y-1">
+                  <p className="text-xs text-gray-500">Notify</p>
+                  {(['in_app', 'email', 'line'] as const).map(action => (
+                    <label key={action} className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={form[action]}
+                        onChange={(e) => set_form({ ...form, [action]: e.target.checked })}
+                      />
+                      {action === 'in_app' ? 'Dashboard' : action === 'email' ? 'Email' : 'LINE message'}
+                    </label>
+                  ))}
+                  {(form.email || form.line) && (
+                    <div className="pl-5 space-y-1 max-h-32 overflow-y-auto">
+                      {members.map(member => (
+                        <label key={member.user.id} className="flex items-center gap-2 text-xs">
+                          <input
+                            type="checkbox"
+                            checked={form.user_ids.includes(member.user.id)}
+                            onChange={() => toggle_form_value('user_ids', member.user.id)}
+                          />
+                          {member.user.name || member.user.email}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                  <Input
+                    value={form.webhook_url}
+                    placeholder="Webhook URL, https:// (optional)"
+                    onChange={(e) => set_form({ ...form, webhook_url: e.target.value })}
+                  />
+                  {form.webhook_url && (
+                    <Input
+                      type="password"
+                      value={form.webhook_secret}
+                      placeholder="Signing secret (optional)"
+                      onChange={(e) => set_form({ ...form, webhook_secret: e.target.value })}
+                    />
+                  )}
+                </div>
+
+                <div className="flex gap-2">
+                  <Button size="sm" onClick={create_rule} disabled={!form.name.trim() || processing === 'create'}>
+                    {processing === 'create' ? 'Creating...' : 'Create rule'}
+                  </Button>
+                  <Button size="sm" variant="outline" onClick={() => { set_show_form(false); set_form(EMPTY_FORM); }}>
+                    Cancel
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {rules.length === 0 && !show_form && <p className="text-gray-500">No alert rules yet.</p>}
+            {rules.map(rule => (
+              <div key={rule.id} className="border-b pb-3 last:border-0">
+                <div className="flex items-center justify-between gap-2">
+                  <span className={`font-medium ${rule.is_active ? '' : 'text-gray-400'}`}>{rule.name}</span>
+                  {can_manage && (
+                    <div className="flex items-center gap-1">
+                      <Button size="sm" variant="outline" onClick={() => toggle_rule(rule)} disabled={processing === rule.id}>
+                        {rule.is_active ? 'Pause' : 'Enable'}
+                      </Button>
+                      <Button size="sm" variant="ghost" onClick={() => delete_rule(rule)} disabled={processing === rule.id}>
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">{describe_condition(rule)}</p>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {rule.actions.map(action => (
+                    <Badge key={`${action.type}-${action.url || ''}`} variant="outline" className="text-xs">{action.type}</Badge>
+                  ))}
+                  <span className="text-xs text-gray-400">
+                    Fired {rule.statistics.fire_count} times
+                    {rule.statistics.last_fired_at && `, last ${formatDate(rule.statistics.last_fired_at)}`}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Alerts Page
+ * @description Wrapped with Suspense for useSearchParams
+ */
+export default function AlertsPage() {
+  return (
+    <Suspense fallback={
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+      </div>
+    }>
+      <AlertsContent />
+    </Suspense>
+  );
+}
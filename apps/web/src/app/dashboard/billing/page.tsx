@@ -5,6 +5,7 @@ import { Card, CardHeader, CardTitle, CardContent, CardDescription } from '@/com
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Input } from '@/components/ui/input';
 import {
   CreditCard,
   Loader2,
@@ -19,7 +20,8 @@ import {
   ArrowUpRight,
   Zap,
   BarChart3,
-  RefreshCw
+  RefreshCw,
+  Sparkles
 } from 'lucide-react';
 import { useAuth } from '@/lib/auth';
 
@@ -95,6 +97,50 @@ interface BillingInfo {
   };
 }
 
+/**
+ * AI usage counters of one breakdown row
+ * @interface AiUsageCounters
+ */
+interface AiUsageCounters {
+  requests: number;
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens: number;
+  cost: number;
+}
+
+/**
+ * AI budget and usage report (organization.aiUsage)
+ * @interface AiUsageReport
+ */
+interface AiUsageReport {
+  budget: {
+    budget_usd: number | null;
+    spent_usd: number;
+    percent: number | null;
+    soft_limit_percent: number;
+    state: 'unlimited' | 'ok' | 'warning' | 'exceeded';
+  };
+  usage: {
+    month: string;
+    totals: AiUsageCounters;
+    by_day: Array<AiUsageCounters & { date: string }>;
+    by_feature: Array<AiUsageCounters & { feature: string }>;
+    by_model: Array<AiUsageCounters & { provider: string; model: string }>;
+  };
+}
+
+/**
+ * Display names of metered AI features
+ */
+const AI_FEATURE_LABELS: Record<string, string> = {
+  summary: 'Chat summaries',
+  template_preview: 'Template previews',
+  image: 'Image captions',
+  translation: 'Translations',
+  question: 'Chat Q&A'
+};
+
 /**
  * Available plans for upgrade
  */
@@ -134,8 +180,11 @@ const AVAILABLE_PLANS: PlanDetails[] = [
  * @description Standalone page for viewing billing information and usage statistics
  */
 export default function BillingPage() {
-  const { user, is_org_admin, is_org_owner } = useAuth();
+  const { user, organization, is_org_admin, is_org_owner } = useAuth();
   const [billing_info, set_billing_info] = useState<BillingInfo | null>(null);
+  const [ai_usage, set_ai_usage] = useState<AiUsageReport | null>(null);
+  const [budget_input, set_budget_input] = useState('');
+  const [saving_budget, set_saving_budget] = useState(false);
   const [loading, set_loading] = useState(true);
   const [error_message, set_error_message] = useState<string | null>(null);
 
@@ -145,6 +194,70 @@ export default function BillingPage() {
     fetch_billing_info();
   }, []);
 
+  useEffect(() => {
+    if (organization?.id) {
+      fetch_ai_usage();
+    }
+  }, [organization?.id]);
+
+  /**
+   * Fetch AI budget status and usage breakdown for the current month
+   * @description Calls organization.aiUsage tRPC endpoint
+   */
+  const fetch_ai_usage = async () => {
+    try {
+      const response = await fetch('/api/trpc/organization.aiUsage', {
+        method: 'GET',
+        headers: { 'x-organization-id': organization?.id || '' },
+        credentials: 'include'
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error?.message || `Request failed: ${response.status}`);
+      }
+      const report: AiUsageReport = data.result?.data;
+      set_ai_usage(report);
+      set_budget_input(report.budget.budget_usd === null ? '' : String(report.budget.budget_usd));
+    } catch (error) {
+      console.error('[BillingPage] AI usage fetch error:', error);
+    }
+  };
+
+  /**
+   * Save the monthly AI budget (empty = unlimited)
+   * @description Calls organization.updateAiBudget tRPC endpoint
+   */
+  const save_ai_budget = async () => {
+    const budget_usd = budget_input.trim() === '' ? null : Number(budget_input);
+    if (budget_usd !== null && (!Number.isFinite(budget_usd) || budget_usd < 0)) {
+      set_error_message('AI budget must be a positive amount in USD');
+      return;
+    }
+
+    try {
+      set_saving_budget(true);
+      set_error_message(null);
+      const response = await fetch('/api/trpc/organization.updateAiBudget', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-organization-id': organization?.id || ''
+        },
+        credentials: 'include',
+        body: JSON.stringify({ budgetUsd: budget_usd })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to update AI budget');
+      }
+      await fetch_ai_usage();
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to update AI budget');
+    } finally {
+      set_saving_budget(false);
+    }
+  };
+
   /**
    * Fetch billing information
    * @description Calls organization.getBilling tRPC endpoint
@@ -212,6 +325,20 @@ export default function BillingPage() {
     }).format(amount);
   };
 
+  /**
+   * Format an AI cost (LLM providers bill in USD)
+   * @param amount - Amount in USD
+   * @returns Formatted currency string
+   */
+  const format_usd = (amount: number) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 2,
+      maximumFractionDigits: amount > 0 && amount < 1 ? 4 : 2
+    }).format(amount);
+  };
+
   /**
    * Format date
    * @param date_string - ISO date string
@@ -269,7 +396,7 @@ export default function BillingPage() {
           <h1 className="text-2xl font-semibold text-gray-900">Billing & Usage</h1>
           <p className="text-gray-500 mt-1">Manage your subscription and monitor usage</p>
         </div>
-        <Button variant="outline" size="sm" onClick={fetch_billing_info}>
+        <Button variant="outline" size="sm" onClick={() => { fetch_billing_info(); fetch_ai_usage(); }}>
           <RefreshCw className="w-4 h-4 mr-2" />
           Refresh
         </Button>
@@ -424,6 +551,124 @@ export default function BillingPage() {
         </Card>
       )}
 
+      {/* AI Usage */}
+      {ai_usage && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Sparkles className="w-5 h-5" />
+              AI Usage
+            </CardTitle>
+            <CardDescription>
+              LLM cost for {ai_usage.usage.month} ({ai_usage.usage.totals.requests.toLocaleString()} model calls,{' '}
+              {ai_usage.usage.totals.total_tokens.toLocaleString()} tokens)
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {/* Budget */}
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <span className="font-medium">Monthly AI budget</span>
+                <span className="text-sm text-gray-500">
+                  {format_usd(ai_usage.budget.spent_usd)} /{' '}
+                  {ai_usage.budget.budget_usd === null ? 'Unlimited' : format_usd(ai_usage.budget.budget_usd)}
+                </span>
+              </div>
+              {ai_usage.budget.percent !== null && (
+                <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full ${get_usage_color(ai_usage.budget.percent)} transition-all`}
+                    style={{ width: `${Math.min(ai_usage.budget.percent, 100)}%` }}
+                  />
+                </div>
+              )}
+              {ai_usage.budget.state === 'warning' && (
+                <p className="text-sm text-yellow-700 mt-2">
+                  AI spending passed {ai_usage.budget.soft_limit_percent}% of the monthly budget.
+                </p>
+              )}
+              {ai_usage.budget.state === 'exceeded' && (
+                <p className="text-sm text-red-600 mt-2">
+                  Monthly AI budget reached. New summaries are paused until next month.
+                </p>
+              )}
+              {can_manage_billing() && (
+                <div className="flex items-center gap-2 mt-3">
+                  <Input
+                    type="number"
+                    min="0"
+                    step="1"
+                    placeholder="Unlimited"
+                    value={budget_input}
+                    onChange={(e) => set_budget_input(e.target.value)}
+                    className="w-40"
+                  />
+                  <span className="text-sm text-gray-500">USD / month</span>
+                  <Button size="sm" variant="outline" onClick={save_ai_budget} disabled={saving_budget}>
+                    {saving_budget && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                    Save
+                  </Button>
+                </div>
+              )}
+            </div>
+
+            {/* Breakdown */}
+            {ai_usage.usage.totals.requests > 0 && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <h3 className="text-sm font-medium text-gray-700 mb-2">By feature</h3>
+                  <table className="w-full text-sm">
+                    <tbody>
+                      {ai_usage.usage.by_feature.map((row) => (
+                        <tr key={row.feature} className="border-b last:border-0">
+                          <td className="py-1">{AI_FEATURE_LABELS[row.feature] || row.feature}</td>
+                          <td className="py-1 text-right text-gray-500">{row.requests.toLocaleString()} calls</td>
+                          <td className="py-1 text-right">{format_usd(row.cost)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div>
+                  <h3 className="text-sm font-medium text-gray-700 mb-2">By model</h3>
+                  <table className="w-full text-sm">
+                    <tbody>
+                      {ai_usage.usage.by_model.map((row) => (
+                        <tr key={`${row.provider}/${row.model}`} className="border-b last:border-0">
+                          <td className="py-1">
+                            {row.model} <span className="text-gray-400">({row.provider})</span>
+                          </td>
+                          <td className="py-1 text-right text-gray-500">
+                            {row.prompt_tokens.toLocaleString()} in / {row.completion_tokens.toLocaleString()} out
+                          </td>
+                          <td className="py-1 text-right">{format_usd(row.cost)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="md:col-span-2">
+                  <h3 className="text-sm font-medium text-gray-700 mb-2">By day</h3>
+                  <div className="flex items-end gap-1 h-24">
+                    {ai_usage.usage.by_day.map((row) => {
+                      const max_cost = Math.max(...ai_usage.usage.by_day.map((day) => day.cost), 0.000001);
+                      return (
+                        <div
+                          key={row.date}
+                          className="flex-1 bg-purple-400 rounded-t"
+                          style={{ height: `${Math.max((row.cost / max_cost) * 100, 2)}%` }}
+                          title={`${row.date}: ${format_usd(row.cost)} (${row.requests} calls)`}
+                        />
+                      );
+                    })}
+                  </div>
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Payment Method */}
       {billing_info?.payment_method && (
         <Card>
@@ -0,0 +1,591 @@
+'use client';
+
+import React, { Suspense, useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useSearchParams } from 'next/navigation';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useAuth } from '@/lib/auth';
+import { formatDate } from '@/lib/utils';
+import {
+  Newspaper,
+  RefreshCw,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  AlertTriangle,
+  ListChecks,
+  Mail,
+  MessageSquare
+} from 'lucide-react';
+
+/**
+ * Digest list item (digests.list)
+ * @interface DigestSummary
+ */
+interface DigestSummary {
+  id: string;
+  frequency: 'daily' | 'weekly';
+  period: { key: string; start: string; end: string; timezone: string };
+  status: 'building' | 'completed' | 'failed';
+  error: string | null;
+  totals: {
+    groups: number;
+    summaries: number;
+    messages: number;
+    attention_groups: number;
+    open_action_items: number;
+  };
+  sentiment: { positive: number; neutral: number; negative: number };
+  delivered: number;
+  created_at: string;
+}
+
+/**
+ * Full digest (digests.get)
+ * @interface Digest
+ */
+interface Digest extends DigestSummary {
+  groups: Array<{
+    room_id: string | null;
+    name: string;
+    summaries: number;
+    messages: number;
+    sentiment: { positive: number; neutral: number; negative: number };
+    high_urgency: number;
+    attention: Array<'high_urgency' | 'negative_sentiment'>;
+    key_topics: string[];
+    latest_summary: { session_id: string; content: string };
+  }>;
+  action_items: Array<{
+    task_id: string;
+    room_name: string | null;
+    title: string;
+    priority: 'low' | 'medium' | 'high';
+    assignee: string | null;
+    due_date: string | null;
+    overdue: boolean;
+  }>;
+  deliveries: Array<{
+    user_id: string;
+    channel: 'email' | 'line';
+    status: 'sent' | 'failed' | 'skipped';
+    error: string | null;
+  }>;
+}
+
+/**
+ * Organization digest schedule (settings.digest)
+ * @interface DigestSchedule
+ */
+interface DigestSchedule {
+  enabled: boolean;
+  frequency: 'daily' | 'weekly';
+  hour: number;
+  weekday: number;
+}
+
+/**
+ * The member's own digest subscription (digests.subscription)
+ * @interface DigestSubscription
+ */
+interface DigestSubscription {
+  email: boolean;
+  line: boolean;
+  line_user_id: string | null;
+  email_available: boolean;
+}
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Digests Content
+ * @description Daily/weekly roll-ups of all group summaries
+ */
+function DigestsContent() {
+  const { organization } = useAuth();
+  const search_params = useSearchParams();
+  const [digests, set_digests] = useState<DigestSummary[]>([]);
+  const [selected, set_selected] = useState<Digest | null>(null);
+  const [schedule, set_schedule] = useState<DigestSchedule>({ enabled: false, frequency: 'daily', hour: 8, weekday: 1 });
+  const [subscription, set_subscription] = useState<DigestSubscription | null>(null);
+  const [line_user_id, set_line_user_id] = useState('');
+  const [loading, set_loading] = useState(true);
+  const [processing, set_processing] = useState<string | null>(null);
+  const [error_message, set_error_message] = useState<string | null>(null);
+  const [success_message, set_success_message] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (organization?.id) {
+      fetch_digests();
+      fetch_subscription();
+    }
+  }, [organization?.id]);
+
+  /**
+   * Call a tRPC query
+   * @param path - Procedure path (e.g. "digests.list")
+   * @param input - Query input
+   */
+  const trpc_query = async (path: string, input?: Record<string, any>) => {
+    const query_params = input ? `?${new URLSearchParams({ input: JSON.stringify(input) }).toString()}` : '';
+    const response = await fetch(`/api/trpc/${path}${query_params}`, {
+      method: 'GET',
+      headers: {
+        'x-organization-id': organization?.id || ''
+      },
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error?.message || `Request failed: ${response.status}`);
+    }
+    return data.result?.data;
+  };
+
+  /**
+   * Call a tRPC mutation
+   * @param path - Procedure path (e.g. "digests.generate")
+   * @param body - Mutation input
+   */
+  const trpc_mutation = async (path: string, body: Record<string, any>) => {
+    const response = await fetch(`/api/trpc/${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-organization-id': organization?.id || ''
+      },
+      credentials: 'include',
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok || !data.result?.data?.success) {
+      throw new Error(data.error?.message || 'Request failed');
+    }
+    return data.result.data;
+  };
+
+  /**
+   * Show a success message for a few seconds
+   * @param message - Message
+   */
+  const show_success = (message: string) => {
+    set_success_message(message);
+    setTimeout(() => set_success_message(null), 3000);
+  };
+
+  /**
+   * Fetch digests and the schedule; opens the digest linked from an email or LINE message
+   */
+  const fetch_digests = async () => {
+    try {
+      set_loading(true);
+      set_error_message(null);
+      const data = await trpc_query('digests.list', { limit: 50 });
+      const list: DigestSummary[] = data?.digests || [];
+      set_digests(list);
+      if (data?.schedule) {
+        set_schedule(data.schedule);
+      }
+
+      const linked_id = search_params.get('id');
+      const first_completed = list.find(digest => digest.status === 'completed');
+      if (linked_id || first_completed) {
+        await open_digest(linked_id || first_completed!.id);
+      }
+    } catch (error) {
+      console.error('Fetch error:', error);
+      set_error_message('Failed to load digests');
+    } finally {
+      set_loading(false);
+    }
+  };
+
+  /**
+   * Fetch the member's own subscription
+   */
+  const fetch_subscription = async () => {
+    try {
+      const data: DigestSubscription = await trpc_query('digests.subscription');
+      set_subscription(data);
+      set_line_user_id(data?.line_user_id || '');
+    } catch (error) {
+      console.error('Fetch subscription error:', error);
+    }
+  };
+
+  /**
+   * Load a digest's groups and action items
+   * @param digest_id - Digest ID
+   */
+  const open_digest = async (digest_id: string) => {
+    try {
+      set_selected(await trpc_query('digests.get', { digestId: digest_id }));
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to load digest');
+    }
+  };
+
+  /**
+   * Save the organization schedule
+   */
+  const save_schedule = async () => {
+    try {
+      set_processing('schedule');
+      set_error_message(null);
+      await trpc_mutation('organization.updateSettings', { digest: schedule });
+      show_success('Digest schedule saved');
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to save schedule');
+    } finally {
+      set_processing(null);
+    }
+  };
+
+  /**
+   * Save the member's subscription
+   * @param changes - Channels to change
+   */
+  const save_subscription = async (changes: Partial<DigestSubscription>) => {
+    if (!subscription) return;
+    try {
+      set_processing('subscription');
+      set_error_message(null);
+      const data = await trpc_mutation('digests.updateSubscription', {
+        email: changes.email ?? subscription.email,
+        line: changes.line ?? subscription.line,
+        lineUserId: line_user_id.trim() || null
+      });
+      set_subscription(data.subscription);
+      show_success('Subscription saved');
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to save subscription');
+    } finally {
+      set_processing(null);
+    }
+  };
+
+  /**
+   * Build the digest of the last finished period now
+   */
+  const generate_digest = async () => {
+    try {
+      set_processing('generate');
+      set_error_message(null);
+      const data = await trpc_mutation('digests.generate', { frequency: schedule.frequency });
+      show_success(`Building the ${data.frequency} digest for ${data.period_key}; refresh in a moment`);
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to generate digest');
+    } finally {
+      set_processing(null);
+    }
+  };
+
+  /**
+   * Period label (weekly digests show the whole week)
+   * @param digest - Digest
+   */
+  const get_period_label = (digest: DigestSummary) => {
+    if (digest.frequency === 'daily') return digest.period.key;
+    const end = new Date(`${digest.period.key}T00:00:00Z`);
+    end.setUTCDate(end.getUTCDate() + 6);
+    return `${digest.period.key} – ${end.toISOString().slice(0, 10)}`;
+  };
+
+  if (!organization) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">Digests</h1>
+          <p className="text-gray-500 mt-1">Daily or weekly roll-up of every group&apos;s summaries</p>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" onClick={generate_digest} disabled={processing === 'generate'}>
+            <Newspaper className="w-4 h-4 mr-2" />
+            Build now
+          </Button>
+          <Button variant="outline" size="sm" onClick={fetch_digests}>
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {/* Messages */}
+      {success_message && (
+        <Alert className="bg-green-50 border-green-200">
+          <CheckCircle className="h-4 w-4 text-green-600" />
+          <AlertDescription className="text-green-700">{success_message}</AlertDescription>
+        </Alert>
+      )}
+
+      {error_message && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error_message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {/* Schedule */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Schedule</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3 text-sm">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={schedule.enabled}
+                onChange={(e) => set_schedule({ ...schedule, enabled: e.target.checked })}
+              />
+              Build digests automatically
+            </label>
+            <div className="flex flex-wrap gap-2">
+              <select
+                className="h-10 px-3 border rounded-md text-sm"
+                value={schedule.frequency}
+                onChange={(e) => set_schedule({ ...schedule, frequency: e.target.value as DigestSchedule['frequency'] })}
+              >
+                <option value="daily">Daily</option>
+                <option value="weekly">Weekly</option>
+              </select>
+              {schedule.frequency === 'weekly' && (
+                <select
+                  className="h-10 px-3 border rounded-md text-sm"
+                  value={schedule.weekday}
+                  onChange={(e) => set_schedule({ ...schedule, weekday: Number(e.target.value) })}
+                >
+                  {WEEKDAYS.map((day, index) => (
+                    <option key={day} value={index}>{day}</option>
+                  ))}
+                </select>
+              )}
+              <select
+                className="h-10 px-3 border rounded-md text-sm"
+                value={schedule.hour}
+                onChange={(e) => set_schedule({ ...schedule, hour: Number(e.target.value) })}
+              >
+                {Array.from({ length: 24 }, (_, hour) => (
+                  <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+                ))}
+              </select>
+            </div>
+            <p className="text-xs text-gray-500">
+              Times are in the organization timezone. Daily digests cover the previous day, weekly digests the previous 7 days.
+            </p>
+            <Button size="sm" onClick={save_schedule} disabled={processing === 'schedule'}>
+              {processing === 'schedule' ? 'Saving...' : 'Save schedule'}
+            </Button>
+          </CardContent>
+        </Card>
+
+        {/* Subscription */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">My subscription</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3 text-sm">
+            {subscription ? (
+              <>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={subscription.email}
+                    disabled={!subscription.email_available || processing === 'subscription'}
+                    onChange={(e) => save_subscription({ email: e.target.checked })}
+                  />
+                  <Mail className="w-4 h-4 text-gray-500" />
+                  Email
+                  {!subscription.email_available && <span className="text-xs text-gray-400">(not configured on this server)</span>}
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={subscription.line}
+                    disabled={processing === 'subscription'}
+                    onChange={(e) => save_subscription({ line: e.target.checked })}
+                  />
+                  <MessageSquare className="w-4 h-4 text-gray-500" />
+                  LINE message
+                </label>
+                <div>
+                  <Label htmlFor="line-user-id" className="text-xs text-gray-500">LINE user ID (add the organization&apos;s LINE account as a friend)</Label>
+                  <div className="flex gap-2 mt-1">
+                    <Input
+                      id="line-user-id"
+                      value={line_user_id}
+                      placeholder="U1234..."
+                      onChange={(e) => set_line_user_id(e.target.value)}
+                    />
+                    <Button size="sm" variant="outline" onClick={() => save_subscription({})} disabled={processing === 'subscription'}>
+                      Save
+                    </Button>
+                  </div>
+                </div>
+              </>
+            ) : (
+              <p className="text-gray-500">Subscriptions are available to organization members.</p>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        {/* Digest list */}
+        <Card className="lg:col-span-1">
+          <CardContent className="pt-4 divide-y">
+            {loading ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+              </div>
+            ) : digests.length === 0 ? (
+              <p className="text-sm text-gray-500 py-4">No digests yet. Turn on the schedule or build one now.</p>
+            ) : digests.map(digest => (
+              <button
+                key={digest.id}
+                className={`w-full text-left py-3 px-2 rounded ${selected?.id === digest.id ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                onClick={() => open_digest(digest.id)}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-sm">{get_period_label(digest)}</span>
+                  <Badge variant="outline">{digest.frequency}</Badge>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {digest.status === 'completed'
+                    ? `${digest.totals.summaries} summaries · ${digest.totals.groups} groups · ${digest.totals.attention_groups} need attention`
+                    : digest.status === 'failed' ? `Failed: ${digest.error}` : 'Building...'}
+                </p>
+              </button>
+            ))}
+          </CardContent>
+        </Card>
+
+        {/* Digest detail */}
+        <div className="lg:col-span-2 space-y-4">
+          {selected && (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {[
+                  { label: 'Summaries', value: selected.totals.summaries },
+                  { label: 'Groups', value: selected.totals.groups },
+                  { label: 'Need attention', value: selected.totals.attention_groups },
+                  { label: 'Open items', value: selected.totals.open_action_items },
+                ].map(stat => (
+                  <Card key={stat.label} className="p-3">
+                    <p className="text-lg font-bold">{stat.value}</p>
+                    <p className="text-xs text-gray-500">{stat.label}</p>
+                  </Card>
+                ))}
+              </div>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle className="text-base">Groups</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  {selected.groups.length === 0 && <p className="text-sm text-gray-500">No summaries in this period.</p>}
+                  {selected.groups.map(group => (
+                    <div key={`${group.room_id}-${group.name}`} className="border-b pb-3 last:border-0">
+                      <div className="flex items-center gap-2 flex-wrap">
+                        <span className="font-medium">{group.name}</span>
+                        {group.attention.includes('high_urgency') && (
+                          <Badge className="bg-red-100 text-red-800">
+                            <AlertTriangle className="w-3 h-3 mr-1" />
+                            {group.high_urgency} high urgency
+                          </Badge>
+                        )}
+                        {group.attention.includes('negative_sentiment') && (
+                          <Badge className="bg-orange-100 text-orange-800">{group.sentiment.negative} negative</Badge>
+                        )}
+                        <span className="text-xs text-gray-500">{group.summaries} summaries · {group.messages} messages</span>
+                      </div>
+                      <p className="text-sm text-gray-700 mt-1">{group.latest_summary.content}</p>
+                      <div className="flex flex-wrap gap-1 mt-2">
+                        {group.key_topics.map(topic => (
+                          <Badge key={topic} variant="outline" className="text-xs">{topic}</Badge>
+                        ))}
+                        {group.latest_summary.session_id && (
+                          <Link href={`/dashboard/sessions/${group.latest_summary.session_id}`} className="text-xs text-blue-600 ml-2">
+                            Latest session
+                          </Link>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle className="text-base flex items-center gap-2">
+                    <ListChecks className="w-4 h-4" />
+                    Open action items
+                  </CardTitle>
+                </CardHeader>
+                <CardContent>
+                  {selected.action_items.length === 0 ? (
+                    <p className="text-sm text-gray-500">No open action items.</p>
+                  ) : (
+                    <ul className="space-y-2 text-sm">
+                      {selected.action_items.map(item => (
+                        <li key={item.task_id} className="flex items-center gap-2 flex-wrap">
+                          {item.overdue && <Badge className="bg-red-100 text-red-800">Overdue</Badge>}
+                          <span>{item.title}</span>
+                          {item.room_name && <span className="text-xs text-gray-500">{item.room_name}</span>}
+                          {item.assignee && <span className="text-xs text-gray-500">· {item.assignee}</span>}
+                          {item.due_date && <span className="text-xs text-gray-500">· due {formatDate(item.due_date)}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {selected.totals.open_action_items > selected.action_items.length && (
+                    <Link href="/dashboard/tasks" className="text-xs text-blue-600 mt-3 inline-block">
+                      All {selected.totals.open_action_items} open tasks
+                    </Link>
+                  )}
+                </CardContent>
+              </Card>
+
+              {selected.deliveries.length > 0 && (
+                <p className="text-xs text-gray-500">
+                  Delivered to {selected.deliveries.filter(delivery => delivery.status === 'sent').length} of {selected.deliveries.length} subscriptions
+                  {selected.deliveries.some(delivery => delivery.status === 'failed') && ' (some deliveries failed)'}
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Digests Page
+ * @description Wrapped with Suspense for useSearchParams
+ */
+export default function DigestsPage() {
+  return (
+    <Suspense fallback={
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+      </div>
+    }>
+      <DigestsContent />
+    </Suspense>
+  );
+}
@@ -0,0 +1,482 @@
+'use client';
+
+import React, { Suspense, useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useSearchParams } from 'next/navigation';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Input } from '@/components/ui/input';
+import { useAuth } from '@/lib/auth';
+import { formatDate, formatRelativeTime } from '@/lib/utils';
+import {
+  Users,
+  RefreshCw,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  Search,
+  ArrowLeft,
+  UserCircle
+} from 'lucide-react';
+
+/**
+ * Directory entry (groups.contacts)
+ * @interface Contact
+ */
+interface Contact {
+  id: string;
+  line_user_id: string;
+  member_user_id: string | null;
+  display_name: string | null;
+  picture_url: string | null;
+  status_message: string | null;
+  profile_status: 'ok' | 'unavailable' | null;
+  profile_fetched_at: string | null;
+  groups: Array<{
+    room_id: string;
+    room_name: string | null;
+    message_count: number;
+    first_seen_at: string;
+    last_seen_at: string;
+    joined_at: string | null;
+    left_at: string | null;
+  }>;
+  message_count: number;
+  first_seen_at: string;
+  last_seen_at: string;
+}
+
+/**
+ * Contact details (groups.getContact)
+ * @interface ContactDetails
+ */
+interface ContactDetails extends Contact {
+  profile_error: string | null;
+  recent_messages: Array<{
+    message_id: string;
+    session_id: string;
+    timestamp: string;
+    message_type: string;
+    message: string;
+    room_name: string | null;
+  }>;
+}
+
+/**
+ * Organization member (staff link options)
+ * @interface Member
+ */
+interface Member {
+  id: string;
+  user: {
+    id: string;
+    name: string;
+    email: string;
+  };
+}
+
+/**
+ * Contacts Content
+ * @description Directory of the LINE users seen in the organization's chats
+ */
+function ContactsContent() {
+  const { organization, is_org_admin } = useAuth();
+  const search_params = useSearchParams();
+  const room_id = search_params.get('roomId');
+  const [contacts, set_contacts] = useState<Contact[]>([]);
+  const [members, set_members] = useState<Member[]>([]);
+  const [total, set_total] = useState(0);
+  const [selected, set_selected] = useState<ContactDetails | null>(null);
+  const [search, set_search] = useState('');
+  const [loading, set_loading] = useState(true);
+  const [processing, set_processing] = useState<string | null>(null);
+  const [error_message, set_error_message] = useState<string | null>(null);
+  const [success_message, set_success_message] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (organization?.id) {
+      fetch_contacts();
+    }
+  }, [organization?.id, room_id]);
+
+  useEffect(() => {
+    if (organization?.id && is_org_admin()) {
+      fetch_members();
+    }
+  }, [organization?.id]);
+
+  /**
+   * Call a tRPC query
+   * @param path - Procedure path (e.g. "groups.contacts")
+   * @param input - Query input
+   */
+  const trpc_query = async (path: string, input?: Record<string, any>) => {
+    const query_params = input ? `?${new URLSearchParams({ input: JSON.stringify(input) }).toString()}` : '';
+    const response = await fetch(`/api/trpc/${path}${query_params}`, {
+      method: 'GET',
+      headers: {
+        'x-organization-id': organization?.id || ''
+      },
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error?.message || `Request failed: ${response.status}`);
+    }
+    return data.result?.data;
+  };
+
+  /**
+   * Call a tRPC mutation
+   * @param path - Procedure path (e.g. "groups.refreshContact")
+   * @param body - Mutation input
+   */
+  const trpc_mutation = async (path: string, body: Record<string, any>) => {
+    const response = await fetch(`/api/trpc/${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-organization-id': organization?.id || ''
+      },
+      credentials: 'include',
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok || !data.result?.data?.success) {
+      throw new Error(data.error?.message || 'Request failed');
+    }
+    return data.result.data;
+  };
+
+  /**
+   * Show a success message for a few seconds
+   * @param message - Message
+   */
+  const show_success = (message: string) => {
+    set_success_message(message);
+    setTimeout(() => set_success_message(null), 3000);
+  };
+
+  /**
+   * Fetch the directory (optionally one group's contacts)
+   */
+  const fetch_contacts = async () => {
+    try {
+      set_loading(true);
+      set_error_message(null);
+      const data = await trpc_query('groups.contacts', {
+        limit: 100,
+        ...(search.trim() && { search: search.trim() }),
+        ...(room_id && { roomId: room_id })
+      });
+      set_contacts(data?.contacts || []);
+      set_total(data?.pagination?.total || 0);
+    } catch (error) {
+      console.error('Fetch error:', error);
+      set_error_message('Failed to load contacts');
+    } finally {
+      set_loading(false);
+    }
+  };
+
+  /**
+   * Fetch organization members for the staff link picker
+   */
+  const fetch_members = async () => {
+    try {
+      const response = await fetch(`/api/organizations/${organization?.id}/members?limit=100`, {
+        credentials: 'include'
+      });
+      if (response.ok) {
+        const data = await response.json();
+        set_members(data.members || []);
+      }
+    } catch (error) {
+      console.error('Fetch members error:', error);
+    }
+  };
+
+  /**
+   * Load a contact's details and latest messages
+   * @param contact_id - Contact ID
+   */
+  const open_contact = async (contact_id: string) => {
+    try {
+      set_selected(await trpc_query('groups.getContact', { contactId: contact_id }));
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to load contact');
+    }
+  };
+
+  /**
+   * Fetch a contact's LINE profile now
+   * @param contact - Contact
+   */
+  const refresh_profile = async (contact: Contact) => {
+    try {
+      set_processing(contact.id);
+      set_error_message(null);
+      const data = await trpc_mutation('groups.refreshContact', { contactId: contact.id });
+      show_success(data.message);
+      set_contacts(contacts.map(item => (item.id === contact.id ? data.contact : item)));
+      await open_contact(contact.id);
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to refresh profile');
+    } finally {
+      set_processing(null);
+    }
+  };
+
+  /**
+   * Link a contact to the member they are (staff may /pause and /resume recording)
+   * @param contact - Contact
+   * @param user_id - Member user ID ('' = unlink)
+   */
+  const link_member = async (contact: Contact, user_id: string) => {
+    try {
+      set_processing(contact.id);
+      set_error_message(null);
+      const data = await trpc_mutation('groups.linkMember', { contactId: contact.id, userId: user_id || null });
+      show_success(data.message);
+      set_contacts(contacts.map(item => (item.id === contact.id ? data.contact : item)));
+      set_selected({ ...contact, ...data.contact });
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to link member');
+    } finally {
+      set_processing(null);
+    }
+  };
+
+  /**
+   * Contact picture, or a placeholder icon
+   * @param contact - Contact
+   * @param size - Tailwind size class
+   */
+  const render_picture = (contact: Contact, size: string) => (
+    contact.picture_url
+      ? <img src={contact.picture_url} alt="" className={`${size} rounded-full object-cover flex-shrink-0`} />
+      : <UserCircle className={`${size} text-gray-300 flex-shrink-0`} />
+  );
+
+  if (!organization) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  const room_filter_name = room_id
+    ? contacts.flatMap(contact => contact.groups).find(group => group.room_id === room_id)?.room_name
+    : null;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link href="/dashboard/groups" className="text-sm text-gray-500 flex items-center mb-1">
+            <ArrowLeft className="w-4 h-4 mr-1" />
+            Group Chats
+          </Link>
+          <h1 className="text-2xl font-normal text-gray-900">Contacts</h1>
+          <p className="text-gray-600">
+            {room_filter_name ? `People in ${room_filter_name}` : 'Everyone who has written in your LINE chats'}
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={fetch_contacts}>
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      {/* Messages */}
+      {success_message && (
+        <Alert className="bg-green-50 border-green-200">
+          <CheckCircle className="h-4 w-4 text-green-600" />
+          <AlertDescription className="text-green-700">{success_message}</AlertDescription>
+        </Alert>
+      )}
+
+      {error_message && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error_message}</AlertDescription>
+        </Alert>
+      )}
+
+      {/* Search */}
+      <form
+        className="flex gap-2"
+        onSubmit={(e) => { e.preventDefault(); fetch_contacts(); }}
+      >
+        <Input
+          value={search}
+          placeholder="Search by name, LINE user ID or group"
+          onChange={(e) => set_search(e.target.value)}
+        />
+        <Button type="submit" variant="outline">
+          <Search className="w-4 h-4 mr-2" />
+          Search
+        </Button>
+      </form>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        {/* Directory */}
+        <Card className="lg:col-span-1">
+          <CardHeader>
+            <CardTitle className="text-base flex items-center gap-2">
+              <Users className="w-4 h-4" />
+              {total} contacts
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="divide-y">
+            {loading ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+              </div>
+            ) : contacts.length === 0 ? (
+              <p className="text-sm text-gray-500 py-4">No contacts yet. People are added when they write in a connected chat.</p>
+            ) : contacts.map(contact => (
+              <button
+                key={contact.id}
+                className={`w-full text-left py-3 px-2 rounded flex items-center gap-3 ${selected?.id === contact.id ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                onClick={() => open_contact(contact.id)}
+              >
+                {render_picture(contact, 'w-9 h-9')}
+                <div className="min-w-0">
+                  <p className="font-medium text-sm truncate">{contact.display_name || contact.line_user_id}</p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {contact.groups.length} {contact.groups.length === 1 ? 'chat' : 'chats'} · {contact.message_count} messages · {formatRelativeTime(contact.last_seen_at)}
+                  </p>
+                </div>
+              </button>
+            ))}
+          </CardContent>
+        </Card>
+
+        {/* Contact details */}
+        <div className="lg:col-span-2 space-y-4">
+          {selected && (
+            <>
+              <Card>
+                <CardContent className="pt-6 flex items-start gap-4">
+                  {render_picture(selected, 'w-16 h-16')}
+                  <div className="min-w-0 flex-1">
+                    <h2 className="text-lg font-medium flex items-center gap-2">
+                      {selected.display_name || 'Unknown name'}
+                      {selected.member_user_id && <Badge variant="secondary" className="text-xs">Staff</Badge>}
+                    </h2>
+                    {selected.status_message && <p className="text-sm text-gray-600">{selected.status_message}</p>}
+                    <p className="text-xs text-gray-400 font-mono mt-1">{selected.line_user_id}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      First seen {formatDate(selected.first_seen_at)} · last seen {formatRelativeTime(selected.last_seen_at)}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {selected.profile_fetched_at
+                        ? `Profile updated ${formatRelativeTime(selected.profile_fetched_at)}`
+                        : 'Profile not fetched yet'}
+                      {selected.profile_status === 'unavailable' && ` (unavailable: ${selected.profile_error})`}
+                    </p>
+                  </div>
+                  {is_org_admin() && (
+                    <Button size="sm" variant="outline" onClick={() => refresh_profile(selected)} disabled={processing === selected.id}>
+                      <RefreshCw className={`w-4 h-4 mr-2 ${processing === selected.id ? 'animate-spin' : ''}`} />
+                      Refresh profile
+                    </Button>
+                  )}
+                </CardContent>
+              </Card>
+
+              {is_org_admin() && (
+                <Card>
+                  <CardHeader>
+                    <CardTitle className="text-base">Staff link</CardTitle>
+                  </CardHeader>
+                  <CardContent className="space-y-2 text-sm">
+                    <p className="text-gray-600">
+                      LINE users linked to a member are staff in your groups and can pause and resume recording with /pause and /resume.
+                    </p>
+                    <select
+                      className="h-9 px-2 border rounded-md text-sm bg-white"
+                      value={selected.member_user_id || ''}
+                      disabled={processing === selected.id}
+                      onChange={(e) => link_member(selected, e.target.value)}
+                    >
+                      <option value="">Not linked</option>
+                      {members.map(member => (
+                        <option key={member.user.id} value={member.user.id}>{member.user.name || member.user.email}</option>
+                      ))}
+                    </select>
+                  </CardContent>
+                </Card>
+              )}
+
+              <Card>
+                <CardHeader>
+                  <CardTitle className="text-base">Chats</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-2 text-sm">
+                  {selected.groups.map(group => (
+                    <div key={group.room_id} className="flex items-center justify-between gap-2">
+                      <Link href={`/dashboard/groups/contacts?roomId=${group.room_id}`} className="text-blue-600 truncate">
+                        {group.room_name || 'Unnamed chat'}
+                      </Link>
+                      <span className="text-xs text-gray-500 flex-shrink-0">
+                        {group.left_at && (
+                          <Badge variant="outline" className="text-xs mr-2">Left {formatDate(group.left_at)}</Badge>
+                        )}
+                        {group.message_count} messages · last {formatRelativeTime(group.last_seen_at)}
+                      </span>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle className="text-base">Latest messages</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-3">
+                  {selected.recent_messages.length === 0 && <p className="text-sm text-gray-500">No messages.</p>}
+                  {selected.recent_messages.map(message => (
+                    <div key={message.message_id} className="border-l-4 border-gray-200 pl-3">
+                      <div className="flex items-center gap-2 text-xs text-gray-500">
+                        {message.room_name && <Badge variant="outline" className="text-xs">{message.room_name}</Badge>}
+                        <span>{formatDate(message.timestamp)}</span>
+                        <Link href={`/dashboard/sessions/${message.session_id}`} className="text-blue-600">
+                          Session
+                        </Link>
+                      </div>
+                      <p className="text-sm text-gray-800 mt-1">
+                        {message.message_type === 'text' ? message.message : `[${message.message_type}] ${message.message}`}
+                      </p>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Contacts Page
+ * @description Wrapped with Suspense for useSearchParams
+ */
+export default function ContactsPage() {
+  return (
+    <Suspense fallback={
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+      </div>
+    }>
+      <ContactsContent />
+    </Suspense>
+  );
+}
@@ -22,7 +22,8 @@ import {
   Check,
   UserPlus,
   QrCode,
-  Sparkles
+  Sparkles,
+  UserCircle
 } from 'lucide-react';
 
 interface GroupSession {
@@ -408,6 +409,12 @@ export default function GroupsPage() {
           <h1 className="text-2xl font-normal text-gray-900">Group Chats</h1>
           <p className="text-gray-600">AI-powered group conversation analytics</p>
         </div>
+        <Link href="/dashboard/groups/contacts">
+          <Button variant="outline" size="sm">
+            <UserCircle className="w-4 h-4 mr-2" />
+            Contacts
+          </Button>
+        </Link>
       </div>
 
       {/* Stats Cards */}
@@ -1,7 +1,7 @@
 'use client';
 
 import Link from 'next/link';
-import { Users, LogOut, Infinity, Menu, X, UserPlus, Settings, Shield, Building2, UserCheck, Tags, CreditCard } from 'lucide-react';
+import { Users, LogOut, Infinity, Menu, X, UserPlus, Settings, Shield, Building2, UserCheck, Tags, CreditCard, ListChecks, Search, Newspaper, Bell } from 'lucide-react';
 import { useEffect, useState } from 'react';
 import { usePathname } from 'next/navigation';
 import { Button } from '@/components/ui/button';
@@ -156,6 +156,42 @@ export default function DashboardLayout({
             onClick={closeMobileMenu}
           />
 
+          {/* Tasks */}
+          <NavItem
+            href="/dashboard/tasks"
+            icon={<ListChecks className="w-5 h-5" />}
+            label="Tasks"
+            isActive={isActiveTab('/dashboard/tasks')}
+            onClick={closeMobileMenu}
+          />
+
+          {/* Digests */}
+          <NavItem
+            href="/dashboard/digests"
+            icon={<Newspaper className="w-5 h-5" />}
+            label="Digests"
+            isActive={isActiveTab('/dashboard/digests')}
+            onClick={closeMobileMenu}
+          />
+
+          {/* Alerts */}
+          <NavItem
+            href="/dashboard/alerts"
+            icon={<Bell className="w-5 h-5" />}
+            label="Alerts"
+            isActive={isActiveTab('/dashboard/alerts')}
+            onClick={closeMobileMenu}
+          />
+
+          {/* Search */}
+          <NavItem
+            href="/dashboard/search"
+            icon={<Search className="w-5 h-5" />}
+            label="Search"
+            isActive={isActiveTab('/dashboard/search')}
+            onClick={closeMobileMenu}
+          />
+
           {/* Join Organization */}
           <NavItem
             href="/dashboard/join-org"
@@ -0,0 +1,481 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Input } from '@/components/ui/input';
+import { useAuth } from '@/lib/auth';
+import { formatDate } from '@/lib/utils';
+import {
+  Search,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  MessageSquare,
+  FileText,
+  RefreshCw,
+  Users,
+  Sparkles
+} from 'lucide-react';
+
+/**
+ * Search result (search.semantic item)
+ * @interface SearchResult
+ */
+interface SearchResult {
+  type: 'message' | 'summary';
+  id: string;
+  score: number;
+  room: {
+    id: string;
+    name: string;
+    type: 'group' | 'individual';
+  } | null;
+  session_id?: string;
+  timestamp: string;
+  message?: {
+    message: string;
+    message_type: string;
+    user_name?: string;
+  };
+  summary?: {
+    content: string;
+    key_topics: string[];
+    created_at: string;
+  };
+}
+
+/**
+ * Answer citation (organization.ask)
+ * @interface AnswerCitation
+ */
+interface AnswerCitation {
+  number: number;
+  type: 'message' | 'summary';
+  message_id?: string;
+  summary_id?: string;
+  session_id?: string;
+  room: {
+    id: string;
+    name: string;
+  } | null;
+  timestamp: string;
+  user_name: string | null;
+  excerpt: string;
+}
+
+/**
+ * Answer to a question about chat history (organization.ask)
+ * @interface ChatAnswer
+ */
+interface ChatAnswer {
+  question: string;
+  answer: string;
+  citations: AnswerCitation[];
+  confidence: 'high' | 'medium' | 'low';
+  sources: number;
+}
+
+/**
+ * Index state (search.status)
+ * @interface IndexStatus
+ */
+interface IndexStatus {
+  enabled: boolean;
+  provider: string;
+  model: string;
+  configured: boolean;
+  indexed: {
+    message: number;
+    summary: number;
+    total: number;
+    last_indexed_at: string | null;
+  };
+}
+
+/**
+ * Source filter options
+ */
+const SOURCE_FILTERS = [
+  { value: 'all', label: 'Messages & Summaries', sources: ['message', 'summary'] },
+  { value: 'message', label: 'Messages', sources: ['message'] },
+  { value: 'summary', label: 'Summaries', sources: ['summary'] },
+];
+
+/**
+ * Search Page
+ * @description Find conversations across all groups by meaning and ask questions about them
+ */
+export default function SearchPage() {
+  const { organization, is_org_admin } = useAuth();
+  const [query, set_query] = useState('');
+  const [source_filter, set_source_filter] = useState('all');
+  const [results, set_results] = useState<SearchResult[]>([]);
+  const [status, set_status] = useState<IndexStatus | null>(null);
+  const [searched_query, set_searched_query] = useState<string | null>(null);
+  const [truncated, set_truncated] = useState(false);
+  const [loading, set_loading] = useState(false);
+  const [reindexing, set_reindexing] = useState(false);
+  const [error_message, set_error_message] = useState<string | null>(null);
+  const [success_message, set_success_message] = useState<string | null>(null);
+  const [question, set_question] = useState('');
+  const [answer, set_answer] = useState<ChatAnswer | null>(null);
+  const [asking, set_asking] = useState(false);
+
+  useEffect(() => {
+    if (organization?.id) {
+      fetch_status();
+    }
+  }, [organization?.id]);
+
+  /**
+   * Call a tRPC query
+   * @param path - Procedure path (e.g. "search.semantic")
+   * @param input - Query input
+   */
+  const trpc_query = async (path: string, input?: Record<string, any>) => {
+    const query_params = input ? `?${new URLSearchParams({ input: JSON.stringify(input) }).toString()}` : '';
+    const response = await fetch(`/api/trpc/${path}${query_params}`, {
+      method: 'GET',
+      headers: {
+        'x-organization-id': organization?.id || ''
+      },
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error?.message || `Request failed: ${response.status}`);
+    }
+    return data.result?.data;
+  };
+
+  /**
+   * Fetch index state
+   * @description Calls search.status tRPC endpoint
+   */
+  const fetch_status = async () => {
+    try {
+      set_status(await trpc_query('search.status'));
+    } catch (error) {
+      console.error('Fetch status error:', error);
+    }
+  };
+
+  /**
+   * Run a semantic search
+   * @description Calls search.semantic tRPC endpoint
+   */
+  const run_search = async () => {
+    const text = query.trim();
+    if (text.length < 2) return;
+
+    try {
+      set_loading(true);
+      set_error_message(null);
+      const sources = SOURCE_FILTERS.find(f => f.value === source_filter)?.sources || ['message', 'summary'];
+      const data = await trpc_query('search.semantic', { query: text, sources, limit: 30 });
+      set_results(data?.results || []);
+      set_truncated(!!data?.truncated);
+      set_searched_query(text);
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Search failed');
+      set_results([]);
+    } finally {
+      set_loading(false);
+    }
+  };
+
+  /**
+   * Ask a question across all groups
+   * @description Calls organization.ask tRPC endpoint
+   */
+  const ask_question = async () => {
+    const text = question.trim();
+    if (text.length < 3) return;
+
+    try {
+      set_asking(true);
+      set_error_message(null);
+      const response = await fetch('/api/trpc/organization.ask', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-organization-id': organization?.id || ''
+        },
+        credentials: 'include',
+        body: JSON.stringify({ question: text })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to answer the question');
+      }
+      set_answer(data.result?.data || null);
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to answer the question');
+      set_answer(null);
+    } finally {
+      set_asking(false);
+    }
+  };
+
+  /**
+   * Queue indexing of past conversations
+   * @description Calls search.reindex tRPC endpoint
+   */
+  const reindex = async () => {
+    try {
+      set_reindexing(true);
+      set_error_message(null);
+      const response = await fetch('/api/trpc/search.reindex', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-organization-id': organization?.id || ''
+        },
+        credentials: 'include',
+        body: JSON.stringify({})
+      });
+      const data = await response.json();
+      if (!response.ok || !data.result?.data?.success) {
+        throw new Error(data.error?.message || 'Failed to queue indexing');
+      }
+      set_success_message(data.result.data.message);
+      setTimeout(() => set_success_message(null), 5000);
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to queue indexing');
+    } finally {
+      set_reindexing(false);
+    }
+  };
+
+  if (!organization) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">Search</h1>
+          <p className="text-gray-500 mt-1">Find conversations across all groups by meaning or ask a question</p>
+        </div>
+        {is_org_admin() && (
+          <Button variant="outline" size="sm" onClick={reindex} disabled={reindexing || status?.enabled === false}>
+            {reindexing ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <RefreshCw className="w-4 h-4 mr-2" />}
+            Index past conversations
+          </Button>
+        )}
+      </div>
+
+      {/* Messages */}
+      {success_message && (
+        <Alert className="bg-green-50 border-green-200">
+          <CheckCircle className="h-4 w-4 text-green-600" />
+          <AlertDescription className="text-green-700">{success_message}</AlertDescription>
+        </Alert>
+      )}
+
+      {error_message && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error_message}</AlertDescription>
+        </Alert>
+      )}
+
+      {status?.enabled === false && (
+        <Alert>
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>Semantic search is turned off on this server.</AlertDescription>
+        </Alert>
+      )}
+
+      {/* Ask */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Sparkles className="w-5 h-5" />
+            Ask your chats
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex flex-col md:flex-row gap-4">
+            <Input
+              placeholder='e.g. "What did the customer agree to about pricing last month?"'
+              value={question}
+              onChange={(e) => set_question(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && ask_question()}
+              className="flex-1"
+            />
+            <Button onClick={ask_question} disabled={asking || question.trim().length < 3}>
+              {asking ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Sparkles className="w-4 h-4 mr-2" />}
+              Ask
+            </Button>
+          </div>
+
+          {answer && (
+            <div className="border rounded-lg p-4 space-y-3">
+              <div className="flex items-center gap-2">
+                <span className="text-sm font-medium text-gray-700">{answer.question}</span>
+                <Badge variant="outline" className="text-xs ml-auto">{answer.confidence} confidence</Badge>
+              </div>
+              <p className="text-sm text-gray-800 whitespace-pre-wrap">{answer.answer}</p>
+              {answer.citations.length > 0 && (
+                <div className="space-y-2">
+                  {answer.citations.map((citation) => (
+                    <div key={citation.number} className="text-xs text-gray-600 border-l-2 border-gray-200 pl-3">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="font-medium">[{citation.number}]</span>
+                        <span>{citation.type === 'message' ? 'Message' : 'Summary'}</span>
+                        {citation.room && <span>· {citation.room.name}</span>}
+                        {citation.user_name && <span>· {citation.user_name}</span>}
+                        <span>· {formatDate(citation.timestamp)}</span>
+                        {citation.session_id && (
+                          <Link href={`/dashboard/sessions/${citation.session_id}`} className="text-blue-600 hover:underline">
+                            View conversation
+                          </Link>
+                        )}
+                      </div>
+                      <p className="mt-1 line-clamp-2">{citation.excerpt}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <p className="text-xs text-gray-400">Answered from {answer.sources} retrieved messages and summaries.</p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Search box */}
+      <Card>
+        <CardContent className="pt-4 space-y-4">
+          <div className="flex flex-col md:flex-row gap-4">
+            <div className="flex-1 relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+              <Input
+                placeholder='e.g. "delivery delay" or "ของมาช้า" (press Enter)'
+                value={query}
+                onChange={(e) => set_query(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && run_search()}
+                className="pl-9"
+              />
+            </div>
+            <Button onClick={run_search} disabled={loading || query.trim().length < 2}>
+              {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Search className="w-4 h-4 mr-2" />}
+              Search
+            </Button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {SOURCE_FILTERS.map(option => (
+              <Button
+                key={option.value}
+                size="sm"
+                variant={source_filter === option.value ? 'default' : 'outline'}
+                onClick={() => set_source_filter(option.value)}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </div>
+          {status && (
+            <p className="text-xs text-gray-500">
+              {status.indexed.message} messages and {status.indexed.summary} summaries indexed with {status.provider}/{status.model}
+              {status.indexed.last_indexed_at && ` · last updated ${formatDate(status.indexed.last_indexed_at)}`}
+              . Conversations become searchable once their session is summarized.
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Results */}
+      {searched_query && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Search className="w-5 h-5" />
+              Results for &quot;{searched_query}&quot; ({results.length})
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {truncated && (
+              <p className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-md px-3 py-2 mb-3">
+                Only the most recent conversations were searched. Older history was not included.
+              </p>
+            )}
+            {results.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">
+                <Search className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+                <p>No matching conversations</p>
+                <p className="text-sm mt-1">Try describing what was discussed in other words.</p>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {results.map((result) => (
+                  <div key={`${result.type}:${result.id}`} className="border rounded-lg p-4 hover:bg-gray-50">
+                    <div className="flex flex-wrap items-center gap-2 mb-2">
+                      {result.type === 'message' ? (
+                        <Badge variant="outline" className="text-xs">
+                          <MessageSquare className="w-3 h-3 mr-1" />
+                          Message
+                        </Badge>
+                      ) : (
+                        <Badge className="text-xs bg-purple-100 text-purple-800">
+                          <FileText className="w-3 h-3 mr-1" />
+                          Summary
+                        </Badge>
+                      )}
+                      {result.room && (
+                        <Badge variant="secondary" className="text-xs">
+                          <Users className="w-3 h-3 mr-1" />
+                          {result.room.name}
+                        </Badge>
+                      )}
+                      <span className="text-xs text-gray-500">{formatDate(result.timestamp)}</span>
+                      <span className="text-xs text-gray-400 ml-auto">{Math.round(result.score * 100)}% match</span>
+                    </div>
+
+                    {result.message && (
+                      <p className="text-sm text-gray-800 whitespace-pre-wrap line-clamp-4">
+                        {result.message.user_name && (
+                          <span className="font-medium text-gray-600">{result.message.user_name}: </span>
+                        )}
+                        {result.message.message}
+                      </p>
+                    )}
+
+                    {result.summary && (
+                      <>
+                        <p className="text-sm text-gray-800 whitespace-pre-wrap line-clamp-4">{result.summary.content}</p>
+                        {result.summary.key_topics?.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-2">
+                            {result.summary.key_topics.map(topic => (
+                              <Badge key={topic} variant="outline" className="text-xs">{topic}</Badge>
+                            ))}
+                          </div>
+                        )}
+                      </>
+                    )}
+
+                    {result.session_id && (
+                      <Link href={`/dashboard/sessions/${result.session_id}`} className="inline-block mt-2 text-sm text-blue-600 hover:underline">
+                        View conversation
+                      </Link>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -7,7 +7,8 @@ import { Badge } from '@/components/ui/badge'
 import { Separator } from '@/components/ui/separator'
 import { Button } from '@/components/ui/button'
 import { Alert, AlertDescription } from '@/components/ui/alert'
-import { ArrowLeft, MessageCircle, Clock, Users, Sparkles, Zap, ScrollText } from 'lucide-react'
+import { Input } from '@/components/ui/input'
+import { ArrowLeft, MessageCircle, Clock, Users, Sparkles, Zap, ScrollText, History, RotateCcw, ThumbsUp, ThumbsDown, PencilLine } from 'lucide-react'
 import Link from 'next/link'
 import { getStatusColor, formatDate } from '@/lib/utils'
 
@@ -37,11 +38,84 @@ interface ChatSession {
     sender?: string
   }>
   summary?: {
+    _id: string
     content: string
+    version?: number
     created_at: string
+    key_topics?: string[]
+    analysis?: {
+      sentiment?: 'positive' | 'neutral' | 'negative'
+      action_items?: string[]
+      image_insights?: string[]
+    }
+    feedback?: {
+      up: number
+      down: number
+      corrections: number
+    }
+    chat_delivery?: {
+      status: 'pending' | 'deferred' | 'sent' | 'failed' | 'skipped' | null
+      error: string | null
+      deferred_until: string | null
+    }
+  }
+  image_analyses?: Record<string, {
+    status: 'pending' | 'completed' | 'failed' | 'skipped'
+    image_type?: string
+    caption?: string
+    text?: string
+  }>
+  media_texts?: Record<string, {
+    status: 'pending' | 'completed' | 'failed' | 'skipped'
+    kind: 'transcript' | 'document' | null
+    message: string | null
+    truncated?: boolean
+  }>
+  senders?: Record<string, {
+    line_user_id: string
+    user_name: string | null
+    user_profile_url: string | null
+    unsent_at: string | null
+  }>
+}
+
+interface SummaryVersion {
+  version: number
+  source: 'generated' | 'edited' | 'restored'
+  author: { user_id: string | null; name: string | null }
+  restored_from: number | null
+  backfilled: boolean
+  content: string
+  generation: {
+    provider: string | null
+    model: string | null
+    template_name: string | null
+  }
+  created_at: string
+}
+
+interface SummaryFeedback {
+  rating: 'up' | 'down' | null
+  corrections: {
+    key_topics?: string[]
+    sentiment: 'positive' | 'neutral' | 'negative' | null
+    wrong_action_items: string[]
+    missing_action_items: string[]
   }
+  comment: string
+}
+
+interface SummaryDiff {
+  from: { version: number }
+  to: { version: number }
+  content: Array<{ op: 'equal' | 'insert' | 'delete'; text: string }>
+  key_topics: { added: string[]; removed: string[] }
+  changed_fields: string[]
 }
 
+const SUMMARY_JOB_POLL_INTERVAL_MS = 3000
+const SUMMARY_JOB_POLL_ATTEMPTS = 100
+
 export default function SessionDetailPage() {
   const params = useParams()
   const sessionId = params.sessionId as string
@@ -49,11 +123,26 @@ export default function SessionDetailPage() {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
   const [actionLoading, setActionLoading] = useState<string | null>(null)
+  const [versions, setVersions] = useState<SummaryVersion[] | null>(null)
+  const [diff, setDiff] = useState<SummaryDiff | null>(null)
+  const [myFeedback, setMyFeedback] = useState<SummaryFeedback | null>(null)
+  const [showCorrections, setShowCorrections] = useState(false)
+  const [correctedTopics, setCorrectedTopics] = useState('')
+  const [correctedSentiment, setCorrectedSentiment] = useState('')
+  const [wrongActionItems, setWrongActionItems] = useState<string[]>([])
+  const [missingActionItems, setMissingActionItems] = useState('')
+  const [feedbackComment, setFeedbackComment] = useState('')
 
   useEffect(() => {
     fetchSession()
   }, [sessionId])
 
+  useEffect(() => {
+    if (session?.summary?._id) {
+      fetchMyFeedback(session.summary._id)
+    }
+  }, [session?.summary?._id])
+
   const fetchSession = async () => {
     try {
       setLoading(true)
@@ -87,6 +176,174 @@ export default function SessionDetailPage() {
 
 
 
+  const fetchVersions = async () => {
+    if (!session?.summary) return
+
+    try {
+      setError(null)
+      const response = await fetch(`/api/trpc/summaries.versions?input=${encodeURIComponent(JSON.stringify({ summaryId: session.summary._id }))}`, {
+        credentials: 'include'
+      })
+      if (!response.ok) {
+        throw new Error(`Failed to fetch versions: ${response.status}`)
+      }
+      const data = await response.json()
+      setVersions(data?.result?.data?.versions || [])
+      setDiff(null)
+    } catch (err) {
+      setError(`Failed to load version history: ${err instanceof Error ? err.message : 'Unknown error'}`)
+    }
+  }
+
+  const handleCompare = async (version: number) => {
+    if (!session?.summary) return
+
+    try {
+      setError(null)
+      const input = { summaryId: session.summary._id, from: version - 1, to: version }
+      const response = await fetch(`/api/trpc/summaries.diff?input=${encodeURIComponent(JSON.stringify(input))}`, {
+        credentials: 'include'
+      })
+      if (!response.ok) {
+        throw new Error(`Failed to compare versions: ${response.status}`)
+      }
+      const data = await response.json()
+      setDiff(data?.result?.data || null)
+    } catch (err) {
+      setError(`Failed to compare versions: ${err instanceof Error ? err.message : 'Unknown error'}`)
+    }
+  }
+
+  const handleRestore = async (version: number) => {
+    if (!session?.summary || !confirm(`Restore version ${version}? The current text stays in the history.`)) return
+
+    try {
+      setActionLoading('restoring')
+      setError(null)
+      const response = await fetch(`/api/trpc/summaries.restore`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({ summaryId: session.summary._id, version })
+      })
+      if (!response.ok) {
+        const errorText = await response.text()
+        throw new Error(`${response.status} ${errorText}`)
+      }
+      await fetchSession()
+      setVersions(null)
+      setDiff(null)
+    } catch (err) {
+      setError(`Failed to restore version: ${err instanceof Error ? err.message : 'Unknown error'}`)
+    } finally {
+      setActionLoading(null)
+    }
+  }
+
+  const fetchMyFeedback = async (summaryId: string) => {
+    try {
+      const response = await fetch(`/api/trpc/summaries.feedbackList?input=${encodeURIComponent(JSON.stringify({ summaryId }))}`, {
+        credentials: 'include'
+      })
+      if (!response.ok) return
+      const data = await response.json()
+      const mine: SummaryFeedback | null = data?.result?.data?.mine || null
+      setMyFeedback(mine)
+      setCorrectedTopics(mine?.corrections.key_topics?.join(', ') || '')
+      setCorrectedSentiment(mine?.corrections.sentiment || '')
+      setWrongActionItems(mine?.corrections.wrong_action_items || [])
+      setMissingActionItems(mine?.corrections.missing_action_items?.join('\n') || '')
+      setFeedbackComment(mine?.comment || '')
+    } catch (err) {
+      console.error('Error fetching feedback:', err)
+    }
+  }
+
+  const submitFeedback = async (rating: 'up' | 'down' | null, withCorrections: boolean) => {
+    if (!session?.summary) return
+
+    const splitList = (text: string, separator: RegExp) => text.split(separator).map((item) => item.trim()).filter(Boolean)
+    const corrections = withCorrections ? {
+      key_topics: correctedTopics.trim() ? splitList(correctedTopics, /,/) : undefined,
+      sentiment: correctedSentiment || undefined,
+      wrong_action_items: wrongActionItems,
+      missing_action_items: splitList(missingActionItems, /\n/)
+    } : myFeedback?.corrections
+
+    try {
+      setActionLoading('feedback')
+      setError(null)
+      const response = await fetch(`/api/trpc/summaries.feedback`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          summaryId: session.summary._id,
+          rating,
+          corrections: {
+            key_topics: corrections?.key_topics,
+            sentiment: corrections?.sentiment || undefined,
+            wrong_action_items: corrections?.wrong_action_items,
+            missing_action_items: corrections?.missing_action_items
+          },
+          comment: withCorrections ? feedbackComment : myFeedback?.comment || ''
+        })
+      })
+      if (!response.ok) {
+        const errorText = await response.text()
+        throw new Error(`${response.status} ${errorText}`)
+      }
+      const data = await response.json()
+      setMyFeedback(data?.result?.data?.feedback || null)
+      setSession({
+        ...session,
+        summary: { ...session.summary, feedback: data?.result?.data?.counters }
+      })
+      setShowCorrections(false)
+    } catch (err) {
+      setError(`Failed to save feedback: ${err instanceof Error ? err.message : 'Unknown error'}`)
+    } finally {
+      setActionLoading(null)
+    }
+  }
+
+  const handleRate = (rating: 'up' | 'down') => {
+    submitFeedback(myFeedback?.rating === rating ? null : rating, false)
+  }
+
+  const toggleWrongActionItem = (item: string) => {
+    setWrongActionItems(wrongActionItems.includes(item)
+      ? wrongActionItems.filter((wrong) => wrong !== item)
+      : [...wrongActionItems, item])
+  }
+
+  // Generation runs as a background job; poll it until it settles
+  const waitForSummaryJob = async (jobId: string) => {
+    for (let attempt = 0; attempt < SUMMARY_JOB_POLL_ATTEMPTS; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, SUMMARY_JOB_POLL_INTERVAL_MS))
+
+      const response = await fetch(`/api/trpc/jobs.get?input=${encodeURIComponent(JSON.stringify({ jobId }))}`, {
+        credentials: 'include'
+      })
+      if (!response.ok) {
+        const errorText = await response.text()
+        throw new Error(`${response.status} ${errorText}`)
+      }
+
+      const data = await response.json()
+      const job = data?.result?.data
+      if (job?.status === 'completed') return
+      if (job?.status === 'dead') {
+        throw new Error(job.last_error || 'Summary job failed')
+      }
+    }
+    throw new Error('Summary is still being generated, check back shortly')
+  }
+
   const handleGenerateSummary = async () => {
     try {
       setActionLoading('summarizing')
@@ -106,6 +363,12 @@ export default function SessionDetailPage() {
         throw new Error(`Failed to generate summary: ${response.status} ${errorText}`)
       }
 
+      const data = await response.json()
+      const jobId = data?.result?.data?.job_id
+      if (jobId) {
+        await waitForSummaryJob(jobId)
+      }
+
       await fetchSession() // Refresh session data
     } catch (err) {
       const errorMessage = err instanceof Error ? err.message : String(err)
@@ -243,20 +506,204 @@ export default function SessionDetailPage() {
         {session.summary ? (
           <Card>
             <CardHeader>
-              <CardTitle className="flex items-center space-x-2">
-                <Sparkles className="h-5 w-5" />
-                <span>AI Summary</span>
-              </CardTitle>
+              <div className="flex items-center justify-between">
+                <CardTitle className="flex items-center space-x-2">
+                  <Sparkles className="h-5 w-5" />
+                  <span>AI Summary</span>
+                  {!!session.summary.version && (
+                    <Badge variant="outline">v{session.summary.version}</Badge>
+                  )}
+                  {session.summary.chat_delivery?.status && (
+                    <Badge
+                      variant="outline"
+                      className={session.summary.chat_delivery.status === 'failed' ? 'text-red-600' : ''}
+                      title={session.summary.chat_delivery.error || undefined}
+                    >
+                      {session.summary.chat_delivery.status === 'deferred' && session.summary.chat_delivery.deferred_until
+                        ? `Sent to chat after ${formatDate(session.summary.chat_delivery.deferred_until)}`
+                        : `Chat: ${session.summary.chat_delivery.status}`}
+                    </Badge>
+                  )}
+                </CardTitle>
+                <Button variant="outline" size="sm" onClick={() => (versions ? setVersions(null) : fetchVersions())}>
+                  <History className="h-4 w-4 mr-2" />
+                  {versions ? 'Hide History' : 'History'}
+                </Button>
+              </div>
             </CardHeader>
             <CardContent>
+              {versions && (
+                <div className="mb-6 border rounded-lg divide-y">
+                  {versions.length === 0 && (
+                    <p className="p-4 text-sm text-gray-500">No versions yet. The first edit keeps the AI text as version 1.</p>
+                  )}
+                  {versions.map((version) => (
+                    <div key={version.version} className="p-3 flex items-center justify-between text-sm">
+                      <div>
+                        <span className="font-medium">v{version.version}</span>{' '}
+                        <Badge variant="outline" className="ml-1">
+                          {version.source === 'restored' ? `restored v${version.restored_from}` : version.source}
+                        </Badge>
+                        <span className="text-gray-500 ml-2">
+                          {version.source === 'generated'
+                            ? [version.generation.model, version.generation.template_name].filter(Boolean).join(' · ')
+                            : version.author.name}
+                          {' · '}{formatDate(version.created_at)}
+                        </span>
+                      </div>
+                      <div className="flex gap-2">
+                        {version.version > 1 && (
+                          <Button variant="ghost" size="sm" onClick={() => handleCompare(version.version)}>
+                            Changes
+                          </Button>
+                        )}
+                        {version.version !== session.summary?.version && (
+                          <Button variant="ghost" size="sm" onClick={() => handleRestore(version.version)} disabled={actionLoading === 'restoring'}>
+                            <RotateCcw className="h-4 w-4 mr-1" />
+                            Restore
+                          </Button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {diff && (
+                <div className="mb-6 border rounded-lg p-4">
+                  <p className="text-sm font-medium text-gray-700 mb-2">
+                    Changes from v{diff.from.version} to v{diff.to.version}
+                    {diff.changed_fields.length === 0 && ' (no changes)'}
+                  </p>
+                  <p className="text-sm leading-relaxed whitespace-pre-wrap">
+                    {diff.content.map((part, index) => (
+                      <span
+                        key={index}
+                        className={
+                          part.op === 'insert' ? 'bg-green-100 text-green-800' :
+                          part.op === 'delete' ? 'bg-red-100 text-red-700 line-through' : ''
+                        }
+                      >
+                        {part.text}
+                      </span>
+                    ))}
+                  </p>
+                  {(diff.key_topics.added.length > 0 || diff.key_topics.removed.length > 0) && (
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {diff.key_topics.added.map((topic) => (
+                        <Badge key={`+${topic}`} className="bg-green-100 text-green-800">+ {topic}</Badge>
+                      ))}
+                      {diff.key_topics.removed.map((topic) => (
+                        <Badge key={`-${topic}`} className="bg-red-100 text-red-700">- {topic}</Badge>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
               <div className="bg-gradient-to-r from-blue-50 to-indigo-50 p-6 rounded-lg">
                 <p className="text-gray-800 leading-relaxed mb-4">
                   {session.summary.content}
                 </p>
+                {session.summary.analysis?.image_insights && session.summary.analysis.image_insights.length > 0 && (
+                  <div className="mb-4">
+                    <p className="text-sm font-medium text-gray-700 mb-2">📷 From images</p>
+                    <ul className="list-disc list-inside space-y-1 text-sm text-gray-700">
+                      {session.summary.analysis.image_insights.map((insight, index) => (
+                        <li key={index}>{insight}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
                 <p className="text-sm text-gray-500">
                   Generated on {formatDate(session.summary.created_at)}
                 </p>
               </div>
+              <div className="mt-4 flex items-center gap-2">
+                <Button
+                  variant={myFeedback?.rating === 'up' ? 'default' : 'outline'}
+                  size="sm"
+                  onClick={() => handleRate('up')}
+                  disabled={actionLoading === 'feedback'}
+                >
+                  <ThumbsUp className="h-4 w-4 mr-1" />
+                  {session.summary.feedback?.up || 0}
+                </Button>
+                <Button
+                  variant={myFeedback?.rating === 'down' ? 'default' : 'outline'}
+                  size="sm"
+                  onClick={() => handleRate('down')}
+                  disabled={actionLoading === 'feedback'}
+                >
+                  <ThumbsDown className="h-4 w-4 mr-1" />
+                  {session.summary.feedback?.down || 0}
+                </Button>
+                <Button variant="ghost" size="sm" onClick={() => setShowCorrections(!showCorrections)}>
+                  <PencilLine className="h-4 w-4 mr-1" />
+                  {showCorrections ? 'Cancel' : 'Suggest corrections'}
+                </Button>
+                {!!session.summary.feedback?.corrections && (
+                  <span className="text-xs text-gray-500">{session.summary.feedback.corrections} correction(s) from reviewers</span>
+                )}
+              </div>
+              {showCorrections && (
+                <div className="mt-4 border rounded-lg p-4 space-y-4 text-sm">
+                  <div>
+                    <p className="font-medium text-gray-700 mb-1">Correct topics (comma separated)</p>
+                    <Input
+                      value={correctedTopics}
+                      placeholder={session.summary.key_topics?.join(', ') || 'Leave empty if the topics are right'}
+                      onChange={(e) => setCorrectedTopics(e.target.value)}
+                    />
+                  </div>
+                  <div>
+                    <p className="font-medium text-gray-700 mb-1">Correct sentiment</p>
+                    <select
+                      className="h-10 px-3 border rounded-md text-sm"
+                      value={correctedSentiment}
+                      onChange={(e) => setCorrectedSentiment(e.target.value)}
+                    >
+                      <option value="">Unchanged ({session.summary.analysis?.sentiment || 'unknown'})</option>
+                      <option value="positive">Positive</option>
+                      <option value="neutral">Neutral</option>
+                      <option value="negative">Negative</option>
+                    </select>
+                  </div>
+                  {session.summary.analysis?.action_items && session.summary.analysis.action_items.length > 0 && (
+                    <div>
+                      <p className="font-medium text-gray-700 mb-1">Wrong action items</p>
+                      {session.summary.analysis.action_items.map((item) => (
+                        <label key={item} className="flex items-center gap-2 py-1">
+                          <input
+                            type="checkbox"
+                            checked={wrongActionItems.includes(item)}
+                            onChange={() => toggleWrongActionItem(item)}
+                          />
+                          <span>{item}</span>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                  <div>
+                    <p className="font-medium text-gray-700 mb-1">Missing action items (one per line)</p>
+                    <textarea
+                      className="w-full min-h-[80px] px-3 py-2 border rounded-md text-sm"
+                      value={missingActionItems}
+                      onChange={(e) => setMissingActionItems(e.target.value)}
+                    />
+                  </div>
+                  <div>
+                    <p className="font-medium text-gray-700 mb-1">Comment</p>
+                    <textarea
+                      className="w-full min-h-[60px] px-3 py-2 border rounded-md text-sm"
+                      value={feedbackComment}
+                      maxLength={2000}
+                      onChange={(e) => setFeedbackComment(e.target.value)}
+                    />
+                  </div>
+                  <Button size="sm" onClick={() => submitFeedback(myFeedback?.rating || null, true)} disabled={actionLoading === 'feedback'}>
+                    {actionLoading === 'feedback' ? 'Saving...' : 'Save feedback'}
+                  </Button>
+                </div>
+              )}
             </CardContent>
           </Card>
         ) : session.status === 'active' ? (
@@ -290,71 +737,117 @@ export default function SessionDetailPage() {
             </CardHeader>
             <CardContent>
               <div className="max-h-96 overflow-y-auto space-y-3">
-                {session.message_logs.map((message, index) => (
-                  <div key={index} className="border-l-4 border-gray-300 pl-4 py-2">
-                    <div className="flex items-center justify-between mb-1">
-                      <div className="flex items-center space-x-2">
-                        <Badge variant={message.direction === 'incoming' ? 'default' : 'secondary'} className="text-xs">
-                          {message.direction === 'incoming' ? 'Received' : 'Sent'}
-                        </Badge>
-                        <Badge variant="outline" className="text-xs">
-                          {message.message_type}
-                        </Badge>
-                        {(message.user_name || message.sender || message.user_id) && (
-                          <Badge variant="secondary" className="text-xs bg-blue-100 text-blue-800">
-                            👤 {message.user_name || message.sender || message.user_id}
+                {session.message_logs.map((message, index) => {
+                  const sender = session.senders?.[message.line_message_id];
+                  const sender_name = sender?.user_name || message.user_name || message.sender || message.user_id;
+                  return (
+                    <div key={index} className="border-l-4 border-gray-300 pl-4 py-2">
+                      <div className="flex items-center justify-between mb-1">
+                        <div className="flex items-center space-x-2">
+                          <Badge variant={message.direction === 'incoming' ? 'default' : 'secondary'} className="text-xs">
+                            {message.direction === 'incoming' ? 'Received' : 'Sent'}
                           </Badge>
-                        )}
-                      </div>
-                      <span className="text-xs text-gray-500">
-                        {formatDate(message.timestamp)}
-                      </span>
-                    </div>
-                    <div className="bg-gray-50 p-3 rounded-md">
-                      {(message.user_name || message.sender || message.user_id) && (
-                        <div className="text-xs text-gray-600 mb-1 font-medium">
-                          {message.user_name || message.sender || message.user_id}:
-                        </div>
-                      )}
-                      <p className="text-sm text-gray-800">
-                        {message.message}
-                      </p>
-
-                      {/* Display image inline if it exists */}
-                      {message.image_grid_fs_id && (
-                        <div className="mt-3">
-                          <div className="flex items-center space-x-2 mb-2">
-                            <Badge variant="outline" className="text-xs">
-                              📷 Image
+                          <Badge variant="outline" className="text-xs">
+                            {message.message_type}
+                          </Badge>
+                          {sender_name && (
+                            <Badge variant="secondary" className="text-xs bg-blue-100 text-blue-800">
+                              {sender?.user_profile_url ? (
+                                <img src={sender.user_profile_url} alt="" className="w-4 h-4 rounded-full mr-1" />
+                              ) : '👤 '}
+                              {sender_name}
                             </Badge>
-                            <span className="text-xs text-gray-500 font-mono">
-                              {message.image_grid_fs_id.substring(0, 8)}...
-                            </span>
+                          )}
+                        </div>
+                        <span className="text-xs text-gray-500">
+                          {formatDate(message.timestamp)}
+                        </span>
+                      </div>
+                      <div className="bg-gray-50 p-3 rounded-md">
+                        {sender_name && (
+                          <div className="text-xs text-gray-600 mb-1 font-medium">
+                            {sender_name}:
                           </div>
-                          <div className="border rounded-lg overflow-hidden bg-white">
-                            <img
-                              src={`/api/images/${message.image_grid_fs_id}`}
-                              alt="Chat image"
-                              className="max-w-full h-auto max-h-64 object-contain cursor-pointer hover:opacity-90 transition-opacity"
-                              onError={(e) => {
-                                const img = e.target as HTMLImageElement;
-                                img.style.display = 'none';
-                                const errorDiv = document.createElement('div');
-                                errorDiv.className = 'p-4 text-center text-gray-500 text-sm';
-                                errorDiv.innerHTML = '❌ Failed to load image';
-                                img.parentNode?.appendChild(errorDiv);
-                              }}
-                              onClick={(e) => {
-                                const img = e.target as HTMLImageElement;
-                                window.open(img.src, '_blank');
-                              }}
-                            />
+                        )}
+                        {sender?.unsent_at ? (
+                          <p className="text-sm text-gray-400 italic">
+                            {message.message} · {formatDate(sender.unsent_at)}
+                          </p>
+                        ) : (
+                          <p className="text-sm text-gray-800">
+                            {message.message}
+                          </p>
+                        )}
+
+                        {/* Display image inline if it exists */}
+                        {message.image_grid_fs_id && (
+                          <div className="mt-3">
+                            <div className="flex items-center space-x-2 mb-2">
+                              <Badge variant="outline" className="text-xs">
+                                📷 Image
+                              </Badge>
+                              <span className="text-xs text-gray-500 font-mono">
+                                {message.image_grid_fs_id.substring(0, 8)}...
+                              </span>
+                            </div>
+                            <div className="border rounded-lg overflow-hidden bg-white">
+                              <img
+                                src={`/api/images/${message.image_grid_fs_id}`}
+                                alt="Chat image"
+                                className="max-w-full h-auto max-h-64 object-contain cursor-pointer hover:opacity-90 transition-opacity"
+                                onError={(e) => {
+                                  const img = e.target as HTMLImageElement;
+                                  img.style.display = 'none';
+                                  const errorDiv = document.createElement('div');
+                                  errorDiv.className = 'p-4 text-center text-gray-500 text-sm';
+                                  errorDiv.innerHTML = '❌ Failed to load image';
+                                  img.parentNode?.appendChild(errorDiv);
+                                }}
+                                onClick={(e) => {
+                                  const img = e.target as HTMLImageElement;
+                                  window.open(img.src, '_blank');
+                                }}
+                              />
+                            </div>
+                            {session.image_analyses?.[message.line_message_id]?.status === 'completed' && (
+                              <div className="mt-2 text-sm text-gray-700">
+                                <p>{session.image_analyses[message.line_message_id].caption}</p>
+                                {session.image_analyses[message.line_message_id].text && (
+                                  <p className="mt-1 text-xs text-gray-500 whitespace-pre-wrap">
+                                    {session.image_analyses[message.line_message_id].text}
+                                  </p>
+                                )}
+                              </div>
+                            )}
+                            {session.image_analyses?.[message.line_message_id]?.status === 'pending' && (
+                              <p className="mt-2 text-xs text-gray-500">Reading image...</p>
+                            )}
                           </div>
-                        </div>
-                      )}
+                        )}
+
+                        {/* Transcript or document text of voice messages, videos and files */}
+                        {session.media_texts?.[message.line_message_id]?.status === 'completed' && session.media_texts[message.line_message_id].message && (
+                          <div className="mt-3">
+                            <Badge variant="outline" className="text-xs mb-2">
+                              {session.media_texts[message.line_message_id].kind === 'document' ? '📄 Document text' : '🎙️ Transcript'}
+                            </Badge>
+                            <p className="text-xs text-gray-600 whitespace-pre-wrap max-h-48 overflow-y-auto">
+                              {session.media_texts[message.line_message_id].message}
+                            </p>
+                            {session.media_texts[message.line_message_id].truncated && (
+                              <p className="mt-1 text-xs text-gray-400">Text was shortened</p>
+                            )}
+                          </div>
+                        )}
+                        {session.media_texts?.[message.line_message_id]?.status === 'pending' && (
+                          <p className="mt-2 text-xs text-gray-500">
+                            {session.media_texts[message.line_message_id].kind === 'document' ? 'Reading file...' : 'Transcribing...'}
+                          </p>
+                        )}
+                      </div>
                     </div>
-                  </div>
-                ))}
+                  );
+                })}
               </div>
             </CardContent>
           </Card>
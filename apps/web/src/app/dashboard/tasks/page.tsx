@@ -0,0 +1,622 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useAuth } from '@/lib/auth';
+import { formatDate, formatRelativeTime } from '@/lib/utils';
+import {
+  ListChecks,
+  Search,
+  RefreshCw,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+  Clock,
+  CalendarClock,
+  User,
+  MessageSquare,
+  Edit,
+  X
+} from 'lucide-react';
+
+/**
+ * Task interface (tasks.list item)
+ * @interface Task
+ */
+interface Task {
+  id: string;
+  title: string;
+  notes: string;
+  status: 'open' | 'in_progress' | 'done' | 'dismissed';
+  priority: 'low' | 'medium' | 'high';
+  assignee: {
+    type: 'line_user' | 'member';
+    line_user_id?: string | null;
+    user_id?: string | null;
+    display_name?: string | null;
+  } | null;
+  due_date: string | null;
+  due_date_text: string | null;
+  is_overdue: boolean;
+  session_id?: string;
+  room?: {
+    id: string;
+    name: string;
+    type: 'group' | 'individual';
+  };
+  created_at: string;
+}
+
+/**
+ * Task counts (tasks.stats)
+ * @interface TaskStats
+ */
+interface TaskStats {
+  open: number;
+  in_progress: number;
+  done: number;
+  dismissed: number;
+  overdue: number;
+  total: number;
+}
+
+/**
+ * Organization member (assignee options)
+ * @interface Member
+ */
+interface Member {
+  id: string;
+  user: {
+    id: string;
+    name: string;
+    email: string;
+  };
+}
+
+/**
+ * Status filter options
+ */
+const STATUS_FILTERS = [
+  { value: 'active', label: 'Active' },
+  { value: 'open', label: 'Open' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'done', label: 'Done' },
+  { value: 'dismissed', label: 'Dismissed' },
+  { value: 'all', label: 'All' },
+];
+
+/**
+ * Status options
+ */
+const STATUSES = [
+  { value: 'open', label: 'Open', color: 'bg-blue-100 text-blue-800' },
+  { value: 'in_progress', label: 'In Progress', color: 'bg-yellow-100 text-yellow-800' },
+  { value: 'done', label: 'Done', color: 'bg-green-100 text-green-800' },
+  { value: 'dismissed', label: 'Dismissed', color: 'bg-gray-100 text-gray-800' },
+];
+
+/**
+ * Priority options
+ */
+const PRIORITIES = [
+  { value: 'high', label: 'High', color: 'bg-red-100 text-red-800' },
+  { value: 'medium', label: 'Medium', color: 'bg-orange-100 text-orange-800' },
+  { value: 'low', label: 'Low', color: 'bg-gray-100 text-gray-800' },
+];
+
+/**
+ * Tasks Page
+ * @description Work the action items the AI extracts from group summaries
+ */
+export default function TasksPage() {
+  const { organization } = useAuth();
+  const [tasks, set_tasks] = useState<Task[]>([]);
+  const [stats, set_stats] = useState<TaskStats | null>(null);
+  const [members, set_members] = useState<Member[]>([]);
+  const [loading, set_loading] = useState(true);
+  const [processing, set_processing] = useState<string | null>(null);
+  const [error_message, set_error_message] = useState<string | null>(null);
+  const [success_message, set_success_message] = useState<string | null>(null);
+  const [status_filter, set_status_filter] = useState('active');
+  const [assignee_filter, set_assignee_filter] = useState<'any' | 'me' | 'unassigned'>('any');
+  const [overdue_only, set_overdue_only] = useState(false);
+  const [search_query, set_search_query] = useState('');
+  const [editing_task, set_editing_task] = useState<string | null>(null);
+  const [edit_form, set_edit_form] = useState<{
+    notes: string;
+    due_date: string;
+    priority: string;
+  }>({
+    notes: '',
+    due_date: '',
+    priority: 'medium'
+  });
+
+  useEffect(() => {
+    if (organization?.id) {
+      fetch_tasks();
+    }
+  }, [organization?.id, status_filter, assignee_filter, overdue_only]);
+
+  useEffect(() => {
+    if (organization?.id) {
+      fetch_members();
+    }
+  }, [organization?.id]);
+
+  /**
+   * Call a tRPC query
+   * @param path - Procedure path (e.g. "tasks.list")
+   * @param input - Query input
+   */
+  const trpc_query = async (path: string, input?: Record<string, any>) => {
+    const query_params = input ? `?${new URLSearchParams({ input: JSON.stringify(input) }).toString()}` : '';
+    const response = await fetch(`/api/trpc/${path}${query_params}`, {
+      method: 'GET',
+      headers: {
+        'x-organization-id': organization?.id || ''
+      },
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error?.message || `Request failed: ${response.status}`);
+    }
+    return data.result?.data;
+  };
+
+  /**
+   * Call a tRPC mutation
+   * @param path - Procedure path (e.g. "tasks.complete")
+   * @param body - Mutation input
+   */
+  const trpc_mutation = async (path: string, body: Record<string, any>) => {
+    const response = await fetch(`/api/trpc/${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-organization-id': organization?.id || ''
+      },
+      credentials: 'include',
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok || !data.result?.data?.success) {
+      throw new Error(data.error?.message || 'Request failed');
+    }
+    return data.result.data;
+  };
+
+  /**
+   * Fetch tasks and counts
+   * @description Calls tasks.list and tasks.stats tRPC endpoints
+   */
+  const fetch_tasks = async () => {
+    try {
+      set_loading(true);
+      set_error_message(null);
+
+      const input: Record<string, any> = {
+        limit: 100,
+        assignee: assignee_filter,
+        overdue: overdue_only
+      };
+      if (status_filter !== 'all') {
+        input.status = status_filter;
+      }
+      if (search_query.trim()) {
+        input.search = search_query.trim();
+      }
+
+      const [list, counts] = await Promise.all([
+        trpc_query('tasks.list', input),
+        trpc_query('tasks.stats')
+      ]);
+
+      set_tasks(list?.tasks || []);
+      set_stats(counts || null);
+    } catch (error) {
+      console.error('Fetch error:', error);
+      set_error_message('Failed to load tasks');
+    } finally {
+      set_loading(false);
+    }
+  };
+
+  /**
+   * Fetch organization members for the assignee picker
+   */
+  const fetch_members = async () => {
+    try {
+      const response = await fetch(`/api/organizations/${organization?.id}/members`, {
+        credentials: 'include'
+      });
+      if (response.ok) {
+        const data = await response.json();
+        set_members(data.members || []);
+      }
+    } catch (error) {
+      console.error('Fetch members error:', error);
+    }
+  };
+
+  /**
+   * Run a task mutation and refresh the list
+   * @param task_id - Task being changed
+   * @param path - Procedure path
+   * @param body - Mutation input
+   * @param message - Success message
+   */
+  const run_mutation = async (task_id: string, path: string, body: Record<string, any>, message: string) => {
+    try {
+      set_processing(task_id);
+      set_error_message(null);
+      await trpc_mutation(path, body);
+      set_success_message(message);
+      setTimeout(() => set_success_message(null), 3000);
+      await fetch_tasks();
+    } catch (error) {
+      set_error_message(error instanceof Error ? error.message : 'Failed to update task');
+    } finally {
+      set_processing(null);
+    }
+  };
+
+  /**
+   * Assign a task to a member ("" = unassign)
+   * @param task - Task to assign
+   * @param user_id - Member user ID
+   */
+  const assign_task = (task: Task, user_id: string) => {
+    run_mutation(
+      task.id,
+      'tasks.assign',
+      { taskId: task.id, assignee: user_id ? { type: 'member', user_id } : null },
+      user_id ? 'Task assigned' : 'Task unassigned'
+    );
+  };
+
+  /**
+   * Start editing a task
+   * @param task - Task to edit
+   */
+  const start_editing = (task: Task) => {
+    set_editing_task(task.id);
+    set_edit_form({
+      notes: task.notes || '',
+      due_date: task.due_date ? task.due_date.slice(0, 10) : '',
+      priority: task.priority
+    });
+  };
+
+  /**
+   * Save notes, due date and priority
+   * @param task_id - Task ID
+   */
+  const save_task = async (task_id: string) => {
+    await run_mutation(
+      task_id,
+      'tasks.update',
+      {
+        taskId: task_id,
+        data: {
+          notes: edit_form.notes,
+          priority: edit_form.priority,
+          // End of the chosen day in the browser's timezone
+          due_date: edit_form.due_date ? new Date(`${edit_form.due_date}T23:59:59`).toISOString() : null
+        }
+      },
+      'Task updated'
+    );
+    set_editing_task(null);
+  };
+
+  /**
+   * Get status badge
+   * @param status - Status value
+   */
+  const get_status_badge = (status: string) => {
+    const option = STATUSES.find(s => s.value === status);
+    if (!option) return <Badge variant="outline">{status}</Badge>;
+    return <Badge className={option.color}>{option.label}</Badge>;
+  };
+
+  /**
+   * Get priority badge
+   * @param priority - Priority value
+   */
+  const get_priority_badge = (priority: string) => {
+    const option = PRIORITIES.find(p => p.value === priority);
+    if (!option) return <Badge variant="outline">{priority}</Badge>;
+    return <Badge className={option.color}>{option.label}</Badge>;
+  };
+
+  const stat_cards = [
+    { label: 'Open', value: stats?.open ?? 0, icon: ListChecks, color: 'bg-blue-100 text-blue-800', onClick: () => set_status_filter('open') },
+    { label: 'In Progress', value: stats?.in_progress ?? 0, icon: Clock, color: 'bg-yellow-100 text-yellow-800', onClick: () => set_status_filter('in_progress') },
+    { label: 'Overdue', value: stats?.overdue ?? 0, icon: CalendarClock, color: 'bg-red-100 text-red-800', onClick: () => set_overdue_only(!overdue_only) },
+    { label: 'Done', value: stats?.done ?? 0, icon: CheckCircle, color: 'bg-green-100 text-green-800', onClick: () => set_status_filter('done') },
+  ];
+
+  if (!organization) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">Tasks</h1>
+          <p className="text-gray-500 mt-1">Action items found in your group conversations</p>
+        </div>
+        <Button variant="outline" size="sm" onClick={fetch_tasks}>
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {stat_cards.map((card) => {
+          const Icon = card.icon;
+          const is_selected = card.label === 'Overdue' && overdue_only;
+          return (
+            <Card
+              key={card.label}
+              className={`p-3 cursor-pointer transition-all ${is_selected ? 'ring-2 ring-blue-500' : ''}`}
+              onClick={card.onClick}
+            >
+              <div className="flex items-center gap-2">
+                <div className={`p-2 rounded-lg ${card.color}`}>
+                  <Icon className="w-4 h-4" />
+                </div>
+                <div>
+                  <p className="text-lg font-bold">{card.value}</p>
+                  <p className="text-xs text-gray-500">{card.label}</p>
+                </div>
+              </div>
+            </Card>
+          );
+        })}
+      </div>
+
+      {/* Messages */}
+      {success_message && (
+        <Alert className="bg-green-50 border-green-200">
+          <CheckCircle className="h-4 w-4 text-green-600" />
+          <AlertDescription className="text-green-700">{success_message}</AlertDescription>
+        </Alert>
+      )}
+
+      {error_message && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error_message}</AlertDescription>
+        </Alert>
+      )}
+
+      {/* Filters */}
+      <Card>
+        <CardContent className="pt-4 space-y-4">
+          <div className="flex flex-wrap gap-2">
+            {STATUS_FILTERS.map(option => (
+              <Button
+                key={option.value}
+                size="sm"
+                variant={status_filter === option.value ? 'default' : 'outline'}
+                onClick={() => set_status_filter(option.value)}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </div>
+          <div className="flex flex-col md:flex-row gap-4">
+            <div className="flex-1 relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+              <Input
+                placeholder="Search tasks... (press Enter)"
+                value={search_query}
+                onChange={(e) => set_search_query(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && fetch_tasks()}
+                className="pl-9"
+              />
+            </div>
+            <select
+              className="h-10 px-3 border rounded-md text-sm bg-white"
+              value={assignee_filter}
+              onChange={(e) => set_assignee_filter(e.target.value as 'any' | 'me' | 'unassigned')}
+            >
+              <option value="any">Anyone</option>
+              <option value="me">Assigned to me</option>
+              <option value="unassigned">Unassigned</option>
+            </select>
+            {overdue_only && (
+              <Button variant="outline" onClick={() => set_overdue_only(false)}>
+                <X className="w-4 h-4 mr-2" />
+                Overdue only
+              </Button>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Task List */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <ListChecks className="w-5 h-5" />
+            Tasks ({tasks.length})
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+            </div>
+          ) : tasks.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">
+              <ListChecks className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+              <p>No tasks found</p>
+              <p className="text-sm mt-1">Tasks appear here when summaries find action items.</p>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {tasks.map((task) => (
+                <div key={task.id} className="border rounded-lg overflow-hidden">
+                  <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 hover:bg-gray-50">
+                    <div className="min-w-0">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <h4 className={`font-semibold ${task.status === 'done' ? 'line-through text-gray-500' : ''}`}>
+                          {task.title}
+                        </h4>
+                        {get_status_badge(task.status)}
+                        {get_priority_badge(task.priority)}
+                      </div>
+                      <div className="flex flex-wrap items-center gap-3 mt-1 text-sm text-gray-500">
+                        {task.room && (
+                          <span className="flex items-center">
+                            <MessageSquare className="w-3 h-3 mr-1" />
+                            {task.room.name}
+                          </span>
+                        )}
+                        {task.due_date && (
+                          <span className={`flex items-center ${task.is_overdue ? 'text-red-600 font-medium' : ''}`}>
+                            <CalendarClock className="w-3 h-3 mr-1" />
+                            Due {formatDate(task.due_date)}
+                            {task.due_date_text && <span className="ml-1 text-gray-400">(&ldquo;{task.due_date_text}&rdquo;)</span>}
+                          </span>
+                        )}
+                        <span className="flex items-center">
+                          <User className="w-3 h-3 mr-1" />
+                          {task.assignee?.display_name || (task.assignee ? task.assignee.line_user_id : 'Unassigned')}
+                          {task.assignee?.type === 'line_user' && <span className="ml-1 text-gray-400">(LINE)</span>}
+                        </span>
+                        <span>{formatRelativeTime(task.created_at)}</span>
+                      </div>
+                      {task.notes && <p className="text-sm text-gray-600 mt-1">{task.notes}</p>}
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-2 flex-shrink-0">
+                      <select
+                        className="h-9 px-2 border rounded-md text-sm bg-white"
+                        value={task.assignee?.type === 'member' ? task.assignee.user_id || '' : ''}
+                        disabled={processing === task.id}
+                        onChange={(e) => assign_task(task, e.target.value)}
+                      >
+                        <option value="">{task.assignee?.type === 'line_user' ? 'LINE participant' : 'Unassigned'}</option>
+                        {members.map(member => (
+                          <option key={member.user.id} value={member.user.id}>{member.user.name || member.user.email}</option>
+                        ))}
+                      </select>
+                      <select
+                        className="h-9 px-2 border rounded-md text-sm bg-white"
+                        value={task.status}
+                        disabled={processing === task.id}
+                        onChange={(e) => run_mutation(task.id, 'tasks.update', { taskId: task.id, data: { status: e.target.value } }, 'Status updated')}
+                      >
+                        {STATUSES.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      {task.status !== 'done' && (
+                        <Button
+                          size="sm"
+                          disabled={processing === task.id}
+                          onClick={() => run_mutation(task.id, 'tasks.complete', { taskId: task.id }, 'Task completed')}
+                        >
+                          {processing === task.id ? (
+                            <Loader2 className="w-4 h-4 animate-spin mr-1" />
+                          ) : (
+                            <CheckCircle className="w-4 h-4 mr-1" />
+                          )}
+                          Done
+                        </Button>
+                      )}
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => (editing_task === task.id ? set_editing_task(null) : start_editing(task))}
+                      >
+                        <Edit className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  </div>
+
+                  {/* Edit Form */}
+                  {editing_task === task.id && (
+                    <div className="p-4 bg-gray-50 border-t space-y-4">
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                          <Label>Due Date</Label>
+                          <Input
+                            type="date"
+                            value={edit_form.due_date}
+                            onChange={(e) => set_edit_form({ ...edit_form, due_date: e.target.value })}
+                          />
+                        </div>
+
+                        <div className="space-y-2">
+                          <Label>Priority</Label>
+                          <select
+                            className="w-full h-10 px-3 border rounded-md"
+                            value={edit_form.priority}
+                            onChange={(e) => set_edit_form({ ...edit_form, priority: e.target.value })}
+                          >
+                            {PRIORITIES.map(option => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </select>
+                        </div>
+
+                        <div className="space-y-2 md:col-span-2">
+                          <Label>Notes</Label>
+                          <Input
+                            placeholder="Follow-up notes..."
+                            value={edit_form.notes}
+                            onChange={(e) => set_edit_form({ ...edit_form, notes: e.target.value })}
+                          />
+                        </div>
+                      </div>
+
+                      <div className="flex items-center justify-between gap-2">
+                        {task.session_id ? (
+                          <Link href={`/dashboard/sessions/${task.session_id}`} className="text-sm text-blue-600 hover:underline">
+                            View source conversation
+                          </Link>
+                        ) : <span />}
+                        <div className="flex gap-2">
+                          <Button variant="outline" onClick={() => set_editing_task(null)}>
+                            Cancel
+                          </Button>
+                          <Button onClick={() => save_task(task.id)} disabled={processing === task.id}>
+                            {processing === task.id ? (
+                              <Loader2 className="w-4 h-4 animate-spin mr-2" />
+                            ) : (
+                              <CheckCircle className="w-4 h-4 mr-2" />
+                            )}
+                            Save
+                          </Button>
+                        </div>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -91,6 +91,7 @@ export const ORG_PERMISSIONS = {
   'org:messages:list': 'List messages',
   'org:messages:view': 'View message content',
   'org:messages:search': 'Search messages',
+  'org:messages:ask': 'Ask AI questions about chat history',
 
   // Summaries
   'org:summaries:list': 'List AI summaries',
@@ -98,6 +99,28 @@ export const ORG_PERMISSIONS = {
   'org:summaries:generate': 'Generate new summaries',
   'org:summaries:edit': 'Edit summaries',
   'org:summaries:delete': 'Delete summaries',
+  'org:summaries:feedback': 'Rate and correct summaries',
+
+  // Summary templates
+  'org:templates:list': 'List summary templates',
+  'org:templates:view': 'View summary template details',
+  'org:templates:manage': 'Create, update and preview summary templates',
+  'org:templates:delete': 'Delete summary templates',
+
+  // Tasks (action items extracted from summaries)
+  'org:tasks:list': 'List tasks',
+  'org:tasks:view': 'View task details',
+  'org:tasks:manage': 'Assign, update and complete tasks',
+  'org:tasks:delete': 'Delete tasks',
+
+  // Digests (daily/weekly roll-up of all group summaries)
+  'org:digests:view': 'View organization digests and manage own digest subscription',
+  'org:digests:manage': 'Generate digests on demand',
+
+  // Alerts (rule-based alerting on summaries and messages)
+  'org:alerts:view': 'View alert rules and alerts',
+  'org:alerts:respond': 'Acknowledge and resolve alerts',
+  'org:alerts:manage': 'Create, update and delete alert rules',
 
   // Analytics
   'org:analytics:view': 'View analytics dashboard',
@@ -144,6 +167,12 @@ export const ROLE_PERMISSIONS: Record<PlatformRole | OrgRole, Permission[]> = {
     'org:messages:view',
     'org:summaries:list',
     'org:summaries:view',
+    'org:templates:list',
+    'org:templates:view',
+    'org:tasks:list',
+    'org:tasks:view',
+    'org:digests:view',
+    'org:alerts:view',
     'org:analytics:view',
     'org:audit:view',
   ],
@@ -167,9 +196,19 @@ export const ROLE_PERMISSIONS: Record<PlatformRole | OrgRole, Permission[]> = {
     'org:messages:list',
     'org:messages:view',
     'org:messages:search',
+    'org:messages:ask',
     'org:summaries:list',
     'org:summaries:view',
     'org:summaries:generate',
+    'org:summaries:feedback',
+    'org:templates:list',
+    'org:templates:view',
+    'org:tasks:list',
+    'org:tasks:view',
+    'org:tasks:manage',
+    'org:digests:view',
+    'org:alerts:view',
+    'org:alerts:respond',
     'org:analytics:view',
   ],
 
@@ -184,6 +223,12 @@ export const ROLE_PERMISSIONS: Record<PlatformRole | OrgRole, Permission[]> = {
     'org:messages:view',
     'org:summaries:list',
     'org:summaries:view',
+    'org:templates:list',
+    'org:templates:view',
+    'org:tasks:list',
+    'org:tasks:view',
+    'org:digests:view',
+    'org:alerts:view',
     'org:analytics:view',
   ],
 